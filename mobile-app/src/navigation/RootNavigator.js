@@ -10,6 +10,7 @@ import JobListScreen from '../screens/jobs/JobListScreen';
 import JobDetailScreen from '../screens/jobs/JobDetailScreen';
 import TimeClockScreen from '../screens/timeclock/TimeClockScreen';
 import CameraScreen from '../screens/camera/CameraScreen';
+import ReceivingScreen from '../screens/receiving/ReceivingScreen';
 import ProfileScreen from '../screens/profile/ProfileScreen';
 
 const Stack = createStackNavigator();
@@ -29,6 +30,8 @@ function MainTabs() {
             iconName = focused ? 'time' : 'time-outline';
           } else if (route.name === 'Camera') {
             iconName = focused ? 'camera' : 'camera-outline';
+          } else if (route.name === 'Receiving') {
+            iconName = focused ? 'barcode' : 'barcode-outline';
           } else if (route.name === 'Profile') {
             iconName = focused ? 'person' : 'person-outline';
           }
@@ -55,6 +58,11 @@ function MainTabs() {
         component={CameraScreen}
         options={{ title: 'Camera' }}
       />
+      <Tab.Screen
+        name="Receiving"
+        component={ReceivingScreen}
+        options={{ title: 'Receive' }}
+      />
       <Tab.Screen
         name="Profile"
         component={ProfileScreen}
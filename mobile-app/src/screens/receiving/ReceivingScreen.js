@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Alert, ScrollView } from 'react-native';
+import {
+  Text,
+  Button,
+  Card,
+  Chip,
+  List,
+  TextInput,
+  Switch,
+  ActivityIndicator,
+} from 'react-native-paper';
+import { BarCodeScanner } from 'expo-barcode-scanner';
+import {
+  useLookupReceivingScanMutation,
+  useReceiveScannedPartMutation,
+} from '../../store/api/apiSlice';
+
+const CONDITIONS = [
+  { value: 'good', label: 'Good' },
+  { value: 'damaged', label: 'Damaged' },
+  { value: 'wrong_part', label: 'Wrong Part' },
+];
+
+// Scan a vendor label or part barcode to find the open PO line, then scan
+// or type the bin it goes in and receive it
+export default function ReceivingScreen() {
+  const [hasPermission, setHasPermission] = useState(null);
+  // What the next scan fills in: 'part' looks up PO lines, 'bin' the bin
+  const [scanTarget, setScanTarget] = useState('part');
+  const [paused, setPaused] = useState(false);
+  const [lines, setLines] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [quantity, setQuantity] = useState('1');
+  const [condition, setCondition] = useState('good');
+  const [binLocation, setBinLocation] = useState('');
+  const [notes, setNotes] = useState('');
+  const [printLabel, setPrintLabel] = useState(true);
+
+  const [lookupScan, { isLoading: isLooking }] = useLookupReceivingScanMutation();
+  const [receivePart, { isLoading: isReceiving }] = useReceiveScannedPartMutation();
+
+  useEffect(() => {
+    (async () => {
+      const { status } = await BarCodeScanner.requestPermissionsAsync();
+      setHasPermission(status === 'granted');
+    })();
+  }, []);
+
+  const selectLine = (line, scannedQuantity = null) => {
+    setSelected(line);
+    const remaining = Math.max(line.quantity_remaining, 0) || 1;
+    setQuantity(String(Math.min(scannedQuantity || remaining, remaining)));
+    setCondition('good');
+    setBinLocation(line.suggested_bin || '');
+    setNotes('');
+  };
+
+  const reset = () => {
+    setLines([]);
+    setSelected(null);
+    setScanTarget('part');
+    setPaused(false);
+  };
+
+  const handleBarCodeScanned = async ({ data }) => {
+    setPaused(true);
+
+    if (scanTarget === 'bin') {
+      setBinLocation(data);
+      setScanTarget('part');
+      return;
+    }
+
+    try {
+      const result = await lookupScan({ code: data }).unwrap();
+      if (result.lines.length === 0) {
+        Alert.alert('Not Found', `No open PO line for ${data}`, [
+          { text: 'Scan Again', onPress: () => setPaused(false) },
+        ]);
+        return;
+      }
+      setLines(result.lines);
+      selectLine(
+        result.lines.find((line) => line.quantity_remaining > 0) ||
+          result.lines[0],
+        result.scan.quantity
+      );
+    } catch (error) {
+      Alert.alert('Error', error.data?.message || 'Scan lookup failed', [
+        { text: 'OK', onPress: () => setPaused(false) },
+      ]);
+    }
+  };
+
+  const handleReceive = async () => {
+    if (condition === 'good' && !binLocation.trim()) {
+      Alert.alert('Bin Needed', 'Scan or enter the bin the part goes in');
+      return;
+    }
+    if (condition !== 'good' && !notes.trim()) {
+      Alert.alert('Notes Needed', 'Please add notes for damaged or wrong parts');
+      return;
+    }
+
+    try {
+      const result = await receivePart({
+        partLineId: selected.part_line_id,
+        quantity: Number(quantity),
+        condition,
+        binLocation: binLocation.trim() || undefined,
+        notes: notes || undefined,
+        printLabel: printLabel && condition === 'good',
+      }).unwrap();
+
+      let message = result.message;
+      if (printLabel && condition === 'good') {
+        message += result.data.label_printed
+          ? '\nBin tag sent to the label printer'
+          : `\nTag not printed: ${result.data.label_error || 'no label printer set up'}`;
+      }
+      Alert.alert('Received', message);
+      reset();
+    } catch (error) {
+      Alert.alert('Error', error.data?.error || error.data?.message || 'Failed to receive part');
+    }
+  };
+
+  if (hasPermission === null) {
+    return (
+      <View style={styles.centered}>
+        <Text>Requesting camera permission...</Text>
+      </View>
+    );
+  }
+
+  if (hasPermission === false) {
+    return (
+      <View style={styles.centered}>
+        <Text>No access to camera</Text>
+      </View>
+    );
+  }
+
+  const scanning = !paused || scanTarget === 'bin';
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.scanner}>
+        <BarCodeScanner
+          onBarCodeScanned={scanning ? handleBarCodeScanned : undefined}
+          style={StyleSheet.absoluteFillObject}
+        />
+        <View style={styles.scanHint}>
+          {isLooking ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.scanHintText}>
+              {scanning
+                ? scanTarget === 'bin'
+                  ? 'Scan the bin label'
+                  : 'Scan a vendor label or part barcode'
+                : 'Scan paused'}
+            </Text>
+          )}
+        </View>
+      </View>
+
+      <ScrollView style={styles.details}>
+        {lines.length > 1 && (
+          <Card style={styles.card}>
+            <Card.Title title={`${lines.length} open lines match`} />
+            {lines.map((line) => (
+              <List.Item
+                key={line.part_line_id}
+                title={`${line.part_number} - ${line.description || ''}`}
+                description={`PO ${line.po_number || '-'} · ${line.quantity_remaining} of ${line.quantity_ordered} to receive`}
+                onPress={() => selectLine(line)}
+                left={(props) => (
+                  <List.Icon
+                    {...props}
+                    icon={
+                      selected?.part_line_id === line.part_line_id
+                        ? 'radiobox-marked'
+                        : 'radiobox-blank'
+                    }
+                  />
+                )}
+              />
+            ))}
+          </Card>
+        )}
+
+        {selected && (
+          <Card style={styles.card}>
+            <Card.Title
+              title={selected.part_number}
+              subtitle={`${selected.description || ''} · PO ${selected.po_number || '-'}`}
+            />
+            <Card.Content>
+              <TextInput
+                label="Quantity"
+                mode="outlined"
+                keyboardType="numeric"
+                value={quantity}
+                onChangeText={setQuantity}
+                style={styles.input}
+              />
+              <View style={styles.chips}>
+                {CONDITIONS.map((option) => (
+                  <Chip
+                    key={option.value}
+                    selected={condition === option.value}
+                    onPress={() => setCondition(option.value)}
+                    style={styles.chip}
+                  >
+                    {option.label}
+                  </Chip>
+                ))}
+              </View>
+              {condition === 'good' && (
+                <View style={styles.binRow}>
+                  <TextInput
+                    label="Bin Location"
+                    mode="outlined"
+                    value={binLocation}
+                    onChangeText={setBinLocation}
+                    style={[styles.input, styles.binInput]}
+                  />
+                  <Button
+                    icon="barcode-scan"
+                    onPress={() => setScanTarget('bin')}
+                    disabled={scanTarget === 'bin'}
+                  >
+                    Scan Bin
+                  </Button>
+                </View>
+              )}
+              <TextInput
+                label="Notes"
+                mode="outlined"
+                value={notes}
+                onChangeText={setNotes}
+                style={styles.input}
+              />
+              {condition === 'good' && (
+                <View style={styles.switchRow}>
+                  <Text>Print bin tag</Text>
+                  <Switch value={printLabel} onValueChange={setPrintLabel} />
+                </View>
+              )}
+            </Card.Content>
+            <Card.Actions>
+              <Button onPress={reset}>Cancel</Button>
+              <Button
+                mode="contained"
+                onPress={handleReceive}
+                loading={isReceiving}
+                disabled={isReceiving}
+              >
+                Receive
+              </Button>
+            </Card.Actions>
+          </Card>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scanner: {
+    height: 260,
+    backgroundColor: '#000',
+  },
+  scanHint: {
+    position: 'absolute',
+    bottom: 12,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+  },
+  scanHintText: {
+    color: '#fff',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  details: {
+    flex: 1,
+  },
+  card: {
+    margin: 12,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  binRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  binInput: {
+    flex: 1,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+});
@@ -184,6 +184,38 @@ export const api = createApi({
       ],
     }),
 
+    // Scan receiving endpoints (PO lines into bins)
+    lookupReceivingScan: builder.mutation({
+      query: ({ code, purchaseOrderId }) => ({
+        url: '/parts-receiving/scan',
+        params: { code, purchase_order_id: purchaseOrderId },
+      }),
+      transformResponse: (response) => response.data,
+    }),
+
+    receiveScannedPart: builder.mutation({
+      query: ({ partLineId, quantity, condition, binLocation, notes, printLabel }) => ({
+        url: `/parts-receiving/lines/${partLineId}/receive`,
+        method: 'POST',
+        body: {
+          quantity,
+          condition,
+          bin_location: binLocation,
+          notes,
+          print_label: printLabel,
+        },
+      }),
+      invalidatesTags: ['Part'],
+    }),
+
+    printReceivingLabel: builder.mutation({
+      query: ({ partLineId, copies = 1 }) => ({
+        url: `/parts-receiving/lines/${partLineId}/label/print`,
+        method: 'POST',
+        body: { copies },
+      }),
+    }),
+
     // Vendor endpoints
     getVendors: builder.query({
       query: () => '/mobile/vendors',
@@ -258,6 +290,9 @@ export const {
   useUpdatePartStatusMutation,
   useScanPartMutation,
   useReceivePartMutation,
+  useLookupReceivingScanMutation,
+  useReceiveScannedPartMutation,
+  usePrintReceivingLabelMutation,
   
   // Vendors
   useGetVendorsQuery,
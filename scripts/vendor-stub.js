@@ -0,0 +1,43 @@
+/**
+ * Run a stub parts vendor for local quoting
+ *
+ * Usage:
+ *   VENDOR_STUB_PORT=4010 VENDOR_STUB_CATALOG=./vendor-catalog.json \
+ *     node scripts/vendor-stub.js
+ *
+ * Environment:
+ *   VENDOR_STUB_PORT          port to listen on (default 4010)
+ *   VENDOR_STUB_CATALOG       JSON file: { "<part number>": { unitPrice, ... } }
+ *   VENDOR_STUB_UNKNOWN       not_available | special_order
+ *   VENDOR_STUB_LATENCY_MS    delay before each response
+ *   VENDOR_STUB_FAILURE_RATE  share of requests answered with 503 (0-1)
+ *   VENDOR_STUB_API_KEY       require this X-API-Key
+ *   VENDOR_STUB_BRAND_TYPE    brandType for catalog items without one
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  createStubVendorServer,
+} = require('../server/services/vendorIntegration/stubVendorServer');
+
+const catalogFile = process.env.VENDOR_STUB_CATALOG;
+const catalog = catalogFile
+  ? JSON.parse(fs.readFileSync(path.resolve(catalogFile), 'utf8'))
+  : {};
+const port = parseInt(process.env.VENDOR_STUB_PORT, 10) || 4010;
+
+const app = createStubVendorServer({
+  catalog,
+  unknownParts: process.env.VENDOR_STUB_UNKNOWN || 'not_available',
+  latencyMs: parseInt(process.env.VENDOR_STUB_LATENCY_MS, 10) || 0,
+  failureRate: parseFloat(process.env.VENDOR_STUB_FAILURE_RATE) || 0,
+  apiKey: process.env.VENDOR_STUB_API_KEY,
+  brandType: process.env.VENDOR_STUB_BRAND_TYPE,
+});
+
+app.listen(port, () => {
+  console.log(
+    `Stub vendor listening on http://localhost:${port} with ${Object.keys(catalog).length} catalog parts`
+  );
+});
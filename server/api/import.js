@@ -11,6 +11,7 @@ const EMSParser = require('../services/import/ems_parser.js');
 const bmsService = require('../services/bmsService');
 const bmsValidator = require('../services/bmsValidator');
 const bmsBatchProcessor = require('../services/bmsBatchProcessor');
+const { isZip } = require('../services/import/dbase_reader');
 
 const router = express.Router();
 
@@ -26,14 +27,16 @@ const upload = multer({
     files: 10, // Max 10 files at once
   },
   fileFilter: (req, file, cb) => {
-    // Allow XML files for BMS and TXT files for EMS
+    // Allow XML files for BMS, TXT files and zipped dBase packages for EMS
     const allowedMimes = [
       'text/xml',
       'application/xml',
       'text/plain',
       'application/octet-stream',
+      'application/zip',
+      'application/x-zip-compressed',
     ];
-    const allowedExtensions = ['.xml', '.bms', '.txt', '.ems'];
+    const allowedExtensions = ['.xml', '.bms', '.txt', '.ems', '.zip'];
 
     const hasValidMime = allowedMimes.includes(file.mimetype);
     const hasValidExtension = allowedExtensions.some(ext =>
@@ -45,7 +48,7 @@ const upload = multer({
     } else {
       cb(
         new Error(
-          'Invalid file type. Only XML BMS or TXT EMS files are allowed.'
+          'Invalid file type. Only XML BMS, TXT EMS or zipped EMS files are allowed.'
         ),
         false
       );
@@ -118,8 +121,8 @@ router.post('/bms', upload.single('file'), async (req, res) => {
       {
         uploadId: importId,
         fileName: req.file.originalname,
-        userId: req.user?.id || 'dev-user-123',
-        shopId: req.user?.shopId || process.env.DEV_SHOP_ID || 'dev-shop-123',
+        userId: req.user?.id,
+        shopId: req.user?.shopId || process.env.DEV_SHOP_ID,
       }
     );
 
@@ -189,7 +192,7 @@ router.post('/bms', upload.single('file'), async (req, res) => {
       await fs.unlink(req.file.path).catch(console.error);
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       importId,
       error: error.message,
@@ -246,7 +249,8 @@ router.post('/validate', upload.single('file'), async (req, res) => {
 });
 
 /**
- * POST /api/import/ems - Single EMS file import
+ * POST /api/import/ems - Single EMS import: a pipe-delimited text file, or a
+ * zipped dBase package (AD1, VEH, LIN, TTL...) which also creates records
  */
 router.post('/ems', upload.single('file'), async (req, res) => {
   const importId = uuidv4();
@@ -255,7 +259,22 @@ router.post('/ems', upload.single('file'), async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
         error: 'No file provided',
-        message: 'Please upload an EMS text file',
+        message: 'Please upload an EMS text file or zipped EMS package',
+      });
+    }
+
+    // Read file content
+    const filePath = req.file.path;
+    const fileBuffer = await fs.readFile(filePath);
+    const isPackage = isZip(fileBuffer);
+
+    // Packages create customers, vehicles and jobs, which belong to the
+    // signed-in user's shop
+    if (isPackage && !req.user?.shopId) {
+      await fs.unlink(filePath).catch(console.error);
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Sign in to import an EMS package',
       });
     }
 
@@ -269,23 +288,26 @@ router.post('/ems', upload.single('file'), async (req, res) => {
       message: 'Starting EMS file processing...',
     });
 
-    // Read file content
-    const filePath = req.file.path;
-    const fileContent = await fs.readFile(filePath, 'utf8');
-
     // Update progress
     importStatusStore.set(importId, {
       ...importStatusStore.get(importId),
       progress: 25,
-      message: 'Parsing EMS text data...',
+      message: isPackage ? 'Reading EMS dBase tables...' : 'Parsing EMS text data...',
     });
 
-    // Process EMS file using service
-    const processedData = await bmsService.processEMSFile(fileContent, {
-      uploadId: importId,
-      fileName: req.file.originalname,
-      userId: req.user?.id,
-    });
+    // Process EMS file using service; dBase packages go through auto-creation like BMS
+    const processedData = isPackage
+      ? await bmsService.processEMSWithAutoCreation(fileBuffer, {
+          uploadId: importId,
+          fileName: req.file.originalname,
+          userId: req.user.id,
+          shopId: req.user.shopId,
+        })
+      : await bmsService.processEMSFile(fileBuffer.toString('utf8'), {
+          uploadId: importId,
+          fileName: req.file.originalname,
+          userId: req.user?.id,
+        });
 
     // Update progress
     importStatusStore.set(importId, {
@@ -312,6 +334,7 @@ router.post('/ems', upload.single('file'), async (req, res) => {
       importId,
       message: 'EMS file processed successfully',
       data: processedData,
+      jobId: processedData.createdJob?.id,
     });
   } catch (error) {
     console.error('EMS import error:', error);
@@ -334,7 +357,7 @@ router.post('/ems', upload.single('file'), async (req, res) => {
       await fs.unlink(req.file.path).catch(console.error);
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       importId,
       error: error.message,
@@ -367,11 +390,12 @@ router.post('/batch', upload.array('files', 10), async (req, res) => {
       pauseOnError: req.body.pauseOnError === 'true',
       maxRetries: parseInt(req.body.maxRetries) || 3,
       validateFirst: req.body.validateFirst !== 'false',
+      shopId: req.user?.shopId || process.env.DEV_SHOP_ID,
       userId: req.user?.id,
       userAgent: req.headers['user-agent'],
     };
 
-    const batch = bmsBatchProcessor.createBatch(fileObjects, batchOptions);
+    const batch = await bmsBatchProcessor.createBatch(fileObjects, batchOptions);
 
     // Start processing asynchronously
     bmsBatchProcessor.startBatch(batch.id).catch(error => {
@@ -396,7 +420,7 @@ router.post('/batch', upload.array('files', 10), async (req, res) => {
       );
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
       message: 'Batch upload failed',
@@ -404,13 +428,87 @@ router.post('/batch', upload.array('files', 10), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/import/batches - Recent batches for the shop, including ones
+ * still processing or resumed after a restart
+ */
+router.get('/batches', async (req, res) => {
+  try {
+    const shopId = req.user?.shopId || process.env.DEV_SHOP_ID;
+    if (!shopId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A shop is required to list batches',
+      });
+    }
+
+    const batches = await bmsBatchProcessor.listBatches(shopId, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      status: req.query.status,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: batches,
+    });
+  } catch (error) {
+    console.error('List batches error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to retrieve batches',
+    });
+  }
+});
+
+/**
+ * POST /api/import/batch/:batchId/:action - Pause, resume or cancel a batch
+ */
+router.post('/batch/:batchId/:action', async (req, res) => {
+  const { batchId, action } = req.params;
+  const shopId = req.user?.shopId || process.env.DEV_SHOP_ID;
+
+  try {
+    let status;
+    switch (action) {
+      case 'pause':
+        status = await bmsBatchProcessor.pauseBatch(batchId, shopId);
+        break;
+      case 'resume':
+        status = await bmsBatchProcessor.resumeBatch(batchId, shopId);
+        break;
+      case 'cancel':
+        status = await bmsBatchProcessor.cancelBatch(batchId, shopId);
+        break;
+      default:
+        return res.status(400).json({
+          success: false,
+          message: 'Action must be pause, resume or cancel',
+        });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Batch ${action} successful`,
+      data: status,
+    });
+  } catch (error) {
+    console.error(`Batch ${action} error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to ${action} batch`,
+    });
+  }
+});
+
 /**
  * GET /api/import/batch-status/:batchId - Get batch processing status
  */
-router.get('/batch-status/:batchId', (req, res) => {
+router.get('/batch-status/:batchId', async (req, res) => {
   try {
     const { batchId } = req.params;
-    const status = bmsBatchProcessor.getBatchStatus(batchId);
+    const shopId = req.user?.shopId || process.env.DEV_SHOP_ID;
+    const status = await bmsBatchProcessor.getBatchStatus(batchId, shopId);
 
     if (!status) {
       return res.status(404).json({
@@ -454,45 +552,36 @@ router.get('/status/:id', (req, res) => {
 });
 
 /**
- * GET /api/import/history - Get import history
+ * GET /api/import/history - Get import history (persisted in bms_imports)
  */
-router.get('/history', (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const status = req.query.status; // Filter by status if provided
-
-  // Convert import status store to array and sort by start time
-  let imports = Array.from(importStatusStore.values()).sort(
-    (a, b) => new Date(b.startTime) - new Date(a.startTime)
-  );
-
-  // Filter by status if provided
-  if (status) {
-    imports = imports.filter(imp => imp.status === status);
-  }
-
-  // Calculate pagination
-  const total = imports.length;
-  const totalPages = Math.ceil(total / limit);
-  const start = (page - 1) * limit;
-  const end = start + limit;
+router.get('/history', async (req, res) => {
+  try {
+    const shopId = req.user?.shopId || process.env.DEV_SHOP_ID;
+    if (!shopId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A shop is required to view import history',
+      });
+    }
 
-  const paginatedImports = imports.slice(start, end);
+    const history = await bmsService.getImportHistory({
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      status: req.query.status, // Filter by status if provided
+      shopId,
+    });
 
-  res.status(200).json({
-    success: true,
-    data: {
-      imports: paginatedImports,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limit,
-        hasNext: page < totalPages,
-        hasPrev: page > 1,
-      },
-    },
-  });
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    console.error('Get import history error:', error);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'Failed to retrieve import history',
+    });
+  }
 });
 
 // Cleanup old import status records (run periodically)
@@ -0,0 +1,30 @@
+-- =====================================================
+-- CollisionOS Communication Log Repair Orders
+-- Migration: 20261019_add_communication_log_repair_order
+-- Created: 2026-10-19
+-- Description: Link customer messages to the repair order they are about
+-- =====================================================
+
+ALTER TABLE communication_log
+ADD COLUMN IF NOT EXISTS repair_order_id INTEGER;
+
+ALTER TABLE communication_log
+ADD CONSTRAINT fk_communication_log_repair_order
+  FOREIGN KEY (repair_order_id)
+  REFERENCES repair_order_management(id)
+  ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_communication_log_repair_order
+  ON communication_log(repair_order_id, created_at DESC);
+
+-- Provider status callbacks look messages up by provider id
+CREATE INDEX IF NOT EXISTS idx_communication_log_external_message
+  ON communication_log(external_system_name, external_message_id);
+
+COMMENT ON COLUMN communication_log.repair_order_id IS 'Repair order the message is about; used for RO message threads';
+
+-- Rollback script (if needed)
+-- DROP INDEX IF EXISTS idx_communication_log_external_message;
+-- DROP INDEX IF EXISTS idx_communication_log_repair_order;
+-- ALTER TABLE communication_log DROP CONSTRAINT IF EXISTS fk_communication_log_repair_order;
+-- ALTER TABLE communication_log DROP COLUMN IF EXISTS repair_order_id;
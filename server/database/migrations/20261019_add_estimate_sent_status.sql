@@ -0,0 +1,20 @@
+-- =====================================================
+-- CollisionOS Estimate Sent Status
+-- Migration: 20261019_add_estimate_sent_status
+-- Created: 2026-10-19
+-- Description: Add the 'sent' estimate status and the date it was sent
+-- =====================================================
+
+-- Estimates move draft → sent → approved; Sequelize created the status
+-- column as the enum_estimates_status type
+ALTER TYPE enum_estimates_status ADD VALUE IF NOT EXISTS 'sent' AFTER 'draft';
+
+ALTER TABLE estimates
+ADD COLUMN IF NOT EXISTS sent_date TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN estimates.sent_date IS 'When the estimate was first sent to the customer or insurer';
+
+-- Rollback script (if needed)
+-- Postgres cannot drop an enum value; move sent estimates back first:
+-- UPDATE estimates SET status = 'draft' WHERE status = 'sent';
+-- ALTER TABLE estimates DROP COLUMN IF EXISTS sent_date;
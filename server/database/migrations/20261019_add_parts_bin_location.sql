@@ -0,0 +1,20 @@
+-- =====================================================
+-- CollisionOS Parts Receiving
+-- Migration: 20261019_add_parts_bin_location
+-- Created: 2026-10-19
+-- Description: Record the bin each received part line is put away in so
+--              receiving can suggest it and print bin/RO tags
+-- =====================================================
+
+ALTER TABLE advanced_parts_management
+ADD COLUMN IF NOT EXISTS bin_location VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_advanced_parts_management_ro_bin
+  ON advanced_parts_management(shop_id, repair_order_id)
+  WHERE bin_location IS NOT NULL;
+
+COMMENT ON COLUMN advanced_parts_management.bin_location IS 'Bin or shelf the received part is put away in';
+
+-- Rollback script (if needed)
+-- DROP INDEX IF EXISTS idx_advanced_parts_management_ro_bin;
+-- ALTER TABLE advanced_parts_management DROP COLUMN IF EXISTS bin_location;
@@ -0,0 +1,15 @@
+-- =====================================================
+-- CollisionOS Purchase Order Transmission
+-- Migration: 20261019_add_po_api_transmission_method
+-- Created: 2026-10-19
+-- Description: Add the 'api' transmission method for purchase orders
+--              submitted straight to a vendor's ordering API
+-- =====================================================
+
+-- Sequelize created the column as the
+-- enum_purchase_order_system_transmission_method type
+ALTER TYPE enum_purchase_order_system_transmission_method ADD VALUE IF NOT EXISTS 'api' BEFORE 'email';
+
+-- Rollback script (if needed)
+-- Postgres cannot drop an enum value; move API-sent orders to EDI first:
+-- UPDATE purchase_order_system SET transmission_method = 'edi' WHERE transmission_method = 'api';
@@ -0,0 +1,18 @@
+-- =====================================================
+-- CollisionOS Automatic Customer Notifications
+-- Migration: 20261019_add_repair_order_auto_notifications
+-- Created: 2026-10-19
+-- Description: Let a repair order opt out of automatic status messages
+-- =====================================================
+
+ALTER TABLE repair_order_management
+ADD COLUMN IF NOT EXISTS auto_notifications_enabled BOOLEAN DEFAULT true,
+ADD COLUMN IF NOT EXISTS auto_notifications_opt_out_reason VARCHAR(255);
+
+COMMENT ON COLUMN repair_order_management.auto_notifications_enabled IS 'When false, stage, parts and QC events send the customer nothing';
+COMMENT ON COLUMN repair_order_management.auto_notifications_opt_out_reason IS 'Why automatic messages were turned off for this repair order';
+
+-- Rollback script (if needed)
+-- ALTER TABLE repair_order_management
+--   DROP COLUMN IF EXISTS auto_notifications_opt_out_reason,
+--   DROP COLUMN IF EXISTS auto_notifications_enabled;
@@ -0,0 +1,15 @@
+-- =====================================================
+-- CollisionOS Loaner Scheduling
+-- Migration: 20261019_add_repair_order_rental_required
+-- Created: 2026-10-19
+-- Description: Flag repair orders whose customer needs a courtesy car so a
+--              loaner is reserved when the RO is scheduled
+-- =====================================================
+
+ALTER TABLE repair_order_management
+ADD COLUMN IF NOT EXISTS rental_required BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN repair_order_management.rental_required IS 'Customer needs a courtesy car while the vehicle is in the shop';
+
+-- Rollback script (if needed)
+-- ALTER TABLE repair_order_management DROP COLUMN IF EXISTS rental_required;
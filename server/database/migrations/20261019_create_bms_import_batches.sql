@@ -0,0 +1,66 @@
+-- =====================================================
+-- CollisionOS BMS Import Batches
+-- Migration: 20261019_create_bms_import_batches
+-- Created: 2026-10-19
+-- Description: Persist batch uploads so they resume after a restart, and
+--              track duplicate hashes, import source and retries per file
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS bms_import_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'created'
+    CHECK (status IN ('created', 'processing', 'paused', 'completed', 'failed', 'cancelled')),
+  options JSON DEFAULT '{}',
+  total_files INTEGER DEFAULT 0,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  resume_count INTEGER DEFAULT 0,
+  error_log JSON DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_bms_import_batches_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE
+);
+
+ALTER TABLE bms_imports
+ADD COLUMN IF NOT EXISTS file_hash VARCHAR(64),
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'upload'
+  CHECK (source IN ('upload', 'watch_folder', 'api')),
+ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES bms_import_batches(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS batch_index INTEGER,
+ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+
+-- Watch-folder imports have no user behind them
+ALTER TABLE bms_imports ALTER COLUMN created_by DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bms_import_batches_shop_status
+  ON bms_import_batches(shop_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_bms_imports_shop_file_hash
+  ON bms_imports(shop_id, file_hash);
+
+CREATE INDEX IF NOT EXISTS idx_bms_imports_batch
+  ON bms_imports(batch_id, batch_index);
+
+COMMENT ON TABLE bms_import_batches IS 'Multi-file BMS/EMS uploads processed by the batch worker';
+COMMENT ON COLUMN bms_import_batches.resume_count IS 'Number of times a worker picked the batch back up after a restart';
+COMMENT ON COLUMN bms_imports.file_hash IS 'SHA-256 of the file contents, used for duplicate detection';
+COMMENT ON COLUMN bms_imports.source IS 'Where the file came from: upload, watch_folder or api';
+COMMENT ON COLUMN bms_imports.next_attempt_at IS 'Earliest time a failed batch file is retried (exponential backoff)';
+
+-- Rollback script (if needed)
+-- DROP INDEX IF EXISTS idx_bms_imports_batch;
+-- DROP INDEX IF EXISTS idx_bms_imports_shop_file_hash;
+-- ALTER TABLE bms_imports
+--   DROP COLUMN IF EXISTS next_attempt_at,
+--   DROP COLUMN IF EXISTS attempts,
+--   DROP COLUMN IF EXISTS batch_index,
+--   DROP COLUMN IF EXISTS batch_id,
+--   DROP COLUMN IF EXISTS source,
+--   DROP COLUMN IF EXISTS file_hash;
+-- DROP TABLE IF EXISTS bms_import_batches CASCADE;
@@ -0,0 +1,119 @@
+-- =====================================================
+-- CollisionOS Estimate Versions
+-- Migration: 20261019_create_estimate_versions
+-- Created: 2026-10-19
+-- Description: Store every imported estimate for a claim (original and
+--              supplements) and the line items each supplement changed
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS estimate_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  claim_management_id INTEGER NOT NULL,
+  repair_order_id INTEGER,
+  previous_version_id UUID,
+  claim_number VARCHAR(100) NOT NULL,
+  version_number INTEGER NOT NULL,
+  supplement_number INTEGER NOT NULL DEFAULT 0,
+  version_type VARCHAR(20) NOT NULL DEFAULT 'original'
+    CHECK (version_type IN ('original', 'supplement')),
+  estimate_number VARCHAR(100),
+  revision_reason VARCHAR(255),
+  estimate_date TIMESTAMP WITH TIME ZONE,
+  source_file_name VARCHAR(255),
+  parts_total DECIMAL(12,2) DEFAULT 0,
+  labor_total DECIMAL(12,2) DEFAULT 0,
+  materials_total DECIMAL(12,2) DEFAULT 0,
+  tax_total DECIMAL(12,2) DEFAULT 0,
+  grand_total DECIMAL(12,2) DEFAULT 0,
+  supplement_amount DECIMAL(12,2) DEFAULT 0,
+  bms_data JSON,
+  diff_summary JSON,
+  imported_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_estimate_versions_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_estimate_versions_claim
+    FOREIGN KEY (claim_management_id)
+    REFERENCES claim_management(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_estimate_versions_repair_order
+    FOREIGN KEY (repair_order_id)
+    REFERENCES repair_order_management(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_estimate_versions_previous
+    FOREIGN KEY (previous_version_id)
+    REFERENCES estimate_versions(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_estimate_versions_imported_by
+    FOREIGN KEY (imported_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS estimate_line_item_changes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  version_id UUID NOT NULL,
+  claim_management_id INTEGER NOT NULL,
+  line_number INTEGER,
+  item_type VARCHAR(10) NOT NULL CHECK (item_type IN ('part', 'labor')),
+  change_type VARCHAR(10) NOT NULL CHECK (change_type IN ('added', 'removed', 'modified')),
+  description TEXT,
+  part_number VARCHAR(100),
+  previous_quantity DECIMAL(8,2),
+  current_quantity DECIMAL(8,2),
+  quantity_change DECIMAL(8,2),
+  previous_price DECIMAL(10,2),
+  current_price DECIMAL(10,2),
+  price_change DECIMAL(10,2),
+  previous_extended DECIMAL(12,2),
+  current_extended DECIMAL(12,2),
+  extended_change DECIMAL(12,2),
+  previous_hours DECIMAL(6,2),
+  current_hours DECIMAL(6,2),
+  hours_change DECIMAL(6,2),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_estimate_line_item_changes_version
+    FOREIGN KEY (version_id)
+    REFERENCES estimate_versions(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_estimate_line_item_changes_claim
+    FOREIGN KEY (claim_management_id)
+    REFERENCES claim_management(id)
+    ON DELETE CASCADE
+);
+
+-- Versions are looked up per claim, newest supplement first
+CREATE INDEX IF NOT EXISTS idx_estimate_versions_claim_supplement
+  ON estimate_versions(claim_management_id, supplement_number DESC, version_number DESC);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_versions_repair_order
+  ON estimate_versions(repair_order_id);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_versions_shop_id
+  ON estimate_versions(shop_id);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_line_item_changes_version
+  ON estimate_line_item_changes(version_id, line_number);
+
+COMMENT ON TABLE estimate_versions IS 'Each imported estimate for a claim: the original and every supplement';
+COMMENT ON COLUMN estimate_versions.version_number IS '1 for the original estimate, incremented per supplement';
+COMMENT ON COLUMN estimate_versions.supplement_number IS 'Estimating system supplement number (S01 = 1); 0 for original';
+COMMENT ON COLUMN estimate_versions.supplement_amount IS 'Grand total change against the previous version';
+COMMENT ON COLUMN estimate_versions.bms_data IS 'Parsed BMS payload used as the baseline for the next diff';
+COMMENT ON TABLE estimate_line_item_changes IS 'Parts and labor lines added, removed or modified by an estimate version';
+
+-- Rollback script (if needed)
+-- DROP TABLE IF EXISTS estimate_line_item_changes CASCADE;
+-- DROP TABLE IF EXISTS estimate_versions CASCADE;
@@ -0,0 +1,137 @@
+-- =====================================================
+-- CollisionOS Parts Returns
+-- Migration: 20261019_create_parts_returns
+-- Created: 2026-10-19
+-- Description: Parts and core returns to vendors and the vendor credit
+--              memos matched against them
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS parts_returns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  vendor_id UUID NOT NULL,
+  purchase_order_id INTEGER,
+  repair_order_id INTEGER,
+  return_number VARCHAR(50) NOT NULL,
+  return_type VARCHAR(20) NOT NULL
+    CHECK (return_type IN ('wrong_part', 'damaged', 'defective', 'unused', 'over_delivery', 'core')),
+  status VARCHAR(20) NOT NULL DEFAULT 'requested'
+    CHECK (status IN ('requested', 'authorized', 'shipped', 'partially_credited', 'credited', 'rejected', 'cancelled')),
+  rma_number VARCHAR(50),
+  reason TEXT,
+  items JSON DEFAULT '[]',
+  expected_credit DECIMAL(10,2) NOT NULL DEFAULT 0,
+  restocking_fee DECIMAL(10,2) DEFAULT 0,
+  credited_amount DECIMAL(10,2) DEFAULT 0,
+  return_due_date TIMESTAMP WITH TIME ZONE,
+  credit_due_date TIMESTAMP WITH TIME ZONE,
+  requested_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  authorized_date TIMESTAMP WITH TIME ZONE,
+  shipped_date TIMESTAMP WITH TIME ZONE,
+  credited_date TIMESTAMP WITH TIME ZONE,
+  carrier VARCHAR(50),
+  tracking_number VARCHAR(100),
+  overdue_flagged_at TIMESTAMP WITH TIME ZONE,
+  overdue_reason VARCHAR(30)
+    CHECK (overdue_reason IN ('return_not_shipped', 'credit_not_received')),
+  notes TEXT,
+  created_by UUID,
+  updated_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_parts_returns_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_parts_returns_vendor
+    FOREIGN KEY (vendor_id)
+    REFERENCES vendors(id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT fk_parts_returns_purchase_order
+    FOREIGN KEY (purchase_order_id)
+    REFERENCES purchase_order_system(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_parts_returns_repair_order
+    FOREIGN KEY (repair_order_id)
+    REFERENCES repair_order_management(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_parts_returns_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_parts_returns_updated_by
+    FOREIGN KEY (updated_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_parts_returns_number
+  ON parts_returns(shop_id, return_number);
+
+CREATE INDEX IF NOT EXISTS idx_parts_returns_vendor_status
+  ON parts_returns(shop_id, vendor_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_parts_returns_purchase_order
+  ON parts_returns(purchase_order_id);
+
+CREATE INDEX IF NOT EXISTS idx_parts_returns_rma
+  ON parts_returns(vendor_id, rma_number)
+  WHERE rma_number IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS vendor_credit_memos (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  vendor_id UUID NOT NULL,
+  memo_number VARCHAR(50) NOT NULL,
+  memo_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  amount DECIMAL(10,2) NOT NULL,
+  applied_amount DECIMAL(10,2) DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'unmatched'
+    CHECK (status IN ('unmatched', 'partially_matched', 'matched')),
+  "references" JSON DEFAULT '[]',
+  matches JSON DEFAULT '[]',
+  source VARCHAR(10) DEFAULT 'manual'
+    CHECK (source IN ('manual', 'import', 'api')),
+  notes TEXT,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_vendor_credit_memos_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_vendor_credit_memos_vendor
+    FOREIGN KEY (vendor_id)
+    REFERENCES vendors(id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT fk_vendor_credit_memos_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_credit_memos_number
+  ON vendor_credit_memos(shop_id, vendor_id, memo_number);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_credit_memos_status
+  ON vendor_credit_memos(shop_id, status);
+
+COMMENT ON TABLE parts_returns IS 'Parts and cores sent back to a vendor, tracked from request to credit';
+COMMENT ON COLUMN parts_returns.items IS 'Returned lines with part number, quantity and the credit expected for each';
+COMMENT ON COLUMN parts_returns.credit_due_date IS 'Credit is overdue once this passes without a matched memo';
+COMMENT ON TABLE vendor_credit_memos IS 'Credit memos received from vendors, matched to returns by RMA or return number';
+COMMENT ON COLUMN vendor_credit_memos."references" IS 'RMA and return numbers quoted on the memo';
+COMMENT ON COLUMN vendor_credit_memos.matches IS 'Returns the memo was applied to and the amount applied to each';
+
+-- Rollback script (if needed)
+-- DROP TABLE IF EXISTS vendor_credit_memos CASCADE;
+-- DROP TABLE IF EXISTS parts_returns CASCADE;
@@ -0,0 +1,132 @@
+-- =====================================================
+-- CollisionOS Technician Payroll
+-- Migration: 20261019_create_payroll_tables
+-- Created: 2026-10-19
+-- Description: Technician pay plans, payroll runs per pay period and one
+--              pay stub per technician per run
+-- =====================================================
+
+-- users is created with camelCase columns (underscored: false)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS "payPlanType" VARCHAR(20) DEFAULT 'hourly'
+  CHECK ("payPlanType" IN ('hourly', 'flat_rate', 'hybrid')),
+ADD COLUMN IF NOT EXISTS "flatRate" DECIMAL(10,2);
+
+COMMENT ON COLUMN users."payPlanType" IS 'How the technician is paid: clocked hours, flagged hours or the better of both';
+COMMENT ON COLUMN users."flatRate" IS 'Pay per flagged hour for flat-rate and hybrid pay plans';
+
+CREATE TABLE IF NOT EXISTS payroll_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+  pay_date DATE,
+  period_label VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'approved', 'locked')),
+  calculated_at TIMESTAMP WITH TIME ZONE,
+  approved_by UUID,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  locked_by UUID,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  technician_count INTEGER DEFAULT 0,
+  total_clocked_hours DECIMAL(10,2) DEFAULT 0,
+  total_flagged_hours DECIMAL(10,2) DEFAULT 0,
+  total_overtime_hours DECIMAL(10,2) DEFAULT 0,
+  total_commission DECIMAL(12,2) DEFAULT 0,
+  total_adjustments DECIMAL(12,2) DEFAULT 0,
+  total_gross_pay DECIMAL(12,2) DEFAULT 0,
+  settings_snapshot JSON DEFAULT '{}',
+  notes TEXT,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_payroll_runs_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_payroll_runs_approved_by
+    FOREIGN KEY (approved_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_payroll_runs_locked_by
+    FOREIGN KEY (locked_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_payroll_runs_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS pay_stubs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payroll_run_id UUID NOT NULL,
+  shop_id UUID NOT NULL,
+  technician_id UUID NOT NULL,
+  technician_name VARCHAR(200),
+  pay_plan_type VARCHAR(20) NOT NULL
+    CHECK (pay_plan_type IN ('hourly', 'flat_rate', 'hybrid')),
+  hourly_rate DECIMAL(10,2) DEFAULT 0,
+  flat_rate DECIMAL(10,2) DEFAULT 0,
+  commission_rate DECIMAL(5,2) DEFAULT 0,
+  paid_on VARCHAR(20) CHECK (paid_on IN ('hourly', 'flat_rate')),
+  clocked_hours DECIMAL(8,2) DEFAULT 0,
+  regular_hours DECIMAL(8,2) DEFAULT 0,
+  overtime_hours DECIMAL(8,2) DEFAULT 0,
+  flagged_hours DECIMAL(8,2) DEFAULT 0,
+  rework_flagged_hours DECIMAL(8,2) DEFAULT 0,
+  paid_flagged_hours DECIMAL(8,2) DEFAULT 0,
+  labor_sales DECIMAL(12,2) DEFAULT 0,
+  base_pay DECIMAL(12,2) DEFAULT 0,
+  overtime_pay DECIMAL(12,2) DEFAULT 0,
+  commission DECIMAL(12,2) DEFAULT 0,
+  adjustments JSON DEFAULT '[]',
+  adjustment_total DECIMAL(12,2) DEFAULT 0,
+  gross_pay DECIMAL(12,2) DEFAULT 0,
+  labor_entry_ids JSON DEFAULT '[]',
+  time_clock_ids JSON DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_pay_stubs_run
+    FOREIGN KEY (payroll_run_id)
+    REFERENCES payroll_runs(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_pay_stubs_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  -- Pay history outlives the technician's account
+  CONSTRAINT fk_pay_stubs_technician
+    FOREIGN KEY (technician_id)
+    REFERENCES users(id)
+    ON DELETE RESTRICT
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_runs_shop_period
+  ON payroll_runs(shop_id, period_start DESC);
+
+CREATE INDEX IF NOT EXISTS idx_pay_stubs_run
+  ON pay_stubs(payroll_run_id);
+
+CREATE INDEX IF NOT EXISTS idx_pay_stubs_technician
+  ON pay_stubs(technician_id);
+
+COMMENT ON TABLE payroll_runs IS 'Technician payroll for one pay period: draft, approved, then locked';
+COMMENT ON COLUMN payroll_runs.period_label IS 'Written to LaborTimeEntry/TimeClock payrollPeriod on lock';
+COMMENT ON TABLE pay_stubs IS 'One technician''s pay for a payroll run';
+COMMENT ON COLUMN pay_stubs.paid_on IS 'Which side of a hybrid plan paid out';
+COMMENT ON COLUMN pay_stubs.adjustments IS '[{ type, amount, reason, jobId?, source: system|manual }]';
+
+-- Rollback script (if needed)
+-- DROP TABLE IF EXISTS pay_stubs CASCADE;
+-- DROP TABLE IF EXISTS payroll_runs CASCADE;
+-- ALTER TABLE users DROP COLUMN IF EXISTS "flatRate";
+-- ALTER TABLE users DROP COLUMN IF EXISTS "payPlanType";
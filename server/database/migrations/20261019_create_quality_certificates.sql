@@ -0,0 +1,77 @@
+-- =====================================================
+-- CollisionOS Quality Certificates
+-- Migration: 20261019_create_quality_certificates
+-- Created: 2026-10-19
+-- Description: Signed inspection, scan, calibration, frame and alignment
+--              certificates recorded against a repair order
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS quality_certificates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  repair_order_id INTEGER NOT NULL,
+  certificate_number VARCHAR(50) NOT NULL,
+  certificate_type VARCHAR(30) NOT NULL
+    CHECK (certificate_type IN ('final_inspection', 'adas_calibration', 'pre_scan', 'post_scan', 'frame_measurement', 'wheel_alignment')),
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'valid', 'failed', 'void')),
+  result VARCHAR(20) CHECK (result IN ('pass', 'fail', 'conditional')),
+  performed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  inspector_id UUID,
+  signature_id UUID,
+  equipment VARCHAR(150),
+  measurements JSON DEFAULT '{}',
+  required_by JSON DEFAULT '[]',
+  attachment_ids JSON DEFAULT '[]',
+  findings TEXT,
+  voided_at TIMESTAMP WITH TIME ZONE,
+  void_reason TEXT,
+  created_by UUID,
+  updated_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_quality_certificates_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_quality_certificates_repair_order
+    FOREIGN KEY (repair_order_id)
+    REFERENCES repair_order_management(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_quality_certificates_inspector
+    FOREIGN KEY (inspector_id)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_quality_certificates_signature
+    FOREIGN KEY (signature_id)
+    REFERENCES signatures(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_quality_certificates_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_quality_certificates_updated_by
+    FOREIGN KEY (updated_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quality_certificates_number
+  ON quality_certificates(shop_id, certificate_number);
+
+CREATE INDEX IF NOT EXISTS idx_quality_certificates_repair_order
+  ON quality_certificates(repair_order_id, certificate_type);
+
+COMMENT ON TABLE quality_certificates IS 'Certificates a repair needs before delivery, each signed by the inspector';
+COMMENT ON COLUMN quality_certificates.certificate_number IS 'QC-<RO number>-<type code>-<sequence>';
+COMMENT ON COLUMN quality_certificates.required_by IS 'Estimate lines or vehicle features that made the certificate necessary';
+COMMENT ON COLUMN quality_certificates.signature_id IS 'Inspector signature; required for every status except draft';
+
+-- Rollback script (if needed)
+-- DROP TABLE IF EXISTS quality_certificates CASCADE;
@@ -0,0 +1,76 @@
+-- =====================================================
+-- CollisionOS SMS Conversations
+-- Migration: 20261019_create_sms_conversations
+-- Created: 2026-10-19
+-- Description: Two-way SMS threads per customer phone and repair order;
+--              the messages themselves stay in communication_log
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS sms_conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  customer_id UUID,
+  repair_order_id INTEGER,
+  phone VARCHAR(20) NOT NULL,
+  thread_id VARCHAR(50) NOT NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'closed')),
+  assigned_to UUID,
+  assigned_at TIMESTAMP WITH TIME ZONE,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  last_message_at TIMESTAMP WITH TIME ZONE,
+  last_message_preview VARCHAR(200),
+  last_inbound_at TIMESTAMP WITH TIME ZONE,
+  last_read_at TIMESTAMP WITH TIME ZONE,
+  last_read_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_sms_conversations_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_sms_conversations_customer
+    FOREIGN KEY (customer_id)
+    REFERENCES customers(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_sms_conversations_repair_order
+    FOREIGN KEY (repair_order_id)
+    REFERENCES repair_order_management(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_sms_conversations_assigned_to
+    FOREIGN KEY (assigned_to)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_sms_conversations_last_read_by
+    FOREIGN KEY (last_read_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+-- One conversation per thread; inbound texts find it by thread id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_conversations_thread
+  ON sms_conversations(shop_id, thread_id);
+
+CREATE INDEX IF NOT EXISTS idx_sms_conversations_inbox
+  ON sms_conversations(shop_id, status, last_message_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_sms_conversations_assigned_to
+  ON sms_conversations(assigned_to)
+  WHERE status = 'open';
+
+-- Conversation history reads the thread's messages from communication_log
+CREATE INDEX IF NOT EXISTS idx_communication_log_thread
+  ON communication_log(shop_id, thread_id, created_at);
+
+COMMENT ON TABLE sms_conversations IS 'Two-way SMS threads shown in the shop inbox';
+COMMENT ON COLUMN sms_conversations.thread_id IS 'Matches communication_log.thread_id: ro_<id>_sms, or phone_<digits>_sms without a repair order';
+COMMENT ON COLUMN sms_conversations.unread_count IS 'Inbound texts since the thread was last read';
+
+-- Rollback script (if needed)
+-- DROP INDEX IF EXISTS idx_communication_log_thread;
+-- DROP TABLE IF EXISTS sms_conversations CASCADE;
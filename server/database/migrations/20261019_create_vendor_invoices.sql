@@ -0,0 +1,76 @@
+-- =====================================================
+-- CollisionOS Vendor Invoices
+-- Migration: 20261019_create_vendor_invoices
+-- Created: 2026-10-19
+-- Description: Vendor invoices reconciled line by line against purchase
+--              order lines, receipts and estimate prices
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS vendor_invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shop_id UUID NOT NULL,
+  vendor_id UUID NOT NULL,
+  purchase_order_id INTEGER,
+  invoice_number VARCHAR(50) NOT NULL,
+  invoice_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  due_date TIMESTAMP WITH TIME ZONE,
+  source VARCHAR(10) DEFAULT 'manual'
+    CHECK (source IN ('manual', 'csv', 'api')),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'matched', 'variance', 'approved', 'disputed')),
+  lines JSON DEFAULT '[]',
+  subtotal_amount DECIMAL(12,2) DEFAULT 0,
+  tax_amount DECIMAL(10,2) DEFAULT 0,
+  shipping_amount DECIMAL(10,2) DEFAULT 0,
+  total_amount DECIMAL(12,2) DEFAULT 0,
+  variance_amount DECIMAL(12,2) DEFAULT 0,
+  variance_count INTEGER DEFAULT 0,
+  matched_at TIMESTAMP WITH TIME ZONE,
+  reviewed_by UUID,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  notes TEXT,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT fk_vendor_invoices_shop
+    FOREIGN KEY (shop_id)
+    REFERENCES shops(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_vendor_invoices_vendor
+    FOREIGN KEY (vendor_id)
+    REFERENCES vendors(id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT fk_vendor_invoices_purchase_order
+    FOREIGN KEY (purchase_order_id)
+    REFERENCES purchase_order_system(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_vendor_invoices_reviewed_by
+    FOREIGN KEY (reviewed_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT fk_vendor_invoices_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_invoices_number
+  ON vendor_invoices(shop_id, vendor_id, invoice_number);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_invoices_purchase_order
+  ON vendor_invoices(shop_id, purchase_order_id);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_invoices_status
+  ON vendor_invoices(shop_id, status);
+
+COMMENT ON TABLE vendor_invoices IS 'Vendor invoices three-way matched against the PO, what was received and the estimate';
+COMMENT ON COLUMN vendor_invoices.lines IS 'Invoice lines with the PO line they matched and any quantity or price variances';
+COMMENT ON COLUMN vendor_invoices.variance_amount IS 'Overbilled amount across lines: quantities not received and prices above the PO';
+
+-- Rollback script (if needed)
+-- DROP TABLE IF EXISTS vendor_invoices CASCADE;
@@ -0,0 +1,20 @@
+-- =====================================================
+-- CollisionOS Automated Parts Sourcing
+-- Migration: 20261019_parts_sourcing_requests_optional_repair_order
+-- Created: 2026-10-19
+-- Description: Let sourcing requests be opened without a repair order or a
+--              requesting user so quotes from BMS imports are still kept
+-- =====================================================
+
+ALTER TABLE parts_sourcing_requests
+ALTER COLUMN repair_order_id DROP NOT NULL;
+
+ALTER TABLE parts_sourcing_requests
+ALTER COLUMN requested_by DROP NOT NULL;
+
+COMMENT ON COLUMN parts_sourcing_requests.repair_order_id IS 'Repair order being sourced; null for BMS imports sourced before an RO exists';
+COMMENT ON COLUMN parts_sourcing_requests.requested_by IS 'User who started the sourcing run; null for automated BMS imports';
+
+-- Rollback script (if needed)
+-- ALTER TABLE parts_sourcing_requests ALTER COLUMN repair_order_id SET NOT NULL;
+-- ALTER TABLE parts_sourcing_requests ALTER COLUMN requested_by SET NOT NULL;
@@ -357,6 +357,11 @@ module.exports = sequelize => {
         type: DataTypes.TEXT,
         allowNull: true,
       },
+      binLocation: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Bin or shelf the received part is put away in',
+      },
       packingSlipNumber: {
         type: DataTypes.STRING(50),
         allowNull: true,
@@ -38,6 +38,16 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.STRING(500),
         allowNull: true,
       },
+      fileHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the file contents, used for duplicate detection',
+      },
+      source: {
+        type: DataTypes.ENUM('upload', 'watch_folder', 'api'),
+        allowNull: false,
+        defaultValue: 'upload',
+      },
       importDate: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -67,7 +77,7 @@ module.exports = (sequelize, Sequelize) => {
       },
       createdBy: {
         type: DataTypes.UUID,
-        allowNull: false,
+        allowNull: true, // null for watch-folder imports
         references: {
           model: 'users',
           key: 'id',
@@ -89,6 +99,28 @@ module.exports = (sequelize, Sequelize) => {
           key: 'id',
         },
       },
+      // Batch uploads: position in the batch and retry state
+      batchId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'bms_import_batches',
+          key: 'id',
+        },
+      },
+      batchIndex: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Earliest time a failed batch file is retried (exponential backoff)',
+      },
       // Processing statistics
       totalRecords: {
         type: DataTypes.INTEGER,
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const BmsImportBatch = sequelize.define(
+    'BmsImportBatch',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+
+      // created → processing → completed/failed; paused and cancelled by the user
+      status: {
+        type: DataTypes.ENUM(
+          'created',
+          'processing',
+          'paused',
+          'completed',
+          'failed',
+          'cancelled'
+        ),
+        allowNull: false,
+        defaultValue: 'created',
+      },
+
+      // pauseOnError, maxRetries, validateFirst, concurrency, userId, userAgent
+      options: {
+        type: DataTypes.JSON,
+        defaultValue: {},
+      },
+      totalFiles: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Number of times a worker picked the batch back up after a restart
+      resumeCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      errorLog: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+    },
+    {
+      tableName: 'bms_import_batches',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  BmsImportBatch.prototype.isFinished = function () {
+    return ['completed', 'failed', 'cancelled'].includes(this.status);
+  };
+
+  return BmsImportBatch;
+};
@@ -26,6 +26,14 @@ module.exports = (sequelize, Sequelize) => {
           key: 'id',
         },
       },
+      repairOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'repair_order_management',
+          key: 'id',
+        },
+      },
       customerId: {
         type: DataTypes.UUID,
         allowNull: true,
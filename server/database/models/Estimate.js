@@ -104,6 +104,7 @@ module.exports = (sequelize, Sequelize) => {
       status: {
         type: DataTypes.ENUM(
           'draft',
+          'sent',
           'pending_review',
           'under_review',
           'approved',
@@ -184,6 +185,10 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      sentDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
       approvalDate: {
         type: DataTypes.DATE,
         allowNull: true,
@@ -346,6 +351,10 @@ module.exports = (sequelize, Sequelize) => {
         beforeUpdate: estimate => {
           // Update approval dates
           if (estimate.changed('status')) {
+            if (estimate.status === 'sent' && !estimate.sentDate) {
+              estimate.sentDate = new Date();
+            }
+
             if (estimate.status === 'approved') {
               estimate.approvalDate = new Date();
             }
@@ -398,6 +407,7 @@ module.exports = (sequelize, Sequelize) => {
   Estimate.prototype.getStatusColor = function () {
     const statusColors = {
       draft: '#95A5A6',
+      sent: '#5DADE2',
       pending_review: '#3498DB',
       under_review: '#F39C12',
       approved: '#2ECC71',
@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  return sequelize.define(
+    'EstimateLineItemChange',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+
+      // Parent References
+      versionId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'estimate_versions', key: 'id' },
+      },
+      claimManagementId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'claim_management', key: 'id' },
+      },
+
+      // Line Identification
+      lineNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      itemType: {
+        type: DataTypes.ENUM('part', 'labor'),
+        allowNull: false,
+      },
+      changeType: {
+        type: DataTypes.ENUM('added', 'removed', 'modified'),
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      partNumber: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+
+      // Part quantities and pricing
+      previousQuantity: {
+        type: DataTypes.DECIMAL(8, 2),
+        allowNull: true,
+      },
+      currentQuantity: {
+        type: DataTypes.DECIMAL(8, 2),
+        allowNull: true,
+      },
+      quantityChange: {
+        type: DataTypes.DECIMAL(8, 2),
+        allowNull: true,
+      },
+      previousPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      currentPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      priceChange: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      previousExtended: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+      },
+      currentExtended: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+      },
+      extendedChange: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+      },
+
+      // Labor hours
+      previousHours: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: true,
+      },
+      currentHours: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: true,
+      },
+      hoursChange: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: true,
+      },
+    },
+    {
+      tableName: 'estimate_line_item_changes',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+};
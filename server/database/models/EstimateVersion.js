@@ -0,0 +1,137 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const EstimateVersion = sequelize.define(
+    'EstimateVersion',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+
+      // Parent References
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      claimManagementId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'claim_management', key: 'id' },
+      },
+      repairOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'repair_order_management', key: 'id' },
+      },
+      previousVersionId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'estimate_versions', key: 'id' },
+      },
+
+      // Version Identification
+      claimNumber: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      versionNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: '1 for the original estimate, incremented per supplement',
+      },
+      supplementNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Estimating system supplement number (S01 = 1); 0 for original',
+      },
+      versionType: {
+        type: DataTypes.ENUM('original', 'supplement'),
+        allowNull: false,
+        defaultValue: 'original',
+      },
+      estimateNumber: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      revisionReason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      estimateDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      sourceFileName: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+
+      // Totals for this version
+      partsTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      laborTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      materialsTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      taxTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      grandTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      supplementAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+        comment: 'Grand total change against the previous version',
+      },
+
+      // Snapshot and diff
+      bmsData: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Parsed BMS payload used as the baseline for the next diff',
+      },
+      diffSummary: {
+        type: DataTypes.JSON,
+        allowNull: true,
+      },
+
+      importedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'estimate_versions',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  EstimateVersion.prototype.isSupplement = function () {
+    return this.versionType === 'supplement';
+  };
+
+  EstimateVersion.prototype.getLabel = function () {
+    return this.isSupplement()
+      ? `S${String(this.supplementNumber).padStart(2, '0')}`
+      : 'Original';
+  };
+
+  return EstimateVersion;
+};
@@ -0,0 +1,172 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const PartsReturn = sequelize.define(
+    'PartsReturn',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      vendorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'vendors', key: 'id' },
+      },
+      purchaseOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'purchase_order_system', key: 'id' },
+      },
+      repairOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'repair_order_management', key: 'id' },
+      },
+      returnNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      returnType: {
+        type: DataTypes.ENUM(
+          'wrong_part',
+          'damaged',
+          'defective',
+          'unused',
+          'over_delivery',
+          'core'
+        ),
+        allowNull: false,
+      },
+
+      // requested until the vendor issues an RMA; credited once credit
+      // memos cover the expected credit
+      status: {
+        type: DataTypes.ENUM(
+          'requested',
+          'authorized',
+          'shipped',
+          'partially_credited',
+          'credited',
+          'rejected',
+          'cancelled'
+        ),
+        allowNull: false,
+        defaultValue: 'requested',
+      },
+      rmaNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      // [{ partLineId, partNumber, description, quantity, unitCredit,
+      //    creditAmount }]
+      items: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+
+      // Credit owed by the vendor, after restocking fees
+      expectedCredit: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.0,
+      },
+      restockingFee: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      creditedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+
+      // Parts must be back with the vendor by returnDueDate; the credit
+      // is owed by creditDueDate
+      returnDueDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      creditDueDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      requestedDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      authorizedDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      shippedDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      creditedDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      carrier: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      trackingNumber: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+
+      // Set when the parts or the credit are late
+      overdueFlaggedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      overdueReason: {
+        type: DataTypes.ENUM('return_not_shipped', 'credit_not_received'),
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      updatedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'parts_returns',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  PartsReturn.prototype.getOutstandingCredit = function () {
+    return Math.max(
+      0,
+      parseFloat(this.expectedCredit || 0) -
+        parseFloat(this.creditedAmount || 0)
+    );
+  };
+
+  return PartsReturn;
+};
@@ -18,7 +18,7 @@ module.exports = sequelize => {
       },
       repairOrderId: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true,
         references: { model: 'repair_order_management', key: 'id' },
       },
       estimateLineItemId: {
@@ -418,7 +418,7 @@ module.exports = sequelize => {
       },
       requestedBy: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true,
         references: { model: 'users', key: 'id' },
       },
       approvedBy: {
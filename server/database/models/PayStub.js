@@ -0,0 +1,130 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  return sequelize.define(
+    'PayStub',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      payrollRunId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'payroll_runs', key: 'id' },
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      technicianId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+      },
+      technicianName: {
+        type: DataTypes.STRING(200),
+        allowNull: true,
+      },
+
+      // Pay plan snapshot
+      payPlanType: {
+        type: DataTypes.ENUM('hourly', 'flat_rate', 'hybrid'),
+        allowNull: false,
+      },
+      hourlyRate: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      flatRate: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      commissionRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        defaultValue: 0.0,
+      },
+      paidOn: {
+        type: DataTypes.ENUM('hourly', 'flat_rate'),
+        allowNull: true,
+        comment: 'Which side of a hybrid plan paid out',
+      },
+
+      // Hours
+      clockedHours: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0.0,
+      },
+      regularHours: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0.0,
+      },
+      overtimeHours: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0.0,
+      },
+      flaggedHours: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0.0,
+      },
+      reworkFlaggedHours: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0.0,
+      },
+      paidFlaggedHours: {
+        type: DataTypes.DECIMAL(8, 2),
+        defaultValue: 0.0,
+      },
+
+      // Earnings
+      laborSales: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      basePay: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      overtimePay: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      commission: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      adjustments: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        comment: '[{ type, amount, reason, jobId?, source: system|manual }]',
+      },
+      adjustmentTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      grossPay: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+
+      // Source rows for audit and lock
+      laborEntryIds: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+      timeClockIds: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+    },
+    {
+      tableName: 'pay_stubs',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+};
@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const PayrollRun = sequelize.define(
+    'PayrollRun',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+
+      // Pay period
+      periodStart: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      periodEnd: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      payDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+      },
+      periodLabel: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Written to LaborTimeEntry/TimeClock payrollPeriod on lock',
+      },
+
+      // Workflow: draft → approved → locked
+      status: {
+        type: DataTypes.ENUM('draft', 'approved', 'locked'),
+        allowNull: false,
+        defaultValue: 'draft',
+      },
+      calculatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      approvedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      approvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lockedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      lockedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Totals
+      technicianCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      totalClockedHours: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      totalFlaggedHours: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      totalOvertimeHours: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      totalCommission: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      totalAdjustments: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      totalGrossPay: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+
+      // Rules in effect when the run was calculated
+      settingsSnapshot: {
+        type: DataTypes.JSON,
+        defaultValue: {},
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'payroll_runs',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  PayrollRun.prototype.isEditable = function () {
+    return this.status === 'draft';
+  };
+
+  PayrollRun.prototype.isLocked = function () {
+    return this.status === 'locked';
+  };
+
+  return PayrollRun;
+};
@@ -258,6 +258,7 @@ module.exports = sequelize => {
       // Transmission Information
       transmissionMethod: {
         type: DataTypes.ENUM(
+          'api',
           'email',
           'fax',
           'phone',
@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const QualityCertificate = sequelize.define(
+    'QualityCertificate',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      repairOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'repair_order_management', key: 'id' },
+      },
+      certificateNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      certificateType: {
+        type: DataTypes.ENUM(
+          'final_inspection',
+          'adas_calibration',
+          'pre_scan',
+          'post_scan',
+          'frame_measurement',
+          'wheel_alignment'
+        ),
+        allowNull: false,
+      },
+
+      // valid and failed are issued results; void replaces a certificate
+      // issued in error
+      status: {
+        type: DataTypes.ENUM('draft', 'valid', 'failed', 'void'),
+        allowNull: false,
+        defaultValue: 'draft',
+      },
+      result: {
+        type: DataTypes.ENUM('pass', 'fail', 'conditional'),
+        allowNull: true,
+      },
+      performedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+
+      // Inspector and the Signature they signed the certificate with
+      inspectorId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      signatureId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'signatures', key: 'id' },
+      },
+
+      // Scan tool, frame bench, alignment rack or calibration target
+      equipment: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+      },
+      // Type-specific readings: DTCs for scans, before/after points for
+      // frame measurements, angles for alignment, checklist for inspection
+      measurements: {
+        type: DataTypes.JSON,
+        defaultValue: {},
+      },
+      // Repair lines or vehicle features that made the certificate necessary
+      requiredBy: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+      attachmentIds: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+      findings: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+
+      voidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      voidReason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      updatedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'quality_certificates',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  QualityCertificate.prototype.isSatisfied = function () {
+    return this.status === 'valid' && this.result !== 'fail';
+  };
+
+  return QualityCertificate;
+};
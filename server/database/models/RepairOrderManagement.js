@@ -120,6 +120,12 @@ module.exports = sequelize => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      rentalRequired: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment:
+          'Customer needs a courtesy car while the vehicle is in the shop',
+      },
 
       // Hold Management
       isOnHold: {
@@ -420,6 +426,14 @@ module.exports = sequelize => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      autoNotificationsEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+      },
+      autoNotificationsOptOutReason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
       customerSatisfactionScore: {
         type: DataTypes.INTEGER,
         allowNull: true,
@@ -101,6 +101,24 @@ module.exports = (sequelize, Sequelize) => {
             saturday: { start: '09:00', end: '15:00', enabled: false },
             sunday: { start: '09:00', end: '15:00', enabled: false },
           },
+          payroll: {
+            overtimeWeeklyThreshold: 40,
+            overtimeDailyThreshold: null,
+            overtimeMultiplier: 1.5,
+            payReworkFlaggedHours: false,
+            comebackChargebackPercent: 100,
+          },
+          importWatcher: {
+            enabled: false,
+            watchPath: '',
+            processedPath: '',
+            errorPath: '',
+            recursive: false,
+          },
+          labelPrinter: {
+            host: '',
+            port: 9100,
+          },
           autoBackup: true,
           backupFrequency: 'daily',
           notifications: {
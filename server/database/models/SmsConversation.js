@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const SmsConversation = sequelize.define(
+    'SmsConversation',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      // Unknown senders have no customer until staff link one
+      customerId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'customers', key: 'id' },
+      },
+      repairOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'repair_order_management', key: 'id' },
+      },
+      // E.164 number the customer texts from
+      phone: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+      // Matches CommunicationLog.threadId of every message in the conversation
+      threadId: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'closed'),
+        allowNull: false,
+        defaultValue: 'open',
+      },
+
+      assignedTo: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      assignedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+
+      // Inbound messages staff have not opened yet
+      unreadCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastMessageAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastMessagePreview: {
+        type: DataTypes.STRING(200),
+        allowNull: true,
+      },
+      lastInboundAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastReadAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastReadBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'sms_conversations',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  return SmsConversation;
+};
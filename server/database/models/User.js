@@ -90,6 +90,15 @@ module.exports = (sequelize, Sequelize) => {
         type: DataTypes.DECIMAL(5, 2),
         allowNull: true,
       },
+      payPlanType: {
+        type: DataTypes.ENUM('hourly', 'flat_rate', 'hybrid'),
+        defaultValue: 'hourly',
+      },
+      flatRate: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Pay per flagged hour for flat-rate and hybrid pay plans',
+      },
       isActive: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const VendorCreditMemo = sequelize.define(
+    'VendorCreditMemo',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      vendorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'vendors', key: 'id' },
+      },
+      memoNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      memoDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      // Part of the amount applied to returns
+      appliedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      status: {
+        type: DataTypes.ENUM('unmatched', 'partially_matched', 'matched'),
+        allowNull: false,
+        defaultValue: 'unmatched',
+      },
+      // RMA or return numbers printed on the memo
+      references: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+      // [{ returnId, returnNumber, amount }]
+      matches: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+      source: {
+        type: DataTypes.ENUM('manual', 'import', 'api'),
+        defaultValue: 'manual',
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'vendor_credit_memos',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  VendorCreditMemo.prototype.getUnappliedAmount = function () {
+    return Math.max(
+      0,
+      parseFloat(this.amount || 0) - parseFloat(this.appliedAmount || 0)
+    );
+  };
+
+  return VendorCreditMemo;
+};
@@ -0,0 +1,127 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = sequelize => {
+  const VendorInvoice = sequelize.define(
+    'VendorInvoice',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      shopId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shops', key: 'id' },
+      },
+      vendorId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'vendors', key: 'id' },
+      },
+      purchaseOrderId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: { model: 'purchase_order_system', key: 'id' },
+      },
+      invoiceNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+      },
+      invoiceDate: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      dueDate: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      source: {
+        type: DataTypes.ENUM('manual', 'csv', 'api'),
+        defaultValue: 'manual',
+      },
+
+      // matched and variance are three-way match results; approved and
+      // disputed are the reviewer's decision
+      status: {
+        type: DataTypes.ENUM(
+          'pending',
+          'matched',
+          'variance',
+          'approved',
+          'disputed'
+        ),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+
+      // [{ lineNumber, partNumber, description, quantity, unitPrice,
+      //    extendedPrice, partLineId, quantityOrdered, quantityReceived,
+      //    poUnitPrice, estimateUnitPrice, grossProfit, variances: [{ type,
+      //    expected, actual, amount }] }]
+      lines: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+      },
+      subtotalAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      taxAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      shippingAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        defaultValue: 0.0,
+      },
+      totalAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+
+      // Overbilled amount across lines: quantities not received and
+      // prices above the PO
+      varianceAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        defaultValue: 0.0,
+      },
+      varianceCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      matchedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      reviewedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+    },
+    {
+      tableName: 'vendor_invoices',
+      timestamps: true,
+      indexes: [
+        // Indexes temporarily disabled for initial migration
+      ],
+    }
+  );
+
+  return VendorInvoice;
+};
@@ -11,6 +11,7 @@ const VendorModel = require('./Vendor');
 
 // New production models
 const BmsImportModel = require('./BmsImport');
+const BmsImportBatchModel = require('./BmsImportBatch');
 const EstimateModel = require('./Estimate');
 const EstimateLineItemModel = require('./EstimateLineItem');
 const PartsOrderModel = require('./PartsOrder');
@@ -28,6 +29,7 @@ const JobStageHistoryModel = require('./JobStageHistory');
 const TechnicianPerformanceModel = require('./TechnicianPerformance');
 const CommunicationTemplateModel = require('./CommunicationTemplate');
 const CommunicationLogModel = require('./CommunicationLog');
+const SmsConversationModel = require('./SmsConversation');
 const FinancialTransactionModel = require('./FinancialTransaction');
 
 // Phase 1 Comprehensive Collision Repair Models
@@ -60,9 +62,25 @@ const QuickBooksSyncLogModel = require('./QuickBooksSyncLog');
 // Digital Signature Model
 const SignatureModel = require('./Signature');
 
+// Quality Control Models
+const QualityCertificateModel = require('./QualityCertificate');
+
+// Parts Returns and Vendor Invoice Models
+const PartsReturnModel = require('./PartsReturn');
+const VendorCreditMemoModel = require('./VendorCreditMemo');
+const VendorInvoiceModel = require('./VendorInvoice');
+
 // Time Clock Model
 const TimeClockModel = require('./TimeClock');
 
+// Estimate Versioning Models
+const EstimateVersionModel = require('./EstimateVersion');
+const EstimateLineItemChangeModel = require('./EstimateLineItemChange');
+
+// Payroll Models
+const PayrollRunModel = require('./PayrollRun');
+const PayStubModel = require('./PayStub');
+
 const User = UserModel(sequelize);
 const Job = JobModel(sequelize);
 const Shop = ShopModel(sequelize);
@@ -73,6 +91,7 @@ const Vendor = VendorModel(sequelize);
 
 // New production models
 const BmsImport = BmsImportModel(sequelize);
+const BmsImportBatch = BmsImportBatchModel(sequelize);
 const Estimate = EstimateModel(sequelize);
 const EstimateLineItem = EstimateLineItemModel(sequelize);
 const PartsOrder = PartsOrderModel(sequelize);
@@ -90,6 +109,7 @@ const JobStageHistory = JobStageHistoryModel(sequelize);
 const TechnicianPerformance = TechnicianPerformanceModel(sequelize);
 const CommunicationTemplate = CommunicationTemplateModel(sequelize);
 const CommunicationLog = CommunicationLogModel(sequelize);
+const SmsConversation = SmsConversationModel(sequelize);
 const FinancialTransaction = FinancialTransactionModel(sequelize);
 
 // Phase 1 Comprehensive Collision Repair Models
@@ -122,9 +142,25 @@ const QuickBooksSyncLog = QuickBooksSyncLogModel(sequelize);
 // Digital Signature Model
 const Signature = SignatureModel(sequelize);
 
+// Quality Control Models
+const QualityCertificate = QualityCertificateModel(sequelize);
+
+// Parts Returns and Vendor Invoice Models
+const PartsReturn = PartsReturnModel(sequelize);
+const VendorCreditMemo = VendorCreditMemoModel(sequelize);
+const VendorInvoice = VendorInvoiceModel(sequelize);
+
 // Time Clock Model
 const TimeClock = TimeClockModel(sequelize);
 
+// Estimate Versioning Models
+const EstimateVersion = EstimateVersionModel(sequelize);
+const EstimateLineItemChange = EstimateLineItemChangeModel(sequelize);
+
+// Payroll Models
+const PayrollRun = PayrollRunModel(sequelize);
+const PayStub = PayStubModel(sequelize);
+
 // Define associations
 
 // Shop associations (central hub)
@@ -246,6 +282,9 @@ Part.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
 Vendor.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
 Job.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
 BmsImport.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+BmsImportBatch.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+BmsImportBatch.hasMany(BmsImport, { foreignKey: 'batchId', as: 'files' });
+BmsImport.belongsTo(BmsImportBatch, { foreignKey: 'batchId', as: 'batch' });
 Estimate.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
 // PartsOrder.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });  // Commented for testing
 LaborTimeEntry.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
@@ -488,10 +527,37 @@ CommunicationLog.belongsTo(CommunicationTemplate, {
   foreignKey: 'templateId',
   as: 'template',
 });
+CommunicationLog.belongsTo(User, {
+  foreignKey: 'senderId',
+  as: 'sender',
+});
 CommunicationLog.belongsTo(WorkflowStatus, {
   foreignKey: 'workflowStatusId',
   as: 'workflowStatus',
 });
+CommunicationLog.belongsTo(RepairOrderManagement, {
+  foreignKey: 'repairOrderId',
+  as: 'repairOrder',
+});
+RepairOrderManagement.hasMany(CommunicationLog, {
+  foreignKey: 'repairOrderId',
+  as: 'communications',
+});
+
+SmsConversation.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+SmsConversation.belongsTo(Customer, {
+  foreignKey: 'customerId',
+  as: 'customer',
+});
+SmsConversation.belongsTo(RepairOrderManagement, {
+  foreignKey: 'repairOrderId',
+  as: 'repairOrder',
+});
+SmsConversation.belongsTo(User, { foreignKey: 'assignedTo', as: 'assignee' });
+RepairOrderManagement.hasMany(SmsConversation, {
+  foreignKey: 'repairOrderId',
+  as: 'smsConversations',
+});
 
 FinancialTransaction.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
 FinancialTransaction.belongsTo(Customer, {
@@ -1172,6 +1238,32 @@ User.hasMany(Signature, { foreignKey: 'userId', as: 'signatures' });
 Customer.hasMany(Signature, { foreignKey: 'customerId', as: 'signatures' });
 RepairOrderManagement.hasMany(Signature, { foreignKey: 'repairOrderId', as: 'signatures' });
 
+// Quality Certificate Associations
+QualityCertificate.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+QualityCertificate.belongsTo(RepairOrderManagement, { foreignKey: 'repairOrderId', as: 'repairOrder' });
+QualityCertificate.belongsTo(User, { foreignKey: 'inspectorId', as: 'inspector' });
+QualityCertificate.belongsTo(Signature, { foreignKey: 'signatureId', as: 'signature' });
+RepairOrderManagement.hasMany(QualityCertificate, { foreignKey: 'repairOrderId', as: 'qualityCertificates' });
+
+// Parts Returns and Vendor Invoice Associations
+PartsReturn.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+PartsReturn.belongsTo(Vendor, { foreignKey: 'vendorId', as: 'vendor' });
+PartsReturn.belongsTo(PurchaseOrderSystem, { foreignKey: 'purchaseOrderId', as: 'purchaseOrder' });
+PartsReturn.belongsTo(RepairOrderManagement, { foreignKey: 'repairOrderId', as: 'repairOrder' });
+PartsReturn.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+VendorCreditMemo.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+VendorCreditMemo.belongsTo(Vendor, { foreignKey: 'vendorId', as: 'vendor' });
+VendorInvoice.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+VendorInvoice.belongsTo(Vendor, { foreignKey: 'vendorId', as: 'vendor' });
+VendorInvoice.belongsTo(PurchaseOrderSystem, { foreignKey: 'purchaseOrderId', as: 'purchaseOrder' });
+VendorInvoice.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+
+Vendor.hasMany(PartsReturn, { foreignKey: 'vendorId', as: 'partsReturns' });
+Vendor.hasMany(VendorCreditMemo, { foreignKey: 'vendorId', as: 'creditMemos' });
+Vendor.hasMany(VendorInvoice, { foreignKey: 'vendorId', as: 'invoices' });
+PurchaseOrderSystem.hasMany(VendorInvoice, { foreignKey: 'purchaseOrderId', as: 'vendorInvoices' });
+PurchaseOrderSystem.hasMany(PartsReturn, { foreignKey: 'purchaseOrderId', as: 'partsReturns' });
+
 // Time Clock Associations
 TimeClock.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
 TimeClock.belongsTo(User, { foreignKey: 'technicianId', as: 'technician' });
@@ -1184,6 +1276,28 @@ User.hasMany(TimeClock, { foreignKey: 'technicianId', as: 'timeClocks' });
 User.hasMany(TimeClock, { foreignKey: 'approvedBy', as: 'approvedTimeClocks' });
 Job.hasMany(TimeClock, { foreignKey: 'roId', as: 'timeClocks' });
 
+// Estimate Versioning Associations
+EstimateVersion.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+EstimateVersion.belongsTo(ClaimManagement, { foreignKey: 'claimManagementId', as: 'claim' });
+EstimateVersion.belongsTo(RepairOrderManagement, { foreignKey: 'repairOrderId', as: 'repairOrder' });
+EstimateVersion.belongsTo(EstimateVersion, { foreignKey: 'previousVersionId', as: 'previousVersion' });
+EstimateVersion.belongsTo(User, { foreignKey: 'importedBy', as: 'importer' });
+EstimateVersion.hasMany(EstimateLineItemChange, { foreignKey: 'versionId', as: 'changes' });
+EstimateLineItemChange.belongsTo(EstimateVersion, { foreignKey: 'versionId', as: 'version' });
+EstimateLineItemChange.belongsTo(ClaimManagement, { foreignKey: 'claimManagementId', as: 'claim' });
+
+ClaimManagement.hasMany(EstimateVersion, { foreignKey: 'claimManagementId', as: 'estimateVersions' });
+RepairOrderManagement.hasMany(EstimateVersion, { foreignKey: 'repairOrderId', as: 'estimateVersions' });
+
+// Payroll Associations
+PayrollRun.belongsTo(Shop, { foreignKey: 'shopId', as: 'shop' });
+PayrollRun.belongsTo(User, { foreignKey: 'approvedBy', as: 'approver' });
+PayrollRun.belongsTo(User, { foreignKey: 'lockedBy', as: 'locker' });
+PayrollRun.hasMany(PayStub, { foreignKey: 'payrollRunId', as: 'payStubs' });
+PayStub.belongsTo(PayrollRun, { foreignKey: 'payrollRunId', as: 'payrollRun' });
+PayStub.belongsTo(User, { foreignKey: 'technicianId', as: 'technician' });
+User.hasMany(PayStub, { foreignKey: 'technicianId', as: 'payStubs' });
+
 module.exports = {
   sequelize,
   User,
@@ -1194,6 +1308,7 @@ module.exports = {
   Part,
   Vendor,
   BmsImport,
+  BmsImportBatch,
   Estimate,
   EstimateLineItem,
   PartsOrder,
@@ -1210,6 +1325,7 @@ module.exports = {
   TechnicianPerformance,
   CommunicationTemplate,
   CommunicationLog,
+  SmsConversation,
   FinancialTransaction,
   // Phase 1 Comprehensive Collision Repair Models
   ContactTimeline,
@@ -1237,6 +1353,18 @@ module.exports = {
   QuickBooksSyncLog,
   // Digital Signature Model
   Signature,
+  // Quality Control Models
+  QualityCertificate,
+  // Parts Returns and Vendor Invoice Models
+  PartsReturn,
+  VendorCreditMemo,
+  VendorInvoice,
   // Time Clock Model
   TimeClock,
+  // Estimate Versioning Models
+  EstimateVersion,
+  EstimateLineItemChange,
+  // Payroll Models
+  PayrollRun,
+  PayStub,
 };
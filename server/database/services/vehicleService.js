@@ -18,6 +18,9 @@ class VehicleService {
       const where = {};
 
       // Apply filters based on criteria
+      if (criteria.shopId) {
+        where.shopId = criteria.shopId;
+      }
       if (criteria.vin) {
         where.vin = criteria.vin;
       }
@@ -226,6 +229,7 @@ class VehicleService {
       // Try to find existing vehicle by VIN first
       if (vehicleData.vin) {
         const existingVehicles = await this.findVehicles({
+          shopId: vehicleData.shopId,
           vin: vehicleData.vin,
         });
         if (existingVehicles.length > 0) {
@@ -237,6 +241,7 @@ class VehicleService {
       // Try to find by license plate for the same customer
       if (vehicleData.license && customerId) {
         const existingVehicles = await this.findVehicles({
+          shopId: vehicleData.shopId,
           license: vehicleData.license,
           customerId: customerId,
         });
@@ -21,12 +21,14 @@ const vendorRoutes = require('./routes/vendors');
 const financialRoutes = require('./routes/financial');
 const qualityRoutes = require('./routes/quality');
 const reportRoutes = require('./routes/reports');
+const payrollRoutes = require('./routes/payroll');
 const integrationRoutes = require('./routes/integrations');
 const notificationRoutes = require('./routes/notifications');
 const attachmentRoutes = require('./routes/attachments');
 const importRoutes = require('./api/import');
 const bmsApiRoutes = require('./routes/bmsApi');
 const bmsImportRoutes = require('./routes/bmsImport');
+const importWatcherRoutes = require('./routes/importWatcher');
 const dashboardRoutes = require('./routes/dashboard');
 // IMEX-Level Enhancement Routes
 const productionRoutes = require('./routes/production');
@@ -38,10 +40,14 @@ const timeclockRoutes = require('./routes/timeclock');
 const purchaseOrderRoutes = require('./routes/purchaseOrders');
 const repairOrderRoutes = require('./routes/repairOrders');
 const partsWorkflowRoutes = require('./routes/partsWorkflow');
+const partsReturnsRoutes = require('./routes/partsReturns');
+const vendorInvoicesRoutes = require('./routes/vendorInvoices');
+const partsReceivingRoutes = require('./routes/partsReceiving');
 const partsStatusUpdateRoutes = require('./routes/partsStatusUpdate'); // Parts status workflow API
 const schedulingRoutes = require('./routes/scheduling');
 const loanerFleetRoutes = require('./routes/loanerFleet');
 const customerCommunicationRoutes = require('./routes/customerCommunication');
+const twilioWebhookRoutes = require('./routes/twilioWebhooks');
 const qualityControlRoutes = require('./routes/qualityControl');
 const aiRoutes = require('./routes/ai');
 
@@ -84,6 +90,10 @@ const {
 } = require('./middleware/security');
 const { swaggerUi, specs } = require('./docs/swagger');
 const { realtimeService } = require('./services/realtimeService');
+const importWatcherService = require('./services/importWatcherService');
+const bmsBatchProcessor = require('./services/bmsBatchProcessor');
+const messageDeliveryService = require('./services/messageDeliveryService');
+const partsReturnService = require('./services/partsReturnService');
 
 const app = express();
 const PORT = process.env.SERVER_PORT || 3002; // Standardized on 3002 for frontend-backend connectivity
@@ -286,12 +296,15 @@ app.use('/api/v1/vendors', authenticateToken(), vendorRoutes);
 app.use('/api/v1/financial', authenticateToken(), financialRoutes);
 app.use('/api/v1/quality', authenticateToken(), qualityRoutes);
 app.use('/api/v1/reports', authenticateToken(), reportRoutes);
+app.use('/api/v1/payroll', authenticateToken(), payrollRoutes);
+app.use('/api/v1/integrations', integrationRoutes.publicWebhooks); // Verified by webhook signature
 app.use('/api/v1/integrations', authenticateToken(), integrationRoutes);
 app.use('/api/v1/notifications', authenticateToken(), notificationRoutes);
 app.use('/api/v1/attachments', authenticateToken(), attachmentRoutes);
 app.use('/api/v1/import', optionalAuth, importRoutes);
 app.use('/api/v1/bms', authenticateToken(), bmsApiRoutes);
 app.use('/api/v1/bms-import', optionalAuth, bmsImportRoutes);
+app.use('/api/v1/import-watcher', authenticateToken(), importWatcherRoutes);
 app.use('/api/v1/dashboard', optionalAuth, dashboardRoutes); // Dashboard endpoints with optional auth
 // IMEX-Level Enhancement API Routes (v1)
 app.use('/api/v1/production', authenticateToken(), productionRoutes);
@@ -305,6 +318,9 @@ app.use('/api/v1/pos', authenticateToken(), purchaseOrderRoutes); // Shorter ali
 app.use('/api/v1/repair-orders', authenticateToken(), repairOrderRoutes);
 app.use('/api/v1/ros', authenticateToken(), repairOrderRoutes); // Shorter alias
 app.use('/api/v1/parts-workflow', authenticateToken(), partsWorkflowRoutes);
+app.use('/api/v1/parts-returns', authenticateToken(), partsReturnsRoutes);
+app.use('/api/v1/vendor-invoices', authenticateToken(), vendorInvoicesRoutes);
+app.use('/api/v1/parts-receiving', authenticateToken(), partsReceivingRoutes);
 app.use('/api/v1/scheduling', authenticateToken(), schedulingRoutes);
 app.use('/api/v1/loaner-fleet', authenticateToken(), loanerFleetRoutes);
 app.use('/api/v1/loaners', authenticateToken(), loanerFleetRoutes); // Shorter alias
@@ -313,6 +329,7 @@ app.use(
   authenticateToken(),
   customerCommunicationRoutes
 );
+app.use('/api/v1/webhooks/twilio', twilioWebhookRoutes); // Verified by Twilio signature
 app.use('/api/v1/qc', authenticateToken(), qualityControlRoutes);
 app.use('/api/v1/quality-control', authenticateToken(), qualityControlRoutes); // Full name alias
 app.use('/api/v1/ai', authenticateToken(), aiRoutes);
@@ -343,12 +360,15 @@ app.use('/api/vendors', authenticateToken(), vendorRoutes);
 app.use('/api/financial', authenticateToken(), financialRoutes);
 app.use('/api/quality', authenticateToken(), qualityRoutes);
 app.use('/api/reports', authenticateToken(), reportRoutes);
+app.use('/api/payroll', authenticateToken(), payrollRoutes);
+app.use('/api/integrations', integrationRoutes.publicWebhooks);
 app.use('/api/integrations', authenticateToken(), integrationRoutes);
 app.use('/api/notifications', authenticateToken(), notificationRoutes);
 app.use('/api/attachments', authenticateToken(), attachmentRoutes);
 app.use('/api/import', optionalAuth, importRoutes);
 app.use('/api/bms', optionalAuth, bmsApiRoutes);
 app.use('/api/bms-import', optionalAuth, bmsImportRoutes);
+app.use('/api/import-watcher', authenticateToken(), importWatcherRoutes);
 app.use('/api/dashboard', optionalAuth, dashboardRoutes); // Dashboard endpoints with optional auth
 // IMEX-Level Enhancement API Routes (legacy)
 app.use('/api/production', authenticateToken(), productionRoutes);
@@ -362,6 +382,9 @@ app.use('/api/pos', authenticateToken(), purchaseOrderRoutes);
 app.use('/api/repair-orders', authenticateToken(), repairOrderRoutes);
 app.use('/api/ros', authenticateToken(), repairOrderRoutes);
 app.use('/api/parts-workflow', authenticateToken(), partsWorkflowRoutes);
+app.use('/api/parts-returns', authenticateToken(), partsReturnsRoutes);
+app.use('/api/vendor-invoices', authenticateToken(), vendorInvoicesRoutes);
+app.use('/api/parts-receiving', authenticateToken(), partsReceivingRoutes);
 app.use('/api/scheduling', authenticateToken(), schedulingRoutes);
 app.use('/api/loaner-fleet', authenticateToken(), loanerFleetRoutes);
 app.use('/api/loaners', authenticateToken(), loanerFleetRoutes);
@@ -370,6 +393,7 @@ app.use(
   authenticateToken(),
   customerCommunicationRoutes
 );
+app.use('/api/webhooks/twilio', twilioWebhookRoutes);
 app.use('/api/qc', authenticateToken(), qualityControlRoutes);
 app.use('/api/quality-control', authenticateToken(), qualityControlRoutes);
 app.use('/api/ai', aiRoutes);
@@ -497,6 +521,32 @@ async function startServer() {
       console.log('📡 Real-time: Socket.io');
       console.log('=====================================\n');
     });
+
+    // Start per-shop BMS watch folders
+    try {
+      const watcherCount = await importWatcherService.startAll();
+      if (watcherCount > 0) {
+        console.log(`🔍 ${watcherCount} import watch folder(s) active`);
+      }
+    } catch (error) {
+      console.error('⚠️ Import watchers not started:', error.message);
+    }
+
+    // Resume batch imports interrupted by the last shutdown
+    try {
+      const resumedCount = await bmsBatchProcessor.resumeUnfinished();
+      if (resumedCount > 0) {
+        console.log(`📦 Resumed ${resumedCount} unfinished import batch(es)`);
+      }
+    } catch (error) {
+      console.error('⚠️ Import batches not resumed:', error.message);
+    }
+
+    // Send customer messages queued for a later time
+    messageDeliveryService.startScheduler();
+
+    // Flag parts returns and vendor credits that are running late
+    partsReturnService.startOverdueCheck();
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
@@ -508,6 +558,11 @@ const gracefulShutdown = async signal => {
   console.log(`\n${signal} received, shutting down gracefully...`);
 
   try {
+    // Stop watch folders before closing the database
+    await importWatcherService.stopAll();
+    messageDeliveryService.stopScheduler();
+    partsReturnService.stopOverdueCheck();
+
     // Clean up real-time subscriptions
     await realtimeService.close();
 
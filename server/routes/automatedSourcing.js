@@ -314,9 +314,10 @@ router.get('/processing-history', async (req, res) => {
     const offset = parseInt(req.query.offset) || 0;
 
     // Get processing history from BMS service
-    const history = Array.from(bmsService.importHistory.values())
-      .filter(record => record.automatedSourcing)
-      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+    const { records } = await bmsService.listImportRecords({ shopId: req.user?.shopId });
+    const sourcingRecords = records.filter(record => record.automatedSourcing);
+
+    const history = sourcingRecords
       .slice(offset, offset + limit)
       .map(record => ({
         id: record.id,
@@ -334,10 +335,9 @@ router.get('/processing-history', async (req, res) => {
       }));
 
     // Calculate summary statistics
-    const totalProcessed = Array.from(bmsService.importHistory.values())
-      .filter(record => record.automatedSourcing).length;
+    const totalProcessed = sourcingRecords.length;
 
-    const successfulProcessing = Array.from(bmsService.importHistory.values())
+    const successfulProcessing = sourcingRecords
       .filter(record => record.automatedSourcing?.success).length;
 
     const avgProcessingTime = history.length > 0 ?
@@ -470,6 +470,7 @@ router.post(
         pauseOnError,
         maxRetries,
         validateFirst,
+        shopId: req.user.shopId,
         userId: req.user.id,
         userAgent: req.headers['user-agent'],
       };
@@ -483,7 +484,7 @@ router.post(
       }));
 
       // Create batch job
-      const batch = batchProcessor.createBatch(fileObjects, batchOptions);
+      const batch = await batchProcessor.createBatch(fileObjects, batchOptions);
 
       // Start processing asynchronously
       batchProcessor.startBatch(batch.id).catch(error => {
@@ -538,7 +539,10 @@ router.get(
   async (req, res) => {
     try {
       const { batchId } = req.params;
-      const status = batchProcessor.getBatchStatus(batchId);
+      const status = await batchProcessor.getBatchStatus(
+        batchId,
+        req.user.shopId
+      );
 
       if (!status) {
         return res.status(404).json({
@@ -582,13 +586,13 @@ router.post(
       let result;
       switch (action) {
         case 'pause':
-          result = await batchProcessor.pauseBatch(batchId);
+          result = await batchProcessor.pauseBatch(batchId, req.user.shopId);
           break;
         case 'resume':
-          result = await batchProcessor.resumeBatch(batchId);
+          result = await batchProcessor.resumeBatch(batchId, req.user.shopId);
           break;
         case 'cancel':
-          result = await batchProcessor.cancelBatch(batchId);
+          result = await batchProcessor.cancelBatch(batchId, req.user.shopId);
           break;
       }
 
@@ -607,7 +611,7 @@ router.post(
         operation: 'batch_control',
       });
 
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         error: errorReport.analysis.userMessage,
         errorId: errorReport.id,
         message: `Failed to ${req.params.action} batch`,
@@ -704,6 +708,7 @@ router.get(
         limit: parseInt(limit),
         status,
         userId,
+        shopId: req.user.shopId,
         requestingUserId: req.user.id,
       });
 
@@ -745,11 +750,11 @@ router.get(
 
       // Get processing statistics
       const statistics = {
-        overall: batchProcessor.getOverallStatistics(),
+        overall: await batchProcessor.getOverallStatistics(req.user.shopId),
         errors: errorReporter.getErrorStatistics(),
         period: {
           name: period,
-          data: await bmsService.getStatistics(period, groupBy),
+          data: await bmsService.getStatistics(period, groupBy, req.user.shopId),
         },
       };
 
@@ -10,12 +10,15 @@
  * - Bulk communication system (up to 100 recipients)
  * - Communication history and engagement metrics
  * - Template management with automated triggers
+ * - Two-way SMS conversations threaded per repair order
+ * - Template sending rules: business hours, frequency caps, A/B variants
+ * - Automatic status updates on production, parts and QC events
  */
 
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const {
   ContactTimeline,
   CommunicationTemplate,
@@ -26,6 +29,10 @@ const {
   ProductionWorkflow,
 } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
+const messageDeliveryService = require('../services/messageDeliveryService');
+const smsConversationService = require('../services/smsConversationService');
+const messageDispatcher = require('../services/messageDispatcher');
+const customerNotificationRules = require('../services/customerNotificationRules');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for communication operations
@@ -84,7 +91,9 @@ router.post('/send', communicationRateLimit, async (req, res) => {
     const { shopId, userId } = req.user;
 
     // Validate customer
-    const customer = await Customer.findByPk(customer_id);
+    const customer = await Customer.findOne({
+      where: { id: customer_id, shopId },
+    });
     if (!customer) {
       return res.status(404).json({
         success: false,
@@ -123,57 +132,30 @@ router.post('/send', communicationRateLimit, async (req, res) => {
       });
     }
 
-    // Create communication log entry
-    const communication_log = await CommunicationLog.create({
-      customerId: customer_id,
-      repairOrderId: ro_id,
-      templateId: template_id,
-      communication_type,
-      channels: JSON.stringify(delivery_channels.valid_channels),
-      subject: processed_message.subject,
-      message_content: processed_message.content,
-      priority,
-      status: scheduled_send ? 'scheduled' : 'sending',
-      scheduled_send_date: scheduled_send ? new Date(scheduled_send) : null,
-      shopId,
-      createdBy: userId,
-      updatedBy: userId,
+    // Send (or queue) through each channel; every channel gets its own
+    // communication log entry. Template rules may hold messages until
+    // business hours or suppress them.
+    const delivery_results = await messageDispatcher.dispatch({
+      channels: delivery_channels.valid_channels,
+      customer,
+      message: processed_message,
+      template,
+      variables: processed_message.variables,
+      context: {
+        shopId,
+        userId,
+        repairOrderId: ro_id,
+        templateId: template_id,
+        priority,
+        category: communication_type,
+      },
+      sendAt: scheduled_send,
     });
-
-    // Send messages through each channel
-    const delivery_results = [];
-
-    if (!scheduled_send) {
-      for (const channel of delivery_channels.valid_channels) {
-        const delivery_result = await sendThroughChannel(
-          channel,
-          customer,
-          processed_message,
-          communication_log.id
-        );
-        delivery_results.push(delivery_result);
-      }
-
-      // Update communication log with delivery results
-      const successful_deliveries = delivery_results.filter(r => r.success);
-      const failed_deliveries = delivery_results.filter(r => !r.success);
-
-      await CommunicationLog.update(
-        {
-          status: successful_deliveries.length > 0 ? 'sent' : 'failed',
-          sent_date: successful_deliveries.length > 0 ? new Date() : null,
-          delivery_results: JSON.stringify(delivery_results),
-          failure_reason:
-            failed_deliveries.length > 0
-              ? failed_deliveries.map(f => f.error).join('; ')
-              : null,
-          updatedBy: userId,
-        },
-        {
-          where: { id: communication_log.id },
-        }
-      );
-    }
+    const communication_ids = delivery_results.map(r => r.communication_id);
+    const queued_results = delivery_results.filter(r => r.status === 'queued');
+    const is_scheduled =
+      queued_results.length > 0 &&
+      queued_results.length === delivery_results.length;
 
     // Create contact timeline entry
     await ContactTimeline.create({
@@ -197,11 +179,11 @@ router.post('/send', communicationRateLimit, async (req, res) => {
     // Broadcast real-time notification
     realtimeService.broadcastCommunicationUpdate(
       {
-        communication_id: communication_log.id,
+        communication_id: communication_ids[0],
         customer_name: `${customer.firstName} ${customer.lastName}`,
         communication_type,
         channels: delivery_channels.valid_channels,
-        status: scheduled_send ? 'scheduled' : 'sent',
+        status: is_scheduled ? 'scheduled' : 'sent',
         priority,
       },
       'sent'
@@ -209,23 +191,25 @@ router.post('/send', communicationRateLimit, async (req, res) => {
 
     res.json({
       success: true,
-      message: scheduled_send
+      message: is_scheduled
         ? 'Communication scheduled successfully'
         : 'Communication sent successfully',
       data: {
-        communication_id: communication_log.id,
+        communication_id: communication_ids[0],
+        communication_ids,
         delivery_summary: {
           channels_attempted: delivery_channels.valid_channels,
           successful_deliveries: delivery_results.filter(r => r.success).length,
           failed_deliveries: delivery_results.filter(r => !r.success).length,
-          delivery_results: scheduled_send ? null : delivery_results,
+          delivery_results,
         },
-        scheduling: scheduled_send
-          ? {
-              scheduled_for: scheduled_send,
-              status: 'scheduled',
-            }
-          : null,
+        scheduling:
+          queued_results.length > 0
+            ? {
+                scheduled_for: queued_results[0].scheduled_for,
+                status: 'scheduled',
+              }
+            : null,
         next_steps: delivery_results.some(r => !r.success)
           ? ['Review failed deliveries', 'Consider alternative channels']
           : ['Monitor delivery confirmation', 'Track customer response'],
@@ -339,49 +323,26 @@ router.post('/auto-trigger', async (req, res) => {
       repair_order.customer
     );
 
-    // Create automated communication log
-    const communication_log = await CommunicationLog.create({
-      customerId: repair_order.customerId,
-      repairOrderId: ro_id,
-      templateId: automation_template.id,
-      communication_type: `auto_${trigger_event}`,
-      channels: JSON.stringify(delivery_channels.valid_channels),
-      subject: processed_message.subject,
-      message_content: processed_message.content,
-      priority: automation_template.priority || 'normal',
-      status: 'sending',
-      automated: true,
-      trigger_event: trigger_event,
-      trigger_data: JSON.stringify(event_data),
-      shopId,
-      createdBy: userId,
-      updatedBy: userId,
-    });
-
-    // Send automated messages
-    const delivery_results = [];
-    for (const channel of delivery_channels.valid_channels) {
-      const result = await sendThroughChannel(
-        channel,
-        repair_order.customer,
-        processed_message,
-        communication_log.id
-      );
-      delivery_results.push(result);
-    }
-
-    // Update log with results
-    await CommunicationLog.update(
-      {
-        status: delivery_results.some(r => r.success) ? 'sent' : 'failed',
-        sent_date: new Date(),
-        delivery_results: JSON.stringify(delivery_results),
-        updatedBy: userId,
+    // Send automated messages, logged per channel
+    const delivery_results = await messageDispatcher.dispatch({
+      channels: delivery_channels.valid_channels,
+      customer: repair_order.customer,
+      message: processed_message,
+      template: automation_template,
+      variables: template_variables,
+      context: {
+        shopId,
+        userId,
+        repairOrderId: repair_order.id,
+        templateId: automation_template.id,
+        priority: automation_template.priority || 'normal',
+        category: `auto_${trigger_event}`,
+        triggerEvent: trigger_event,
+        isAutomated: true,
+        businessHoursOnly: automation_check.business_hours_only,
       },
-      {
-        where: { id: communication_log.id },
-      }
-    );
+    });
+    const communication_ids = delivery_results.map(r => r.communication_id);
 
     // Create timeline entry
     await ContactTimeline.create({
@@ -405,7 +366,7 @@ router.post('/auto-trigger', async (req, res) => {
     // Broadcast real-time notification
     realtimeService.broadcastCommunicationUpdate(
       {
-        communication_id: communication_log.id,
+        communication_id: communication_ids[0],
         customer_name: `${repair_order.customer.firstName} ${repair_order.customer.lastName}`,
         ro_number: repair_order.ro_number,
         trigger_event,
@@ -419,7 +380,8 @@ router.post('/auto-trigger', async (req, res) => {
       success: true,
       message: 'Automated communication triggered successfully',
       data: {
-        communication_id: communication_log.id,
+        communication_id: communication_ids[0],
+        communication_ids,
         trigger_event,
         automation_template: automation_template.name,
         delivery_summary: {
@@ -439,6 +401,130 @@ router.post('/auto-trigger', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/communication/auto-notifications/preview - What an event would send
+ *
+ * Body: {
+ *   ro_id?: number,
+ *   job_id?: string,
+ *   event?: 'job.stage_changed' | 'parts.received' | 'qc.completed',
+ *   stage?: string (defaults to the RO's production stage)
+ * }
+ */
+router.post(
+  '/auto-notifications/preview',
+  [
+    body('ro_id').optional().isInt().withMessage('ro_id must be a number'),
+    body('job_id').optional().isUUID().withMessage('Invalid job ID format'),
+    body('event').optional().isString(),
+    body('stage').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const preview = await customerNotificationRules.preview(
+        req.user.shopId,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        data: {
+          event: preview.event.name,
+          stage: preview.event.toStage || preview.event.stage || null,
+          ro_id: preview.repairOrder?.id || null,
+          ro_number: preview.repairOrder?.repairOrderNumber || null,
+          customer_name: `${preview.customer.firstName} ${preview.customer.lastName}`,
+          auto_notifications_enabled: preview.enabled,
+          messages: preview.messages.map(formatNotificationPreview),
+        },
+      });
+    } catch (error) {
+      console.error('Auto-notification preview error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to preview automatic notifications',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/communication/repair-orders/:roId/auto-notifications
+ */
+router.get('/repair-orders/:roId/auto-notifications', async (req, res) => {
+  try {
+    const repairOrder = await customerNotificationRules.getSettings(
+      req.user.shopId,
+      req.params.roId
+    );
+
+    res.json({ success: true, data: formatNotificationSettings(repairOrder) });
+  } catch (error) {
+    console.error('Auto-notification settings error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get automatic notification settings',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/communication/repair-orders/:roId/auto-notifications - Opt an RO
+ * in or out of automatic status updates
+ *
+ * Body: { enabled: boolean, reason?: string }
+ */
+router.put(
+  '/repair-orders/:roId/auto-notifications',
+  [
+    body('enabled').isBoolean().withMessage('enabled must be true or false'),
+    body('reason').optional().isString().isLength({ max: 255 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const repairOrder = await customerNotificationRules.setEnabled(
+        req.user.shopId,
+        req.params.roId,
+        req.body.enabled,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: `Automatic notifications ${repairOrder.autoNotificationsEnabled ? 'enabled' : 'disabled'}`,
+        data: formatNotificationSettings(repairOrder),
+      });
+    } catch (error) {
+      console.error('Auto-notification opt-out error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to update automatic notification settings',
+        error: error.message,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/communication/history/:customerId - Customer communication history
  */
@@ -545,6 +631,394 @@ router.get('/history/:customerId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/communication/portal-inbox/:customerId - Customer portal inbox
+ *
+ * Query: unread_only?, limit?
+ */
+router.get('/portal-inbox/:customerId', async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { shopId } = req.user;
+    const { unread_only = 'false', limit = 50 } = req.query;
+
+    const messages = await messageDeliveryService.getPortalInbox(
+      shopId,
+      customerId,
+      {
+        unreadOnly: unread_only === 'true',
+        limit: Math.min(parseInt(limit, 10) || 50, 200),
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        customer_id: customerId,
+        unread_count: messages.filter(m => !m.wasOpened).length,
+        messages: messages.map(formatPortalMessage),
+      },
+    });
+  } catch (error) {
+    console.error('Portal inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get portal inbox',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/communication/portal-inbox/:customerId/:messageId/read
+ */
+router.post('/portal-inbox/:customerId/:messageId/read', async (req, res) => {
+  try {
+    const { customerId, messageId } = req.params;
+    const { shopId } = req.user;
+
+    const message = await messageDeliveryService.markPortalMessageRead(
+      shopId,
+      customerId,
+      messageId,
+      { userAgent: req.get('User-Agent'), ipAddress: req.ip }
+    );
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    res.json({ success: true, data: formatPortalMessage(message) });
+  } catch (error) {
+    console.error('Portal inbox read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark message as read',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/communication/conversations - Two-way SMS conversations
+ *
+ * Query: status? (open|closed|all), assigned_to? (user id|me|unassigned),
+ *        unread_only?, ro_id?
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const {
+      status = 'open',
+      assigned_to,
+      unread_only = 'false',
+      ro_id,
+    } = req.query;
+
+    const [conversations, unread] = await Promise.all([
+      smsConversationService.listConversations(shopId, {
+        status,
+        assignedTo: assigned_to === 'me' ? userId : assigned_to,
+        unreadOnly: unread_only === 'true',
+        repairOrderId: ro_id,
+      }),
+      smsConversationService.getUnreadSummary(shopId, userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        shop_id: shopId,
+        ...unread,
+        conversations: conversations.map(formatConversation),
+      },
+    });
+  } catch (error) {
+    console.error('Conversation list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get conversations',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/communication/conversations/unread-count
+ */
+router.get('/conversations/unread-count', async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const unread = await smsConversationService.getUnreadSummary(
+      shopId,
+      userId
+    );
+
+    res.json({ success: true, data: { shop_id: shopId, ...unread } });
+  } catch (error) {
+    console.error('Unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread count',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/communication/conversations/assignees - Staff who can own a thread
+ */
+router.get('/conversations/assignees', async (req, res) => {
+  try {
+    const users = await smsConversationService.getAssignees(req.user.shopId);
+
+    res.json({
+      success: true,
+      data: users.map(user => ({
+        user_id: user.id,
+        name: `${user.firstName} ${user.lastName}`,
+        role: user.role,
+      })),
+    });
+  } catch (error) {
+    console.error('Conversation assignees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get assignees',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/communication/conversations/quick-replies
+ */
+router.get('/conversations/quick-replies', async (req, res) => {
+  try {
+    const templates = await smsConversationService.getQuickReplies(
+      req.user.shopId
+    );
+
+    res.json({ success: true, data: templates.map(formatQuickReply) });
+  } catch (error) {
+    console.error('Quick replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quick replies',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/communication/conversations/quick-replies
+ *
+ * Body: { name: string, content: string, category?: string }
+ */
+router.post(
+  '/conversations/quick-replies',
+  [
+    body('name').trim().notEmpty().withMessage('name is required'),
+    body('content')
+      .trim()
+      .isLength({ min: 1, max: 1600 })
+      .withMessage('content must be 1-1600 characters'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const template = await smsConversationService.createQuickReply(
+        req.user.shopId,
+        req.body,
+        req.user
+      );
+
+      res.status(201).json({ success: true, data: formatQuickReply(template) });
+    } catch (error) {
+      console.error('Quick reply create error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to create quick reply',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/communication/conversations - Open the thread for a repair order
+ *
+ * Body: { ro_id: number }
+ */
+router.post(
+  '/conversations',
+  [body('ro_id').isInt().withMessage('ro_id is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const conversation = await smsConversationService.startForRepairOrder(
+        req.user.shopId,
+        req.body.ro_id
+      );
+
+      res.json({ success: true, data: formatConversation(conversation) });
+    } catch (error) {
+      console.error('Conversation start error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to start conversation',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/communication/conversations/:id - Thread messages, marks it read
+ *
+ * Query: mark_read? (default true)
+ */
+router.get('/conversations/:id', async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { conversation, messages } = await smsConversationService.getThread(
+      shopId,
+      req.params.id,
+      { markRead: req.query.mark_read !== 'false', userId }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatConversation(conversation),
+        messages: messages.map(formatConversationMessage),
+      },
+    });
+  } catch (error) {
+    console.error('Conversation thread error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get conversation',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/communication/conversations/:id/reply
+ *
+ * Body: { content?: string, template_id?: string, variables?: object }
+ */
+router.post(
+  '/conversations/:id/reply',
+  communicationRateLimit,
+  [
+    body('content').optional().isLength({ max: 1600 }),
+    body('template_id').optional().isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { conversation, delivery } = await smsConversationService.reply(
+        req.user.shopId,
+        req.params.id,
+        req.body,
+        req.user
+      );
+
+      res.status(delivery.success ? 200 : 422).json({
+        success: delivery.success,
+        data: {
+          conversation: formatConversation(conversation),
+          delivery,
+        },
+      });
+    } catch (error) {
+      console.error('Conversation reply error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to send reply',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/communication/conversations/:id/assign
+ *
+ * Body: { user_id: string | null }
+ */
+router.post('/conversations/:id/assign', async (req, res) => {
+  try {
+    const conversation = await smsConversationService.assign(
+      req.user.shopId,
+      req.params.id,
+      req.body.user_id || null
+    );
+
+    res.json({ success: true, data: formatConversation(conversation) });
+  } catch (error) {
+    console.error('Conversation assign error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to assign conversation',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/communication/conversations/:id/status
+ *
+ * Body: { status: 'open' | 'closed' }
+ */
+router.post('/conversations/:id/status', async (req, res) => {
+  try {
+    const conversation = await smsConversationService.setStatus(
+      req.user.shopId,
+      req.params.id,
+      req.body.status
+    );
+
+    res.json({ success: true, data: formatConversation(conversation) });
+  } catch (error) {
+    console.error('Conversation status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update conversation',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/communication/templates - Manage communication templates
  *
@@ -691,6 +1165,58 @@ router.get('/templates', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/communication/templates/:id/performance - Delivery and A/B results
+ */
+router.get('/templates/:id/performance', async (req, res) => {
+  try {
+    const template = await CommunicationTemplate.findOne({
+      where: { id: req.params.id, shopId: req.user.shopId },
+    });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    await messageDispatcher.rollUpTemplateStats(template.id);
+    await template.reload();
+
+    res.json({
+      success: true,
+      data: {
+        template_id: template.id,
+        name: template.templateName,
+        sent: template.sentCount,
+        delivered: template.deliveredCount,
+        opened: template.openedCount,
+        clicked: template.clickedCount,
+        responses: template.responseCount,
+        bounced: template.bounceCount,
+        unsubscribed: template.unsubscribeCount,
+        delivery_rate: template.deliveryRate,
+        open_rate: template.openRate,
+        click_rate: template.clickRate,
+        response_rate: template.responseRate,
+        ab_test: template.abTestEnabled
+          ? {
+              split: template.abTestSplit,
+              variants: template.testResults?.variants || {},
+            }
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error('Template performance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get template performance',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/communication/bulk-send - Bulk communications
  *
@@ -765,55 +1291,29 @@ router.post('/bulk-send', bulkCommunicationRateLimit, async (req, res) => {
           shopId
         );
 
-        // Create individual communication log
-        const comm_log = await CommunicationLog.create({
-          customerId: recipient.customer.id,
-          repairOrderId: recipient.ro_id,
-          templateId: template_id,
-          communication_type: 'bulk_communication',
-          channels: JSON.stringify(channels),
-          subject: processed_message.subject,
-          message_content: processed_message.content,
-          priority,
-          status: scheduled_send ? 'scheduled' : 'sending',
-          scheduled_send_date: scheduled_send ? new Date(scheduled_send) : null,
-          bulk_job_id,
-          shopId,
-          createdBy: userId,
-          updatedBy: userId,
+        const delivery_channels = await validateDeliveryChannels(
+          channels,
+          recipient.customer
+        );
+        const channel_results = await messageDispatcher.dispatch({
+          channels: delivery_channels.valid_channels,
+          customer: recipient.customer,
+          message: processed_message,
+          template,
+          variables: processed_message.variables,
+          context: {
+            shopId,
+            userId,
+            repairOrderId: recipient.ro_id,
+            templateId: template_id,
+            priority,
+            category: 'bulk_communication',
+            campaignId: bulk_job_id,
+          },
+          sendAt: scheduled_send,
         });
 
-        // Send if not scheduled
         if (!scheduled_send) {
-          const delivery_channels = await validateDeliveryChannels(
-            channels,
-            recipient.customer
-          );
-          const channel_results = [];
-
-          for (const channel of delivery_channels.valid_channels) {
-            const result = await sendThroughChannel(
-              channel,
-              recipient.customer,
-              processed_message,
-              comm_log.id
-            );
-            channel_results.push(result);
-          }
-
-          // Update communication log
-          await CommunicationLog.update(
-            {
-              status: channel_results.some(r => r.success) ? 'sent' : 'failed',
-              sent_date: new Date(),
-              delivery_results: JSON.stringify(channel_results),
-              updatedBy: userId,
-            },
-            {
-              where: { id: comm_log.id },
-            }
-          );
-
           delivery_results.push({
             customer_id: recipient.customer.id,
             customer_name: `${recipient.customer.firstName} ${recipient.customer.lastName}`,
@@ -914,7 +1414,9 @@ async function processMessageContent(
 
   // Add RO-specific variables if applicable
   if (ro_id) {
-    const ro = await RepairOrderManagement.findByPk(ro_id);
+    const ro = await RepairOrderManagement.findOne({
+      where: { id: ro_id, shopId },
+    });
     if (ro) {
       variables.ro_number = ro.ro_number;
       variables.ro_status = ro.status;
@@ -925,6 +1427,7 @@ async function processMessageContent(
   return {
     subject: substituteVariables(base_subject, variables),
     content: substituteVariables(base_content, variables),
+    variables,
   };
 }
 
@@ -945,93 +1448,17 @@ async function validateDeliveryChannels(channels, customer) {
   const channel_issues = [];
 
   for (const channel of channels) {
-    switch (channel) {
-      case 'sms':
-        if (customer.phone && customer.sms_opt_in !== false) {
-          valid_channels.push('sms');
-        } else {
-          channel_issues.push('SMS: No phone number or opted out');
-        }
-        break;
-
-      case 'email':
-        if (customer.email && customer.email_opt_in !== false) {
-          valid_channels.push('email');
-        } else {
-          channel_issues.push('Email: No email address or opted out');
-        }
-        break;
-
-      case 'portal':
-        if (customer.portal_enabled) {
-          valid_channels.push('portal');
-        } else {
-          channel_issues.push('Portal: Customer portal not enabled');
-        }
-        break;
-
-      default:
-        channel_issues.push(`${channel}: Unsupported channel`);
+    const consent = messageDeliveryService.checkConsent(channel, customer);
+    if (consent.allowed) {
+      valid_channels.push(channel);
+    } else {
+      channel_issues.push(`${channel}: ${consent.reason}`);
     }
   }
 
   return { valid_channels, channel_issues };
 }
 
-async function sendThroughChannel(
-  channel,
-  customer,
-  message,
-  communication_log_id
-) {
-  // Mock implementation - in real system would integrate with actual services
-  try {
-    switch (channel) {
-      case 'sms':
-        // Integration with SMS service (Twilio, etc.)
-        console.log(
-          `SMS to ${customer.phone}: ${message.content.substring(0, 50)}...`
-        );
-        return {
-          channel: 'sms',
-          success: true,
-          delivery_id: `SMS-${Date.now()}`,
-          sent_at: new Date().toISOString(),
-        };
-
-      case 'email':
-        // Integration with email service (SendGrid, etc.)
-        console.log(`Email to ${customer.email}: ${message.subject}`);
-        return {
-          channel: 'email',
-          success: true,
-          delivery_id: `EMAIL-${Date.now()}`,
-          sent_at: new Date().toISOString(),
-        };
-
-      case 'portal':
-        // Create portal notification
-        console.log(`Portal notification for customer ${customer.id}`);
-        return {
-          channel: 'portal',
-          success: true,
-          delivery_id: `PORTAL-${Date.now()}`,
-          sent_at: new Date().toISOString(),
-        };
-
-      default:
-        throw new Error(`Unsupported channel: ${channel}`);
-    }
-  } catch (error) {
-    return {
-      channel,
-      success: false,
-      error: error.message,
-      attempted_at: new Date().toISOString(),
-    };
-  }
-}
-
 async function getAutomationTemplate(trigger_event, shopId) {
   return await CommunicationTemplate.findOne({
     where: {
@@ -1047,24 +1474,16 @@ async function evaluateAutomationRules(template, repair_order, event_data) {
   // Simple rule evaluation - in real implementation would be more sophisticated
   const rules = JSON.parse(template.automation_rules || '{}');
 
-  // Example rules evaluation
-  if (rules.only_business_hours && !isBusinessHours()) {
-    return { should_trigger: false, reason: 'Outside business hours' };
-  }
-
   if (rules.min_job_value && repair_order.total_amount < rules.min_job_value) {
     return { should_trigger: false, reason: 'Job value below threshold' };
   }
 
-  return { should_trigger: true, reason: 'All conditions met' };
-}
-
-function isBusinessHours() {
-  const now = new Date();
-  const hour = now.getHours();
-  const day = now.getDay(); // 0 = Sunday, 6 = Saturday
-
-  return day >= 1 && day <= 5 && hour >= 8 && hour < 18; // Mon-Fri 8AM-6PM
+  // Outside business hours the dispatcher queues the message until opening
+  return {
+    should_trigger: true,
+    reason: 'All conditions met',
+    business_hours_only: Boolean(rules.only_business_hours),
+  };
 }
 
 function formatCommunicationLog(log) {
@@ -1089,6 +1508,96 @@ function formatCommunicationLog(log) {
   };
 }
 
+function formatPortalMessage(log) {
+  return {
+    message_id: log.id,
+    subject: log.subject,
+    content: log.messageContent,
+    html: log.messageHtml,
+    ro_id: log.repairOrderId,
+    sent_at: log.sentAt || log.createdAt,
+    read: Boolean(log.wasOpened),
+    read_at: log.openedAt,
+  };
+}
+
+function formatNotificationPreview(preview) {
+  return {
+    template_id: preview.template.id,
+    template_name: preview.template.templateName,
+    channel: preview.channel,
+    variant: preview.variant || null,
+    subject: preview.message?.subject || null,
+    content: preview.message?.content || null,
+    send_at: preview.sendAt || null,
+    will_send: !preview.hold,
+    hold_reason: preview.hold || null,
+  };
+}
+
+function formatNotificationSettings(repairOrder) {
+  return {
+    ro_id: repairOrder.id,
+    ro_number: repairOrder.repairOrderNumber,
+    auto_notifications_enabled: repairOrder.autoNotificationsEnabled !== false,
+    opt_out_reason: repairOrder.autoNotificationsOptOutReason || null,
+    last_customer_contact: repairOrder.lastCustomerContact,
+  };
+}
+
+function formatConversation(conversation) {
+  const customer = conversation.customer;
+  const repairOrder = conversation.repairOrder;
+  const vehicle = repairOrder?.vehicleProfile;
+  return {
+    conversation_id: conversation.id,
+    thread_id: conversation.threadId,
+    status: conversation.status,
+    phone: conversation.phone,
+    customer_id: conversation.customerId,
+    customer_name: customer
+      ? `${customer.firstName} ${customer.lastName}`
+      : null,
+    ro_id: conversation.repairOrderId,
+    ro_number: repairOrder?.repairOrderNumber || null,
+    vehicle: vehicle
+      ? [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')
+      : null,
+    assigned_to: conversation.assignedTo,
+    assigned_to_name: conversation.assignee
+      ? `${conversation.assignee.firstName} ${conversation.assignee.lastName}`
+      : null,
+    unread_count: conversation.unreadCount,
+    last_message: conversation.lastMessagePreview,
+    last_message_at: conversation.lastMessageAt,
+  };
+}
+
+function formatConversationMessage(log) {
+  return {
+    message_id: log.id,
+    direction: log.direction === 'received' ? 'inbound' : 'outbound',
+    content: log.messageContent,
+    attachments: log.attachments || [],
+    status: log.status,
+    error: log.lastError,
+    sent_by: log.sender
+      ? `${log.sender.firstName} ${log.sender.lastName}`
+      : null,
+    created_at: log.createdAt,
+  };
+}
+
+function formatQuickReply(template) {
+  return {
+    template_id: template.id,
+    name: template.templateName,
+    category: template.category,
+    content: template.smsTemplate,
+    variables: template.variables || [],
+  };
+}
+
 function formatTimelineEntry(entry) {
   return {
     timeline_id: entry.id,
@@ -1,4 +1,546 @@
+/**
+ * CollisionOS Estimates API Routes
+ *
+ * In-house estimate writing backed by the Estimate and EstimateLineItem models:
+ * - Estimate CRUD with line items (part, labor, paint, material, sublet)
+ * - Line item editing with automatic totals recalculation
+ * - Status workflow: draft → sent → approved → converted_to_job
+ * - Conversion of approved estimates into a job or repair order
+ * - CIECA BMS XML export
+ */
+
 const express = require('express');
 const router = express.Router();
-router.get('/', (req, res) => res.json([]));
+const { validationResult, body, param, query } = require('express-validator');
+const { Op } = require('sequelize');
+const { Estimate, EstimateLineItem } = require('../database/models');
+const estimateService = require('../services/estimateService');
+const bmsExportService = require('../services/bmsExportService');
+const { realtimeService } = require('../services/realtimeService');
+
+// Header fields a client may set on create/update
+const EDITABLE_FIELDS = [
+  'customerId',
+  'vehicleId',
+  'insuranceCompanyId',
+  'claimNumber',
+  'dateOfLoss',
+  'deductible',
+  'estimateType',
+  'isDRP',
+  'drpProgram',
+  'adjusterId',
+  'adjusterName',
+  'adjusterPhone',
+  'adjusterEmail',
+  'damageType',
+  'damageDescription',
+  'repairDescription',
+  'expirationDate',
+  'notes',
+  'internalNotes',
+  'customerNotes',
+  'tags',
+];
+
+const pickEditableFields = source =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+const notifyEstimateChange = (estimate, operation) => {
+  realtimeService.notifyChange(
+    'estimates',
+    operation,
+    {
+      id: estimate.id,
+      estimateNumber: estimate.estimateNumber,
+      status: estimate.status,
+      estimateTotal: estimate.estimateTotal,
+    },
+    estimate.shopId
+  );
+};
+
+/**
+ * GET /api/estimates
+ * List estimates with filtering and pagination
+ */
+router.get(
+  '/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('page').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId } = req.user;
+      const {
+        status,
+        customer_id,
+        vehicle_id,
+        search,
+        date_from,
+        date_to,
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      const where = { shopId };
+      if (status) where.status = status.split(',');
+      if (customer_id) where.customerId = customer_id;
+      if (vehicle_id) where.vehicleId = vehicle_id;
+      if (search) {
+        where[Op.or] = [
+          { estimateNumber: { [Op.like]: `%${search}%` } },
+          { claimNumber: { [Op.like]: `%${search}%` } },
+        ];
+      }
+      if (date_from || date_to) {
+        where.estimateDate = {};
+        if (date_from) where.estimateDate[Op.gte] = new Date(date_from);
+        if (date_to) where.estimateDate[Op.lte] = new Date(date_to);
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const { count, rows } = await Estimate.findAndCountAll({
+        where,
+        order: [['estimateDate', 'DESC']],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: count,
+          totalPages: Math.ceil(count / parseInt(limit)),
+        },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch estimates');
+    }
+  }
+);
+
+/**
+ * GET /api/estimates/:id
+ * Get estimate with line items, customer and vehicle
+ */
+router.get(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid estimate ID format')],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const estimate = await estimateService.getEstimate(
+        req.params.id,
+        req.user.shopId,
+        {
+          include: [{ model: EstimateLineItem, as: 'lineItems' }],
+          order: [[{ model: EstimateLineItem, as: 'lineItems' }, 'lineNumber', 'ASC']],
+        }
+      );
+
+      // Customer/vehicle associations are not declared on Estimate
+      const { customer, vehicle } = await estimateService.getCustomerAndVehicle(estimate);
+
+      res.json({
+        success: true,
+        data: {
+          ...estimate.toJSON(),
+          customer,
+          vehicle,
+          allowedTransitions: estimateService.STATUS_TRANSITIONS[estimate.status] || [],
+          isEditable: estimateService.EDITABLE_STATUSES.includes(estimate.status),
+        },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch estimate');
+    }
+  }
+);
+
+/**
+ * POST /api/estimates
+ * Create a draft estimate, optionally with line items
+ *
+ * Body: { customerId, vehicleId, claimNumber?, ..., lineItems?: [] }
+ */
+router.post(
+  '/',
+  [
+    body('customerId').isUUID().withMessage('Valid customer ID required'),
+    body('vehicleId').isUUID().withMessage('Valid vehicle ID required'),
+    body('lineItems').optional().isArray().withMessage('lineItems must be an array'),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId, userId } = req.user;
+      const estimate = await estimateService.createEstimate(
+        pickEditableFields(req.body),
+        req.body.lineItems || [],
+        { shopId, userId }
+      );
+
+      const created = await Estimate.findByPk(estimate.id, {
+        include: [{ model: EstimateLineItem, as: 'lineItems' }],
+      });
+
+      notifyEstimateChange(created, 'INSERT');
+
+      res.status(201).json({
+        success: true,
+        message: 'Estimate created successfully',
+        data: created,
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create estimate');
+    }
+  }
+);
+
+/**
+ * PUT /api/estimates/:id
+ * Update estimate header fields
+ */
+router.put(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid estimate ID format')],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId, userId } = req.user;
+      const estimate = await estimateService.getEstimate(req.params.id, shopId);
+      estimateService.assertEditable(estimate);
+
+      const updates = pickEditableFields(req.body);
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields to update',
+        });
+      }
+
+      await estimateService.assertShopCustomerAndVehicle(shopId, updates);
+      await estimate.update({ ...updates, updatedBy: userId });
+      notifyEstimateChange(estimate, 'UPDATE');
+
+      res.json({
+        success: true,
+        message: 'Estimate updated successfully',
+        data: estimate,
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update estimate');
+    }
+  }
+);
+
+/**
+ * DELETE /api/estimates/:id
+ * Delete a draft estimate and its line items
+ */
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('Invalid estimate ID format')],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const estimate = await estimateService.getEstimate(
+        req.params.id,
+        req.user.shopId
+      );
+
+      if (estimate.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only draft estimates can be deleted',
+        });
+      }
+
+      await EstimateLineItem.destroy({ where: { estimateId: estimate.id } });
+      await estimate.destroy();
+      notifyEstimateChange(estimate, 'DELETE');
+
+      res.json({
+        success: true,
+        message: 'Estimate deleted successfully',
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete estimate');
+    }
+  }
+);
+
+/**
+ * POST /api/estimates/:id/line-items
+ * Add a line item (part, labor, paint, material, sublet, other, tax, discount)
+ */
+router.post(
+  '/:id/line-items',
+  [
+    param('id').isUUID().withMessage('Invalid estimate ID format'),
+    body('type').isIn(estimateService.LINE_TYPES).withMessage('Invalid line type'),
+    body('description').notEmpty().withMessage('Description is required'),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId, userId } = req.user;
+      const estimate = await estimateService.getEstimate(req.params.id, shopId);
+      const lineItem = await estimateService.addLineItem(estimate, req.body, { userId });
+      notifyEstimateChange(estimate, 'UPDATE');
+
+      res.status(201).json({
+        success: true,
+        message: 'Line item added',
+        data: { lineItem, estimate },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to add line item');
+    }
+  }
+);
+
+/**
+ * PUT /api/estimates/:id/line-items/:lineItemId
+ * Update a line item
+ */
+router.put(
+  '/:id/line-items/:lineItemId',
+  [
+    param('id').isUUID().withMessage('Invalid estimate ID format'),
+    param('lineItemId').isUUID().withMessage('Invalid line item ID format'),
+    body('type').optional().isIn(estimateService.LINE_TYPES).withMessage('Invalid line type'),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId, userId } = req.user;
+      const estimate = await estimateService.getEstimate(req.params.id, shopId);
+      const lineItem = await estimateService.updateLineItem(
+        estimate,
+        req.params.lineItemId,
+        req.body,
+        { userId }
+      );
+      notifyEstimateChange(estimate, 'UPDATE');
+
+      res.json({
+        success: true,
+        message: 'Line item updated',
+        data: { lineItem, estimate },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update line item');
+    }
+  }
+);
+
+/**
+ * DELETE /api/estimates/:id/line-items/:lineItemId
+ * Remove a line item
+ */
+router.delete(
+  '/:id/line-items/:lineItemId',
+  [
+    param('id').isUUID().withMessage('Invalid estimate ID format'),
+    param('lineItemId').isUUID().withMessage('Invalid line item ID format'),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const estimate = await estimateService.getEstimate(
+        req.params.id,
+        req.user.shopId
+      );
+      const totals = await estimateService.removeLineItem(
+        estimate,
+        req.params.lineItemId
+      );
+      notifyEstimateChange(estimate, 'UPDATE');
+
+      res.json({
+        success: true,
+        message: 'Line item removed',
+        data: { totals, estimate },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to remove line item');
+    }
+  }
+);
+
+/**
+ * POST /api/estimates/:id/recalculate
+ * Recompute totals from line items
+ */
+router.post(
+  '/:id/recalculate',
+  [param('id').isUUID().withMessage('Invalid estimate ID format')],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const estimate = await estimateService.getEstimate(
+        req.params.id,
+        req.user.shopId
+      );
+      const { taxRate } = await estimateService.getShopRates(estimate.shopId);
+      const totals = await estimateService.recalculateTotals(estimate, { taxRate });
+
+      res.json({
+        success: true,
+        data: { totals, estimate },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to recalculate estimate');
+    }
+  }
+);
+
+/**
+ * POST /api/estimates/:id/status
+ * Move the estimate through its workflow
+ *
+ * Body: { status: 'sent' | 'approved' | 'rejected' | 'revised' | ..., notes?: string }
+ */
+router.post(
+  '/:id/status',
+  [
+    param('id').isUUID().withMessage('Invalid estimate ID format'),
+    body('status')
+      .isIn(Object.keys(estimateService.STATUS_TRANSITIONS))
+      .withMessage('Invalid status'),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId, userId } = req.user;
+      const estimate = await estimateService.getEstimate(req.params.id, shopId);
+      const previousStatus = estimate.status;
+
+      await estimateService.transitionStatus(estimate, req.body.status, {
+        userId,
+        notes: req.body.notes,
+      });
+      notifyEstimateChange(estimate, 'UPDATE');
+
+      res.json({
+        success: true,
+        message: `Estimate moved from ${previousStatus} to ${estimate.status}`,
+        data: estimate,
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update estimate status');
+    }
+  }
+);
+
+/**
+ * POST /api/estimates/:id/convert
+ * Convert an approved estimate into a job or repair order
+ *
+ * Body: { target: 'job' | 'repair_order' }
+ */
+router.post(
+  '/:id/convert',
+  [
+    param('id').isUUID().withMessage('Invalid estimate ID format'),
+    body('target')
+      .optional()
+      .isIn(['job', 'repair_order'])
+      .withMessage('Target must be job or repair_order'),
+  ],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { shopId, userId } = req.user;
+      const estimate = await estimateService.getEstimate(req.params.id, shopId);
+      const { target, record } = await estimateService.convertEstimate(
+        estimate,
+        req.body.target || 'job',
+        { userId }
+      );
+      notifyEstimateChange(estimate, 'UPDATE');
+
+      res.status(201).json({
+        success: true,
+        message: `Estimate converted to ${target === 'job' ? 'job' : 'repair order'}`,
+        data: {
+          estimate,
+          target,
+          [target === 'job' ? 'job' : 'repairOrder']: record,
+        },
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to convert estimate');
+    }
+  }
+);
+
+/**
+ * GET /api/estimates/:id/export/bms
+ * Download the estimate as a CIECA BMS (VehicleDamageEstimateAddRq) file
+ */
+router.get(
+  '/:id/export/bms',
+  [param('id').isUUID().withMessage('Invalid estimate ID format')],
+  async (req, res) => {
+    try {
+      if (!handleValidation(req, res)) return;
+
+      const { xml, fileName } = await bmsExportService.exportEstimate(
+        req.params.id,
+        req.user.shopId
+      );
+
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(xml);
+    } catch (error) {
+      sendError(res, error, 'Failed to export estimate');
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * CollisionOS Import Watcher API Routes
+ *
+ * Per-shop watch folder for CCC/Mitchell BMS exports:
+ * - Status, configuration and recent watch-folder imports
+ * - Enable/disable and change folders (saved in Shop.settings.importWatcher);
+ *   owners, managers and admins only
+ * - Live progress is pushed as `bms_import_progress` on the shop channel
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const importWatcherService = require('../services/importWatcherService');
+
+const WATCHER_ADMIN_ROLES = ['owner', 'manager', 'admin'];
+
+const requireWatcherAdmin = authenticateToken({ roles: WATCHER_ADMIN_ROLES });
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+/**
+ * GET /api/import-watcher - Watcher status, configuration and recent imports
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await importWatcherService.getStatus(req.user.shopId);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch import watcher status');
+  }
+});
+
+/**
+ * PUT /api/import-watcher/config - Save watch-folder settings and apply them
+ */
+router.put(
+  '/config',
+  requireWatcherAdmin,
+  [
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('recursive').optional().isBoolean().toBoolean(),
+    body('watchPath').optional().isString().trim(),
+    body('processedPath').optional({ nullable: true }).isString().trim(),
+    body('errorPath').optional({ nullable: true }).isString().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const updates = {};
+      ['enabled', 'recursive', 'watchPath', 'processedPath', 'errorPath'].forEach(field => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      const status = await importWatcherService.updateConfig(req.user.shopId, updates);
+      res.json({ success: true, message: 'Import watcher settings saved', data: status });
+    } catch (error) {
+      sendError(res, error, 'Failed to save import watcher settings');
+    }
+  }
+);
+
+/**
+ * POST /api/import-watcher/start - Enable the watcher with the saved folders
+ */
+router.post('/start', requireWatcherAdmin, async (req, res) => {
+  try {
+    const status = await importWatcherService.updateConfig(req.user.shopId, { enabled: true });
+    res.json({ success: true, message: 'Import watcher started', data: status });
+  } catch (error) {
+    sendError(res, error, 'Failed to start import watcher');
+  }
+});
+
+/**
+ * POST /api/import-watcher/stop - Disable the watcher
+ */
+router.post('/stop', requireWatcherAdmin, async (req, res) => {
+  try {
+    const status = await importWatcherService.updateConfig(req.user.shopId, { enabled: false });
+    res.json({ success: true, message: 'Import watcher stopped', data: status });
+  } catch (error) {
+    sendError(res, error, 'Failed to stop import watcher');
+  }
+});
+
+module.exports = router;
@@ -551,6 +551,39 @@ router.post(
   })
 );
 
+/**
+ * Webhooks whose handlers verify their own signature (vendor purchase
+ * order events) are accepted without a session. This router is mounted
+ * ahead of the authenticated routes; everything else falls through.
+ */
+const publicWebhooks = express.Router();
+publicWebhooks.post(
+  '/webhooks/:provider/:eventType',
+  asyncHandler(async (req, res, next) => {
+    const { provider, eventType } = req.params;
+    if (!integrationManager.isSelfVerifyingWebhook(provider, eventType)) {
+      return next();
+    }
+
+    const signature =
+      req.headers['x-signature'] || req.headers['x-hub-signature-256'];
+    const result = await integrationManager.handleWebhook(
+      provider,
+      eventType,
+      req.body,
+      signature
+    );
+
+    if (result.status === 'error') {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+    successResponse(res, result, 'Webhook processed');
+  })
+);
+
 // Configuration Management
 
 /**
@@ -586,3 +619,4 @@ router.get(
 );
 
 module.exports = router;
+module.exports.publicWebhooks = publicWebhooks;
@@ -10,6 +10,10 @@
  * - Return processing with damage assessment
  * - Fleet utilization analytics
  * - Maintenance scheduling and tracking
+ * - Reservations that follow the repair order's schedule and ETA
+ * - Weekly demand forecast with overbooking warnings
+ * - Insurer-approved rental days (ATS) tracking, extension requests and
+ *   rental invoices split between insurer and customer
  */
 
 const express = require('express');
@@ -25,6 +29,8 @@ const {
   ClaimManagement,
 } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
+const loanerSchedulingService = require('../services/loanerSchedulingService');
+const atsRentalService = require('../services/atsRentalService');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for loaner operations
@@ -537,7 +543,7 @@ router.post('/check-out', loanerRateLimit, async (req, res) => {
       });
     }
 
-    if (reservation.status !== 'confirmed') {
+    if (reservation.reservationStatus !== 'confirmed') {
       return res.status(400).json({
         success: false,
         message: 'Reservation is not in confirmed status for checkout',
@@ -556,18 +562,25 @@ router.post('/check-out', loanerRateLimit, async (req, res) => {
       });
     }
 
-    // Update reservation to checked out
+    // Update reservation to checked out; the pickup date starts the rental
+    // day count billed against the insurer's approved days
+    const checkout_time = new Date();
     await LoanerReservation.update(
       {
-        status: 'active',
-        checkout_date: new Date(),
-        checkout_odometer: checkout_inspection.odometer_reading,
-        checkout_fuel_level: checkout_inspection.fuel_level,
-        checkout_condition_notes: checkout_inspection.damage_notes,
-        checkout_photos: JSON.stringify(checkout_inspection.photos || []),
-        customer_signature: customer_agreement.signature,
+        reservationStatus: 'active',
+        statusChangeDate: checkout_time,
+        statusChangedBy: userId,
+        actualPickupDate: checkout_time,
+        pickupTime: checkout_time,
+        pickupOdometer: checkout_inspection.odometer_reading,
+        pickupFuelLevel: checkout_inspection.fuel_level,
+        pickupConditionNotes: checkout_inspection.damage_notes,
+        pickupDamagePhotos: JSON.stringify(checkout_inspection.photos || []),
+        pickupInspectionComplete: true,
         pickupInspectedBy: userId,
-        checkout_notes,
+        rentalAgreementSigned: true,
+        agreementSignedDate: checkout_time,
+        pickupNotes: checkout_notes,
         updatedBy: userId,
       },
       {
@@ -578,10 +591,10 @@ router.post('/check-out', loanerRateLimit, async (req, res) => {
     // Update vehicle status to rented
     await LoanerFleetManagement.update(
       {
-        status: 'rented',
+        currentStatus: 'rented',
+        statusChangeDate: checkout_time,
         currentRenterId: reservation.customerId,
-        current_rental_start: new Date(),
-        current_odometer: checkout_inspection.odometer_reading,
+        currentOdometer: checkout_inspection.odometer_reading,
         updatedBy: userId,
       },
       {
@@ -609,16 +622,23 @@ router.post('/check-out', loanerRateLimit, async (req, res) => {
     };
 
     // Broadcast real-time update
-    realtimeService.broadcastLoanerUpdate(
-      {
-        reservation_id,
-        vehicle_number: reservation.loanerVehicle.vehicle_number,
-        customer_name: `${reservation.customer.firstName} ${reservation.customer.lastName}`,
-        status: 'checked_out',
-        checkout_time: new Date().toISOString(),
-      },
-      'checked_out'
-    );
+    realtimeService.emitToShop(shopId, 'loaner_update', {
+      action: 'checked_out',
+      reservation_id,
+      vehicle_number: reservation.loanerVehicle.vehicle_number,
+      customer_name: `${reservation.customer.firstName} ${reservation.customer.lastName}`,
+      status: 'checked_out',
+      checkout_time: checkout_time.toISOString(),
+    });
+
+    // Warn straight away when the planned return already runs past the
+    // insurer's approved rental days
+    const ats_summary = await atsRentalService
+      .checkApproval(shopId, reservation.repairOrderId)
+      .catch(error => {
+        console.error('ATS approval check failed:', error);
+        return null;
+      });
 
     res.json({
       success: true,
@@ -637,12 +657,14 @@ router.post('/check-out', loanerRateLimit, async (req, res) => {
           },
           checkout_details: checkout_documentation.vehicle_condition_report,
           return_instructions: {
-            return_by: reservation.expected_return_date,
+            return_by:
+              reservation.confirmedEndDate || reservation.requestedEndDate,
             return_location: 'Shop Location',
             emergency_contact: 'Shop Phone Number',
           },
         },
         checkout_documentation,
+        ats_summary: ats_summary && formatAtsSummary(ats_summary),
       },
     });
   } catch (error) {
@@ -694,7 +716,7 @@ router.post('/check-in', loanerRateLimit, async (req, res) => {
 
     // Get active reservation
     const reservation = await LoanerReservation.findOne({
-      where: { id: reservation_id, shopId, status: 'active' },
+      where: { id: reservation_id, shopId, reservationStatus: 'active' },
       include: [
         {
           model: LoanerFleetManagement,
@@ -715,10 +737,11 @@ router.post('/check-in', loanerRateLimit, async (req, res) => {
     }
 
     // Calculate usage metrics
+    const return_time = new Date();
     const usage_metrics = calculateVehicleUsage(
-      reservation.checkout_date,
-      new Date(),
-      reservation.checkout_odometer,
+      reservation.actualPickupDate,
+      return_time,
+      reservation.pickupOdometer,
       return_inspection.odometer_reading
     );
 
@@ -729,20 +752,33 @@ router.post('/check-in', loanerRateLimit, async (req, res) => {
       userId
     );
 
-    // Update reservation to completed
+    // Update reservation to completed; the return date closes the rental
+    // day count
     await LoanerReservation.update(
       {
-        status: 'completed',
-        return_date: new Date(),
-        return_odometer: return_inspection.odometer_reading,
-        return_fuel_level: return_inspection.fuel_level,
-        return_condition_notes: `Interior: ${return_inspection.interior_condition}, Exterior: ${return_inspection.exterior_condition}`,
-        damage_assessment_notes:
+        reservationStatus: 'completed',
+        statusChangeDate: return_time,
+        statusChangedBy: userId,
+        actualReturnDate: return_time,
+        returnTime: return_time,
+        returnOdometer: return_inspection.odometer_reading,
+        returnFuelLevel: return_inspection.fuel_level,
+        returnConditionNotes: [
+          `Interior: ${return_inspection.interior_condition}, Exterior: ${return_inspection.exterior_condition}`,
           return_inspection.damage_assessment.damage_description,
-        additional_charges_amount:
-          calculateTotalAdditionalCharges(additional_charges),
+        ]
+          .filter(Boolean)
+          .join('\n'),
+        returnDamagePhotos: JSON.stringify(
+          return_inspection.damage_assessment.damage_photos || []
+        ),
+        returnInspectionComplete: true,
+        totalMilesDriven: usage_metrics.miles_driven,
+        additionalCharges: calculateTotalAdditionalCharges(additional_charges),
+        additionalChargesDescription:
+          describeAdditionalCharges(additional_charges),
         returnInspectedBy: userId,
-        return_notes,
+        returnNotes: return_notes,
         updatedBy: userId,
       },
       {
@@ -758,10 +794,10 @@ router.post('/check-in', loanerRateLimit, async (req, res) => {
 
     await LoanerFleetManagement.update(
       {
-        status: new_vehicle_status,
+        currentStatus: new_vehicle_status,
+        statusChangeDate: return_time,
         currentRenterId: null,
-        current_rental_start: null,
-        current_odometer: return_inspection.odometer_reading,
+        currentOdometer: return_inspection.odometer_reading,
         total_miles: Sequelize.literal(
           `total_miles + ${usage_metrics.miles_driven}`
         ),
@@ -795,17 +831,23 @@ router.post('/check-in', loanerRateLimit, async (req, res) => {
     };
 
     // Broadcast real-time update
-    realtimeService.broadcastLoanerUpdate(
-      {
-        reservation_id,
-        vehicle_number: reservation.loanerVehicle.vehicle_number,
-        customer_name: `${reservation.customer.firstName} ${reservation.customer.lastName}`,
-        status: 'returned',
-        return_time: new Date().toISOString(),
-        condition: new_vehicle_status,
-      },
-      'returned'
-    );
+    realtimeService.emitToShop(shopId, 'loaner_update', {
+      action: 'returned',
+      reservation_id,
+      vehicle_number: reservation.loanerVehicle.vehicle_number,
+      customer_name: `${reservation.customer.firstName} ${reservation.customer.lastName}`,
+      status: 'returned',
+      return_time: return_time.toISOString(),
+      condition: new_vehicle_status,
+    });
+
+    // Record the days used on the claim
+    const ats_summary = await atsRentalService
+      .checkApproval(shopId, reservation.repairOrderId)
+      .catch(error => {
+        console.error('ATS approval check failed:', error);
+        return null;
+      });
 
     res.json({
       success: true,
@@ -822,6 +864,7 @@ router.post('/check-in', loanerRateLimit, async (req, res) => {
             : ['Vehicle ready for next rental'],
         },
         return_documentation,
+        ats_summary: ats_summary && formatAtsSummary(ats_summary),
       },
     });
   } catch (error) {
@@ -888,6 +931,239 @@ router.get('/utilization', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/loaners/forecast - Weekly loaner demand against fleet size
+ *
+ * Query: from? (date, defaults to this week), weeks? (default 4, max 12)
+ */
+router.get('/forecast', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const weeks = Math.min(parseInt(req.query.weeks, 10) || 4, 12);
+
+    const forecast = await loanerSchedulingService.getWeeklyForecast(shopId, {
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      weeks,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        weeks: forecast.map(week => ({
+          week_start: week.weekStart,
+          fleet_size: week.fleetSize,
+          peak_reserved: week.peakReserved,
+          overbooked: week.overbooked,
+          overbooked_days: week.overbookedDays.map(day => ({
+            date: day.date,
+            reserved: day.reserved,
+            shortfall: day.shortfall,
+            ro_ids: day.repairOrderIds,
+          })),
+          daily: week.days.map(day => ({
+            date: day.date,
+            reserved: day.reserved,
+          })),
+        })),
+        overbooked_weeks: forecast.filter(week => week.overbooked).length,
+      },
+    });
+  } catch (error) {
+    console.error('Loaner forecast error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to build loaner forecast',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/loaners/repair-orders/:roId/sync - Move the RO's loaner return
+ * date to its current ETA / promised date
+ */
+router.post('/repair-orders/:roId/sync', loanerRateLimit, async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const result = await loanerSchedulingService.syncReturnDate(
+      shopId,
+      req.params.roId
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repair order has no open loaner reservation',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reservation_id: result.reservation.id,
+        reservation_number: result.reservation.reservationNumber,
+        previous_return_date: result.previousEndDate,
+        return_date:
+          result.reservation.confirmedEndDate ||
+          result.reservation.requestedEndDate,
+        has_conflict: result.reservation.hasConflict,
+        conflict: result.reservation.conflictResolution,
+        warnings: result.warnings,
+      },
+    });
+  } catch (error) {
+    console.error('Loaner sync error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to update loaner return date',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/loaners/ats/alerts - Rentals heading past the insurer's
+ * approved days
+ */
+router.get('/ats/alerts', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const alerts = await atsRentalService.getAlerts(shopId);
+
+    res.json({
+      success: true,
+      data: {
+        alerts: alerts.map(formatAtsSummary),
+        total: alerts.length,
+      },
+    });
+  } catch (error) {
+    console.error('ATS alerts error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get ATS alerts',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/loaners/ats/:roId - Rental days used and projected against the
+ * claim's approved days and daily cap
+ */
+router.get('/ats/:roId', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const summary = await atsRentalService.getRentalSummary(
+      shopId,
+      req.params.roId
+    );
+
+    res.json({
+      success: true,
+      data: formatAtsSummary(summary),
+    });
+  } catch (error) {
+    console.error('ATS summary error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get ATS rental summary',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/loaners/ats/:roId/extension-request - Request for extension PDF
+ *
+ * Body: {
+ *   additional_days?: number - defaults to the projected overage
+ *   reason?: string
+ * }
+ */
+router.post(
+  '/ats/:roId/extension-request',
+  loanerRateLimit,
+  async (req, res) => {
+    try {
+      const { shopId, userId } = req.user;
+      const { additional_days, reason } = req.body;
+
+      const { buffer, fileName } =
+        await atsRentalService.generateExtensionRequest(
+          shopId,
+          req.params.roId,
+          { additionalDays: additional_days, reason, userId }
+        );
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${fileName}"`
+      );
+      res.send(buffer);
+    } catch (error) {
+      console.error('ATS extension request error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to generate extension request',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/loaners/ats/:roId/invoice - Split the rental between insurer
+ * and customer and record it on the reservations
+ */
+router.post('/ats/:roId/invoice', loanerRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const invoice = await atsRentalService.finalizeRentalInvoice(
+      shopId,
+      req.params.roId,
+      { userId }
+    );
+
+    res.json({
+      success: true,
+      data: formatRentalInvoice(invoice),
+    });
+  } catch (error) {
+    console.error('Rental invoice error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to generate rental invoice',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/loaners/ats/:roId/invoice/pdf - Rental invoice document
+ */
+router.get('/ats/:roId/invoice/pdf', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const { buffer, fileName } = await atsRentalService.renderRentalInvoice(
+      shopId,
+      req.params.roId
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Rental invoice PDF error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to generate rental invoice',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/loaners/assignments/active - Get active assignments
  */
@@ -1149,6 +1425,73 @@ router.put('/assignments/:id', loanerRateLimit, async (req, res) => {
  * Helper Functions
  */
 
+function formatAtsSummary(summary) {
+  const { repairOrder, claim } = summary;
+  return {
+    ro_id: repairOrder.id,
+    ro_number: repairOrder.repairOrderNumber,
+    claim_number: claim ? claim.claimNumber : null,
+    insurer: claim?.insuranceCompany?.name || claim?.atsProvider || null,
+    ats_eligible: summary.covered,
+    approved_days: summary.approvedDays,
+    daily_cap: summary.dailyCap,
+    days_used: summary.daysUsed,
+    projected_days: summary.projectedDays,
+    remaining_days: summary.remainingDays,
+    overage_days: summary.overageDays,
+    exceeds_approval: summary.exceedsApproval,
+    approval_ends_on: summary.approvalEndsOn,
+    projected_return_date: summary.projectedReturnDate,
+    reservations: summary.reservations.map(reservation => ({
+      id: reservation.id,
+      reservation_number: reservation.reservationNumber,
+      status: reservation.reservationStatus,
+      picked_up: reservation.actualPickupDate,
+      returned: reservation.actualReturnDate,
+      planned_return:
+        reservation.confirmedEndDate || reservation.requestedEndDate,
+    })),
+  };
+}
+
+function formatRentalInvoice(invoice) {
+  return {
+    invoice_number: invoice.invoiceNumber,
+    ro_id: invoice.repairOrder.id,
+    ro_number: invoice.repairOrder.repairOrderNumber,
+    claim_number: invoice.covered ? invoice.claim.claimNumber : null,
+    ats_eligible: invoice.covered,
+    approved_days: invoice.approvedDays,
+    daily_cap: invoice.dailyCap,
+    interim: invoice.interim,
+    lines: invoice.lines.map(line => ({
+      reservation_id: line.reservation.id,
+      reservation_number: line.reservation.reservationNumber,
+      pickup_date: line.pickupDate,
+      return_date: line.returnDate,
+      days: line.days,
+      daily_rate: line.dailyRate,
+      insured_days: line.insuredDays,
+      insured_rate: line.insuredRate,
+      rental_charge: line.rentalCharge,
+      additional_charges: line.additionalCharges,
+      additional_charges_description: line.additionalChargesDescription,
+      total: line.total,
+      insurer_amount: line.insurerAmount,
+      customer_amount: line.customerAmount,
+    })),
+    totals: {
+      days: invoice.totals.days,
+      insured_days: invoice.totals.insuredDays,
+      rental_charge: invoice.totals.rentalCharge,
+      additional_charges: invoice.totals.additionalCharges,
+      total: invoice.totals.total,
+      insurer: invoice.totals.insurer,
+      customer: invoice.totals.customer,
+    },
+  };
+}
+
 function formatFleetVehicle(vehicle) {
   // Support both raw object and Sequelize model
   const data = vehicle.dataValues || vehicle;
@@ -1245,53 +1588,23 @@ async function analyzeFleetAvailability(shopId, target_date) {
   };
 }
 
+// Free for the whole period, including cars that are out now but back in
+// time; see loanerSchedulingService
 async function findAvailableVehicles(
   shopId,
   pickup_date,
   return_date,
   preferences = {}
 ) {
-  const where_clause = {
+  return loanerSchedulingService.findAvailableVehicles(
     shopId,
-    status: 'available',
-  };
-
-  if (preferences.vehicle_type) {
-    where_clause.vehicle_type = preferences.vehicle_type;
-  }
-
-  // Find vehicles not reserved during the requested period
-  const conflicting_reservations = await LoanerReservation.findAll({
-    where: {
-      shopId,
-      status: ['confirmed', 'active'],
-      [Op.or]: [
-        {
-          pickup_date: { [Op.between]: [pickup_date, return_date] },
-        },
-        {
-          expected_return_date: { [Op.between]: [pickup_date, return_date] },
-        },
-        {
-          [Op.and]: [
-            { pickup_date: { [Op.lte]: pickup_date } },
-            { expected_return_date: { [Op.gte]: return_date } },
-          ],
-        },
-      ],
-    },
-    attributes: ['loanerVehicleId'],
-  });
-
-  const reserved_vehicle_ids = conflicting_reservations.map(
-    r => r.loanerVehicleId
+    new Date(pickup_date),
+    new Date(return_date),
+    {
+      vehicleType: preferences.vehicle_type,
+      vehicleClass: preferences.vehicle_class,
+    }
   );
-
-  if (reserved_vehicle_ids.length > 0) {
-    where_clause.id = { [Op.notIn]: reserved_vehicle_ids };
-  }
-
-  return await LoanerFleetManagement.findAll({ where: where_clause });
 }
 
 function selectBestVehicleMatch(available_vehicles, preferences = {}) {
@@ -1403,6 +1716,16 @@ function calculateTotalAdditionalCharges(charges = {}) {
   );
 }
 
+function describeAdditionalCharges(charges = {}) {
+  const lines = Object.entries(charges || {})
+    .filter(([, charge]) => parseFloat(charge) > 0)
+    .map(
+      ([type, charge]) =>
+        `${type.replace(/_/g, ' ')}: ${parseFloat(charge).toFixed(2)}`
+    );
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
 function getAvailabilityStatus(vehicle) {
   if (vehicle.status === 'available') {
     return vehicle.next_service_date &&
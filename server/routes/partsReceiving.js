@@ -0,0 +1,203 @@
+/**
+ * CollisionOS Parts Receiving APIs
+ *
+ * Barcode receiving mode for the desktop scanner and the mobile camera
+ * Features:
+ * - A scan of a vendor label, UPC, part number or tracking number finds
+ *   the open PO lines it could be
+ * - Receiving records quantity and condition and puts the part in a bin
+ * - Bin/RO tags as ZPL or PDF, or sent to the shop's label printer
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const partsReceivingService = require('../services/partsReceivingService');
+
+const receivingRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 500, // scanning a delivery is many quick requests
+  message: 'Too many receiving operations, please try again later.',
+});
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * GET /api/parts-receiving/scan - Open PO lines for a scanned barcode
+ *
+ * Query: code, purchase_order_id?
+ */
+router.get('/scan', receivingRateLimit, async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const { code, purchase_order_id } = req.query;
+
+    const { scan, lines } = await partsReceivingService.lookupScan(
+      shopId,
+      code,
+      { purchaseOrderId: purchase_order_id }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        scan: {
+          type: scan.type,
+          part_number: scan.partNumber || null,
+          po_number: scan.poNumber || null,
+          quantity: scan.quantity ?? null,
+          lot: scan.lot || null,
+        },
+        lines: lines.map(formatScanLine),
+        total: lines.length,
+      },
+    });
+  } catch (error) {
+    console.error('Receiving scan error:', error);
+    sendError(res, error, 'Failed to look up scan');
+  }
+});
+
+/**
+ * POST /api/parts-receiving/lines/:id/receive - Receive a PO line into a bin
+ *
+ * Body: {
+ *   quantity?: number,
+ *   condition?: 'good' | 'damaged' | 'wrong_part',
+ *   bin_location?: string,
+ *   notes?: string,
+ *   print_label?: boolean
+ * }
+ */
+router.post('/lines/:id/receive', receivingRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { quantity, condition, bin_location, notes, print_label } = req.body;
+
+    const result = await partsReceivingService.receiveLine(
+      shopId,
+      req.params.id,
+      { quantity, condition, binLocation: bin_location, notes },
+      userId
+    );
+
+    let label_printed = false;
+    let label_error = null;
+    if (print_label && result.condition === 'good') {
+      try {
+        label_printed = await partsReceivingService.printLabel(
+          shopId,
+          result.partLine.id
+        );
+      } catch (error) {
+        label_error = error.message;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Received ${result.quantity} ${
+        result.binLocation ? `into bin ${result.binLocation}` : result.condition
+      }`,
+      data: {
+        ...formatScanLine({
+          partLine: result.partLine,
+          purchaseOrder: result.purchaseOrder,
+          quantityRemaining: partsReceivingService.remainingOf(result.partLine),
+          suggestedBin: result.binLocation,
+        }),
+        received_quantity: result.quantity,
+        condition: result.condition,
+        fully_received: result.fullyReceived,
+        over_received: result.overReceived,
+        po_receiving_status: result.purchaseOrder?.receivingStatus || null,
+        label_printed,
+        label_error,
+      },
+    });
+  } catch (error) {
+    console.error('Receiving error:', error);
+    sendError(res, error, 'Failed to receive part');
+  }
+});
+
+/**
+ * GET /api/parts-receiving/lines/:id/label - Bin/RO tag
+ *
+ * Query: format ('zpl' | 'pdf', default zpl), copies
+ */
+router.get('/lines/:id/label', async (req, res) => {
+  try {
+    const { content, contentType, fileName } =
+      await partsReceivingService.renderLabel(req.user.shopId, req.params.id, {
+        format: req.query.format,
+        copies: req.query.copies,
+      });
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `${contentType === 'application/pdf' ? 'inline' : 'attachment'}; filename="${fileName}"`
+    );
+    res.send(content);
+  } catch (error) {
+    console.error('Receiving label error:', error);
+    sendError(res, error, 'Failed to render label');
+  }
+});
+
+/**
+ * POST /api/parts-receiving/lines/:id/label/print - Print on the shop's
+ * label printer
+ *
+ * Body: { copies? }
+ */
+router.post('/lines/:id/label/print', receivingRateLimit, async (req, res) => {
+  try {
+    const printed = await partsReceivingService.printLabel(
+      req.user.shopId,
+      req.params.id,
+      { copies: req.body.copies }
+    );
+    if (!printed) {
+      return res.status(409).json({
+        success: false,
+        message: 'No label printer is set up for this shop',
+      });
+    }
+    res.json({ success: true, message: 'Label sent to printer' });
+  } catch (error) {
+    console.error('Receiving label print error:', error);
+    sendError(res, error, 'Failed to print label');
+  }
+});
+
+function formatScanLine({
+  partLine,
+  purchaseOrder,
+  quantityRemaining,
+  suggestedBin,
+}) {
+  return {
+    part_line_id: partLine.id,
+    repair_order_id: partLine.repairOrderId,
+    purchase_order_id: partLine.partsOrderId,
+    po_number: purchaseOrder?.purchaseOrderNumber || null,
+    part_number: partLine.vendorPartNumber || partLine.oemPartNumber,
+    description: partLine.partDescription,
+    status: partLine.partStatus,
+    quantity_ordered: parseFloat(partLine.quantityOrdered || 0),
+    quantity_received: parseFloat(partLine.quantityReceived || 0),
+    quantity_remaining: quantityRemaining,
+    bin_location: partLine.binLocation || null,
+    suggested_bin: suggestedBin,
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,478 @@
+/**
+ * CollisionOS Parts Returns APIs
+ *
+ * Return authorizations and vendor credits
+ * Features:
+ * - Returns for wrong, damaged, defective, unused and over-delivered parts
+ *   and core returns, one vendor per return
+ * - RMA requested through the vendor API where there is one
+ * - Credit memos matched to returns by RMA / return number or amount
+ * - Pending credits per vendor, with overdue returns and unreturned cores
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const partsReturnService = require('../services/partsReturnService');
+
+const returnsRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: 'Too many return operations, please try again later.',
+});
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * GET /api/parts-returns - Returns, newest first
+ *
+ * Query: status, vendor_id, return_type, overdue=true
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const { status, vendor_id, return_type, overdue } = req.query;
+
+    const returns = await partsReturnService.listReturns(shopId, {
+      status,
+      vendorId: vendor_id,
+      returnType: return_type,
+      overdue: overdue === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: {
+        returns: returns.map(formatReturn),
+        total: returns.length,
+      },
+    });
+  } catch (error) {
+    console.error('List returns error:', error);
+    sendError(res, error, 'Failed to get returns');
+  }
+});
+
+/**
+ * POST /api/parts-returns - Open a return
+ *
+ * Body: {
+ *   return_type: 'wrong_part' | 'damaged' | 'defective' | 'unused' |
+ *     'over_delivery' | 'core',
+ *   part_lines: [{ part_line_id, quantity? }],
+ *   purchase_order_id?: number,
+ *   reason?: string,
+ *   notes?: string
+ * }
+ */
+router.post('/', returnsRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const {
+      return_type,
+      part_lines = [],
+      purchase_order_id,
+      reason,
+      notes,
+    } = req.body;
+
+    const partsReturn = await partsReturnService.createReturn(
+      shopId,
+      {
+        returnType: return_type,
+        lines: part_lines.map(line => ({
+          partLineId: line.part_line_id,
+          quantity: line.quantity,
+        })),
+        purchaseOrderId: purchase_order_id,
+        reason,
+        notes,
+      },
+      userId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${partsReturn.returnNumber} created`,
+      data: formatReturn(partsReturn),
+    });
+  } catch (error) {
+    console.error('Create return error:', error);
+    sendError(res, error, 'Failed to create return');
+  }
+});
+
+/**
+ * GET /api/parts-returns/pending-credits - Credits owed per vendor
+ *
+ * Query: vendor_id
+ */
+router.get('/pending-credits', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const pending = await partsReturnService.getPendingCredits(shopId, {
+      vendorId: req.query.vendor_id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        vendors: pending.vendors.map(formatVendorCredits),
+        totals: {
+          open_returns: pending.totals.openReturns,
+          pending_credit: pending.totals.pendingCredit,
+          overdue_credit: pending.totals.overdueCredit,
+          unapplied_memo_credit: pending.totals.unappliedMemoCredit,
+          unreturned_cores: pending.totals.unreturnedCores,
+          unreturned_core_value: pending.totals.unreturnedCoreValue,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Pending credits error:', error);
+    sendError(res, error, 'Failed to get pending credits');
+  }
+});
+
+/**
+ * POST /api/parts-returns/overdue-check - Flag late returns and credits now
+ */
+router.post('/overdue-check', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const flagged = await partsReturnService.flagOverdueReturns(shopId);
+
+    res.json({
+      success: true,
+      data: {
+        flagged: flagged.map(formatReturn),
+        total: flagged.length,
+      },
+    });
+  } catch (error) {
+    console.error('Overdue return check error:', error);
+    sendError(res, error, 'Failed to check overdue returns');
+  }
+});
+
+/**
+ * GET /api/parts-returns/credit-memos - Vendor credit memos
+ *
+ * Query: status, vendor_id
+ */
+router.get('/credit-memos', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const memos = await partsReturnService.listCreditMemos(shopId, {
+      status: req.query.status,
+      vendorId: req.query.vendor_id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        credit_memos: memos.map(formatCreditMemo),
+        total: memos.length,
+      },
+    });
+  } catch (error) {
+    console.error('List credit memos error:', error);
+    sendError(res, error, 'Failed to get credit memos');
+  }
+});
+
+/**
+ * POST /api/parts-returns/credit-memos - Record a vendor credit memo
+ *
+ * Body: {
+ *   vendor_id: string,
+ *   memo_number: string,
+ *   memo_date?: string,
+ *   amount: number,
+ *   references?: string[] - RMA or return numbers on the memo
+ *   notes?: string
+ * }
+ */
+router.post('/credit-memos', returnsRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { vendor_id, memo_number, memo_date, amount, references, notes } =
+      req.body;
+
+    const { memo, matches } = await partsReturnService.recordCreditMemo(
+      shopId,
+      {
+        vendorId: vendor_id,
+        memoNumber: memo_number,
+        memoDate: memo_date,
+        amount,
+        references,
+        notes,
+      },
+      userId
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        matches.length > 0
+          ? `Credit memo applied to ${matches.length} return(s)`
+          : 'Credit memo recorded; no matching return found',
+      data: {
+        ...formatCreditMemo(memo),
+        returns_credited: matches.map(({ partsReturn, amount: applied }) => ({
+          return_id: partsReturn.id,
+          return_number: partsReturn.returnNumber,
+          amount: applied,
+          status: partsReturn.status,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Record credit memo error:', error);
+    sendError(res, error, 'Failed to record credit memo');
+  }
+});
+
+/**
+ * POST /api/parts-returns/credit-memos/:id/match - Apply a memo by hand
+ *
+ * Body: { allocations: [{ return_id, amount }] }
+ */
+router.post('/credit-memos/:id/match', returnsRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { allocations = [] } = req.body;
+
+    const { memo } = await partsReturnService.matchCreditMemo(
+      shopId,
+      req.params.id,
+      allocations.map(allocation => ({
+        returnId: allocation.return_id,
+        amount: allocation.amount,
+      })),
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: formatCreditMemo(memo),
+    });
+  } catch (error) {
+    console.error('Match credit memo error:', error);
+    sendError(res, error, 'Failed to match credit memo');
+  }
+});
+
+/**
+ * GET /api/parts-returns/:id - Return details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const partsReturn = await partsReturnService.getReturn(
+      shopId,
+      req.params.id,
+      { includeVendor: true }
+    );
+
+    res.json({
+      success: true,
+      data: formatReturn(partsReturn),
+    });
+  } catch (error) {
+    console.error('Get return error:', error);
+    sendError(res, error, 'Failed to get return');
+  }
+});
+
+/**
+ * POST /api/parts-returns/:id/authorize - Record the vendor's RMA
+ *
+ * Body: { rma_number, return_due_date?, expected_credit? }
+ */
+router.post('/:id/authorize', returnsRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { rma_number, return_due_date, expected_credit } = req.body;
+
+    const partsReturn = await partsReturnService.authorizeReturn(
+      shopId,
+      req.params.id,
+      {
+        rmaNumber: rma_number,
+        returnDueDate: return_due_date,
+        expectedCredit: expected_credit,
+      },
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: formatReturn(partsReturn),
+    });
+  } catch (error) {
+    console.error('Authorize return error:', error);
+    sendError(res, error, 'Failed to authorize return');
+  }
+});
+
+/**
+ * POST /api/parts-returns/:id/ship - Parts handed to the vendor or carrier
+ *
+ * Body: { carrier?, tracking_number?, shipped_date? }
+ */
+router.post('/:id/ship', returnsRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { carrier, tracking_number, shipped_date } = req.body;
+
+    const partsReturn = await partsReturnService.shipReturn(
+      shopId,
+      req.params.id,
+      {
+        carrier,
+        trackingNumber: tracking_number,
+        shippedDate: shipped_date,
+      },
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: formatReturn(partsReturn),
+    });
+  } catch (error) {
+    console.error('Ship return error:', error);
+    sendError(res, error, 'Failed to ship return');
+  }
+});
+
+/**
+ * POST /api/parts-returns/:id/close - Vendor rejected, or shop cancelled
+ *
+ * Body: { status: 'rejected' | 'cancelled', reason? }
+ */
+router.post('/:id/close', returnsRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { status, reason } = req.body;
+
+    const partsReturn = await partsReturnService.closeReturn(
+      shopId,
+      req.params.id,
+      { status, reason },
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: formatReturn(partsReturn),
+    });
+  } catch (error) {
+    console.error('Close return error:', error);
+    sendError(res, error, 'Failed to close return');
+  }
+});
+
+// Helper functions
+
+function formatReturn(partsReturn) {
+  return {
+    id: partsReturn.id,
+    return_number: partsReturn.returnNumber,
+    return_type: partsReturn.returnType,
+    status: partsReturn.status,
+    vendor_id: partsReturn.vendorId,
+    vendor_name: partsReturn.vendor?.name || null,
+    purchase_order_id: partsReturn.purchaseOrderId,
+    repair_order_id: partsReturn.repairOrderId,
+    rma_number: partsReturn.rmaNumber,
+    reason: partsReturn.reason,
+    items: (partsReturn.items || []).map(item => ({
+      part_line_id: item.partLineId,
+      part_number: item.partNumber,
+      description: item.description,
+      quantity: item.quantity,
+      unit_credit: item.unitCredit,
+      credit_amount: item.creditAmount,
+    })),
+    expected_credit: parseFloat(partsReturn.expectedCredit || 0),
+    restocking_fee: parseFloat(partsReturn.restockingFee || 0),
+    credited_amount: parseFloat(partsReturn.creditedAmount || 0),
+    outstanding_credit: partsReturn.getOutstandingCredit(),
+    return_due_date: partsReturn.returnDueDate,
+    credit_due_date: partsReturn.creditDueDate,
+    requested_date: partsReturn.requestedDate,
+    authorized_date: partsReturn.authorizedDate,
+    shipped_date: partsReturn.shippedDate,
+    credited_date: partsReturn.creditedDate,
+    carrier: partsReturn.carrier,
+    tracking_number: partsReturn.trackingNumber,
+    overdue: Boolean(partsReturn.overdueFlaggedAt),
+    overdue_reason: partsReturn.overdueReason,
+    notes: partsReturn.notes,
+  };
+}
+
+function formatCreditMemo(memo) {
+  return {
+    id: memo.id,
+    memo_number: memo.memoNumber,
+    memo_date: memo.memoDate,
+    vendor_id: memo.vendorId,
+    vendor_name: memo.vendor?.name || null,
+    amount: parseFloat(memo.amount),
+    applied_amount: parseFloat(memo.appliedAmount || 0),
+    unapplied_amount: memo.getUnappliedAmount(),
+    status: memo.status,
+    references: memo.references || [],
+    matches: (memo.matches || []).map(match => ({
+      return_id: match.returnId,
+      return_number: match.returnNumber,
+      amount: match.amount,
+    })),
+    notes: memo.notes,
+  };
+}
+
+function formatVendorCredits(entry) {
+  return {
+    vendor_id: entry.vendorId,
+    vendor_name: entry.vendorName,
+    open_returns: entry.openReturns,
+    pending_credit: entry.pendingCredit,
+    overdue_returns: entry.overdueReturns,
+    overdue_credit: entry.overdueCredit,
+    unapplied_memo_credit: entry.unappliedMemoCredit,
+    unreturned_cores: entry.unreturnedCores,
+    unreturned_core_value: entry.unreturnedCoreValue,
+    returns: entry.returns.map(({ partsReturn, outstanding, overdue }) => ({
+      id: partsReturn.id,
+      return_number: partsReturn.returnNumber,
+      return_type: partsReturn.returnType,
+      status: partsReturn.status,
+      rma_number: partsReturn.rmaNumber,
+      outstanding_credit: outstanding,
+      return_due_date: partsReturn.returnDueDate,
+      credit_due_date: partsReturn.creditDueDate,
+      overdue_reason: overdue,
+    })),
+    cores: entry.cores.map(({ partLine, value, dueDate, overdue }) => ({
+      part_line_id: partLine.id,
+      part_number: partLine.vendorPartNumber || partLine.oemPartNumber,
+      description: partLine.partDescription,
+      core_value: value,
+      return_due_date: dueDate,
+      overdue,
+    })),
+  };
+}
+
+module.exports = router;
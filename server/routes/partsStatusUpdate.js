@@ -11,6 +11,32 @@ const express = require('express');
 const router = express.Router();
 const { validationResult, body, param } = require('express-validator');
 const { AdvancedPartsManagement } = require('../database/models');
+const domainEvents = require('../services/domainEvents');
+
+/**
+ * Announce received parts once per repair order
+ */
+const publishPartsReceived = (parts, userId) => {
+  const byRepairOrder = new Map();
+  parts
+    .filter(part => part.repairOrderId)
+    .forEach(part => {
+      const key = part.repairOrderId;
+      if (!byRepairOrder.has(key)) {
+        byRepairOrder.set(key, { shopId: part.shopId, partIds: [] });
+      }
+      byRepairOrder.get(key).partIds.push(part.id);
+    });
+
+  byRepairOrder.forEach(({ shopId, partIds }, repairOrderId) => {
+    domainEvents.publish(domainEvents.EVENTS.PARTS_RECEIVED, {
+      shopId,
+      repairOrderId,
+      partIds,
+      userId
+    });
+  });
+};
 
 /**
  * PUT /api/parts/:id/status
@@ -47,11 +73,11 @@ router.put('/:id/status', [
       });
     }
 
-    const previousStatus = part.status;
+    const previousStatus = part.partStatus;
 
     // Update the part status with audit trail
     const updateData = {
-      status,
+      partStatus: status,
       statusChangedBy: userId,
       statusChangedAt: new Date(),
       statusChangeNotes: notes,
@@ -75,13 +101,17 @@ router.put('/:id/status', [
 
     await part.update(updateData);
 
+    if (status === 'received' && previousStatus !== 'received') {
+      publishPartsReceived([part], userId);
+    }
+
     res.json({
       success: true,
       data: {
         id: part.id,
         part_number: part.partNumber,
         description: part.partDescription,
-        status: part.status,
+        status: part.partStatus,
         previous_status: previousStatus,
         updated_at: part.updatedAt
       },
@@ -139,7 +169,7 @@ router.put('/bulk-status-update', [
 
     // Update all parts
     const updateData = {
-      status,
+      partStatus: status,
       statusChangedBy: userId,
       statusChangedAt: new Date(),
       statusChangeNotes: notes,
@@ -167,6 +197,13 @@ router.put('/bulk-status-update', [
       }
     });
 
+    if (status === 'received') {
+      publishPartsReceived(
+        parts.filter(part => part.partStatus !== 'received'),
+        userId
+      );
+    }
+
     // Fetch updated parts
     const updatedParts = await AdvancedPartsManagement.findAll({
       where: {
@@ -180,7 +217,7 @@ router.put('/bulk-status-update', [
         id: p.id,
         part_number: p.partNumber,
         description: p.partDescription,
-        status: p.status
+        status: p.partStatus
       })),
       updated_count: updatedParts.length,
       message: `${updatedParts.length} parts updated to ${status}`
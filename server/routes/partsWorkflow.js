@@ -9,6 +9,8 @@
  * - Vendor quote requests and margin analysis
  * - Real-time margin calculations
  * - Bulk status updates for multiple parts
+ * - Automated sourcing against connected vendors, with every quote kept
+ * - Gross profit per part line from the estimate price and vendor invoice
  */
 
 const express = require('express');
@@ -21,10 +23,19 @@ const {
   Vendor,
   RepairOrderManagement,
   User,
+  VehicleProfile,
+  PartsSourcingRequest,
+  VendorPartQuote,
 } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
+const vendorInvoiceService = require('../services/vendorInvoiceService');
+const {
+  AutomatedPartsSourcingService,
+} = require('../services/automatedPartsSourcing');
 const rateLimit = require('express-rate-limit');
 
+const sourcingService = new AutomatedPartsSourcingService();
+
 // Rate limiting for parts operations
 const partsRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -524,8 +535,229 @@ router.post('/vendor-quote', partsRateLimit, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/parts/sourcing-requests - Source RO parts from connected vendors
+ * Body: { ro_id, part_ids?: string[] } - defaults to every needed or sourcing line
+ */
+router.post('/sourcing-requests', partsRateLimit, async (req, res) => {
+  try {
+    const { ro_id, part_ids } = req.body;
+    const { shopId, userId } = req.user;
+
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: ro_id, shopId },
+      include: [{ model: VehicleProfile, as: 'vehicleProfile' }],
+    });
+    if (!repairOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repair order not found',
+      });
+    }
+
+    const where_clause = { shopId, repairOrderId: ro_id };
+    if (part_ids && part_ids.length > 0) {
+      where_clause.id = part_ids;
+    } else {
+      where_clause.partStatus = ['needed', 'sourcing'];
+    }
+    const parts = await AdvancedPartsManagement.findAll({
+      where: where_clause,
+      order: [['lineNumber', 'ASC']],
+    });
+    if (parts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No parts to source on this repair order',
+      });
+    }
+
+    const vehicle = repairOrder.vehicleProfile || {};
+    const sourcing = await sourcingService.processAutomatedPartsSourcing(
+      parts.map(part => ({
+        partId: part.id,
+        lineNumber: part.lineNumber,
+        partNumber: part.vendorPartNumber || part.oemPartNumber,
+        oemPartNumber: part.oemPartNumber,
+        description: part.partDescription,
+        quantity: part.quantityOrdered,
+        partCost: part.listPrice || part.netPrice,
+        partType: part.brandType,
+      })),
+      {
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model,
+      },
+      {
+        shopId,
+        userId,
+        repairOrderId: repairOrder.id,
+        claimManagementId: repairOrder.claimManagementId,
+        enhanceWithVinDecoding: false,
+      }
+    );
+    if (!sourcing.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Automated sourcing failed',
+        error: sourcing.error,
+      });
+    }
+
+    await AdvancedPartsManagement.update(
+      { partStatus: 'sourcing', sourcingDate: new Date(), sourcedBy: userId },
+      { where: { id: parts.map(part => part.id), partStatus: 'needed' } }
+    );
+
+    const requests = await findSourcingRequests({
+      id: sourcing.results.map(result => result.sourcingRequestId),
+    });
+
+    realtimeService.emitToShop(shopId, 'sourcing_update', {
+      action: 'sourced',
+      ro_id: repairOrder.id,
+      request_count: requests.length,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Sourced ${requests.length} of ${parts.length} parts`,
+      data: {
+        sourcing_requests: requests.map(formatSourcingRequest),
+        errors: sourcing.errors,
+      },
+    });
+  } catch (error) {
+    console.error('Automated sourcing error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to source parts',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/parts/sourcing-requests - Sourcing requests with their vendor quotes
+ * Query: ro_id, status, date_range (days, default 7)
+ */
+router.get('/sourcing-requests', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const { ro_id, status, date_range = '7' } = req.query;
+
+    const date_from = new Date();
+    date_from.setDate(date_from.getDate() - parseInt(date_range));
+    const where_clause = { shopId, requestedAt: { [Op.gte]: date_from } };
+    if (ro_id) where_clause.repairOrderId = ro_id;
+    if (status) where_clause.sourcingStatus = status;
+
+    const requests = await findSourcingRequests(where_clause);
+
+    res.json({
+      success: true,
+      data: {
+        sourcing_requests: requests.map(formatSourcingRequest),
+        analytics: summarizeSourcing(requests),
+      },
+    });
+  } catch (error) {
+    console.error('Sourcing requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sourcing requests',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/parts/sourcing-requests/:id/approve - Accept the recommended quote
+ */
+router.post('/sourcing-requests/:id/approve', async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const [request] = await findSourcingRequests({ id: req.params.id, shopId });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sourcing request not found',
+      });
+    }
+    if (!request.selectedQuoteId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No recommended quote to approve',
+      });
+    }
+
+    const updated = await selectSourcingQuote(
+      request,
+      request.selectedQuoteId,
+      {
+        userId,
+        reason: request.selectionReason,
+      }
+    );
+
+    res.json({ success: true, data: formatSourcingRequest(updated) });
+  } catch (error) {
+    console.error('Sourcing approval error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to approve sourcing decision',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/parts/sourcing-requests/:id/override - Pick a different quote
+ * Body: { quote_id, reason }
+ */
+router.post('/sourcing-requests/:id/override', async (req, res) => {
+  try {
+    const { quote_id, reason } = req.body;
+    const { shopId, userId } = req.user;
+    const [request] = await findSourcingRequests({ id: req.params.id, shopId });
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sourcing request not found',
+      });
+    }
+    if (!request.vendorQuotes.some(quote => quote.id === quote_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote does not belong to this sourcing request',
+      });
+    }
+
+    const updated = await selectSourcingQuote(request, quote_id, {
+      userId,
+      reason: reason || 'Manual override',
+    });
+
+    res.json({ success: true, data: formatSourcingRequest(updated) });
+  } catch (error) {
+    console.error('Sourcing override error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to override sourcing decision',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * GET /api/parts/margin-analysis - Real-time margin calculations
+ * Query: ro_id, vendor_id, date_range (days, default 30)
+ *
+ * Sell value is the estimate's part price; cost is what the vendor
+ * invoiced, or the PO net price until the invoice arrives. line_analysis
+ * has the gross profit and invoice variances per part line.
  */
 router.get('/margin-analysis', async (req, res) => {
   try {
@@ -548,26 +780,32 @@ router.get('/margin-analysis', async (req, res) => {
         {
           model: Vendor,
           as: 'vendor',
-          attributes: ['name', 'discount_percentage', 'markup_percentage'],
+          attributes: ['id', 'name'],
         },
       ],
     });
+    const lines = await vendorInvoiceService.analyzePartLines(shopId, parts);
 
     // Calculate detailed margin analysis
     let total_sell = 0;
     let total_cost = 0;
     let total_margin = 0;
+    let invoiced_lines = 0;
+    let unpriced_lines = 0;
     const vendor_analysis = {};
     const status_analysis = {};
 
-    parts.forEach(part => {
-      const sell_price = part.quantity * part.unit_cost;
-      let cost_price = sell_price;
+    lines.forEach(line => {
+      const { part } = line;
+      if (line.grossProfit === null) {
+        unpriced_lines++;
+        return;
+      }
+      if (line.costSource === 'invoice') invoiced_lines++;
+      const sell_price = line.sellValue;
+      const cost_price = line.costValue;
 
       if (part.vendor) {
-        const discount = part.vendor.discount_percentage || 0;
-        cost_price = sell_price * (1 - discount / 100);
-
         if (!vendor_analysis[part.vendor.name]) {
           vendor_analysis[part.vendor.name] = {
             total_sell: 0,
@@ -585,7 +823,7 @@ router.get('/margin-analysis', async (req, res) => {
       }
 
       // Status analysis
-      const status = part.status || 'needed';
+      const status = part.partStatus || 'needed';
       if (!status_analysis[status]) {
         status_analysis[status] = {
           total_sell: 0,
@@ -629,9 +867,12 @@ router.get('/margin-analysis', async (req, res) => {
             total_sell > 0
               ? ((total_margin / total_sell) * 100).toFixed(2)
               : '0.00',
+          invoiced_lines,
+          unpriced_lines,
         },
         vendor_analysis,
         status_analysis,
+        line_analysis: lines.map(formatLineProfit),
         analysis_period: `${date_range} days`,
         last_updated: new Date().toISOString(),
       },
@@ -697,6 +938,206 @@ function formatPartForResponse(part) {
   };
 }
 
+async function findSourcingRequests(where_clause) {
+  return PartsSourcingRequest.findAll({
+    where: where_clause,
+    include: [
+      {
+        model: VendorPartQuote,
+        as: 'vendorQuotes',
+        include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+      },
+      {
+        model: RepairOrderManagement,
+        as: 'repairOrder',
+        attributes: ['id', 'repairOrderNumber'],
+      },
+    ],
+    order: [
+      ['requestedAt', 'DESC'],
+      [{ model: VendorPartQuote, as: 'vendorQuotes' }, 'unitPrice', 'ASC'],
+    ],
+  });
+}
+
+/**
+ * Record the chosen quote on the request, its quotes and the parts line
+ */
+async function selectSourcingQuote(request, quote_id, { userId, reason }) {
+  const now = new Date();
+  const quote = request.vendorQuotes.find(q => q.id === quote_id);
+
+  await VendorPartQuote.update(
+    { isSelected: false, quoteStatus: 'rejected' },
+    { where: { sourcingRequestId: request.id, id: { [Op.ne]: quote_id } } }
+  );
+  await quote.update({
+    isSelected: true,
+    quoteStatus: 'accepted',
+    selectionReason: reason,
+    approvedBy: userId,
+  });
+  await request.update({
+    sourcingStatus: 'approved',
+    selectedVendorId: quote.vendorId,
+    selectedQuoteId: quote.id,
+    selectionReason: reason,
+    approvedBy: userId,
+    approvedAt: now,
+    updatedBy: userId,
+  });
+
+  const { partId } = JSON.parse(request.integrationData || '{}');
+  if (partId) {
+    await AdvancedPartsManagement.update(
+      {
+        vendorId: quote.vendorId,
+        vendorPartNumber: quote.partNumber,
+        brandType: quote.brandType,
+        netPrice: quote.unitPrice,
+        quoteExpirationDate: quote.validUntil,
+        partStatus: 'quoted',
+        statusChangeDate: now,
+        statusChangedBy: userId,
+      },
+      { where: { id: partId, shopId: request.shopId } }
+    );
+  }
+
+  const [updated] = await findSourcingRequests({ id: request.id });
+  return updated;
+}
+
+function formatSourcingRequest(request) {
+  const quotes = request.vendorQuotes || [];
+  const best_price =
+    request.bestPrice !== null ? parseFloat(request.bestPrice) : null;
+  const target_price =
+    request.targetPrice !== null ? parseFloat(request.targetPrice) : null;
+
+  return {
+    id: request.id,
+    request_number: request.requestNumber,
+    ro_id: request.repairOrderId,
+    ro_number: request.repairOrder?.repairOrderNumber,
+    part_number: request.oemPartNumber,
+    part_description: request.partDescription,
+    quantity: request.quantityNeeded,
+    status: request.sourcingStatus,
+    priority: request.priority,
+    target_price,
+    best_price,
+    average_price:
+      request.averagePrice !== null ? parseFloat(request.averagePrice) : null,
+    potential_savings:
+      best_price !== null && target_price
+        ? (target_price - best_price) * request.quantityNeeded
+        : null,
+    best_lead_time: request.bestLeadTime,
+    vendor_count: request.vendorCount,
+    quotes_received: request.quotesReceived,
+    selected_vendor_id: request.selectedVendorId,
+    selected_quote_id: request.selectedQuoteId,
+    selection_reason: request.selectionReason,
+    last_error: request.lastError,
+    requested_at: request.requestedAt,
+    completed_at: request.approvedAt || request.analyzedAt,
+    quotes: quotes.map(quote => ({
+      id: quote.id,
+      vendor_id: quote.vendorId,
+      vendor_name: quote.vendor?.name,
+      quote_number: quote.quoteNumber,
+      part_number: quote.partNumber,
+      brand_type: quote.brandType,
+      availability_status: quote.availabilityStatus,
+      quantity_available: quote.quantityAvailable,
+      unit_price: parseFloat(quote.unitPrice),
+      lead_time_days: quote.leadTimeEstimate,
+      overall_score: quote.overallScore,
+      selection_rank: quote.selectionRank,
+      status: quote.quoteStatus,
+      is_selected: quote.isSelected,
+      valid_until: quote.validUntil,
+      quoted_at: quote.quoteDate,
+    })),
+  };
+}
+
+/**
+ * Dashboard figures from the persisted requests and quotes
+ */
+function summarizeSourcing(requests) {
+  const sourced = requests.filter(request =>
+    ['analyzed', 'approved', 'ordered'].includes(request.sourcingStatus)
+  );
+  const savings = requests
+    .map(request => formatSourcingRequest(request).potential_savings)
+    .filter(amount => amount !== null);
+  const start_of_day = new Date();
+  start_of_day.setHours(0, 0, 0, 0);
+  const processing_times = requests
+    .map(request => request.totalProcessingTime)
+    .filter(seconds => seconds !== null && seconds !== undefined);
+
+  const vendor_performance = {};
+  requests.forEach(request => {
+    (request.vendorQuotes || []).forEach(quote => {
+      const name = quote.vendor?.name || 'Unknown vendor';
+      if (!vendor_performance[name]) {
+        vendor_performance[name] = {
+          vendor: name,
+          quotes: 0,
+          in_stock: 0,
+          recommended: 0,
+          score_total: 0,
+          scored: 0,
+        };
+      }
+      const vendor = vendor_performance[name];
+      vendor.quotes++;
+      if (['in_stock', 'limited_stock'].includes(quote.availabilityStatus)) {
+        vendor.in_stock++;
+      }
+      if (quote.selectionRank === 1) vendor.recommended++;
+      if (quote.overallScore) {
+        vendor.score_total += quote.overallScore;
+        vendor.scored++;
+      }
+    });
+  });
+
+  return {
+    total_requests: requests.length,
+    success_rate:
+      requests.length > 0
+        ? Math.round((sourced.length / requests.length) * 1000) / 10
+        : 0,
+    total_quotes: requests.reduce(
+      (sum, request) => sum + (request.vendorQuotes || []).length,
+      0
+    ),
+    total_savings: savings.reduce((sum, amount) => sum + amount, 0),
+    savings_today: requests
+      .filter(request => new Date(request.requestedAt) >= start_of_day)
+      .map(request => formatSourcingRequest(request).potential_savings || 0)
+      .reduce((sum, amount) => sum + amount, 0),
+    avg_processing_seconds:
+      processing_times.length > 0
+        ? Math.round(
+            processing_times.reduce((sum, seconds) => sum + seconds, 0) /
+              processing_times.length
+          )
+        : null,
+    vendor_performance: Object.values(vendor_performance)
+      .map(({ score_total, scored, ...vendor }) => ({
+        ...vendor,
+        avg_score: scored > 0 ? Math.round(score_total / scored) : null,
+        fill_rate: Math.round((vendor.in_stock / vendor.quotes) * 100),
+      }))
+      .sort((a, b) => b.recommended - a.recommended || b.quotes - a.quotes),
+  };
+}
+
 async function getStatusBreakdown(base_where_clause) {
   const statuses = [
     'needed',
@@ -729,6 +1170,32 @@ function estimatePartPrice(part, discount_percentage = 0) {
   return Math.round(estimated * 100) / 100;
 }
 
+function formatLineProfit(line) {
+  const { part } = line;
+  return {
+    part_id: part.id,
+    repair_order_id: part.repairOrderId,
+    part_number: part.vendorPartNumber || part.oemPartNumber,
+    description: part.partDescription,
+    vendor_name: part.vendor?.name || null,
+    status: part.partStatus,
+    quantity: line.quantity,
+    estimate_unit_price: line.estimateUnitPrice,
+    unit_cost: line.unitCost,
+    cost_source: line.costSource,
+    sell_value: line.sellValue,
+    cost_value: line.costValue,
+    gross_profit: line.grossProfit,
+    gross_profit_percent: line.grossProfitPercent,
+    target_margin:
+      part.targetMargin !== null && part.targetMargin !== undefined
+        ? parseFloat(part.targetMargin)
+        : null,
+    invoice_numbers: line.invoiceNumbers,
+    variances: line.variances,
+  };
+}
+
 function calculateDeliveryEstimate(vendor, urgent = false) {
   const base_days = vendor.typical_delivery_days || 3;
   return urgent ? Math.max(1, base_days - 2) : base_days;
@@ -0,0 +1,297 @@
+/**
+ * CollisionOS Payroll API Routes
+ *
+ * Flag-hour technician payroll:
+ * - Payroll runs per pay period with one pay stub per technician
+ * - Hourly, flat-rate and hybrid pay plans with commission and overtime
+ * - Rework/comeback adjustments and manual bonuses or deductions
+ * - Approve, reopen and lock workflow; CSV, XLSX and PDF export
+ * - Runs, adjustments and pay plans are viewed and changed by owners,
+ *   managers and admins; technicians can export their own pay stubs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const payrollService = require('../services/payrollService');
+const reportExportService = require('../services/reportExportService');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+const PAYROLL_MANAGER_ROLES = ['owner', 'manager', 'admin'];
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return true;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+  });
+  return false;
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message,
+  });
+};
+
+const requirePayrollManager = authenticateToken({ roles: PAYROLL_MANAGER_ROLES });
+
+const sendFile = (res, file) => {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.send(file.body);
+};
+
+const runIdValidation = [param('id').isUUID().withMessage('Payroll run ID must be a UUID')];
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of ${EXPORT_FORMATS.join(', ')}`),
+];
+
+/**
+ * GET /api/payroll/runs - List payroll runs for the shop
+ */
+router.get(
+  '/runs',
+  requirePayrollManager,
+  [
+    query('status').optional().isIn(payrollService.runStatuses),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+  ],
+  async (req, res) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const { rows, count } = await payrollService.listRuns(req.user.shopId, {
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 20,
+        offset: parseInt(req.query.offset) || 0,
+      });
+
+      res.json({ success: true, data: rows, pagination: { total: count } });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payroll runs');
+    }
+  }
+);
+
+/**
+ * POST /api/payroll/runs - Create and calculate a draft run for a pay period
+ */
+router.post(
+  '/runs',
+  requirePayrollManager,
+  [
+    body('periodStart').isISO8601().withMessage('periodStart must be an ISO 8601 date'),
+    body('periodEnd').isISO8601().withMessage('periodEnd must be an ISO 8601 date'),
+    body('payDate').optional({ nullable: true }).isISO8601(),
+    body('notes').optional({ nullable: true }).isString(),
+  ],
+  async (req, res) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const run = await payrollService.createRun(req.user.shopId, req.body, req.user.userId);
+      res.status(201).json({ success: true, message: 'Payroll run created', data: run });
+    } catch (error) {
+      sendError(res, error, 'Failed to create payroll run');
+    }
+  }
+);
+
+/**
+ * GET /api/payroll/runs/:id - Payroll run with pay stubs
+ */
+router.get('/runs/:id', requirePayrollManager, runIdValidation, async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const run = await payrollService.getRun(req.params.id, req.user.shopId);
+    res.json({ success: true, data: run });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch payroll run');
+  }
+});
+
+/**
+ * POST /api/payroll/runs/:id/recalculate - Rebuild stubs for a draft run
+ */
+router.post('/runs/:id/recalculate', requirePayrollManager, runIdValidation, async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const run = await payrollService.calculateRun(req.params.id, req.user.shopId);
+    res.json({ success: true, message: 'Payroll run recalculated', data: run });
+  } catch (error) {
+    sendError(res, error, 'Failed to recalculate payroll run');
+  }
+});
+
+/**
+ * POST /api/payroll/runs/:id/stubs/:stubId/adjustments - Add a manual adjustment
+ */
+router.post(
+  '/runs/:id/stubs/:stubId/adjustments',
+  requirePayrollManager,
+  [
+    ...runIdValidation,
+    param('stubId').isUUID(),
+    body('amount').isFloat().withMessage('amount must be a number'),
+    body('reason').trim().notEmpty().withMessage('reason is required'),
+    body('type').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const run = await payrollService.addAdjustment(
+        req.params.id,
+        req.params.stubId,
+        req.user.shopId,
+        req.body,
+        req.user.userId
+      );
+      res.json({ success: true, message: 'Adjustment added', data: run });
+    } catch (error) {
+      sendError(res, error, 'Failed to add adjustment');
+    }
+  }
+);
+
+/**
+ * POST /api/payroll/runs/:id/approve - Approve a draft run
+ */
+router.post('/runs/:id/approve', requirePayrollManager, runIdValidation, async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const run = await payrollService.approveRun(req.params.id, req.user.shopId, req.user.userId);
+    res.json({ success: true, message: 'Payroll run approved', data: run });
+  } catch (error) {
+    sendError(res, error, 'Failed to approve payroll run');
+  }
+});
+
+/**
+ * POST /api/payroll/runs/:id/reopen - Return an approved run to draft
+ */
+router.post('/runs/:id/reopen', requirePayrollManager, runIdValidation, async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const run = await payrollService.reopenRun(req.params.id, req.user.shopId);
+    res.json({ success: true, message: 'Payroll run reopened', data: run });
+  } catch (error) {
+    sendError(res, error, 'Failed to reopen payroll run');
+  }
+});
+
+/**
+ * POST /api/payroll/runs/:id/lock - Lock an approved run and mark time records paid
+ */
+router.post('/runs/:id/lock', requirePayrollManager, runIdValidation, async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const run = await payrollService.lockRun(req.params.id, req.user.shopId, req.user.userId);
+    res.json({ success: true, message: 'Payroll run locked', data: run });
+  } catch (error) {
+    sendError(res, error, 'Failed to lock payroll run');
+  }
+});
+
+/**
+ * GET /api/payroll/runs/:id/export - Run summary as CSV, XLSX or PDF
+ */
+router.get(
+  '/runs/:id/export',
+  requirePayrollManager,
+  [...runIdValidation, ...exportValidation],
+  async (req, res) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const run = await payrollService.getRun(req.params.id, req.user.shopId);
+      const file = await reportExportService.exportReport(
+        payrollService.buildRunReport(run),
+        req.query.format || 'csv'
+      );
+      sendFile(res, file);
+    } catch (error) {
+      sendError(res, error, 'Failed to export payroll run');
+    }
+  }
+);
+
+/**
+ * GET /api/payroll/runs/:id/stubs/:stubId/export - Single technician pay stub
+ */
+router.get(
+  '/runs/:id/stubs/:stubId/export',
+  [...runIdValidation, param('stubId').isUUID(), ...exportValidation],
+  async (req, res) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const run = await payrollService.getRun(req.params.id, req.user.shopId);
+      const stub = run.payStubs.find(item => item.id === req.params.stubId);
+      if (!stub) {
+        return res.status(404).json({ success: false, message: 'Pay stub not found' });
+      }
+      if (!PAYROLL_MANAGER_ROLES.includes(req.user.role) && stub.technicianId !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Technicians can only export their own pay stubs',
+        });
+      }
+
+      const file = await reportExportService.exportReport(
+        payrollService.buildStubReport(run, stub),
+        req.query.format || 'pdf'
+      );
+      sendFile(res, file);
+    } catch (error) {
+      sendError(res, error, 'Failed to export pay stub');
+    }
+  }
+);
+
+/**
+ * PUT /api/payroll/pay-plans/:technicianId - Update a technician's pay plan
+ */
+router.put(
+  '/pay-plans/:technicianId',
+  requirePayrollManager,
+  [
+    param('technicianId').isUUID(),
+    body('payPlanType').optional().isIn(payrollService.payPlanTypes),
+    body('hourlyRate').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('flatRate').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('commissionRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (!validate(req, res)) return;
+
+      const plan = await payrollService.updatePayPlan(
+        req.user.shopId,
+        req.params.technicianId,
+        req.body
+      );
+      res.json({ success: true, message: 'Pay plan updated', data: plan });
+    } catch (error) {
+      sendError(res, error, 'Failed to update pay plan');
+    }
+  }
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { Job, Customer, Vehicle, User } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
 const { auditLogger } = require('../middleware/security');
+const productionWorkflowEngine = require('../services/productionWorkflowEngine');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for production updates
@@ -14,6 +15,9 @@ const productionUpdateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Roles allowed to push a job past failed stage checks
+const STAGE_OVERRIDE_ROLES = ['owner', 'manager', 'admin'];
+
 // Production stage configuration and validation
 const PRODUCTION_STAGES = {
   intake: {
@@ -178,8 +182,15 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
         .json({ error: 'Job ID and new stage are required' });
     }
 
+    if (validationOverride && !STAGE_OVERRIDE_ROLES.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ error: 'Only managers can override stage validation' });
+    }
+
     // Fetch job with current stage
-    const job = await Job.findByPk(jobId, {
+    const job = await Job.findOne({
+      where: { id: jobId, shopId: req.user.shopId },
       include: [
         { model: Customer, as: 'customer' },
         { model: Vehicle, as: 'vehicle' },
@@ -214,9 +225,36 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
       });
     }
 
+    // Shop stage rules: prerequisites, inspections, photos, approvals, rework
+    const workflowDecision = await productionWorkflowEngine.evaluateTransition(
+      job,
+      newStage,
+      { override: validationOverride, stageOrder: getStageOrder() }
+    );
+    if (!workflowDecision.allowed) {
+      await productionWorkflowEngine.recordBlockedAttempt(job, workflowDecision, {
+        userId,
+      });
+      auditLogger.info('Stage transition blocked', {
+        jobId,
+        from: job.status,
+        to: newStage,
+        userId,
+        blockers: workflowDecision.blockers.map(blocker => blocker.rule),
+      });
+      return res.status(400).json({
+        error: 'Stage transition blocked by workflow rules',
+        validation: validationResult,
+        workflow: workflowDecision,
+        canOverride: workflowDecision.canOverride,
+      });
+    }
+
     // Update job stage with transition tracking
     const previousStage = job.status;
     const stageTransitionTime = new Date();
+    const overriddenBy =
+      !validationResult.isValid || workflowDecision.overridden ? userId : null;
 
     await job.update({
       status: newStage,
@@ -231,6 +269,7 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
           userId,
           technicianId,
           notes,
+          overriddenBy,
           duration: currentStageConfig
             ? calculateStageDuration(job.lastUpdated, stageTransitionTime)
             : null,
@@ -238,6 +277,12 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
       ],
     });
 
+    const { automation } = await productionWorkflowEngine.completeTransition(
+      job,
+      workflowDecision,
+      { userId, technicianId, notes, overriddenBy }
+    );
+
     // Audit logging
     auditLogger.info('Stage transition', {
       jobId,
@@ -247,6 +292,10 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
       technicianId,
       timestamp: stageTransitionTime,
       validationOverride,
+      overriddenBy,
+      overriddenRules: workflowDecision.overridden
+        ? workflowDecision.blockers.map(blocker => blocker.rule)
+        : [],
     });
 
     // Real-time WebSocket broadcast
@@ -299,6 +348,8 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
         duration: calculateStageDuration(job.lastUpdated, stageTransitionTime),
       },
       validation: validationResult,
+      workflow: workflowDecision,
+      automation,
       completionChecks,
       nextStages: stageConfig.allowedNext,
       recommendations: generateStageRecommendations(updatedJob, newStage),
@@ -309,6 +360,96 @@ router.post('/update-stage', productionUpdateLimit, async (req, res) => {
   }
 });
 
+// GET /api/production/jobs/:jobId/workflow/:stage - Check a stage change against the workflow rules
+router.get('/jobs/:jobId/workflow/:stage', async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      where: { id: req.params.jobId, shopId: req.user.shopId },
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const decision = await productionWorkflowEngine.evaluateTransition(
+      job,
+      req.params.stage,
+      { stageOrder: getStageOrder() }
+    );
+
+    res.json({ success: true, workflow: decision });
+  } catch (error) {
+    console.error('Error evaluating stage transition:', error);
+    res.status(500).json({ error: 'Failed to evaluate stage transition' });
+  }
+});
+
+// POST /api/production/jobs/:jobId/inspections - Record a stage inspection
+router.post('/jobs/:jobId/inspections', async (req, res) => {
+  try {
+    const { stage, passed = true, results, notes } = req.body;
+
+    const job = await Job.findOne({
+      where: { id: req.params.jobId, shopId: req.user.shopId },
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const history = await productionWorkflowEngine.recordInspection(job, stage, {
+      passed: passed !== false,
+      results,
+      notes,
+      userId: req.user?.id,
+    });
+
+    auditLogger.info('Stage inspection recorded', {
+      jobId: job.id,
+      stage,
+      passed: passed !== false,
+      userId: req.user?.id,
+    });
+
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error recording stage inspection:', error);
+    res
+      .status(error.statusCode || 500)
+      .json({ error: error.statusCode ? error.message : 'Failed to record inspection' });
+  }
+});
+
+// POST /api/production/jobs/:jobId/approvals - Record customer approval for a stage
+router.post('/jobs/:jobId/approvals', async (req, res) => {
+  try {
+    const { stage, note } = req.body;
+
+    const job = await Job.findOne({
+      where: { id: req.params.jobId, shopId: req.user.shopId },
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    await productionWorkflowEngine.recordCustomerApproval(job, stage, {
+      userId: req.user?.id,
+      note,
+    });
+
+    auditLogger.info('Customer stage approval recorded', {
+      jobId: job.id,
+      stage,
+      userId: req.user?.id,
+    });
+
+    res.json({ success: true, approvals: job.workflow?.approvals || {} });
+  } catch (error) {
+    console.error('Error recording customer approval:', error);
+    res
+      .status(error.statusCode || 500)
+      .json({ error: error.statusCode ? error.message : 'Failed to record approval' });
+  }
+});
+
 // POST /api/production/batch-update - Batch stage updates for multiple jobs
 router.post('/batch-update', productionUpdateLimit, async (req, res) => {
   try {
@@ -333,7 +474,10 @@ router.post('/batch-update', productionUpdateLimit, async (req, res) => {
       try {
         const { jobId, newStage, technicianId, notes } = update;
 
-        const job = await Job.findByPk(jobId);
+        const job = await Job.findOne({
+          where: { id: jobId, shopId: req.user.shopId },
+          include: [{ model: Customer, as: 'customer' }],
+        });
         if (!job) {
           failures.push({ jobId, error: 'Job not found' });
           continue;
@@ -354,6 +498,24 @@ router.post('/batch-update', productionUpdateLimit, async (req, res) => {
           continue;
         }
 
+        const workflowDecision =
+          await productionWorkflowEngine.evaluateTransition(job, newStage, {
+            stageOrder: getStageOrder(),
+          });
+        if (!workflowDecision.allowed) {
+          await productionWorkflowEngine.recordBlockedAttempt(
+            job,
+            workflowDecision,
+            { userId }
+          );
+          failures.push({
+            jobId,
+            error: 'Stage transition blocked by workflow rules',
+            workflow: workflowDecision,
+          });
+          continue;
+        }
+
         // Update job
         const previousStage = job.status;
         const timestamp = new Date();
@@ -376,12 +538,21 @@ router.post('/batch-update', productionUpdateLimit, async (req, res) => {
           ],
         });
 
+        const { automation } =
+          await productionWorkflowEngine.completeTransition(
+            job,
+            workflowDecision,
+            { userId, technicianId, notes }
+          );
+
         results.push({
           jobId,
           success: true,
           from: previousStage,
           to: newStage,
           timestamp,
+          warnings: workflowDecision.warnings,
+          automation,
         });
 
         // Real-time broadcast
@@ -617,6 +788,16 @@ router.get('/technician-assignments', async (req, res) => {
   }
 });
 
+// Stage order by code, used when a stage has no ProductionStage row
+function getStageOrder() {
+  return Object.fromEntries(
+    Object.entries(PRODUCTION_STAGES).map(([code, config]) => [
+      code,
+      config.order,
+    ])
+  );
+}
+
 // Helper Functions
 function validateStageTransition(
   currentStage,
@@ -937,34 +1118,22 @@ router.put('/board/:jobId/status', productionUpdateLimit, async (req, res) => {
     const previousStatus = job.status;
     const transitionTime = new Date();
 
-    // Determine movement type
-    const stageOrder = {
-      estimating: 1,
-      scheduled: 2,
-      disassembly: 3,
-      parts_pending: 4,
-      in_repair: 5,
-      reassembly: 6,
-      qc: 7,
-      complete: 8,
-    };
-    const fromOrder = stageOrder[previousStatus] || 0;
-    const toOrder = stageOrder[status] || 0;
-    
-    let movementType = 'forward';
-    if (toOrder < fromOrder) movementType = 'backward';
-    else if (toOrder > fromOrder + 1) movementType = 'skip';
-    else if (toOrder === fromOrder) movementType = 'parallel';
-
-    // Get previous stage history to calculate duration
-    const JobStageHistory = require('../database/models').JobStageHistory;
-    const lastHistory = await JobStageHistory.findOne({
-      where: { jobId, shopId: job.shopId },
-      order: [['transitionTime', 'DESC']],
-    });
-
-    const stageStartTime = lastHistory?.transitionTime || job.createdAt || transitionTime;
-    const stageDuration = Math.round((transitionTime - new Date(stageStartTime)) / 1000 / 60); // minutes
+    const workflowDecision = await productionWorkflowEngine.evaluateTransition(
+      job,
+      detailedStage,
+      { stageOrder: getStageOrder() }
+    );
+    if (!workflowDecision.allowed) {
+      await productionWorkflowEngine.recordBlockedAttempt(job, workflowDecision, {
+        userId: req.user?.id,
+      });
+      return res.status(400).json({
+        success: false,
+        error: workflowDecision.blockers.map(blocker => blocker.message).join('; '),
+        workflow: workflowDecision,
+      });
+    }
+    const { movementType } = workflowDecision;
 
     // Update job
     await job.update({
@@ -972,23 +1141,14 @@ router.put('/board/:jobId/status', productionUpdateLimit, async (req, res) => {
       lastUpdated: transitionTime,
     });
 
-    // Create stage history entry
+    // Create stage history entry and run stage automation
+    let automation = [];
     try {
-      await JobStageHistory.create({
-        shopId: job.shopId,
-        jobId,
-        fromStage: previousStatus,
-        toStage: detailedStage,
-        movementType,
-        movementReason: 'normal_progression',
-        transitionTime,
-        stageStartTime: lastHistory?.transitionTime || job.createdAt,
-        stageEndTime: transitionTime,
-        stageDuration,
-        technicianId: job.technicianId || req.user?.id,
-        authorizedBy: req.user?.id,
-        notes: req.body.notes || null,
-      });
+      ({ automation } = await productionWorkflowEngine.completeTransition(
+        job,
+        workflowDecision,
+        { userId: req.user?.id, notes: req.body.notes }
+      ));
     } catch (historyError) {
       console.warn('Failed to create stage history:', historyError.message);
     }
@@ -1021,6 +1181,8 @@ router.put('/board/:jobId/status', productionUpdateLimit, async (req, res) => {
         simpleStage: status,
         previousStatus,
       },
+      warnings: workflowDecision.warnings,
+      automation,
       message: 'Job status updated successfully',
     });
   } catch (error) {
@@ -8,8 +8,10 @@
  * - Vendor code generation: 4 chars uppercase from supplier name
  * - Margin validation against vendor agreements
  * - Status workflow: draft → sent → ack → partial → received → closed
+ * - Transmission by vendor API, EDI (X12 850 / cXML) or emailed PDF;
+ *   vendor acknowledgments, backorders and ship notices arrive by webhook
  * - Partial receiving with quantity tracking
- * - Returns handling for quantity mismatches
+ * - Returns handling for quantity mismatches (see routes/partsReturns.js)
  * - PO splitting by vendor or delivery
  */
 
@@ -25,6 +27,9 @@ const {
   User,
 } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
+const domainEvents = require('../services/domainEvents');
+const purchaseOrderTransmission = require('../services/purchaseOrderTransmission');
+const partsReturnService = require('../services/partsReturnService');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for PO operations
@@ -237,6 +242,7 @@ router.post('/:id/receive', poRateLimit, async (req, res) => {
     let all_received = true;
     const processing_results = [];
     const return_items = [];
+    const received_part_ids = [];
 
     // Process each received item
     for (const item of received_items) {
@@ -298,6 +304,10 @@ router.post('/:id/receive', poRateLimit, async (req, res) => {
         }
       );
 
+      if (new_status === 'received') {
+        received_part_ids.push(partLine.id);
+      }
+
       processing_results.push({
         part_line_id: item.part_line_id,
         status: 'processed',
@@ -328,6 +338,16 @@ router.post('/:id/receive', poRateLimit, async (req, res) => {
       await createReturnOrder(purchaseOrder, return_items, userId);
     }
 
+    if (received_part_ids.length > 0 && purchaseOrder.repairOrderId) {
+      domainEvents.publish(domainEvents.EVENTS.PARTS_RECEIVED, {
+        shopId,
+        repairOrderId: purchaseOrder.repairOrderId,
+        purchaseOrderId: purchaseOrder.id,
+        partIds: received_part_ids,
+        userId,
+      });
+    }
+
     // Broadcast real-time update
     realtimeService.broadcastPOUpdate(
       {
@@ -482,6 +502,83 @@ router.get('/vendor/:vendorId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/pos/:id/transmit - Send PO to the vendor
+ *
+ * Body: {
+ *   method: 'api' | 'edi' | 'email',  // optional, defaults to the best channel
+ *   resend: boolean
+ * }
+ */
+router.post('/:id/transmit', poRateLimit, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method, resend } = req.body;
+    const { shopId, userId } = req.user;
+
+    const result = await purchaseOrderTransmission.transmit(shopId, id, {
+      userId,
+      method,
+      resend: Boolean(resend),
+    });
+
+    res.json({
+      success: true,
+      message: `PO ${result.purchaseOrder.purchaseOrderNumber} sent by ${result.method}`,
+      data: {
+        po_id: result.purchaseOrder.id,
+        po_number: result.purchaseOrder.purchaseOrderNumber,
+        status: result.purchaseOrder.poStatus,
+        method: result.method,
+        reference: result.reference,
+        vendor_confirmation_number:
+          result.purchaseOrder.vendorConfirmationNumber,
+        attempts: result.attempts,
+      },
+    });
+  } catch (error) {
+    console.error('PO transmit error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to send PO',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/pos/:id/document - PO as a PDF, X12 850 or cXML document
+ *
+ * Query: format = 'pdf' | 'x12' | 'cxml'
+ */
+router.get('/:id/document', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+    const { shopId } = req.user;
+
+    const document = await purchaseOrderTransmission.renderDocument(
+      shopId,
+      id,
+      format
+    );
+
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${document.fileName}"`
+    );
+    res.send(document.content);
+  } catch (error) {
+    console.error('PO document error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to render PO',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/pos/:id/split - Split POs by vendor or delivery
  */
@@ -674,22 +771,18 @@ function calculateVendorMetrics(purchaseOrders) {
  * Create return order for over-deliveries or damaged parts
  */
 async function createReturnOrder(purchaseOrder, return_items, userId) {
-  // Implementation for return order creation
-  // This would create entries in a returns table and notify the vendor
-  console.log(
-    `Creating return order for PO ${purchaseOrder.po_number}:`,
-    return_items
-  );
-
-  // Broadcast return notification
-  realtimeService.broadcastPOUpdate(
+  return partsReturnService.createReturn(
+    purchaseOrder.shopId,
     {
-      po_id: purchaseOrder.id,
-      po_number: purchaseOrder.po_number,
-      return_items: return_items.length,
-      action: 'returns_created',
+      returnType: 'over_delivery',
+      purchaseOrderId: purchaseOrder.id,
+      lines: return_items.map(item => ({
+        partLineId: item.part_line_id,
+        quantity: item.return_quantity,
+      })),
+      reason: `Over-delivery on PO ${purchaseOrder.purchaseOrderNumber}`,
     },
-    'returns'
+    userId
   );
 }
 
@@ -15,7 +15,7 @@
 const express = require('express');
 const router = express.Router();
 const { Op } = require('sequelize');
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const {
   ProductionWorkflow,
   RepairOrderManagement,
@@ -25,6 +25,8 @@ const {
   AdvancedPartsManagement,
 } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
+const qualityCertificateService = require('../services/qualityCertificateService');
+const domainEvents = require('../services/domainEvents');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for QC operations
@@ -52,7 +54,9 @@ const qcRateLimit = rateLimit({
  *   overall_status: 'pass' | 'fail' | 'conditional',
  *   inspector_id: string,
  *   inspection_notes?: string,
- *   reinspection_required?: boolean
+ *   reinspection_required?: boolean,
+ *   inspector_signature?: string (base64 PNG, issues the stage certificate),
+ *   signature_id?: string
  * }
  */
 router.post('/checklist', qcRateLimit, async (req, res) => {
@@ -74,6 +78,8 @@ router.post('/checklist', qcRateLimit, async (req, res) => {
       inspector_id,
       inspection_notes,
       reinspection_required = false,
+      inspector_signature,
+      signature_id,
     } = req.body;
     const { shopId, userId } = req.user;
 
@@ -173,15 +179,46 @@ router.post('/checklist', qcRateLimit, async (req, res) => {
       );
     }
 
-    // Create compliance certificate if all QC passed
+    // Record the stage certificate; left as a draft until it is signed
     let compliance_certificate = null;
+    const certificate_type =
+      qualityCertificateService.certificateTypeForStage(stage);
+    if (certificate_type) {
+      const certificate = await qualityCertificateService.issueCertificate(
+        shopId,
+        ro_id,
+        {
+          certificate_type,
+          result: overall_status,
+          inspector_id,
+          findings: inspection_notes,
+          measurements: {
+            checklist: processed_items.map(item => ({
+              item_id: item.item_id,
+              description: item.description,
+              status: item.status,
+              notes: item.notes,
+            })),
+          },
+          draft: !inspector_signature && !signature_id,
+          signature_id,
+          signature: inspector_signature
+            ? { signature_data: inspector_signature }
+            : undefined,
+        },
+        { userId, ipAddress: req.ip, userAgent: req.get('User-Agent') }
+      );
+      compliance_certificate = formatCertificate(certificate);
+    }
+
     if (overall_status === 'pass') {
-      compliance_certificate = await generateComplianceCertificate(
-        repair_order,
+      domainEvents.publish(domainEvents.EVENTS.QC_COMPLETED, {
+        shopId,
+        repairOrderId: ro_id,
         stage,
-        processed_items,
-        inspector
-      );
+        passed: true,
+        userId,
+      });
     }
 
     // Broadcast real-time update
@@ -217,7 +254,7 @@ router.post('/checklist', qcRateLimit, async (req, res) => {
     });
   } catch (error) {
     console.error('QC checklist error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to process quality checklist',
       error: error.message,
@@ -477,7 +514,9 @@ router.get('/compliance/:roId', async (req, res) => {
         calibration_status,
         scan_requirements
       ),
-      compliance_certificates: await getComplianceCertificates(roId, shopId),
+      compliance_certificates: (
+        await qualityCertificateService.listCertificates(shopId, roId)
+      ).map(formatCertificate),
       regulatory_requirements: getApplicableRegulations(
         repair_order.vehicleProfile
       ),
@@ -655,6 +694,17 @@ router.post('/inspection', qcRateLimit, async (req, res) => {
       );
     }
 
+    if (overall_status === 'passed') {
+      domainEvents.publish(domainEvents.EVENTS.QC_COMPLETED, {
+        shopId,
+        repairOrderId: ro_id,
+        stage: original_workflow.stage,
+        passed: true,
+        reinspection: true,
+        userId,
+      });
+    }
+
     // Broadcast real-time update
     realtimeService.broadcastQCUpdate(
       {
@@ -696,6 +746,8 @@ router.post('/inspection', qcRateLimit, async (req, res) => {
 
 /**
  * GET /api/qc/certificates - Compliance certificates and documentation
+ *
+ * Query: certificate_type?, include_drafts?
  */
 router.get('/certificates/:roId', async (req, res) => {
   try {
@@ -703,55 +755,44 @@ router.get('/certificates/:roId', async (req, res) => {
     const { shopId } = req.user;
     const { certificate_type, include_drafts = false } = req.query;
 
-    // Get all certificates for this RO
-    const where_clause = {
-      repairOrderId: roId,
-      shopId,
-    };
-
-    if (certificate_type) {
-      where_clause.certificate_type = certificate_type;
-    }
-
-    if (include_drafts !== 'true') {
-      where_clause.status = { [Op.ne]: 'draft' };
-    }
-
-    const certificates = await getQualityCertificates(where_clause);
-
-    // Generate missing certificates if needed
-    const missing_certificates = await identifyMissingCertificates(
-      roId,
-      shopId
-    );
-
-    // Calculate compliance score
-    const compliance_score = await calculateComplianceScore(roId, certificates);
+    const { repairOrder, certificates, missing, compliance } =
+      await qualityCertificateService.getCertificateStatus(shopId, roId, {
+        certificateType: certificate_type,
+        includeDrafts: include_drafts === 'true',
+      });
 
     res.json({
       success: true,
       data: {
-        ro_id: roId,
-        certificates,
-        missing_certificates,
-        compliance_score,
+        ro_id: repairOrder.id,
+        ro_number: repairOrder.repairOrderNumber,
+        certificates: certificates.map(formatCertificate),
+        missing_certificates: missing,
+        compliance_score: {
+          overall_score: compliance.overall_score,
+          required_certificates: compliance.required_certificates,
+          satisfied_certificates: compliance.satisfied_certificates,
+        },
         certificate_summary: {
           total_certificates: certificates.length,
           valid_certificates: certificates.filter(c => c.status === 'valid')
             .length,
-          expired_certificates: certificates.filter(c => c.status === 'expired')
-            .length,
-          pending_certificates: missing_certificates.length,
+          failed_certificates: compliance.failed_certificates,
+          draft_certificates: compliance.draft_certificates,
+          pending_certificates: missing.length,
+        },
+        regulatory_compliance: {
+          ready_for_delivery: compliance.ready_for_delivery,
+          adas_documented: compliance.adas_documented,
+          scans_documented: compliance.scans_documented,
+          structural_documented: compliance.structural_documented,
+          outstanding_issues: compliance.outstanding_issues,
         },
-        regulatory_compliance: await checkRegulatoryCompliance(
-          roId,
-          certificates
-        ),
       },
     });
   } catch (error) {
     console.error('Certificates fetch error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to get compliance certificates',
       error: error.message,
@@ -759,6 +800,196 @@ router.get('/certificates/:roId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/qc/certificates/:roId/pdf - Repair certificate for delivery
+ *
+ * Query: allow_incomplete? - render with outstanding certificates listed
+ */
+router.get('/certificates/:roId/pdf', async (req, res) => {
+  try {
+    const { roId } = req.params;
+    const { shopId } = req.user;
+
+    const { buffer, fileName } =
+      await qualityCertificateService.renderRepairCertificate(shopId, roId, {
+        allowIncomplete: req.query.allow_incomplete === 'true',
+      });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Repair certificate error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to generate repair certificate',
+      error: error.message,
+    });
+  }
+});
+
+const certificateValidation = [
+  body('certificate_type')
+    .isIn(qualityCertificateService.getCertificateTypes())
+    .withMessage('Invalid certificate type'),
+  body('result').optional().isIn(['pass', 'fail', 'conditional']),
+  body('performed_at').optional().isISO8601(),
+  body('inspector_id').optional().isUUID(),
+  body('signature_id').optional().isUUID(),
+  body('signature.signature_data').optional().isString(),
+  body('measurements').optional().isObject(),
+  body('attachment_ids').optional().isArray(),
+  body('draft').optional().isBoolean(),
+];
+
+/**
+ * POST /api/qc/certificates/:roId - Issue a certificate
+ *
+ * Body: {
+ *   certificate_type: 'final_inspection' | 'adas_calibration' | 'pre_scan' |
+ *     'post_scan' | 'frame_measurement' | 'wheel_alignment',
+ *   result: 'pass' | 'fail' | 'conditional',
+ *   performed_at?: string,
+ *   inspector_id?: string (defaults to the current user),
+ *   equipment?: string,
+ *   measurements?: object,
+ *   findings?: string,
+ *   attachment_ids?: string[],
+ *   draft?: boolean,
+ *   signature_id?: string,
+ *   signature?: { signature_data: string, signed_by?: string }
+ * }
+ */
+router.post(
+  '/certificates/:roId',
+  qcRateLimit,
+  certificateValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { shopId, userId } = req.user;
+      const certificate = await qualityCertificateService.issueCertificate(
+        shopId,
+        req.params.roId,
+        req.body,
+        { userId, ipAddress: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Certificate ${certificate.certificateNumber} recorded`,
+        data: formatCertificate(certificate),
+      });
+    } catch (error) {
+      console.error('Certificate issue error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to issue certificate',
+        ...(error.details ? { errors: error.details } : {}),
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/qc/certificates/:roId/:certificateId/sign - Sign a draft
+ *
+ * Body: { result, findings?, measurements?, inspector_id?, signature_id?,
+ *   signature?: { signature_data, signed_by? } }
+ */
+router.post(
+  '/certificates/:roId/:certificateId/sign',
+  qcRateLimit,
+  [
+    body('result').isIn(['pass', 'fail', 'conditional']),
+    body('signature_id').optional().isUUID(),
+    body('signature.signature_data').optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { shopId, userId } = req.user;
+      const certificate = await qualityCertificateService.finalizeCertificate(
+        shopId,
+        req.params.certificateId,
+        req.body,
+        { userId, ipAddress: req.ip, userAgent: req.get('User-Agent') }
+      );
+
+      res.json({
+        success: true,
+        message: `Certificate ${certificate.certificateNumber} signed`,
+        data: formatCertificate(certificate),
+      });
+    } catch (error) {
+      console.error('Certificate sign error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to sign certificate',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/qc/certificates/:roId/:certificateId/void - Void a certificate
+ *
+ * Body: { reason: string }
+ */
+router.post(
+  '/certificates/:roId/:certificateId/void',
+  qcRateLimit,
+  [body('reason').trim().notEmpty().withMessage('reason is required')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { shopId, userId } = req.user;
+      const certificate = await qualityCertificateService.voidCertificate(
+        shopId,
+        req.params.certificateId,
+        req.body.reason,
+        { userId }
+      );
+
+      res.json({
+        success: true,
+        message: `Certificate ${certificate.certificateNumber} voided`,
+        data: formatCertificate(certificate),
+      });
+    } catch (error) {
+      console.error('Certificate void error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to void certificate',
+      });
+    }
+  }
+);
+
 /**
  * Helper Functions
  */
@@ -843,32 +1074,6 @@ async function handleFailedInspection(
   );
 }
 
-async function generateComplianceCertificate(
-  repair_order,
-  stage,
-  processed_items,
-  inspector
-) {
-  return {
-    certificate_id: `CERT-${Date.now()}`,
-    certificate_type: `qc_${stage}`,
-    ro_number: repair_order.ro_number,
-    stage,
-    inspector: `${inspector.firstName} ${inspector.lastName}`,
-    issue_date: new Date(),
-    expiry_date: null, // QC certificates don't typically expire
-    status: 'valid',
-    compliance_items: processed_items.filter(item => item.status === 'pass'),
-    digital_signature: generateDigitalSignature(repair_order, inspector),
-  };
-}
-
-function generateDigitalSignature(repair_order, inspector) {
-  // Generate a simple hash-based signature (in production would use proper cryptographic signing)
-  const signature_data = `${repair_order.ro_number}-${inspector.id}-${Date.now()}`;
-  return Buffer.from(signature_data).toString('base64');
-}
-
 async function validatePhotoAttachments(photo_urls, ro_id, shop_id) {
   const issues = [];
   let all_valid = true;
@@ -1107,19 +1312,6 @@ function calculateOverallCompliance(
   };
 }
 
-async function getComplianceCertificates(ro_id, shop_id) {
-  // Mock implementation - would query actual certificates table
-  return [
-    {
-      certificate_id: 'CERT-QC-001',
-      type: 'quality_inspection',
-      status: 'valid',
-      issue_date: '2024-08-28',
-      inspector: 'John Smith',
-    },
-  ];
-}
-
 function getApplicableRegulations(vehicle_profile) {
   const regulations = ['DOT Safety Standards'];
 
@@ -1141,47 +1333,28 @@ async function handleEscalatedItems(
   // In real implementation, would create manager notifications and escalation workflow
 }
 
-async function getQualityCertificates(where_clause) {
-  // Mock implementation - would query certificates table
-  return [
-    {
-      certificate_id: 'CERT-001',
-      certificate_type: 'qc_final_inspection',
-      status: 'valid',
-      issue_date: new Date(),
-      inspector: 'Quality Inspector',
-      compliance_score: '98.5',
-    },
-  ];
-}
-
-async function identifyMissingCertificates(ro_id, shop_id) {
-  // Mock implementation - would compare required vs existing certificates
-  return [
-    {
-      certificate_type: 'adas_calibration',
-      description: 'ADAS Calibration Certificate',
-      required_by: 'Vehicle has ADAS systems and front-end repair',
-    },
-  ];
-}
-
-async function calculateComplianceScore(ro_id, certificates) {
-  // Mock calculation - would be based on completed vs required certificates and QC results
-  return {
-    overall_score: 92.5,
-    quality_score: 95.0,
-    compliance_score: 90.0,
-    timeliness_score: 88.0,
-  };
-}
-
-async function checkRegulatoryCompliance(ro_id, certificates) {
+function formatCertificate(certificate) {
   return {
-    dot_compliant: true,
-    nhtsa_compliant: true,
-    state_inspection_ready: true,
-    outstanding_issues: [],
+    certificate_id: certificate.id,
+    certificate_number: certificate.certificateNumber,
+    certificate_type: certificate.certificateType,
+    status: certificate.status,
+    result: certificate.result,
+    performed_at: certificate.performedAt,
+    inspector: certificate.inspector
+      ? `${certificate.inspector.firstName} ${certificate.inspector.lastName}`
+      : null,
+    inspector_id: certificate.inspectorId,
+    equipment: certificate.equipment,
+    measurements: certificate.measurements,
+    findings: certificate.findings,
+    required_by: certificate.requiredBy,
+    attachment_ids: certificate.attachmentIds,
+    signature_id: certificate.signatureId,
+    signed_by: certificate.signature?.signedBy || null,
+    signed_at: certificate.signature?.signedAt || null,
+    voided_at: certificate.voidedAt,
+    void_reason: certificate.voidReason,
   };
 }
 
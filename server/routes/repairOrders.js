@@ -6,6 +6,7 @@
  * - Search by RO#, Claim#, VIN, Customer
  * - Parts workflow status management
  * - Dashboard metrics and analytics
+ * - CIECA BMS XML export
  */
 
 const express = require('express');
@@ -24,6 +25,8 @@ const {
   Vendor,
   PartsOrder
 } = require('../database/models');
+const estimateDiffService = require('../services/estimateDiffService');
+const bmsExportService = require('../services/bmsExportService');
 
 // Rate limiting
 const roRateLimit = rateLimit({
@@ -694,6 +697,135 @@ router.get('/:id/parts', [
   }
 });
 
+/**
+ * GET /api/repair-orders/:id/supplements
+ * Get the estimate version timeline (original + supplements) with line item changes
+ */
+router.get('/:id/supplements', [
+  param('id').isInt().withMessage('Invalid RO ID format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { shopId } = req.user;
+
+    const ro = await RepairOrderManagement.findOne({
+      where: { id, shopId },
+      attributes: [
+        'id',
+        'repairOrderNumber',
+        'claimManagementId',
+        'supplementCount',
+        'totalSupplementAmount',
+        'lastSupplementDate',
+        'supplementsPending'
+      ]
+    });
+
+    if (!ro) {
+      return res.status(404).json({
+        success: false,
+        message: 'Repair order not found'
+      });
+    }
+
+    const versions = ro.claimManagementId
+      ? await estimateDiffService.getRepairOrderSupplements(ro)
+      : [];
+
+    res.json({
+      success: true,
+      data: versions.map(version => ({
+        id: version.id,
+        label: version.getLabel(),
+        version_number: version.versionNumber,
+        supplement_number: version.supplementNumber,
+        version_type: version.versionType,
+        estimate_number: version.estimateNumber,
+        source_file_name: version.sourceFileName,
+        imported_at: version.createdAt,
+        grand_total: parseFloat(version.grandTotal || 0),
+        supplement_amount: parseFloat(version.supplementAmount || 0),
+        summary: version.diffSummary,
+        changes: version.changes.map(change => ({
+          id: change.id,
+          line_number: change.lineNumber,
+          item_type: change.itemType,
+          change_type: change.changeType,
+          description: change.description,
+          part_number: change.partNumber,
+          previous_quantity: change.previousQuantity,
+          current_quantity: change.currentQuantity,
+          previous_price: change.previousPrice,
+          current_price: change.currentPrice,
+          extended_change: change.extendedChange,
+          previous_hours: change.previousHours,
+          current_hours: change.currentHours,
+          hours_change: change.hoursChange
+        }))
+      })),
+      summary: {
+        supplement_count: ro.supplementCount || 0,
+        total_supplement_amount: parseFloat(ro.totalSupplementAmount || 0),
+        last_supplement_date: ro.lastSupplementDate,
+        supplements_pending: ro.supplementsPending
+      }
+    });
+
+  } catch (error) {
+    console.error('Get RO supplements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch RO supplements',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/repair-orders/:id/export/bms
+ * Download the repair order's current estimate as a CIECA BMS file
+ */
+router.get('/:id/export/bms', [
+  param('id').isInt().withMessage('Invalid RO ID format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { xml, fileName } = await bmsExportService.exportRepairOrder(
+      req.params.id,
+      req.user.shopId
+    );
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(xml);
+
+  } catch (error) {
+    console.error('Export RO BMS error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to export repair order',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/repair-orders/metrics
  * Get dashboard metrics for repair orders
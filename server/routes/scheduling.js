@@ -11,21 +11,25 @@
  * - Parts gating and scheduling gates
  * - Constraint handling (vehicle availability, sublet lead times, paint booth slots)
  * - AI-powered ETA calculations
+ * - Loaner reservations that follow the RO's schedule
  */
 
 const express = require('express');
 const router = express.Router();
 const { Op, Sequelize } = require('sequelize');
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const {
   SchedulingCapacity,
   ProductionWorkflow,
   RepairOrderManagement,
   User,
-  AdvancedPartsManagement,
   TechnicianPerformance,
 } = require('../database/models');
 const { realtimeService } = require('../services/realtimeService');
+const schedulingService = require('../services/schedulingService');
+const schedulingSimulationService = require('../services/schedulingSimulationService');
+const etaPredictionService = require('../services/etaPredictionService');
+const loanerSchedulingService = require('../services/loanerSchedulingService');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for scheduling operations
@@ -35,6 +39,48 @@ const schedulingRateLimit = rateLimit({
   message: 'Too many scheduling operations, please try again later.',
 });
 
+const bookingValidation = [
+  body('ro_id').notEmpty().withMessage('ro_id is required'),
+  body('operations')
+    .isArray({ min: 1 })
+    .withMessage('At least one operation is required'),
+  body('operations.*.operation_type')
+    .trim()
+    .notEmpty()
+    .withMessage('operation_type is required'),
+  body('operations.*.department')
+    .isIn(schedulingService.getDepartments())
+    .withMessage('Unknown department'),
+  body('operations.*.estimated_hours')
+    .isFloat({ gt: 0 })
+    .withMessage('estimated_hours must be greater than 0'),
+  body('operations.*.required_skills').optional().isArray(),
+  body('operations.*.required_certifications').optional().isArray(),
+  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent']),
+  body('customer_requested_date').optional({ nullable: true }).isISO8601(),
+  body('rental_required').optional().isBoolean(),
+  body('loaner_vehicle_class').optional().isString(),
+];
+
+const whatIfValidation = [
+  body('scenarios')
+    .isArray({ min: 1, max: 6 })
+    .withMessage('Between 1 and 6 scenarios are required'),
+  body('scenarios.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Scenario name is required'),
+  body('scenarios.*.changes').optional().isArray(),
+  body('scenarios.*.changes.*.type')
+    .isIn(schedulingSimulationService.getChangeTypes())
+    .withMessage('Unknown scenario change'),
+  body('scenarios.*.changes.*.count').optional().isInt({ min: 1, max: 50 }),
+  body('comparison_mode')
+    .optional()
+    .isIn(schedulingSimulationService.getComparisonModes()),
+  body('period_days').optional().isInt({ min: 1, max: 60 }),
+];
+
 /**
  * GET /api/scheduling/capacity - Real-time capacity by department
  */
@@ -164,6 +210,9 @@ router.get('/capacity', async (req, res) => {
 /**
  * POST /api/scheduling/book - Smart scheduling with constraints
  *
+ * Operations are booked in order on qualified technicians around the shop's
+ * existing bookings, shifts, bays and parts arrival (see schedulingService).
+ *
  * Body: {
  *   ro_id: string,
  *   operations: [{
@@ -171,146 +220,176 @@ router.get('/capacity', async (req, res) => {
  *     department: string,
  *     estimated_hours: number,
  *     required_skills: string[],
+ *     required_certifications?: string[],
  *     preferred_technician_id?: string,
  *     parts_required?: boolean,
- *     constraints?: object
+ *     bay_type?: 'frame' | 'paint_booth' | 'prep_station' | 'alignment'
  *   }],
  *   priority: 'low' | 'normal' | 'high' | 'urgent',
  *   customer_requested_date?: string,
- *   parts_availability?: object
+ *   parts_availability?: object,
+ *   rental_required?: boolean (defaults to the RO's rentalRequired),
+ *   loaner_vehicle_class?: string
  * }
+ *
+ * ROs that need a rental get a loaner reserved from the scheduled start to
+ * the expected completion (see loanerSchedulingService).
  */
-router.post('/book', schedulingRateLimit, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array(),
-      });
-    }
-
-    const {
-      ro_id,
-      operations,
-      priority,
-      customer_requested_date,
-      parts_availability,
-    } = req.body;
-    const { shopId, userId } = req.user;
-
-    // Validate RO exists
-    const repair_order = await RepairOrderManagement.findOne({
-      where: { id: ro_id, shopId },
-    });
-
-    if (!repair_order) {
-      return res.status(404).json({
-        success: false,
-        message: 'Repair order not found',
-      });
-    }
-
-    // Check parts availability if required
-    const parts_constraints = await checkPartsConstraints(
-      ro_id,
-      parts_availability
-    );
-
-    // Find optimal scheduling solution
-    const scheduling_solution = await findOptimalSchedule(
-      shopId,
-      operations,
-      priority,
-      customer_requested_date,
-      parts_constraints
-    );
-
-    if (!scheduling_solution.feasible) {
-      return res.status(409).json({
-        success: false,
-        message: 'Cannot schedule with current constraints',
-        details: scheduling_solution.conflicts,
-        recommendations: scheduling_solution.recommendations,
-      });
-    }
-
-    // Create scheduled workflow entries
-    const scheduled_operations = [];
-
-    for (const scheduled_op of scheduling_solution.schedule) {
-      const workflow = await ProductionWorkflow.create({
-        repairOrderId: ro_id,
-        operation_type: scheduled_op.operation_type,
-        department: scheduled_op.department,
-        estimated_hours: scheduled_op.estimated_hours,
-        scheduled_start_date: scheduled_op.scheduled_start,
-        scheduled_end_date: scheduled_op.scheduled_end,
-        assignedTechnician: scheduled_op.technician_id,
-        status: scheduled_op.parts_ready ? 'scheduled' : 'waiting_parts',
+router.post(
+  '/book',
+  schedulingRateLimit,
+  bookingValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        ro_id,
+        operations,
         priority,
-        scheduling_notes: scheduled_op.notes,
-        shopId,
-        createdBy: userId,
-        updatedBy: userId,
+        customer_requested_date,
+        parts_availability,
+        rental_required,
+        loaner_vehicle_class,
+      } = req.body;
+      const { shopId, userId } = req.user;
+
+      // Validate RO exists
+      const repair_order = await RepairOrderManagement.findOne({
+        where: { id: ro_id, shopId },
       });
 
-      scheduled_operations.push({
-        workflow_id: workflow.id,
-        operation_type: scheduled_op.operation_type,
-        technician_name: scheduled_op.technician_name,
-        scheduled_start: scheduled_op.scheduled_start,
-        scheduled_end: scheduled_op.scheduled_end,
-        estimated_duration: scheduled_op.estimated_hours,
-        status: workflow.status,
-      });
-    }
+      if (!repair_order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Repair order not found',
+        });
+      }
 
-    // Update capacity allocation
-    await updateCapacityAllocation(shopId, scheduling_solution.schedule);
+      // Check parts availability if required
+      const parts_constraints = await schedulingService.getPartsConstraints(
+        ro_id,
+        parts_availability
+      );
 
-    // Broadcast real-time update
-    realtimeService.broadcastSchedulingUpdate(
-      {
+      // Plan around the shop's workload and book the result
+      const { solution: scheduling_solution, workflows } =
+        await schedulingService.bookRepairOrder(shopId, ro_id, operations, {
+          priority,
+          customerRequestedDate: customer_requested_date,
+          partsConstraints: parts_constraints,
+          userId,
+        });
+
+      if (!scheduling_solution.feasible) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot schedule with current constraints',
+          details: scheduling_solution.conflicts,
+          recommendations: scheduling_solution.recommendations,
+        });
+      }
+
+      if (
+        rental_required !== undefined &&
+        Boolean(rental_required) !== repair_order.rentalRequired
+      ) {
+        await repair_order.update({ rentalRequired: Boolean(rental_required) });
+      }
+
+      let loaner = null;
+      if (repair_order.rentalRequired) {
+        try {
+          const booked = await loanerSchedulingService.reserveForRepairOrder(
+            shopId,
+            ro_id,
+            {
+              startDate: scheduling_solution.earliest_start,
+              expectedCompletion: scheduling_solution.estimated_completion,
+              vehicleClass: loaner_vehicle_class,
+              userId,
+            }
+          );
+          loaner = booked && {
+            reservation_id: booked.reservation.id,
+            reservation_number: booked.reservation.reservationNumber,
+            status: booked.reservation.reservationStatus,
+            vehicle_id: booked.reservation.loanerVehicleId,
+            return_date: booked.reservation.requestedEndDate,
+            has_conflict: booked.reservation.hasConflict,
+            warnings: booked.warnings,
+          };
+        } catch (loanerError) {
+          // The booking stands; the loaner can be reserved by hand
+          loaner = { error: loanerError.message };
+        }
+      }
+
+      const scheduled_operations = scheduling_solution.schedule.map(
+        (scheduled_op, index) => ({
+          workflow_id: workflows[index].id,
+          operation_type: scheduled_op.operation_type,
+          department: scheduled_op.department,
+          technician_id: scheduled_op.technician_id,
+          technician_name: scheduled_op.technician_name,
+          scheduled_start: scheduled_op.scheduled_start,
+          scheduled_end: scheduled_op.scheduled_end,
+          segments: scheduled_op.segments,
+          bay: scheduled_op.bay,
+          estimated_duration: scheduled_op.estimated_hours,
+          parts_ready: scheduled_op.parts_ready,
+          status: workflows[index].stageStatus,
+        })
+      );
+
+      // Broadcast real-time update
+      realtimeService.emitToShop(shopId, 'scheduling_update', {
+        action: 'scheduled',
         ro_id,
-        ro_number: repair_order.ro_number,
+        ro_number: repair_order.repairOrderNumber,
         operations_scheduled: scheduled_operations.length,
         earliest_start: scheduling_solution.earliest_start,
         estimated_completion: scheduling_solution.estimated_completion,
         priority,
-      },
-      'scheduled'
-    );
+      });
 
-    res.json({
-      success: true,
-      message: `${scheduled_operations.length} operations scheduled successfully`,
-      data: {
-        scheduling_solution: {
-          ro_id,
-          operations_scheduled: scheduled_operations.length,
-          earliest_start: scheduling_solution.earliest_start,
-          estimated_completion: scheduling_solution.estimated_completion,
-          total_duration_hours: scheduling_solution.total_hours,
-        },
-        scheduled_operations,
-        constraints_applied: {
-          parts_constraints: parts_constraints.active_constraints,
-          skill_matching: scheduling_solution.skill_matching_used,
-          capacity_optimization: scheduling_solution.optimization_applied,
+      res.json({
+        success: true,
+        message: `${scheduled_operations.length} operations scheduled successfully`,
+        data: {
+          scheduling_solution: {
+            ro_id,
+            operations_scheduled: scheduled_operations.length,
+            earliest_start: scheduling_solution.earliest_start,
+            estimated_completion: scheduling_solution.estimated_completion,
+            total_duration_hours: scheduling_solution.total_hours,
+          },
+          scheduled_operations,
+          loaner_reservation: loaner,
+          constraints_applied: {
+            parts_constraints: parts_constraints.active_constraints,
+            skill_matching: scheduling_solution.skill_matching_used,
+            capacity_optimization: scheduling_solution.optimization_applied,
+          },
         },
-      },
-    });
-  } catch (error) {
-    console.error('Scheduling booking error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create schedule',
-      error: error.message,
-    });
+      });
+    } catch (error) {
+      console.error('Scheduling booking error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create schedule',
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/scheduling/technicians - Tech skills and availability
@@ -328,7 +407,7 @@ router.get('/technicians', async (req, res) => {
       where: {
         shopId,
         role: 'technician',
-        status: 'active',
+        isActive: true,
       },
       include: [
         {
@@ -342,7 +421,7 @@ router.get('/technicians', async (req, res) => {
 
     const technician_details = await Promise.all(
       technicians.map(async tech => {
-        const skills = await getTechnicianSkills(tech.id);
+        const skills = await getTechnicianSkills(tech);
         const schedule = await getTechnicianSchedule(tech.id, date);
         const performance = tech.performanceRecords?.[0];
 
@@ -446,138 +525,142 @@ router.get('/technicians', async (req, res) => {
 /**
  * POST /api/scheduling/what-if - Scheduling scenario planning
  *
+ * Replans the shop's open repair orders under each scenario and compares
+ * them with the current plan.
+ *
  * Body: {
  *   scenarios: [{
  *     name: string,
- *     operations: [...],
- *     constraints: {...}
+ *     changes: [
+ *       { type: 'add_technician', department, count?, skills?, hourly_rate? },
+ *       { type: 'remove_technician', technician_id },
+ *       { type: 'overtime', days: ['saturday'], start?, end?, hours?,
+ *         multiplier?, department?, technician_ids? },
+ *       { type: 'add_jobs', count, label?, operations?, promised_days?,
+ *         arrive_over_days?, parts_lead_days? },
+ *       { type: 'bay_outage', bay_type, count?, start?, days },
+ *       { type: 'parts_delay', days }
+ *     ]
  *   }],
- *   comparison_mode: 'cost' | 'time' | 'quality' | 'balanced'
+ *   comparison_mode: 'cost' | 'time' | 'quality' | 'balanced',
+ *   period_days?: number
  * }
  */
-router.post('/what-if', schedulingRateLimit, async (req, res) => {
-  try {
-    const { scenarios, comparison_mode = 'balanced' } = req.body;
-    const { shopId } = req.user;
-
-    const scenario_results = [];
-
-    // Analyze each scenario
-    for (const scenario of scenarios) {
-      const analysis = await analyzeSchedulingScenario(
+router.post(
+  '/what-if',
+  schedulingRateLimit,
+  whatIfValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { scenarios, comparison_mode = 'balanced', period_days } = req.body;
+      const { shopId } = req.user;
+
+      const analysis = await schedulingSimulationService.runScenarios(
         shopId,
-        scenario,
-        comparison_mode
+        scenarios,
+        {
+          comparisonMode: comparison_mode,
+          periodDays: period_days ? parseInt(period_days, 10) : undefined,
+        }
       );
-      scenario_results.push({
-        scenario_name: scenario.name,
-        analysis: analysis,
-        feasible: analysis.feasible,
-        score: analysis.composite_score,
-        recommendations: analysis.recommendations,
+
+      res.json({
+        success: true,
+        data: {
+          scenario_analysis: analysis.scenarios,
+          baseline: analysis.baseline,
+          snapshot: analysis.snapshot,
+          comparison_report: analysis.comparison,
+          best_scenario: analysis.best,
+          comparison_criteria: comparison_mode,
+          analysis_timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error('What-if analysis error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to perform what-if analysis',
+        error: error.message,
       });
     }
-
-    // Rank scenarios by composite score
-    scenario_results.sort((a, b) => b.score - a.score);
-
-    // Generate comparison report
-    const comparison_report = generateScenarioComparison(
-      scenario_results,
-      comparison_mode
-    );
-
-    res.json({
-      success: true,
-      data: {
-        scenario_analysis: scenario_results,
-        comparison_report,
-        best_scenario: scenario_results[0],
-        comparison_criteria: comparison_mode,
-        analysis_timestamp: new Date().toISOString(),
-      },
-    });
-  } catch (error) {
-    console.error('What-if analysis error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to perform what-if analysis',
-      error: error.message,
-    });
   }
-});
+);
 
 /**
- * GET /api/scheduling/smart-eta - AI-powered ETA calculations
+ * GET /api/scheduling/smart-eta - ETA predicted from similar past jobs
+ *
+ * Query: include_confidence (default true), breakdown (default true)
  */
 router.get('/smart-eta/:roId', async (req, res) => {
   try {
     const { roId } = req.params;
     const { shopId } = req.user;
-    const { include_confidence = true, breakdown = true } = req.query;
+    const { include_confidence = 'true', breakdown = 'true' } = req.query;
 
-    // Get repair order with operations
-    const repair_order = await RepairOrderManagement.findOne({
-      where: { id: roId, shopId },
-      include: [
-        {
-          model: ProductionWorkflow,
-          as: 'productionWorkflow',
-          include: [
-            {
-              model: User,
-              as: 'assignedTechnicianUser',
-              attributes: ['firstName', 'lastName'],
-            },
-          ],
-        },
-        {
-          model: AdvancedPartsManagement,
-          as: 'advancedPartsManagement',
-          where: { status: { [Op.ne]: 'installed' } },
-          required: false,
-        },
-      ],
-    });
+    const result = await etaPredictionService.predictForRepairOrder(
+      shopId,
+      roId
+    );
 
-    if (!repair_order) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: 'Repair order not found',
       });
     }
 
-    // Calculate AI-powered ETA
-    const eta_calculation = await calculateSmartETA(repair_order, shopId);
-
-    // Get confidence factors
-    const confidence_analysis =
-      include_confidence === 'true'
-        ? await analyzeETAConfidence(repair_order, eta_calculation)
-        : null;
-
-    // Get detailed breakdown
-    const eta_breakdown =
-      breakdown === 'true'
-        ? await getETABreakdown(repair_order, eta_calculation)
-        : null;
+    const { repairOrder: repair_order, prediction } = result;
+    const completion = new Date(prediction.completion_at);
 
     res.json({
       success: true,
       data: {
         ro_id: roId,
-        ro_number: repair_order.ro_number,
-        current_status: repair_order.status,
+        ro_number: repair_order.repairOrderNumber,
+        current_status: repair_order.roStatus,
+        current_stage: prediction.current_stage,
         smart_eta: {
-          estimated_completion_date: eta_calculation.completion_date,
-          estimated_completion_time: eta_calculation.completion_time,
-          total_estimated_hours: eta_calculation.total_hours,
-          remaining_hours: eta_calculation.remaining_hours,
-          completion_probability: eta_calculation.completion_probability,
+          estimated_completion: prediction.completion_at,
+          estimated_completion_date: prediction.completion_at.split('T')[0],
+          estimated_completion_time: completion.toTimeString().slice(0, 5),
+          confidence_interval: prediction.confidence_interval,
+          total_estimated_hours: prediction.total_hours,
+          remaining_hours: prediction.remaining_hours,
+          completion_probability: prediction.on_time_probability,
+          promised_date: prediction.promised_date,
+          method: prediction.method,
         },
-        confidence_analysis,
-        eta_breakdown,
-        factors_considered: eta_calculation.factors_considered,
+        confidence_analysis:
+          include_confidence !== 'false'
+            ? {
+                confidence_level: prediction.confidence.level,
+                confidence_interval: prediction.confidence_interval,
+                sample_size: prediction.confidence.sample_size,
+                grouped_by: prediction.confidence.grouped_by,
+                features: prediction.confidence.features,
+                spread_days: prediction.confidence.spread_days,
+                risk_factors: prediction.risk_factors,
+              }
+            : null,
+        eta_breakdown:
+          breakdown !== 'false'
+            ? {
+                operations: prediction.operations,
+                critical_path: prediction.critical_path,
+              }
+            : null,
+        delay_factors: prediction.delay_factors,
+        factors_considered: prediction.factors_considered,
         last_calculated: new Date().toISOString(),
       },
     });
@@ -616,11 +699,11 @@ async function getCurrentWorkload(shopId, date, department) {
   const workload = await ProductionWorkflow.findAll({
     where: {
       shopId,
-      status: ['scheduled', 'in_progress'],
-      scheduled_start_date: {
+      stageStatus: ['pending', 'ready', 'in_progress', 'on_hold'],
+      plannedStartDate: {
         [Op.lte]: new Date(date + 'T23:59:59Z'),
       },
-      scheduled_end_date: {
+      plannedEndDate: {
         [Op.gte]: new Date(date + 'T00:00:00Z'),
       },
     },
@@ -628,20 +711,22 @@ async function getCurrentWorkload(shopId, date, department) {
       {
         model: RepairOrderManagement,
         as: 'repairOrder',
-        attributes: ['ro_number'],
+        attributes: ['repairOrderNumber'],
       },
     ],
   });
 
-  return workload.map(work => ({
-    id: work.id,
-    ro_number: work.repairOrder?.ro_number,
-    department: work.department,
-    operation_type: work.operation_type,
-    estimated_hours: work.estimated_hours,
-    technician_id: work.assignedTechnician,
-    status: work.status,
-  }));
+  return workload
+    .map(work => ({
+      id: work.id,
+      ro_number: work.repairOrder?.repairOrderNumber,
+      department: schedulingService.departmentForStageType(work.stageType),
+      operation_type: work.stageName,
+      estimated_hours: parseFloat(work.estimatedHours) || 0,
+      technician_id: work.assignedTechnician,
+      status: work.stageStatus,
+    }))
+    .filter(work => !department || work.department === department);
 }
 
 async function getTechnicianCapacity(shopId, date) {
@@ -649,13 +734,13 @@ async function getTechnicianCapacity(shopId, date) {
     where: {
       shopId,
       role: 'technician',
-      status: 'active',
+      isActive: true,
     },
   });
 
   return Promise.all(
     technicians.map(async tech => {
-      const skills = await getTechnicianSkills(tech.id);
+      const skills = await getTechnicianSkills(tech);
       const schedule = await getTechnicianSchedule(tech.id, date);
 
       return {
@@ -669,15 +754,23 @@ async function getTechnicianCapacity(shopId, date) {
   );
 }
 
-async function getTechnicianSkills(technicianId) {
-  // This would normally come from a skills/certifications table
-  // For now, we'll simulate based on user data
+async function getTechnicianSkills(technician) {
+  const departments = [
+    technician.department,
+    ...(technician.availability?.departments || []),
+  ].filter(Boolean);
+  const certifications = (technician.certifications || []).map(cert =>
+    typeof cert === 'string' ? cert : cert.code || cert.name
+  );
+
   return {
-    departments: ['body', 'paint'], // Default departments
-    certifications: ['aluminum_repair', 'frame_straightening'],
-    skill_level: 'intermediate',
-    max_concurrent_jobs: 2,
-    specializations: [],
+    // Technicians without a department can be booked in any of them
+    departments:
+      departments.length > 0 ? departments : schedulingService.getDepartments(),
+    certifications,
+    skill_level: technician.availability?.skillLevel || 'intermediate',
+    max_concurrent_jobs: technician.maxJobs || 2,
+    specializations: technician.skills || [],
   };
 }
 
@@ -685,18 +778,18 @@ async function getTechnicianSchedule(technicianId, date) {
   const scheduled_work = await ProductionWorkflow.findAll({
     where: {
       assignedTechnician: technicianId,
-      status: ['scheduled', 'in_progress'],
-      scheduled_start_date: {
+      stageStatus: ['pending', 'ready', 'in_progress', 'on_hold'],
+      plannedStartDate: {
         [Op.lte]: new Date(date + 'T23:59:59Z'),
       },
-      scheduled_end_date: {
+      plannedEndDate: {
         [Op.gte]: new Date(date + 'T00:00:00Z'),
       },
     },
   });
 
   const scheduled_hours = scheduled_work.reduce(
-    (sum, work) => sum + work.estimated_hours,
+    (sum, work) => sum + (parseFloat(work.estimatedHours) || 0),
     0
   );
 
@@ -704,8 +797,10 @@ async function getTechnicianSchedule(technicianId, date) {
     scheduled_hours,
     current_assignments: scheduled_work.map(work => ({
       workflow_id: work.id,
-      operation_type: work.operation_type,
-      estimated_hours: work.estimated_hours,
+      operation_type: work.stageName,
+      estimated_hours: parseFloat(work.estimatedHours) || 0,
+      planned_start: work.plannedStartDate,
+      planned_end: work.plannedEndDate,
     })),
     next_available_slot: scheduled_hours >= 8 ? 'tomorrow' : 'today',
     unavailable_periods: [],
@@ -755,102 +850,6 @@ function calculateOverallCapacityMetrics(department_capacities) {
   };
 }
 
-async function checkPartsConstraints(roId, parts_availability) {
-  const parts = await AdvancedPartsManagement.findAll({
-    where: {
-      repairOrderId: roId,
-      status: ['needed', 'ordered', 'backordered'],
-    },
-  });
-
-  return {
-    active_constraints: parts.length > 0,
-    missing_parts_count: parts.length,
-    critical_parts: parts.filter(p => p.priority === 'critical'),
-    estimated_parts_arrival:
-      parts.length > 0
-        ? Math.max(
-            ...parts.map(p =>
-              p.expected_delivery_date
-                ? new Date(p.expected_delivery_date).getTime()
-                : Date.now()
-            )
-          )
-        : Date.now(),
-  };
-}
-
-async function findOptimalSchedule(
-  shopId,
-  operations,
-  priority,
-  customer_requested_date,
-  parts_constraints
-) {
-  // Simplified scheduling algorithm
-  // In a real implementation, this would use more sophisticated optimization
-
-  const schedule = [];
-  let current_time = new Date();
-  let feasible = true;
-  const conflicts = [];
-  const recommendations = [];
-
-  for (const operation of operations) {
-    // Find available technician with required skills
-    const available_techs = await User.findAll({
-      where: { shopId, role: 'technician', status: 'active' },
-    });
-
-    if (available_techs.length === 0) {
-      feasible = false;
-      conflicts.push(
-        `No technicians available for ${operation.operation_type}`
-      );
-      continue;
-    }
-
-    const selected_tech = available_techs[0]; // Simple selection
-    const scheduled_start = new Date(current_time);
-    const scheduled_end = new Date(
-      current_time.getTime() + operation.estimated_hours * 60 * 60 * 1000
-    );
-
-    schedule.push({
-      operation_type: operation.operation_type,
-      department: operation.department,
-      estimated_hours: operation.estimated_hours,
-      technician_id: selected_tech.id,
-      technician_name: `${selected_tech.firstName} ${selected_tech.lastName}`,
-      scheduled_start: scheduled_start.toISOString(),
-      scheduled_end: scheduled_end.toISOString(),
-      parts_ready: !parts_constraints.active_constraints,
-      notes: `Scheduled with ${priority} priority`,
-    });
-
-    current_time = scheduled_end;
-  }
-
-  return {
-    feasible,
-    conflicts,
-    recommendations,
-    schedule,
-    earliest_start: schedule.length > 0 ? schedule[0].scheduled_start : null,
-    estimated_completion:
-      schedule.length > 0 ? schedule[schedule.length - 1].scheduled_end : null,
-    total_hours: operations.reduce((sum, op) => sum + op.estimated_hours, 0),
-    skill_matching_used: true,
-    optimization_applied: true,
-  };
-}
-
-async function updateCapacityAllocation(shopId, schedule) {
-  // Update capacity allocation based on new schedule
-  // This would update the SchedulingCapacity table
-  console.log(`Updating capacity allocation for ${schedule.length} operations`);
-}
-
 function calculateDepartmentSkillsSummary(technicians, department_filter) {
   const departments = [
     'body',
@@ -883,81 +882,4 @@ function calculateDepartmentSkillsSummary(technicians, department_filter) {
   return summary;
 }
 
-async function analyzeSchedulingScenario(shopId, scenario, comparison_mode) {
-  // Analyze a scheduling scenario
-  return {
-    feasible: true,
-    estimated_completion_time: '2024-09-15T17:00:00Z',
-    total_cost: 1250.0,
-    quality_score: 85,
-    resource_utilization: 92,
-    composite_score: 88.5,
-    recommendations: [
-      'Consider adding buffer time',
-      'Ensure parts availability',
-    ],
-  };
-}
-
-function generateScenarioComparison(scenarios, comparison_mode) {
-  return {
-    best_scenario: scenarios[0]?.scenario_name,
-    comparison_criteria: comparison_mode,
-    key_differences: 'Scenario 1 offers best balance of cost and time',
-    trade_offs: 'Higher cost scenarios generally offer faster completion',
-  };
-}
-
-async function calculateSmartETA(repair_order, shopId) {
-  // AI-powered ETA calculation
-  const base_hours =
-    repair_order.productionWorkflow?.reduce(
-      (sum, work) => sum + work.estimated_hours,
-      0
-    ) || 40;
-  const completion_date = new Date();
-  completion_date.setDate(
-    completion_date.getDate() + Math.ceil(base_hours / 8)
-  );
-
-  return {
-    completion_date: completion_date.toISOString().split('T')[0],
-    completion_time: '17:00',
-    total_hours: base_hours,
-    remaining_hours: base_hours * 0.7, // Assume 30% complete
-    completion_probability: 85,
-    factors_considered: [
-      'Historical data',
-      'Parts availability',
-      'Technician capacity',
-      'Seasonal patterns',
-    ],
-  };
-}
-
-async function analyzeETAConfidence(repair_order, eta_calculation) {
-  return {
-    confidence_level: 'high',
-    confidence_percentage: eta_calculation.completion_probability,
-    risk_factors: ['Parts delivery delays', 'Hidden damage discovery'],
-    mitigating_factors: ['Experienced technicians', 'Parts pre-ordered'],
-  };
-}
-
-async function getETABreakdown(repair_order, eta_calculation) {
-  return {
-    operations: [
-      {
-        operation: 'Body work',
-        estimated_hours: 16,
-        completion_probability: 90,
-      },
-      { operation: 'Paint', estimated_hours: 12, completion_probability: 85 },
-      { operation: 'Assembly', estimated_hours: 8, completion_probability: 95 },
-    ],
-    critical_path: ['Body work', 'Paint', 'Assembly'],
-    buffer_time_included: 4,
-  };
-}
-
 module.exports = router;
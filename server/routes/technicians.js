@@ -1,5 +1,19 @@
+/**
+ * CollisionOS Technicians API Routes
+ *
+ * Technician roster and performance built from real shop data:
+ * - Roster of users with technician roles, with live workload and clock status
+ * - Efficiency, flagged vs. clocked hours, utilization and comebacks computed
+ *   from LaborTimeEntry, TimeClock and JobStageHistory
+ * - Results stored per reporting period in TechnicianPerformance
+ */
+
 const express = require('express');
 const router = express.Router();
+const { param, query, body, validationResult } = require('express-validator');
+const technicianPerformanceService = require('../services/technicianPerformanceService');
+
+const PERIODS = ['current', ...technicianPerformanceService.reportingPeriods];
 
 // Enhanced query parameter handling for dashboard navigation
 const parseTechnicianFilters = req => {
@@ -8,6 +22,7 @@ const parseTechnicianFilters = req => {
     view = 'performance',
     metric = 'utilization',
     period = 'current',
+    date,
     limit = 50,
     offset = 0,
   } = req.query;
@@ -16,7 +31,8 @@ const parseTechnicianFilters = req => {
     id: id || null,
     view: view.toLowerCase(),
     metric: metric.toLowerCase(),
-    period: period.toLowerCase(),
+    period: period.toLowerCase() === 'current' ? 'weekly' : period.toLowerCase(),
+    date: date ? new Date(date) : new Date(),
     limit: parseInt(limit),
     offset: parseInt(offset),
     // Response metadata
@@ -31,239 +47,80 @@ const parseTechnicianFilters = req => {
   };
 };
 
-// Generate technician data
-const generateTechnicianData = filters => {
-  const technicians = [
-    {
-      id: 'alex-rodriguez',
-      name: 'Alex Rodriguez',
-      speciality: 'Body Work',
-      level: 'Senior',
-      avatar: null,
-      performance: {
-        jobsCompleted: 24,
-        jobsInProgress: 3,
-        avgCycleTime: 6.2,
-        efficiency: 92.5,
-        utilization: 87.3,
-        qualityScore: 94.1,
-        revenue: 42800,
-        hoursWorked: 168,
-        overtimeHours: 12,
-      },
-      recentJobs: [
-        {
-          jobNumber: 'J24-012',
-          vehicle: '2022 Honda Accord',
-          status: 'paint_prep',
-          daysActive: 3,
-        },
-        {
-          jobNumber: 'J24-013',
-          vehicle: '2021 Toyota Camry',
-          status: 'body_structure',
-          daysActive: 5,
-        },
-        {
-          jobNumber: 'J24-014',
-          vehicle: '2020 Ford F-150',
-          status: 'teardown',
-          daysActive: 1,
-        },
-      ],
-    },
-    {
-      id: 'maria-garcia',
-      name: 'Maria Garcia',
-      speciality: 'Paint & Refinish',
-      level: 'Senior',
-      avatar: null,
-      performance: {
-        jobsCompleted: 21,
-        jobsInProgress: 2,
-        avgCycleTime: 5.8,
-        efficiency: 95.2,
-        utilization: 91.8,
-        qualityScore: 96.2,
-        revenue: 38900,
-        hoursWorked: 162,
-        overtimeHours: 8,
-      },
-      recentJobs: [
-        {
-          jobNumber: 'J24-015',
-          vehicle: '2023 BMW 3 Series',
-          status: 'paint_booth',
-          daysActive: 2,
-        },
-        {
-          jobNumber: 'J24-016',
-          vehicle: '2019 Chevrolet Silverado',
-          status: 'detail',
-          daysActive: 1,
-        },
-      ],
-    },
-    {
-      id: 'james-wilson',
-      name: 'James Wilson',
-      speciality: 'Mechanical Repair',
-      level: 'Intermediate',
-      avatar: null,
-      performance: {
-        jobsCompleted: 19,
-        jobsInProgress: 4,
-        avgCycleTime: 7.1,
-        efficiency: 87.3,
-        utilization: 83.5,
-        qualityScore: 91.9,
-        revenue: 35600,
-        hoursWorked: 156,
-        overtimeHours: 16,
-      },
-      recentJobs: [
-        {
-          jobNumber: 'J24-017',
-          vehicle: '2021 Ford Explorer',
-          status: 'reassembly',
-          daysActive: 4,
-        },
-        {
-          jobNumber: 'J24-018',
-          vehicle: '2020 Honda Civic',
-          status: 'parts_receiving',
-          daysActive: 2,
-        },
-        {
-          jobNumber: 'J24-019',
-          vehicle: '2022 Nissan Altima',
-          status: 'teardown',
-          daysActive: 1,
-        },
-        {
-          jobNumber: 'J24-020',
-          vehicle: '2018 Toyota RAV4',
-          status: 'qc_calibration',
-          daysActive: 6,
-        },
-      ],
-    },
-    {
-      id: 'jennifer-davis',
-      name: 'Jennifer Davis',
-      speciality: 'Frame & Alignment',
-      level: 'Senior',
-      avatar: null,
-      performance: {
-        jobsCompleted: 22,
-        jobsInProgress: 3,
-        avgCycleTime: 6.5,
-        efficiency: 90.1,
-        utilization: 85.7,
-        qualityScore: 93.8,
-        revenue: 41200,
-        hoursWorked: 160,
-        overtimeHours: 10,
-      },
-      recentJobs: [
-        {
-          jobNumber: 'J24-021',
-          vehicle: '2023 Jeep Wrangler',
-          status: 'body_structure',
-          daysActive: 7,
-        },
-        {
-          jobNumber: 'J24-022',
-          vehicle: '2021 Ram 1500',
-          status: 'paint_prep',
-          daysActive: 3,
-        },
-        {
-          jobNumber: 'J24-023',
-          vehicle: '2020 Subaru Outback',
-          status: 'intake',
-          daysActive: 1,
-        },
-      ],
-    },
-  ];
-
-  return technicians;
-};
-
-// Apply filtering based on technician ID and view
-const applyTechnicianFilters = (technicians, filters) => {
-  let filteredTechnicians = [...technicians];
-
-  // Filter by specific technician ID if provided
-  if (filters.id) {
-    filteredTechnicians = filteredTechnicians.filter(
-      tech =>
-        tech.id === filters.id ||
-        tech.name.toLowerCase().replace(/\s+/g, '-') === filters.id
-    );
-  }
-
-  return filteredTechnicians;
-};
+const filterValidation = [
+  query('period').optional().isIn(PERIODS).withMessage(`period must be one of ${PERIODS.join(', ')}`),
+  query('date').optional().isISO8601().withMessage('date must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+];
 
-// Calculate team performance metrics
+// Calculate team performance metrics from stored performance records
 const calculateTeamMetrics = technicians => {
-  const totalJobs = technicians.reduce(
-    (sum, tech) => sum + tech.performance.jobsCompleted,
-    0
-  );
-  const totalRevenue = technicians.reduce(
-    (sum, tech) => sum + tech.performance.revenue,
-    0
-  );
-  const avgUtilization =
-    technicians.reduce((sum, tech) => sum + tech.performance.utilization, 0) /
-    technicians.length;
-  const avgQualityScore =
-    technicians.reduce((sum, tech) => sum + tech.performance.qualityScore, 0) /
-    technicians.length;
-  const avgCycleTime =
-    technicians.reduce((sum, tech) => sum + tech.performance.avgCycleTime, 0) /
-    technicians.length;
+  const withPerformance = technicians.filter(tech => tech.performance);
+  const average = field =>
+    withPerformance.length
+      ? Math.round(
+        (withPerformance.reduce((sum, tech) => sum + (parseFloat(tech.performance[field]) || 0), 0) /
+            withPerformance.length) *
+            10
+      ) / 10
+      : 0;
+  const leader = field =>
+    withPerformance.length
+      ? [...withPerformance].sort(
+        (a, b) => (parseFloat(b.performance[field]) || 0) - (parseFloat(a.performance[field]) || 0)
+      )[0].name
+      : null;
 
   return {
     totalTechnicians: technicians.length,
-    totalJobsCompleted: totalJobs,
-    totalRevenue: Math.round(totalRevenue),
-    avgUtilization: Math.round(avgUtilization * 10) / 10,
-    avgQualityScore: Math.round(avgQualityScore * 10) / 10,
-    avgCycleTime: Math.round(avgCycleTime * 10) / 10,
-    topPerformer: technicians.sort(
-      (a, b) => b.performance.efficiency - a.performance.efficiency
-    )[0].name,
-    utilizationLeader: technicians.sort(
-      (a, b) => b.performance.utilization - a.performance.utilization
-    )[0].name,
+    totalJobsCompleted: withPerformance.reduce((sum, tech) => sum + tech.performance.jobsCompleted, 0),
+    totalFlaggedHours: withPerformance.reduce((sum, tech) => sum + tech.performance.flaggedHours, 0),
+    totalClockedHours: withPerformance.reduce((sum, tech) => sum + tech.performance.clockedHours, 0),
+    totalRevenue: Math.round(withPerformance.reduce((sum, tech) => sum + tech.performance.revenue, 0)),
+    totalComebacks: withPerformance.reduce((sum, tech) => sum + tech.performance.comebacks, 0),
+    avgEfficiency: average('efficiency'),
+    avgUtilization: average('utilization'),
+    avgQualityScore: average('qualityScore'),
+    topPerformer: leader('efficiency'),
+    utilizationLeader: leader('utilization'),
   };
 };
 
-// Main technicians endpoint
-router.get('/', (req, res) => {
+/**
+ * GET /api/technicians - Technician roster with performance or workload view
+ */
+router.get('/', filterValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
     // Parse query parameters for dashboard navigation
     const filters = parseTechnicianFilters(req);
+    const { shopId, userId } = req.user;
 
-    // Generate technician data
-    let technicians = generateTechnicianData(filters);
-
-    // Apply filters
-    technicians = applyTechnicianFilters(technicians, filters);
+    const roster = await technicianPerformanceService.getRoster(shopId, {
+      id: filters.id,
+      limit: filters.limit,
+      offset: filters.offset,
+    });
 
-    // Calculate team metrics
-    const teamMetrics = calculateTeamMetrics(technicians);
+    const range = technicianPerformanceService.getPeriodRange(filters.period, filters.date);
 
     // Prepare response based on view
-    let response = {
+    const response = {
       success: true,
       view: filters.view,
       metric: filters.metric,
-      period: filters.period,
+      period: range.reportingPeriod,
+      periodStart: range.periodStart,
+      periodEnd: range.periodEnd,
       generatedAt: new Date().toISOString(),
       filters: {
         applied: filters._metadata.totalFiltersApplied,
@@ -273,72 +130,50 @@ router.get('/', (req, res) => {
       },
     };
 
-    if (filters.view === 'performance') {
-      if (filters.id && technicians.length === 1) {
-        // Individual technician performance
-        const technician = technicians[0];
-        response.data = {
-          technician,
-          performanceHistory: [
-            { period: 'Week 1', efficiency: 89.2, utilization: 82.1, jobs: 6 },
-            { period: 'Week 2', efficiency: 92.5, utilization: 87.3, jobs: 7 },
-            { period: 'Week 3', efficiency: 90.8, utilization: 85.7, jobs: 5 },
-            { period: 'Week 4', efficiency: 94.1, utilization: 88.9, jobs: 6 },
-          ],
-          comparison: {
-            vsTeamAvg: {
-              efficiency: `+${Math.round((technician.performance.efficiency - teamMetrics.avgQualityScore) * 10) / 10}%`,
-              utilization: `+${Math.round((technician.performance.utilization - teamMetrics.avgUtilization) * 10) / 10}%`,
-            },
-          },
-        };
-      } else {
-        // Team performance overview
-        response.data = {
-          technicians,
-          teamMetrics,
-          performanceRanking: technicians.sort(
-            (a, b) => b.performance.efficiency - a.performance.efficiency
-          ),
-          utilizationRanking: technicians.sort(
-            (a, b) => b.performance.utilization - a.performance.utilization
-          ),
-        };
-      }
-    } else if (filters.view === 'workload') {
+    if (filters.view === 'workload') {
       response.data = {
-        technicians: technicians.map(tech => ({
-          ...tech,
-          workloadStatus:
-            tech.performance.jobsInProgress >= 4
-              ? 'high'
-              : tech.performance.jobsInProgress >= 2
-                ? 'medium'
-                : 'low',
-          capacity: Math.max(0, 5 - tech.performance.jobsInProgress), // Assume 5 job capacity
-        })),
+        technicians: roster,
         workloadSummary: {
-          totalActiveJobs: technicians.reduce(
-            (sum, tech) => sum + tech.performance.jobsInProgress,
-            0
-          ),
-          avgJobsPerTechnician:
-            technicians.reduce(
-              (sum, tech) => sum + tech.performance.jobsInProgress,
-              0
-            ) / technicians.length,
-          overloadedTechnicians: technicians.filter(
-            tech => tech.performance.jobsInProgress >= 4
-          ).length,
-          availableCapacity: technicians.reduce(
-            (sum, tech) =>
-              sum + Math.max(0, 5 - tech.performance.jobsInProgress),
-            0
-          ),
+          totalActiveJobs: roster.reduce((sum, tech) => sum + tech.workload.jobsInProgress, 0),
+          avgJobsPerTechnician: roster.length
+            ? roster.reduce((sum, tech) => sum + tech.workload.jobsInProgress, 0) / roster.length
+            : 0,
+          overloadedTechnicians: roster.filter(tech => tech.workload.status === 'high').length,
+          availableCapacity: roster.reduce((sum, tech) => sum + tech.workload.availableSlots, 0),
+          clockedIn: roster.filter(tech => tech.clockStatus === 'clocked_in').length,
         },
       };
+      return res.json(response);
     }
 
+    const records = [];
+    for (const tech of roster) {
+      records.push(
+        await technicianPerformanceService.recordPerformance(shopId, tech.id, {
+          period: range.reportingPeriod,
+          date: filters.date,
+          userId,
+        })
+      );
+    }
+
+    const technicians = roster.map((tech, index) => ({
+      ...tech,
+      performance: formatPerformance(records[index]),
+    }));
+    const teamMetrics = calculateTeamMetrics(technicians);
+
+    response.data = {
+      technicians,
+      teamMetrics,
+      performanceRanking: [...technicians]
+        .sort((a, b) => b.performance.efficiency - a.performance.efficiency)
+        .map(tech => ({ id: tech.id, name: tech.name, efficiency: tech.performance.efficiency })),
+      utilizationRanking: [...technicians]
+        .sort((a, b) => b.performance.utilization - a.performance.utilization)
+        .map(tech => ({ id: tech.id, name: tech.name, utilization: tech.performance.utilization })),
+    };
+
     res.json(response);
   } catch (error) {
     console.error('Technicians API error:', error);
@@ -350,19 +185,228 @@ router.get('/', (req, res) => {
   }
 });
 
-// Individual technician endpoint
-router.get('/:id', (req, res) => {
-  req.query.id = req.params.id;
-  req.query.view = 'performance';
-  return router.handle(req, res);
-});
+/**
+ * POST /api/technicians/performance/recalculate - Recompute and rank all technicians for a period
+ */
+router.post(
+  '/performance/recalculate',
+  [
+    body('period').optional().isIn(technicianPerformanceService.reportingPeriods),
+    body('date').optional().isISO8601(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { shopId, userId } = req.user;
+      const records = await technicianPerformanceService.refreshShopPerformance(shopId, {
+        period: req.body.period || 'weekly',
+        date: req.body.date ? new Date(req.body.date) : new Date(),
+        userId,
+      });
+
+      res.json({
+        success: true,
+        message: `Performance recalculated for ${records.length} technicians`,
+        data: records.map(record => ({
+          technicianId: record.technicianId,
+          rankInShop: record.rankInShop,
+          percentileRank: record.percentileRank,
+          ...formatPerformance(record),
+        })),
+      });
+    } catch (error) {
+      console.error('Recalculate technician performance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to recalculate technician performance',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/technicians/:id - Technician profile with current period performance
+ */
+router.get('/:id', [param('id').isUUID().withMessage('Invalid technician ID'), ...filterValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
 
-// Performance metrics endpoint
-router.get('/:id/performance', (req, res) => {
-  req.query.id = req.params.id;
-  req.query.view = 'performance';
-  req.query.metric = 'detailed';
-  return router.handle(req, res);
+    const filters = parseTechnicianFilters(req);
+    const { shopId, userId } = req.user;
+    const [technician] = await technicianPerformanceService.getRoster(shopId, {
+      id: req.params.id,
+      includeInactive: true,
+    });
+
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: 'Technician not found',
+      });
+    }
+
+    const record = await technicianPerformanceService.recordPerformance(shopId, technician.id, {
+      period: filters.period,
+      date: filters.date,
+      userId,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        technician: { ...technician, performance: formatPerformance(record) },
+      },
+    });
+  } catch (error) {
+    console.error('Get technician error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve technician',
+      error: error.message,
+    });
+  }
 });
 
+/**
+ * GET /api/technicians/:id/performance - Period metrics, stored history and team comparison
+ */
+router.get(
+  '/:id/performance',
+  [
+    param('id').isUUID().withMessage('Invalid technician ID'),
+    query('history').optional().isInt({ min: 1, max: 52 }),
+    ...filterValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const filters = parseTechnicianFilters(req);
+      const { shopId, userId } = req.user;
+      const [technician] = await technicianPerformanceService.getRoster(shopId, {
+        id: req.params.id,
+        includeInactive: true,
+      });
+
+      if (!technician) {
+        return res.status(404).json({
+          success: false,
+          message: 'Technician not found',
+        });
+      }
+
+      const range = technicianPerformanceService.getPeriodRange(filters.period, filters.date);
+      const record = await technicianPerformanceService.recordPerformance(shopId, technician.id, {
+        period: range.reportingPeriod,
+        date: filters.date,
+        userId,
+      });
+      const [history, teamAverages] = await Promise.all([
+        technicianPerformanceService.getPerformanceHistory(
+          shopId,
+          technician.id,
+          range.reportingPeriod,
+          parseInt(req.query.history) || 12
+        ),
+        technicianPerformanceService.getTeamAverages(shopId, range),
+      ]);
+
+      const performance = formatPerformance(record);
+      const difference = (value, teamValue) =>
+        teamValue === null ? null : Math.round((value - teamValue) * 10) / 10;
+
+      res.json({
+        success: true,
+        data: {
+          technician: { id: technician.id, name: technician.name, role: technician.role },
+          period: range.reportingPeriod,
+          periodStart: range.periodStart,
+          periodEnd: range.periodEnd,
+          performance,
+          comebackJobs: (record.metadata && record.metadata.comebackJobs) || [],
+          performanceHistory: history
+            .map(entry => ({
+              periodStart: entry.periodStart,
+              periodEnd: entry.periodEnd,
+              ...formatPerformance(entry),
+            }))
+            .reverse(),
+          comparison: {
+            teamAverages,
+            vsTeamAvg: {
+              efficiency: difference(performance.efficiency, teamAverages.overallEfficiency),
+              utilization: difference(performance.utilization, teamAverages.utilizationRate),
+              flaggedHours: difference(performance.flaggedHours, teamAverages.flaggedHours),
+            },
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Get technician performance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve technician performance',
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Flatten a TechnicianPerformance record for API responses
+ */
+function formatPerformance(record) {
+  const metadata = record.metadata || {};
+  const number = value => (value === null || value === undefined ? 0 : parseFloat(value));
+
+  return {
+    recordId: record.id,
+    clockedHours: number(record.hoursWorked),
+    productiveHours: number(record.productiveHours),
+    flaggedHours: number(record.flaggedHours),
+    billableHours: number(record.billableHours),
+    overtimeHours: number(record.overtimeHours),
+    efficiency: number(record.overallEfficiency),
+    utilization: number(record.utilizationRate),
+    productivity: number(metadata.productivity),
+    jobsCompleted: record.jobsCompleted || 0,
+    stagesCompleted: record.stagesCompleted || 0,
+    onTimeDeliveryRate: record.onTimeDeliveryRate === null ? null : number(record.onTimeDeliveryRate),
+    qualityScore: number(record.qualityScore),
+    firstTimeRightRate: number(record.firstTimeRightRate),
+    reworkCount: record.reworkCount || 0,
+    comebacks: number(metadata.comebacks),
+    customerRating: record.customerRating === null ? null : number(record.customerRating),
+    revenue: number(record.revenueGenerated),
+    laborCost: number(record.laborCostGenerated),
+    overallScore: record.overallScore === null ? null : number(record.overallScore),
+    performanceGrade: record.performanceGrade,
+    trend: record.trendDirection,
+    calculatedAt: record.calculatedAt,
+  };
+}
+
 module.exports = router;
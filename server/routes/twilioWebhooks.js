@@ -0,0 +1,114 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const smsConversationService = require('../services/smsConversationService');
+const messageDeliveryService = require('../services/messageDeliveryService');
+
+/**
+ * Twilio Webhook Routes
+ * Public endpoints Twilio calls for inbound texts and delivery status.
+ * Requests are authenticated with the X-Twilio-Signature header instead of
+ * a user session.
+ */
+
+const EMPTY_TWIML =
+  '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Twilio signs the full callback URL followed by every POST parameter,
+ * sorted by name, with the account auth token (HMAC-SHA1, base64)
+ */
+const computeSignature = (authToken, url, params = {}) => {
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((signed, key) => signed + key + params[key], url);
+  return crypto
+    .createHmac('sha1', authToken)
+    .update(Buffer.from(payload, 'utf-8'))
+    .digest('base64');
+};
+
+const callbackUrl = req => {
+  const base =
+    process.env.TWILIO_WEBHOOK_BASE_URL ||
+    `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${req.originalUrl}`;
+};
+
+const verifyTwilioSignature = (req, res, next) => {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(503).json({
+        success: false,
+        message: 'Twilio webhooks are not configured',
+      });
+    }
+    return next();
+  }
+
+  const provided = req.get('X-Twilio-Signature') || '';
+  const expected = computeSignature(authToken, callbackUrl(req), req.body);
+  const valid =
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+  if (!valid) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid Twilio signature',
+    });
+  }
+  next();
+};
+
+/**
+ * @route POST /api/webhooks/twilio/sms
+ * @desc Inbound text from a customer
+ * @access Public (Twilio signature)
+ */
+router.post('/sms', verifyTwilioSignature, async (req, res) => {
+  try {
+    const result = await smsConversationService.receiveInbound(req.body);
+    if (!result) {
+      console.warn(
+        `Inbound SMS to ${req.body.To} does not match any shop number`
+      );
+    }
+
+    res.type('text/xml').send(EMPTY_TWIML);
+  } catch (error) {
+    console.error('Inbound SMS error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to process inbound message',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route POST /api/webhooks/twilio/status
+ * @desc Delivery status callback for an outbound text
+ * @access Public (Twilio signature)
+ */
+router.post('/status', verifyTwilioSignature, async (req, res) => {
+  try {
+    // Status callbacks come from the shop's own number
+    const shop = await smsConversationService.findShopForNumber(req.body.From);
+    if (shop) {
+      await messageDeliveryService.recordStatus('twilio', req.body, shop.id);
+    }
+    res.type('text/xml').send(EMPTY_TWIML);
+  } catch (error) {
+    console.error('SMS status callback error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to record message status',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.computeSignature = computeSignature;
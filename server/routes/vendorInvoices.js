@@ -0,0 +1,345 @@
+/**
+ * CollisionOS Vendor Invoice APIs
+ *
+ * Vendor invoice entry and three-way match
+ * Features:
+ * - Invoices entered by hand, uploaded as CSV or pulled from the vendor API
+ * - Each line matched to its PO line, the quantity received and the PO price
+ * - Variances flagged against the estimate's part price and target margin
+ * - Approval for payment, or dispute back to the vendor
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const vendorInvoiceService = require('../services/vendorInvoiceService');
+
+const invoiceRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: 'Too many invoice operations, please try again later.',
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(
+        file.mimetype
+      ) ||
+      file.originalname.toLowerCase().endsWith('.csv')
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  },
+});
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * GET /api/vendor-invoices - Invoices, newest first
+ *
+ * Query: status, vendor_id, purchase_order_id
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { shopId } = req.user;
+    const { status, vendor_id, purchase_order_id } = req.query;
+
+    const invoices = await vendorInvoiceService.listInvoices(shopId, {
+      status,
+      vendorId: vendor_id,
+      purchaseOrderId: purchase_order_id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invoices: invoices.map(formatInvoice),
+        total: invoices.length,
+      },
+    });
+  } catch (error) {
+    console.error('List vendor invoices error:', error);
+    sendError(res, error, 'Failed to get vendor invoices');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices - Enter an invoice
+ *
+ * Body: {
+ *   vendor_id: string,
+ *   invoice_number: string,
+ *   invoice_date?: string,
+ *   due_date?: string,
+ *   purchase_order_id?: number,
+ *   po_number?: string,
+ *   lines: [{ line_number?, part_number, description?, quantity,
+ *     unit_price, extended_price? }],
+ *   tax?: number,
+ *   shipping?: number,
+ *   total?: number,
+ *   notes?: string
+ * }
+ */
+router.post('/', invoiceRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { lines = [] } = req.body;
+
+    const invoice = await vendorInvoiceService.recordInvoice(
+      shopId,
+      {
+        vendorId: req.body.vendor_id,
+        invoiceNumber: req.body.invoice_number,
+        invoiceDate: req.body.invoice_date,
+        dueDate: req.body.due_date,
+        purchaseOrderId: req.body.purchase_order_id,
+        poNumber: req.body.po_number,
+        lines: lines.map(line => ({
+          lineNumber: line.line_number,
+          partNumber: line.part_number,
+          description: line.description,
+          quantity: line.quantity,
+          unitPrice: line.unit_price,
+          extendedPrice: line.extended_price,
+        })),
+        tax: req.body.tax,
+        shipping: req.body.shipping,
+        total: req.body.total,
+        notes: req.body.notes,
+        source: 'manual',
+      },
+      userId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} ${
+        invoice.status === 'matched' ? 'matched' : 'has variances'
+      }`,
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    console.error('Record vendor invoice error:', error);
+    sendError(res, error, 'Failed to record vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/import/csv - Import invoices from a CSV file
+ *
+ * Multipart: file, or Body: { csv }
+ * Fields: vendor_id, invoice_number?, purchase_order_id?, po_number?
+ */
+router.post(
+  '/import/csv',
+  invoiceRateLimit,
+  upload.single('file'),
+  async (req, res) => {
+    try {
+      const { shopId, userId } = req.user;
+      const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+      if (!csv) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload a CSV file or send its text as csv',
+        });
+      }
+
+      const result = await vendorInvoiceService.importCsv(
+        shopId,
+        csv,
+        {
+          vendorId: req.body.vendor_id,
+          invoiceNumber: req.body.invoice_number,
+          purchaseOrderId: req.body.purchase_order_id,
+          poNumber: req.body.po_number,
+        },
+        userId
+      );
+
+      res.status(result.invoices.length > 0 ? 201 : 200).json({
+        success: result.errors.length === 0,
+        message: `Imported ${result.invoices.length} invoices`,
+        data: {
+          invoices: result.invoices.map(formatInvoice),
+          errors: result.errors.map(formatImportError),
+        },
+      });
+    } catch (error) {
+      console.error('Import vendor invoice CSV error:', error);
+      sendError(res, error, 'Failed to import vendor invoices');
+    }
+  }
+);
+
+/**
+ * POST /api/vendor-invoices/import/vendor - Pull invoices from the vendor API
+ *
+ * Body: { vendor_id, purchase_order_id?, since? }
+ */
+router.post('/import/vendor', invoiceRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const { vendor_id, purchase_order_id, since } = req.body;
+
+    const result = await vendorInvoiceService.importFromVendor(
+      shopId,
+      { vendorId: vendor_id, purchaseOrderId: purchase_order_id, since },
+      userId
+    );
+
+    res.json({
+      success: result.errors.length === 0,
+      message: `Imported ${result.invoices.length} invoices`,
+      data: {
+        invoices: result.invoices.map(formatInvoice),
+        skipped: result.skipped,
+        errors: result.errors.map(formatImportError),
+      },
+    });
+  } catch (error) {
+    console.error('Import vendor invoices error:', error);
+    sendError(res, error, 'Failed to import vendor invoices');
+  }
+});
+
+/**
+ * GET /api/vendor-invoices/:id - Invoice with its line matches
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await vendorInvoiceService.getInvoice(
+      req.user.shopId,
+      req.params.id,
+      { includeRelations: true }
+    );
+    res.json({ success: true, data: formatInvoice(invoice) });
+  } catch (error) {
+    console.error('Get vendor invoice error:', error);
+    sendError(res, error, 'Failed to get vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/:id/rematch - Match again after receiving
+ */
+router.post('/:id/rematch', invoiceRateLimit, async (req, res) => {
+  try {
+    const invoice = await vendorInvoiceService.rematchInvoice(
+      req.user.shopId,
+      req.params.id
+    );
+    res.json({ success: true, data: formatInvoice(invoice) });
+  } catch (error) {
+    console.error('Rematch vendor invoice error:', error);
+    sendError(res, error, 'Failed to match vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/:id/approve - Approve for payment
+ *
+ * Body: { accept_variances?: boolean, notes? }
+ */
+router.post('/:id/approve', invoiceRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const invoice = await vendorInvoiceService.approveInvoice(
+      shopId,
+      req.params.id,
+      {
+        acceptVariances: Boolean(req.body.accept_variances),
+        notes: req.body.notes,
+      },
+      userId
+    );
+    res.json({ success: true, data: formatInvoice(invoice) });
+  } catch (error) {
+    console.error('Approve vendor invoice error:', error);
+    sendError(res, error, 'Failed to approve vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/:id/dispute - Dispute with the vendor
+ *
+ * Body: { reason }
+ */
+router.post('/:id/dispute', invoiceRateLimit, async (req, res) => {
+  try {
+    const { shopId, userId } = req.user;
+    const invoice = await vendorInvoiceService.disputeInvoice(
+      shopId,
+      req.params.id,
+      { reason: req.body.reason },
+      userId
+    );
+    res.json({ success: true, data: formatInvoice(invoice) });
+  } catch (error) {
+    console.error('Dispute vendor invoice error:', error);
+    sendError(res, error, 'Failed to dispute vendor invoice');
+  }
+});
+
+function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    invoice_number: invoice.invoiceNumber,
+    invoice_date: invoice.invoiceDate,
+    due_date: invoice.dueDate,
+    vendor_id: invoice.vendorId,
+    vendor_name: invoice.vendor?.name || null,
+    purchase_order_id: invoice.purchaseOrderId,
+    po_number: invoice.purchaseOrder?.purchaseOrderNumber || null,
+    source: invoice.source,
+    status: invoice.status,
+    subtotal: parseFloat(invoice.subtotalAmount || 0),
+    tax: parseFloat(invoice.taxAmount || 0),
+    shipping: parseFloat(invoice.shippingAmount || 0),
+    total: parseFloat(invoice.totalAmount || 0),
+    variance_amount: parseFloat(invoice.varianceAmount || 0),
+    variance_count: invoice.varianceCount || 0,
+    lines: (invoice.lines || []).map(line => ({
+      line_number: line.lineNumber,
+      part_number: line.partNumber,
+      description: line.description,
+      quantity: line.quantity,
+      unit_price: line.unitPrice,
+      extended_price: line.extendedPrice,
+      part_line_id: line.partLineId,
+      quantity_ordered: line.quantityOrdered,
+      quantity_received: line.quantityReceived,
+      po_unit_price: line.poUnitPrice,
+      estimate_unit_price: line.estimateUnitPrice,
+      gross_profit: line.grossProfit,
+      gross_profit_percent: line.grossProfitPercent,
+      variances: line.variances || [],
+    })),
+    matched_at: invoice.matchedAt,
+    reviewed_by: invoice.reviewedBy,
+    reviewed_at: invoice.reviewedAt,
+    notes: invoice.notes,
+  };
+}
+
+function formatImportError(error) {
+  return {
+    invoice_number: error.invoiceNumber,
+    message: error.message,
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,669 @@
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const {
+  LoanerReservation,
+  LoanerFleetManagement,
+  RepairOrderManagement,
+  ClaimManagement,
+  InsuranceCompany,
+  Customer,
+  VehicleProfile,
+  Shop,
+} = require('../database/models');
+const domainEvents = require('./domainEvents');
+const { realtimeService } = require('./realtimeService');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * ATS Rental Service
+ *
+ * Tracks alternate transportation (insurer-paid rental) against the claim:
+ * - rental days come from loaner check-out and check-in; a car still out
+ *   counts up to now, and each started 24 hours is a day
+ * - the claim's atsDaysApproved (or its atsStartDate to atsEndDate window)
+ *   and atsAllowanceAmount daily cap are the insurer's approval
+ * - when the loaner's planned return runs past the approved days the shop
+ *   is alerted and can print a request for extension for the adjuster
+ * - the rental invoice splits each loaner's charge: the insurer pays up to
+ *   the cap for approved days, the customer pays the rest
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reservations that put the customer in a car, or will
+const RENTAL_STATUSES = [
+  'pending',
+  'confirmed',
+  'active',
+  'completed',
+  'early_return',
+];
+
+const round = value => Math.round(value * 100) / 100;
+const toNumber = value =>
+  value === null || value === undefined || value === '' ? null : Number(value);
+const formatDate = value =>
+  value ? new Date(value).toISOString().split('T')[0] : '';
+const formatMoney = value => `$${(value || 0).toFixed(2)}`;
+
+const plannedEndOf = reservation =>
+  reservation.actualReturnDate ||
+  reservation.confirmedEndDate ||
+  reservation.requestedEndDate;
+
+const countDays = (start, end) =>
+  Math.max(1, Math.ceil((new Date(end) - new Date(start)) / DAY_MS));
+
+class AtsRentalService {
+  constructor() {
+    domainEvents.subscribe(domainEvents.EVENTS.LOANER_RETURN_CHANGED, event =>
+      this.checkApproval(event.shopId, event.repairOrderId)
+    );
+  }
+
+  // ==========================================
+  // RENTAL DAYS
+  // ==========================================
+
+  /**
+   * Days the customer has had the car: nothing before check-out, up to now
+   * while it is out
+   */
+  rentalDays(reservation, asOf = new Date()) {
+    if (!reservation.actualPickupDate) return 0;
+    return countDays(
+      reservation.actualPickupDate,
+      reservation.actualReturnDate || asOf
+    );
+  }
+
+  /**
+   * Days the rental will run if the car comes back when planned
+   */
+  projectedDays(reservation, asOf = new Date()) {
+    const used = this.rentalDays(reservation, asOf);
+    if (reservation.actualReturnDate) return used;
+
+    const start =
+      reservation.actualPickupDate ||
+      reservation.confirmedStartDate ||
+      reservation.requestedStartDate;
+    const end = plannedEndOf(reservation);
+    return start && end ? Math.max(used, countDays(start, end)) : used;
+  }
+
+  /**
+   * Approved days from the claim; an approval given as a date window counts
+   * its days
+   */
+  approvedDays(claim) {
+    if (!claim || !claim.atsEligible) return null;
+    if (claim.atsDaysApproved !== null && claim.atsDaysApproved !== undefined) {
+      return claim.atsDaysApproved;
+    }
+    return claim.atsStartDate && claim.atsEndDate
+      ? countDays(claim.atsStartDate, claim.atsEndDate)
+      : null;
+  }
+
+  /**
+   * Rental days used and projected for an RO against its claim's approval
+   *
+   * @returns {Object} { repairOrder, claim, reservations, covered,
+   *   approvedDays, dailyCap, daysUsed, projectedDays, remainingDays,
+   *   overageDays, exceedsApproval, approvalEndsOn, projectedReturnDate }
+   */
+  async getRentalSummary(shopId, repairOrderId, asOf = new Date()) {
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+      include: [
+        {
+          model: ClaimManagement,
+          as: 'claimManagement',
+          required: false,
+          include: [
+            {
+              model: InsuranceCompany,
+              as: 'insuranceCompany',
+              required: false,
+            },
+          ],
+        },
+        { model: Customer, as: 'customer', required: false },
+        { model: VehicleProfile, as: 'vehicleProfile', required: false },
+      ],
+    });
+    if (!repairOrder) throw new NotFoundError('Repair order not found');
+
+    const reservations = await LoanerReservation.findAll({
+      where: {
+        shopId,
+        repairOrderId: repairOrder.id,
+        reservationStatus: { [Op.in]: RENTAL_STATUSES },
+      },
+      include: [
+        {
+          model: LoanerFleetManagement,
+          as: 'loanerVehicle',
+          required: false,
+        },
+      ],
+      order: [['requestedStartDate', 'ASC']],
+    });
+
+    const claim = repairOrder.claimManagement || null;
+    const covered = Boolean(claim && claim.atsEligible);
+    const approvedDays = this.approvedDays(claim);
+    const daysUsed = reservations.reduce(
+      (sum, reservation) => sum + this.rentalDays(reservation, asOf),
+      0
+    );
+    const projectedDays = reservations.reduce(
+      (sum, reservation) => sum + this.projectedDays(reservation, asOf),
+      0
+    );
+    const overageDays =
+      covered && approvedDays !== null
+        ? Math.max(0, projectedDays - approvedDays)
+        : 0;
+
+    const firstPickup = reservations
+      .map(reservation => reservation.actualPickupDate)
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b))[0];
+    let approvalEndsOn = claim && claim.atsEndDate;
+    if (!approvalEndsOn && approvedDays !== null && firstPickup) {
+      approvalEndsOn = new Date(
+        new Date(firstPickup).getTime() + approvedDays * DAY_MS
+      );
+    }
+    const projectedReturnDate = reservations
+      .map(plannedEndOf)
+      .filter(Boolean)
+      .sort((a, b) => new Date(b) - new Date(a))[0];
+
+    return {
+      repairOrder,
+      claim,
+      reservations,
+      covered,
+      approvedDays,
+      dailyCap: covered ? toNumber(claim.atsAllowanceAmount) : null,
+      daysUsed,
+      projectedDays,
+      remainingDays:
+        approvedDays !== null ? Math.max(0, approvedDays - daysUsed) : null,
+      overageDays,
+      exceedsApproval: overageDays > 0,
+      approvalEndsOn: approvalEndsOn || null,
+      projectedReturnDate: projectedReturnDate || null,
+    };
+  }
+
+  /**
+   * Record the days used on the claim and alert the shop when the rental
+   * is heading past the approved days. Runs on check-out, check-in and
+   * whenever the loaner's return date moves.
+   */
+  async checkApproval(shopId, repairOrderId) {
+    if (!repairOrderId) return null;
+    const summary = await this.getRentalSummary(shopId, repairOrderId);
+    const { claim } = summary;
+
+    if (claim && summary.covered && claim.atsDaysUsed !== summary.daysUsed) {
+      await claim.update({ atsDaysUsed: summary.daysUsed });
+    }
+
+    if (summary.exceedsApproval) {
+      realtimeService.emitToShop(shopId, 'ats_extension_needed', {
+        ro_id: summary.repairOrder.id,
+        ro_number: summary.repairOrder.repairOrderNumber,
+        claim_number: claim.claimNumber,
+        approved_days: summary.approvedDays,
+        days_used: summary.daysUsed,
+        projected_days: summary.projectedDays,
+        overage_days: summary.overageDays,
+        approval_ends_on: summary.approvalEndsOn,
+        message: `Rental on ${summary.repairOrder.repairOrderNumber} is expected to run ${summary.overageDays} day(s) past the ${summary.approvedDays} approved`,
+      });
+    }
+    return summary;
+  }
+
+  /**
+   * Open rentals that will run past their approved days
+   */
+  async getAlerts(shopId) {
+    const reservations = await LoanerReservation.findAll({
+      where: {
+        shopId,
+        reservationStatus: { [Op.in]: ['pending', 'confirmed', 'active'] },
+        repairOrderId: { [Op.ne]: null },
+      },
+      attributes: ['repairOrderId'],
+    });
+    const repairOrderIds = [
+      ...new Set(reservations.map(reservation => reservation.repairOrderId)),
+    ];
+
+    const summaries = await Promise.all(
+      repairOrderIds.map(id => this.getRentalSummary(shopId, id))
+    );
+    return summaries
+      .filter(summary => summary.exceedsApproval)
+      .sort((a, b) => b.overageDays - a.overageDays);
+  }
+
+  // ==========================================
+  // REQUEST FOR EXTENSION
+  // ==========================================
+
+  /**
+   * Request-for-extension letter for the adjuster. The extra days default
+   * to the projected overage; the request is noted on the claim.
+   *
+   * @param {Object} options - additionalDays, reason, userId
+   * @returns {Object} { buffer, fileName, requestedDays, requestedAmount }
+   */
+  async generateExtensionRequest(shopId, repairOrderId, options = {}) {
+    const summary = await this.getRentalSummary(shopId, repairOrderId);
+    const { repairOrder, claim } = summary;
+    if (!summary.covered) {
+      throw new ValidationError('Repair order has no ATS-eligible claim');
+    }
+
+    const requestedDays = options.additionalDays
+      ? parseInt(options.additionalDays, 10)
+      : summary.overageDays;
+    if (!requestedDays || requestedDays < 1) {
+      throw new ValidationError(
+        'Rental is expected back within the approved days; give the days to request'
+      );
+    }
+    const rate = summary.reservations
+      .map(reservation => this.dailyRate(reservation))
+      .find(value => value > 0);
+    const insuredRate =
+      summary.dailyCap !== null
+        ? Math.min(rate ?? summary.dailyCap, summary.dailyCap)
+        : rate || 0;
+    const requestedAmount = round(requestedDays * insuredRate);
+
+    const shop = await Shop.findByPk(shopId);
+    const buffer = await this.renderPdf(
+      `Rental Extension Request ${repairOrder.repairOrderNumber || ''}`.trim(),
+      shop,
+      doc => {
+        const vehicle = repairOrder.vehicleProfile || {};
+        const customer = repairOrder.customer || {};
+
+        this.drawDetails(doc, [
+          ['To', claim.insuranceCompany?.name || claim.atsProvider],
+          ['Claim number', claim.claimNumber],
+          ['Repair order', repairOrder.repairOrderNumber],
+          [
+            'Insured / claimant',
+            [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+          ],
+          [
+            'Vehicle',
+            [vehicle.year, vehicle.make, vehicle.model]
+              .filter(Boolean)
+              .join(' '),
+          ],
+          ['VIN', vehicle.vin],
+          ['Date', formatDate(new Date())],
+        ]);
+        doc.moveDown();
+
+        doc
+          .fontSize(11)
+          .font('Helvetica-Bold')
+          .text('Rental authorization to date');
+        doc.fontSize(10).font('Helvetica');
+        this.drawDetails(doc, [
+          ['Days approved', summary.approvedDays ?? 'Not specified'],
+          ['Approval ends', formatDate(summary.approvalEndsOn)],
+          [
+            'Daily allowance',
+            summary.dailyCap !== null
+              ? formatMoney(summary.dailyCap)
+              : 'Not specified',
+          ],
+          ['Days used', summary.daysUsed],
+          ['Projected rental days', summary.projectedDays],
+          ['Expected return', formatDate(summary.projectedReturnDate)],
+        ]);
+        doc.moveDown();
+
+        doc.fontSize(11).font('Helvetica-Bold').text('Extension requested');
+        doc.fontSize(10).font('Helvetica');
+        this.drawDetails(doc, [
+          ['Additional days', requestedDays],
+          ['Daily rate', formatMoney(insuredRate)],
+          ['Additional amount', formatMoney(requestedAmount)],
+        ]);
+        doc.moveDown();
+
+        doc.text(
+          options.reason ||
+            `Repairs on repair order ${repairOrder.repairOrderNumber || repairOrder.id} will not be complete within the approved rental period. We request authorization for ${requestedDays} additional rental day(s).`
+        );
+        doc.moveDown(2);
+        doc.text('Authorized by: ______________________   Date: ____________');
+      }
+    );
+
+    const note = `${formatDate(new Date())}: requested ${requestedDays} more rental day(s) (${formatMoney(requestedAmount)})${options.reason ? ` - ${options.reason}` : ''}`;
+    await claim.update({
+      atsNotes: claim.atsNotes ? `${claim.atsNotes}\n${note}` : note,
+    });
+
+    return {
+      buffer,
+      fileName: `rental-extension-${repairOrder.repairOrderNumber || repairOrder.id}.pdf`,
+      requestedDays,
+      requestedAmount,
+    };
+  }
+
+  // ==========================================
+  // RENTAL INVOICE
+  // ==========================================
+
+  /**
+   * Split every loaner on the RO between insurer and customer. Approved
+   * days are used up in pickup order; the insurer pays the daily rate up to
+   * the cap on those days and the customer pays the rest, days beyond the
+   * approval and any additional charges.
+   *
+   * @returns {Object} { invoiceNumber, repairOrder, claim, lines, totals,
+   *   interim } where interim means a car is still out
+   */
+  async buildRentalInvoice(shopId, repairOrderId, asOf = new Date()) {
+    const summary = await this.getRentalSummary(shopId, repairOrderId, asOf);
+    const { repairOrder, claim } = summary;
+    const rented = summary.reservations.filter(
+      reservation => reservation.actualPickupDate
+    );
+    if (rented.length === 0) {
+      throw new ValidationError('No loaner has been checked out on this RO');
+    }
+
+    let approvedLeft = summary.covered ? (summary.approvedDays ?? Infinity) : 0;
+    const lines = rented.map(reservation => {
+      const days = this.rentalDays(reservation, asOf);
+      const rate = this.dailyRate(reservation);
+      const insuredDays = Math.min(days, approvedLeft);
+      approvedLeft -= insuredDays;
+      const insuredRate =
+        summary.dailyCap !== null ? Math.min(rate, summary.dailyCap) : rate;
+
+      const rentalCharge = round(days * rate);
+      const additionalCharges = toNumber(reservation.additionalCharges) || 0;
+      const insurerAmount = round(insuredDays * insuredRate);
+      return {
+        reservation,
+        vehicle: reservation.loanerVehicle || null,
+        pickupDate: reservation.actualPickupDate,
+        returnDate: reservation.actualReturnDate || null,
+        days,
+        dailyRate: rate,
+        insuredDays,
+        insuredRate,
+        rentalCharge,
+        additionalCharges,
+        additionalChargesDescription:
+          reservation.additionalChargesDescription || null,
+        total: round(rentalCharge + additionalCharges),
+        insurerAmount,
+        customerAmount: round(rentalCharge - insurerAmount + additionalCharges),
+      };
+    });
+
+    const sum = key =>
+      round(lines.reduce((total, line) => total + line[key], 0));
+    return {
+      invoiceNumber: `RENT-${repairOrder.repairOrderNumber || repairOrder.id}`,
+      repairOrder,
+      claim,
+      covered: summary.covered,
+      approvedDays: summary.approvedDays,
+      dailyCap: summary.dailyCap,
+      lines,
+      totals: {
+        days: lines.reduce((total, line) => total + line.days, 0),
+        insuredDays: lines.reduce((total, line) => total + line.insuredDays, 0),
+        rentalCharge: sum('rentalCharge'),
+        additionalCharges: sum('additionalCharges'),
+        total: sum('total'),
+        insurer: sum('insurerAmount'),
+        customer: sum('customerAmount'),
+      },
+      interim: rented.some(reservation => !reservation.actualReturnDate),
+    };
+  }
+
+  /**
+   * Build the invoice and write each loaner's split onto its reservation
+   */
+  async finalizeRentalInvoice(shopId, repairOrderId, options = {}) {
+    const invoice = await this.buildRentalInvoice(shopId, repairOrderId);
+    const { claim } = invoice;
+
+    await Promise.all(
+      invoice.lines.map(line =>
+        line.reservation.update({
+          baseRentalRate: line.dailyRate,
+          totalRentalDays: line.days,
+          totalRentalCharge: line.rentalCharge,
+          totalAmount: line.total,
+          amountCoveredByInsurance: line.insurerAmount,
+          customerResponsibleAmount: line.customerAmount,
+          ...(invoice.covered && {
+            dailyAllowance: invoice.dailyCap,
+            allowanceDays: invoice.approvedDays,
+            totalAllowance:
+              invoice.dailyCap !== null && invoice.approvedDays !== null
+                ? round(invoice.dailyCap * invoice.approvedDays)
+                : null,
+            allowanceStartDate: claim.atsStartDate,
+            allowanceEndDate: claim.atsEndDate,
+            authorizingParty:
+              claim.insuranceCompany?.name || claim.atsProvider || null,
+          }),
+          updatedBy: options.userId || null,
+        })
+      )
+    );
+    if (invoice.covered && claim.atsDaysUsed !== invoice.totals.days) {
+      await claim.update({ atsDaysUsed: invoice.totals.days });
+    }
+    return invoice;
+  }
+
+  /**
+   * Rental invoice as a PDF with the insurer and customer portions
+   *
+   * @returns {Object} { buffer, fileName, invoice }
+   */
+  async renderRentalInvoice(shopId, repairOrderId) {
+    const invoice = await this.buildRentalInvoice(shopId, repairOrderId);
+    const { repairOrder, claim, totals } = invoice;
+    const shop = await Shop.findByPk(shopId);
+
+    const buffer = await this.renderPdf(
+      `Rental Invoice ${invoice.invoiceNumber}`,
+      shop,
+      doc => {
+        const customer = repairOrder.customer || {};
+        if (invoice.interim) {
+          doc
+            .fontSize(12)
+            .fillColor('red')
+            .text('INTERIM - loaner still out', { align: 'center' })
+            .fillColor('black');
+          doc.fontSize(10);
+        }
+        this.drawDetails(doc, [
+          ['Invoice', invoice.invoiceNumber],
+          ['Date', formatDate(new Date())],
+          ['Repair order', repairOrder.repairOrderNumber],
+          [
+            'Customer',
+            [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+          ],
+          ['Insurer', invoice.covered && claim.insuranceCompany?.name],
+          ['Claim number', invoice.covered && claim.claimNumber],
+          ['Days approved', invoice.covered && invoice.approvedDays],
+          [
+            'Daily allowance',
+            invoice.covered &&
+              invoice.dailyCap !== null &&
+              formatMoney(invoice.dailyCap),
+          ],
+        ]);
+        doc.moveDown();
+
+        const columns = [
+          { label: 'Vehicle', width: 110 },
+          { label: 'Out / back', width: 110 },
+          { label: 'Days', width: 40 },
+          { label: 'Rate', width: 55 },
+          { label: 'Charges', width: 65 },
+          { label: 'Insurer', width: 66 },
+          { label: 'Customer', width: 66 },
+        ];
+        const drawRow = (values, bold) => {
+          const y = doc.y;
+          let x = doc.page.margins.left;
+          doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+          values.forEach((value, index) => {
+            doc.text(`${value ?? ''}`, x, y, {
+              width: columns[index].width - 6,
+            });
+            x += columns[index].width;
+          });
+          doc.x = doc.page.margins.left;
+          doc.moveDown(0.4);
+        };
+
+        drawRow(
+          columns.map(column => column.label),
+          true
+        );
+        invoice.lines.forEach(line => {
+          const vehicle = line.vehicle || {};
+          drawRow([
+            [vehicle.year, vehicle.make, vehicle.model]
+              .filter(Boolean)
+              .join(' ') || line.reservation.reservationNumber,
+            `${formatDate(line.pickupDate)} - ${formatDate(line.returnDate) || 'out'}`,
+            line.days,
+            formatMoney(line.dailyRate),
+            formatMoney(line.total),
+            formatMoney(line.insurerAmount),
+            formatMoney(line.customerAmount),
+          ]);
+          if (line.additionalChargesDescription) {
+            doc
+              .fontSize(8)
+              .text(`Additional: ${line.additionalChargesDescription}`);
+            doc.moveDown(0.4);
+          }
+        });
+        drawRow(
+          [
+            'Total',
+            '',
+            totals.days,
+            '',
+            formatMoney(totals.total),
+            formatMoney(totals.insurer),
+            formatMoney(totals.customer),
+          ],
+          true
+        );
+        doc.moveDown();
+
+        doc.fontSize(10).font('Helvetica');
+        if (invoice.covered) {
+          doc.text(
+            `Bill to insurer: ${formatMoney(totals.insurer)} for ${totals.insuredDays} approved day(s).`
+          );
+        }
+        doc.text(`Customer balance due: ${formatMoney(totals.customer)}.`);
+      }
+    );
+
+    return {
+      buffer,
+      fileName: `rental-invoice-${repairOrder.repairOrderNumber || repairOrder.id}.pdf`,
+      invoice,
+    };
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * The reservation's agreed rate, else the car's daily rate
+   */
+  dailyRate(reservation) {
+    return (
+      toNumber(reservation.baseRentalRate) ??
+      toNumber(reservation.loanerVehicle?.dailyRentalRate) ??
+      0
+    );
+  }
+
+  drawDetails(doc, details) {
+    details
+      .filter(
+        ([, value]) =>
+          value !== null &&
+          value !== undefined &&
+          value !== '' &&
+          value !== false
+      )
+      .forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(`${value}`);
+      });
+  }
+
+  renderPdf(title, shop, draw) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        margin: 50,
+        size: 'LETTER',
+        info: { Title: title, Author: shop?.name || 'CollisionOS' },
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).font('Helvetica-Bold').text(title, { align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      if (shop) {
+        doc.text(shop.businessName || shop.name, { align: 'center' });
+        doc.text(
+          [shop.address, shop.city, shop.state, shop.postalCode]
+            .filter(Boolean)
+            .join(', '),
+          { align: 'center' }
+        );
+        if (shop.phone) doc.text(shop.phone, { align: 'center' });
+      }
+      doc.moveDown();
+
+      draw(doc);
+      doc.end();
+    });
+  }
+}
+
+module.exports = new AtsRentalService();
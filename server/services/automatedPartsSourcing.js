@@ -1,11 +1,62 @@
 /**
  * Automated Parts Sourcing Service
  * Handles real-time parts classification, vendor integration, and automated sourcing during BMS processing
+ *
+ * Vendors are the shop's Vendor rows that quote over an API (see
+ * vendorIntegration/vendorAdapters). When a run has a shop (options.shopId)
+ * each part gets a PartsSourcingRequest and every vendor response is kept as
+ * a VendorPartQuote, ranked by the recommendation. options.repairOrderId and
+ * options.userId are recorded when known; BMS imports run without them.
  */
 
+const { Op } = require('sequelize');
 const { PartsSupplierIntegrationService } = require('./partsSupplierIntegration');
+const vendorAdapters = require('./vendorIntegration/vendorAdapters');
+const {
+  PartsSourcingRequest,
+  VendorPartQuote,
+  Part,
+  Vendor,
+  AdvancedPartsManagement
+} = require('../database/models');
 const { APIError, ValidationError } = require('../utils/errorHandler');
 
+// Part types used for scoring, by quote brand type
+const BRAND_TYPE_PART_TYPES = {
+  oem: 'OEM',
+  oem_equivalent: 'OEM',
+  aftermarket: 'Aftermarket',
+  recycled: 'Recycled',
+  remanufactured: 'Remanufactured'
+};
+
+const BRAND_TYPE_CONDITIONS = {
+  recycled: 'used',
+  remanufactured: 'rebuilt',
+  aftermarket: 'aftermarket'
+};
+
+// Sourcing request categories for the classifier's categories
+const REQUEST_CATEGORIES = {
+  body: 'body_panel',
+  lighting: 'electrical',
+  glass: 'glass',
+  interior: 'interior',
+  mechanical: 'mechanical',
+  electrical: 'electrical',
+  wheels: 'mechanical',
+  general: 'hardware'
+};
+
+const AVAILABILITY_STATUSES = [
+  'in_stock',
+  'limited_stock',
+  'backordered',
+  'special_order',
+  'discontinued',
+  'not_available'
+];
+
 class AutomatedPartsSourcingService {
   constructor() {
     this.supplierService = new PartsSupplierIntegrationService();
@@ -16,6 +67,9 @@ class AutomatedPartsSourcingService {
     this.vendorCache = new Map();
     this.cacheTimeout = 15 * 60 * 1000; // 15 minutes
     
+    // Keeps sourcing request numbers unique within a batch
+    this.requestSequence = 0;
+    
     // Part type hierarchy for substitution logic
     this.partTypeHierarchy = ['OEM', 'Aftermarket', 'Recycled', 'Remanufactured'];
     
@@ -41,6 +95,9 @@ class AutomatedPartsSourcingService {
       const sourcingResults = [];
       const errors = [];
 
+      // Quote against the shop's connected vendors
+      options = await this.resolveQuotingVendors(options);
+
       // Enhance vehicle info with VIN decoding if available
       let enhancedVehicleInfo = vehicleInfo;
       if (vehicleInfo.vin && options.enhanceWithVinDecoding !== false) {
@@ -102,13 +159,21 @@ class AutomatedPartsSourcingService {
    */
   async processPartLine(line, vehicleInfo, options) {
     // 1. Classify and normalize the part
-    const classifiedPart = await this.classifyAndNormalizePart(line, vehicleInfo);
+    const classifiedPart = await this.classifyAndNormalizePart(line, vehicleInfo, options);
     
-    // 2. Check vendor availability and pricing
-    const vendorResults = await this.checkVendorAvailability(classifiedPart, options);
+    // 2. Check vendor availability and pricing, keeping the quotes on a
+    // sourcing request when the run belongs to a shop
+    const sourcingRequest = await this.openSourcingRequest(classifiedPart, line, options);
+    const vendorOptions = sourcingRequest
+      ? { ...options, sourcingRequestId: sourcingRequest.id }
+      : options;
+    const vendorResults = await this.checkVendorAvailability(classifiedPart, vendorOptions);
     
     // 3. Apply business rules and select best option
     const recommendedSource = this.selectBestVendor(vendorResults, classifiedPart, options);
+    if (sourcingRequest) {
+      await this.recordRecommendation(sourcingRequest, vendorResults, recommendedSource);
+    }
     
     // 4. Generate automated PO data if enabled
     const poData = options.generatePO ? 
@@ -120,6 +185,7 @@ class AutomatedPartsSourcingService {
       vendorResults,
       recommendedSource,
       poData,
+      sourcingRequestId: sourcingRequest ? sourcingRequest.id : null,
       processingTimestamp: new Date().toISOString()
     };
   }
@@ -127,7 +193,7 @@ class AutomatedPartsSourcingService {
   /**
    * Classify and normalize part information
    */
-  async classifyAndNormalizePart(line, vehicleInfo) {
+  async classifyAndNormalizePart(line, vehicleInfo, options = {}) {
     const part = {
       lineNumber: line.lineNumber,
       originalPartNumber: line.partNumber || line.PART_NUMBER,
@@ -162,7 +228,7 @@ class AutomatedPartsSourcingService {
 
     // Check parts database for additional information
     try {
-      const dbPartInfo = await this.partsDatabase.lookupPart(part);
+      const dbPartInfo = await this.partsDatabase.lookupPart(part, { shopId: options.shopId });
       if (dbPartInfo) {
         part.enrichedData = dbPartInfo;
         part.alternativePartNumbers = dbPartInfo.alternativeNumbers || [];
@@ -182,9 +248,9 @@ class AutomatedPartsSourcingService {
     const vendorResults = [];
     const targetVendors = this.selectTargetVendors(part, options);
     
-    // Check cache first
+    // Check cache first; runs that record quotes always ask the vendors
     const cacheKey = this.generateCacheKey(part);
-    if (this.vendorCache.has(cacheKey)) {
+    if (!options.sourcingRequestId && this.vendorCache.has(cacheKey)) {
       const cached = this.vendorCache.get(cacheKey);
       if (Date.now() - cached.timestamp < this.cacheTimeout) {
         console.log('Using cached vendor data for part:', part.normalizedPartNumber);
@@ -198,7 +264,7 @@ class AutomatedPartsSourcingService {
         const timeout = options.vendorTimeout || 2000; // 2 second timeout
         
         const vendorResult = await Promise.race([
-          this.queryVendor(vendorId, part),
+          this.queryVendor(vendorId, part, options),
           new Promise((_, reject) => 
             setTimeout(() => reject(new Error('Vendor timeout')), timeout)
           )
@@ -416,6 +482,20 @@ class AutomatedPartsSourcingService {
   }
 
   selectTargetVendors(part, options) {
+    // Connected vendors: preferred first, then those selling the part type
+    if (options.vendors) {
+      const preferredVendors = options.preferredVendors || [];
+      const sellsType = (vendor) =>
+        BRAND_TYPE_PART_TYPES[vendor.vendorType] === part.classifiedType;
+      return [...options.vendors]
+        .sort((a, b) =>
+          (preferredVendors.includes(b.id) - preferredVendors.includes(a.id)) ||
+          (sellsType(b) - sellsType(a))
+        )
+        .slice(0, 5)
+        .map(vendor => vendor.id);
+    }
+
     const tierVendors = this.vendorPriority[part.valueTier] || this.vendorPriority.standard;
     const preferredVendors = options.preferredVendors || [];
     
@@ -426,22 +506,226 @@ class AutomatedPartsSourcingService {
     return targetVendors.slice(0, 5);
   }
 
-  async queryVendor(vendorId, part) {
-    // This would integrate with actual vendor APIs
-    // For now, return mock data structure
-    return {
+  /**
+   * Ask a connected vendor for stock and price on the part. With a sourcing
+   * request in the options the response is stored as a VendorPartQuote.
+   */
+  async queryVendor(vendorId, part, options = {}) {
+    const vendor = (options.vendors || []).find(v => v.id === vendorId);
+    const adapter = vendor && vendorAdapters.getAdapter(vendor);
+    if (!adapter) {
+      throw new APIError(`No quoting integration configured for vendor ${vendorId}`, 404);
+    }
+
+    const partNumber = part.normalizedOemPartNumber || part.normalizedPartNumber;
+    if (!partNumber) {
+      throw new ValidationError('Part has no part number to quote');
+    }
+
+    const startTime = Date.now();
+    const [inventory, pricing] = await Promise.all([
+      adapter.checkInventory([partNumber], { vehicle: part.vehicleContext }),
+      adapter.getPartPricing([partNumber], part.quantity)
+    ]);
+    const matches = (item) => this.normalizePartNumber(item.partNumber) === partNumber;
+    const stock = inventory.find(matches) || inventory[0] || null;
+    const price = pricing.prices.find(matches) || pricing.prices[0] || null;
+    if (!price) {
+      throw new APIError(`${vendor.name} did not quote ${partNumber}`, 404);
+    }
+
+    const brandType = BRAND_TYPE_PART_TYPES[price.brandType]
+      ? price.brandType
+      : BRAND_TYPE_PART_TYPES[vendor.vendorType] ? vendor.vendorType : 'aftermarket';
+    const leadTime = stock?.leadTimeDays ?? vendor.averageDeliveryTime ?? null;
+    const result = {
       vendorId,
-      partNumber: part.normalizedPartNumber,
-      vendorPartNumber: `${vendorId.toUpperCase()}-${part.normalizedPartNumber}`,
-      available: Math.random() > 0.3, // 70% availability
-      quantity: Math.floor(Math.random() * 10) + 1,
-      price: part.originalPrice * (0.8 + Math.random() * 0.4), // ±20% price variance
-      leadTime: Math.floor(Math.random() * 7) + 1, // 1-7 days
-      reliability: 0.7 + Math.random() * 0.3, // 70-100% reliability
-      partType: part.classifiedType,
-      priceValidUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-      quoteNumber: `Q${Date.now()}${Math.floor(Math.random() * 1000)}`
+      vendorName: vendor.name,
+      partNumber,
+      vendorPartNumber: price.vendorPartNumber || stock?.vendorPartNumber || partNumber,
+      available: Boolean(stock?.available),
+      quantity: stock?.quantityAvailable ?? 0,
+      price: price.unitPrice,
+      listPrice: price.listPrice,
+      corePrice: price.corePrice,
+      shippingCost: price.shippingCost,
+      leadTime,
+      reliability: this.getVendorReliability(vendor),
+      partType: BRAND_TYPE_PART_TYPES[brandType],
+      brandType,
+      priceValidUntil: pricing.validUntil,
+      quoteNumber: pricing.quoteNumber,
+      responseTime: Date.now() - startTime
     };
+
+    if (options.sourcingRequestId) {
+      const quote = await this.recordQuote(vendor, part, result, {
+        stock,
+        price,
+        sourcingRequestId: options.sourcingRequestId,
+        shopId: options.shopId,
+        userId: options.userId
+      });
+      result.quoteId = quote.id;
+    }
+
+    return result;
+  }
+
+  /**
+   * Vendor reliability from its fill rate or quality rating, 0-1
+   */
+  getVendorReliability(vendor) {
+    if (vendor.fillRate !== null && vendor.fillRate !== undefined) {
+      return Number(vendor.fillRate) / 100;
+    }
+    if (vendor.qualityRating !== null && vendor.qualityRating !== undefined) {
+      return Number(vendor.qualityRating) / 10;
+    }
+    return null;
+  }
+
+  // Quote persistence
+
+  /**
+   * Load the shop's quoting vendors unless the caller already passed them
+   */
+  async resolveQuotingVendors(options) {
+    if (options.vendors || !options.shopId) {
+      return options;
+    }
+    const vendors = await vendorAdapters.findQuotingVendors(options.shopId);
+    return { ...options, vendors };
+  }
+
+  /**
+   * Sourcing request for a part; null for runs without a shop
+   */
+  async openSourcingRequest(part, line, options) {
+    if (!options.shopId) {
+      return null;
+    }
+
+    const now = new Date();
+    return PartsSourcingRequest.create({
+      shopId: options.shopId,
+      repairOrderId: options.repairOrderId || null,
+      claimManagementId: options.claimManagementId || null,
+      requestNumber: `SR-${now.getTime().toString(36).toUpperCase()}-${(this.requestSequence += 1)}`,
+      batchId: options.batchId || null,
+      partDescription: part.description || part.originalPartNumber || 'Part',
+      oemPartNumber: part.oemPartNumber || part.originalPartNumber || null,
+      alternatePartNumbers: JSON.stringify(part.alternativePartNumbers || []),
+      partCategory: REQUEST_CATEGORIES[part.category] || 'hardware',
+      vehicleVin: part.vehicleContext.vin || null,
+      vehicleYear: part.vehicleContext.year || null,
+      vehicleMake: part.vehicleContext.make || null,
+      vehicleModel: part.vehicleContext.model || null,
+      quantityNeeded: part.quantity,
+      targetPrice: part.originalPrice || null,
+      sourcingStatus: 'in_progress',
+      automationType: options.generatePO ? 'fully_automated' : 'assisted',
+      approvalThreshold: options.approvalThreshold || null,
+      vendorCount: this.selectTargetVendors(part, options).length,
+      requestedAt: now,
+      sourcingStartedAt: now,
+      integrationData: line.partId ? JSON.stringify({ partId: line.partId }) : null,
+      requestedBy: options.userId || null,
+      createdBy: options.userId || null
+    });
+  }
+
+  async recordQuote(vendor, part, result, context) {
+    const { stock, price } = context;
+    const availabilityStatus = AVAILABILITY_STATUSES.includes(stock?.status)
+      ? stock.status
+      : result.available
+        ? (result.quantity < part.quantity ? 'limited_stock' : 'in_stock')
+        : 'not_available';
+
+    return VendorPartQuote.create({
+      shopId: context.shopId,
+      sourcingRequestId: context.sourcingRequestId,
+      vendorId: vendor.id,
+      quoteNumber: result.quoteNumber,
+      partNumber: result.vendorPartNumber,
+      partDescription: price.description || part.description || result.partNumber,
+      oemPartNumber: part.oemPartNumber || null,
+      brandType: result.brandType,
+      partCondition: BRAND_TYPE_CONDITIONS[result.brandType] || price.partCondition || 'new',
+      availabilityStatus,
+      quantityAvailable: result.quantity,
+      stockLocation: stock?.location || null,
+      unitPrice: result.price,
+      listPrice: result.listPrice,
+      coreRequired: Boolean(result.corePrice),
+      corePrice: result.corePrice,
+      leadTimeEstimate: result.leadTime,
+      shippingCost: result.shippingCost,
+      quoteStatus: 'received',
+      quoteDate: new Date(),
+      validUntil: result.priceValidUntil,
+      quoteExpiry: result.priceValidUntil,
+      responseTime: Math.round(result.responseTime / 60000),
+      reliabilityScore: result.reliability ? Math.max(1, Math.round(result.reliability * 100)) : null,
+      warrantyPeriod: price.warrantyMonths,
+      apiSource: vendor.preferences?.api?.adapter || 'http',
+      apiResponseData: JSON.stringify({ inventory: stock?.raw || null, pricing: price.raw }),
+      totalCost: result.price * part.quantity + (result.shippingCost || 0),
+      savingsVsTarget: part.originalPrice ? part.originalPrice - result.price : null,
+      receivedBy: context.userId || null
+    });
+  }
+
+  /**
+   * Rank the request's quotes by score and note the recommendation
+   */
+  async recordRecommendation(sourcingRequest, vendorResults, recommendedSource) {
+    const quoted = vendorResults.filter(result => result.success && result.quoteId);
+    const ranked = recommendedSource.recommended
+      ? [recommendedSource.vendor, ...recommendedSource.alternatives]
+      : [];
+
+    await Promise.all(quoted.map(result => {
+      const rank = ranked.findIndex(option => option.quoteId === result.quoteId);
+      const scored = ranked[rank];
+      return VendorPartQuote.update({
+        quoteStatus: 'analyzed',
+        selectionRank: rank === -1 ? null : rank + 1,
+        overallScore: scored ? Math.min(100, Math.max(1, Math.round(scored.score))) : null,
+        selectionReason: rank === 0 ? 'Best price, reliability and lead time among in-stock quotes' : null,
+        rejectionReason: result.available ? null : 'Not in stock'
+      }, { where: { id: result.quoteId } });
+    }));
+
+    const prices = quoted.map(result => result.price);
+    const leadTimes = quoted.map(result => result.leadTime).filter(days => days !== null);
+    const best = recommendedSource.recommended ? recommendedSource.vendor : null;
+    const now = new Date();
+    await sourcingRequest.update({
+      sourcingStatus: quoted.length > 0 ? 'analyzed' : 'failed',
+      quotesReceived: quoted.length,
+      bestPrice: prices.length > 0 ? Math.min(...prices) : null,
+      averagePrice: prices.length > 0
+        ? prices.reduce((sum, price) => sum + price, 0) / prices.length
+        : null,
+      bestLeadTime: leadTimes.length > 0 ? Math.min(...leadTimes) : null,
+      averageLeadTime: leadTimes.length > 0
+        ? Math.round(leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length)
+        : null,
+      selectedVendorId: best ? best.vendorId : null,
+      selectedQuoteId: best ? best.quoteId : null,
+      selectionReason: best
+        ? `Recommended ${best.vendorName} at ${best.price.toFixed(2)}`
+        : recommendedSource.reason,
+      quotingCompletedAt: now,
+      analyzedAt: now,
+      totalProcessingTime: Math.round((now - new Date(sourcingRequest.sourcingStartedAt || now)) / 1000),
+      apiCallsCount: vendorResults.length * 2,
+      errorCount: vendorResults.filter(result => !result.success).length,
+      lastError: vendorResults.filter(result => !result.success).map(result => result.error).pop() || null
+    });
+    return sourcingRequest;
   }
 
   getPartTypeScore(vendorType, preferredType) {
@@ -536,13 +820,88 @@ class VINDecodingService {
 }
 
 class PartsDatabase {
-  async lookupPart(part) {
-    // This would query a comprehensive parts database
+  /**
+   * What the shop already knows about a part number: its catalog entry and
+   * alternate numbers seen on parts lines and vendor quotes. Returns null
+   * for part numbers the shop has never seen.
+   */
+  async lookupPart(part, options = {}) {
+    const numbers = [...new Set([
+      part.originalPartNumber,
+      part.oemPartNumber,
+      part.normalizedPartNumber,
+      part.normalizedOemPartNumber
+    ].filter(Boolean))];
+    if (numbers.length === 0) return null;
+
+    const shopScope = options.shopId ? { shopId: options.shopId } : {};
+    const [catalogPart, partLines, quotes] = await Promise.all([
+      Part.findOne({
+        where: {
+          ...shopScope,
+          [Op.or]: [
+            { partNumber: { [Op.in]: numbers } },
+            { oemPartNumber: { [Op.in]: numbers } },
+            { vendorPartNumber: { [Op.in]: numbers } }
+          ]
+        },
+        include: [{ model: Vendor, as: 'primaryVendor', required: false }]
+      }),
+      AdvancedPartsManagement.findAll({
+        where: { ...shopScope, oemPartNumber: { [Op.in]: numbers } },
+        attributes: ['alternatePartNumbers', 'vendorPartNumber'],
+        limit: 20
+      }),
+      VendorPartQuote.findAll({
+        where: {
+          ...shopScope,
+          [Op.or]: [
+            { oemPartNumber: { [Op.in]: numbers } },
+            { partNumber: { [Op.in]: numbers } }
+          ]
+        },
+        attributes: ['partNumber', 'alternatePartNumbers'],
+        order: [['quoteDate', 'DESC']],
+        limit: 20
+      })
+    ]);
+    if (!catalogPart && partLines.length === 0 && quotes.length === 0) {
+      return null;
+    }
+
+    const parseList = (value) => {
+      try {
+        const list = JSON.parse(value || '[]');
+        return Array.isArray(list) ? list : [];
+      } catch (error) {
+        return [];
+      }
+    };
+    const alternativeNumbers = [...new Set([
+      catalogPart?.vendorPartNumber,
+      catalogPart?.partNumber,
+      ...partLines.flatMap(line => [line.vendorPartNumber, ...parseList(line.alternatePartNumbers)]),
+      ...quotes.flatMap(quote => [quote.partNumber, ...parseList(quote.alternatePartNumbers)])
+    ].filter(number => number && !numbers.includes(number)))];
+
+    // OEM parts carry the vehicle maker's brand; others the supplier's
+    const partType = catalogPart?.partType || null;
+    const brand = partType === 'oem' || (!partType && part.classifiedType === 'OEM')
+      ? catalogPart?.make || part.vehicleContext?.make || null
+      : catalogPart?.primaryVendor?.name || null;
+
     return {
-      brand: 'Generic Brand',
-      alternativeNumbers: [],
-      category: part.category,
-      specifications: {}
+      brand,
+      alternativeNumbers,
+      category: catalogPart?.category || part.category,
+      partType,
+      description: catalogPart?.description || null,
+      costPrice: catalogPart ? Number(catalogPart.costPrice) || null : null,
+      specifications: {
+        weight: catalogPart?.weight || null,
+        dimensions: catalogPart?.dimensions || null,
+        color: catalogPart?.color || null
+      }
     };
   }
 }
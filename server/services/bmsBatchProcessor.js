@@ -1,287 +1,490 @@
-const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
+const path = require('path');
+const { Op } = require('sequelize');
+const { BmsImport, BmsImportBatch } = require('../database/models');
 const bmsService = require('./bmsService');
 const bmsValidator = require('./bmsValidator');
 const errorReporter = require('./bmsErrorReporter');
+const { isZip } = require('./import/dbase_reader');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errorHandler');
 
 /**
  * BMS Batch Processor
  * Handles batch processing of multiple BMS/EMS files
+ *
+ * - Batches live in BmsImportBatch and each file is a BmsImport row, so a
+ *   restart loses nothing: resumeUnfinished() picks up every batch that was
+ *   created or processing when the server stopped
+ * - Failed files are retried with exponential backoff up to maxRetries;
+ *   validation failures and missing files are not retried
+ * - Uploaded temp files are kept until a file succeeds or gives up
  */
+
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+const ACTIVE_STATUSES = ['created', 'processing', 'paused'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// BmsImport status → batch API file status
+const FILE_STATUSES = {
+  pending: 'pending',
+  processing: 'processing',
+  success: 'completed',
+  partial: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
 class BMSBatchProcessor {
   constructor() {
-    this.activeBatches = new Map();
-    this.batchHistory = new Map();
-    this.statistics = {
-      totalBatches: 0,
-      totalFiles: 0,
-      successfulFiles: 0,
-      failedFiles: 0,
-      avgProcessingTime: 0,
-    };
+    // batchId → running worker promise; one worker per batch per process
+    this.workers = new Map();
   }
 
+  // ==============================================================
+  // BATCH LIFECYCLE
+  // ==============================================================
+
   /**
    * Create a new batch job
+   * @param {Array} files - [{ name, size, path }] uploaded temp files
+   * @param {Object} options - { shopId, userId, pauseOnError, maxRetries, validateFirst, concurrency }
    */
-  createBatch(files, options = {}) {
-    const batchId = uuidv4();
-    const batch = {
-      id: batchId,
+  async createBatch(files, options = {}) {
+    if (!options.shopId) {
+      throw new ValidationError('A shop is required for batch imports');
+    }
+    if (!files.length) {
+      throw new ValidationError('A batch needs at least one file');
+    }
+
+    const batch = await BmsImportBatch.create({
+      shopId: options.shopId,
       status: 'created',
-      files: files.map((file, index) => ({
-        id: uuidv4(),
-        fileName: file.name,
-        fileSize: file.size,
-        filePath: file.path,
-        status: 'pending',
-        index,
-        originalFile: file.originalFile,
-      })),
+      totalFiles: files.length,
       options: {
-        pauseOnError: options.pauseOnError || false,
-        maxRetries: options.maxRetries || 3,
-        validateFirst: options.validateFirst || true,
-        userId: options.userId,
-        userAgent: options.userAgent,
+        pauseOnError: Boolean(options.pauseOnError),
+        maxRetries: Number.isInteger(options.maxRetries) ? options.maxRetries : 3,
+        validateFirst: options.validateFirst !== false,
         concurrency: options.concurrency || 3,
+        userId: options.userId || null,
+        userAgent: options.userAgent || null,
       },
-      results: [],
-      statistics: {
-        totalFiles: files.length,
-        processedFiles: 0,
-        successfulFiles: 0,
-        failedFiles: 0,
-        skippedFiles: 0,
-        startTime: null,
-        endTime: null,
-        processingTime: 0,
-      },
-      errors: [],
-      createdAt: new Date(),
-      createdBy: options.userId,
-    };
+    });
 
-    this.activeBatches.set(batchId, batch);
-    this.statistics.totalBatches++;
+    await BmsImport.bulkCreate(
+      files.map((file, index) => ({
+        shopId: options.shopId,
+        batchId: batch.id,
+        batchIndex: index,
+        fileName: file.name,
+        originalFileName: file.name,
+        fileType: this.detectFileType(file.name),
+        fileSize: file.size,
+        filePath: file.path,
+        source: 'upload',
+        status: 'pending',
+        totalRecords: 1,
+      }))
+    );
 
-    console.log(`Created batch ${batchId} with ${files.length} files`);
-    return batch;
+    console.log(`Created batch ${batch.id} with ${files.length} files`);
+    return this.getBatchStatus(batch.id);
   }
 
   /**
-   * Start batch processing
+   * Start batch processing; resolves with the final status once every file
+   * has succeeded or given up (or the batch is paused/cancelled)
    */
   async startBatch(batchId) {
-    const batch = this.activeBatches.get(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
-
+    const batch = await this.findBatch(batchId);
     if (batch.status !== 'created') {
-      throw new Error(`Batch ${batchId} is not in created state`);
+      throw new ConflictError(`Batch ${batchId} is not in created state`);
     }
 
-    batch.status = 'processing';
-    batch.statistics.startTime = new Date();
-
+    await batch.update({ status: 'processing', startedAt: new Date() });
     console.log(`Starting batch processing for ${batchId}`);
 
-    try {
-      // Process files with concurrency control
-      await this.processFilesInBatch(batch);
-
-      // Complete batch
-      batch.status = 'completed';
-      batch.statistics.endTime = new Date();
-      batch.statistics.processingTime =
-        batch.statistics.endTime - batch.statistics.startTime;
+    return this.runBatch(batchId);
+  }
 
-      // Move to history
-      this.batchHistory.set(batchId, batch);
-      this.activeBatches.delete(batchId);
+  /**
+   * Pick up batches interrupted by a restart. Files caught mid-processing go
+   * back to pending; paused batches stay paused until resumed by a user.
+   */
+  async resumeUnfinished() {
+    const batches = await BmsImportBatch.findAll({
+      where: { status: { [Op.in]: ['created', 'processing'] } },
+      order: [['createdAt', 'ASC']],
+    });
 
-      // Update global statistics
-      this.updateGlobalStatistics(batch);
+    for (const batch of batches) {
+      await BmsImport.update(
+        { status: 'pending' },
+        { where: { batchId: batch.id, status: 'processing' } }
+      );
+      await batch.update({
+        status: 'processing',
+        startedAt: batch.startedAt || new Date(),
+        resumeCount: (batch.resumeCount || 0) + 1,
+      });
 
-      console.log(`Batch ${batchId} completed successfully`);
-      return batch;
-    } catch (error) {
-      batch.status = 'failed';
-      batch.statistics.endTime = new Date();
-      batch.errors.push({
-        type: 'BATCH_PROCESSING_ERROR',
-        message: error.message,
-        timestamp: new Date(),
+      console.log(`Resuming batch ${batch.id}`);
+      this.runBatch(batch.id).catch(error => {
+        console.error(`Error resuming batch ${batch.id}:`, error);
       });
+    }
 
-      // Move to history
-      this.batchHistory.set(batchId, batch);
-      this.activeBatches.delete(batchId);
+    return batches.length;
+  }
 
-      console.error(`Batch ${batchId} failed:`, error);
-      throw error;
+  /**
+   * Pause batch processing; files already being processed finish first
+   */
+  async pauseBatch(batchId, shopId = null) {
+    const batch = await this.findBatch(batchId, shopId);
+    if (batch.status !== 'processing') {
+      throw new ConflictError(`Batch ${batchId} is not currently processing`);
     }
+
+    await batch.update({ status: 'paused' });
+    console.log(`Paused batch ${batchId}`);
+
+    return this.getBatchStatus(batchId);
   }
 
   /**
-   * Process files in batch with concurrency control
+   * Resume batch processing
    */
-  async processFilesInBatch(batch) {
-    const { concurrency } = batch.options;
-    const files = batch.files.filter(file => file.status === 'pending');
-
-    // Process files in chunks
-    for (let i = 0; i < files.length; i += concurrency) {
-      const chunk = files.slice(i, i + concurrency);
-
-      // Process chunk concurrently
-      const promises = chunk.map(file => this.processFileInBatch(file, batch));
-      await Promise.allSettled(promises);
-
-      // Check if should pause on error
-      if (batch.options.pauseOnError) {
-        const hasErrors = batch.files.some(f => f.status === 'failed');
-        if (hasErrors) {
-          batch.status = 'paused';
-          throw new Error('Batch paused due to processing errors');
-        }
-      }
+  async resumeBatch(batchId, shopId = null) {
+    const batch = await this.findBatch(batchId, shopId);
+    if (batch.status !== 'paused') {
+      throw new ConflictError(`Batch ${batchId} is not paused`);
     }
+
+    await batch.update({ status: 'processing' });
+    console.log(`Resumed batch ${batchId}`);
+
+    // Continue processing remaining files
+    this.runBatch(batchId).catch(error => {
+      console.error(`Error resuming batch ${batchId}:`, error);
+    });
+
+    return this.getBatchStatus(batchId);
   }
 
   /**
-   * Process a single file within a batch
+   * Cancel batch processing; pending files are cancelled and their temp files removed
    */
-  async processFileInBatch(file, batch) {
-    try {
-      file.status = 'processing';
-      file.startTime = new Date();
+  async cancelBatch(batchId, shopId = null) {
+    const batch = await this.findBatch(batchId, shopId);
+    if (FINISHED_STATUSES.includes(batch.status)) {
+      throw new ConflictError(`Batch ${batchId} has already finished`);
+    }
+
+    await batch.update({ status: 'cancelled', completedAt: new Date() });
+
+    const pendingFiles = await BmsImport.findAll({
+      where: { batchId, status: 'pending' },
+    });
+    await Promise.allSettled(
+      pendingFiles.map(async file => {
+        await file.update({ status: 'cancelled', nextAttemptAt: null });
+        await this.removeTempFile(file);
+      })
+    );
+
+    console.log(`Cancelled batch ${batchId}`);
+    return this.getBatchStatus(batchId);
+  }
+
+  // ==============================================================
+  // WORKER
+  // ==============================================================
+
+  /**
+   * Run a batch's worker unless one is already running in this process
+   */
+  runBatch(batchId) {
+    if (!this.workers.has(batchId)) {
+      const worker = this.processBatch(batchId).finally(() => {
+        this.workers.delete(batchId);
+      });
+      this.workers.set(batchId, worker);
+    }
+    return this.workers.get(batchId);
+  }
 
-      console.log(`Processing file ${file.fileName} in batch ${batch.id}`);
+  /**
+   * Process due files in chunks of `concurrency` until none are pending,
+   * waiting out retry backoff and stopping when the batch leaves processing
+   */
+  async processBatch(batchId) {
+    const batch = await this.findBatch(batchId);
+    const { concurrency = 3, pauseOnError } = batch.options || {};
 
-      // Read file content
-      const content = await fs.readFile(file.filePath, 'utf8');
+    try {
+      while (batch.status === 'processing') {
+        const pending = await BmsImport.findAll({
+          where: { batchId, status: 'pending' },
+          order: [['batchIndex', 'ASC']],
+        });
+        if (pending.length === 0) break;
 
-      // Validate file if requested
-      if (batch.options.validateFirst) {
-        const validation = await bmsValidator.validateBMSFile(content);
-        file.validation = validation;
+        const now = Date.now();
+        const due = pending.filter(
+          file => !file.nextAttemptAt || new Date(file.nextAttemptAt).getTime() <= now
+        );
 
-        if (!validation.isValid) {
-          throw new Error(
-            `Validation failed: ${validation.errors[0]?.message || 'Unknown validation error'}`
+        if (due.length === 0) {
+          const nextAttempt = Math.min(
+            ...pending.map(file => new Date(file.nextAttemptAt).getTime())
+          );
+          await this.wait(nextAttempt - now);
+        } else {
+          await Promise.allSettled(
+            due.slice(0, concurrency).map(file => this.processFileInBatch(file, batch))
           );
+
+          if (pauseOnError && (await BmsImport.count({ where: { batchId, status: 'failed' } }))) {
+            await batch.update({ status: 'paused' });
+            console.log(`Batch ${batchId} paused due to processing errors`);
+          }
         }
-      }
 
-      // Determine file type and process
-      const trimmedContent = content.trim();
-      let result;
+        // Pick up pause/cancel requests made while files were processing
+        await batch.reload();
+      }
 
-      if (trimmedContent.startsWith('<')) {
-        // BMS XML format
-        file.fileType = 'BMS';
-        result = await bmsService.processBMSFile(content, {
-          uploadId: file.id,
-          fileName: file.fileName,
-          userId: batch.options.userId,
-        });
-      } else {
-        // EMS text format
-        file.fileType = 'EMS';
-        result = await bmsService.processEMSFile(content, {
-          uploadId: file.id,
-          fileName: file.fileName,
-          userId: batch.options.userId,
-        });
+      if (batch.status === 'processing') {
+        await batch.update({ status: 'completed', completedAt: new Date() });
+        console.log(`Batch ${batchId} completed`);
       }
+    } catch (error) {
+      console.error(`Batch ${batchId} failed:`, error);
+      await batch.update({
+        status: 'failed',
+        completedAt: new Date(),
+        errorLog: [
+          ...(batch.errorLog || []),
+          {
+            type: 'BATCH_PROCESSING_ERROR',
+            message: error.message,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      });
+      throw error;
+    }
 
-      // Success
-      file.status = 'completed';
-      file.endTime = new Date();
-      file.processingTime = file.endTime - file.startTime;
-      file.result = result;
+    return this.getBatchStatus(batchId);
+  }
 
-      batch.statistics.processedFiles++;
-      batch.statistics.successfulFiles++;
-      batch.results.push({
-        fileId: file.id,
+  /**
+   * Process a single file within a batch, scheduling a retry on failure
+   */
+  async processFileInBatch(file, batch) {
+    const attempt = (file.attempts || 0) + 1;
+    const startTime = Date.now();
+    const { maxRetries = 3, validateFirst, userId } = batch.options || {};
+
+    await file.update({ status: 'processing', attempts: attempt, nextAttemptAt: null });
+    console.log(`Processing file ${file.fileName} in batch ${batch.id} (attempt ${attempt})`);
+
+    try {
+      const content = await fs.readFile(file.filePath);
+      const context = {
+        uploadId: file.id,
+        shopId: batch.shopId,
         fileName: file.fileName,
+        fileSize: file.fileSize,
+        userId,
+        operation: 'batch',
+      };
+
+      let result;
+      let fileType;
+      if (isZip(content)) {
+        // EMS dBase package
+        fileType = 'EMS';
+        result = await bmsService.processEMSPackage(content, context);
+      } else {
+        const text = content.toString('utf8');
+
+        // Validate file if requested
+        if (validateFirst) {
+          const validation = await bmsValidator.validateBMSFile(text);
+          if (!validation.isValid) {
+            throw new ValidationError(
+              `Validation failed: ${validation.errors[0]?.message || 'Unknown validation error'}`,
+              validation.errors
+            );
+          }
+        }
+
+        // BMS XML or EMS text format
+        fileType = text.trim().startsWith('<') ? 'BMS' : 'EMS';
+        result =
+          fileType === 'BMS'
+            ? await bmsService.processBMSFile(text, context)
+            : await bmsService.processEMSFile(text, context);
+      }
+
+      await file.update({
         status: 'success',
-        result,
+        fileType,
+        processedRecords: 1,
+        errorRecords: 0,
+        errorLog: {},
+        bmsVersion: result.metadata?.version || null,
+        metadata: {
+          ...file.metadata,
+          processingTime: Date.now() - startTime,
+          estimateNumber: result.documentInfo?.estimateNumber || null,
+          claimNumber: result.claimInfo?.claimNumber || null,
+        },
       });
+      await this.removeTempFile(file);
 
       console.log(`Successfully processed ${file.fileName}`);
     } catch (error) {
-      console.error(`Error processing ${file.fileName}:`, error);
-
-      file.status = 'failed';
-      file.endTime = new Date();
-      file.error = {
+      const errorLog = {
         type: error.constructor.name,
         message: error.message,
+        attempts: attempt,
+        failedAt: new Date().toISOString(),
         stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
       };
 
-      batch.statistics.processedFiles++;
-      batch.statistics.failedFiles++;
-      batch.results.push({
-        fileId: file.id,
-        fileName: file.fileName,
-        status: 'error',
-        error: file.error,
+      if (this.isRetryable(error) && attempt <= maxRetries) {
+        const delay = this.retryDelay(attempt);
+        console.warn(
+          `Error processing ${file.fileName}, retrying in ${Math.round(delay / 1000)}s:`,
+          error.message
+        );
+        await file.update({
+          status: 'pending',
+          nextAttemptAt: new Date(Date.now() + delay),
+          errorLog,
+        });
+        return;
+      }
+
+      console.error(`Error processing ${file.fileName}:`, error);
+      await file.update({
+        status: 'failed',
+        errorRecords: 1,
+        errorLog,
+        validationErrors: error instanceof ValidationError ? error.details || [] : file.validationErrors,
+        metadata: { ...file.metadata, processingTime: Date.now() - startTime },
       });
+      await this.removeTempFile(file);
 
       // Report error
       errorReporter.reportError(error, {
         batchId: batch.id,
         fileId: file.id,
         fileName: file.fileName,
-        userId: batch.options.userId,
+        userId,
         operation: 'batch_file_processing',
       });
-    } finally {
-      // Cleanup temp file
-      try {
-        await fs.unlink(file.filePath);
-      } catch (cleanupError) {
-        console.warn(
-          `Failed to cleanup temp file ${file.filePath}:`,
-          cleanupError
-        );
-      }
     }
   }
 
   /**
-   * Get batch status
+   * Validation and parse failures (bmsService reports both as
+   * ValidationError) and missing uploads fail the same way every time
    */
-  getBatchStatus(batchId) {
-    // Check active batches first
-    let batch = this.activeBatches.get(batchId);
-    if (batch) {
-      return this.formatBatchStatus(batch);
-    }
+  isRetryable(error) {
+    return !(error instanceof ValidationError) && error.code !== 'ENOENT';
+  }
 
-    // Check history
-    batch = this.batchHistory.get(batchId);
-    if (batch) {
-      return this.formatBatchStatus(batch);
-    }
+  /**
+   * Exponential backoff: 2s, 4s, 8s... capped at 5 minutes
+   */
+  retryDelay(attempt) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+  }
+
+  // ==============================================================
+  // STATUS
+  // ==============================================================
+
+  /**
+   * Get batch status, or null when the batch does not exist or, when a
+   * shop is given, belongs to another shop
+   */
+  async getBatchStatus(batchId, shopId = null) {
+    const batch = await BmsImportBatch.findByPk(batchId);
+    if (!batch || !this.belongsToShop(batch, shopId)) return null;
+
+    const files = await BmsImport.findAll({
+      where: { batchId },
+      order: [['batchIndex', 'ASC']],
+    });
+
+    return this.formatBatchStatus(batch, files);
+  }
+
+  /**
+   * Recent batches for a shop, newest first
+   */
+  async listBatches(shopId, { limit = 20, status } = {}) {
+    const where = { shopId };
+    if (status) where.status = status;
+
+    const batches = await BmsImportBatch.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      include: [{ model: BmsImport, as: 'files' }],
+    });
 
-    return null;
+    return batches.map(batch =>
+      this.formatBatchStatus(
+        batch,
+        [...(batch.files || [])].sort((a, b) => a.batchIndex - b.batchIndex)
+      )
+    );
   }
 
   /**
    * Format batch status for API response
    */
-  formatBatchStatus(batch) {
+  formatBatchStatus(batch, files) {
+    const count = status => files.filter(file => file.status === status).length;
+    const successfulFiles = count('success') + count('partial');
+    const failedFiles = count('failed');
+    const skippedFiles = count('cancelled');
+    const retryingFiles = files.filter(file => file.status === 'pending' && file.attempts > 0).length;
+
+    const statistics = {
+      totalFiles: batch.totalFiles || files.length,
+      processedFiles: successfulFiles + failedFiles,
+      successfulFiles,
+      failedFiles,
+      skippedFiles,
+      retryingFiles,
+      startTime: batch.startedAt,
+      endTime: batch.completedAt,
+      processingTime:
+        batch.startedAt && batch.completedAt
+          ? new Date(batch.completedAt) - new Date(batch.startedAt)
+          : 0,
+    };
+
     const progress =
-      batch.statistics.totalFiles > 0
+      statistics.totalFiles > 0
         ? Math.round(
-            (batch.statistics.processedFiles / batch.statistics.totalFiles) *
-              100
+            ((statistics.processedFiles + skippedFiles) / statistics.totalFiles) * 100
           )
         : 0;
 
@@ -289,35 +492,51 @@ class BMSBatchProcessor {
       id: batch.id,
       status: batch.status,
       progress,
-      statistics: batch.statistics,
-      files: batch.files.map(file => ({
+      statistics,
+      files: files.map(file => ({
         id: file.id,
         fileName: file.fileName,
-        status: file.status,
+        status:
+          file.status === 'pending' && file.attempts > 0
+            ? 'retrying'
+            : FILE_STATUSES[file.status] || file.status,
         fileType: file.fileType,
-        processingTime: file.processingTime,
-        error: file.error,
+        attempts: file.attempts,
+        nextAttemptAt: file.nextAttemptAt,
+        processingTime: file.metadata?.processingTime,
+        error: file.errorLog?.message ? file.errorLog : undefined,
       })),
-      results: batch.results,
-      errors: batch.errors,
+      results: files
+        .filter(file => ['success', 'partial', 'failed'].includes(file.status))
+        .map(file => ({
+          fileId: file.id,
+          fileName: file.fileName,
+          status: file.status === 'failed' ? 'error' : 'success',
+          ...(file.status === 'failed'
+            ? { error: file.errorLog }
+            : { result: { importId: file.id, ...file.metadata } }),
+        })),
+      errors: batch.errorLog || [],
+      resumeCount: batch.resumeCount || 0,
       createdAt: batch.createdAt,
-      message: this.getBatchStatusMessage(batch),
+      message: this.getBatchStatusMessage(batch, statistics),
     };
   }
 
   /**
    * Get status message for batch
    */
-  getBatchStatusMessage(batch) {
+  getBatchStatusMessage(batch, statistics) {
     switch (batch.status) {
       case 'created':
         return 'Batch created and ready to start';
       case 'processing':
-        return `Processing ${batch.statistics.processedFiles}/${batch.statistics.totalFiles} files`;
+        return `Processing ${statistics.processedFiles}/${statistics.totalFiles} files` +
+          (statistics.retryingFiles ? ` (${statistics.retryingFiles} waiting to retry)` : '');
       case 'paused':
-        return 'Batch processing paused due to errors';
+        return 'Batch processing paused';
       case 'completed':
-        return `Batch completed: ${batch.statistics.successfulFiles} successful, ${batch.statistics.failedFiles} failed`;
+        return `Batch completed: ${statistics.successfulFiles} successful, ${statistics.failedFiles} failed`;
       case 'failed':
         return 'Batch processing failed';
       case 'cancelled':
@@ -328,127 +547,102 @@ class BMSBatchProcessor {
   }
 
   /**
-   * Pause batch processing
+   * Get overall statistics
    */
-  async pauseBatch(batchId) {
-    const batch = this.activeBatches.get(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
-
-    if (batch.status !== 'processing') {
-      throw new Error(`Batch ${batchId} is not currently processing`);
-    }
-
-    batch.status = 'paused';
-    console.log(`Paused batch ${batchId}`);
+  async getOverallStatistics(shopId = null) {
+    const shopWhere = shopId ? { shopId } : {};
+
+    const [totalBatches, activeBatches, fileCounts, finishedBatches] = await Promise.all([
+      BmsImportBatch.count({ where: shopWhere }),
+      BmsImportBatch.count({
+        where: { ...shopWhere, status: { [Op.in]: ACTIVE_STATUSES } },
+      }),
+      BmsImport.count({
+        where: { ...shopWhere, batchId: { [Op.ne]: null } },
+        group: ['status'],
+      }),
+      BmsImportBatch.findAll({
+        where: { ...shopWhere, status: 'completed' },
+        attributes: ['startedAt', 'completedAt'],
+      }),
+    ]);
+
+    const byStatus = Object.fromEntries(fileCounts.map(row => [row.status, Number(row.count)]));
+    const totalFiles = Object.values(byStatus).reduce((sum, value) => sum + value, 0);
+    const successfulFiles = (byStatus.success || 0) + (byStatus.partial || 0);
+    const durations = finishedBatches
+      .filter(batch => batch.startedAt && batch.completedAt)
+      .map(batch => new Date(batch.completedAt) - new Date(batch.startedAt));
 
-    return this.formatBatchStatus(batch);
+    return {
+      totalBatches,
+      totalFiles,
+      successfulFiles,
+      failedFiles: byStatus.failed || 0,
+      avgProcessingTime: durations.length
+        ? durations.reduce((sum, value) => sum + value, 0) / durations.length
+        : 0,
+      activeBatches,
+      completedBatches: totalBatches - activeBatches,
+      successRate: totalFiles > 0 ? Math.round((successfulFiles / totalFiles) * 100) : 0,
+    };
   }
 
   /**
-   * Resume batch processing
+   * Cleanup old finished batches; their files stay in import history
    */
-  async resumeBatch(batchId) {
-    const batch = this.activeBatches.get(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
-
-    if (batch.status !== 'paused') {
-      throw new Error(`Batch ${batchId} is not paused`);
-    }
-
-    batch.status = 'processing';
-    console.log(`Resumed batch ${batchId}`);
+  async cleanupOldBatches(daysOld = 7) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-    // Continue processing remaining files
-    this.processFilesInBatch(batch).catch(error => {
-      console.error(`Error resuming batch ${batchId}:`, error);
-      batch.status = 'failed';
+    const batches = await BmsImportBatch.findAll({
+      where: {
+        status: { [Op.in]: FINISHED_STATUSES },
+        createdAt: { [Op.lt]: cutoffDate },
+      },
+      attributes: ['id'],
     });
+    const ids = batches.map(batch => batch.id);
+    if (ids.length === 0) return 0;
 
-    return this.formatBatchStatus(batch);
+    await BmsImport.update({ batchId: null }, { where: { batchId: { [Op.in]: ids } } });
+    return BmsImportBatch.destroy({ where: { id: { [Op.in]: ids } } });
   }
 
+  // ==============================================================
+  // HELPERS
+  // ==============================================================
+
   /**
-   * Cancel batch processing
+   * Batches of another shop are reported as not found
    */
-  async cancelBatch(batchId) {
-    const batch = this.activeBatches.get(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
+  async findBatch(batchId, shopId = null) {
+    const batch = await BmsImportBatch.findByPk(batchId);
+    if (!batch || !this.belongsToShop(batch, shopId)) {
+      throw new NotFoundError(`Batch ${batchId} not found`);
     }
-
-    batch.status = 'cancelled';
-    batch.statistics.endTime = new Date();
-
-    // Cleanup temp files
-    const pendingFiles = batch.files.filter(
-      file => file.status === 'pending' || file.status === 'processing'
-    );
-    await Promise.allSettled(
-      pendingFiles.map(file => fs.unlink(file.filePath).catch(() => {}))
-    );
-
-    // Move to history
-    this.batchHistory.set(batchId, batch);
-    this.activeBatches.delete(batchId);
-
-    console.log(`Cancelled batch ${batchId}`);
-    return this.formatBatchStatus(batch);
+    return batch;
   }
 
-  /**
-   * Update global statistics
-   */
-  updateGlobalStatistics(batch) {
-    this.statistics.totalFiles += batch.statistics.totalFiles;
-    this.statistics.successfulFiles += batch.statistics.successfulFiles;
-    this.statistics.failedFiles += batch.statistics.failedFiles;
-
-    // Update average processing time
-    const totalProcessingTime =
-      this.statistics.avgProcessingTime * (this.statistics.totalBatches - 1) +
-      batch.statistics.processingTime;
-    this.statistics.avgProcessingTime =
-      totalProcessingTime / this.statistics.totalBatches;
+  belongsToShop(batch, shopId) {
+    return !shopId || String(batch.shopId) === String(shopId);
   }
 
-  /**
-   * Get overall statistics
-   */
-  getOverallStatistics() {
-    return {
-      ...this.statistics,
-      activeBatches: this.activeBatches.size,
-      completedBatches: this.batchHistory.size,
-      successRate:
-        this.statistics.totalFiles > 0
-          ? Math.round(
-              (this.statistics.successfulFiles / this.statistics.totalFiles) *
-                100
-            )
-          : 0,
-    };
+  detectFileType(fileName = '') {
+    const extension = path.extname(fileName).toLowerCase();
+    if (['.zip', '.ems', '.txt'].includes(extension)) return 'EMS';
+    return 'BMS';
   }
 
-  /**
-   * Cleanup old batch records
-   */
-  cleanupOldBatches(daysOld = 7) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-
-    let deletedCount = 0;
-    for (const [id, batch] of this.batchHistory.entries()) {
-      if (new Date(batch.createdAt) < cutoffDate) {
-        this.batchHistory.delete(id);
-        deletedCount++;
+  async removeTempFile(file) {
+    if (!file.filePath) return;
+    try {
+      await fs.unlink(file.filePath);
+    } catch (cleanupError) {
+      if (cleanupError.code !== 'ENOENT') {
+        console.warn(`Failed to cleanup temp file ${file.filePath}:`, cleanupError);
       }
     }
-
-    return deletedCount;
   }
 }
 
@@ -0,0 +1,452 @@
+/**
+ * BMS Export Service
+ *
+ * Builds CIECA BMS (VehicleDamageEstimateAddRq) files from CollisionOS data:
+ * - In-house estimates with their line items, customer, vehicle and insurer
+ * - Repair orders, starting from the latest imported estimate version and
+ *   overlaying the current customer, vehicle, claim and RO figures
+ *
+ * Documents are assembled in the normalized shape EnhancedBMSParser returns,
+ * so exported files import back through the same parser.
+ */
+
+const {
+  Estimate,
+  EstimateLineItem,
+  EstimateVersion,
+  Customer,
+  Vehicle,
+  InsuranceCompany,
+  RepairOrderManagement,
+  VehicleProfile,
+  ClaimManagement,
+  AdvancedPartsManagement,
+  Shop,
+} = require('../database/models');
+const { NotFoundError } = require('../utils/errorHandler');
+const BMSExporter = require('./export/bms_exporter');
+
+// CIECA part type codes, matching the mapping bmsService uses on import
+const PART_TYPE_CODES = {
+  OEM: 'PAN',
+  Aftermarket: 'PAA',
+  Used: 'PAR',
+  Reconditioned: 'PAL',
+  Generic: 'PAM',
+};
+
+const BRAND_TYPE_CODES = {
+  oem: 'PAN',
+  oem_equivalent: 'PAM',
+  aftermarket: 'PAA',
+  recycled: 'PAR',
+  remanufactured: 'PAL',
+};
+
+const LABOR_TYPE_CODES = {
+  body: 'LAB',
+  paint: 'LAR',
+  frame: 'LAF',
+  mechanical: 'LAM',
+  electrical: 'LAE',
+  glass: 'LAG',
+};
+
+const toNumber = value => {
+  const num = parseFloat(value);
+  return isNaN(num) ? 0 : num;
+};
+
+class BMSExportService {
+  constructor() {
+    this.exporter = new BMSExporter();
+  }
+
+  // ==========================================
+  // EXPORTS
+  // ==========================================
+
+  /**
+   * Export an in-house estimate as BMS XML
+   */
+  async exportEstimate(estimateId, shopId) {
+    const estimate = await Estimate.findOne({
+      where: { id: estimateId, shopId },
+      include: [{ model: EstimateLineItem, as: 'lineItems' }],
+      order: [[{ model: EstimateLineItem, as: 'lineItems' }, 'lineNumber', 'ASC']],
+    });
+    if (!estimate) {
+      throw new NotFoundError('Estimate not found');
+    }
+
+    // Customer/vehicle associations are not declared on Estimate
+    const [customer, vehicle, insuranceCompany, shop] = await Promise.all([
+      estimate.customerId
+        ? Customer.findOne({ where: { id: estimate.customerId, shopId } })
+        : null,
+      estimate.vehicleId ? Vehicle.findOne({ where: { id: estimate.vehicleId, shopId } }) : null,
+      estimate.insuranceCompanyId
+        ? InsuranceCompany.findOne({ where: { id: estimate.insuranceCompanyId, shopId } })
+        : null,
+      Shop.findByPk(shopId),
+    ]);
+
+    const document = this.buildEstimateDocument(estimate, {
+      customer,
+      vehicle,
+      insuranceCompany,
+      shop,
+    });
+
+    return {
+      xml: this.exporter.generateBMS(document),
+      fileName: this.buildFileName(estimate.estimateNumber || estimate.id, document.estimate),
+      document,
+    };
+  }
+
+  /**
+   * Export a repair order as BMS XML
+   */
+  async exportRepairOrder(repairOrderId, shopId) {
+    const ro = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: VehicleProfile, as: 'vehicleProfile' },
+        {
+          model: ClaimManagement,
+          as: 'claimManagement',
+          include: [{ model: InsuranceCompany, as: 'insuranceCompany' }],
+        },
+      ],
+    });
+    if (!ro) {
+      throw new NotFoundError('Repair order not found');
+    }
+
+    const version = await this.getLatestVersion(ro);
+    const shop = await Shop.findByPk(shopId);
+
+    let base;
+    if (version && version.bmsData) {
+      base = version.bmsData;
+    } else if (ro.estimateId) {
+      const { document } = await this.exportEstimate(ro.estimateId, shopId);
+      base = document;
+    } else {
+      base = { parts: await this.loadRepairOrderParts(ro) };
+    }
+
+    const document = this.buildRepairOrderDocument(ro, base, { shop });
+
+    return {
+      xml: this.exporter.generateBMS(document),
+      fileName: this.buildFileName(ro.repairOrderNumber || ro.id, document.estimate),
+      document,
+    };
+  }
+
+  async getLatestVersion(ro) {
+    const where = ro.claimManagementId
+      ? { claimManagementId: ro.claimManagementId }
+      : { repairOrderId: ro.id };
+
+    return EstimateVersion.findOne({
+      where,
+      order: [['versionNumber', 'DESC']],
+    });
+  }
+
+  async loadRepairOrderParts(ro) {
+    const parts = await AdvancedPartsManagement.findAll({
+      where: { repairOrderId: ro.id },
+      order: [['lineNumber', 'ASC']],
+    });
+
+    return parts.map(part => ({
+      lineNumber: part.lineNumber,
+      partNumber: part.oemPartNumber || part.vendorPartNumber,
+      oemPartNumber: part.oemPartNumber,
+      description: part.partDescription,
+      quantity: toNumber(part.quantityOrdered) || 1,
+      price: toNumber(part.sellPrice || part.netPrice || part.listPrice),
+      oemPrice: toNumber(part.listPrice),
+      partType: BRAND_TYPE_CODES[part.brandType] || 'PAN',
+      taxable: true,
+    }));
+  }
+
+  // ==========================================
+  // DOCUMENT BUILDERS
+  // ==========================================
+
+  /**
+   * Map an Estimate and its line items into the parser's normalized shape
+   */
+  buildEstimateDocument(estimate, { customer, vehicle, insuranceCompany, shop } = {}) {
+    const parts = [];
+    const laborLines = [];
+
+    (estimate.lineItems || []).forEach(item => {
+      const base = {
+        lineNumber: item.lineNumber,
+        description: item.description,
+        taxable: item.taxable !== false,
+      };
+
+      if (item.type === 'part') {
+        parts.push({
+          ...base,
+          partNumber: item.partNumber,
+          oemPartNumber: item.partType === 'OEM' ? item.partNumber : undefined,
+          nonOEMPartNum: item.partType !== 'OEM' ? item.vendorPartNumber : undefined,
+          quantity: toNumber(item.quantity) || 1,
+          price: toNumber(item.unitPrice),
+          oemPrice: toNumber(item.listPrice),
+          partType: PART_TYPE_CODES[item.partType] || 'PAN',
+          laborType: toNumber(item.laborHours) ? LABOR_TYPE_CODES[item.laborType] || 'LAB' : undefined,
+          laborOperation: item.operationCode,
+          laborHours: toNumber(item.laborHours),
+        });
+      } else if (item.type === 'labor' || item.type === 'paint') {
+        const laborType = item.type === 'paint' ? 'paint' : item.laborType;
+        laborLines.push({
+          ...base,
+          operation: item.description,
+          laborType: LABOR_TYPE_CODES[laborType] || (laborType || 'body').toUpperCase(),
+          laborOperation: item.operationCode,
+          hours: toNumber(item.laborHours || item.refinishHours),
+        });
+      } else if (['material', 'sublet', 'other', 'discount'].includes(item.type)) {
+        parts.push({
+          ...base,
+          partNumber: this.materialType(item),
+          quantity: 1,
+          price: toNumber(item.totalPrice),
+          isMaterial: true,
+        });
+      }
+    });
+
+    const totalHours = laborLines.reduce((sum, line) => sum + line.hours, 0) +
+      parts.reduce((sum, part) => sum + (part.laborHours || 0), 0);
+
+    return {
+      customer: this.mapCustomer(customer, insuranceCompany),
+      vehicle: this.mapVehicle(vehicle),
+      estimate: {
+        estimateNumber: estimate.estimateNumber,
+        date: estimate.estimateDate,
+        status: estimate.status,
+        claimNumber: estimate.claimNumber,
+        policyNumber: (customer && customer.policyNumber) || (vehicle && vehicle.policyNumber),
+        supplementNumber: estimate.supplementCount || 0,
+        currency: shop && shop.currency,
+        ...this.mapRepairFacility(shop),
+      },
+      adjuster: {
+        name: estimate.adjusterName,
+        phone: estimate.adjusterPhone,
+        email: estimate.adjusterEmail,
+      },
+      parts,
+      labor: { lines: laborLines, summary: { totalHours } },
+      financial: {
+        partsTotal: toNumber(estimate.partsTotal),
+        laborTotal: toNumber(estimate.laborTotal) + toNumber(estimate.paintTotal),
+        materialsTotal:
+          toNumber(estimate.materialTotal) + toNumber(estimate.subletTotal) + toNumber(estimate.otherTotal),
+        taxTotal: toNumber(estimate.taxTotal),
+        grossTotal: toNumber(estimate.estimateTotal),
+        total: toNumber(estimate.estimateTotal),
+        deductible: toNumber(estimate.deductible),
+      },
+      taxDetails: {},
+    };
+  }
+
+  /**
+   * Overlay current repair order records on an estimate document
+   */
+  buildRepairOrderDocument(ro, base = {}, { shop } = {}) {
+    const claim = ro.claimManagement;
+    const insuranceCompany = claim && claim.insuranceCompany;
+    const estimate = {
+      ...(base.estimate || {}),
+      roNumber: ro.repairOrderNumber,
+    };
+    this.assignPresent(estimate, {
+      claimNumber: claim && claim.claimNumber,
+      policyNumber: claim && claim.policyNumber,
+      currency: shop && shop.currency,
+    });
+    if (!estimate.repairFacilityName) {
+      Object.assign(estimate, this.mapRepairFacility(shop));
+    }
+
+    const customer = { ...(base.customer || {}) };
+    this.assignPresent(customer, this.mapCustomer(ro.customer, insuranceCompany));
+    if (ro.customer && ro.customer.address) {
+      // The imported street lines are stale once the customer record has an address
+      delete customer.address1;
+      delete customer.address2;
+    }
+    customer.phones = {
+      ...((base.customer && base.customer.phones) || {}),
+      ...this.presentOnly((ro.customer && this.mapCustomer(ro.customer).phones) || {}),
+    };
+
+    const vehicle = { ...(base.vehicle || {}) };
+    this.assignPresent(vehicle, this.mapVehicleProfile(ro.vehicleProfile));
+
+    const adjuster = { ...(base.adjuster || {}) };
+    if (claim) {
+      this.assignPresent(adjuster, {
+        name: claim.adjusterName,
+        phone: claim.adjusterPhone,
+        email: claim.adjusterEmail,
+      });
+      if (claim.adjusterName) {
+        delete adjuster.firstName;
+        delete adjuster.lastName;
+      }
+    }
+
+    const financial = { ...(base.financial || {}) };
+    if (claim) {
+      this.assignPresent(financial, { deductible: toNumber(claim.deductibleAmount) || undefined });
+      financial.deductibleWaived = Boolean(claim.deductibleWaived);
+    }
+
+    const taxDetails = { ...(base.taxDetails || {}) };
+    if (!toNumber(taxDetails.gstAmount) && !toNumber(taxDetails.pstAmount)) {
+      this.assignPresent(taxDetails, {
+        gstAmount: toNumber(ro.gstAmount) || undefined,
+        pstAmount: toNumber(ro.pstAmount) || undefined,
+      });
+    }
+
+    return {
+      ...base,
+      customer,
+      vehicle,
+      estimate,
+      adjuster,
+      parts: base.parts || [],
+      labor: base.labor || { lines: [] },
+      financial,
+      taxDetails,
+    };
+  }
+
+  // ==========================================
+  // FIELD MAPPING
+  // ==========================================
+
+  mapCustomer(customer, insuranceCompany) {
+    if (!customer) {
+      return { insurance: insuranceCompany && insuranceCompany.name };
+    }
+
+    return {
+      firstName: customer.firstName,
+      lastName: customer.lastName,
+      name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+      phone: customer.phone || customer.mobile,
+      phones: { cell: customer.mobile },
+      email: customer.email,
+      address: customer.address,
+      city: customer.city,
+      state: customer.state,
+      zip: customer.zipCode,
+      country: customer.country,
+      insurance: (insuranceCompany && insuranceCompany.name) || customer.primaryInsuranceCompany,
+      policyNumber: customer.policyNumber,
+    };
+  }
+
+  mapVehicle(vehicle) {
+    if (!vehicle) return {};
+
+    return {
+      vin: vehicle.vin,
+      license: vehicle.licensePlate,
+      year: vehicle.year,
+      make: vehicle.make,
+      model: vehicle.model,
+      trim: vehicle.trim,
+      color: vehicle.color,
+      paintCode: vehicle.colorCode,
+      engine: vehicle.engineSize || vehicle.engineType,
+      transmission: vehicle.transmission,
+      fuelType: vehicle.fuelType,
+      mileage: vehicle.mileage,
+    };
+  }
+
+  mapVehicleProfile(profile) {
+    if (!profile) return {};
+
+    return {
+      vin: profile.vin,
+      license: profile.licensePlate,
+      year: profile.year,
+      make: profile.make,
+      model: profile.model,
+      trim: profile.trim,
+      color: profile.exteriorColor,
+      paintCode: profile.paintCode,
+      engine: profile.engineSize,
+      transmission: profile.transmission,
+      drivetrain: profile.drivetrain,
+      fuelType: profile.fuelType,
+      mileage: profile.currentOdometer,
+    };
+  }
+
+  mapRepairFacility(shop) {
+    if (!shop) return {};
+
+    return {
+      repairFacilityName: shop.businessName || shop.name,
+      repairFacilityAddress: shop.address,
+      repairFacilityCity: shop.city,
+      repairFacilityState: shop.state,
+      repairFacilityZip: shop.postalCode,
+      repairFacilityPhone: shop.phone,
+      repairFacilityFax: shop.fax,
+      repairFacilityEmail: shop.email,
+    };
+  }
+
+  materialType(item) {
+    if (item.type === 'sublet') return 'SUBLET';
+    if (item.type !== 'material') return 'Material';
+    return /paint/i.test(`${item.category || ''} ${item.description || ''}`) ? 'MAPA' : 'MASH';
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  presentOnly(values) {
+    return Object.fromEntries(
+      Object.entries(values).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ''
+      )
+    );
+  }
+
+  assignPresent(target, values) {
+    return Object.assign(target, this.presentOnly(values));
+  }
+
+  buildFileName(reference, estimate = {}) {
+    const safe = `${reference}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+    const suffix = estimate.supplementNumber > 0 ? `-S${String(estimate.supplementNumber).padStart(2, '0')}` : '';
+    return `${safe}${suffix}.xml`;
+  }
+}
+
+module.exports = new BMSExportService();
@@ -1,9 +1,14 @@
 const EnhancedBMSParser = require('./import/bms_parser.js');
 const EMSParser = require('./import/ems_parser.js');
+const EMSDbaseParser = require('./import/ems_dbase_parser.js');
 const { AutomatedPartsSourcingService } = require('./automatedPartsSourcing');
 const estimateDiffService = require('./estimateDiffService');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { ValidationError } = require('../utils/errorHandler');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * BMS Service - Handles BMS/EMS file processing and data management
@@ -12,8 +17,8 @@ class BMSService {
   constructor() {
     this.bmsParser = new EnhancedBMSParser();
     this.emsParser = new EMSParser();
+    this.emsDbaseParser = new EMSDbaseParser();
     this.automatedSourcing = new AutomatedPartsSourcingService();
-    this.importHistory = new Map();
   }
 
   /**
@@ -24,7 +29,7 @@ class BMSService {
       console.log('Processing BMS file...', context.fileName);
 
       const startTime = Date.now();
-      const parsedData = await this.bmsParser.parseBMS(content);
+      const parsedData = await this.parseImportFile(() => this.bmsParser.parseBMS(content));
       const processingTime = Date.now() - startTime;
 
       // Create import record
@@ -40,7 +45,7 @@ class BMSService {
         data: parsedData,
       };
 
-      this.importHistory.set(importRecord.id, importRecord);
+      await this.recordImport(importRecord, context);
 
       return {
         importId: importRecord.id,
@@ -65,10 +70,32 @@ class BMSService {
       };
     } catch (error) {
       console.error('BMS processing error:', error);
-      throw new Error(`BMS file processing failed: ${error.message}`);
+      throw this.importError('BMS file processing failed', error);
+    }
+  }
+
+  /**
+   * Run a parser; anything it throws means the file itself is bad, so it is
+   * reported as a ValidationError that is answered with 400 and not retried
+   */
+  async parseImportFile(parse) {
+    try {
+      return await parse();
+    } catch (error) {
+      throw new ValidationError(error.message);
     }
   }
 
+  /**
+   * Prefix an import failure, keeping validation failures as ValidationError
+   */
+  importError(prefix, error) {
+    const message = `${prefix}: ${error.message}`;
+    return error instanceof ValidationError
+      ? new ValidationError(message, error.details)
+      : new Error(message);
+  }
+
   /**
    * Process BMS XML file with auto-customer creation
    * @param {string} content - XML content
@@ -154,6 +181,7 @@ class BMSService {
             parsedData.parts,
             parsedData.vehicle,
             {
+              shopId: context.shopId,
               enhanceWithVinDecoding: sourcingOptions.enhanceWithVinDecoding !== false,
               generatePO: sourcingOptions.generateAutoPO === true,
               vendorTimeout: sourcingOptions.vendorTimeout || 2000,
@@ -191,7 +219,7 @@ class BMSService {
         sourcingOptions,
       };
 
-      this.importHistory.set(importRecord.id, importRecord);
+      await this.recordImport(importRecord, context);
 
       // Generate enhanced result with sourcing data
       const result = {
@@ -401,7 +429,7 @@ class BMSService {
       console.log('Processing EMS file...', context.fileName);
 
       const startTime = Date.now();
-      const parsedData = await this.emsParser.parseEMS(content);
+      const parsedData = await this.parseImportFile(() => this.emsParser.parseEMS(content));
       const processingTime = Date.now() - startTime;
 
       // Create import record
@@ -417,7 +445,7 @@ class BMSService {
         data: parsedData,
       };
 
-      this.importHistory.set(importRecord.id, importRecord);
+      await this.recordImport(importRecord, context);
 
       return {
         importId: importRecord.id,
@@ -442,7 +470,62 @@ class BMSService {
       };
     } catch (error) {
       console.error('EMS processing error:', error);
-      throw new Error(`EMS file processing failed: ${error.message}`);
+      throw this.importError('EMS file processing failed', error);
+    }
+  }
+
+  /**
+   * Process EMS dBase package (AD1/VEH/LIN/TTL... tables in a zip or folder)
+   */
+  async processEMSPackage(source, context = {}) {
+    try {
+      console.log('Processing EMS package...', context.fileName);
+
+      const startTime = Date.now();
+      const parsedData = await this.parseImportFile(() =>
+        this.emsDbaseParser.parseEMSPackage(source)
+      );
+      const processingTime = Date.now() - startTime;
+
+      // Create import record
+      const importRecord = {
+        id: context.uploadId || uuidv4(),
+        fileName: context.fileName,
+        fileType: 'EMS',
+        status: 'completed',
+        startTime: new Date(startTime),
+        endTime: new Date(),
+        processingTime,
+        userId: context.userId,
+        data: parsedData,
+      };
+
+      await this.recordImport(importRecord, context);
+
+      return {
+        importId: importRecord.id,
+        customer: this.normalizeCustomerData(parsedData.customer),
+        vehicle: this.normalizeVehicleData(parsedData.vehicle),
+        job: this.createJobFromEstimate(parsedData),
+        documentInfo: parsedData.estimate,
+        claimInfo: this.normalizeClaimInfo(parsedData),
+        adjuster: parsedData.adjuster || {},
+        damage: this.normalizeDamageData(parsedData),
+        labor: parsedData.labor || {},
+        parts: parsedData.parts || [],
+        financial: parsedData.financial || {},
+        taxDetails: parsedData.taxDetails || {},
+        specialRequirements: parsedData.specialRequirements || {},
+        validation: this.validateImportedData(parsedData),
+        metadata: {
+          ...parsedData.metadata,
+          processingTime,
+          importId: importRecord.id,
+        },
+      };
+    } catch (error) {
+      console.error('EMS package processing error:', error);
+      throw this.importError('EMS package processing failed', error);
     }
   }
 
@@ -782,42 +865,122 @@ class BMSService {
     return validation;
   }
 
+  // ==========================================
+  // IMPORT HISTORY (persisted in BmsImport)
+  // ==========================================
+
   /**
-   * Get import history with pagination
+   * Persist an import to BmsImport. Rows the watch folder or batch processor
+   * created up front (same id) only get the parsed data — their owner sets
+   * the status. History is best-effort and never fails the import itself.
    */
-  async getImportHistory(options = {}) {
-    const {
-      page = 1,
-      limit = 20,
-      status = null,
-      userId = null,
-      requestingUserId,
-    } = options;
-
-    let imports = Array.from(this.importHistory.values());
-
-    // Filter by status
-    if (status) {
-      imports = imports.filter(imp => imp.status === status);
-    }
+  async recordImport(importRecord, context = {}) {
+    try {
+      const { BmsImport } = require('../database/models');
+      const details = {
+        fileType: importRecord.fileType,
+        // Round-trip through JSON so Decimal amounts are stored as strings
+        parsedData: JSON.parse(JSON.stringify(importRecord.data || {})),
+      };
 
-    // Filter by user (if not admin)
-    if (userId) {
-      imports = imports.filter(imp => imp.userId === userId);
+      const existing = await BmsImport.findByPk(importRecord.id);
+      if (existing) {
+        return await existing.update(details);
+      }
+
+      // Imports without a shop (e.g. validation-only calls) are not kept
+      if (!UUID_PATTERN.test(context.shopId || '')) {
+        return null;
+      }
+
+      return await BmsImport.create({
+        id: importRecord.id,
+        shopId: context.shopId,
+        fileName: importRecord.fileName || 'unnamed',
+        originalFileName: importRecord.fileName,
+        fileSize: context.fileSize || null,
+        source: 'upload',
+        status: importRecord.status === 'completed' ? 'success' : importRecord.status,
+        processingStarted: importRecord.startTime,
+        processingCompleted: importRecord.endTime,
+        processingDuration: Math.round((importRecord.processingTime || 0) / 1000),
+        totalRecords: 1,
+        processedRecords: 1,
+        createdBy: UUID_PATTERN.test(importRecord.userId || '') ? importRecord.userId : null,
+        metadata: {
+          processingTime: importRecord.processingTime,
+          userId: importRecord.userId || null,
+          operation: context.operation || null,
+          automatedSourcing: importRecord.automatedSourcing || null,
+          sourcingOptions: importRecord.sourcingOptions || null,
+        },
+        ...details,
+      });
+    } catch (error) {
+      console.warn('Failed to record import history:', error.message);
+      return null;
     }
+  }
+
+  /**
+   * Query import history rows, newest first, as plain import records
+   */
+  async listImportRecords(options = {}) {
+    const { BmsImport } = require('../database/models');
+    const { shopId, status, userId, since, limit, offset = 0 } = options;
+
+    const where = {};
+    if (shopId) where.shopId = shopId;
+    if (status) where.status = status === 'completed' ? 'success' : status;
+    if (userId) where.createdBy = userId;
+    if (since) where.importDate = { [Op.gte]: since };
+
+    const { rows, count } = await BmsImport.findAndCountAll({
+      where,
+      attributes: { exclude: ['parsedData', 'backupData'] },
+      order: [['importDate', 'DESC']],
+      ...(limit ? { limit, offset } : {}),
+    });
 
-    // Sort by date (newest first)
-    imports.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+    return { records: rows.map(row => this.toImportRecord(row)), total: count };
+  }
 
-    // Paginate
-    const total = imports.length;
+  toImportRecord(row) {
+    const metadata = row.metadata || {};
+    return {
+      id: row.id,
+      shopId: row.shopId,
+      batchId: row.batchId || null,
+      fileName: row.fileName,
+      fileType: row.fileType,
+      source: row.source,
+      status: row.status === 'success' ? 'completed' : row.status,
+      startTime: row.processingStarted || row.importDate,
+      endTime: row.processingCompleted,
+      processingTime: metadata.processingTime ?? (row.processingDuration || 0) * 1000,
+      userId: metadata.userId || row.createdBy,
+      error: row.errorLog?.message ? row.errorLog : null,
+      automatedSourcing: metadata.automatedSourcing || null,
+    };
+  }
+
+  /**
+   * Get import history with pagination
+   */
+  async getImportHistory(options = {}) {
+    const { page = 1, limit = 20, status = null, userId = null, shopId = null } = options;
+
+    const { records, total } = await this.listImportRecords({
+      shopId,
+      status,
+      userId,
+      limit,
+      offset: (page - 1) * limit,
+    });
     const totalPages = Math.ceil(total / limit);
-    const start = (page - 1) * limit;
-    const end = start + limit;
-    const paginatedImports = imports.slice(start, end);
 
     return {
-      imports: paginatedImports,
+      imports: records,
       pagination: {
         currentPage: page,
         totalPages,
@@ -832,8 +995,7 @@ class BMSService {
   /**
    * Get processing statistics
    */
-  async getStatistics(period = 'month', groupBy = 'day') {
-    const imports = Array.from(this.importHistory.values());
+  async getStatistics(period = 'month', groupBy = 'day', shopId = null) {
     const now = new Date();
     let startDate;
 
@@ -857,10 +1019,11 @@ class BMSService {
         break;
     }
 
-    // Filter imports within period
-    const periodImports = imports.filter(
-      imp => new Date(imp.startTime) >= startDate
-    );
+    // Imports within period
+    const { records: periodImports } = await this.listImportRecords({
+      shopId,
+      since: startDate,
+    });
 
     // Calculate statistics
     const stats = {
@@ -881,7 +1044,7 @@ class BMSService {
     );
     if (completedImports.length > 0) {
       stats.totalProcessingTime = completedImports.reduce(
-        (sum, imp) => sum + imp.processingTime,
+        (sum, imp) => sum + (imp.processingTime || 0),
         0
       );
       stats.avgProcessingTime =
@@ -897,35 +1060,34 @@ class BMSService {
   }
 
   /**
-   * Get import by ID
+   * Get import by ID, including the parsed data
    */
-  getImportById(importId) {
-    return this.importHistory.get(importId) || null;
+  async getImportById(importId) {
+    const { BmsImport } = require('../database/models');
+    const row = await BmsImport.findByPk(importId);
+    return row ? { ...this.toImportRecord(row), data: row.parsedData } : null;
   }
 
   /**
    * Delete import record
    */
-  deleteImport(importId) {
-    return this.importHistory.delete(importId);
+  async deleteImport(importId) {
+    const { BmsImport } = require('../database/models');
+    return (await BmsImport.destroy({ where: { id: importId } })) > 0;
   }
 
   /**
-   * Clear old import records (older than specified days)
+   * Clear old import records (older than specified days); rows still
+   * attached to a batch are removed with the batch instead
    */
-  cleanupOldImports(daysOld = 30) {
+  async cleanupOldImports(daysOld = 30) {
+    const { BmsImport } = require('../database/models');
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-    let deletedCount = 0;
-    for (const [id, importRecord] of this.importHistory.entries()) {
-      if (new Date(importRecord.startTime) < cutoffDate) {
-        this.importHistory.delete(id);
-        deletedCount++;
-      }
-    }
-
-    return deletedCount;
+    return BmsImport.destroy({
+      where: { importDate: { [Op.lt]: cutoffDate }, batchId: null },
+    });
   }
 
   /**
@@ -933,38 +1095,45 @@ class BMSService {
    * ENHANCED: Creates complete ecosystem (customer, vehicle, claim, job, parts)
    */
   async processBMSWithAutoCreation(content, context = {}) {
-    try {
-      // First, process the BMS file normally
-      const bmsResult = await this.processBMSFile(content, context);
+    // First, process the BMS file normally
+    const bmsResult = await this.processBMSFile(content, context);
+    return this.createRecordsFromImport(bmsResult, context);
+  }
+
+  /**
+   * Process an EMS dBase package and create the same ecosystem as a BMS file
+   * @param {Buffer|string} source - Zip contents, or a path to a zip or folder
+   * @param {Object} context - Processing context
+   */
+  async processEMSWithAutoCreation(source, context = {}) {
+    const emsResult = await this.processEMSPackage(source, context);
+    return this.createRecordsFromImport(emsResult, context);
+  }
 
+  /**
+   * Create/find customer, vehicle, claim, job and parts from a processed
+   * BMS or EMS import result
+   */
+  async createRecordsFromImport(bmsResult, context = {}) {
+    try {
       if (!bmsResult.customer || !bmsResult.vehicle) {
         throw new Error(
-          'BMS file must contain valid customer and vehicle information'
+          'Estimate file must contain valid customer and vehicle information'
         );
       }
-
-      // Import required services (use local database)
-      const useSupabase = false; // Supabase removed
+      if (!context.shopId) {
+        throw new ValidationError('A shop is required to create records from an import');
+      }
 
       // TODO: Remove supabaseAdmin references, use local database only
       const supabaseAdmin = null;
 
-      const { customerService } = useSupabase
-        ? require('../database/services/customerService')
-        : require('../database/services/customerService-local');
-
-      const { jobService } = useSupabase
-        ? require('../database/services/jobService')
-        : require('../database/services/jobService-local');
-
-      const { vehicleService} = useSupabase
-        ? require('../database/services/vehicleService')
-        : require('../database/services/vehicleService-local');
-
-      const shopService = require('../database/services/shopService-local');
-
       // Import models for claim and parts creation
-      const { ClaimManagement, AdvancedPartsManagement } = require('../database/models');
+      const {
+        ClaimManagement,
+        RepairOrderManagement,
+        VehicleProfile,
+      } = require('../database/models');
 
       let customer = null;
       let vehicle = null;
@@ -973,11 +1142,8 @@ class BMSService {
       let parts = [];
 
       try {
-        // Ensure default shop exists in database
-        const defaultShop = await shopService.getOrCreateDefaultShop();
-
-        // Use shop ID from default shop
-        const shopId = defaultShop.id;
+        // Import into the caller's shop (watch folders pass one per shop)
+        const { shopId } = context;
 
         // STEP 1: Create/find customer using admin client
         customer = await this.findOrCreateCustomerWithAdmin(
@@ -994,13 +1160,76 @@ class BMSService {
           supabaseAdmin
         );
 
+        // Supplement path: a file for a claim we already have (S01, S02...)
+        // becomes a new estimate version instead of a new job
+        const claimNumber = bmsResult.claimInfo?.claimNumber;
+        const existingClaim = claimNumber
+          ? await ClaimManagement.findOne({ where: { shopId, claimNumber } })
+          : null;
+
+        if (existingClaim) {
+          const repairOrder = await RepairOrderManagement.findOne({
+            where: { shopId, claimManagementId: existingClaim.id },
+            order: [['createdAt', 'DESC']],
+          });
+
+          const supplement = await estimateDiffService.recordEstimateVersion({
+            shopId,
+            claim: existingClaim,
+            repairOrder,
+            bmsData: bmsResult,
+            fileName: context.fileName,
+            userId: context.userId,
+          });
+
+          console.log(
+            supplement.duplicate
+              ? `📑 Estimate for claim ${claimNumber} already imported, no new version`
+              : `📑 Supplement ${supplement.supplementNumber} recorded for claim ${claimNumber}`
+          );
+
+          return {
+            ...bmsResult,
+            createdCustomer: customer,
+            createdVehicle: vehicle,
+            createdClaim: existingClaim,
+            repairOrder,
+            isSupplement: supplement.isSupplement,
+            supplement: {
+              versionId: supplement.version.id,
+              versionNumber: supplement.version.versionNumber,
+              supplementNumber: supplement.supplementNumber,
+              duplicate: supplement.duplicate,
+              summary: supplement.diff ? supplement.diff.summary : null,
+              totals: supplement.diff ? supplement.diff.totals : null,
+            },
+            autoCreationSuccess: true,
+          };
+        }
+
         // STEP 3: Create claim management record (NEW!)
         if (bmsResult.claimInfo && bmsResult.claimInfo.claimNumber) {
           try {
+            // Claims reference VehicleProfile rather than Vehicle
+            const [vehicleProfile] = await VehicleProfile.findOrCreate({
+              where: { shopId, vin: vehicle.vin },
+              defaults: {
+                shopId,
+                customerId: customer.id,
+                vin: vehicle.vin,
+                year: vehicle.year,
+                make: vehicle.make,
+                model: vehicle.model,
+                trim: vehicle.trim || null,
+                licensePlate: vehicle.licensePlate || null,
+                color: vehicle.color || null,
+              },
+            });
+
             claim = await ClaimManagement.create({
               shopId: shopId,
               customerId: customer.id,
-              vehicleProfileId: vehicle.id,
+              vehicleProfileId: vehicleProfile.id,
               claimNumber: bmsResult.claimInfo.claimNumber,
               policyNumber: bmsResult.claimInfo.policyNumber || null,
               adjusterName: bmsResult.claimInfo.adjusterName || null,
@@ -1018,6 +1247,22 @@ class BMSService {
           }
         }
 
+        // Baseline version so the first supplement has something to diff against
+        if (claim) {
+          try {
+            await estimateDiffService.recordEstimateVersion({
+              shopId,
+              claim,
+              repairOrder: null,
+              bmsData: bmsResult,
+              fileName: context.fileName,
+              userId: context.userId,
+            });
+          } catch (versionError) {
+            console.error('⚠️ Failed to save estimate version (non-fatal):', versionError.message);
+          }
+        }
+
         // STEP 4: Create job/repair order using admin client
         const jobWithShop = { ...bmsResult, shop_id: shopId };
         job = await this.createJobFromBMSWithAdmin(
@@ -1129,7 +1374,7 @@ class BMSService {
         };
       }
     } catch (error) {
-      console.error('BMS processing with auto-creation failed:', error);
+      console.error('Import auto-creation failed:', error);
       throw error;
     }
   }
@@ -1144,7 +1389,7 @@ class BMSService {
       // Try to find existing customer by email first
       if (customerData.email) {
         const existingCustomer = await Customer.findOne({
-          where: { email: customerData.email }
+          where: { shopId, email: customerData.email }
         });
         
         if (existingCustomer) {
@@ -1156,7 +1401,7 @@ class BMSService {
       // Try to find by phone
       if (customerData.phone) {
         const existingCustomer = await Customer.findOne({
-          where: { phone: customerData.phone }
+          where: { shopId, phone: customerData.phone }
         });
         
         if (existingCustomer) {
@@ -1169,6 +1414,7 @@ class BMSService {
       if (customerData.firstName && customerData.lastName) {
         const existingCustomer = await Customer.findOne({
           where: {
+            shopId,
             firstName: customerData.firstName,
             lastName: customerData.lastName
           }
@@ -1192,7 +1438,7 @@ class BMSService {
         city: customerData.city || null,
         state: customerData.state || null,
         zip: customerData.zip || null,
-        shopId: shopId || 'default-shop'
+        shopId
       });
 
       console.log('Created new customer:', newCustomer.id);
@@ -1428,8 +1674,11 @@ class BMSService {
     try {
       // Use legacy database when Supabase is not available
       if (!supabaseAdmin) {
-        const { vehicleService } = require('../database/services/vehicleService-local');
-        return await vehicleService.findOrCreateVehicle(vehicleData, customerId);
+        const { vehicleService } = require('../database/services/vehicleService');
+        return await vehicleService.findOrCreateVehicle(
+          { ...vehicleData, shopId: vehicleData.shopId || vehicleData.shop_id },
+          customerId
+        );
       }
 
       // Try to find existing vehicle by VIN first
@@ -1595,7 +1844,7 @@ class BMSService {
     try {
       // Use legacy database when Supabase is not available
       if (!supabaseAdmin) {
-        const { jobService } = require('../database/services/jobService-local');
+        const { jobService } = require('../database/services/jobService');
         // Create job using legacy service
         const jobData = {
           ...bmsResult,
@@ -1731,59 +1980,29 @@ class BMSService {
 
       console.log('Created new repair order:', newRO.id);
 
-      // STEP 3: Save estimate version and calculate diff if this is a revision
-      try {
-        let diff = null;
-        let revisionReason = 'initial';
-
-        if (isRevision && previousVersionData) {
-          // This is a supplement/revision - compare with previous version
-          diff = estimateDiffService.compareBMSEstimates(bmsResult, previousVersionData);
-          revisionReason = 'supplement';
-
-          console.log(`📊 Estimate diff calculated:`, {
-            totalChange: diff.summary.totalChange,
-            percentChange: diff.summary.percentChange.toFixed(2) + '%',
-            lineItemsAdded: diff.summary.lineItemsAdded,
-            lineItemsRemoved: diff.summary.lineItemsRemoved,
-            lineItemsModified: diff.summary.lineItemsModified,
-          });
-        }
-
-        // Save the estimate version to database
-        const versionResult = await estimateDiffService.saveEstimateVersion(
-          newClaim.id,
-          newRO.id,
-          bmsResult,
-          diff,
-          revisionReason
-        );
-
-        if (versionResult.success) {
-          console.log(`✅ Saved estimate version ${versionResult.versionNumber} for claim ${newClaim.id}`);
-
-          if (diff) {
-            console.log(`📝 Version ${versionResult.versionNumber} is a ${revisionReason}:`);
-            console.log(`   Total change: $${diff.summary.totalChange.toFixed(2)} (${diff.summary.percentChange.toFixed(1)}%)`);
-            console.log(`   Parts added: ${diff.parts.added.length}`);
-            console.log(`   Parts removed: ${diff.parts.removed.length}`);
-            console.log(`   Parts modified: ${diff.parts.modified.length}`);
-          }
-        }
-
-        // Attach version info to the RO object for API response
-        newRO.estimateVersion = {
-          versionNumber: versionResult.versionNumber,
-          isRevision: isRevision,
-          revisionReason: revisionReason,
-          diff: diff ? diff.summary : null,
-        };
-
-      } catch (versionError) {
-        console.error('⚠️ Failed to save estimate version (non-fatal):', versionError.message);
-        // Don't fail the whole upload if version tracking fails
+      // STEP 3: Diff against the previous version if this is a revision. The
+      // version itself is recorded by recordEstimateVersion against the
+      // ClaimManagement row before this runs.
+      let diff = null;
+      if (isRevision && previousVersionData) {
+        diff = estimateDiffService.compareBMSEstimates(bmsResult, previousVersionData);
+
+        console.log(`📊 Estimate diff calculated:`, {
+          totalChange: diff.summary.totalChange,
+          percentChange: diff.summary.percentChange.toFixed(2) + '%',
+          lineItemsAdded: diff.summary.lineItemsAdded,
+          lineItemsRemoved: diff.summary.lineItemsRemoved,
+          lineItemsModified: diff.summary.lineItemsModified,
+        });
       }
 
+      // Attach version info to the RO object for API response
+      newRO.estimateVersion = {
+        isRevision: isRevision,
+        revisionReason: diff ? 'supplement' : 'initial',
+        diff: diff ? diff.summary : null,
+      };
+
       return newRO;
     } catch (error) {
       console.error('Error in createJobFromBMSWithAdmin:', error);
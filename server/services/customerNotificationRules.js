@@ -0,0 +1,398 @@
+const {
+  CommunicationTemplate,
+  RepairOrderManagement,
+  AdvancedPartsManagement,
+  Customer,
+  VehicleProfile,
+  Job,
+  Shop,
+} = require('../database/models');
+const domainEvents = require('./domainEvents');
+const messageDispatcher = require('./messageDispatcher');
+const messageDeliveryService = require('./messageDeliveryService');
+const smsConversationService = require('./smsConversationService');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Customer Notification Rules for CollisionOS
+ * Sends customer status updates automatically when production, parts and QC
+ * domain events happen, so nobody has to remember to call /auto-trigger.
+ *
+ * A CommunicationTemplate fires for an event when:
+ * - it is active (and approved when approval is required)
+ * - its triggerEvents include one of the event's trigger names, and its
+ *   jobStatuses are empty or include the event's stage; or
+ * - it has no triggerEvents, the event is a stage change and its jobStatuses
+ *   include the stage the job moved to
+ *
+ * Trigger names (dots and underscores are interchangeable):
+ *   job.stage_changed, parts.received, parts.all_received (no parts left
+ *   outstanding on the RO), qc.completed
+ *
+ * Messages go through messageDispatcher, so template business hours,
+ * frequency caps and dedupe still apply. Repair orders with
+ * autoNotificationsEnabled = false are skipped; preview() shows what an event
+ * would send without sending it.
+ */
+
+const TRIGGERS = {
+  [domainEvents.EVENTS.JOB_STAGE_CHANGED]: ['job.stage_changed'],
+  [domainEvents.EVENTS.PARTS_RECEIVED]: ['parts.received'],
+  [domainEvents.EVENTS.QC_COMPLETED]: ['qc.completed'],
+};
+const ALL_PARTS_RECEIVED = 'parts.all_received';
+
+// Part statuses still waiting on a vendor
+const OUTSTANDING_PART_STATUSES = [
+  'needed',
+  'sourcing',
+  'quoted',
+  'ordered',
+  'backordered',
+  'shipped',
+];
+
+const normalizeTrigger = name =>
+  `${name || ''}`.trim().toLowerCase().replace(/_/g, '.');
+const normalizeStage = stage => `${stage || ''}`.trim().toLowerCase();
+
+const humanize = code =>
+  code
+    ? `${code}`
+        .replace(/_/g, ' ')
+        .replace(/\b\w/g, letter => letter.toUpperCase())
+    : null;
+
+const fullName = person =>
+  [person.firstName, person.lastName].filter(Boolean).join(' ');
+
+class CustomerNotificationRules {
+  constructor() {
+    Object.keys(TRIGGERS).forEach(name =>
+      domainEvents.subscribe(name, event => this.handleEvent(event))
+    );
+  }
+
+  // ==========================================
+  // EVENT HANDLING
+  // ==========================================
+
+  /**
+   * Send every matching template for a domain event
+   *
+   * @returns {Object} { skipped, reason } or { sent: [{ templateId, results }] }
+   */
+  async handleEvent(event) {
+    const subject = await this.resolveSubject(event);
+    if (!subject) return { skipped: true, reason: 'No customer to notify' };
+
+    const { repairOrder, customer } = subject;
+    if (repairOrder && repairOrder.autoNotificationsEnabled === false) {
+      return {
+        skipped: true,
+        reason: 'Automatic notifications are turned off for this repair order',
+      };
+    }
+
+    const plans = await this.plan(event, subject);
+    const sent = [];
+    for (const { template, channels, variables } of plans) {
+      if (channels.length === 0) continue;
+
+      const results = await messageDispatcher.dispatch({
+        channels,
+        customer,
+        message: { subject: template.templateName, content: '' },
+        template,
+        variables,
+        context: {
+          shopId: event.shopId,
+          userId: event.userId || null,
+          repairOrderId: repairOrder ? repairOrder.id : null,
+          templateId: template.id,
+          category: `auto_${template.category}`,
+          triggerEvent: event.name,
+          isAutomated: true,
+        },
+      });
+      sent.push({ templateId: template.id, results });
+    }
+
+    if (
+      repairOrder &&
+      sent.some(({ results }) => results.some(r => r.success))
+    ) {
+      await repairOrder.update({ lastCustomerContact: new Date() });
+    }
+
+    return { sent };
+  }
+
+  /**
+   * What an event would send for a repair order, without sending it
+   *
+   * @param {string} shopId
+   * @param {Object} options - { ro_id | job_id, event, stage }
+   */
+  async preview(shopId, options = {}) {
+    const name = options.event || domainEvents.EVENTS.JOB_STAGE_CHANGED;
+    if (!TRIGGERS[name]) {
+      throw new ValidationError(
+        `Event must be one of: ${Object.keys(TRIGGERS).join(', ')}`
+      );
+    }
+
+    const event = { name, shopId, occurredAt: new Date() };
+    if (options.job_id) {
+      event.jobId = options.job_id;
+    } else if (options.ro_id) {
+      event.repairOrderId = options.ro_id;
+    } else {
+      throw new ValidationError('ro_id or job_id is required');
+    }
+
+    const subject = await this.resolveSubject(event);
+    if (!subject) {
+      throw new NotFoundError('Repair order or customer not found');
+    }
+
+    const { repairOrder, customer } = subject;
+    const stage = options.stage || repairOrder?.productionStage || null;
+    if (name === domainEvents.EVENTS.JOB_STAGE_CHANGED) {
+      event.fromStage = subject.job?.status || repairOrder?.productionStage;
+      event.toStage = stage;
+    } else {
+      event.stage = stage;
+    }
+
+    const plans = await this.plan(event, subject);
+    const messages = [];
+    for (const { template, channels, blocked, variables } of plans) {
+      const variant = messageDispatcher.chooseVariant(template, customer);
+      const sendAt = await messageDispatcher.resolveSendTime(template, {
+        shopId,
+      });
+
+      for (const channel of channels) {
+        const message = messageDispatcher.buildMessage(
+          template,
+          variant,
+          channel,
+          variables
+        );
+        messages.push({
+          template,
+          channel,
+          variant: variant ? variant.name : null,
+          message,
+          sendAt,
+          hold: await messageDispatcher.checkLimits(
+            template,
+            customer,
+            channel,
+            message
+          ),
+        });
+      }
+      blocked.forEach(({ channel, reason }) =>
+        messages.push({ template, channel, hold: reason })
+      );
+    }
+
+    return {
+      event,
+      repairOrder,
+      customer,
+      enabled: !repairOrder || repairOrder.autoNotificationsEnabled !== false,
+      messages,
+    };
+  }
+
+  // ==========================================
+  // MATCHING
+  // ==========================================
+
+  /**
+   * Matching templates with their consented channels and variables
+   */
+  async plan(event, subject) {
+    const triggers = await this.triggersFor(event, subject.repairOrder);
+    const stage = this.stageFor(event, subject.repairOrder);
+    const templates = await CommunicationTemplate.findAll({
+      where: { shopId: event.shopId, status: 'active' },
+    });
+    const variables = await this.buildVariables(event, subject);
+
+    return templates
+      .filter(template => template.canSend())
+      .filter(template => this.matches(template, event, triggers, stage))
+      .map(template => {
+        const channels = [];
+        const blocked = [];
+        (template.channels || []).forEach(channel => {
+          if (
+            !messageDispatcher.buildMessage(template, null, channel).content
+          ) {
+            blocked.push({
+              channel,
+              reason: `Template has no ${channel} content`,
+            });
+            return;
+          }
+          const consent = messageDeliveryService.checkConsent(
+            channel,
+            subject.customer
+          );
+          if (consent.allowed) {
+            channels.push(channel);
+          } else {
+            blocked.push({ channel, reason: consent.reason });
+          }
+        });
+        return { template, channels, blocked, variables };
+      });
+  }
+
+  /**
+   * Trigger names an event answers to
+   */
+  async triggersFor(event, repairOrder) {
+    const triggers = [...(TRIGGERS[event.name] || [])];
+    if (event.name === domainEvents.EVENTS.PARTS_RECEIVED && repairOrder) {
+      const outstanding = await AdvancedPartsManagement.count({
+        where: {
+          repairOrderId: repairOrder.id,
+          partStatus: OUTSTANDING_PART_STATUSES,
+        },
+      });
+      if (outstanding === 0) triggers.push(ALL_PARTS_RECEIVED);
+    }
+    return triggers;
+  }
+
+  stageFor(event, repairOrder) {
+    return normalizeStage(
+      event.toStage || event.stage || repairOrder?.productionStage
+    );
+  }
+
+  matches(template, event, triggers, stage) {
+    const events = (template.triggerEvents || []).map(normalizeTrigger);
+    const statuses = (template.jobStatuses || []).map(normalizeStage);
+
+    if (events.length === 0) {
+      return (
+        event.name === domainEvents.EVENTS.JOB_STAGE_CHANGED &&
+        statuses.includes(stage)
+      );
+    }
+    return (
+      triggers.some(trigger => events.includes(normalizeTrigger(trigger))) &&
+      (statuses.length === 0 || statuses.includes(stage))
+    );
+  }
+
+  // ==========================================
+  // CONTEXT
+  // ==========================================
+
+  /**
+   * The job, repair order and customer an event is about. Jobs are tied to
+   * their RO by number, falling back to the customer's open RO.
+   */
+  async resolveSubject(event) {
+    let job = null;
+    let repairOrder = null;
+
+    if (event.jobId) {
+      job = await Job.findOne({
+        where: { id: event.jobId, shopId: event.shopId },
+      });
+      if (!job) return null;
+      repairOrder =
+        (await this.findRepairOrder(event.shopId, {
+          repairOrderNumber: job.jobNumber,
+        })) ||
+        (job.customerId &&
+          (await smsConversationService.findOpenRepairOrder(job.customerId)));
+      if (repairOrder && !repairOrder.customer) {
+        repairOrder = await this.findRepairOrder(event.shopId, {
+          id: repairOrder.id,
+        });
+      }
+    } else if (event.repairOrderId) {
+      repairOrder = await this.findRepairOrder(event.shopId, {
+        id: event.repairOrderId,
+      });
+    }
+
+    const customer =
+      repairOrder?.customer ||
+      (job?.customerId ? await Customer.findByPk(job.customerId) : null);
+    if (!customer) return null;
+
+    return { job, repairOrder: repairOrder || null, customer };
+  }
+
+  async findRepairOrder(shopId, where) {
+    return RepairOrderManagement.findOne({
+      where: { ...where, shopId },
+      include: [
+        { model: Customer, as: 'customer' },
+        { model: VehicleProfile, as: 'vehicleProfile', required: false },
+      ],
+    });
+  }
+
+  async buildVariables(event, { job, repairOrder, customer }) {
+    const shop = await Shop.findByPk(event.shopId);
+    const vehicle = repairOrder?.vehicleProfile || {};
+    const stage = event.toStage || event.stage;
+
+    const variables = {
+      customer_first_name: customer.firstName,
+      customer_name: fullName(customer),
+      ro_number: repairOrder?.repairOrderNumber || job?.jobNumber,
+      vehicle: [vehicle.year, vehicle.make, vehicle.model]
+        .filter(Boolean)
+        .join(' '),
+      promised_date: repairOrder?.promisedDeliveryDate
+        ? new Date(repairOrder.promisedDeliveryDate).toLocaleDateString()
+        : null,
+      shop_name: shop?.name,
+      shop_phone: shop?.phone,
+      stage: humanize(stage),
+      previous_stage: humanize(event.fromStage),
+    };
+
+    if (event.partIds) {
+      variables.parts_received_count = event.partIds.length;
+    }
+    return variables;
+  }
+
+  // ==========================================
+  // OPT-OUT
+  // ==========================================
+
+  async getSettings(shopId, repairOrderId) {
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+    });
+    if (!repairOrder) throw new NotFoundError('Repair order not found');
+    return repairOrder;
+  }
+
+  /**
+   * Turn automatic status updates on or off for one repair order
+   */
+  async setEnabled(shopId, repairOrderId, enabled, reason = null) {
+    const repairOrder = await this.getSettings(shopId, repairOrderId);
+    return repairOrder.update({
+      autoNotificationsEnabled: Boolean(enabled),
+      autoNotificationsOptOutReason: enabled ? null : reason,
+    });
+  }
+}
+
+module.exports = new CustomerNotificationRules();
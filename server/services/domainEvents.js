@@ -0,0 +1,56 @@
+const EventEmitter = require('events');
+
+/**
+ * Domain Events for CollisionOS
+ * In-process bus for things that happened to a repair, so other services can
+ * react without the routes knowing about them.
+ *
+ * Events (payloads always carry shopId and occurredAt):
+ * - job.stage_changed: { jobId, fromStage, toStage, movementType, userId }
+ * - parts.received: { repairOrderId, partIds, userId }
+ * - qc.completed: { repairOrderId, jobId, stage, passed, userId }
+ * - loaner.return_changed: { repairOrderId, reservationId,
+ *   previousReturnDate, returnDate }
+ *
+ * Listeners run after the publishing request has been handled; a failing
+ * listener is logged and never reaches the publisher.
+ */
+
+const EVENTS = {
+  JOB_STAGE_CHANGED: 'job.stage_changed',
+  PARTS_RECEIVED: 'parts.received',
+  QC_COMPLETED: 'qc.completed',
+  LOANER_RETURN_CHANGED: 'loaner.return_changed',
+};
+
+class DomainEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.EVENTS = EVENTS;
+  }
+
+  /**
+   * Publish an event to every subscriber on the next tick
+   */
+  publish(name, payload = {}) {
+    const event = { ...payload, name, occurredAt: new Date() };
+    setImmediate(() => this.emit(name, event));
+    return event;
+  }
+
+  /**
+   * Subscribe with an async handler whose errors are logged
+   */
+  subscribe(name, handler) {
+    this.on(name, event =>
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(error =>
+          console.error(`Domain event handler for ${name} failed:`, error)
+        )
+    );
+  }
+}
+
+module.exports = new DomainEvents();
+module.exports.EVENTS = EVENTS;
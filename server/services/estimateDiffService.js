@@ -3,7 +3,13 @@
  * Compares BMS estimate versions and tracks changes
  */
 
-// TODO: Replace with local database connection
+const {
+  EstimateVersion,
+  EstimateLineItemChange,
+  RepairOrderManagement,
+  sequelize,
+} = require('../database/models');
+const { realtimeService } = require('./realtimeService');
 
 /**
  * Compare two BMS parsed results and generate a detailed diff
@@ -38,15 +44,15 @@ function compareBMSEstimates(currentBMS, previousBMS) {
         parts: parseFloat(previousBMS.financial?.partsTotal || 0),
         labor: parseFloat(previousBMS.financial?.laborTotal || 0),
         materials: parseFloat(previousBMS.financial?.materialsTotal || 0),
-        tax: parseFloat(previousBMS.financial?.partsTax || 0) + parseFloat(previousBMS.financial?.laborTax || 0),
-        grand: parseFloat(previousBMS.documentInfo?.totalAmount || 0),
+        tax: getTaxTotal(previousBMS),
+        grand: getGrandTotal(previousBMS),
       },
       current: {
         parts: parseFloat(currentBMS.financial?.partsTotal || 0),
         labor: parseFloat(currentBMS.financial?.laborTotal || 0),
         materials: parseFloat(currentBMS.financial?.materialsTotal || 0),
-        tax: parseFloat(currentBMS.financial?.partsTax || 0) + parseFloat(currentBMS.financial?.laborTax || 0),
-        grand: parseFloat(currentBMS.documentInfo?.totalAmount || 0),
+        tax: getTaxTotal(currentBMS),
+        grand: getGrandTotal(currentBMS),
       },
       changes: {},
     },
@@ -231,61 +237,119 @@ function compareBMSEstimates(currentBMS, previousBMS) {
   return diff;
 }
 
+/**
+ * Grand total of a parsed BMS estimate. Parser output carries it in
+ * financial.total; documentInfo.totalAmount is kept for older payloads.
+ */
+function getGrandTotal(bmsData) {
+  return parseFloat(
+    bmsData.documentInfo?.totalAmount ||
+      bmsData.financial?.total ||
+      bmsData.financial?.grandTotal ||
+      bmsData.financial?.totalEstimate ||
+      0
+  );
+}
+
+/**
+ * Tax total of a parsed BMS estimate
+ */
+function getTaxTotal(bmsData) {
+  const splitTax =
+    parseFloat(bmsData.financial?.partsTax || 0) +
+    parseFloat(bmsData.financial?.laborTax || 0);
+  return splitTax || parseFloat(bmsData.financial?.taxTotal || 0);
+}
+
+/**
+ * Estimate header info from either bmsService output (documentInfo)
+ * or raw parser output (estimate)
+ */
+function getDocumentInfo(bmsData) {
+  return bmsData.documentInfo || bmsData.estimate || {};
+}
+
+/**
+ * Supplement number of a parsed BMS estimate (S01 = 1, original = 0).
+ * Uses the parser's DocumentVer detection first, then the file name.
+ * @param {Object} bmsData - Parsed BMS data
+ * @param {string} fileName - Source file name, e.g. "12345-S02.xml"
+ * @returns {number}
+ */
+function detectSupplementNumber(bmsData, fileName = '') {
+  const documentInfo = getDocumentInfo(bmsData);
+  if (documentInfo.supplementNumber > 0) {
+    return documentInfo.supplementNumber;
+  }
+
+  const baseName = `${fileName || ''}`.replace(/\.[^.]+$/, '');
+  const match = baseName.match(/(?:^|[-_\s.])S(?:UPP?)?(\d{1,2})$/i);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
 /**
  * Save estimate version and diff to database
- * @param {UUID} claimId - Insurance claim ID
- * @param {UUID} jobId - Job ID
+ * @param {number} claimId - ClaimManagement ID
+ * @param {number} repairOrderId - RepairOrderManagement ID (optional)
  * @param {Object} bmsData - Full parsed BMS data
  * @param {Object} diff - Diff object (if comparing to previous version)
  * @param {string} revisionReason - Reason for this version (initial, supplement, etc.)
+ * @param {Object} options - { shopId, claimNumber, supplementNumber, previousVersionId, fileName, userId, transaction }
  */
-async function saveEstimateVersion(claimId, jobId, bmsData, diff = null, revisionReason = 'initial') {
+async function saveEstimateVersion(
+  claimId,
+  repairOrderId,
+  bmsData,
+  diff = null,
+  revisionReason = 'initial',
+  options = {}
+) {
+  const { transaction } = options;
+  const documentInfo = getDocumentInfo(bmsData);
+
   try {
     // Get the latest version number for this claim
-    const { data: latestVersion } = await supabaseAdmin
-      .from('estimate_versions')
-      .select('version_number')
-      .eq('claim_id', claimId)
-      .order('version_number', { ascending: false })
-      .limit(1)
-      .single();
-
-    const nextVersionNumber = latestVersion ? latestVersion.version_number + 1 : 1;
-
-    // Prepare version data
-    const versionData = {
-      claim_id: claimId,
-      job_id: jobId,
-      version_number: nextVersionNumber,
-      estimate_number: bmsData.documentInfo?.estimateNumber || `EST-${Date.now()}`,
-      revision_reason: revisionReason,
-      estimate_date: bmsData.documentInfo?.date ? new Date(bmsData.documentInfo.date).toISOString() : null,
-      parts_total: parseFloat(bmsData.financial?.partsTotal || 0),
-      labor_total: parseFloat(bmsData.financial?.laborTotal || 0),
-      materials_total: parseFloat(bmsData.financial?.materialsTotal || 0),
-      tax_total: (parseFloat(bmsData.financial?.partsTax || 0) + parseFloat(bmsData.financial?.laborTax || 0)),
-      grand_total: parseFloat(bmsData.documentInfo?.totalAmount || 0),
-      bms_data: bmsData,
-      diff_summary: diff ? diff.summary : null,
-    };
-
-    // Insert estimate version
-    const { data: newVersion, error: versionError } = await supabaseAdmin
-      .from('estimate_versions')
-      .insert([versionData])
-      .select()
-      .single();
+    const latestVersion = await EstimateVersion.findOne({
+      where: { claimManagementId: claimId },
+      order: [['versionNumber', 'DESC']],
+      transaction,
+    });
 
-    if (versionError) {
-      console.error('Error saving estimate version:', versionError);
-      throw versionError;
-    }
+    const nextVersionNumber = latestVersion ? latestVersion.versionNumber + 1 : 1;
+    const supplementNumber = options.supplementNumber || 0;
+
+    const newVersion = await EstimateVersion.create(
+      {
+        shopId: options.shopId,
+        claimManagementId: claimId,
+        repairOrderId: repairOrderId || null,
+        previousVersionId: options.previousVersionId || latestVersion?.id || null,
+        claimNumber: options.claimNumber || documentInfo.claimNumber,
+        versionNumber: nextVersionNumber,
+        supplementNumber,
+        versionType: supplementNumber > 0 ? 'supplement' : 'original',
+        estimateNumber: documentInfo.estimateNumber || `EST-${Date.now()}`,
+        revisionReason,
+        estimateDate: documentInfo.date ? new Date(documentInfo.date) : null,
+        sourceFileName: options.fileName || null,
+        partsTotal: parseFloat(bmsData.financial?.partsTotal || 0),
+        laborTotal: parseFloat(bmsData.financial?.laborTotal || 0),
+        materialsTotal: parseFloat(bmsData.financial?.materialsTotal || 0),
+        taxTotal: getTaxTotal(bmsData),
+        grandTotal: getGrandTotal(bmsData),
+        supplementAmount: diff ? diff.totals.changes.grand : 0,
+        bmsData: JSON.parse(JSON.stringify(bmsData)),
+        diffSummary: diff ? diff.summary : null,
+        importedBy: options.userId || null,
+      },
+      { transaction }
+    );
 
     console.log(`✅ Saved estimate version ${nextVersionNumber} for claim ${claimId}`);
 
     // Save line item changes if diff exists
-    if (diff && newVersion) {
-      await saveLineItemChanges(newVersion.id, claimId, diff);
+    if (diff) {
+      await saveLineItemChanges(newVersion.id, claimId, diff, { transaction });
     }
 
     return {
@@ -294,7 +358,6 @@ async function saveEstimateVersion(claimId, jobId, bmsData, diff = null, revisio
       versionNumber: nextVersionNumber,
       diff: diff,
     };
-
   } catch (error) {
     console.error('Error in saveEstimateVersion:', error);
     throw error;
@@ -302,77 +365,75 @@ async function saveEstimateVersion(claimId, jobId, bmsData, diff = null, revisio
 }
 
 /**
- * Save detailed line item changes
+ * Build line item change rows from a diff
  */
-async function saveLineItemChanges(versionId, claimId, diff) {
+function buildLineItemChanges(versionId, claimId, diff) {
   const lineItems = [];
+  const base = { versionId, claimManagementId: claimId };
 
   // Added parts
   diff.parts.added.forEach(part => {
     lineItems.push({
-      version_id: versionId,
-      claim_id: claimId,
-      line_number: part.lineNumber,
-      item_type: 'part',
+      ...base,
+      lineNumber: part.lineNumber,
+      itemType: 'part',
       description: part.description,
-      part_number: part.partNumber,
-      change_type: 'added',
-      current_quantity: part.quantity,
-      current_price: part.price,
-      current_extended: part.extended,
-      quantity_change: part.quantity,
-      price_change: part.price,
-      extended_change: part.extended,
+      partNumber: part.partNumber,
+      changeType: 'added',
+      currentQuantity: part.quantity,
+      currentPrice: part.price,
+      currentExtended: part.extended,
+      quantityChange: part.quantity,
+      priceChange: part.price,
+      extendedChange: part.extended,
     });
   });
 
   // Removed parts
   diff.parts.removed.forEach(part => {
     lineItems.push({
-      version_id: versionId,
-      claim_id: claimId,
-      line_number: part.lineNumber,
-      item_type: 'part',
+      ...base,
+      lineNumber: part.lineNumber,
+      itemType: 'part',
       description: part.description,
-      part_number: part.partNumber,
-      change_type: 'removed',
-      previous_quantity: part.quantity,
-      previous_price: part.price,
-      previous_extended: part.extended,
-      quantity_change: -part.quantity,
-      price_change: -part.price,
-      extended_change: -part.extended,
+      partNumber: part.partNumber,
+      changeType: 'removed',
+      previousQuantity: part.quantity,
+      previousPrice: part.price,
+      previousExtended: part.extended,
+      quantityChange: -parseFloat(part.quantity || 0),
+      priceChange: -parseFloat(part.price || 0),
+      extendedChange: -part.extended,
     });
   });
 
   // Modified parts
   diff.parts.modified.forEach(part => {
     const lineItem = {
-      version_id: versionId,
-      claim_id: claimId,
-      line_number: part.lineNumber,
-      item_type: 'part',
+      ...base,
+      lineNumber: part.lineNumber,
+      itemType: 'part',
       description: part.description,
-      part_number: part.partNumber,
-      change_type: 'modified',
+      partNumber: part.partNumber,
+      changeType: 'modified',
     };
 
     if (part.changes.quantity) {
-      lineItem.previous_quantity = part.changes.quantity.from;
-      lineItem.current_quantity = part.changes.quantity.to;
-      lineItem.quantity_change = part.changes.quantity.change;
+      lineItem.previousQuantity = part.changes.quantity.from;
+      lineItem.currentQuantity = part.changes.quantity.to;
+      lineItem.quantityChange = part.changes.quantity.change;
     }
 
     if (part.changes.price) {
-      lineItem.previous_price = part.changes.price.from;
-      lineItem.current_price = part.changes.price.to;
-      lineItem.price_change = part.changes.price.change;
+      lineItem.previousPrice = part.changes.price.from;
+      lineItem.currentPrice = part.changes.price.to;
+      lineItem.priceChange = part.changes.price.change;
     }
 
     if (part.changes.extended) {
-      lineItem.previous_extended = part.changes.extended.from;
-      lineItem.current_extended = part.changes.extended.to;
-      lineItem.extended_change = part.changes.extended.change;
+      lineItem.previousExtended = part.changes.extended.from;
+      lineItem.currentExtended = part.changes.extended.to;
+      lineItem.extendedChange = part.changes.extended.change;
     }
 
     lineItems.push(lineItem);
@@ -381,106 +442,247 @@ async function saveLineItemChanges(versionId, claimId, diff) {
   // Added labor
   diff.labor.added.forEach(labor => {
     lineItems.push({
-      version_id: versionId,
-      claim_id: claimId,
-      line_number: labor.lineNumber,
-      item_type: 'labor',
+      ...base,
+      lineNumber: labor.lineNumber,
+      itemType: 'labor',
       description: labor.operation,
-      change_type: 'added',
-      current_hours: labor.hours,
-      hours_change: labor.hours,
+      changeType: 'added',
+      currentHours: labor.hours,
+      hoursChange: labor.hours,
     });
   });
 
   // Removed labor
   diff.labor.removed.forEach(labor => {
     lineItems.push({
-      version_id: versionId,
-      claim_id: claimId,
-      line_number: labor.lineNumber,
-      item_type: 'labor',
+      ...base,
+      lineNumber: labor.lineNumber,
+      itemType: 'labor',
       description: labor.operation,
-      change_type: 'removed',
-      previous_hours: labor.hours,
-      hours_change: -labor.hours,
+      changeType: 'removed',
+      previousHours: labor.hours,
+      hoursChange: -parseFloat(labor.hours || 0),
     });
   });
 
   // Modified labor
   diff.labor.modified.forEach(labor => {
     const lineItem = {
-      version_id: versionId,
-      claim_id: claimId,
-      line_number: labor.lineNumber,
-      item_type: 'labor',
+      ...base,
+      lineNumber: labor.lineNumber,
+      itemType: 'labor',
       description: labor.operation,
-      change_type: 'modified',
+      changeType: 'modified',
     };
 
     if (labor.changes.hours) {
-      lineItem.previous_hours = labor.changes.hours.from;
-      lineItem.current_hours = labor.changes.hours.to;
-      lineItem.hours_change = labor.changes.hours.change;
+      lineItem.previousHours = labor.changes.hours.from;
+      lineItem.currentHours = labor.changes.hours.to;
+      lineItem.hoursChange = labor.changes.hours.change;
     }
 
     lineItems.push(lineItem);
   });
 
+  // Decimal.js values from the parser are stored as plain numbers
+  return JSON.parse(JSON.stringify(lineItems));
+}
+
+/**
+ * Save detailed line item changes
+ */
+async function saveLineItemChanges(versionId, claimId, diff, { transaction } = {}) {
+  const lineItems = buildLineItemChanges(versionId, claimId, diff);
+
   // Bulk insert line item changes
   if (lineItems.length > 0) {
-    const { error } = await supabaseAdmin
-      .from('estimate_line_item_changes')
-      .insert(lineItems);
+    await EstimateLineItemChange.bulkCreate(lineItems, { transaction });
+    console.log(`✅ Saved ${lineItems.length} line item changes`);
+  }
 
-    if (error) {
-      console.error('Error saving line item changes:', error);
-      throw error;
+  return lineItems;
+}
+
+/**
+ * Record a BMS import as the next estimate version of a claim. The first
+ * import is stored as the original; later imports are diffed against the
+ * version with the highest supplement number and roll their delta into the
+ * repair order's supplement counters. Importing that version again, or any
+ * older supplement, records nothing and returns the version it duplicates.
+ * @param {Object} params - { shopId, claim, repairOrder, bmsData, fileName, userId }
+ * @returns {Object} { version, diff, isSupplement, supplementNumber, duplicate }
+ */
+async function recordEstimateVersion({ shopId, claim, repairOrder, bmsData, fileName, userId }) {
+  // Files can be imported out of order, so the current estimate is the one
+  // with the highest supplement number rather than the last one imported
+  const latestVersion = await EstimateVersion.findOne({
+    where: { claimManagementId: claim.id },
+    order: [
+      ['supplementNumber', 'DESC'],
+      ['versionNumber', 'DESC'],
+    ],
+  });
+
+  const isSupplement = !!latestVersion;
+  let supplementNumber = isSupplement ? detectSupplementNumber(bmsData, fileName) : 0;
+
+  if (isSupplement && supplementNumber < latestVersion.supplementNumber) {
+    const earlierVersion = await EstimateVersion.findOne({
+      where: { claimManagementId: claim.id, supplementNumber },
+      order: [['versionNumber', 'DESC']],
+    });
+    const earlierDiff = earlierVersion
+      ? compareBMSEstimates(bmsData, earlierVersion.bmsData || {})
+      : null;
+
+    // A marked older supplement has been superseded; an unmarked file is only
+    // a duplicate when it matches the original exactly
+    if (supplementNumber > 0 || (earlierDiff && !earlierDiff.summary.hasChanges)) {
+      return {
+        version: earlierVersion || latestVersion,
+        diff: earlierDiff,
+        isSupplement: false,
+        supplementNumber,
+        duplicate: true,
+      };
     }
+  }
 
-    console.log(`✅ Saved ${lineItems.length} line item changes`);
+  const diff = isSupplement
+    ? compareBMSEstimates(bmsData, latestVersion.bmsData || {})
+    : null;
+
+  if (isSupplement && supplementNumber <= latestVersion.supplementNumber) {
+    if (!diff.summary.hasChanges) {
+      return {
+        version: latestVersion,
+        diff,
+        isSupplement: false,
+        supplementNumber: latestVersion.supplementNumber,
+        duplicate: true,
+      };
+    }
+    // File carried no (or a stale) supplement marker; number it ourselves
+    supplementNumber = latestVersion.supplementNumber + 1;
+  }
+
+  const result = await sequelize.transaction(async transaction => {
+    // The baseline is recorded before the claim has a repair order; link it
+    // (and anything else imported since) once one exists
+    if (isSupplement && repairOrder) {
+      await EstimateVersion.update(
+        { repairOrderId: repairOrder.id },
+        { where: { claimManagementId: claim.id, repairOrderId: null }, transaction }
+      );
+    }
+
+    const saved = await saveEstimateVersion(
+      claim.id,
+      repairOrder?.id,
+      bmsData,
+      diff,
+      isSupplement ? `Supplement ${supplementNumber}` : 'initial',
+      {
+        shopId,
+        claimNumber: claim.claimNumber,
+        supplementNumber,
+        previousVersionId: latestVersion?.id,
+        fileName,
+        userId,
+        transaction,
+      }
+    );
+
+    if (isSupplement && repairOrder) {
+      await repairOrder.update(
+        {
+          supplementCount: (repairOrder.supplementCount || 0) + 1,
+          totalSupplementAmount:
+            parseFloat(repairOrder.totalSupplementAmount || 0) + diff.totals.changes.grand,
+          lastSupplementDate: new Date(),
+          supplementsPending: true,
+          roStatus: 'supplement_pending',
+        },
+        { transaction }
+      );
+    }
+
+    return saved;
+  });
+
+  if (isSupplement) {
+    realtimeService.notifyChange(
+      'estimate_versions',
+      'INSERT',
+      {
+        claimNumber: claim.claimNumber,
+        repairOrderId: repairOrder?.id,
+        versionNumber: result.versionNumber,
+        supplementNumber,
+        summary: diff.summary,
+      },
+      shopId
+    );
   }
+
+  return {
+    version: result.version,
+    diff,
+    isSupplement,
+    supplementNumber,
+    duplicate: false,
+  };
 }
 
 /**
  * Get estimate version history for a claim
  */
 async function getEstimateVersionHistory(claimId) {
-  const { data, error } = await supabaseAdmin
-    .from('estimate_versions')
-    .select('*')
-    .eq('claim_id', claimId)
-    .order('version_number', { ascending: true });
-
-  if (error) {
-    console.error('Error fetching version history:', error);
-    throw error;
-  }
+  return EstimateVersion.findAll({
+    where: { claimManagementId: claimId },
+    attributes: { exclude: ['bmsData'] },
+    order: [
+      ['supplementNumber', 'ASC'],
+      ['versionNumber', 'ASC'],
+    ],
+  });
+}
 
-  return data;
+/**
+ * Get supplement timeline for a repair order: every version with its
+ * added, removed and changed line items
+ */
+async function getRepairOrderSupplements(repairOrder) {
+  return EstimateVersion.findAll({
+    where: { claimManagementId: repairOrder.claimManagementId },
+    attributes: { exclude: ['bmsData'] },
+    include: [{ model: EstimateLineItemChange, as: 'changes' }],
+    order: [
+      ['supplementNumber', 'ASC'],
+      ['versionNumber', 'ASC'],
+      [{ model: EstimateLineItemChange, as: 'changes' }, 'lineNumber', 'ASC'],
+    ],
+  });
 }
 
 /**
  * Get detailed changes for a specific version
  */
 async function getVersionChanges(versionId) {
-  const { data, error } = await supabaseAdmin
-    .from('estimate_line_item_changes')
-    .select('*')
-    .eq('version_id', versionId)
-    .order('line_number', { ascending: true });
-
-  if (error) {
-    console.error('Error fetching version changes:', error);
-    throw error;
-  }
-
-  return data;
+  return EstimateLineItemChange.findAll({
+    where: { versionId },
+    order: [['lineNumber', 'ASC']],
+  });
 }
 
 module.exports = {
   compareBMSEstimates,
+  detectSupplementNumber,
   saveEstimateVersion,
   saveLineItemChanges,
+  buildLineItemChanges,
+  recordEstimateVersion,
   getEstimateVersionHistory,
+  getRepairOrderSupplements,
   getVersionChanges,
 };
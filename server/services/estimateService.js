@@ -0,0 +1,697 @@
+/**
+ * Estimate Service
+ *
+ * In-house estimate writing on top of the Estimate and EstimateLineItem models:
+ * - Line item normalization for part, labor, paint, material and sublet lines
+ * - Totals recalculation from line items
+ * - Status workflow: draft → sent → approved → converted_to_job
+ * - Conversion of approved estimates into a Job or a RepairOrderManagement record
+ */
+
+const { Op } = require('sequelize');
+const {
+  Estimate,
+  EstimateLineItem,
+  Job,
+  RepairOrderManagement,
+  ClaimManagement,
+  VehicleProfile,
+  Vehicle,
+  Customer,
+  Shop,
+  sequelize,
+} = require('../database/models');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require('../utils/errorHandler');
+
+const LINE_TYPES = [
+  'part',
+  'labor',
+  'paint',
+  'material',
+  'sublet',
+  'other',
+  'tax',
+  'discount',
+];
+
+// Lines priced as hours × rate rather than quantity × unit price
+const HOURLY_LINE_TYPES = ['labor', 'paint'];
+
+// Which estimate total each line type rolls into
+const TOTAL_FIELD_BY_TYPE = {
+  part: 'partsTotal',
+  labor: 'laborTotal',
+  paint: 'paintTotal',
+  material: 'materialTotal',
+  sublet: 'subletTotal',
+  other: 'otherTotal',
+  discount: 'otherTotal',
+  tax: 'taxTotal',
+};
+
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'approved', 'rejected'],
+  sent: ['approved', 'rejected', 'revised', 'under_review'],
+  pending_review: ['under_review', 'approved', 'rejected', 'revised'],
+  under_review: ['approved', 'rejected', 'revised'],
+  revised: ['sent', 'approved', 'rejected'],
+  supplements_required: ['revised', 'sent'],
+  rejected: ['revised', 'draft'],
+  approved: ['converted_to_job', 'supplements_required', 'revised'],
+  converted_to_job: [],
+};
+
+// Line items can only be changed while the estimate is being written
+const EDITABLE_STATUSES = ['draft', 'revised', 'supplements_required'];
+
+const DEFAULT_LABOR_RATE = 75.0;
+
+const toNumber = value => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+class EstimateService {
+  constructor() {
+    this.LINE_TYPES = LINE_TYPES;
+    this.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+    this.EDITABLE_STATUSES = EDITABLE_STATUSES;
+  }
+
+  /**
+   * Normalize raw line item input into EstimateLineItem fields.
+   * Labor and paint lines are priced as hours × rate.
+   * @param {Object} input - Line item payload (camelCase or snake_case)
+   * @param {Object} rates - { laborRate, paintRate } shop defaults
+   * @returns {Object} Line item attributes
+   */
+  normalizeLineItem(input = {}, rates = {}) {
+    const type = input.type || input.line_type;
+    if (!LINE_TYPES.includes(type)) {
+      throw new ValidationError(
+        `Invalid line type "${type}". Expected one of: ${LINE_TYPES.join(', ')}`
+      );
+    }
+
+    const description = input.description || input.partDescription;
+    if (!description) {
+      throw new ValidationError('Line item description is required');
+    }
+
+    const line = {
+      type,
+      description,
+      category: input.category || null,
+      operationCode: input.operationCode || input.operation_code || null,
+      quantity: toNumber(input.quantity ?? 1),
+      unitPrice: toNumber(input.unitPrice ?? input.unit_price ?? 0),
+      discount: input.discount != null ? toNumber(input.discount) : null,
+      discountAmount: toNumber(input.discountAmount ?? input.discount_amount),
+      taxable: input.taxable != null ? Boolean(input.taxable) : type !== 'tax',
+      taxRate:
+        input.taxRate != null || input.tax_rate != null
+          ? toNumber(input.taxRate ?? input.tax_rate)
+          : null,
+      notes: input.notes || null,
+    };
+
+    if (type === 'part') {
+      Object.assign(line, {
+        partNumber: input.partNumber || input.part_number || null,
+        partType: input.partType || input.part_type || null,
+        vendorId: input.vendorId || input.vendor_id || null,
+        vendorPartNumber:
+          input.vendorPartNumber || input.vendor_part_number || null,
+        cost: input.cost != null ? toNumber(input.cost) : null,
+        listPrice:
+          input.listPrice != null ? toNumber(input.listPrice) : null,
+      });
+    }
+
+    if (HOURLY_LINE_TYPES.includes(type)) {
+      const hours = toNumber(
+        input.laborHours ??
+          input.labor_hours ??
+          input.refinishHours ??
+          input.hours ??
+          input.quantity
+      );
+      const defaultRate =
+        type === 'paint'
+          ? rates.paintRate || rates.laborRate
+          : rates.laborRate;
+      const rate = toNumber(
+        input.laborRate ?? input.labor_rate ?? defaultRate ?? DEFAULT_LABOR_RATE
+      );
+
+      Object.assign(line, {
+        laborHours: hours,
+        laborRate: rate,
+        laborType: input.laborType || input.labor_type || (type === 'paint' ? 'paint' : 'body'),
+        quantity: hours,
+        unitPrice: rate,
+      });
+
+      if (type === 'paint') {
+        Object.assign(line, {
+          isRefinish: true,
+          refinishHours: hours,
+          paintCode: input.paintCode || input.paint_code || null,
+          paintType: input.paintType || input.paint_type || null,
+        });
+      }
+    }
+
+    if (type === 'sublet') {
+      Object.assign(line, {
+        isSublet: true,
+        subletVendorId: input.subletVendorId || input.sublet_vendor_id || null,
+      });
+    }
+
+    line.totalPrice = this.calculateLineTotal(line);
+    return line;
+  }
+
+  /**
+   * Extended price for a single line after discounts
+   * @param {Object} line - Line item attributes
+   * @returns {number} Line total (never negative)
+   */
+  calculateLineTotal(line) {
+    let total = toNumber(line.unitPrice) * toNumber(line.quantity);
+
+    if (line.discount && toNumber(line.discount) > 0) {
+      total = total * (1 - toNumber(line.discount) / 100);
+    }
+
+    if (line.discountAmount && toNumber(line.discountAmount) > 0) {
+      total = total - toNumber(line.discountAmount);
+    }
+
+    return round2(Math.max(0, total));
+  }
+
+  /**
+   * Roll line items up into estimate totals
+   * @param {Array} lineItems - EstimateLineItem records or plain objects
+   * @param {Object} options - { taxRate } default tax percentage for taxable lines
+   * @returns {Object} Totals keyed by Estimate column name
+   */
+  calculateTotals(lineItems = [], options = {}) {
+    const totals = {
+      partsTotal: 0,
+      laborTotal: 0,
+      paintTotal: 0,
+      materialTotal: 0,
+      subletTotal: 0,
+      otherTotal: 0,
+      taxTotal: 0,
+    };
+    let laborHours = 0;
+
+    for (const line of lineItems) {
+      const lineTotal =
+        line.totalPrice != null
+          ? toNumber(line.totalPrice)
+          : this.calculateLineTotal(line);
+      const field = TOTAL_FIELD_BY_TYPE[line.type];
+      if (!field) continue;
+
+      totals[field] += line.type === 'discount' ? -lineTotal : lineTotal;
+
+      if (HOURLY_LINE_TYPES.includes(line.type)) {
+        laborHours += toNumber(line.laborHours ?? line.quantity);
+      }
+
+      if (line.type !== 'tax' && line.type !== 'discount' && line.taxable !== false) {
+        const rate =
+          line.taxRate != null ? toNumber(line.taxRate) : toNumber(options.taxRate);
+        totals.taxTotal += (lineTotal * rate) / 100;
+      }
+    }
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = round2(totals[key]);
+    });
+
+    totals.estimateTotal = round2(
+      Object.values(totals).reduce((sum, value) => sum + value, 0)
+    );
+    totals.laborHours = round2(laborHours);
+
+    return totals;
+  }
+
+  /**
+   * Check whether an estimate may move between two statuses
+   */
+  canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Load shop-level pricing defaults used when writing lines
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<Object>} { laborRate, paintRate, taxRate }
+   */
+  async getShopRates(shopId) {
+    const shop = shopId ? await Shop.findByPk(shopId) : null;
+    const settings = (shop && shop.settings) || {};
+
+    return {
+      laborRate: toNumber(settings.laborRate) || DEFAULT_LABOR_RATE,
+      paintRate:
+        toNumber(settings.paintRate) ||
+        toNumber(settings.laborRate) ||
+        DEFAULT_LABOR_RATE,
+      taxRate: toNumber(settings.taxRate),
+    };
+  }
+
+  /**
+   * Fetch an estimate scoped to a shop or throw NotFoundError
+   */
+  async getEstimate(id, shopId, options = {}) {
+    const estimate = await Estimate.findOne({
+      where: { id, shopId },
+      ...options,
+    });
+
+    if (!estimate) {
+      throw new NotFoundError('Estimate not found');
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Throw unless the customer and vehicle being set belong to the shop
+   * @param {string} shopId - Shop ID
+   * @param {Object} fields - { customerId?, vehicleId? }
+   */
+  async assertShopCustomerAndVehicle(shopId, { customerId, vehicleId } = {}, transaction) {
+    if (customerId) {
+      const customer = await Customer.findOne({
+        where: { id: customerId, shopId },
+        attributes: ['id'],
+        transaction,
+      });
+      if (!customer) {
+        throw new NotFoundError('Customer not found');
+      }
+    }
+
+    if (vehicleId) {
+      const vehicle = await Vehicle.findOne({
+        where: { id: vehicleId, shopId },
+        attributes: ['id'],
+        transaction,
+      });
+      if (!vehicle) {
+        throw new NotFoundError('Vehicle not found');
+      }
+    }
+  }
+
+  /**
+   * The estimate's customer and vehicle, limited to the estimate's shop
+   * @returns {Promise<Object>} { customer, vehicle }
+   */
+  async getCustomerAndVehicle(estimate) {
+    const [customer, vehicle] = await Promise.all([
+      Customer.findOne({
+        where: { id: estimate.customerId, shopId: estimate.shopId },
+        attributes: ['id', 'firstName', 'lastName', 'phone', 'email'],
+      }),
+      Vehicle.findOne({
+        where: { id: estimate.vehicleId, shopId: estimate.shopId },
+        attributes: ['id', 'vin', 'year', 'make', 'model', 'trim', 'licensePlate', 'color'],
+      }),
+    ]);
+
+    return { customer, vehicle };
+  }
+
+  /**
+   * Throw unless the estimate's line items may still be edited
+   */
+  assertEditable(estimate) {
+    if (!EDITABLE_STATUSES.includes(estimate.status)) {
+      throw new ConflictError(
+        `Estimate is ${estimate.status}; move it to revised before editing line items`
+      );
+    }
+  }
+
+  /**
+   * Create an estimate with optional initial line items
+   * @param {Object} data - Estimate header fields
+   * @param {Array} lineItems - Raw line item payloads
+   * @param {Object} context - { shopId, userId }
+   */
+  async createEstimate(data, lineItems = [], context = {}) {
+    const { shopId, userId } = context;
+    await this.assertShopCustomerAndVehicle(shopId, data);
+    const rates = await this.getShopRates(shopId);
+
+    return sequelize.transaction(async transaction => {
+      const estimate = await Estimate.create(
+        {
+          ...data,
+          shopId,
+          status: 'draft',
+          createdBy: userId,
+          updatedBy: userId,
+        },
+        { transaction }
+      );
+
+      let lineNumber = 1;
+      for (const input of lineItems) {
+        await EstimateLineItem.create(
+          {
+            ...this.normalizeLineItem(input, rates),
+            estimateId: estimate.id,
+            lineNumber: lineNumber++,
+            createdBy: userId,
+          },
+          { transaction }
+        );
+      }
+
+      await this.recalculateTotals(estimate, { transaction, taxRate: rates.taxRate });
+      return estimate;
+    });
+  }
+
+  /**
+   * Add a line item to an editable estimate and refresh totals
+   */
+  async addLineItem(estimate, input, context = {}) {
+    this.assertEditable(estimate);
+    const rates = await this.getShopRates(estimate.shopId);
+
+    const lastLineNumber =
+      (await EstimateLineItem.max('lineNumber', {
+        where: { estimateId: estimate.id },
+      })) || 0;
+
+    const lineItem = await EstimateLineItem.create({
+      ...this.normalizeLineItem(input, rates),
+      estimateId: estimate.id,
+      lineNumber: input.lineNumber || input.line_number || lastLineNumber + 1,
+      createdBy: context.userId,
+    });
+
+    await this.recalculateTotals(estimate, { taxRate: rates.taxRate });
+    return lineItem;
+  }
+
+  /**
+   * Update a line item on an editable estimate and refresh totals
+   */
+  async updateLineItem(estimate, lineItemId, input, context = {}) {
+    this.assertEditable(estimate);
+    const rates = await this.getShopRates(estimate.shopId);
+
+    const lineItem = await EstimateLineItem.findOne({
+      where: { id: lineItemId, estimateId: estimate.id },
+    });
+    if (!lineItem) {
+      throw new NotFoundError('Line item not found');
+    }
+
+    const merged = { ...lineItem.toJSON(), ...input };
+    await lineItem.update({
+      ...this.normalizeLineItem(merged, rates),
+      updatedBy: context.userId,
+    });
+
+    await this.recalculateTotals(estimate, { taxRate: rates.taxRate });
+    return lineItem;
+  }
+
+  /**
+   * Remove a line item from an editable estimate and refresh totals
+   */
+  async removeLineItem(estimate, lineItemId) {
+    this.assertEditable(estimate);
+
+    const deleted = await EstimateLineItem.destroy({
+      where: { id: lineItemId, estimateId: estimate.id },
+    });
+    if (!deleted) {
+      throw new NotFoundError('Line item not found');
+    }
+
+    const { taxRate } = await this.getShopRates(estimate.shopId);
+    return this.recalculateTotals(estimate, { taxRate });
+  }
+
+  /**
+   * Recompute estimate totals from its current line items
+   * @param {Object} estimate - Estimate instance
+   * @param {Object} options - { transaction, taxRate }
+   * @returns {Promise<Object>} Calculated totals
+   */
+  async recalculateTotals(estimate, options = {}) {
+    const { transaction } = options;
+    const lineItems = await EstimateLineItem.findAll({
+      where: { estimateId: estimate.id, status: { [Op.ne]: 'rejected' } },
+      transaction,
+    });
+
+    const { laborHours, ...totals } = this.calculateTotals(lineItems, options);
+    await estimate.update(totals, { transaction });
+
+    return { ...totals, laborHours };
+  }
+
+  /**
+   * Move an estimate through the status workflow
+   * @param {Object} estimate - Estimate instance
+   * @param {string} status - Target status
+   * @param {Object} context - { userId, notes }
+   */
+  async transitionStatus(estimate, status, context = {}) {
+    if (!this.canTransition(estimate.status, status)) {
+      throw new ConflictError(
+        `Cannot change estimate status from ${estimate.status} to ${status}`
+      );
+    }
+
+    if (status === 'converted_to_job') {
+      throw new ValidationError(
+        'Use the convert endpoint to convert an approved estimate'
+      );
+    }
+
+    const updates = { status, updatedBy: context.userId };
+
+    if (status === 'approved') {
+      updates.approvedBy = context.userId;
+    }
+    if (status === 'rejected') {
+      updates.rejectionReason = context.notes || estimate.rejectionReason;
+    }
+    if (status === 'revised') {
+      updates.revisionCount = (estimate.revisionCount || 0) + 1;
+      updates.revisionNotes = context.notes || estimate.revisionNotes;
+    }
+
+    await estimate.update(updates);
+    return estimate;
+  }
+
+  /**
+   * Convert an approved estimate into a Job or a repair order
+   * @param {Object} estimate - Estimate instance
+   * @param {string} target - 'job' | 'repair_order'
+   * @param {Object} context - { userId }
+   * @returns {Promise<Object>} { target, record }
+   */
+  async convertEstimate(estimate, target = 'job', context = {}) {
+    if (!estimate.canBeConverted()) {
+      throw new ConflictError('Only approved, unconverted estimates can be converted');
+    }
+
+    const lineItems = await EstimateLineItem.findAll({
+      where: { estimateId: estimate.id },
+    });
+    const laborHours = this.calculateTotals(lineItems).laborHours;
+
+    return sequelize.transaction(async transaction => {
+      let record;
+
+      if (target === 'job') {
+        record = await this.createJobFromEstimate(estimate, laborHours, context, transaction);
+        await estimate.update(
+          { status: 'converted_to_job', jobId: record.id, updatedBy: context.userId },
+          { transaction }
+        );
+      } else if (target === 'repair_order') {
+        record = await this.createRepairOrderFromEstimate(estimate, laborHours, context, transaction);
+        await estimate.update(
+          {
+            status: 'converted_to_job',
+            updatedBy: context.userId,
+            metadata: { ...(estimate.metadata || {}), repairOrderId: record.id },
+          },
+          { transaction }
+        );
+      } else {
+        throw new ValidationError('Conversion target must be "job" or "repair_order"');
+      }
+
+      return { target, record };
+    });
+  }
+
+  /**
+   * Create a Job carrying over the estimate's customer, vehicle and totals
+   */
+  async createJobFromEstimate(estimate, laborHours, context, transaction) {
+    return Job.create(
+      {
+        shopId: estimate.shopId,
+        customerId: estimate.customerId,
+        vehicleId: estimate.vehicleId,
+        status: 'intake',
+        estimateStatus: 'approved',
+        claimNumber: estimate.claimNumber,
+        insuranceId: estimate.insuranceCompanyId,
+        isInsurance: Boolean(estimate.insuranceCompanyId || estimate.claimNumber),
+        isCustomerPay: !estimate.insuranceCompanyId && !estimate.claimNumber,
+        isDRP: estimate.isDRP,
+        drpProgram: estimate.drpProgram,
+        deductible: toNumber(estimate.deductible),
+        totalAmount: toNumber(estimate.estimateTotal),
+        laborAmount: round2(toNumber(estimate.laborTotal) + toNumber(estimate.paintTotal)),
+        partsAmount: toNumber(estimate.partsTotal),
+        materialsAmount: toNumber(estimate.materialTotal),
+        subletAmount: toNumber(estimate.subletTotal),
+        taxAmount: toNumber(estimate.taxTotal),
+        estimatedHours: laborHours,
+        damageDescription: estimate.damageDescription,
+        repairDescription: estimate.repairDescription,
+        authorizationReceived: true,
+        authorizationDate: estimate.approvalDate || new Date(),
+        createdBy: context.userId,
+      },
+      { transaction }
+    );
+  }
+
+  /**
+   * Create a RepairOrderManagement record for an insurance estimate.
+   * Repair orders hang off a claim, so the estimate must carry a claim number.
+   */
+  async createRepairOrderFromEstimate(estimate, laborHours, context, transaction) {
+    if (!estimate.claimNumber) {
+      throw new ValidationError(
+        'Estimate has no claim number; convert it to a job instead'
+      );
+    }
+
+    const vehicleProfile = await this.findOrCreateVehicleProfile(estimate, transaction);
+
+    const [claim] = await ClaimManagement.findOrCreate({
+      where: { shopId: estimate.shopId, claimNumber: estimate.claimNumber },
+      defaults: {
+        shopId: estimate.shopId,
+        customerId: estimate.customerId,
+        vehicleProfileId: vehicleProfile.id,
+        insuranceCompanyId: estimate.insuranceCompanyId,
+        claimNumber: estimate.claimNumber,
+        claimStatus: 'open',
+        incidentDate: estimate.dateOfLoss,
+        adjusterName: estimate.adjusterName,
+        adjusterPhone: estimate.adjusterPhone,
+        adjusterEmail: estimate.adjusterEmail,
+        deductibleAmount: toNumber(estimate.deductible),
+      },
+      transaction,
+    });
+
+    const repairOrderNumber = await this.generateRepairOrderNumber(transaction);
+
+    return RepairOrderManagement.create(
+      {
+        shopId: estimate.shopId,
+        customerId: estimate.customerId,
+        vehicleProfileId: vehicleProfile.id,
+        claimManagementId: claim.id,
+        estimateId: estimate.id,
+        repairOrderNumber,
+        roStatus: 'estimate_approved',
+        dateEstimateApproved: estimate.approvalDate || new Date(),
+        estimatedTotal: toNumber(estimate.estimateTotal),
+        approvedTotal: toNumber(estimate.estimateTotal),
+        partsCost: toNumber(estimate.partsTotal),
+        laborCost: round2(toNumber(estimate.laborTotal) + toNumber(estimate.paintTotal)),
+        materialsCost: toNumber(estimate.materialTotal),
+        subletCost: toNumber(estimate.subletTotal),
+        totalTaxes: toNumber(estimate.taxTotal),
+        deductibleAmount: toNumber(estimate.deductible),
+        hoursEstimated: laborHours,
+        requiresSublets: toNumber(estimate.subletTotal) > 0,
+        roNotes: estimate.repairDescription || estimate.damageDescription,
+        createdBy: context.userId,
+      },
+      { transaction }
+    );
+  }
+
+  /**
+   * Repair orders reference VehicleProfile; mirror the estimate's Vehicle if needed
+   */
+  async findOrCreateVehicleProfile(estimate, transaction) {
+    const vehicle = await Vehicle.findOne({
+      where: { id: estimate.vehicleId, shopId: estimate.shopId },
+      transaction,
+    });
+    if (!vehicle) {
+      throw new NotFoundError('Estimate vehicle not found');
+    }
+
+    const [profile] = await VehicleProfile.findOrCreate({
+      where: { shopId: estimate.shopId, vin: vehicle.vin },
+      defaults: {
+        shopId: estimate.shopId,
+        customerId: estimate.customerId,
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model,
+        trim: vehicle.trim,
+        licensePlate: vehicle.licensePlate,
+        color: vehicle.color,
+      },
+      transaction,
+    });
+
+    return profile;
+  }
+
+  /**
+   * Sequential RO number per year: RO-YYYY-0001
+   */
+  async generateRepairOrderNumber(transaction) {
+    const year = new Date().getFullYear();
+    const count = await RepairOrderManagement.count({
+      where: { repairOrderNumber: { [Op.like]: `RO-${year}-%` } },
+      transaction,
+    });
+
+    return `RO-${year}-${(count + 1).toString().padStart(4, '0')}`;
+  }
+}
+
+module.exports = new EstimateService();
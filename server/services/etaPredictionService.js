@@ -0,0 +1,754 @@
+/**
+ * ETA Prediction Service
+ *
+ * Predicts when a repair order will be ready from how long similar jobs
+ * actually took. Delivered jobs from the last year are grouped by labor
+ * hours, severity, make and insurer, and the closest group with enough
+ * history supplies the stage durations (JobStageHistory) from the RO's
+ * current stage onward. Open parts ETAs hold back the first stage that needs
+ * parts, and the spread of the group gives the confidence interval.
+ *
+ * When the shop has no usable history the remaining workflow hours are laid
+ * over an 8-hour weekday instead, and the result says so.
+ */
+
+const { Op } = require('sequelize');
+const {
+  RepairOrderManagement,
+  ProductionWorkflow,
+  AdvancedPartsManagement,
+  VehicleProfile,
+  ClaimManagement,
+  InsuranceCompany,
+  Job,
+  JobStageHistory,
+  Vehicle,
+} = require('../database/models');
+const schedulingService = require('./schedulingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HISTORY_DAYS = 365;
+const HISTORY_LIMIT = 500;
+const MIN_COHORT_SIZE = 5;
+const INTERVAL_LEVEL = 80;
+const FALLBACK_SPREAD = 0.25;
+const FALLBACK_SHIFT = { start: '08:00', end: '16:00' };
+
+const FINISHED_JOB_STATUSES = ['ready_pickup', 'delivered'];
+
+// Reaching one of these ends production; time spent in them is pickup wait
+const FINISH_STAGES = ['ready_pickup', 'delivered'];
+
+// First of these on the path waits for the RO's open parts
+const PARTS_DEPENDENT_STAGES = [
+  'body_structure',
+  'mechanical',
+  'electrical',
+  'reassembly',
+];
+
+const LABOR_BANDS = [
+  { max: 10, label: 'under_10h' },
+  { max: 25, label: '10_25h' },
+  { max: 50, label: '25_50h' },
+  { max: Infinity, label: 'over_50h' },
+];
+
+// Narrowest grouping first; the first with enough jobs is used
+const COHORT_LEVELS = [
+  ['laborBand', 'severity', 'make', 'insurer'],
+  ['laborBand', 'severity', 'make'],
+  ['laborBand', 'severity'],
+  ['laborBand'],
+  [],
+];
+
+const round = value => Math.round(value * 100) / 100;
+
+const normalize = value =>
+  value ? `${value}`.trim().toLowerCase() || null : null;
+
+const laborBand = hours => {
+  const value = parseFloat(hours);
+  if (!value) return null;
+  return LABOR_BANDS.find(band => value < band.max).label;
+};
+
+const severityFor = (total, structural) => {
+  const amount = parseFloat(total) || 0;
+  if (structural || amount >= 10000) return 'heavy';
+  if (amount >= 3000) return 'moderate';
+  return amount > 0 ? 'light' : null;
+};
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const addHours = (date, hours) => new Date(date.getTime() + hours * HOUR_MS);
+
+const hoursBetween = (start, end) =>
+  Math.max(0, (new Date(end) - new Date(start)) / HOUR_MS);
+
+class EtaPredictionService {
+  // ==========================================
+  // PREDICTION
+  // ==========================================
+
+  /**
+   * Load a repair order with what the prediction needs and predict it
+   *
+   * @returns {Object|null} { repairOrder, prediction }, or null when the RO
+   *   does not belong to the shop
+   */
+  async predictForRepairOrder(shopId, repairOrderId, options = {}) {
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+      include: [
+        {
+          model: ProductionWorkflow,
+          as: 'productionWorkflow',
+          required: false,
+        },
+        {
+          model: AdvancedPartsManagement,
+          as: 'advancedPartsManagement',
+          where: {
+            partStatus: { [Op.in]: schedulingService.getOpenPartStatuses() },
+          },
+          required: false,
+        },
+        { model: VehicleProfile, as: 'vehicleProfile', required: false },
+        {
+          model: ClaimManagement,
+          as: 'claimManagement',
+          required: false,
+          include: [
+            {
+              model: InsuranceCompany,
+              as: 'insuranceCompany',
+              required: false,
+            },
+          ],
+        },
+      ],
+    });
+    if (!repairOrder) return null;
+
+    const prediction = await this.predict(repairOrder, shopId, options);
+    return { repairOrder, prediction };
+  }
+
+  /**
+   * Predict completion for a loaded repair order
+   *
+   * @param {Object} repairOrder - with productionWorkflow,
+   *   advancedPartsManagement (open parts), vehicleProfile and
+   *   claimManagement.insuranceCompany
+   * @param {string} shopId
+   * @param {Object} options - now
+   */
+  async predict(repairOrder, shopId, options = {}) {
+    const now = options.now || new Date();
+    const features = this.describeRepairOrder(repairOrder);
+    const parts = this.summarizeOpenParts(repairOrder);
+    const elapsedHours = this.hoursInCurrentStage(repairOrder, now);
+
+    const profiles = await this.loadHistory(shopId, now);
+    const cohort = this.selectCohort(profiles, features);
+    const path = this.buildStagePath(cohort.jobs, features.currentStage);
+
+    const prediction = path
+      ? this.predictFromHistory(repairOrder, parts, path, elapsedHours, now)
+      : this.predictFromLaborHours(repairOrder, parts, now);
+
+    return {
+      ...prediction,
+      current_stage: features.currentStage,
+      total_hours: features.laborHours,
+      promised_date: repairOrder.promisedDeliveryDate
+        ? new Date(repairOrder.promisedDeliveryDate).toISOString()
+        : null,
+      confidence: {
+        ...prediction.confidence,
+        sample_size: path ? path.sampleSize : 0,
+        grouped_by: path ? cohort.groupedBy : [],
+        features: {
+          labor_band: features.laborBand,
+          severity: features.severity,
+          make: features.make,
+          insurer: features.insurer,
+        },
+      },
+      delay_factors: this.findDelayFactors(
+        repairOrder,
+        parts,
+        path,
+        elapsedHours,
+        prediction,
+        now
+      ),
+      risk_factors: path ? this.historicalDelays(cohort.jobs, path) : [],
+    };
+  }
+
+  predictFromHistory(repairOrder, parts, path, elapsedHours, now) {
+    const steps = [];
+    let cursor = now;
+    let partsGated = false;
+    let partsWaitHours = 0;
+
+    const waitForParts = stage => {
+      if (
+        partsGated ||
+        !PARTS_DEPENDENT_STAGES.includes(stage) ||
+        !parts.latestEta ||
+        parts.latestEta <= cursor
+      ) {
+        return;
+      }
+      partsGated = true;
+      partsWaitHours = hoursBetween(cursor, parts.latestEta);
+      steps.push({
+        step: 'parts_arrival',
+        type: 'parts_wait',
+        expected_hours: round(partsWaitHours),
+        start: cursor.toISOString(),
+        end: parts.latestEta.toISOString(),
+      });
+      cursor = parts.latestEta;
+    };
+
+    const pushStage = (stats, hours) => {
+      waitForParts(stats.stage);
+      const end = addHours(cursor, hours);
+      steps.push({
+        step: stats.stage,
+        type: 'stage',
+        expected_hours: round(hours),
+        p10_hours: round(stats.p10),
+        p90_hours: round(stats.p90),
+        share_of_similar_jobs: stats.share,
+        start: cursor.toISOString(),
+        end: end.toISOString(),
+      });
+      cursor = end;
+    };
+
+    if (path.current) {
+      pushStage(path.current, Math.max(0, path.current.median - elapsedHours));
+    }
+    path.stages.forEach(stats => pushStage(stats, stats.median));
+
+    // Historical durations already include typical waits, so the spread is
+    // applied to production time and this car's parts wait is added as is
+    const completion = cursor;
+    const workHours = Math.max(
+      0,
+      hoursBetween(now, completion) - partsWaitHours
+    );
+    const ratios = path.remaining.map(hours =>
+      path.medianRemaining > 0 ? hours / path.medianRemaining : 1
+    );
+    const at = ratio => addHours(now, partsWaitHours + workHours * ratio);
+    const low = at(percentile(ratios, 0.1));
+    const high = at(percentile(ratios, 0.9));
+
+    const promised = repairOrder.promisedDeliveryDate
+      ? new Date(repairOrder.promisedDeliveryDate)
+      : null;
+    const onTime = promised
+      ? Math.round(
+          (ratios.filter(ratio => at(ratio) <= promised).length /
+            ratios.length) *
+            100
+        )
+      : null;
+
+    const spread = percentile(ratios, 0.9) - percentile(ratios, 0.1);
+    let level = 'low';
+    if (path.sampleSize >= 20 && spread <= 0.5) level = 'high';
+    else if (path.sampleSize >= MIN_COHORT_SIZE) level = 'medium';
+
+    return {
+      method: 'historical',
+      completion_at: completion.toISOString(),
+      remaining_hours: round(
+        steps
+          .filter(step => step.type === 'stage')
+          .reduce((sum, step) => sum + step.expected_hours, 0)
+      ),
+      confidence_interval: {
+        low: low.toISOString(),
+        high: high.toISOString(),
+        level: INTERVAL_LEVEL,
+      },
+      on_time_probability: onTime,
+      confidence: { level, spread_days: round((high - low) / DAY_MS) },
+      operations: steps.filter(step => step.type === 'stage'),
+      critical_path: steps,
+      factors_considered: [
+        `Stage durations of ${path.sampleSize} similar delivered jobs`,
+        'Current production stage and time spent in it',
+        parts.count > 0
+          ? `${parts.count} open part(s) and their ETAs`
+          : 'No open parts',
+      ],
+    };
+  }
+
+  /**
+   * No history to go on: lay the remaining workflow hours over weekday shifts,
+   * after the open parts arrive
+   */
+  predictFromLaborHours(repairOrder, parts, now) {
+    const rows = (repairOrder.productionWorkflow || []).filter(
+      row => !['completed', 'bypassed'].includes(row.stageStatus)
+    );
+    let remaining = rows.reduce(
+      (sum, row) =>
+        sum +
+        Math.max(
+          0,
+          (parseFloat(row.estimatedHours) || 0) -
+            (parseFloat(row.actualHours) || 0)
+        ),
+      0
+    );
+    if (rows.length === 0) {
+      remaining = Math.max(
+        0,
+        (parseFloat(repairOrder.hoursEstimated) || 0) -
+          (parseFloat(repairOrder.hoursActual) || 0)
+      );
+    }
+
+    const start =
+      parts.latestEta && parts.latestEta > now ? parts.latestEta : now;
+    const finish = hours => {
+      if (hours <= 0) return start;
+      const segments = schedulingService.allocateWorkingTime(
+        { availability: {}, defaultShift: FALLBACK_SHIFT },
+        start,
+        hours,
+        new Date(start.getTime() + 365 * DAY_MS)
+      );
+      return segments[segments.length - 1].end;
+    };
+
+    const completion = finish(remaining);
+    const steps = [];
+    if (start > now) {
+      steps.push({
+        step: 'parts_arrival',
+        type: 'parts_wait',
+        expected_hours: round(hoursBetween(now, start)),
+        start: now.toISOString(),
+        end: start.toISOString(),
+      });
+    }
+    const operations = rows
+      .sort((a, b) => (a.stageOrder || 0) - (b.stageOrder || 0))
+      .map(row => ({
+        step: row.stageName || row.stageType,
+        type: 'stage',
+        expected_hours: round(
+          Math.max(
+            0,
+            (parseFloat(row.estimatedHours) || 0) -
+              (parseFloat(row.actualHours) || 0)
+          )
+        ),
+      }));
+
+    const promised = repairOrder.promisedDeliveryDate
+      ? new Date(repairOrder.promisedDeliveryDate)
+      : null;
+
+    return {
+      method: 'labor_hours',
+      completion_at: completion.toISOString(),
+      remaining_hours: round(remaining),
+      confidence_interval: {
+        low: finish(remaining * (1 - FALLBACK_SPREAD)).toISOString(),
+        high: finish(remaining * (1 + FALLBACK_SPREAD)).toISOString(),
+        level: INTERVAL_LEVEL,
+      },
+      on_time_probability: promised ? (completion <= promised ? 50 : 0) : null,
+      confidence: { level: 'low', spread_days: null },
+      operations,
+      critical_path: [...steps, ...operations],
+      factors_considered: [
+        'Remaining estimated labor hours (no comparable job history)',
+        parts.count > 0
+          ? `${parts.count} open part(s) and their ETAs`
+          : 'No open parts',
+      ],
+    };
+  }
+
+  // ==========================================
+  // THE REPAIR ORDER
+  // ==========================================
+
+  describeRepairOrder(repairOrder) {
+    const workflow = repairOrder.productionWorkflow || [];
+    const laborHours =
+      parseFloat(repairOrder.hoursEstimated) ||
+      workflow.reduce(
+        (sum, row) => sum + (parseFloat(row.estimatedHours) || 0),
+        0
+      );
+    const structural = workflow.some(row => row.stageType === 'frame_repair');
+
+    return {
+      laborHours: round(laborHours),
+      laborBand: laborBand(laborHours),
+      severity: severityFor(
+        repairOrder.approvedTotal || repairOrder.estimatedTotal,
+        structural
+      ),
+      make: normalize(repairOrder.vehicleProfile?.make),
+      insurer: normalize(repairOrder.claimManagement?.insuranceCompany?.name),
+      currentStage: normalize(repairOrder.productionStage) || 'intake',
+    };
+  }
+
+  summarizeOpenParts(repairOrder) {
+    const parts = repairOrder.advancedPartsManagement || [];
+    const withEta = parts
+      .map(part => ({
+        part,
+        eta: part.promisedDeliveryDate || part.estimatedDeliveryDate,
+      }))
+      .filter(entry => entry.eta)
+      .map(entry => ({ ...entry, eta: new Date(entry.eta) }));
+
+    return {
+      count: parts.length,
+      parts,
+      withoutEta: parts.filter(
+        part => !part.promisedDeliveryDate && !part.estimatedDeliveryDate
+      ),
+      backordered: parts.filter(part => part.partStatus === 'backordered'),
+      latestEta:
+        withEta.length > 0
+          ? new Date(Math.max(...withEta.map(entry => entry.eta.getTime())))
+          : null,
+      latest: withEta.sort((a, b) => b.eta - a.eta)[0]?.part || null,
+    };
+  }
+
+  /**
+   * Hours since the RO's in-progress workflow stage was started
+   */
+  hoursInCurrentStage(repairOrder, now) {
+    const started = (repairOrder.productionWorkflow || [])
+      .filter(row => row.stageStatus === 'in_progress' && row.actualStartDate)
+      .map(row => new Date(row.actualStartDate).getTime());
+    return started.length > 0
+      ? hoursBetween(new Date(Math.max(...started)), now)
+      : 0;
+  }
+
+  // ==========================================
+  // HISTORY
+  // ==========================================
+
+  /**
+   * Delivered jobs from the last year with their stage visits
+   */
+  async loadHistory(shopId, now) {
+    const jobs = await Job.findAll({
+      where: {
+        shopId,
+        status: { [Op.in]: FINISHED_JOB_STATUSES },
+        createdAt: {
+          [Op.gte]: new Date(now.getTime() - HISTORY_DAYS * DAY_MS),
+        },
+      },
+      include: [
+        {
+          model: Vehicle,
+          as: 'vehicle',
+          attributes: ['make', 'insuranceCompany'],
+          required: false,
+        },
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: HISTORY_LIMIT,
+    });
+    if (jobs.length === 0) return [];
+
+    const rows = await JobStageHistory.findAll({
+      where: { jobId: { [Op.in]: jobs.map(job => job.id) } },
+      order: [['transitionTime', 'ASC']],
+    });
+
+    const byJob = new Map();
+    rows.forEach(row => {
+      const list = byJob.get(row.jobId) || [];
+      list.push(row);
+      byJob.set(row.jobId, list);
+    });
+
+    return jobs
+      .map(job => this.profileJob(job, byJob.get(job.id) || []))
+      .filter(Boolean);
+  }
+
+  profileJob(job, rows) {
+    const sorted = [...rows].sort(
+      (a, b) => new Date(a.transitionTime) - new Date(b.transitionTime)
+    );
+    const visits = sorted.map((row, index) => {
+      const next = sorted[index + 1];
+      let hours = null;
+      if (row.stageDuration) hours = row.stageDuration / 60;
+      else if (next)
+        hours = hoursBetween(row.transitionTime, next.transitionTime);
+      return {
+        stage: normalize(row.toStage),
+        enteredAt: new Date(row.transitionTime),
+        hours,
+        delayReason: row.delayReason || null,
+        delayMinutes: row.delayMinutes || 0,
+      };
+    });
+
+    const finishVisit = visits.find(visit =>
+      FINISH_STAGES.includes(visit.stage)
+    );
+    const finishedAt =
+      finishVisit?.enteredAt ||
+      (job.completionDate && new Date(job.completionDate)) ||
+      (job.actualDeliveryDate && new Date(job.actualDeliveryDate));
+    if (!finishedAt || visits.length === 0) return null;
+
+    return {
+      id: job.id,
+      features: {
+        laborBand: laborBand(job.estimatedHours),
+        severity: severityFor(job.totalAmount, false),
+        make: normalize(job.vehicle?.make),
+        insurer: normalize(job.vehicle?.insuranceCompany),
+      },
+      visits: visits.filter(visit => visit.enteredAt <= finishedAt),
+      finishedAt,
+    };
+  }
+
+  selectCohort(profiles, features) {
+    for (const level of COHORT_LEVELS) {
+      if (level.some(key => !features[key])) continue;
+      const jobs = profiles.filter(profile =>
+        level.every(key => profile.features[key] === features[key])
+      );
+      if (jobs.length >= MIN_COHORT_SIZE || level.length === 0) {
+        return { jobs, groupedBy: level };
+      }
+    }
+    return { jobs: [], groupedBy: [] };
+  }
+
+  /**
+   * Typical stages from the current stage to ready-for-pickup, in the order
+   * similar jobs went through them, with duration percentiles
+   */
+  buildStagePath(jobs, currentStage) {
+    const passed = jobs
+      .map(job => {
+        const index = job.visits.findIndex(
+          visit => visit.stage === currentStage
+        );
+        if (index === -1) return null;
+        return {
+          job,
+          current: job.visits[index],
+          after: job.visits
+            .slice(index + 1)
+            .filter(visit => !FINISH_STAGES.includes(visit.stage)),
+        };
+      })
+      .filter(Boolean);
+    if (passed.length === 0) return null;
+
+    const statsFor = (stage, durations, positions = []) => ({
+      stage,
+      median: percentile(durations, 0.5),
+      p10: percentile(durations, 0.1),
+      p90: percentile(durations, 0.9),
+      share: round(durations.length / passed.length),
+      position: percentile(positions, 0.5),
+      durations,
+    });
+
+    // Time per stage and job; a stage visited again for rework adds up
+    const byStage = new Map();
+    passed.forEach(({ after }) => {
+      const perJob = new Map();
+      after.forEach((visit, position) => {
+        if (visit.hours === null) return;
+        const entry = perJob.get(visit.stage) || { hours: 0, position };
+        entry.hours += visit.hours;
+        perJob.set(visit.stage, entry);
+      });
+      perJob.forEach(({ hours, position }, stage) => {
+        const entry = byStage.get(stage) || { durations: [], positions: [] };
+        entry.durations.push(hours);
+        entry.positions.push(position);
+        byStage.set(stage, entry);
+      });
+    });
+
+    // Keep the stages at least half of the similar jobs went through
+    const stages = [...byStage.entries()]
+      .filter(([, entry]) => entry.durations.length / passed.length >= 0.5)
+      .map(([stage, entry]) =>
+        statsFor(stage, entry.durations, entry.positions)
+      )
+      .sort((a, b) => a.position - b.position);
+
+    const currentDurations = passed
+      .map(({ current }) => current.hours)
+      .filter(hours => hours !== null);
+    const remaining = passed.map(({ job, current }) =>
+      hoursBetween(current.enteredAt, job.finishedAt)
+    );
+
+    return {
+      current:
+        currentDurations.length > 0
+          ? statsFor(currentStage, currentDurations)
+          : null,
+      stages,
+      remaining,
+      medianRemaining: percentile(remaining, 0.5),
+      sampleSize: passed.length,
+    };
+  }
+
+  // ==========================================
+  // DELAYS
+  // ==========================================
+
+  /**
+   * What is holding this car up right now, largest impact first
+   */
+  findDelayFactors(repairOrder, parts, path, elapsedHours, prediction, now) {
+    const factors = [];
+
+    const partsWait = prediction.critical_path.find(
+      step => step.type === 'parts_wait'
+    );
+    if (partsWait) {
+      factors.push({
+        factor: 'parts_wait',
+        impact_hours: partsWait.expected_hours,
+        detail: `${parts.count} open part(s); last due ${parts.latestEta.toISOString().split('T')[0]}${parts.latest ? ` (${parts.latest.partDescription || parts.latest.oemPartNumber})` : ''}`,
+      });
+    }
+    if (parts.backordered.length > 0) {
+      factors.push({
+        factor: 'backordered_parts',
+        impact_hours: null,
+        detail: `${parts.backordered.length} part(s) on backorder: ${parts.backordered
+          .map(part => part.partDescription || part.oemPartNumber)
+          .join(', ')}`,
+      });
+    }
+    if (parts.withoutEta.length > 0) {
+      factors.push({
+        factor: 'parts_without_eta',
+        impact_hours: null,
+        detail: `${parts.withoutEta.length} open part(s) have no delivery date`,
+      });
+    }
+
+    if (repairOrder.isOnHold) {
+      factors.push({
+        factor: 'on_hold',
+        impact_hours: repairOrder.holdStartDate
+          ? round(hoursBetween(repairOrder.holdStartDate, now))
+          : null,
+        detail: `On hold${repairOrder.holdReason ? `: ${repairOrder.holdReason.replace(/_/g, ' ')}` : ''}`,
+      });
+    }
+    (repairOrder.productionWorkflow || [])
+      .filter(row => row.stageStatus === 'on_hold')
+      .forEach(row => {
+        factors.push({
+          factor: 'stage_hold',
+          impact_hours: null,
+          detail: `${row.stageName || row.stageType} on hold${row.holdReason ? `: ${`${row.holdReason}`.replace(/_/g, ' ')}` : ''}`,
+        });
+      });
+
+    if (repairOrder.supplementsPending) {
+      factors.push({
+        factor: 'supplement_pending',
+        impact_hours: null,
+        detail: 'Supplement waiting for insurer approval',
+      });
+    }
+
+    if (path?.current && elapsedHours > path.current.p90) {
+      factors.push({
+        factor: 'stage_overrun',
+        impact_hours: round(elapsedHours - path.current.median),
+        detail: `${path.current.stage} has taken ${round(elapsedHours)}h; similar jobs take ${round(path.current.median)}h`,
+      });
+    }
+
+    return factors.sort(
+      (a, b) => (b.impact_hours || 0) - (a.impact_hours || 0)
+    );
+  }
+
+  /**
+   * Delay reasons similar jobs recorded on the stages still ahead
+   */
+  historicalDelays(jobs, path) {
+    const ahead = new Set(path.stages.map(stats => stats.stage));
+    const reasons = new Map();
+
+    jobs.forEach(job => {
+      const seen = new Set();
+      job.visits
+        .filter(visit => ahead.has(visit.stage) && visit.delayReason)
+        .forEach(visit => {
+          const entry = reasons.get(visit.delayReason) || {
+            jobs: 0,
+            minutes: [],
+          };
+          entry.minutes.push(visit.delayMinutes);
+          if (!seen.has(visit.delayReason)) {
+            entry.jobs += 1;
+            seen.add(visit.delayReason);
+          }
+          reasons.set(visit.delayReason, entry);
+        });
+    });
+
+    return [...reasons.entries()]
+      .map(([reason, entry]) => ({
+        reason,
+        share_of_similar_jobs: round(entry.jobs / jobs.length),
+        average_delay_hours: round(
+          entry.minutes.reduce((sum, value) => sum + value, 0) /
+            entry.minutes.length /
+            60
+        ),
+      }))
+      .sort((a, b) => b.share_of_similar_jobs - a.share_of_similar_jobs)
+      .slice(0, 3);
+  }
+}
+
+module.exports = new EtaPredictionService();
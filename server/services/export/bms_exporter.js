@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const { XMLBuilder } = require('fast-xml-parser');
+const Decimal = require('decimal.js');
+
+const CIECA_NAMESPACE = 'http://www.cieca.com/BMS';
+const BMS_VERSION = '5.2.0';
+
+/**
+ * CIECA BMS writer
+ *
+ * Serializes the normalized estimate structure produced by EnhancedBMSParser
+ * (customer, vehicle, estimate, adjuster, parts, labor, financial, taxDetails)
+ * back into a VehicleDamageEstimateAddRq document. Element names and
+ * qualifiers mirror what the parser reads so an exported file imports
+ * without losing data.
+ */
+class BMSExporter {
+  constructor() {
+    this.builder = new XMLBuilder({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      format: true,
+      indentBy: '  ',
+      suppressEmptyNode: true,
+    });
+  }
+
+  generateBMS(data = {}) {
+    const customer = data.customer || {};
+    const vehicle = data.vehicle || {};
+    const estimate = data.estimate || {};
+    const adjuster = data.adjuster || {};
+    const financial = data.financial || {};
+    const taxDetails = data.taxDetails || {};
+
+    const request = {
+      '@_xmlns': CIECA_NAMESPACE,
+      RqUID: estimate.roNumber || crypto.randomUUID(),
+      RefClaimNum: estimate.claimNumber || customer.claimNumber,
+      DocumentInfo: this.buildDocumentInfo(estimate),
+      ApplicationInfo: this.buildApplicationInfo(estimate),
+      AdminInfo: this.buildAdminInfo(customer, estimate, adjuster),
+      ClaimInfo: this.buildClaimInfo(customer, estimate, financial),
+      VehicleInfo: this.buildVehicleInfo(vehicle, estimate),
+      DamageLineInfo: this.buildDamageLines(data.parts || [], (data.labor && data.labor.lines) || []),
+      RepairTotalsInfo: this.buildRepairTotals(financial, taxDetails, data.labor),
+    };
+
+    return this.builder.build({
+      '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+      VehicleDamageEstimateAddRq: this.compact(request),
+    });
+  }
+
+  // ==========================================
+  // DOCUMENT SECTIONS
+  // ==========================================
+
+  buildDocumentInfo(estimate) {
+    const versions = (estimate.documentVersions || []).filter(ver => ver.code !== 'SU');
+    if (!versions.some(ver => ver.code === 'EM')) {
+      versions.unshift({ code: 'EM', number: 1 });
+    }
+    if (estimate.supplementNumber > 0) {
+      versions.push({ code: 'SU', number: estimate.supplementNumber });
+    }
+
+    return {
+      BMSVer: estimate.bmsVersion || BMS_VERSION,
+      DocumentType: estimate.type || 'E',
+      DocumentID: estimate.estimateNumber,
+      VendorCode: estimate.vendorCode,
+      DocumentVer: versions.map(ver => ({
+        DocumentVerCode: ver.code,
+        DocumentVerNum: ver.number,
+      })),
+      CreateDateTime: this.formatDateTime(estimate.date) || new Date().toISOString(),
+      DocumentStatus: estimate.status,
+      CurrencyInfo: { CurCode: estimate.currency || 'USD' },
+    };
+  }
+
+  buildApplicationInfo(estimate) {
+    return {
+      ApplicationType: 'Estimating',
+      ApplicationName: estimate.estimatingSystem || 'CollisionOS',
+      ApplicationVer: estimate.systemVersion,
+      DatabaseVer: estimate.databaseVersion,
+    };
+  }
+
+  buildAdminInfo(customer, estimate, adjuster) {
+    const address = customer.address1 || customer.address;
+    const adjusterName = this.splitName(adjuster);
+    const estimatorName = this.splitName({
+      firstName: estimate.estimatorFirstName,
+      lastName: estimate.estimatorLastName,
+      name: estimate.estimatorName,
+    });
+
+    return {
+      InsuranceCompany: customer.insurance && {
+        Party: { OrgInfo: { CompanyName: customer.insurance } },
+      },
+      Owner: {
+        Party: {
+          PersonInfo: {
+            PersonName: this.splitName(customer),
+            Communications: this.addressComm({
+              Address1: address,
+              Address2: customer.address1 ? customer.address2 : undefined,
+              City: customer.city,
+              StateProvince: customer.state || customer.province,
+              PostalCode: customer.zip || customer.postalCode,
+              Country: customer.country,
+            }),
+          },
+          ContactInfo: { Communications: this.buildCustomerCommunications(customer) },
+        },
+      },
+      Estimator: (estimatorName.FirstName || estimatorName.LastName) && {
+        Party: {
+          PersonInfo: { PersonName: estimatorName },
+          ContactInfo: {
+            Communications: [
+              this.phoneComm('WP', estimate.estimatorPhone),
+              this.emailComm(estimate.estimatorEmail),
+            ],
+          },
+        },
+      },
+      Adjuster: (adjusterName.FirstName || adjusterName.LastName || adjuster.phone || adjuster.email) && {
+        Party: {
+          PersonInfo: { PersonName: adjusterName },
+          ContactInfo: {
+            Communications: [
+              this.phoneComm('WP', adjuster.phone),
+              this.emailComm(adjuster.email),
+            ],
+          },
+        },
+      },
+      RepairFacility: estimate.repairFacilityName && {
+        Party: {
+          OrgInfo: {
+            CompanyName: estimate.repairFacilityName,
+            Communications: this.addressComm({
+              Address1: estimate.repairFacilityAddress,
+              City: estimate.repairFacilityCity,
+              StateProvince: estimate.repairFacilityState,
+              PostalCode: estimate.repairFacilityZip,
+            }),
+          },
+          ContactInfo: {
+            Communications: [
+              this.phoneComm('WP', estimate.repairFacilityPhone),
+              this.phoneComm('FX', estimate.repairFacilityFax),
+              this.emailComm(estimate.repairFacilityEmail),
+            ],
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * Typed phones go out under HP/WP/CP. A primary phone that is none of those
+   * is written first under OT so the parser keeps it as the main number.
+   */
+  buildCustomerCommunications(customer) {
+    const phones = customer.phones || {};
+    const typed = [
+      ['HP', phones.home],
+      ['WP', phones.work],
+      ['CP', phones.cell],
+    ].filter(([, phone]) => phone);
+
+    const primary = customer.phone;
+    const primaryIndex = typed.findIndex(([, phone]) => phone === primary);
+    if (primaryIndex > 0) {
+      typed.unshift(...typed.splice(primaryIndex, 1));
+    } else if (primary && primaryIndex === -1) {
+      typed.unshift(['OT', primary]);
+    }
+
+    return [
+      ...typed.map(([qualifier, phone]) => this.phoneComm(qualifier, phone)),
+      this.emailComm(customer.email),
+    ];
+  }
+
+  buildClaimInfo(customer, estimate, financial) {
+    const deductible = this.toDecimal(financial.deductible);
+    const hasDeductible = !deductible.isZero() || financial.deductibleWaived;
+    const status = financial.deductibleStatus || '';
+
+    return {
+      ClaimNum: estimate.claimNumber || customer.claimNumber,
+      PolicyInfo: {
+        PolicyNum: estimate.policyNumber || customer.policyNumber,
+        CoverageInfo: hasDeductible && {
+          Coverage: {
+            DeductibleInfo: {
+              DeductibleAmt: this.formatAmount(deductible),
+              DeductibleStatus: financial.deductibleWaived && !/waive/i.test(status)
+                ? 'Waived'
+                : status || 'Applied',
+            },
+          },
+        },
+      },
+    };
+  }
+
+  buildVehicleInfo(vehicle, estimate) {
+    const shopRoNumber = vehicle.shopRoNumber || estimate.shopRoNumber;
+
+    return {
+      VINInfo: vehicle.vin && { VIN: { VINNum: vehicle.vin } },
+      License: { LicensePlateNum: vehicle.license || vehicle.licensePlate },
+      VehicleDesc: {
+        ModelYear: vehicle.year,
+        MakeDesc: vehicle.make,
+        ModelName: vehicle.model,
+        TrimCode: vehicle.trim,
+        OdometerInfo: { OdometerReading: vehicle.mileage || vehicle.currentOdometer },
+        VehicleDescMemo: shopRoNumber && `RO: ${shopRoNumber}`,
+      },
+      Paint: {
+        Exterior: {
+          Color: {
+            ColorName: vehicle.color || vehicle.exteriorColor,
+            ColorCode: vehicle.paintCode,
+          },
+        },
+      },
+      Powertrain: {
+        EngineDesc: vehicle.engine || vehicle.engineSize,
+        EngineCode: vehicle.engineCode,
+        TransmissionInfo: {
+          TransmissionDesc: vehicle.transmission,
+          TransmissionCode: vehicle.transmissionCode,
+        },
+        DrivetrainDesc: vehicle.drivetrain,
+        FuelType: vehicle.fuelType,
+      },
+      ValuationInfo: { ValuationAmt: this.formatOptionalAmount(vehicle.valuation) },
+      DrivableInd: typeof vehicle.drivable === 'boolean' ? this.formatBoolean(vehicle.drivable) : undefined,
+    };
+  }
+
+  // ==========================================
+  // DAMAGE LINES
+  // ==========================================
+
+  /**
+   * Parts, materials and labor-only lines share one DamageLineInfo sequence,
+   * ordered by line number
+   */
+  buildDamageLines(parts, laborLines) {
+    const lines = [
+      ...parts.map(part => (part.isMaterial ? this.buildMaterialLine(part) : this.buildPartLine(part))),
+      ...laborLines.map(line => this.buildLaborLine(line)),
+    ];
+
+    let nextLineNumber = lines.reduce((max, line) => Math.max(max, line.LineNum || 0), 0);
+    lines.forEach(line => {
+      if (!line.LineNum) line.LineNum = ++nextLineNumber;
+    });
+
+    return lines.sort((a, b) => a.LineNum - b.LineNum);
+  }
+
+  buildPartLine(part) {
+    const nonOEM = part.supplierRefNum || part.nonOEMPartNum || part.nonOEMPartPrice;
+
+    return {
+      LineNum: parseInt(part.lineNumber) || 0,
+      LineDesc: part.description || part.partName,
+      PartInfo: {
+        PartSourceCode: part.sourceCode,
+        PartType: part.partType,
+        PartNum: part.partNumber,
+        OEMPartNum: part.oemPartNumber,
+        NonOEM: nonOEM && {
+          NonOEMPartNum: part.nonOEMPartNum,
+          NonOEMPartPrice: this.formatOptionalAmount(part.nonOEMPartPrice),
+          SupplierRefNum: part.supplierRefNum,
+          PartSelectedInd: this.formatBoolean(part.partSelectedInd),
+        },
+        PartPrice: this.formatAmount(part.price !== undefined ? part.price : part.unitPrice),
+        OEMPartPrice: this.formatOptionalAmount(part.oemPrice),
+        Quantity: this.formatNumber(part.quantity || 1),
+        TaxableInd: this.formatBoolean(part.taxable !== false),
+      },
+      LaborInfo: (part.laborType || !this.toDecimal(part.laborHours).isZero()) && {
+        LaborType: part.laborType,
+        LaborOperation: part.laborOperation,
+        LaborHours: this.formatNumber(part.laborHours),
+        DatabaseLaborHours: this.formatOptionalNumber(part.databaseLaborHours),
+      },
+    };
+  }
+
+  buildMaterialLine(material) {
+    const materialType = material.partNumber && material.partNumber !== 'Material'
+      ? material.partNumber
+      : undefined;
+
+    return {
+      LineNum: parseInt(material.lineNumber) || 0,
+      LineDesc: material.description,
+      MaterialType: materialType,
+      OtherChargesInfo: {
+        Price: this.formatAmount(material.price),
+        TaxableInd: this.formatBoolean(material.taxable !== false),
+      },
+    };
+  }
+
+  buildLaborLine(line) {
+    return {
+      LineNum: parseInt(line.lineNumber) || 0,
+      LineDesc: line.operation || line.description,
+      LaborInfo: {
+        LaborType: line.laborType,
+        LaborOperation: line.laborOperation,
+        LaborHours: this.formatNumber(line.hours),
+        DatabaseLaborHours: this.formatOptionalNumber(line.databaseHours),
+        LaborHoursCalc: this.formatOptionalNumber(line.calculatedHours),
+        TaxableInd: this.formatBoolean(line.taxable !== false),
+      },
+    };
+  }
+
+  // ==========================================
+  // TOTALS
+  // ==========================================
+
+  buildRepairTotals(financial, taxDetails, labor) {
+    const totalHours = labor && labor.summary ? labor.summary.totalHours : undefined;
+    const total = financial.total !== undefined ? financial.total : financial.grandTotal;
+    const deductible = this.toDecimal(financial.deductible);
+
+    const adjustments = [
+      this.taxAdjustment('GST', taxDetails.gstAmount, taxDetails.gstRate),
+      this.taxAdjustment('PST', taxDetails.pstAmount, taxDetails.pstRate),
+    ].filter(Boolean);
+
+    // A tax total that was never split into GST/PST still needs to travel
+    if (!adjustments.length && !this.toDecimal(financial.taxTotal).isZero()) {
+      adjustments.push({
+        AdjustmentType: 'Tax',
+        AdjustmentDesc: 'Sales Tax',
+        AdjustmentAmt: this.formatAmount(financial.taxTotal),
+      });
+    }
+
+    if (!deductible.isZero() && !financial.deductibleWaived) {
+      adjustments.push({
+        AdjustmentType: 'Deductible',
+        AdjustmentDesc: 'Deductible',
+        AdjustmentAmt: this.formatAmount(deductible.abs().negated()),
+      });
+    }
+
+    return {
+      LaborTotalsInfo: {
+        TotalType: 'LA',
+        TotalHours: this.formatOptionalNumber(totalHours),
+        TotalAmt: this.formatAmount(financial.laborTotal),
+        TaxTotalAmt: this.formatOptionalAmount(financial.laborTax),
+      },
+      PartsTotalsInfo: {
+        TotalType: 'PA',
+        TotalAmt: this.formatAmount(financial.partsTotal),
+        TaxTotalAmt: this.formatOptionalAmount(financial.partsTax),
+      },
+      OtherChargesTotalsInfo: {
+        TotalType: 'MA',
+        TotalAmt: this.formatAmount(financial.materialsTotal),
+        TaxTotalAmt: this.formatOptionalAmount(financial.materialsTax),
+      },
+      SummaryTotalsInfo: [
+        {
+          TotalType: 'TOT',
+          TotalSubType: 'CE',
+          TotalTypeDesc: 'Gross Total',
+          TotalAmt: this.formatAmount(financial.grossTotal !== undefined ? financial.grossTotal : total),
+        },
+        {
+          TotalType: 'TOT',
+          TotalSubType: 'TT',
+          TotalTypeDesc: 'Net Total',
+          TotalAmt: this.formatAmount(total),
+        },
+      ],
+      Adjustments: adjustments,
+    };
+  }
+
+  taxAdjustment(description, amount, rate) {
+    if (this.toDecimal(amount).isZero() && this.toDecimal(rate).isZero()) return null;
+    return {
+      AdjustmentType: 'Tax',
+      AdjustmentDesc: description,
+      AdjustmentRate: this.formatNumber(rate),
+      AdjustmentAmt: this.formatAmount(amount),
+    };
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  phoneComm(qualifier, phone) {
+    return phone ? { CommQualifier: qualifier, CommPhone: phone } : undefined;
+  }
+
+  emailComm(email) {
+    return email ? { CommQualifier: 'EM', CommEmail: email } : undefined;
+  }
+
+  addressComm(address) {
+    const fields = this.compact(address);
+    return fields ? { CommQualifier: 'AL', Address: fields } : undefined;
+  }
+
+  splitName({ firstName, lastName, name } = {}) {
+    if (firstName || lastName) {
+      return { FirstName: firstName, LastName: lastName };
+    }
+    const [first, ...rest] = `${name || ''}`.trim().split(/\s+/);
+    return { FirstName: first, LastName: rest.join(' ') };
+  }
+
+  toDecimal(value) {
+    try {
+      return new Decimal(value === undefined || value === null || value === '' ? 0 : value);
+    } catch (error) {
+      return new Decimal(0);
+    }
+  }
+
+  formatAmount(value) {
+    return this.toDecimal(value).toFixed(2);
+  }
+
+  formatOptionalAmount(value) {
+    return this.toDecimal(value).isZero() ? undefined : this.formatAmount(value);
+  }
+
+  formatNumber(value) {
+    return this.toDecimal(value).toString();
+  }
+
+  formatOptionalNumber(value) {
+    return this.toDecimal(value).isZero() ? undefined : this.formatNumber(value);
+  }
+
+  formatBoolean(value) {
+    return value ? 'Y' : 'N';
+  }
+
+  formatDateTime(value) {
+    if (!value) return undefined;
+    return value instanceof Date ? value.toISOString() : `${value}`;
+  }
+
+  /**
+   * Drop empty values so optional elements are omitted rather than written blank
+   */
+  compact(value) {
+    if (Array.isArray(value)) {
+      const items = value.map(item => this.compact(item)).filter(item => item !== undefined);
+      return items.length ? items : undefined;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Decimal)) {
+      const entries = Object.entries(value)
+        .map(([key, item]) => [key, this.compact(item)])
+        .filter(([, item]) => item !== undefined);
+      const hasElements = entries.some(([key]) => !key.startsWith('@_'));
+      return hasElements ? Object.fromEntries(entries) : undefined;
+    }
+    if (value === undefined || value === null || value === '' || value === false) {
+      return undefined;
+    }
+    return `${value}`;
+  }
+}
+
+module.exports = BMSExporter;
@@ -408,6 +408,9 @@ class EnhancedBMSParser {
         vehicle.year = this.getTextValue(desc.ModelYear);
         vehicle.make = this.getTextValue(desc.MakeDesc);
         vehicle.model = this.getTextValue(desc.ModelName);
+        if (desc.TrimCode) {
+          vehicle.trim = this.getTextValue(desc.TrimCode);
+        }
 
         if (desc.OdometerInfo) {
           vehicle.mileage = this.getNumericValue(
@@ -463,6 +466,9 @@ class EnhancedBMSParser {
         vehicle.color = this.getTextValue(
           vehicleData.Paint.Exterior.Color.ColorName
         );
+        if (vehicleData.Paint.Exterior.Color.ColorCode) {
+          vehicle.paintCode = this.getTextValue(vehicleData.Paint.Exterior.Color.ColorCode);
+        }
       }
     }
 
@@ -496,8 +502,31 @@ class EnhancedBMSParser {
       if (root.DocumentInfo.CurrencyInfo) {
         estimate.currency = this.getTextValue(root.DocumentInfo.CurrencyInfo.CurCode);
       }
+
+      // Document version codes (EM = estimate, SU = supplement, VN = version)
+      if (root.DocumentInfo.DocumentVer) {
+        const versions = Array.isArray(root.DocumentInfo.DocumentVer)
+          ? root.DocumentInfo.DocumentVer
+          : [root.DocumentInfo.DocumentVer];
+        estimate.documentVersions = versions.map(ver => ({
+          code: this.getTextValue(ver.DocumentVerCode),
+          number: parseInt(this.getTextValue(ver.DocumentVerNum)) || 0,
+        }));
+      }
     }
 
+    // Supplement number from the SU version code, or an S01-style suffix
+    const supplementVersion = (estimate.documentVersions || []).find(
+      ver => ver.code === 'SU'
+    );
+    const suffixMatch = `${estimate.estimateNumber || ''}`.match(/[-_\s]?S(\d{1,2})$/i);
+    estimate.supplementNumber = supplementVersion
+      ? supplementVersion.number
+      : suffixMatch
+        ? parseInt(suffixMatch[1])
+        : 0;
+    estimate.isSupplement = estimate.supplementNumber > 0;
+
     // Extract RO number with multiple fallback paths (as in Airtable script)
     estimate.roNumber = this.getTextValue(root.RqUID) ||
                        this.getTextValue(root.RepairOrderNum) ||
@@ -900,15 +929,15 @@ class EnhancedBMSParser {
             labor.lines.push(laborLine);
           }
 
-          // Categorize labor hours for summary
+          // Categorize labor hours for summary (descriptions or CIECA LAB/LAS/LAR/LAM/LAF codes)
           const laborTypeUpper = laborType.toUpperCase();
-          if (laborTypeUpper.includes('BODY') || laborTypeUpper.includes('STRUCTURAL')) {
+          if (laborTypeUpper.includes('BODY') || laborTypeUpper.includes('STRUCTURAL') || ['LAB', 'LAS'].includes(laborTypeUpper)) {
             labor.summary.bodyHours += parseFloat(hours) || 0;
-          } else if (laborTypeUpper.includes('REFINISH') || laborTypeUpper.includes('PAINT')) {
+          } else if (laborTypeUpper.includes('REFINISH') || laborTypeUpper.includes('PAINT') || laborTypeUpper === 'LAR') {
             labor.summary.refinishHours += parseFloat(hours) || 0;
-          } else if (laborTypeUpper.includes('MECHANICAL') || laborTypeUpper.includes('MECH')) {
+          } else if (laborTypeUpper.includes('MECHANICAL') || laborTypeUpper.includes('MECH') || laborTypeUpper === 'LAM') {
             labor.summary.mechanicalHours += parseFloat(hours) || 0;
-          } else if (laborTypeUpper.includes('FPB') || laborTypeUpper.includes('FRAME')) {
+          } else if (laborTypeUpper.includes('FPB') || laborTypeUpper.includes('FRAME') || laborTypeUpper === 'LAF') {
             labor.summary.fpbHours += parseFloat(hours) || 0;
           }
 
@@ -1074,8 +1103,13 @@ class EnhancedBMSParser {
         ? root.RepairTotalsInfo.Adjustments
         : [root.RepairTotalsInfo.Adjustments];
 
+      let taxTotal = new Decimal(0);
+
       adjustments.forEach(adjustment => {
         const adjustmentDesc = this.getTextValue(adjustment.AdjustmentDesc);
+        if (this.getTextValue(adjustment.AdjustmentType) === 'Tax') {
+          taxTotal = taxTotal.plus(this.getDecimalValue(adjustment.AdjustmentAmt));
+        }
         if (adjustmentDesc.toLowerCase().includes('deductible')) {
           const deductibleAmt = this.getDecimalValue(adjustment.AdjustmentAmt);
           if (!financial.deductible) {
@@ -1083,6 +1117,10 @@ class EnhancedBMSParser {
           }
         }
       });
+
+      if (!financial.taxTotal && !taxTotal.isZero()) {
+        financial.taxTotal = taxTotal;
+      }
     }
 
     return financial;
@@ -1163,7 +1201,8 @@ class EnhancedBMSParser {
   getBooleanValue(value) {
     if (!value) return false;
     const str = this.getTextValue(value).toLowerCase();
-    return str === 'true' || str === 'yes' || str === '1' || str === 'on';
+    // CIECA indicators are Y/N
+    return str === 'true' || str === 'yes' || str === 'y' || str === '1' || str === 'on';
   }
 
   formatPhoneNumber(phoneValue) {
@@ -0,0 +1,198 @@
+const yauzl = require('yauzl');
+
+/**
+ * Readers for EMS packages: dBase III/IV/FoxPro tables and the zip archives
+ * estimating systems wrap them in. Only the dBase fields EMS exports use are
+ * supported: character, numeric, date, logical and FoxPro binary.
+ */
+
+const DBF_HEADER_SIZE = 32;
+const DBF_FIELD_SIZE = 32;
+const DBF_FIELD_TERMINATOR = 0x0d;
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+// EMS tables are a few MB at most; anything far larger is a zip bomb
+const ZIP_MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+const ZIP_MAX_TOTAL_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Read a dBase table into plain records keyed by upper-case field name
+ *
+ * @param {Buffer} buffer - Raw .DBF contents
+ * @param {Object} options - { encoding: 'latin1', includeDeleted: false }
+ * @returns {{ fields: Array<Object>, records: Array<Object> }}
+ */
+function readDBF(buffer, options = {}) {
+  const { encoding = 'latin1', includeDeleted = false } = options;
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < DBF_HEADER_SIZE) {
+    throw new Error('Not a dBase table: file is too short');
+  }
+
+  const recordCount = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+  if (headerLength < DBF_HEADER_SIZE + 1 || headerLength > buffer.length || !recordLength) {
+    throw new Error('Not a dBase table: invalid header');
+  }
+
+  const fields = [];
+  let offset = DBF_HEADER_SIZE;
+  let fieldOffset = 1; // byte 0 of each record is the deletion flag
+  while (offset + DBF_FIELD_SIZE <= headerLength && buffer[offset] !== DBF_FIELD_TERMINATOR) {
+    const rawName = buffer.toString('latin1', offset, offset + 11);
+    const field = {
+      name: rawName.split('\0')[0].trim().toUpperCase(),
+      type: String.fromCharCode(buffer[offset + 11]).toUpperCase(),
+      length: buffer[offset + 16],
+      decimals: buffer[offset + 17],
+      offset: fieldOffset,
+    };
+    fields.push(field);
+    fieldOffset += field.length;
+    offset += DBF_FIELD_SIZE;
+  }
+
+  const records = [];
+  for (let index = 0; index < recordCount; index++) {
+    const start = headerLength + index * recordLength;
+    if (start + recordLength > buffer.length) break;
+
+    const deleted = buffer[start] === 0x2a; // '*'
+    if (deleted && !includeDeleted) continue;
+
+    const record = {};
+    fields.forEach(field => {
+      const raw = buffer.subarray(start + field.offset, start + field.offset + field.length);
+      record[field.name] = readDBFValue(raw, field, encoding);
+    });
+    records.push(record);
+  }
+
+  return { fields, records };
+}
+
+function readDBFValue(raw, field, encoding) {
+  switch (field.type) {
+    case 'N':
+    case 'F': {
+      const text = raw.toString('latin1').trim();
+      if (!text || /^\*+$/.test(text)) return null;
+      const value = parseFloat(text);
+      return isNaN(value) ? null : value;
+    }
+    case 'D': {
+      const text = raw.toString('latin1').trim();
+      return /^\d{8}$/.test(text) && text !== '00000000'
+        ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`
+        : null;
+    }
+    case 'L': {
+      const flag = raw.toString('latin1').trim().toUpperCase();
+      if (['T', 'Y'].includes(flag)) return true;
+      if (['F', 'N'].includes(flag)) return false;
+      return null;
+    }
+    case 'I':
+      return raw.length >= 4 ? raw.readInt32LE(0) : null;
+    case 'B':
+      return raw.length >= 8 ? raw.readDoubleLE(0) : null;
+    case 'Y':
+      return raw.length >= 8 ? Number(raw.readBigInt64LE(0)) / 10000 : null;
+    default:
+      // C (character) and anything unsupported, e.g. memo block pointers
+      return raw.toString(encoding).replace(/\0/g, '').trim();
+  }
+}
+
+/**
+ * List the files in a zip archive. Entries must inflate to exactly the size
+ * their header declares, so the limits below can trust the declared sizes.
+ *
+ * @param {Buffer} buffer - Raw .zip contents
+ * @param {Object} [options]
+ * @param {number} [options.maxEntrySize] - Largest uncompressed entry accepted
+ * @param {number} [options.maxTotalSize] - Largest uncompressed total accepted
+ * @returns {Promise<Array<{ name: string, data: Buffer }>>} File entries (directories skipped)
+ */
+function readZipEntries(
+  buffer,
+  { maxEntrySize = ZIP_MAX_ENTRY_SIZE, maxTotalSize = ZIP_MAX_TOTAL_SIZE } = {}
+) {
+  return new Promise((resolve, reject) => {
+    // yauzl's own validateEntrySizes stalls the stream instead of erroring on
+    // current Node, so entry sizes are checked as the data arrives
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: false }, (openError, zipfile) => {
+      if (openError) {
+        reject(new Error(`Not a zip archive: ${openError.message}`));
+        return;
+      }
+
+      const entries = [];
+      let totalSize = 0;
+      const fail = error => {
+        reject(error);
+        zipfile.close();
+      };
+
+      zipfile.on('error', error => fail(new Error(`Corrupt zip archive: ${error.message}`)));
+      zipfile.on('end', () => resolve(entries));
+      zipfile.on('entry', entry => {
+        const name = entry.fileName;
+        if (name.endsWith('/')) {
+          zipfile.readEntry();
+          return;
+        }
+
+        totalSize += entry.uncompressedSize;
+        if (entry.uncompressedSize > maxEntrySize || totalSize > maxTotalSize) {
+          fail(new Error(`Zip entry is too large to extract: ${name}`));
+          return;
+        }
+
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) {
+            fail(new Error(`Cannot extract ${name}: ${streamError.message}`));
+            return;
+          }
+
+          const chunks = [];
+          let size = 0;
+          stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > entry.uncompressedSize) {
+              stream.destroy();
+              fail(new Error(`Corrupt zip archive: ${name} is larger than its header says`));
+              return;
+            }
+            chunks.push(chunk);
+          });
+          stream.on('error', error => fail(new Error(`Corrupt zip archive: ${name}: ${error.message}`)));
+          stream.on('end', () => {
+            if (size !== entry.uncompressedSize) {
+              fail(new Error(`Corrupt zip archive: ${name} does not match its header size`));
+              return;
+            }
+            entries.push({ name, data: Buffer.concat(chunks) });
+            zipfile.readEntry();
+          });
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Quick check for the zip local-file signature ("PK\x03\x04")
+ */
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_SIGNATURE;
+}
+
+module.exports = {
+  readDBF,
+  readZipEntries,
+  isZip,
+};
@@ -0,0 +1,578 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Decimal = require('decimal.js');
+const { readDBF, readZipEntries, isZip } = require('./dbase_reader');
+
+// CIECA EMS tables, named <estimate file id>.<table>
+const EMS_TABLES = ['ENV', 'AD1', 'AD2', 'VEH', 'LIN', 'TTL', 'STL', 'PFH', 'PFL', 'PFT', 'PFM', 'PFP', 'PFO'];
+
+const ESTIMATING_SYSTEMS = {
+  C: 'CCC ONE',
+  M: 'Mitchell',
+  A: 'Audatex',
+};
+
+const SUBLET_PART_TYPES = ['PAS', 'PASL'];
+
+// STL total type prefixes: parts, labor, materials, other charges
+const TOTAL_GROUPS = ['PA', 'LA', 'MA', 'OT'];
+
+/**
+ * EMS dBase Parser
+ *
+ * Reads a CIECA EMS export — the ENV/AD1/AD2/VEH/LIN/TTL/STL/PF* dBase tables
+ * CCC ONE, Mitchell and Audatex write — from a zip archive or a folder, and
+ * maps it into the normalized structure EnhancedBMSParser returns so EMS
+ * estimates go through the same auto-creation pipeline as BMS files.
+ */
+class EMSDbaseParser {
+  /**
+   * @param {Buffer|string} source - Zip contents, or a path to a zip file or folder
+   * @param {Object} options - { encoding: 'latin1' }
+   */
+  async parseEMSPackage(source, options = {}) {
+    try {
+      console.log('Starting EMS dBase parsing...');
+
+      const files = await this.loadFiles(source);
+      const tables = this.readTables(files, options);
+
+      const env = this.first(tables.ENV);
+      const ad1 = this.first(tables.AD1);
+      const ad2 = this.first(tables.AD2);
+      const veh = this.first(tables.VEH);
+      const laborRates = this.extractLaborRates(tables.PFL);
+      const lines = tables.LIN || [];
+
+      const result = {
+        customer: this.extractCustomerInfo(ad1),
+        vehicle: this.extractVehicleInfo(veh, ad1),
+        estimate: this.extractEstimateInfo(env, ad1, ad2),
+        adjuster: this.extractAdjusterInfo(ad1),
+        parts: this.extractPartsInfo(lines),
+        labor: this.extractLaborInfo(lines, laborRates),
+        financial: this.extractFinancialInfo(this.first(tables.TTL), tables.STL || [], ad1),
+        taxDetails: this.extractTaxDetails(tables.STL || [], this.first(tables.PFH), tables.PFP || []),
+        specialRequirements: this.extractSpecialRequirements(lines),
+        metadata: this.extractMetadata(env, tables),
+      };
+
+      if (!result.financial.taxTotal) {
+        result.financial.taxTotal = result.taxDetails.gstAmount.plus(result.taxDetails.pstAmount);
+      }
+
+      console.log('EMS dBase parsing completed successfully');
+      return result;
+    } catch (error) {
+      console.error('Error parsing EMS package:', error);
+      throw new Error(`EMS parsing failed: ${error.message || 'Unknown error'}`);
+    }
+  }
+
+  // ==========================================
+  // LOADING
+  // ==========================================
+
+  /**
+   * Collect { name, data } entries from a zip buffer, zip file or folder
+   */
+  async loadFiles(source) {
+    if (Buffer.isBuffer(source)) {
+      if (!isZip(source)) {
+        throw new Error('EMS package must be a zip archive');
+      }
+      return readZipEntries(source);
+    }
+
+    const stat = await fs.stat(source);
+    if (stat.isDirectory()) {
+      const names = await fs.readdir(source);
+      const entries = await Promise.all(
+        names
+          .filter(name => this.tableName(name))
+          .map(async name => ({ name, data: await fs.readFile(path.join(source, name)) }))
+      );
+      return entries;
+    }
+
+    return this.loadFiles(await fs.readFile(source));
+  }
+
+  /**
+   * Read every EMS table in the package. A package must hold one estimate;
+   * a second ENV/AD1 file set is rejected rather than merged.
+   */
+  readTables(files, options = {}) {
+    const tables = {};
+    const estimateIds = new Set();
+
+    files.forEach(({ name, data }) => {
+      const table = this.tableName(name);
+      if (!table) return;
+
+      estimateIds.add(path.basename(name, path.extname(name)).toUpperCase());
+      tables[table] = readDBF(data, options).records;
+    });
+
+    if (!tables.AD1 && !tables.VEH && !tables.LIN) {
+      throw new Error('No EMS tables (AD1, VEH, LIN) found in package');
+    }
+    if (estimateIds.size > 1) {
+      throw new Error(
+        `Package contains ${estimateIds.size} estimates (${Array.from(estimateIds).join(', ')}); import them one at a time`
+      );
+    }
+
+    return tables;
+  }
+
+  tableName(fileName) {
+    const extension = path.extname(path.basename(fileName)).slice(1).toUpperCase();
+    return EMS_TABLES.includes(extension) ? extension : null;
+  }
+
+  // ==========================================
+  // ADMIN / VEHICLE / ESTIMATE
+  // ==========================================
+
+  extractCustomerInfo(ad1) {
+    // Owner first, insured as the fallback — mirrors the BMS Owner/PolicyHolder order
+    const prefix = this.getTextValue(ad1.OWNR_LN) || this.getTextValue(ad1.OWNR_FN) ||
+      this.getTextValue(ad1.OWNR_CO_NM) ? 'OWNR' : 'INSD';
+    const field = name => this.getTextValue(ad1[`${prefix}_${name}`]);
+
+    const firstName = field('FN');
+    const lastName = field('LN') || field('CO_NM');
+    const address1 = field('ADDR1');
+    const address2 = field('ADDR2');
+    const home = this.formatPhoneNumber(field('PH1'));
+    const work = this.formatPhoneNumber(field('PH2'));
+
+    return {
+      firstName,
+      lastName,
+      name: `${firstName} ${lastName}`.trim(),
+      phone: home || work,
+      phones: { home, work, cell: '' },
+      email: field('EA'),
+      address1,
+      address2,
+      address: address1 + (address2 ? ' ' + address2 : ''),
+      city: field('CITY'),
+      state: field('ST'),
+      province: field('ST'),
+      zip: field('ZIP'),
+      postalCode: field('ZIP'),
+      country: field('CTRY'),
+      addresses: { home: '', work: '', mailing: '' },
+      emails: { primary: field('EA'), secondary: '' },
+      insurance: this.getTextValue(ad1.INS_CO_NM),
+      claimNumber: this.getTextValue(ad1.CLM_NO),
+      policyNumber: this.getTextValue(ad1.POLICY_NO),
+    };
+  }
+
+  extractVehicleInfo(veh, ad1) {
+    const vehicle = {
+      vin: this.getTextValue(veh.V_VIN),
+      license: this.getTextValue(veh.PLATE_NO),
+      licenseState: this.getTextValue(veh.PLATE_ST),
+      year: this.getTextValue(veh.V_MODEL_YR),
+      make: this.getTextValue(veh.V_MAKEDESC) || this.getTextValue(veh.V_MAKECODE),
+      model: this.getTextValue(veh.V_MODEL),
+      trim: this.getTextValue(veh.V_TRIMCODE),
+      bodyStyle: this.getTextValue(veh.V_BSTYLE),
+      engine: this.getTextValue(veh.V_ENGINE),
+      color: this.getTextValue(veh.V_COLOR),
+      paintCode: this.getTextValue(veh.PAINT_CD1),
+      mileage: this.getNumericValue(veh.V_MILEAGE),
+      impactPoint: this.getTextValue(veh.IMPACT_1),
+      damageDescription: this.getTextValue(veh.DMG_MEMO) || this.getTextValue(ad1.LOSS_DESC),
+    };
+    vehicle.licensePlate = vehicle.license;
+    vehicle.exteriorColor = vehicle.color;
+    vehicle.currentOdometer = vehicle.mileage;
+
+    return vehicle;
+  }
+
+  extractEstimateInfo(env, ad1, ad2) {
+    // SUPP_NO is "S01", "01" or blank depending on the estimating system
+    const supplementNumber = parseInt(this.getTextValue(env.SUPP_NO).replace(/\D/g, '')) || 0;
+    const createDate = this.getTextValue(env.CREATE_DT);
+    const createTime = this.getTextValue(env.CREATE_TM);
+    const system = this.getTextValue(env.EST_SYSTEM).toUpperCase();
+
+    const estimate = {
+      estimateNumber: this.getTextValue(env.ESTFILE_ID) || this.getTextValue(env.UNQFILE_ID),
+      date: createDate && createTime ? `${createDate}T${createTime}` : createDate,
+      status: this.getTextValue(env.STATUS),
+      type: this.getTextValue(env.TRANS_TYPE),
+      emsVersion: this.getTextValue(env.EMS_VER),
+      estimatingSystem: ESTIMATING_SYSTEMS[system] || system,
+      systemVersion: this.getTextValue(env.SW_VERSION),
+      databaseVersion: this.getTextValue(env.DB_VERSION),
+      currency: this.getTextValue(env.EST_CTRY).toUpperCase().startsWith('CA') ? 'CAD' : 'USD',
+      documentVersions: [{ code: 'EM', number: 1 }],
+      supplementNumber,
+      isSupplement: supplementNumber > 0,
+      roNumber: this.getTextValue(env.RO_ID),
+      claimNumber: this.getTextValue(ad1.CLM_NO),
+      policyNumber: this.getTextValue(ad1.POLICY_NO),
+      lossDate: this.getTextValue(ad1.LOSS_DATE),
+    };
+    if (supplementNumber > 0) {
+      estimate.documentVersions.push({ code: 'SU', number: supplementNumber });
+    }
+
+    // Shop RO numbers are numeric in the BMS VehicleDescMemo convention
+    if (/^\d+$/.test(estimate.roNumber)) {
+      estimate.shopRoNumber = estimate.roNumber;
+    }
+
+    const estimatorFirstName = this.getTextValue(ad2.EST_CT_FN);
+    const estimatorLastName = this.getTextValue(ad2.EST_CT_LN);
+    if (estimatorFirstName || estimatorLastName) {
+      estimate.estimatorFirstName = estimatorFirstName;
+      estimate.estimatorLastName = estimatorLastName;
+      estimate.estimatorName = `${estimatorFirstName} ${estimatorLastName}`.trim();
+      estimate.estimatorPhone = this.formatPhoneNumber(ad2.EST_PH1);
+      estimate.estimatorEmail = this.getTextValue(ad2.EST_EA);
+    }
+
+    if (this.getTextValue(ad2.RF_CO_NM)) {
+      estimate.repairFacilityName = this.getTextValue(ad2.RF_CO_NM);
+      estimate.repairFacilityAddress = this.getTextValue(ad2.RF_ADDR1);
+      estimate.repairFacilityCity = this.getTextValue(ad2.RF_CITY);
+      estimate.repairFacilityState = this.getTextValue(ad2.RF_ST);
+      estimate.repairFacilityZip = this.getTextValue(ad2.RF_ZIP);
+      estimate.repairFacilityPhone = this.formatPhoneNumber(ad2.RF_PH1);
+      estimate.repairFacilityFax = this.formatPhoneNumber(ad2.RF_FAX);
+      estimate.repairFacilityEmail = this.getTextValue(ad2.RF_EA);
+    }
+
+    return estimate;
+  }
+
+  extractAdjusterInfo(ad1) {
+    const firstName = this.getTextValue(ad1.CLM_CT_FN);
+    const lastName = this.getTextValue(ad1.CLM_CT_LN);
+    if (!firstName && !lastName) return {};
+
+    return {
+      firstName,
+      lastName,
+      name: `${firstName} ${lastName}`.trim(),
+      phone: this.formatPhoneNumber(ad1.CLM_CT_PH),
+      email: this.getTextValue(ad1.CLM_EA),
+      company: this.getTextValue(ad1.INS_CO_NM),
+    };
+  }
+
+  // ==========================================
+  // LINES
+  // ==========================================
+
+  /**
+   * Part lines (with any labor on the same line) and sublet/misc charge lines
+   */
+  extractPartsInfo(lines) {
+    const parts = [];
+
+    lines.forEach(line => {
+      const partType = this.getTextValue(line.PART_TYPE).toUpperCase();
+      const oemPartNumber = this.getTextValue(line.OEM_PARTNO);
+      const altPartNumber = this.getTextValue(line.ALT_PARTNO);
+      const price = this.getDecimalValue(line.ACT_PRICE);
+      const miscAmount = this.getDecimalValue(line.MISC_AMT);
+      const isSublet = SUBLET_PART_TYPES.includes(partType) || this.getBooleanValue(line.MISC_SUBLT);
+
+      if (partType && !isSublet && (oemPartNumber || altPartNumber || !price.isZero())) {
+        const part = {
+          lineNumber: this.getNumericValue(line.LINE_NO),
+          partNumber: oemPartNumber,
+          oemPartNumber,
+          description: this.getTextValue(line.LINE_DESC),
+          quantity: this.getNumericValue(line.PART_QTY) || 1,
+          price,
+          oemPrice: this.getDecimalValue(line.DB_PRICE),
+          partType,
+          sourceCode: this.getTextValue(line.PRT_DSMK_M) ? 'MARKUP' : '',
+          taxable: this.getBooleanValue(line.TAX_PART),
+        };
+
+        // Alternate (aftermarket, recycled) parts carry their own number and supplier
+        if (altPartNumber) {
+          part.supplierRefNum = this.getTextValue(line.ALT_CO_ID);
+          part.nonOEMPartNum = altPartNumber;
+          part.nonOEMPartPrice = price;
+          part.partSelectedInd = partType !== 'PAN';
+          if (part.partSelectedInd || !part.partNumber) part.partNumber = altPartNumber;
+        }
+
+        const laborType = this.getTextValue(line.MOD_LBR_TY);
+        if (laborType) {
+          part.laborType = laborType;
+          part.laborOperation = this.getTextValue(line.LBR_OP);
+          part.laborHours = this.getDecimalValue(line.MOD_LB_HRS);
+          part.databaseLaborHours = this.getDecimalValue(line.DB_HRS);
+        }
+
+        parts.push(part);
+      } else if (isSublet || !miscAmount.isZero()) {
+        parts.push({
+          lineNumber: this.getNumericValue(line.LINE_NO),
+          partNumber: isSublet ? 'SUBLET' : 'Material',
+          description: this.getTextValue(line.LINE_DESC),
+          quantity: 1,
+          price: !miscAmount.isZero() ? miscAmount : price,
+          partType: isSublet ? 'SUBLET' : 'MATERIAL',
+          sourceCode: '99',
+          taxable: this.getBooleanValue(line.MISC_TAX) || this.getBooleanValue(line.TAX_PART),
+          isMaterial: true,
+        });
+      }
+    });
+
+    return parts;
+  }
+
+  extractLaborInfo(lines, laborRates = {}) {
+    const labor = {
+      lines: [],
+      summary: {
+        bodyHours: 0,
+        refinishHours: 0,
+        mechanicalHours: 0,
+        fpbHours: 0,
+        totalHours: 0,
+      },
+    };
+
+    lines.forEach(line => {
+      const laborType = this.getTextValue(line.MOD_LBR_TY);
+      if (!laborType) return;
+
+      const hours = this.getDecimalValue(line.MOD_LB_HRS);
+      const laborAmount = this.getDecimalValue(line.LBR_AMT);
+      const partType = this.getTextValue(line.PART_TYPE);
+      const isPartLine = partType && !SUBLET_PART_TYPES.includes(partType.toUpperCase()) &&
+        (this.getTextValue(line.OEM_PARTNO) || this.getTextValue(line.ALT_PARTNO) ||
+          !this.getDecimalValue(line.ACT_PRICE).isZero());
+
+      if (!isPartLine) {
+        const rate = laborRates[laborType.toUpperCase()] || new Decimal(0);
+        labor.lines.push({
+          lineNumber: this.getNumericValue(line.LINE_NO),
+          operation: this.getTextValue(line.LINE_DESC),
+          laborType,
+          laborOperation: this.getTextValue(line.LBR_OP),
+          hours,
+          databaseHours: this.getDecimalValue(line.DB_HRS),
+          calculatedHours: hours,
+          rate,
+          extended: !laborAmount.isZero() ? laborAmount : hours.times(rate),
+          taxable: this.getBooleanValue(line.LBR_TAX),
+        });
+      }
+
+      const laborTypeUpper = laborType.toUpperCase();
+      const numericHours = parseFloat(hours) || 0;
+      if (['LAB', 'LAS'].includes(laborTypeUpper)) {
+        labor.summary.bodyHours += numericHours;
+      } else if (laborTypeUpper === 'LAR') {
+        labor.summary.refinishHours += numericHours;
+      } else if (laborTypeUpper === 'LAM') {
+        labor.summary.mechanicalHours += numericHours;
+      } else if (laborTypeUpper === 'LAF') {
+        labor.summary.fpbHours += numericHours;
+      }
+      labor.summary.totalHours += numericHours;
+    });
+
+    return labor;
+  }
+
+  extractLaborRates(profileLabor = []) {
+    return profileLabor.reduce((rates, row) => {
+      const type = this.getTextValue(row.LBR_TYPE).toUpperCase();
+      if (type) rates[type] = this.getDecimalValue(row.LBR_RATE);
+      return rates;
+    }, {});
+  }
+
+  extractSpecialRequirements(lines) {
+    const requirements = {
+      adasCalibration: false,
+      postScan: false,
+      fourWheelAlignment: false,
+    };
+
+    lines.forEach(line => {
+      const lineDesc = this.getTextValue(line.LINE_DESC).toLowerCase();
+      if (lineDesc.includes('adas') || lineDesc.includes('calibration')) {
+        requirements.adasCalibration = true;
+      }
+      if (lineDesc.includes('scan') || lineDesc.includes('diagnostic')) {
+        requirements.postScan = true;
+      }
+      if (lineDesc.includes('alignment') || lineDesc.includes('4 wheel align')) {
+        requirements.fourWheelAlignment = true;
+      }
+    });
+
+    return requirements;
+  }
+
+  // ==========================================
+  // TOTALS
+  // ==========================================
+
+  /**
+   * TTL holds the grand/net totals and deductible; STL holds one row per
+   * total type (PA* parts, LA* labor, MA* materials, OT* other charges)
+   */
+  extractFinancialInfo(ttl, summaryLines, ad1) {
+    const financial = {};
+    const sums = { PA: new Decimal(0), LA: new Decimal(0), MA: new Decimal(0), OT: new Decimal(0) };
+    const taxes = { PA: new Decimal(0), LA: new Decimal(0), MA: new Decimal(0), OT: new Decimal(0) };
+    let laborHours = new Decimal(0);
+
+    summaryLines.forEach(row => {
+      const code = this.getTextValue(row.TTL_TYPECD).toUpperCase();
+      const group = code.slice(0, 2);
+      if (!sums[group]) return;
+
+      sums[group] = sums[group].plus(this.summaryAmount(row));
+      taxes[group] = taxes[group].plus(this.getDecimalValue(row.TAX_AMT));
+      if (group === 'LA') {
+        laborHours = laborHours.plus(this.getDecimalValue(row.T_HRS));
+      }
+    });
+
+    financial.partsTotal = sums.PA;
+    financial.partsTax = taxes.PA;
+    financial.laborTotal = sums.LA;
+    financial.laborTax = taxes.LA;
+    financial.laborHours = laborHours;
+    financial.materialsTotal = sums.MA.plus(sums.OT);
+    financial.materialsTax = taxes.MA.plus(taxes.OT);
+
+    const grossTotal = this.getDecimalValue(ttl.G_TTL_AMT);
+    const netTotal = this.getDecimalValue(ttl.N_TTL_AMT);
+    financial.grossTotal = grossTotal;
+    financial.netTotal = netTotal.isZero() ? grossTotal : netTotal;
+    financial.total = financial.netTotal;
+    financial.customerPay = this.getDecimalValue(ttl.G_CUST_AMT);
+    financial.supplementAmount = this.getDecimalValue(ttl.SUPP_AMT);
+
+    const deductible = this.getDecimalValue(ad1.DED_AMT);
+    const deductibleStatus = this.getTextValue(ad1.DED_STATUS);
+    financial.deductible = deductible.isZero() ? this.getDecimalValue(ttl.G_DED_AMT).abs() : deductible;
+    financial.deductibleStatus = deductibleStatus;
+    financial.deductibleWaived = deductibleStatus.toLowerCase().includes('waive');
+
+    return financial;
+  }
+
+  /**
+   * GST/HST and PST come from STL tax rows; rates fall back to the profile (PFH/PFP)
+   */
+  extractTaxDetails(summaryLines, pfh, profileParts) {
+    const taxDetails = {
+      gstRate: this.getDecimalValue(pfh.TAX_GST_RT),
+      pstRate: new Decimal(0),
+      gstAmount: new Decimal(0),
+      pstAmount: new Decimal(0),
+    };
+
+    const partsTaxRow = profileParts.find(row => !this.getDecimalValue(row.PRT_TAX_RT).isZero());
+    if (partsTaxRow) {
+      taxDetails.pstRate = this.getDecimalValue(partsTaxRow.PRT_TAX_RT);
+    }
+
+    summaryLines.forEach(row => {
+      const code = this.getTextValue(row.TTL_TYPECD).toUpperCase();
+      if (TOTAL_GROUPS.includes(code.slice(0, 2))) return;
+
+      const desc = `${code} ${this.getTextValue(row.TTL_TYPE).toUpperCase()}`;
+      const amount = this.summaryAmount(row);
+
+      if (desc.includes('GST') || desc.includes('HST') || desc.includes('FEDERAL')) {
+        taxDetails.gstAmount = taxDetails.gstAmount.plus(amount);
+      } else if (desc.includes('PST') || desc.includes('PROVINCIAL') || /^(TX|TAX|ST)/.test(code)) {
+        taxDetails.pstAmount = taxDetails.pstAmount.plus(amount);
+      }
+    });
+
+    return taxDetails;
+  }
+
+  summaryAmount(row) {
+    const amount = this.getDecimalValue(row.T_AMT);
+    return amount.isZero() ? this.getDecimalValue(row.NT_AMT) : amount;
+  }
+
+  extractMetadata(env, tables) {
+    const system = this.getTextValue(env.EST_SYSTEM).toUpperCase();
+
+    return {
+      parserVersion: '1.0-ems-dbase',
+      parseDate: new Date().toISOString(),
+      sourceFormat: 'EMS dBase',
+      estimateType: 'ems_dbase',
+      emsVersion: this.getTextValue(env.EMS_VER),
+      estimatingSystem: ESTIMATING_SYSTEMS[system] || system,
+      isMitchell: system === 'M',
+      tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.length])),
+      unknownTags: [],
+    };
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  first(rows) {
+    return (rows && rows[0]) || {};
+  }
+
+  getTextValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim();
+  }
+
+  getNumericValue(value) {
+    const num = parseFloat(value);
+    return isNaN(num) ? 0 : num;
+  }
+
+  getDecimalValue(value) {
+    if (value === undefined || value === null || value === '') return new Decimal(0);
+    try {
+      return new Decimal(value);
+    } catch (error) {
+      return new Decimal(0);
+    }
+  }
+
+  getBooleanValue(value) {
+    if (typeof value === 'boolean') return value;
+    const str = this.getTextValue(value).toLowerCase();
+    return ['t', 'y', 'true', 'yes', '1'].includes(str);
+  }
+
+  formatPhoneNumber(phoneValue) {
+    const phone = this.getTextValue(phoneValue);
+    let cleanPhone = phone.replace(/[^\d]/g, '');
+    if (cleanPhone.startsWith('1') && cleanPhone.length === 11) {
+      cleanPhone = cleanPhone.substring(1);
+    }
+    if (cleanPhone.length === 10) {
+      return `(${cleanPhone.substring(0, 3)}) ${cleanPhone.substring(3, 6)}-${cleanPhone.substring(6)}`;
+    }
+    return phone;
+  }
+}
+
+module.exports = EMSDbaseParser;
@@ -0,0 +1,502 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const chokidar = require('chokidar');
+const { Op } = require('sequelize');
+const { Shop, BmsImport } = require('../database/models');
+const bmsService = require('./bmsService');
+const { realtimeService } = require('./realtimeService');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Import Watcher Service for CollisionOS
+ * Watches each shop's estimating-system export folder (CCC, Mitchell) and
+ * imports new BMS files through bmsService.processBMSWithAutoCreation, and
+ * zipped EMS dBase packages through processEMSWithAutoCreation, the same
+ * paths used by the upload routes.
+ *
+ * - Configured per shop in Shop.settings.importWatcher; every folder must
+ *   sit under IMPORT_WATCH_ROOT/<shopId> on the server, so no shop can watch
+ *   or move another shop's files
+ * - Files are processed one at a time per shop, then moved to the processed
+ *   or error folder
+ * - Duplicates are detected by SHA-256 of the file contents against BmsImport
+ * - Progress is pushed to the shop as `bms_import_progress` events
+ */
+
+const SUPPORTED_EXTENSIONS = ['.xml', '.bms', '.zip'];
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // Same limit as the upload route
+const STABILITY_THRESHOLD_MS = 2000; // Wait for the estimating system to finish writing
+const RECENT_IMPORTS_LIMIT = 10;
+
+const DEFAULT_CONFIG = {
+  enabled: false,
+  watchPath: '',
+  processedPath: '',
+  errorPath: '',
+  recursive: false,
+};
+
+const isInside = (filePath, directory) => {
+  if (!directory) return false;
+  const relative = path.relative(directory, filePath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+/**
+ * Path with symlinks resolved; folders that do not exist yet keep their
+ * name under their nearest existing parent
+ */
+const realPathOf = async target => {
+  try {
+    return await fs.realpath(target);
+  } catch (error) {
+    const parent = path.dirname(target);
+    if (error.code !== 'ENOENT' || parent === target) return target;
+    return path.join(await realPathOf(parent), path.basename(target));
+  }
+};
+
+class ImportWatcherService {
+  constructor() {
+    this.watchers = new Map();
+    this.supportedExtensions = SUPPORTED_EXTENSIONS;
+  }
+
+  // ==============================================================
+  // LIFECYCLE
+  // ==============================================================
+
+  /**
+   * Start watchers for every active shop with an enabled watch folder
+   */
+  async startAll() {
+    const shops = await Shop.findAll({
+      where: { isActive: true },
+      attributes: ['id', 'settings'],
+    });
+
+    for (const shop of shops) {
+      const config = shop.settings?.importWatcher;
+      if (!config?.enabled) continue;
+
+      try {
+        await this.startWatcher(shop.id, config);
+      } catch (error) {
+        console.error(`⚠️ Import watcher for shop ${shop.id} not started:`, error.message);
+      }
+    }
+
+    return this.watchers.size;
+  }
+
+  async stopAll() {
+    await Promise.all([...this.watchers.keys()].map(shopId => this.stopWatcher(shopId)));
+  }
+
+  /**
+   * Watch a shop's export folder. Files already in the folder are imported
+   * on start so nothing dropped while the server was down is missed.
+   */
+  async startWatcher(shopId, rawConfig) {
+    const config = this.normalizeConfig(rawConfig);
+    await this.validateConfig(config, shopId);
+    await this.stopWatcher(shopId);
+
+    await fs.mkdir(config.processedPath, { recursive: true });
+    await fs.mkdir(config.errorPath, { recursive: true });
+
+    const state = {
+      shopId,
+      config,
+      queue: Promise.resolve(),
+      pending: new Set(),
+      stats: {
+        startedAt: new Date().toISOString(),
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        duplicates: 0,
+        lastFile: null,
+        lastError: null,
+      },
+    };
+
+    state.watcher = chokidar.watch(config.watchPath, {
+      persistent: true,
+      ignoreInitial: false,
+      depth: config.recursive ? undefined : 0,
+      ignored: filePath =>
+        path.basename(filePath).startsWith('.') ||
+        isInside(filePath, config.processedPath) ||
+        isInside(filePath, config.errorPath),
+      awaitWriteFinish: {
+        stabilityThreshold: STABILITY_THRESHOLD_MS,
+        pollInterval: 100,
+      },
+    });
+
+    state.watcher
+      .on('add', filePath => this.enqueue(state, filePath))
+      .on('error', error => {
+        console.error(`Import watcher error (shop ${shopId}):`, error);
+        state.stats.lastError = error.message;
+        this.emitProgress(state, 'watcher_error', { error: error.message });
+      });
+
+    this.watchers.set(shopId, state);
+    console.log(`🔍 Import watcher started for shop ${shopId}: ${config.watchPath}`);
+
+    return state;
+  }
+
+  async stopWatcher(shopId) {
+    const state = this.watchers.get(shopId);
+    if (!state) return false;
+
+    this.watchers.delete(shopId);
+    await state.watcher.close();
+    console.log(`🛑 Import watcher stopped for shop ${shopId}`);
+    return true;
+  }
+
+  // ==============================================================
+  // CONFIGURATION
+  // ==============================================================
+
+  /**
+   * Save a shop's watch-folder settings and start or stop its watcher
+   */
+  async updateConfig(shopId, updates) {
+    const shop = await Shop.findByPk(shopId);
+    if (!shop) {
+      throw new NotFoundError('Shop not found');
+    }
+
+    const current = shop.settings?.importWatcher || {};
+    const config = this.normalizeConfig({ ...current, ...updates });
+
+    // Reject an invalid folder before it is saved, and save before starting
+    // so a failed save never leaves an unsaved watcher running
+    if (config.enabled) {
+      await this.validateConfig(config, shopId);
+    }
+
+    shop.settings = { ...shop.settings, importWatcher: config };
+    shop.changed('settings', true);
+    await shop.save();
+
+    if (config.enabled) {
+      await this.startWatcher(shopId, config);
+    } else {
+      await this.stopWatcher(shopId);
+    }
+
+    return this.getStatus(shopId);
+  }
+
+  /**
+   * Fill in processed/error folders under the watch folder when not set
+   */
+  normalizeConfig(config = {}) {
+    const normalized = { ...DEFAULT_CONFIG, ...config };
+    normalized.enabled = Boolean(normalized.enabled);
+    normalized.recursive = Boolean(normalized.recursive);
+    normalized.watchPath = (normalized.watchPath || '').trim();
+
+    if (normalized.watchPath) {
+      normalized.watchPath = path.resolve(normalized.watchPath);
+      normalized.processedPath = path.resolve(
+        (normalized.processedPath || '').trim() || path.join(normalized.watchPath, 'processed')
+      );
+      normalized.errorPath = path.resolve(
+        (normalized.errorPath || '').trim() || path.join(normalized.watchPath, 'error')
+      );
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Every folder must sit under the shop's own IMPORT_WATCH_ROOT/<shopId>
+   * directory, with symlinks resolved
+   */
+  async validateConfig(config, shopId) {
+    if (!config.watchPath) {
+      throw new ValidationError('A watch folder is required');
+    }
+
+    const root = process.env.IMPORT_WATCH_ROOT;
+    if (!root) {
+      throw new ValidationError(
+        'Watch folders are turned off; set IMPORT_WATCH_ROOT on the server to allow them'
+      );
+    }
+    const shopRoot = path.join(path.resolve(root), String(shopId));
+    const realShopRoot = await realPathOf(shopRoot);
+    for (const folder of [config.watchPath, config.processedPath, config.errorPath]) {
+      if (!isInside(await realPathOf(folder), realShopRoot)) {
+        throw new ValidationError(`Folder must be inside ${shopRoot}: ${folder}`);
+      }
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(config.watchPath);
+    } catch (error) {
+      throw new ValidationError(`Watch folder does not exist: ${config.watchPath}`);
+    }
+    if (!stats.isDirectory()) {
+      throw new ValidationError(`Watch folder is not a directory: ${config.watchPath}`);
+    }
+
+    if (config.processedPath === config.watchPath || config.errorPath === config.watchPath) {
+      throw new ValidationError('Processed and error folders must differ from the watch folder');
+    }
+  }
+
+  /**
+   * Watcher state, configuration and recent watch-folder imports for a shop
+   */
+  async getStatus(shopId) {
+    const state = this.watchers.get(shopId);
+    let config = state?.config;
+
+    if (!config) {
+      const shop = await Shop.findByPk(shopId, { attributes: ['id', 'settings'] });
+      config = this.normalizeConfig(shop?.settings?.importWatcher);
+    }
+
+    const recentImports = await BmsImport.findAll({
+      where: { shopId, source: 'watch_folder' },
+      attributes: [
+        'id',
+        'fileName',
+        'fileSize',
+        'status',
+        'importDate',
+        'processingDuration',
+        'errorLog',
+        'metadata',
+      ],
+      order: [['importDate', 'DESC']],
+      limit: RECENT_IMPORTS_LIMIT,
+    });
+
+    return {
+      shopId,
+      running: Boolean(state),
+      config,
+      queued: state ? state.pending.size : 0,
+      stats: state ? state.stats : null,
+      supportedExtensions: SUPPORTED_EXTENSIONS,
+      recentImports,
+    };
+  }
+
+  // ==============================================================
+  // FILE PROCESSING
+  // ==============================================================
+
+  /**
+   * Queue a file for import. Files are processed one at a time per shop.
+   */
+  enqueue(state, filePath) {
+    if (state.pending.has(filePath)) return state.queue;
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return state.queue;
+
+    state.pending.add(filePath);
+    this.emitProgress(state, 'queued', { fileName: path.basename(filePath) });
+
+    state.queue = state.queue
+      .then(() => this.processFile(state, filePath))
+      .catch(error => console.error(`Import watcher failed on ${filePath}:`, error))
+      .finally(() => state.pending.delete(filePath));
+
+    return state.queue;
+  }
+
+  /**
+   * Import one file and move it to the processed or error folder
+   * @returns {Promise<Object>} { status, importId, destination }
+   */
+  async processFile(state, filePath) {
+    const { shopId, config, stats } = state;
+    const fileName = path.basename(filePath);
+    let record = null;
+    let fileHash = null;
+    let fileSize = null;
+
+    stats.lastFile = fileName;
+
+    try {
+      const content = await fs.readFile(filePath);
+      fileSize = content.length;
+      if (!fileSize) {
+        throw new Error('File is empty');
+      }
+      if (fileSize > MAX_FILE_SIZE) {
+        throw new Error(`File exceeds the ${MAX_FILE_SIZE / (1024 * 1024)}MB limit`);
+      }
+
+      fileHash = crypto.createHash('sha256').update(content).digest('hex');
+      const duplicate = await BmsImport.findOne({
+        where: {
+          shopId,
+          fileHash,
+          status: { [Op.in]: ['processing', 'success', 'partial'] },
+        },
+        attributes: ['id', 'fileName', 'importDate'],
+      });
+
+      if (duplicate) {
+        const destination = await this.moveFile(filePath, config.processedPath, `duplicate-${fileName}`);
+        stats.processed++;
+        stats.duplicates++;
+        this.emitProgress(state, 'duplicate', {
+          fileName,
+          duplicateOf: { id: duplicate.id, fileName: duplicate.fileName, importDate: duplicate.importDate },
+        });
+        return { status: 'duplicate', importId: duplicate.id, destination };
+      }
+
+      record = await BmsImport.create({
+        shopId,
+        fileName,
+        originalFileName: fileName,
+        fileType: this.fileTypeFor(filePath),
+        fileSize,
+        filePath,
+        fileHash,
+        source: 'watch_folder',
+        status: 'processing',
+        totalRecords: 1,
+        metadata: { watchPath: config.watchPath },
+      });
+      this.emitProgress(state, 'processing', { fileName, importId: record.id });
+
+      const context = { uploadId: record.id, shopId, fileName, fileSize, operation: 'watch_folder' };
+      const result =
+        this.fileTypeFor(filePath) === 'EMS'
+          ? await bmsService.processEMSWithAutoCreation(content, context)
+          : await bmsService.processBMSWithAutoCreation(content.toString('utf-8'), context);
+
+      if (!result.autoCreationSuccess) {
+        throw new Error(result.autoCreationError || 'Record creation failed');
+      }
+
+      const destination = await this.moveFile(filePath, config.processedPath);
+      const summary = {
+        customerId: result.createdCustomer?.id || null,
+        vehicleId: result.createdVehicle?.id || null,
+        claimId: result.createdClaim?.id || null,
+        jobId: result.createdJob?.id || null,
+        jobNumber: result.createdJob?.jobNumber || null,
+        isSupplement: Boolean(result.isSupplement),
+        supplementNumber: result.supplement?.supplementNumber || null,
+        partsCreated: result.createdParts?.length || 0,
+      };
+      await record.update({
+        status: 'success',
+        filePath: destination,
+        processedRecords: 1,
+        bmsVersion: result.metadata?.version || null,
+        metadata: { ...record.metadata, ...summary },
+      });
+
+      stats.processed++;
+      stats.succeeded++;
+      this.emitProgress(state, 'completed', { fileName, importId: record.id, ...summary });
+      return { status: 'success', importId: record.id, destination };
+    } catch (error) {
+      console.error(`Watch-folder import failed for ${fileName}:`, error.message);
+      const destination = await this.moveFile(filePath, config.errorPath).catch(moveError => {
+        console.error(`Failed to move ${fileName} to error folder:`, moveError.message);
+        return filePath;
+      });
+
+      try {
+        const failure = {
+          status: 'failed',
+          filePath: destination,
+          errorRecords: 1,
+          errorLog: { message: error.message, failedAt: new Date().toISOString() },
+        };
+        if (record) {
+          await record.update(failure);
+        } else {
+          record = await BmsImport.create({
+            shopId,
+            fileName,
+            originalFileName: fileName,
+            fileType: this.fileTypeFor(filePath),
+            fileSize,
+            fileHash,
+            source: 'watch_folder',
+            totalRecords: 1,
+            metadata: { watchPath: config.watchPath },
+            ...failure,
+          });
+        }
+      } catch (recordError) {
+        console.error('Failed to record watch-folder import failure:', recordError.message);
+      }
+
+      stats.processed++;
+      stats.failed++;
+      stats.lastError = error.message;
+      this.emitProgress(state, 'failed', {
+        fileName,
+        importId: record?.id || null,
+        error: error.message,
+      });
+      return { status: 'failed', importId: record?.id || null, destination, error: error.message };
+    }
+  }
+
+  /**
+   * Zipped exports are EMS dBase packages; everything else is BMS XML
+   */
+  fileTypeFor(filePath) {
+    return path.extname(filePath).toLowerCase() === '.zip' ? 'EMS' : 'BMS';
+  }
+
+  /**
+   * Move a file into a folder without overwriting an earlier file of the same name
+   */
+  async moveFile(sourcePath, directory, fileName = path.basename(sourcePath)) {
+    await fs.mkdir(directory, { recursive: true });
+
+    let destination = path.join(directory, fileName);
+    try {
+      await fs.access(destination);
+      destination = path.join(directory, `${Date.now()}-${fileName}`);
+    } catch (error) {
+      // Destination is free
+    }
+
+    try {
+      await fs.rename(sourcePath, destination);
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error;
+      // Processed/error folders on another volume
+      await fs.copyFile(sourcePath, destination);
+      await fs.unlink(sourcePath);
+    }
+
+    return destination;
+  }
+
+  emitProgress(state, stage, data = {}) {
+    realtimeService.emitToShop(state.shopId, 'bms_import_progress', {
+      source: 'watch_folder',
+      stage,
+      ...data,
+      queued: state.pending.size,
+      stats: state.stats,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = new ImportWatcherService();
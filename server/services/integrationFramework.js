@@ -357,6 +357,7 @@ class IntegrationManager extends EventEmitter {
     super();
     this.providers = new Map();
     this.webhookHandlers = new Map();
+    this.webhookVerifiers = new Map();
   }
 
   /**
@@ -394,20 +395,41 @@ class IntegrationManager extends EventEmitter {
 
   /**
    * Register webhook handler
+   *
+   * options.verifySignature(payload, signature) lets the handler check
+   * signatures itself (e.g. a secret per vendor). Such webhooks must be
+   * signed, and can be received without a user session.
    */
-  registerWebhookHandler(provider, eventType, handler) {
+  registerWebhookHandler(provider, eventType, handler, options = {}) {
     const key = `${provider}:${eventType}`;
     this.webhookHandlers.set(key, handler);
+    if (options.verifySignature) {
+      this.webhookVerifiers.set(key, options.verifySignature);
+    }
     console.log(`📡 Registered webhook handler: ${key}`);
   }
 
+  /**
+   * Whether the webhook verifies its own signature
+   */
+  isSelfVerifyingWebhook(provider, eventType) {
+    return this.webhookVerifiers.has(`${provider}:${eventType}`);
+  }
+
   /**
    * Handle incoming webhook
    */
   async handleWebhook(provider, eventType, payload, signature = null) {
     try {
+      const key = `${provider}:${eventType}`;
+      const verifier = this.webhookVerifiers.get(key);
+
       // Verify signature if provided
-      if (signature) {
+      if (verifier) {
+        if (!signature || !(await verifier(payload, signature))) {
+          throw new APIError('Invalid webhook signature', 401);
+        }
+      } else if (signature) {
         const providerInstance = this.getProvider(provider);
         if (
           !providerInstance.verifyWebhookSignature(
@@ -420,7 +442,6 @@ class IntegrationManager extends EventEmitter {
       }
 
       // Find and execute handler
-      const key = `${provider}:${eventType}`;
       const handler = this.webhookHandlers.get(key);
 
       if (!handler) {
@@ -441,7 +462,11 @@ class IntegrationManager extends EventEmitter {
       return { status: 'processed', result };
     } catch (error) {
       logError(error);
-      return { status: 'error', error: error.message };
+      return {
+        status: 'error',
+        error: error.message,
+        statusCode: error.statusCode,
+      };
     }
   }
 
@@ -0,0 +1,446 @@
+const dayjs = require('dayjs');
+const isoWeek = require('dayjs/plugin/isoWeek');
+const { Op } = require('sequelize');
+const {
+  LoanerReservation,
+  LoanerFleetManagement,
+  RepairOrderManagement,
+  Job,
+} = require('../database/models');
+const domainEvents = require('./domainEvents');
+const etaPredictionService = require('./etaPredictionService');
+const { realtimeService } = require('./realtimeService');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+dayjs.extend(isoWeek);
+
+/**
+ * Loaner Scheduling Service
+ *
+ * Keeps courtesy car reservations in step with the production schedule:
+ * - an RO booked with rentalRequired gets a reservation from its scheduled
+ *   start until it is expected back, on a free fleet vehicle when there is
+ *   one and as a pending, conflicted reservation when there is not
+ * - the return date follows the RO: the later of the smart ETA and the
+ *   promisedDeliveryDate. It is recalculated when the job changes stage,
+ *   parts arrive, QC completes or the promised date is edited
+ * - weeks where more reservations overlap on any day than the fleet has
+ *   cars are reported as overbooked and pushed to the shop as a warning
+ */
+
+const OPEN_RESERVATION_STATUSES = ['pending', 'confirmed', 'active'];
+
+// Cars that cannot be lent out until someone puts them back in service
+const OUT_OF_FLEET_STATUSES = ['out_of_service', 'accident_damage', 'retired'];
+
+// Return dates move only when the RO's expected date moves by more than this
+const RESCHEDULE_TOLERANCE_MS = 60 * 60 * 1000;
+const DEFAULT_FORECAST_WEEKS = 4;
+
+const startOf = reservation =>
+  new Date(
+    reservation.actualPickupDate ||
+      reservation.confirmedStartDate ||
+      reservation.requestedStartDate
+  );
+const endOf = reservation =>
+  new Date(reservation.confirmedEndDate || reservation.requestedEndDate);
+
+const overlaps = (reservation, start, end) =>
+  startOf(reservation) < end && endOf(reservation) > start;
+
+class LoanerSchedulingService {
+  constructor() {
+    const { EVENTS } = domainEvents;
+    domainEvents.subscribe(EVENTS.JOB_STAGE_CHANGED, event =>
+      this.handleJobEvent(event)
+    );
+    [EVENTS.PARTS_RECEIVED, EVENTS.QC_COMPLETED].forEach(name =>
+      domainEvents.subscribe(name, event =>
+        this.syncReturnDate(event.shopId, event.repairOrderId)
+      )
+    );
+
+    // Promised dates are edited in several places; catch them all
+    RepairOrderManagement.addHook(
+      'afterUpdate',
+      'loanerReturnDate',
+      repairOrder => {
+        if (repairOrder.changed('promisedDeliveryDate')) {
+          this.syncReturnDate(repairOrder.shopId, repairOrder.id).catch(error =>
+            console.error('Loaner return date sync failed:', error)
+          );
+        }
+      }
+    );
+  }
+
+  // ==========================================
+  // RESERVATIONS
+  // ==========================================
+
+  /**
+   * Reserve a loaner for a scheduled RO that needs one. An RO that already
+   * has an open reservation has its dates brought up to date instead.
+   *
+   * @param {string} shopId
+   * @param {string} repairOrderId
+   * @param {Object} options - startDate (scheduled start), expectedCompletion
+   *   (from the booking), vehicleClass, userId
+   * @returns {Object|null} { reservation, warnings }, or null when the RO
+   *   does not need a loaner
+   */
+  async reserveForRepairOrder(shopId, repairOrderId, options = {}) {
+    const repairOrder = await this.findRepairOrder(shopId, repairOrderId);
+    if (!repairOrder.rentalRequired) return null;
+
+    const existing = await this.findOpenReservation(shopId, repairOrderId);
+    if (existing) {
+      return this.syncReturnDate(shopId, repairOrderId, {
+        expectedCompletion: options.expectedCompletion,
+      });
+    }
+
+    const start = new Date(options.startDate || new Date());
+    const end = await this.expectedReturnDate(
+      repairOrder,
+      options.expectedCompletion
+    );
+    if (end <= start) {
+      throw new ValidationError(
+        'Loaner return date must be after the scheduled start'
+      );
+    }
+
+    const [vehicle] = await this.findAvailableVehicles(shopId, start, end, {
+      vehicleClass: options.vehicleClass,
+    });
+
+    const reservation = await LoanerReservation.create({
+      shopId,
+      customerId: repairOrder.customerId,
+      repairOrderId: repairOrder.id,
+      claimManagementId: repairOrder.claimManagementId || null,
+      loanerVehicleId: vehicle ? vehicle.id : null,
+      reservationNumber: this.generateReservationNumber(repairOrder),
+      reservationStatus: vehicle ? 'confirmed' : 'pending',
+      statusChangeDate: new Date(),
+      statusChangeReason: 'Reserved when the repair order was scheduled',
+      requestedStartDate: start,
+      requestedEndDate: end,
+      confirmedStartDate: vehicle ? start : null,
+      confirmedEndDate: vehicle ? end : null,
+      preferredVehicleClass: options.vehicleClass || null,
+      hasConflict: !vehicle,
+      conflictResolution: vehicle
+        ? null
+        : 'No loaner free for these dates; assign one when a car comes back',
+      createdBy: options.userId || null,
+      updatedBy: options.userId || null,
+    });
+
+    const warnings = await this.checkOverbooking(shopId, start, end);
+    this.notify(shopId, 'reserved', reservation, warnings);
+    return { reservation, warnings };
+  }
+
+  /**
+   * Move the return date of an RO's open reservation to when the RO is now
+   * expected back
+   *
+   * @param {Object} options - expectedCompletion when the caller already
+   *   has a fresh estimate
+   * @returns {Object|null} { reservation, previousEndDate, warnings }, or
+   *   null when there is nothing to move
+   */
+  async syncReturnDate(shopId, repairOrderId, options = {}) {
+    if (!repairOrderId) return null;
+    const reservation = await this.findOpenReservation(shopId, repairOrderId);
+    if (!reservation) return null;
+
+    const repairOrder = await this.findRepairOrder(shopId, repairOrderId);
+    const previousEndDate = endOf(reservation);
+    const end = await this.expectedReturnDate(
+      repairOrder,
+      options.expectedCompletion
+    );
+    if (
+      end <= startOf(reservation) ||
+      Math.abs(end - previousEndDate) < RESCHEDULE_TOLERANCE_MS
+    ) {
+      return { reservation, previousEndDate, warnings: [] };
+    }
+
+    if (reservation.loanerVehicleId) {
+      const clash = await this.findVehicleClash(reservation, end);
+      await reservation.update({
+        requestedEndDate: end,
+        confirmedEndDate: reservation.confirmedEndDate ? end : null,
+        hasConflict: Boolean(clash),
+        conflictResolution: clash
+          ? `Loaner is reserved again from ${startOf(clash).toISOString()} (${clash.reservationNumber})`
+          : null,
+      });
+    } else {
+      // Still waiting for a car: the new dates may fit one
+      const [vehicle] = await this.findAvailableVehicles(
+        shopId,
+        startOf(reservation),
+        end,
+        { vehicleClass: reservation.preferredVehicleClass }
+      );
+      await reservation.update({
+        requestedEndDate: end,
+        ...(vehicle && {
+          loanerVehicleId: vehicle.id,
+          reservationStatus: 'confirmed',
+          statusChangeDate: new Date(),
+          statusChangeReason: 'Loaner assigned after the return date moved',
+          confirmedStartDate: startOf(reservation),
+          confirmedEndDate: end,
+          hasConflict: false,
+          conflictResolution: null,
+        }),
+      });
+    }
+
+    const warnings = await this.checkOverbooking(
+      shopId,
+      previousEndDate < end ? previousEndDate : end,
+      previousEndDate < end ? end : previousEndDate
+    );
+    this.notify(shopId, 'return_date_changed', reservation, warnings, {
+      previous_return_date: previousEndDate,
+    });
+    domainEvents.publish(domainEvents.EVENTS.LOANER_RETURN_CHANGED, {
+      shopId,
+      repairOrderId,
+      reservationId: reservation.id,
+      previousReturnDate: previousEndDate,
+      returnDate: end,
+    });
+    return { reservation, previousEndDate, warnings };
+  }
+
+  async handleJobEvent(event) {
+    const job = await Job.findOne({
+      where: { id: event.jobId, shopId: event.shopId },
+    });
+    if (!job || !job.jobNumber) return null;
+
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { shopId: event.shopId, repairOrderNumber: job.jobNumber },
+    });
+    return repairOrder
+      ? this.syncReturnDate(event.shopId, repairOrder.id)
+      : null;
+  }
+
+  /**
+   * The later of the smart ETA and the promised delivery date: the customer
+   * keeps the loaner until their car is both done and due
+   */
+  async expectedReturnDate(repairOrder, expectedCompletion = null) {
+    let eta = expectedCompletion ? new Date(expectedCompletion) : null;
+    if (!eta) {
+      const result = await etaPredictionService.predictForRepairOrder(
+        repairOrder.shopId,
+        repairOrder.id
+      );
+      eta = result ? new Date(result.prediction.completion_at) : null;
+    }
+
+    const promised = repairOrder.promisedDeliveryDate
+      ? new Date(repairOrder.promisedDeliveryDate)
+      : null;
+    if (!eta && !promised) {
+      throw new ValidationError(
+        'Repair order has no ETA or promised date to plan the loaner around'
+      );
+    }
+    return !eta || (promised && promised > eta) ? promised : eta;
+  }
+
+  // ==========================================
+  // AVAILABILITY
+  // ==========================================
+
+  async findOpenReservations(shopId, where = {}) {
+    return LoanerReservation.findAll({
+      where: {
+        shopId,
+        reservationStatus: { [Op.in]: OPEN_RESERVATION_STATUSES },
+        ...where,
+      },
+      order: [['requestedStartDate', 'ASC']],
+    });
+  }
+
+  async findOpenReservation(shopId, repairOrderId) {
+    const [reservation] = await this.findOpenReservations(shopId, {
+      repairOrderId,
+    });
+    return reservation || null;
+  }
+
+  async getFleet(shopId) {
+    return LoanerFleetManagement.findAll({
+      where: {
+        shopId,
+        currentStatus: { [Op.notIn]: OUT_OF_FLEET_STATUSES },
+      },
+    });
+  }
+
+  /**
+   * Fleet vehicles with no open reservation overlapping the period, best
+   * class match first
+   *
+   * @param {Object} preferences - vehicleClass, vehicleType
+   */
+  async findAvailableVehicles(shopId, start, end, preferences = {}) {
+    const [fleet, reservations] = await Promise.all([
+      this.getFleet(shopId),
+      this.findOpenReservations(shopId),
+    ]);
+    const busy = new Set(
+      reservations
+        .filter(reservation => overlaps(reservation, start, end))
+        .map(reservation => reservation.loanerVehicleId)
+    );
+
+    return fleet
+      .filter(vehicle => !busy.has(vehicle.id))
+      .filter(
+        vehicle =>
+          !preferences.vehicleType ||
+          vehicle.vehicleType === preferences.vehicleType
+      )
+      .sort(
+        (a, b) =>
+          (b.vehicleClass === preferences.vehicleClass) -
+          (a.vehicleClass === preferences.vehicleClass)
+      );
+  }
+
+  /**
+   * The next reservation on the same car that the new return date runs into
+   */
+  async findVehicleClash(reservation, end) {
+    const others = await this.findOpenReservations(reservation.shopId, {
+      loanerVehicleId: reservation.loanerVehicleId,
+      id: { [Op.ne]: reservation.id },
+    });
+    return (
+      others.find(other => overlaps(other, startOf(reservation), end)) || null
+    );
+  }
+
+  // ==========================================
+  // OVERBOOKING
+  // ==========================================
+
+  /**
+   * Loaner demand per ISO week against the fleet size. A day is overbooked
+   * when more reservations (assigned or still waiting for a car) overlap it
+   * than the shop has cars.
+   *
+   * @param {Object} options - from (default today), weeks
+   */
+  async getWeeklyForecast(shopId, options = {}) {
+    const weeks = options.weeks || DEFAULT_FORECAST_WEEKS;
+    const first = dayjs(options.from || new Date()).startOf('isoWeek');
+    const [fleet, reservations] = await Promise.all([
+      this.getFleet(shopId),
+      this.findOpenReservations(shopId),
+    ]);
+
+    return Array.from({ length: weeks }, (_, index) => {
+      const weekStart = first.add(index, 'week');
+      const days = Array.from({ length: 7 }, (__, offset) => {
+        const day = weekStart.add(offset, 'day');
+        const reserved = reservations.filter(reservation =>
+          overlaps(reservation, day.toDate(), day.add(1, 'day').toDate())
+        );
+        return {
+          date: day.format('YYYY-MM-DD'),
+          reserved: reserved.length,
+          shortfall: Math.max(0, reserved.length - fleet.length),
+          repairOrderIds: reserved.map(
+            reservation => reservation.repairOrderId
+          ),
+        };
+      });
+      const peak = Math.max(...days.map(day => day.reserved));
+
+      return {
+        weekStart: weekStart.format('YYYY-MM-DD'),
+        fleetSize: fleet.length,
+        peakReserved: peak,
+        overbooked: peak > fleet.length,
+        overbookedDays: days.filter(day => day.shortfall > 0),
+        days,
+      };
+    });
+  }
+
+  /**
+   * Overbooked weeks touching a period, pushed to the shop as a warning
+   */
+  async checkOverbooking(shopId, start, end) {
+    const from = dayjs(start).startOf('isoWeek');
+    const weeks = dayjs(end).startOf('isoWeek').diff(from, 'week') + 1;
+    const forecast = await this.getWeeklyForecast(shopId, {
+      from: from.toDate(),
+      weeks,
+    });
+
+    const warnings = forecast
+      .filter(week => week.overbooked)
+      .map(week => ({
+        weekStart: week.weekStart,
+        fleetSize: week.fleetSize,
+        peakReserved: week.peakReserved,
+        overbookedDays: week.overbookedDays.map(day => day.date),
+        message: `Loaner fleet overbooked the week of ${week.weekStart}: ${week.peakReserved} reservations for ${week.fleetSize} cars`,
+      }));
+
+    if (warnings.length > 0) {
+      realtimeService.emitToShop(shopId, 'loaner_overbooked', { warnings });
+    }
+    return warnings;
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  async findRepairOrder(shopId, repairOrderId) {
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+    });
+    if (!repairOrder) throw new NotFoundError('Repair order not found');
+    return repairOrder;
+  }
+
+  generateReservationNumber(repairOrder) {
+    const suffix = Date.now().toString(36).slice(-4).toUpperCase();
+    return `LN-${repairOrder.repairOrderNumber || repairOrder.id}-${suffix}`;
+  }
+
+  notify(shopId, action, reservation, warnings, extra = {}) {
+    realtimeService.emitToShop(shopId, 'loaner_schedule_update', {
+      action,
+      reservation_id: reservation.id,
+      reservation_number: reservation.reservationNumber,
+      ro_id: reservation.repairOrderId,
+      vehicle_id: reservation.loanerVehicleId,
+      return_date: endOf(reservation),
+      has_conflict: reservation.hasConflict,
+      warnings,
+      ...extra,
+    });
+  }
+}
+
+module.exports = new LoanerSchedulingService();
@@ -0,0 +1,785 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { CommunicationLog, Customer } = require('../database/models');
+const { ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Message Delivery Service for CollisionOS
+ * Sends customer communications through a transport per channel and records
+ * each attempt as a CommunicationLog row (one row per channel).
+ *
+ * - sms: Twilio, or the file outbox when Twilio is not configured
+ * - email: SMTP through nodemailer, or the file outbox
+ * - portal: the CommunicationLog row is the customer's portal inbox entry
+ *
+ * Transports are picked from SMS_TRANSPORT / EMAIL_TRANSPORT, falling back to
+ * the configured provider and then to the file outbox outside production.
+ * Other transports can be plugged in with registerTransport().
+ *
+ * Consent follows the customer record: SMS needs smsOptIn, email is sent
+ * unless emailOptIn is false. Provider opt-outs (STOP replies, spam
+ * complaints) clear the flag on the customer.
+ *
+ * Emits `status_changed` with the log row whenever a message's status moves,
+ * so template statistics can be rolled up.
+ */
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const DISPATCH_BATCH_SIZE = 50;
+
+// Later statuses never move back to earlier ones when callbacks arrive out
+// of order
+const STATUS_RANK = {
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  failed: 3,
+  bounced: 3,
+  blocked: 3,
+  spam: 3,
+  unsubscribed: 3,
+  opened: 4,
+  clicked: 5,
+  replied: 6,
+};
+const FAILED_STATUSES = [
+  'failed',
+  'bounced',
+  'blocked',
+  'spam',
+  'unsubscribed',
+];
+
+class DeliveryError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} status - CommunicationLog status to record
+   * @param {string} code - provider error code
+   */
+  constructor(message, status = 'failed', code = null) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+
+/**
+ * Twilio Programmable Messaging
+ */
+class TwilioTransport {
+  constructor(config = {}) {
+    this.name = 'twilio';
+    this.config = {
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL,
+      ...config,
+    };
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('twilio')(
+        this.config.accountSid,
+        this.config.authToken
+      );
+    }
+    return this.client;
+  }
+
+  async send({ to, text }) {
+    try {
+      const message = await this.getClient().messages.create({
+        to,
+        from: this.config.from,
+        body: text,
+        ...(this.config.statusCallback
+          ? { statusCallback: this.config.statusCallback }
+          : {}),
+      });
+
+      return {
+        providerMessageId: message.sid,
+        status: TwilioTransport.mapStatus(message.status) || 'sent',
+        cost: message.price ? Math.abs(parseFloat(message.price)) : null,
+        billingUnits: parseInt(message.numSegments, 10) || 1,
+        data: { from: message.from, status: message.status },
+      };
+    } catch (error) {
+      throw new DeliveryError(
+        error.message,
+        TwilioTransport.errorStatus(error.code),
+        error.code ? `${error.code}` : null
+      );
+    }
+  }
+
+  /**
+   * Status callback body posted by Twilio
+   */
+  parseStatus(payload) {
+    return {
+      providerMessageId: payload.MessageSid || payload.SmsSid,
+      status: payload.ErrorCode
+        ? TwilioTransport.errorStatus(payload.ErrorCode)
+        : TwilioTransport.mapStatus(payload.MessageStatus),
+      error: payload.ErrorCode
+        ? `Twilio error ${payload.ErrorCode}${payload.ErrorMessage ? `: ${payload.ErrorMessage}` : ''}`
+        : null,
+      code: payload.ErrorCode ? `${payload.ErrorCode}` : null,
+    };
+  }
+
+  static mapStatus(status) {
+    return {
+      accepted: 'queued',
+      scheduled: 'queued',
+      queued: 'queued',
+      sending: 'sending',
+      sent: 'sent',
+      delivered: 'delivered',
+      read: 'opened',
+      undelivered: 'bounced',
+      failed: 'failed',
+      canceled: 'failed',
+    }[status];
+  }
+
+  static errorStatus(code) {
+    switch (parseInt(code, 10)) {
+      case 21610: // Recipient replied STOP
+        return 'unsubscribed';
+      case 30007: // Carrier filtered as spam
+        return 'blocked';
+      case 21211: // Invalid number
+      case 21614: // Not a mobile number
+      case 30003: // Unreachable handset
+      case 30005: // Unknown destination
+      case 30006: // Landline or unreachable carrier
+        return 'bounced';
+      default:
+        return 'failed';
+    }
+  }
+}
+
+/**
+ * SMTP email through nodemailer
+ */
+class SmtpTransport {
+  constructor(config = {}) {
+    this.name = 'smtp';
+    this.config = {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.EMAIL_FROM,
+      ...config,
+    };
+    this.mailer = null;
+  }
+
+  getMailer() {
+    if (!this.mailer) {
+      this.mailer = require('nodemailer').createTransport({
+        host: this.config.host,
+        port: this.config.port,
+        secure: this.config.secure,
+        auth: this.config.user
+          ? { user: this.config.user, pass: this.config.password }
+          : undefined,
+      });
+    }
+    return this.mailer;
+  }
+
+  async send({ to, subject, text, html, logId, attachments }) {
+    let info;
+    try {
+      info = await this.getMailer().sendMail({
+        from: this.config.from,
+        to,
+        subject,
+        text,
+        html,
+        attachments,
+        headers: { 'X-CollisionOS-Log-Id': logId },
+      });
+    } catch (error) {
+      // 5xx replies are permanent: the mailbox or domain does not exist
+      const permanent = error.responseCode >= 500;
+      throw new DeliveryError(
+        error.response || error.message,
+        permanent ? 'bounced' : 'failed',
+        error.responseCode ? `${error.responseCode}` : error.code || null
+      );
+    }
+
+    if ((info.rejected || []).length > 0) {
+      throw new DeliveryError(
+        `Recipient rejected: ${info.rejected.join(', ')}`,
+        'bounced'
+      );
+    }
+
+    return {
+      providerMessageId: info.messageId,
+      status: 'sent',
+      data: { response: info.response },
+    };
+  }
+
+  /**
+   * Bounce or complaint forwarded by the mail provider:
+   * { shop_id, message_id, type: 'hard' | 'soft' | 'complaint' | 'delivered', reason }
+   */
+  parseStatus(payload) {
+    const status = {
+      hard: 'bounced',
+      soft: 'failed',
+      complaint: 'spam',
+      delivered: 'delivered',
+      opened: 'opened',
+    }[payload.type];
+
+    return {
+      providerMessageId: payload.message_id,
+      status,
+      error: payload.reason || null,
+      code: payload.type || null,
+    };
+  }
+}
+
+/**
+ * Customer portal inbox: the log row is the inbox entry, so delivery only
+ * confirms it
+ */
+class PortalTransport {
+  constructor() {
+    this.name = 'portal';
+  }
+
+  async send({ logId }) {
+    return { providerMessageId: `portal-${logId}`, status: 'delivered' };
+  }
+}
+
+/**
+ * Writes each message as JSON into an outbox folder, for offline testing
+ */
+class FileTransport {
+  constructor(config = {}) {
+    this.name = 'file';
+    this.directory =
+      config.directory ||
+      process.env.COMMUNICATION_OUTBOX_DIR ||
+      path.join(process.cwd(), 'data', 'outbox');
+  }
+
+  async send({ channel, to, from, subject, text, html, logId, attachments }) {
+    const providerMessageId = `file-${crypto.randomUUID()}`;
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Attachments are written next to the message
+    const attachmentFiles = [];
+    for (const attachment of attachments || []) {
+      const fileName = `${providerMessageId}-${attachment.filename}`;
+      await fs.writeFile(
+        path.join(this.directory, fileName),
+        attachment.content
+      );
+      attachmentFiles.push(fileName);
+    }
+
+    await fs.writeFile(
+      path.join(
+        this.directory,
+        `${Date.now()}-${channel}-${providerMessageId}.json`
+      ),
+      JSON.stringify(
+        {
+          providerMessageId,
+          logId,
+          channel,
+          to,
+          from,
+          subject,
+          text,
+          html,
+          attachments: attachmentFiles,
+          createdAt: new Date().toISOString(),
+        },
+        null,
+        2
+      )
+    );
+
+    return { providerMessageId, status: 'delivered' };
+  }
+}
+
+// ==========================================
+// DELIVERY
+// ==========================================
+
+class MessageDeliveryService extends EventEmitter {
+  constructor() {
+    super();
+    this.transports = new Map();
+    this.schedulerTimer = null;
+    this.setupWebhookHandlers();
+  }
+
+  /**
+   * Mail provider bounces arrive through
+   * POST /api/integrations/webhooks/smtp/message_status, signed with
+   * EMAIL_WEBHOOK_SECRET. Twilio status callbacks have their own route
+   * (routes/twilioWebhooks.js) checked against the Twilio signature.
+   */
+  setupWebhookHandlers() {
+    const { integrationManager } = require('./integrationFramework');
+
+    integrationManager.registerWebhookHandler(
+      'smtp',
+      'message_status',
+      payload => this.recordStatus('smtp', payload, payload.shop_id),
+      {
+        verifySignature: (payload, signature) =>
+          this.verifyEmailSignature(payload, signature),
+      }
+    );
+  }
+
+  verifyEmailSignature(payload, signature) {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    if (!secret || !signature) return false;
+
+    const provided = `${signature}`.replace(/^sha256=/, '');
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+    return (
+      provided.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+    );
+  }
+
+  registerTransport(channel, transport) {
+    this.transports.set(channel, transport);
+  }
+
+  getTransport(channel) {
+    if (!this.transports.has(channel)) {
+      const transport = this.createDefaultTransport(channel);
+      if (!transport) return null;
+      this.transports.set(channel, transport);
+    }
+    return this.transports.get(channel);
+  }
+
+  createDefaultTransport(channel) {
+    const fallback =
+      process.env.NODE_ENV === 'production' ? null : new FileTransport();
+
+    switch (channel) {
+      case 'sms': {
+        const name =
+          process.env.SMS_TRANSPORT ||
+          (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : null);
+        if (name === 'twilio') return new TwilioTransport();
+        return name === 'file' ? new FileTransport() : fallback;
+      }
+      case 'email': {
+        const name =
+          process.env.EMAIL_TRANSPORT ||
+          (process.env.SMTP_HOST ? 'smtp' : null);
+        if (name === 'smtp') return new SmtpTransport();
+        return name === 'file' ? new FileTransport() : fallback;
+      }
+      case 'portal':
+        return new PortalTransport();
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Whether the customer can be reached on a channel, and at which address
+   *
+   * @returns {Object} { allowed, address, reason }
+   */
+  checkConsent(channel, customer) {
+    switch (channel) {
+      case 'sms': {
+        const address = customer.mobile || customer.phone;
+        if (!address) return { allowed: false, reason: 'No phone number' };
+        if (customer.smsOptIn !== true) {
+          return { allowed: false, address, reason: 'Not opted in to SMS' };
+        }
+        return { allowed: true, address };
+      }
+      case 'email':
+        if (!customer.email) {
+          return { allowed: false, reason: 'No email address' };
+        }
+        if (customer.emailOptIn === false) {
+          return {
+            allowed: false,
+            address: customer.email,
+            reason: 'Opted out of email',
+          };
+        }
+        return { allowed: true, address: customer.email };
+      case 'portal':
+        return { allowed: true, address: customer.id };
+      default:
+        return { allowed: false, reason: 'Unsupported channel' };
+    }
+  }
+
+  buildLog(channel, customer, message, context, address) {
+    return {
+      shopId: context.shopId,
+      customerId: customer.id,
+      repairOrderId: context.repairOrderId || null,
+      templateId: context.templateId || null,
+      communicationType: context.isAutomated ? 'automated' : 'outbound',
+      channel,
+      direction: 'sent',
+      recipientType: 'customer',
+      recipientName: [customer.firstName, customer.lastName]
+        .filter(Boolean)
+        .join(' '),
+      recipientPhone: channel === 'sms' ? address : null,
+      recipientEmail: channel === 'email' ? address : null,
+      senderId: context.userId || null,
+      subject: message.subject ? message.subject.substring(0, 200) : null,
+      messageContent: message.content,
+      messageHtml: message.html || null,
+      priority: context.priority || 'normal',
+      category: context.category || null,
+      campaignId: context.campaignId || null,
+      abTestVariant: context.abTestVariant || null,
+      triggerEvent: context.triggerEvent || null,
+      isAutomated: Boolean(context.isAutomated),
+      requiresConsent: channel === 'sms',
+      consentReceived: channel === 'sms' ? customer.smsOptIn === true : false,
+      threadId:
+        context.threadId ||
+        (context.repairOrderId
+          ? `ro_${context.repairOrderId}_${channel}`
+          : null),
+      createdBy: context.userId || null,
+    };
+  }
+
+  /**
+   * Send a message to a customer on one channel and log the attempt
+   *
+   * @param {string} channel - sms | email | portal
+   * @param {Object} customer - Customer record
+   * @param {Object} message - { subject, content, html }
+   * @param {Object} context - shopId, userId, repairOrderId, templateId,
+   *   priority, category, campaignId, triggerEvent, isAutomated, threadId,
+   *   abTestVariant
+   * @returns {Object} delivery result for the API response
+   */
+  async deliver(channel, customer, message, context = {}) {
+    if (!context.shopId) {
+      throw new ValidationError('shopId is required to deliver a message');
+    }
+
+    const consent = this.checkConsent(channel, customer);
+    const log = await CommunicationLog.create({
+      ...this.buildLog(channel, customer, message, context, consent.address),
+      status: consent.allowed ? 'sending' : 'blocked',
+      deliveryStatus: consent.allowed ? 'pending' : 'failed',
+      lastError: consent.allowed ? null : consent.reason,
+    });
+
+    if (!consent.allowed) {
+      return this.toResult(log, { error: consent.reason });
+    }
+    return this.attempt(log, customer);
+  }
+
+  /**
+   * Log a message to go out at a later time; the scheduler sends it
+   */
+  async schedule(channel, customer, message, context = {}, sendAt) {
+    const consent = this.checkConsent(channel, customer);
+    const log = await CommunicationLog.create({
+      ...this.buildLog(channel, customer, message, context, consent.address),
+      status: consent.allowed ? 'queued' : 'blocked',
+      deliveryStatus: consent.allowed ? 'pending' : 'failed',
+      lastError: consent.allowed ? null : consent.reason,
+      scheduledAt: new Date(sendAt),
+    });
+
+    return this.toResult(log, consent.allowed ? {} : { error: consent.reason });
+  }
+
+  /**
+   * Log a message that was held back (frequency cap, duplicate) without
+   * sending it, so the decision shows in the customer's history
+   */
+  async suppress(channel, customer, message, context = {}, reason) {
+    const consent = this.checkConsent(channel, customer);
+    const log = await CommunicationLog.create({
+      ...this.buildLog(channel, customer, message, context, consent.address),
+      status: 'blocked',
+      deliveryStatus: 'failed',
+      lastError: reason,
+    });
+
+    return { ...this.toResult(log, { error: reason }), suppressed: true };
+  }
+
+  async attempt(log, customer) {
+    const transport = this.getTransport(log.channel);
+    const attempts = (log.deliveryAttempts || 0) + 1;
+
+    if (!transport) {
+      await log.update({
+        status: 'failed',
+        deliveryAttempts: attempts,
+        lastError: `No ${log.channel} transport is configured`,
+      });
+      return this.toResult(log);
+    }
+
+    try {
+      const result = await transport.send({
+        channel: log.channel,
+        to:
+          log.channel === 'sms'
+            ? log.recipientPhone
+            : log.channel === 'email'
+              ? log.recipientEmail
+              : log.customerId,
+        from: transport.config?.from,
+        subject: log.subject,
+        text: log.messageContent,
+        html: log.messageHtml,
+        logId: log.id,
+      });
+
+      await log.update({
+        status: result.status,
+        deliveryAttempts: attempts,
+        externalMessageId: result.providerMessageId,
+        externalSystemName: transport.name,
+        externalSystemData: result.data || {},
+        cost: result.cost ?? null,
+        billingUnits: result.billingUnits || 1,
+        lastError: null,
+      });
+    } catch (error) {
+      const status = error instanceof DeliveryError ? error.status : 'failed';
+      await log.update({
+        status,
+        deliveryAttempts: attempts,
+        externalSystemName: transport.name,
+        lastError: error.message,
+        errorDetails: { code: error.code || null, at: new Date() },
+      });
+      await this.applyOptOut(log, status, customer);
+    }
+
+    this.notifyStatusChange(log);
+    return this.toResult(log);
+  }
+
+  /**
+   * Apply a provider status callback to the matching log row of the shop
+   * that sent the message
+   */
+  async recordStatus(provider, payload, shopId) {
+    const transport =
+      [...this.transports.values()].find(
+        candidate => candidate.name === provider
+      ) ||
+      (provider === 'twilio' ? new TwilioTransport() : new SmtpTransport());
+    const update = transport.parseStatus(payload);
+
+    if (!update.providerMessageId || !update.status || !shopId) {
+      return { updated: false, reason: 'Unrecognised status payload' };
+    }
+
+    const log = await CommunicationLog.findOne({
+      where: {
+        shopId,
+        externalMessageId: update.providerMessageId,
+        externalSystemName: provider,
+      },
+    });
+    if (!log) {
+      return { updated: false, reason: 'Message not found' };
+    }
+    if ((STATUS_RANK[update.status] ?? 0) < (STATUS_RANK[log.status] ?? 0)) {
+      return { updated: false, status: log.status };
+    }
+
+    await log.update({
+      status: update.status,
+      ...(update.error
+        ? {
+            lastError: update.error,
+            errorDetails: { code: update.code, at: new Date() },
+          }
+        : {}),
+    });
+    await this.applyOptOut(log, update.status);
+    this.notifyStatusChange(log);
+
+    return { updated: true, communication_id: log.id, status: log.status };
+  }
+
+  /**
+   * Tell listeners (template statistics) that a message's status moved
+   */
+  notifyStatusChange(log) {
+    this.emit('status_changed', log);
+  }
+
+  /**
+   * STOP replies and spam complaints withdraw consent for the channel
+   */
+  async applyOptOut(log, status, customer = null) {
+    const field =
+      status === 'unsubscribed' && log.channel === 'sms'
+        ? 'smsOptIn'
+        : status === 'spam' && log.channel === 'email'
+          ? 'emailOptIn'
+          : null;
+    if (!field || !log.customerId) return;
+
+    await log.update({ optOutReceived: true });
+    await Customer.update(
+      { [field]: false },
+      { where: { id: log.customerId } }
+    );
+    if (customer) customer[field] = false;
+  }
+
+  toResult(log, extra = {}) {
+    const success = !FAILED_STATUSES.includes(log.status);
+    return {
+      channel: log.channel,
+      success,
+      status: log.status,
+      communication_id: log.id,
+      delivery_id: log.externalMessageId || null,
+      provider: log.externalSystemName || null,
+      ...(log.status === 'queued'
+        ? { scheduled_for: log.scheduledAt }
+        : success
+          ? { sent_at: new Date().toISOString() }
+          : {
+              error: extra.error || log.lastError,
+              attempted_at: new Date().toISOString(),
+            }),
+    };
+  }
+
+  // ==========================================
+  // SCHEDULED SENDS
+  // ==========================================
+
+  /**
+   * Send queued messages whose scheduled time has passed
+   *
+   * @returns {number} messages attempted
+   */
+  async dispatchDue(now = new Date()) {
+    const due = await CommunicationLog.findAll({
+      where: {
+        status: 'queued',
+        direction: 'sent',
+        scheduledAt: { [Op.lte]: now },
+      },
+      include: [{ model: Customer, as: 'customer', required: false }],
+      order: [['scheduledAt', 'ASC']],
+      limit: DISPATCH_BATCH_SIZE,
+    });
+
+    for (const log of due) {
+      // Consent may have been withdrawn since the message was queued
+      const consent = log.customer
+        ? this.checkConsent(log.channel, log.customer)
+        : { allowed: false, reason: 'Customer not found' };
+      if (!consent.allowed) {
+        await log.update({ status: 'blocked', lastError: consent.reason });
+        continue;
+      }
+      await log.update({ status: 'sending' });
+      await this.attempt(log, log.customer);
+    }
+
+    return due.length;
+  }
+
+  startScheduler() {
+    if (this.schedulerTimer) return;
+    this.schedulerTimer = setInterval(() => {
+      this.dispatchDue().catch(error =>
+        console.error('Scheduled message dispatch failed:', error.message)
+      );
+    }, SCHEDULER_INTERVAL_MS);
+    this.schedulerTimer.unref?.();
+  }
+
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  // ==========================================
+  // PORTAL INBOX
+  // ==========================================
+
+  async getPortalInbox(shopId, customerId, options = {}) {
+    const { unreadOnly = false, limit = 50 } = options;
+    return CommunicationLog.findAll({
+      where: {
+        shopId,
+        customerId,
+        channel: 'portal',
+        direction: 'sent',
+        status: { [Op.notIn]: ['queued', 'blocked'] },
+        ...(unreadOnly ? { wasOpened: false } : {}),
+      },
+      order: [['createdAt', 'DESC']],
+      limit,
+    });
+  }
+
+  async markPortalMessageRead(shopId, customerId, messageId, openData = {}) {
+    const log = await CommunicationLog.findOne({
+      where: { id: messageId, shopId, customerId, channel: 'portal' },
+    });
+    if (!log) return null;
+    await log.markAsOpened({ deviceType: 'portal', ...openData });
+    this.notifyStatusChange(log);
+    return log;
+  }
+}
+
+module.exports = new MessageDeliveryService();
@@ -0,0 +1,510 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { Op, fn, col } = require('sequelize');
+const {
+  CommunicationLog,
+  CommunicationTemplate,
+  Shop,
+} = require('../database/models');
+const messageDeliveryService = require('./messageDeliveryService');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Message Dispatcher for CollisionOS
+ * Applies a CommunicationTemplate's sending rules before handing messages to
+ * messageDeliveryService.
+ *
+ * - Scheduling: delayMinutes, and businessHoursOnly messages are queued until
+ *   the shop is open in its own timezone
+ * - Throttling (per customer, template and channel): maxFrequency caps and
+ *   cooldownMinutes; suppressDuplicates drops identical content sent to the
+ *   customer on the same channel within a day
+ * - A/B testing: customers are split between the template (variant A) and
+ *   abTestVariants by abTestSplit, and keep their variant on every send
+ * - Statistics: sent/delivered/opened/clicked/response/bounce counters are
+ *   rolled up from CommunicationLog onto the template, with a per-variant
+ *   breakdown in testResults
+ *
+ * Held-back messages are logged as blocked with the reason, like messages
+ * blocked for missing consent.
+ */
+
+const CONTROL_VARIANT = 'A';
+const DEDUPE_WINDOW_HOURS = 24;
+const ROLL_UP_DELAY_MS = 5000;
+const DEFAULT_HOURS = { start: '08:00', end: '17:00' };
+const DAY_NAMES = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+// maxFrequency → rolling window a customer may receive the template once in
+const FREQUENCY_WINDOWS = {
+  once: { days: null, label: 'already sent' },
+  daily: { days: 1, label: 'already sent in the last day' },
+  weekly: { days: 7, label: 'already sent in the last week' },
+};
+
+// Messages that count against caps: on their way or already out
+const COUNTED_STATUSES = [
+  'queued',
+  'sending',
+  'sent',
+  'delivered',
+  'opened',
+  'clicked',
+  'replied',
+];
+
+// Status → the template counters it contributes to
+const STATUS_COUNTERS = {
+  sent: ['sentCount'],
+  delivered: ['sentCount', 'deliveredCount'],
+  opened: ['sentCount', 'deliveredCount', 'openedCount'],
+  clicked: ['sentCount', 'deliveredCount', 'openedCount', 'clickedCount'],
+  replied: ['sentCount', 'deliveredCount', 'responseCount'],
+  bounced: ['sentCount', 'bounceCount'],
+  unsubscribed: ['sentCount', 'unsubscribeCount'],
+  spam: ['sentCount', 'deliveredCount', 'unsubscribeCount'],
+};
+const COUNTERS = [
+  'sentCount',
+  'deliveredCount',
+  'openedCount',
+  'clickedCount',
+  'responseCount',
+  'bounceCount',
+  'unsubscribeCount',
+];
+
+const render = (text, variables = {}) =>
+  text
+    ? `${text}`.replace(/{{(\w+)}}/g, (match, key) =>
+        variables[key] === undefined || variables[key] === null
+          ? ''
+          : `${variables[key]}`
+      )
+    : text;
+
+// 'HH:mm:ss' (TIME column) or 'HH:mm' → 'HH:mm'
+const toClock = time => (time ? `${time}`.substring(0, 5) : null);
+
+class MessageDispatcher {
+  constructor() {
+    this.rollUpTimers = new Map();
+    messageDeliveryService.on('status_changed', log => {
+      if (log.templateId) this.scheduleRollUp(log.templateId);
+    });
+  }
+
+  // ==========================================
+  // DISPATCH
+  // ==========================================
+
+  /**
+   * Send (or queue) a message to a customer on each channel
+   *
+   * @param {Object} options
+   * @param {string[]} options.channels - channels with consent
+   * @param {Object} options.customer - Customer record
+   * @param {Object} options.message - { subject, content } used when the
+   *   template has no content for a channel
+   * @param {Object} [options.template] - CommunicationTemplate
+   * @param {Object} [options.variables] - values for {{placeholders}}
+   * @param {Object} options.context - messageDeliveryService context; set
+   *   businessHoursOnly to hold untemplated messages until opening time
+   * @param {Date|string} [options.sendAt] - earliest send time
+   * @returns {Object[]} delivery result per channel
+   */
+  async dispatch(options) {
+    const {
+      channels,
+      customer,
+      message,
+      template = null,
+      variables = {},
+      context,
+      sendAt = null,
+      now = new Date(),
+    } = options;
+
+    const variant = this.chooseVariant(template, customer);
+    const deliverAt = await this.resolveSendTime(
+      template,
+      context,
+      sendAt,
+      now
+    );
+    const channelContext = {
+      ...context,
+      templateId: template ? template.id : context.templateId,
+      abTestVariant: variant ? variant.name : null,
+    };
+
+    const results = [];
+    for (const channel of channels) {
+      const content = this.buildMessage(
+        template,
+        variant,
+        channel,
+        variables,
+        message
+      );
+
+      try {
+        const hold = await this.checkLimits(
+          template,
+          customer,
+          channel,
+          content,
+          now
+        );
+        if (hold) {
+          results.push(
+            await messageDeliveryService.suppress(
+              channel,
+              customer,
+              content,
+              channelContext,
+              hold
+            )
+          );
+        } else if (deliverAt > now) {
+          results.push(
+            await messageDeliveryService.schedule(
+              channel,
+              customer,
+              content,
+              channelContext,
+              deliverAt
+            )
+          );
+        } else {
+          results.push(
+            await messageDeliveryService.deliver(
+              channel,
+              customer,
+              content,
+              channelContext
+            )
+          );
+        }
+      } catch (error) {
+        results.push({
+          channel,
+          success: false,
+          error: error.message,
+          attempted_at: new Date().toISOString(),
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // ==========================================
+  // CONTENT AND A/B VARIANTS
+  // ==========================================
+
+  /**
+   * The template itself is variant A; abTestSplit is the percentage of
+   * customers who get it, the rest are spread over abTestVariants. The
+   * choice is a hash of template and customer so it never flips.
+   *
+   * @returns {Object|null} { name, ...content overrides } or null when the
+   *   template is not under test
+   */
+  chooseVariant(template, customer) {
+    const variants = (template?.abTestVariants || []).filter(Boolean);
+    if (!template || !template.abTestEnabled || variants.length === 0) {
+      return null;
+    }
+
+    const seed = `${template.id}:${customer.id || customer.mobile || customer.email}`;
+    const bucket =
+      parseInt(
+        crypto.createHash('md5').update(seed).digest('hex').substring(0, 8),
+        16
+      ) % 100;
+    const split = template.abTestSplit ?? 50;
+
+    if (bucket < split) {
+      return { name: CONTROL_VARIANT };
+    }
+    const index = Math.floor(
+      ((bucket - split) / (100 - split)) * variants.length
+    );
+    const variant = variants[Math.min(index, variants.length - 1)];
+    return {
+      ...variant,
+      name: variant.name || String.fromCharCode(66 + index), // B, C, ...
+    };
+  }
+
+  /**
+   * Channel content from the variant, then the template, then the message
+   * the caller prepared
+   */
+  buildMessage(template, variant, channel, variables, fallback = {}) {
+    const pick = field => variant?.[field] || template?.[field] || null;
+
+    let subject = null;
+    let content = null;
+    let html = null;
+    if (channel === 'sms') {
+      content = pick('smsTemplate');
+    } else if (channel === 'email') {
+      subject = pick('emailSubject');
+      content = pick('emailTemplate');
+      html = pick('emailHtmlTemplate');
+    } else if (channel === 'portal') {
+      content = pick('portalMessage') || pick('emailTemplate');
+      subject = pick('emailSubject');
+    }
+
+    return {
+      subject: render(subject, variables) || fallback.subject,
+      content: render(content, variables) || fallback.content,
+      html: render(html, variables) || fallback.html || null,
+    };
+  }
+
+  // ==========================================
+  // THROTTLING
+  // ==========================================
+
+  /**
+   * @returns {string|null} why the message is held back, or null to send
+   */
+  async checkLimits(template, customer, channel, message, now = new Date()) {
+    if (!template || !customer.id) return null;
+
+    const counted = {
+      customerId: customer.id,
+      channel,
+      direction: 'sent',
+      status: { [Op.in]: COUNTED_STATUSES },
+    };
+
+    const frequency = template.maxFrequency || 'unlimited';
+    if (frequency in FREQUENCY_WINDOWS) {
+      const window = FREQUENCY_WINDOWS[frequency];
+      const previous = await CommunicationLog.count({
+        where: {
+          ...counted,
+          templateId: template.id,
+          ...(window.days
+            ? {
+                createdAt: {
+                  [Op.gte]: dayjs(now).subtract(window.days, 'day').toDate(),
+                },
+              }
+            : {}),
+        },
+      });
+      if (previous > 0) {
+        return `Frequency cap (${frequency}): ${window.label}`;
+      }
+    }
+
+    if (template.cooldownMinutes > 0) {
+      const recent = await CommunicationLog.findOne({
+        where: {
+          ...counted,
+          templateId: template.id,
+          createdAt: {
+            [Op.gte]: dayjs(now)
+              .subtract(template.cooldownMinutes, 'minute')
+              .toDate(),
+          },
+        },
+        order: [['createdAt', 'DESC']],
+      });
+      if (recent) {
+        return `Cooldown: template sent less than ${template.cooldownMinutes} minutes ago`;
+      }
+    }
+
+    if (template.suppressDuplicates !== false && message.content) {
+      const duplicate = await CommunicationLog.findOne({
+        where: {
+          ...counted,
+          messageContent: message.content,
+          createdAt: {
+            [Op.gte]: dayjs(now).subtract(DEDUPE_WINDOW_HOURS, 'hour').toDate(),
+          },
+        },
+      });
+      if (duplicate) {
+        return `Duplicate: same message sent within ${DEDUPE_WINDOW_HOURS} hours`;
+      }
+    }
+
+    return null;
+  }
+
+  // ==========================================
+  // SCHEDULING
+  // ==========================================
+
+  /**
+   * Earliest allowed send time: the requested time plus delayMinutes,
+   * moved forward to the next open business hour when required
+   */
+  async resolveSendTime(template, context, sendAt, now = new Date()) {
+    let earliest = sendAt ? new Date(sendAt) : now;
+    if (earliest < now) earliest = now;
+
+    if (template && template.delayMinutes > 0) {
+      earliest = dayjs(earliest).add(template.delayMinutes, 'minute').toDate();
+    }
+
+    if (!template?.businessHoursOnly && !context.businessHoursOnly) {
+      return earliest;
+    }
+
+    const shop = context.shopId ? await Shop.findByPk(context.shopId) : null;
+    return this.nextBusinessTime(this.getSendWindow(template, shop), earliest);
+  }
+
+  /**
+   * Opening hours per weekday (0 = Sunday) in the shop's timezone.
+   * Template hours win when set; otherwise the shop's working hours apply
+   * on the template's working days.
+   */
+  getSendWindow(template, shop) {
+    const workingDays = (template?.workingDays || [1, 2, 3, 4, 5]).map(
+      day => day % 7
+    );
+    const shopHours = shop?.settings?.workingHours;
+    const templateHours =
+      template?.startTime && template?.endTime
+        ? { start: toClock(template.startTime), end: toClock(template.endTime) }
+        : null;
+
+    const days = DAY_NAMES.map((name, day) => {
+      if (!workingDays.includes(day)) return null;
+      if (templateHours) return templateHours;
+      if (!shopHours) return DEFAULT_HOURS;
+
+      const hours = shopHours[name];
+      return hours && hours.enabled
+        ? { start: toClock(hours.start), end: toClock(hours.end) }
+        : null;
+    });
+
+    return {
+      timezone: shop?.timezone || template?.timezone || 'America/Toronto',
+      days,
+    };
+  }
+
+  /**
+   * `from` if the shop is open then, else the next opening time. Falls
+   * back to `from` when no day is open, rather than never sending.
+   */
+  nextBusinessTime(window, from) {
+    let cursor = dayjs(from).tz(window.timezone);
+
+    for (let offset = 0; offset < 8; offset++) {
+      const hours = window.days[cursor.day()];
+      if (hours) {
+        const date = cursor.format('YYYY-MM-DD');
+        const opens = dayjs.tz(`${date} ${hours.start}`, window.timezone);
+        const closes = dayjs.tz(`${date} ${hours.end}`, window.timezone);
+
+        if (cursor.isBefore(opens)) return opens.toDate();
+        if (cursor.isBefore(closes)) return cursor.toDate();
+      }
+      cursor = cursor.add(1, 'day').startOf('day');
+    }
+
+    return new Date(from);
+  }
+
+  isWithinBusinessHours(window, at = new Date()) {
+    return this.nextBusinessTime(window, at).getTime() === at.getTime();
+  }
+
+  // ==========================================
+  // TEMPLATE STATISTICS
+  // ==========================================
+
+  /**
+   * Status callbacks arrive in bursts; roll up once they settle
+   */
+  scheduleRollUp(templateId) {
+    if (this.rollUpTimers.has(templateId)) return;
+
+    const timer = setTimeout(() => {
+      this.rollUpTimers.delete(templateId);
+      this.rollUpTemplateStats(templateId).catch(error =>
+        console.error('Template statistics roll-up failed:', error.message)
+      );
+    }, ROLL_UP_DELAY_MS);
+    timer.unref?.();
+    this.rollUpTimers.set(templateId, timer);
+  }
+
+  /**
+   * Recount the template's counters from its messages; the model's
+   * beforeUpdate hook recalculates the rates
+   */
+  async rollUpTemplateStats(templateId) {
+    const template = await CommunicationTemplate.findByPk(templateId);
+    if (!template) return null;
+
+    const rows = await CommunicationLog.findAll({
+      attributes: [
+        'abTestVariant',
+        'status',
+        [fn('COUNT', col('id')), 'count'],
+      ],
+      where: { templateId, direction: 'sent' },
+      group: ['abTestVariant', 'status'],
+      raw: true,
+    });
+
+    const blank = () =>
+      Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+    const totals = blank();
+    const variants = {};
+
+    rows.forEach(row => {
+      const count = parseInt(row.count, 10) || 0;
+      const variantName = row.abTestVariant || CONTROL_VARIANT;
+      variants[variantName] = variants[variantName] || blank();
+
+      (STATUS_COUNTERS[row.status] || []).forEach(counter => {
+        totals[counter] += count;
+        variants[variantName][counter] += count;
+      });
+    });
+
+    await template.update({
+      ...totals,
+      ...(template.abTestEnabled
+        ? {
+            testResults: {
+              ...(template.testResults || {}),
+              variants,
+              rolledUpAt: new Date().toISOString(),
+            },
+          }
+        : {}),
+    });
+
+    return template;
+  }
+}
+
+module.exports = new MessageDispatcher();
@@ -0,0 +1,769 @@
+const net = require('net');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const {
+  AdvancedPartsManagement,
+  PurchaseOrderSystem,
+  PartsInventoryTracking,
+  RepairOrderManagement,
+  VehicleProfile,
+  Customer,
+  Shop,
+} = require('../database/models');
+const domainEvents = require('./domainEvents');
+const { realtimeService } = require('./realtimeService');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  APIError,
+} = require('../utils/errorHandler');
+
+/**
+ * Parts Receiving Service
+ *
+ * Barcode-driven receiving: a scan finds the open PO line, receiving
+ * records the quantity and condition and puts the part away in a bin, and
+ * a bin/RO tag is printed as ZPL for thermal printers or as a PDF.
+ *
+ * A scan can be:
+ * - one of our own tags (PL:<part line id>), to look up a tagged part
+ * - a GS1-128 or GS1 DataMatrix vendor label: (01) GTIN, (240)/(241) part
+ *   number, (400) PO number, (30)/(37) quantity, (10) lot
+ * - a plain part number or UPC, or the tracking number from the vendor's
+ *   ship notice, which finds every line in the shipment
+ *
+ * An RO's parts are kept together: the bin suggested for a part is the
+ * one its RO's other parts went to, then the bin the part number was last
+ * put in (PartsInventoryTracking.binLocation).
+ *
+ * Labels go straight to the shop's network label printer when
+ * settings.labelPrinter.host is set (raw ZPL on port 9100).
+ */
+
+const RECEIVABLE_STATUSES = ['ordered', 'backordered', 'shipped'];
+const CONDITIONS = ['good', 'damaged', 'wrong_part'];
+const CONDITION_RETURN_REASONS = {
+  damaged: 'damaged_in_shipping',
+  wrong_part: 'wrong_part',
+};
+const RECEIVING_PO_STATUSES = [
+  'approved',
+  'sent',
+  'acknowledged',
+  'partial_received',
+];
+const LABEL_FORMATS = ['zpl', 'pdf'];
+const LABEL_PREFIX = 'PL:';
+const PRINTER_TIMEOUT_MS = 5000;
+
+// GS1 application identifiers read from vendor labels; the rest of the
+// label is ignored
+const GS1_FIELDS = {
+  '01': 'gtin',
+  10: 'lot',
+  30: 'quantity',
+  37: 'quantity',
+  240: 'partNumber',
+  241: 'partNumber',
+  400: 'poNumber',
+};
+const GS1_FIXED_LENGTHS = {
+  '00': 18,
+  '01': 14,
+  '02': 14,
+  11: 6,
+  12: 6,
+  13: 6,
+  15: 6,
+  17: 6,
+  20: 2,
+};
+const GS1_VARIABLE = ['10', '21', '30', '37', '240', '241', '400'];
+const GROUP_SEPARATOR = '\u001d';
+
+const normalizePartNumber = value =>
+  `${value || ''}`.replace(/[-\s]/g, '').toUpperCase();
+const formatDate = value =>
+  value ? new Date(value).toISOString().split('T')[0] : '';
+
+class PartsReceivingService {
+  // ==========================================
+  // SCANNING
+  // ==========================================
+
+  /**
+   * What a scanned barcode says
+   *
+   * @returns {Object} { type: 'part_label' | 'gs1' | 'text', raw,
+   *   partLineId, gtin, partNumber, poNumber, quantity, lot }
+   */
+  parseScan(code) {
+    const raw = `${code || ''}`.trim();
+    if (!raw) {
+      throw new ValidationError('Nothing was scanned');
+    }
+    if (raw.toUpperCase().startsWith(LABEL_PREFIX)) {
+      return {
+        type: 'part_label',
+        raw,
+        partLineId: raw.slice(LABEL_PREFIX.length),
+      };
+    }
+    const gs1 = parseGs1(raw);
+    if (gs1) {
+      return { type: 'gs1', raw, ...gs1 };
+    }
+    return { type: 'text', raw };
+  }
+
+  /**
+   * The open PO lines a scan could be, lines still owed first
+   *
+   * @param {string} shopId
+   * @param {string} code - the scanned barcode
+   * @param {Object} options - { purchaseOrderId } to receive one PO
+   * @returns {Object} { scan, lines: [{ partLine, purchaseOrder,
+   *   quantityRemaining, suggestedBin }] }
+   */
+  async lookupScan(shopId, code, options = {}) {
+    const scan = this.parseScan(code);
+    const where = { shopId, partsOrderId: { [Op.ne]: null } };
+
+    if (scan.type === 'part_label') {
+      where.id = scan.partLineId;
+    } else {
+      where.partStatus = RECEIVABLE_STATUSES;
+    }
+    if (options.purchaseOrderId) {
+      where.partsOrderId = options.purchaseOrderId;
+    } else if (scan.poNumber) {
+      const purchaseOrder = await PurchaseOrderSystem.findOne({
+        where: { shopId, purchaseOrderNumber: scan.poNumber },
+      });
+      if (purchaseOrder) where.partsOrderId = purchaseOrder.id;
+    }
+
+    const candidates = await AdvancedPartsManagement.findAll({
+      where,
+      order: [['id', 'ASC']],
+    });
+    let partLines = candidates;
+    if (scan.type !== 'part_label') {
+      const partNumbers = await this.partNumbersFor(shopId, scan);
+      const tracking = normalizePartNumber(scan.raw);
+      partLines = candidates.filter(
+        line =>
+          partNumbers.has(normalizePartNumber(line.vendorPartNumber)) ||
+          partNumbers.has(normalizePartNumber(line.oemPartNumber)) ||
+          (scan.type === 'text' &&
+            line.trackingNumber &&
+            normalizePartNumber(line.trackingNumber) === tracking)
+      );
+    }
+
+    const purchaseOrders = partLines.length
+      ? await PurchaseOrderSystem.findAll({
+          where: {
+            shopId,
+            id: [...new Set(partLines.map(line => line.partsOrderId))],
+          },
+        })
+      : [];
+
+    const lines = [];
+    for (const partLine of partLines) {
+      lines.push({
+        partLine,
+        purchaseOrder:
+          purchaseOrders.find(po => po.id === partLine.partsOrderId) || null,
+        quantityRemaining: this.remainingOf(partLine),
+        suggestedBin: await this.suggestBin(shopId, partLine),
+      });
+    }
+    lines.sort(
+      (a, b) =>
+        (b.quantityRemaining > 0) - (a.quantityRemaining > 0) ||
+        a.partLine.partsOrderId - b.partLine.partsOrderId
+    );
+
+    return { scan, lines };
+  }
+
+  /**
+   * Normalized part numbers a scan stands for; UPCs and GTINs are looked
+   * up in the parts inventory
+   */
+  async partNumbersFor(shopId, scan) {
+    const partNumbers = new Set(
+      [scan.partNumber, scan.type === 'text' ? scan.raw : null]
+        .filter(Boolean)
+        .map(normalizePartNumber)
+    );
+
+    const codes = [scan.gtin, scan.type === 'text' ? scan.raw : null].filter(
+      code => code && /^\d{8,14}$/.test(code)
+    );
+    if (codes.length > 0) {
+      // A GTIN-14 carries a UPC-A behind two leading zeros
+      const upcs = codes.flatMap(code => [code, code.replace(/^0{1,2}/, '')]);
+      const stocked = await PartsInventoryTracking.findAll({
+        where: { shopId, universalProductCode: [...new Set(upcs)] },
+      });
+      stocked.forEach(item =>
+        [item.partNumber, item.oemPartNumber, item.vendorPartNumber]
+          .filter(Boolean)
+          .forEach(number => partNumbers.add(normalizePartNumber(number)))
+      );
+    }
+    return partNumbers;
+  }
+
+  // ==========================================
+  // RECEIVING
+  // ==========================================
+
+  /**
+   * Receive a scanned PO line into a bin
+   *
+   * Damaged and wrong parts are not counted as received; the line keeps
+   * its return reason so a return can be opened.
+   *
+   * @param {string} shopId
+   * @param {number} partLineId
+   * @param {Object} data - { quantity, condition: 'good' | 'damaged' |
+   *   'wrong_part', binLocation, notes }
+   * @param {string} userId
+   * @returns {Object} { partLine, purchaseOrder, quantity, condition,
+   *   binLocation, fullyReceived, overReceived }
+   */
+  async receiveLine(shopId, partLineId, data = {}, userId = null) {
+    const condition = data.condition || 'good';
+    if (!CONDITIONS.includes(condition)) {
+      throw new ValidationError(`Unknown condition: ${condition}`);
+    }
+    const partLine = await AdvancedPartsManagement.findOne({
+      where: { id: partLineId, shopId },
+    });
+    if (!partLine) {
+      throw new NotFoundError('Part line not found');
+    }
+    const partNumber = partLine.vendorPartNumber || partLine.oemPartNumber;
+    if (!RECEIVABLE_STATUSES.includes(partLine.partStatus)) {
+      throw new ConflictError(
+        `${partNumber} is ${partLine.partStatus} and cannot be received`
+      );
+    }
+
+    const ordered = parseFloat(partLine.quantityOrdered || 0);
+    const alreadyReceived = parseFloat(partLine.quantityReceived || 0);
+    const quantity =
+      data.quantity === undefined || data.quantity === null
+        ? Math.max(ordered - alreadyReceived, 1)
+        : Number(data.quantity);
+    if (!(quantity > 0)) {
+      throw new ValidationError('Received quantity must be positive');
+    }
+    const binLocation =
+      `${data.binLocation || ''}`.trim() ||
+      (condition === 'good' ? await this.suggestBin(shopId, partLine) : null);
+    if (condition === 'good' && !binLocation) {
+      throw new ValidationError(`Scan or enter a bin for ${partNumber}`);
+    }
+
+    const now = new Date();
+    const note = [
+      `Received ${quantity}${condition === 'good' ? '' : ` ${condition.replace('_', ' ')}`}${
+        binLocation ? ` into bin ${binLocation}` : ''
+      }`,
+      data.notes,
+    ]
+      .filter(Boolean)
+      .join(' - ');
+    const changes = {
+      receivingNotes: this.appendNote(partLine.receivingNotes, note),
+      receivedBy: userId,
+      ...(binLocation && { binLocation }),
+    };
+
+    const totalReceived =
+      condition === 'good' ? alreadyReceived + quantity : alreadyReceived;
+    const fullyReceived = totalReceived >= ordered;
+    if (condition === 'good') {
+      Object.assign(changes, {
+        quantityReceived: totalReceived,
+        receivedDate: now,
+      });
+      if (fullyReceived) {
+        Object.assign(changes, this.moveLine(partLine, 'received', now), {
+          statusChangeReason: 'Received by barcode scan',
+          statusChangedBy: userId,
+        });
+      }
+    } else {
+      changes.returnReason = CONDITION_RETURN_REASONS[condition];
+    }
+    await partLine.update(changes);
+
+    if (condition === 'good') {
+      await this.recordBin(shopId, partLine, binLocation);
+    }
+    const purchaseOrder = await this.updatePurchaseOrder(shopId, partLine, now);
+
+    if (partLine.partStatus === 'received' && partLine.repairOrderId) {
+      domainEvents.publish(domainEvents.EVENTS.PARTS_RECEIVED, {
+        shopId,
+        repairOrderId: partLine.repairOrderId,
+        purchaseOrderId: partLine.partsOrderId,
+        partIds: [partLine.id],
+        userId,
+      });
+    }
+    realtimeService.emitToShop(shopId, 'parts_update', {
+      action: 'part_received',
+      part_id: partLine.id,
+      po_id: partLine.partsOrderId,
+      ro_id: partLine.repairOrderId,
+      part_number: partNumber,
+      quantity,
+      condition,
+      bin_location: binLocation,
+      status: partLine.partStatus,
+    });
+
+    return {
+      partLine,
+      purchaseOrder,
+      quantity,
+      condition,
+      binLocation,
+      fullyReceived: condition === 'good' && fullyReceived,
+      overReceived: Math.max(0, totalReceived - ordered),
+    };
+  }
+
+  /**
+   * The bin for a part: where it already is, where its RO's other parts
+   * are, or where the part number was last put away
+   */
+  async suggestBin(shopId, partLine) {
+    if (partLine.binLocation) return partLine.binLocation;
+    if (partLine.repairOrderId) {
+      const sibling = await AdvancedPartsManagement.findOne({
+        where: {
+          shopId,
+          repairOrderId: partLine.repairOrderId,
+          id: { [Op.ne]: partLine.id },
+          binLocation: { [Op.ne]: null },
+        },
+        order: [['receivedDate', 'DESC']],
+      });
+      if (sibling) return sibling.binLocation;
+    }
+    const stocked = await this.findInventory(shopId, partLine);
+    return stocked?.binLocation || null;
+  }
+
+  /**
+   * Remember the bin against the part number in the parts inventory
+   */
+  async recordBin(shopId, partLine, binLocation) {
+    const stocked = await this.findInventory(shopId, partLine);
+    if (stocked) {
+      if (stocked.binLocation !== binLocation) {
+        await stocked.update({ binLocation });
+      }
+      return stocked;
+    }
+    return PartsInventoryTracking.create({
+      shopId,
+      vendorId: partLine.vendorId,
+      partNumber: partLine.vendorPartNumber || partLine.oemPartNumber,
+      partDescription: partLine.partDescription,
+      oemPartNumber: partLine.oemPartNumber,
+      vendorPartNumber: partLine.vendorPartNumber,
+      partCategory: partLine.partCategory,
+      brandType: partLine.brandType || 'oem',
+      partCondition: partLine.partCondition || 'new',
+      binLocation,
+    });
+  }
+
+  findInventory(shopId, partLine) {
+    const partNumbers = [
+      partLine.vendorPartNumber,
+      partLine.oemPartNumber,
+    ].filter(Boolean);
+    if (partNumbers.length === 0) return null;
+    return PartsInventoryTracking.findOne({
+      where: { shopId, partNumber: partNumbers },
+      order: [['updatedAt', 'DESC']],
+    });
+  }
+
+  /**
+   * Roll the receipt up to the PO: complete when every line is in,
+   * discrepancy while damaged or wrong parts are outstanding
+   */
+  async updatePurchaseOrder(shopId, partLine, now) {
+    const purchaseOrder = await PurchaseOrderSystem.findOne({
+      where: { id: partLine.partsOrderId, shopId },
+    });
+    if (!purchaseOrder) return null;
+
+    const lines = await AdvancedPartsManagement.findAll({
+      where: {
+        shopId,
+        partsOrderId: purchaseOrder.id,
+        partStatus: { [Op.ne]: 'cancelled' },
+      },
+    });
+    const received = line => parseFloat(line.quantityReceived || 0);
+    const ordered = line => parseFloat(line.quantityOrdered || 0);
+    const complete = lines.every(line => received(line) >= ordered(line));
+    const anyReceived = lines.some(line => received(line) > 0);
+
+    let receivingStatus = complete ? 'complete' : 'partial';
+    if (lines.some(line => received(line) > ordered(line))) {
+      receivingStatus = 'over_received';
+    }
+    if (
+      lines.some(
+        line =>
+          RECEIVABLE_STATUSES.includes(line.partStatus) &&
+          Object.values(CONDITION_RETURN_REASONS).includes(line.returnReason)
+      )
+    ) {
+      receivingStatus = 'discrepancy';
+    }
+
+    const changes = {
+      receivingStatus,
+      firstReceiptDate: purchaseOrder.firstReceiptDate || now,
+      lastReceiptDate: now,
+    };
+    const poStatus = complete ? 'fully_received' : 'partial_received';
+    if (
+      anyReceived &&
+      RECEIVING_PO_STATUSES.includes(purchaseOrder.poStatus) &&
+      purchaseOrder.poStatus !== poStatus
+    ) {
+      Object.assign(changes, {
+        previousStatus: purchaseOrder.poStatus,
+        poStatus,
+        statusChangeDate: now,
+        statusChangeReason: 'Parts received',
+      });
+    }
+    if (complete) changes.actualDeliveryDate = now;
+    await purchaseOrder.update(changes);
+    return purchaseOrder;
+  }
+
+  // ==========================================
+  // LABELS
+  // ==========================================
+
+  /**
+   * The bin/RO tag for a part line
+   *
+   * @param {Object} options - { format: 'zpl' | 'pdf', copies }
+   * @returns {Object} { content, contentType, fileName }
+   */
+  async renderLabel(shopId, partLineId, options = {}) {
+    const format = options.format || 'zpl';
+    if (!LABEL_FORMATS.includes(format)) {
+      throw new ValidationError(`Unknown label format: ${format}`);
+    }
+    const copies = Math.min(Math.max(parseInt(options.copies) || 1, 1), 20);
+    const label = await this.buildLabel(shopId, partLineId);
+    const fileName = `${label.partNumber || 'part'}-${label.bin || 'tag'}`
+      .replace(/[^A-Za-z0-9-]+/g, '-')
+      .replace(/-+$/, '');
+
+    if (format === 'pdf') {
+      return {
+        content: await this.renderLabelPdf(label, copies),
+        contentType: 'application/pdf',
+        fileName: `${fileName}.pdf`,
+      };
+    }
+    return {
+      content: this.renderLabelZpl(label, copies),
+      contentType: 'application/zpl',
+      fileName: `${fileName}.zpl`,
+    };
+  }
+
+  /**
+   * Send the ZPL tag to the shop's label printer
+   *
+   * @returns {boolean} false when the shop has no label printer
+   */
+  async printLabel(shopId, partLineId, options = {}) {
+    const shop = await Shop.findByPk(shopId);
+    const printer = shop?.settings?.labelPrinter;
+    if (!printer?.host) return false;
+
+    const { content } = await this.renderLabel(shopId, partLineId, {
+      ...options,
+      format: 'zpl',
+    });
+    await sendToPrinter(printer.host, printer.port || 9100, content);
+    return true;
+  }
+
+  async buildLabel(shopId, partLineId) {
+    const partLine = await AdvancedPartsManagement.findOne({
+      where: { id: partLineId, shopId },
+      include: [
+        {
+          model: RepairOrderManagement,
+          as: 'repairOrder',
+          attributes: ['id', 'repairOrderNumber'],
+          include: [
+            {
+              model: VehicleProfile,
+              as: 'vehicleProfile',
+              attributes: ['year', 'make', 'model'],
+            },
+            {
+              model: Customer,
+              as: 'customer',
+              attributes: ['firstName', 'lastName'],
+            },
+          ],
+        },
+      ],
+    });
+    if (!partLine) {
+      throw new NotFoundError('Part line not found');
+    }
+    const purchaseOrder = partLine.partsOrderId
+      ? await PurchaseOrderSystem.findOne({
+          where: { id: partLine.partsOrderId, shopId },
+          attributes: ['id', 'purchaseOrderNumber'],
+        })
+      : null;
+    const repairOrder = partLine.repairOrder;
+    const vehicle = repairOrder?.vehicleProfile;
+
+    return {
+      bin: partLine.binLocation || null,
+      roNumber: repairOrder?.repairOrderNumber || null,
+      customer: repairOrder?.customer?.lastName || null,
+      vehicle: vehicle
+        ? [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')
+        : null,
+      partNumber: partLine.vendorPartNumber || partLine.oemPartNumber,
+      description: partLine.partDescription,
+      quantity: parseFloat(partLine.quantityReceived || 0),
+      poNumber: purchaseOrder?.purchaseOrderNumber || null,
+      receivedDate: partLine.receivedDate,
+      barcode: `${LABEL_PREFIX}${partLine.id}`,
+    };
+  }
+
+  /**
+   * 4 x 2 in tag at 203 dpi with a Code 128 of the part line
+   */
+  renderLabelZpl(label, copies = 1) {
+    const text = value => `${value ?? ''}`.replace(/[\^~]/g, ' ');
+    return [
+      '^XA',
+      '^CI28',
+      '^PW812',
+      '^LL406',
+      `^FO30,20^A0N,64,64^FDBIN ${text(label.bin || '-')}^FS`,
+      `^FO440,28^A0N,48,48^FB350,1,0,R^FDRO ${text(label.roNumber || '-')}^FS`,
+      `^FO30,95^A0N,30,30^FB760,1,0,L^FD${text(
+        [label.customer, label.vehicle].filter(Boolean).join(' - ')
+      )}^FS`,
+      `^FO30,140^A0N,40,40^FB760,1,0,L^FD${text(label.partNumber)}  QTY ${text(
+        label.quantity
+      )}^FS`,
+      `^FO30,188^A0N,28,28^FB760,1,0,L^FD${text(label.description)}^FS`,
+      `^FO30,225^A0N,24,24^FDPO ${text(label.poNumber || '-')}  REC ${formatDate(
+        label.receivedDate
+      )}^FS`,
+      `^FO30,265^BY2^BCN,90,Y,N,N^FD${text(label.barcode)}^FS`,
+      `^PQ${copies}`,
+      '^XZ',
+    ].join('\n');
+  }
+
+  /**
+   * 4 x 2 in page per copy with a QR code of the part line
+   */
+  async renderLabelPdf(label, copies = 1) {
+    const qr = await QRCode.toBuffer(label.barcode, {
+      errorCorrectionLevel: 'M',
+      margin: 0,
+      width: 240,
+    });
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [288, 144], margin: 10 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      for (let copy = 0; copy < copies; copy += 1) {
+        if (copy > 0) doc.addPage({ size: [288, 144], margin: 10 });
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(22)
+          .text(`BIN ${label.bin || '-'}`, 10, 10, { width: 190 });
+        doc
+          .fontSize(14)
+          .text(`RO ${label.roNumber || '-'}`, 10, 38, { width: 190 });
+        doc
+          .font('Helvetica')
+          .fontSize(8)
+          .text(
+            [label.customer, label.vehicle].filter(Boolean).join(' - '),
+            10,
+            56,
+            { width: 190, height: 10, ellipsis: true }
+          );
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(11)
+          .text(`${label.partNumber}  QTY ${label.quantity}`, 10, 72, {
+            width: 190,
+          });
+        doc
+          .font('Helvetica')
+          .fontSize(8)
+          .text(label.description || '', 10, 88, {
+            width: 190,
+            height: 20,
+            ellipsis: true,
+          })
+          .text(
+            `PO ${label.poNumber || '-'}  REC ${formatDate(label.receivedDate)}`,
+            10,
+            112,
+            { width: 190 }
+          );
+        doc.image(qr, 206, 10, { width: 72 });
+        doc.fontSize(7).text(label.barcode, 206, 88, {
+          width: 72,
+          align: 'center',
+        });
+      }
+      doc.end();
+    });
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  remainingOf(partLine) {
+    return Math.max(
+      0,
+      parseFloat(partLine.quantityOrdered || 0) -
+        parseFloat(partLine.quantityReceived || 0)
+    );
+  }
+
+  moveLine(line, status, now) {
+    if (line.partStatus === status) return {};
+    return {
+      previousStatus: line.partStatus,
+      partStatus: status,
+      statusChangeDate: now,
+    };
+  }
+
+  appendNote(notes, note) {
+    const line = `${formatDate(new Date())}: ${note}`;
+    return notes ? `${notes}\n${line}` : line;
+  }
+}
+
+/**
+ * GS1 element strings, from a scanner that sends the symbology identifier
+ * (]C1, ]d2, ]Q3) or group separators, or from the bracketed text under
+ * the barcode
+ */
+function parseGs1(raw) {
+  let body = raw;
+  const symbology = /^\](C1|d2|Q3|e0)/.exec(body);
+  if (symbology) body = body.slice(3);
+  else if (!body.includes(GROUP_SEPARATOR) && !body.startsWith('(')) {
+    return null;
+  }
+
+  const elements = {};
+  if (body.startsWith('(')) {
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    while ((match = pattern.exec(body))) {
+      elements[match[1]] = match[2].trim();
+    }
+  } else {
+    let position = 0;
+    while (position < body.length) {
+      if (body[position] === GROUP_SEPARATOR) {
+        position += 1;
+        continue;
+      }
+      const ai = gs1IdentifierAt(body, position);
+      if (!ai) break;
+      position += ai.length;
+      let value;
+      if (GS1_FIXED_LENGTHS[ai]) {
+        value = body.slice(position, position + GS1_FIXED_LENGTHS[ai]);
+        position += GS1_FIXED_LENGTHS[ai];
+      } else {
+        const end = body.indexOf(GROUP_SEPARATOR, position);
+        value = body.slice(position, end === -1 ? undefined : end);
+        position = end === -1 ? body.length : end + 1;
+      }
+      elements[ai] = value;
+    }
+  }
+
+  const parsed = {};
+  Object.entries(elements).forEach(([ai, value]) => {
+    const field = GS1_FIELDS[ai];
+    if (field && parsed[field] === undefined) parsed[field] = value;
+  });
+  if (Object.keys(parsed).length === 0) return null;
+  if (parsed.quantity !== undefined) parsed.quantity = Number(parsed.quantity);
+  return parsed;
+}
+
+function gs1IdentifierAt(body, position) {
+  for (const size of [2, 3]) {
+    const code = body.slice(position, position + size);
+    if (GS1_FIXED_LENGTHS[code] || GS1_VARIABLE.includes(code)) return code;
+  }
+  return null;
+}
+
+function sendToPrinter(host, port, content) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port }, () => {
+      socket.end(content, 'utf8');
+    });
+    socket.setTimeout(PRINTER_TIMEOUT_MS, () => {
+      socket.destroy();
+      reject(new APIError(`Label printer ${host} did not answer`, 504));
+    });
+    socket.on('close', hadError => {
+      if (!hadError) resolve();
+    });
+    socket.on('error', error => {
+      reject(
+        new APIError(`Label printer ${host} failed: ${error.message}`, 502)
+      );
+    });
+  });
+}
+
+module.exports = new PartsReceivingService();
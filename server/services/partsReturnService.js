@@ -0,0 +1,1004 @@
+const { Op } = require('sequelize');
+const {
+  PartsReturn,
+  VendorCreditMemo,
+  AdvancedPartsManagement,
+  VendorPartQuote,
+  Vendor,
+} = require('../database/models');
+const vendorAdapters = require('./vendorIntegration/vendorAdapters');
+const { realtimeService } = require('./realtimeService');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errorHandler');
+
+/**
+ * Parts Return Service
+ *
+ * Returns wrong, damaged, defective, unused and over-delivered parts and
+ * cores to the vendor, and makes sure the credit comes back:
+ * - a return covers part lines from one vendor; vendors with an API are
+ *   asked for the RMA through the adapter's processReturn
+ * - the expected credit is the net price (core charge for cores) less the
+ *   restocking fee on unused parts
+ * - credit memos are matched to returns by RMA or return number, or by an
+ *   exact amount when the memo carries no reference
+ * - returns not shipped by returnDueDate and credits not received by
+ *   creditDueDate are flagged overdue
+ *
+ * Vendor policy comes from the quote the part was bought on
+ * (returnPeriod, restockingFee, coreReturnPeriod, coreCredit), falling back
+ * to vendor.preferences.returns:
+ *   { returnDays, coreReturnDays, creditDays, restockingFeePercent }
+ */
+
+const RETURN_TYPES = [
+  'wrong_part',
+  'damaged',
+  'defective',
+  'unused',
+  'over_delivery',
+  'core',
+];
+const OPEN_STATUSES = [
+  'requested',
+  'authorized',
+  'shipped',
+  'partially_credited',
+];
+const NOT_SHIPPED_STATUSES = ['requested', 'authorized'];
+const AWAITING_CREDIT_STATUSES = ['shipped', 'partially_credited'];
+
+// AdvancedPartsManagement.returnReason for each return type
+const LINE_RETURN_REASONS = {
+  wrong_part: 'wrong_part',
+  damaged: 'damaged_in_shipping',
+  defective: 'defective',
+  unused: 'not_needed',
+  over_delivery: 'other',
+};
+
+// Restocking fees only apply when the shop no longer wants the part
+const RESTOCKING_FEE_TYPES = ['unused'];
+
+const DEFAULT_RETURN_DAYS = 30;
+const DEFAULT_CORE_RETURN_DAYS = 30;
+const DEFAULT_CREDIT_DAYS = 30;
+const OVERDUE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const roundMoney = value => Math.round(value * 100) / 100;
+const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + days * DAY_MS);
+const normalizeReference = value =>
+  `${value || ''}`.replace(/[-\s]/g, '').toUpperCase();
+
+class PartsReturnService {
+  constructor() {
+    this.overdueTimer = null;
+  }
+
+  // ==========================================
+  // RETURN AUTHORIZATIONS
+  // ==========================================
+
+  /**
+   * Open a return for part lines bought from one vendor
+   *
+   * @param {string} shopId
+   * @param {Object} data - { returnType, lines: [{ partLineId, quantity }],
+   *   purchaseOrderId, reason, notes }
+   * @param {string} userId
+   * @returns {PartsReturn}
+   */
+  async createReturn(shopId, data, userId = null) {
+    const { returnType, lines = [], reason = null, notes = null } = data;
+    if (!RETURN_TYPES.includes(returnType)) {
+      throw new ValidationError(`Unknown return type: ${returnType}`);
+    }
+    if (lines.length === 0) {
+      throw new ValidationError('Select the parts to return');
+    }
+
+    const partLines = await AdvancedPartsManagement.findAll({
+      where: { id: lines.map(line => line.partLineId), shopId },
+    });
+    if (partLines.length !== new Set(lines.map(l => `${l.partLineId}`)).size) {
+      throw new NotFoundError('Part line not found');
+    }
+    const vendorIds = [...new Set(partLines.map(line => line.vendorId))];
+    if (vendorIds.length !== 1 || !vendorIds[0]) {
+      throw new ValidationError(
+        'Parts from different vendors need separate returns'
+      );
+    }
+
+    const vendor = await Vendor.findOne({
+      where: { id: vendorIds[0], shopId },
+    });
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+    const policy = vendor.preferences?.returns || {};
+    const now = new Date();
+
+    const items = [];
+    let restockingFee = 0;
+    let returnDueDate = null;
+    for (const { partLineId, quantity } of lines) {
+      const partLine = partLines.find(line => `${line.id}` === `${partLineId}`);
+      const quote = await this.findQuote(shopId, partLine);
+      const item = this.buildItem(partLine, returnType, quantity, quote);
+
+      if (RESTOCKING_FEE_TYPES.includes(returnType)) {
+        const percent = parseFloat(
+          quote?.restockingFee ?? policy.restockingFeePercent ?? 0
+        );
+        restockingFee += (item.creditAmount * percent) / 100;
+      }
+
+      const dueDate = this.returnDueDateFor(
+        partLine,
+        returnType,
+        quote,
+        policy,
+        now
+      );
+      if (!returnDueDate || dueDate < returnDueDate) returnDueDate = dueDate;
+      items.push(item);
+    }
+
+    restockingFee = roundMoney(restockingFee);
+    const grossCredit = items.reduce((sum, item) => sum + item.creditAmount, 0);
+
+    const partsReturn = await PartsReturn.create({
+      shopId,
+      vendorId: vendor.id,
+      purchaseOrderId:
+        data.purchaseOrderId || partLines[0].partsOrderId || null,
+      repairOrderId: partLines[0].repairOrderId || null,
+      returnNumber: await this.generateReturnNumber(shopId, now),
+      returnType,
+      status: 'requested',
+      reason,
+      items,
+      expectedCredit: roundMoney(Math.max(0, grossCredit - restockingFee)),
+      restockingFee,
+      creditedAmount: 0,
+      returnDueDate,
+      requestedDate: now,
+      notes,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+
+    if (returnType !== 'core') {
+      await Promise.all(
+        partLines.map(line =>
+          line.update({ returnReason: LINE_RETURN_REASONS[returnType] })
+        )
+      );
+    }
+
+    await this.requestVendorAuthorization(partsReturn, vendor, partLines);
+
+    realtimeService.emitToShop(shopId, 'parts_update', {
+      action: 'return_created',
+      return_id: partsReturn.id,
+      return_number: partsReturn.returnNumber,
+      status: partsReturn.status,
+      vendor_name: vendor.name,
+    });
+
+    return partsReturn;
+  }
+
+  /**
+   * Vendors with an API issue the RMA right away; the others are
+   * authorized by hand with authorizeReturn
+   */
+  async requestVendorAuthorization(partsReturn, vendor, partLines) {
+    const adapter = vendorAdapters.getAdapter(vendor);
+    if (!adapter) return;
+
+    try {
+      const result = await adapter.processReturn({
+        returnNumber: partsReturn.returnNumber,
+        poNumber: partLines[0].purchaseOrderNumber || null,
+        reason: partsReturn.returnType,
+        lines: partsReturn.items.map(item => ({
+          partNumber: item.partNumber,
+          quantity: item.quantity,
+          reason: partsReturn.returnType,
+        })),
+      });
+
+      if (result.status === 'rejected') {
+        await partsReturn.update({
+          status: 'rejected',
+          notes: this.appendNote(
+            partsReturn.notes,
+            'Vendor rejected the return'
+          ),
+        });
+        return;
+      }
+      await this.applyAuthorization(partsReturn, {
+        rmaNumber: result.rmaNumber,
+        returnDueDate: result.returnBy,
+        expectedCredit: result.creditAmount,
+      });
+    } catch (error) {
+      console.warn(
+        `RMA request for ${partsReturn.returnNumber} failed:`,
+        error.message
+      );
+      await partsReturn.update({
+        notes: this.appendNote(
+          partsReturn.notes,
+          `RMA request to ${vendor.name} failed: ${error.message}`
+        ),
+      });
+    }
+  }
+
+  /**
+   * Record the vendor's RMA
+   *
+   * @param {Object} data - { rmaNumber, returnDueDate, expectedCredit }
+   */
+  async authorizeReturn(shopId, returnId, data, userId = null) {
+    const partsReturn = await this.getReturn(shopId, returnId);
+    if (partsReturn.status !== 'requested') {
+      throw new ConflictError(`Return is already ${partsReturn.status}`);
+    }
+    if (!data.rmaNumber) {
+      throw new ValidationError('RMA number is required');
+    }
+    await this.applyAuthorization(partsReturn, { ...data, userId });
+    return partsReturn;
+  }
+
+  async applyAuthorization(partsReturn, data) {
+    await partsReturn.update({
+      status: 'authorized',
+      rmaNumber: data.rmaNumber || partsReturn.rmaNumber,
+      authorizedDate: new Date(),
+      returnDueDate: data.returnDueDate || partsReturn.returnDueDate,
+      expectedCredit:
+        data.expectedCredit !== null && data.expectedCredit !== undefined
+          ? Math.min(
+              roundMoney(Number(data.expectedCredit)),
+              parseFloat(partsReturn.expectedCredit)
+            )
+          : partsReturn.expectedCredit,
+      updatedBy: data.userId || partsReturn.updatedBy,
+    });
+
+    if (partsReturn.rmaNumber && partsReturn.returnType !== 'core') {
+      await AdvancedPartsManagement.update(
+        { returnAuthNumber: partsReturn.rmaNumber },
+        { where: { id: this.partLineIdsOf(partsReturn) } }
+      );
+    }
+  }
+
+  /**
+   * Parts left the shop; the credit is owed from here
+   *
+   * @param {Object} data - { carrier, trackingNumber, shippedDate }
+   */
+  async shipReturn(shopId, returnId, data = {}, userId = null) {
+    const partsReturn = await this.getReturn(shopId, returnId, {
+      includeVendor: true,
+    });
+    if (!NOT_SHIPPED_STATUSES.includes(partsReturn.status)) {
+      throw new ConflictError(`Return is already ${partsReturn.status}`);
+    }
+
+    const shippedDate = data.shippedDate
+      ? new Date(data.shippedDate)
+      : new Date();
+    const creditDays =
+      partsReturn.vendor?.preferences?.returns?.creditDays ||
+      DEFAULT_CREDIT_DAYS;
+
+    await partsReturn.update({
+      status: 'shipped',
+      shippedDate,
+      carrier: data.carrier || null,
+      trackingNumber: data.trackingNumber || null,
+      creditDueDate: addDays(shippedDate, creditDays),
+      ...this.clearOverdue(partsReturn, 'return_not_shipped'),
+      updatedBy: userId || partsReturn.updatedBy,
+    });
+
+    const partLines = await AdvancedPartsManagement.findAll({
+      where: { id: this.partLineIdsOf(partsReturn), shopId },
+    });
+    await Promise.all(
+      partLines.map(line => {
+        const item = partsReturn.items.find(
+          returned => `${returned.partLineId}` === `${line.id}`
+        );
+        if (partsReturn.returnType === 'core') {
+          return line.update({
+            coreReturned: true,
+            coreReturnDate: shippedDate,
+          });
+        }
+
+        const quantityReturned =
+          parseFloat(line.quantityReturned || 0) + item.quantity;
+        const fullyReturned =
+          quantityReturned >=
+          parseFloat(line.quantityReceived || line.quantityOrdered || 0);
+        return line.update({
+          quantityReturned,
+          returnDate: shippedDate,
+          ...(fullyReturned && line.partStatus !== 'returned'
+            ? {
+                previousStatus: line.partStatus,
+                partStatus: 'returned',
+                statusChangeDate: shippedDate,
+                statusChangeReason: `Returned on ${partsReturn.returnNumber}`,
+              }
+            : {}),
+        });
+      })
+    );
+
+    realtimeService.emitToShop(shopId, 'parts_update', {
+      action: 'return_shipped',
+      return_id: partsReturn.id,
+      return_number: partsReturn.returnNumber,
+      credit_due_date: partsReturn.creditDueDate,
+    });
+
+    return partsReturn;
+  }
+
+  /**
+   * Vendor refused the return, or the shop kept the parts
+   *
+   * @param {string} status - rejected or cancelled
+   */
+  async closeReturn(shopId, returnId, { status, reason }, userId = null) {
+    if (!['rejected', 'cancelled'].includes(status)) {
+      throw new ValidationError('Returns close as rejected or cancelled');
+    }
+    const partsReturn = await this.getReturn(shopId, returnId);
+    if (
+      status === 'cancelled'
+        ? !NOT_SHIPPED_STATUSES.includes(partsReturn.status)
+        : !OPEN_STATUSES.includes(partsReturn.status) ||
+          parseFloat(partsReturn.creditedAmount) > 0
+    ) {
+      throw new ConflictError(
+        `A ${partsReturn.status} return cannot be ${status}`
+      );
+    }
+
+    await partsReturn.update({
+      status,
+      overdueFlaggedAt: null,
+      overdueReason: null,
+      notes: reason
+        ? this.appendNote(partsReturn.notes, reason)
+        : partsReturn.notes,
+      updatedBy: userId || partsReturn.updatedBy,
+    });
+    return partsReturn;
+  }
+
+  // ==========================================
+  // CREDIT MEMOS
+  // ==========================================
+
+  /**
+   * Record a vendor credit memo and match it to open returns
+   *
+   * @param {Object} data - { vendorId, memoNumber, memoDate, amount,
+   *   references: string[], source, notes }
+   * @returns {Object} { memo, matches }
+   */
+  async recordCreditMemo(shopId, data, userId = null) {
+    const amount = roundMoney(Number(data.amount));
+    if (!data.vendorId || !data.memoNumber) {
+      throw new ValidationError('Vendor and memo number are required');
+    }
+    if (!(amount > 0)) {
+      throw new ValidationError('Credit memo amount must be positive');
+    }
+    const vendor = await Vendor.findOne({
+      where: { id: data.vendorId, shopId },
+    });
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+    const existing = await VendorCreditMemo.findOne({
+      where: { shopId, vendorId: vendor.id, memoNumber: data.memoNumber },
+    });
+    if (existing) {
+      throw new ConflictError(
+        `Credit memo ${data.memoNumber} is already recorded`
+      );
+    }
+
+    const memo = await VendorCreditMemo.create({
+      shopId,
+      vendorId: vendor.id,
+      memoNumber: data.memoNumber,
+      memoDate: data.memoDate || new Date(),
+      amount,
+      appliedAmount: 0,
+      status: 'unmatched',
+      references: (data.references || []).filter(Boolean),
+      matches: [],
+      source: data.source || 'manual',
+      notes: data.notes || null,
+      createdBy: userId,
+    });
+
+    const matches = await this.autoMatch(memo);
+
+    realtimeService.emitToShop(shopId, 'parts_update', {
+      action: 'credit_memo_recorded',
+      memo_id: memo.id,
+      memo_number: memo.memoNumber,
+      vendor_name: vendor.name,
+      status: memo.status,
+      returns_credited: matches.length,
+    });
+
+    return { memo, matches };
+  }
+
+  /**
+   * Match by the RMA or return numbers on the memo; without a reference
+   * match, an open return owed exactly the memo amount
+   */
+  async autoMatch(memo) {
+    const openReturns = await PartsReturn.findAll({
+      where: {
+        shopId: memo.shopId,
+        vendorId: memo.vendorId,
+        status: OPEN_STATUSES,
+      },
+      order: [['requestedDate', 'ASC']],
+    });
+    const owed = openReturns.filter(
+      partsReturn => partsReturn.getOutstandingCredit() > 0
+    );
+
+    const references = (memo.references || []).map(normalizeReference);
+    let candidates = owed.filter(
+      partsReturn =>
+        references.includes(normalizeReference(partsReturn.rmaNumber)) ||
+        references.includes(normalizeReference(partsReturn.returnNumber))
+    );
+    if (candidates.length === 0) {
+      const exact = owed.find(
+        partsReturn =>
+          Math.abs(
+            partsReturn.getOutstandingCredit() - memo.getUnappliedAmount()
+          ) < 0.01
+      );
+      candidates = exact ? [exact] : [];
+    }
+
+    const matches = [];
+    for (const partsReturn of candidates) {
+      const amount = Math.min(
+        partsReturn.getOutstandingCredit(),
+        memo.getUnappliedAmount()
+      );
+      if (amount <= 0) break;
+      await this.applyCredit(memo, partsReturn, amount);
+      matches.push({ partsReturn, amount });
+    }
+    return matches;
+  }
+
+  /**
+   * Apply a memo to returns by hand
+   *
+   * @param {Array} allocations - [{ returnId, amount }]
+   */
+  async matchCreditMemo(shopId, memoId, allocations = [], userId = null) {
+    const memo = await VendorCreditMemo.findOne({
+      where: { id: memoId, shopId },
+    });
+    if (!memo) {
+      throw new NotFoundError('Credit memo not found');
+    }
+    if (allocations.length === 0) {
+      throw new ValidationError('Choose the returns this memo credits');
+    }
+
+    const total = roundMoney(
+      allocations.reduce(
+        (sum, allocation) => sum + Number(allocation.amount),
+        0
+      )
+    );
+    if (total > memo.getUnappliedAmount() + 0.001) {
+      throw new ValidationError(
+        `Only ${memo.getUnappliedAmount().toFixed(2)} of the memo is unapplied`
+      );
+    }
+
+    const returns = [];
+    for (const allocation of allocations) {
+      const partsReturn = await this.getReturn(shopId, allocation.returnId);
+      const amount = roundMoney(Number(allocation.amount));
+      if (partsReturn.vendorId !== memo.vendorId) {
+        throw new ValidationError(
+          `Return ${partsReturn.returnNumber} is for a different vendor`
+        );
+      }
+      if (
+        !(amount > 0) ||
+        amount > partsReturn.getOutstandingCredit() + 0.001
+      ) {
+        throw new ValidationError(
+          `Return ${partsReturn.returnNumber} is owed ${partsReturn
+            .getOutstandingCredit()
+            .toFixed(2)}`
+        );
+      }
+      returns.push({ partsReturn, amount });
+    }
+
+    for (const { partsReturn, amount } of returns) {
+      await this.applyCredit(memo, partsReturn, amount, userId);
+    }
+    return { memo, matches: returns };
+  }
+
+  async applyCredit(memo, partsReturn, amount, userId = null) {
+    const now = new Date();
+    const creditedAmount = roundMoney(
+      parseFloat(partsReturn.creditedAmount || 0) + amount
+    );
+    const credited =
+      creditedAmount >= parseFloat(partsReturn.expectedCredit) - 0.005;
+
+    await partsReturn.update({
+      creditedAmount,
+      status: credited ? 'credited' : 'partially_credited',
+      creditedDate: credited ? now : partsReturn.creditedDate,
+      ...(credited ? { overdueFlaggedAt: null, overdueReason: null } : {}),
+      updatedBy: userId || partsReturn.updatedBy,
+    });
+
+    const appliedAmount = roundMoney(
+      parseFloat(memo.appliedAmount || 0) + amount
+    );
+    await memo.update({
+      appliedAmount,
+      status:
+        appliedAmount >= parseFloat(memo.amount) - 0.005
+          ? 'matched'
+          : 'partially_matched',
+      matches: [
+        ...(memo.matches || []),
+        {
+          returnId: partsReturn.id,
+          returnNumber: partsReturn.returnNumber,
+          amount: roundMoney(amount),
+        },
+      ],
+    });
+
+    if (credited) {
+      await this.recordLineCredits(partsReturn);
+    }
+  }
+
+  /**
+   * Spread the credit back onto the part lines
+   */
+  async recordLineCredits(partsReturn) {
+    const gross = partsReturn.items.reduce(
+      (sum, item) => sum + item.creditAmount,
+      0
+    );
+    const share =
+      gross > 0 ? parseFloat(partsReturn.creditedAmount) / gross : 0;
+    const field =
+      partsReturn.returnType === 'core' ? 'coreReturnCredit' : 'returnCredit';
+
+    await Promise.all(
+      partsReturn.items.map(item =>
+        AdvancedPartsManagement.update(
+          { [field]: roundMoney(item.creditAmount * share) },
+          { where: { id: item.partLineId } }
+        )
+      )
+    );
+  }
+
+  // ==========================================
+  // PENDING AND OVERDUE CREDITS
+  // ==========================================
+
+  /**
+   * What each vendor still owes the shop: open returns, credit memos not
+   * yet applied and cores still sitting in the shop
+   *
+   * @returns {Object} { vendors: [...], totals }
+   */
+  async getPendingCredits(shopId, options = {}) {
+    const vendorWhere = options.vendorId ? { vendorId: options.vendorId } : {};
+    const now = new Date();
+
+    const [openReturns, openMemos, coreLines] = await Promise.all([
+      PartsReturn.findAll({
+        where: { shopId, status: OPEN_STATUSES, ...vendorWhere },
+        include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+        order: [['requestedDate', 'ASC']],
+      }),
+      VendorCreditMemo.findAll({
+        where: {
+          shopId,
+          status: ['unmatched', 'partially_matched'],
+          ...vendorWhere,
+        },
+        include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+      }),
+      this.findUnreturnedCores(shopId, options.vendorId),
+    ]);
+
+    // Cores already on an open return are counted there
+    const coresOnReturns = new Set(
+      openReturns
+        .filter(partsReturn => partsReturn.returnType === 'core')
+        .flatMap(partsReturn => this.partLineIdsOf(partsReturn))
+        .map(id => `${id}`)
+    );
+    const unreturnedCores = coreLines.filter(
+      line => !coresOnReturns.has(`${line.id}`)
+    );
+
+    const vendors = new Map();
+    const vendorEntry = (vendorId, name) => {
+      if (!vendors.has(vendorId)) {
+        vendors.set(vendorId, {
+          vendorId,
+          vendorName: name || null,
+          openReturns: 0,
+          pendingCredit: 0,
+          overdueReturns: 0,
+          overdueCredit: 0,
+          unappliedMemoCredit: 0,
+          unreturnedCores: 0,
+          unreturnedCoreValue: 0,
+          returns: [],
+          cores: [],
+        });
+      }
+      const entry = vendors.get(vendorId);
+      if (!entry.vendorName && name) entry.vendorName = name;
+      return entry;
+    };
+
+    openReturns.forEach(partsReturn => {
+      const entry = vendorEntry(partsReturn.vendorId, partsReturn.vendor?.name);
+      const outstanding = partsReturn.getOutstandingCredit();
+      const overdue = this.overdueReasonFor(partsReturn, now);
+      entry.openReturns += 1;
+      entry.pendingCredit += outstanding;
+      if (overdue) {
+        entry.overdueReturns += 1;
+        entry.overdueCredit += outstanding;
+      }
+      entry.returns.push({ partsReturn, outstanding, overdue });
+    });
+
+    openMemos.forEach(memo => {
+      vendorEntry(memo.vendorId, memo.vendor?.name).unappliedMemoCredit +=
+        memo.getUnappliedAmount();
+    });
+
+    unreturnedCores.forEach(line => {
+      const entry = vendorEntry(line.vendorId, line.vendor?.name);
+      const value =
+        parseFloat(line.coreCharge || 0) * (line.quantityOrdered || 1);
+      const dueDate = addDays(
+        line.receivedDate || line.createdAt || now,
+        DEFAULT_CORE_RETURN_DAYS
+      );
+      entry.unreturnedCores += 1;
+      entry.unreturnedCoreValue += value;
+      entry.cores.push({
+        partLine: line,
+        value,
+        dueDate,
+        overdue: dueDate < now,
+      });
+    });
+
+    const summaries = [...vendors.values()].map(entry => ({
+      ...entry,
+      pendingCredit: roundMoney(entry.pendingCredit),
+      overdueCredit: roundMoney(entry.overdueCredit),
+      unappliedMemoCredit: roundMoney(entry.unappliedMemoCredit),
+      unreturnedCoreValue: roundMoney(entry.unreturnedCoreValue),
+    }));
+    summaries.sort(
+      (a, b) =>
+        b.pendingCredit +
+        b.unreturnedCoreValue -
+        (a.pendingCredit + a.unreturnedCoreValue)
+    );
+
+    const sum = field =>
+      roundMoney(summaries.reduce((total, entry) => total + entry[field], 0));
+    return {
+      vendors: summaries,
+      totals: {
+        openReturns: openReturns.length,
+        pendingCredit: sum('pendingCredit'),
+        overdueCredit: sum('overdueCredit'),
+        unappliedMemoCredit: sum('unappliedMemoCredit'),
+        unreturnedCores: unreturnedCores.length,
+        unreturnedCoreValue: sum('unreturnedCoreValue'),
+      },
+    };
+  }
+
+  findUnreturnedCores(shopId, vendorId = null) {
+    return AdvancedPartsManagement.findAll({
+      where: {
+        shopId,
+        isCoreItem: true,
+        coreReturned: false,
+        partStatus: ['received', 'inspected', 'installed'],
+        ...(vendorId ? { vendorId } : {}),
+      },
+      include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+    });
+  }
+
+  /**
+   * Flag returns whose parts or credit are late
+   *
+   * @param {string} shopId - all shops when omitted
+   * @returns {Array} returns newly flagged
+   */
+  async flagOverdueReturns(shopId = null) {
+    const now = new Date();
+    const candidates = await PartsReturn.findAll({
+      where: {
+        ...(shopId ? { shopId } : {}),
+        [Op.or]: [
+          {
+            status: NOT_SHIPPED_STATUSES,
+            returnDueDate: { [Op.lt]: now },
+          },
+          {
+            status: AWAITING_CREDIT_STATUSES,
+            creditDueDate: { [Op.lt]: now },
+          },
+        ],
+      },
+      include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+    });
+
+    const flagged = [];
+    for (const partsReturn of candidates) {
+      const reason = this.overdueReasonFor(partsReturn, now);
+      if (!reason || partsReturn.overdueReason === reason) continue;
+
+      await partsReturn.update({
+        overdueFlaggedAt: now,
+        overdueReason: reason,
+      });
+      flagged.push(partsReturn);
+
+      realtimeService.emitToShop(partsReturn.shopId, 'parts_update', {
+        action: 'return_overdue',
+        return_id: partsReturn.id,
+        return_number: partsReturn.returnNumber,
+        vendor_name: partsReturn.vendor?.name,
+        overdue_reason: reason,
+        outstanding_credit: partsReturn.getOutstandingCredit(),
+      });
+    }
+    return flagged;
+  }
+
+  overdueReasonFor(partsReturn, now = new Date()) {
+    if (
+      NOT_SHIPPED_STATUSES.includes(partsReturn.status) &&
+      partsReturn.returnDueDate &&
+      new Date(partsReturn.returnDueDate) < now
+    ) {
+      return 'return_not_shipped';
+    }
+    if (
+      AWAITING_CREDIT_STATUSES.includes(partsReturn.status) &&
+      partsReturn.creditDueDate &&
+      new Date(partsReturn.creditDueDate) < now
+    ) {
+      return 'credit_not_received';
+    }
+    return null;
+  }
+
+  startOverdueCheck() {
+    if (this.overdueTimer) return;
+    this.overdueTimer = setInterval(() => {
+      this.flagOverdueReturns().catch(error =>
+        console.error('Overdue return check failed:', error.message)
+      );
+    }, OVERDUE_CHECK_INTERVAL_MS);
+    this.overdueTimer.unref?.();
+  }
+
+  stopOverdueCheck() {
+    if (this.overdueTimer) {
+      clearInterval(this.overdueTimer);
+      this.overdueTimer = null;
+    }
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  async getReturn(shopId, returnId, options = {}) {
+    const partsReturn = await PartsReturn.findOne({
+      where: { id: returnId, shopId },
+      include: options.includeVendor ? [{ model: Vendor, as: 'vendor' }] : [],
+    });
+    if (!partsReturn) {
+      throw new NotFoundError('Return not found');
+    }
+    return partsReturn;
+  }
+
+  listReturns(shopId, filters = {}) {
+    const where = { shopId };
+    if (filters.status) where.status = filters.status;
+    if (filters.vendorId) where.vendorId = filters.vendorId;
+    if (filters.returnType) where.returnType = filters.returnType;
+    if (filters.overdue) where.overdueFlaggedAt = { [Op.ne]: null };
+
+    return PartsReturn.findAll({
+      where,
+      include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+      order: [['requestedDate', 'DESC']],
+      limit: filters.limit || 100,
+    });
+  }
+
+  listCreditMemos(shopId, filters = {}) {
+    const where = { shopId };
+    if (filters.status) where.status = filters.status;
+    if (filters.vendorId) where.vendorId = filters.vendorId;
+
+    return VendorCreditMemo.findAll({
+      where,
+      include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }],
+      order: [['memoDate', 'DESC']],
+      limit: filters.limit || 100,
+    });
+  }
+
+  /**
+   * The latest quote from the vendor for the part, for its return terms
+   */
+  findQuote(shopId, partLine) {
+    const partNumbers = [
+      partLine.vendorPartNumber,
+      partLine.oemPartNumber,
+    ].filter(Boolean);
+    if (partNumbers.length === 0) return null;
+    return VendorPartQuote.findOne({
+      where: { shopId, vendorId: partLine.vendorId, partNumber: partNumbers },
+      order: [['quoteDate', 'DESC']],
+    });
+  }
+
+  buildItem(partLine, returnType, requestedQuantity, quote) {
+    const base = {
+      partLineId: partLine.id,
+      partNumber: partLine.vendorPartNumber || partLine.oemPartNumber,
+      description: partLine.partDescription,
+    };
+
+    if (returnType === 'core') {
+      if (!partLine.isCoreItem) {
+        throw new ValidationError(`${base.partNumber} has no core to return`);
+      }
+      if (partLine.coreReturned) {
+        throw new ConflictError(
+          `The core for ${base.partNumber} was already returned`
+        );
+      }
+      const quantity =
+        Number(requestedQuantity) || partLine.quantityOrdered || 1;
+      const unitCredit = parseFloat(
+        partLine.coreCharge ?? quote?.coreCredit ?? quote?.corePrice ?? 0
+      );
+      return {
+        ...base,
+        quantity,
+        unitCredit,
+        creditAmount: roundMoney(unitCredit * quantity),
+      };
+    }
+
+    if (returnType === 'unused' && partLine.isReturnable === false) {
+      throw new ValidationError(`${base.partNumber} is not returnable`);
+    }
+    const returnable =
+      parseFloat(partLine.quantityReceived || partLine.quantityOrdered || 0) -
+      parseFloat(partLine.quantityReturned || 0);
+    const quantity = Number(requestedQuantity) || returnable;
+    // Over-deliveries go back beyond the quantity that was ordered
+    if (
+      !(quantity > 0) ||
+      (returnType !== 'over_delivery' && quantity > returnable)
+    ) {
+      throw new ValidationError(
+        `Only ${returnable} of ${base.partNumber} can be returned`
+      );
+    }
+    const unitCredit = parseFloat(partLine.netPrice || quote?.unitPrice || 0);
+    return {
+      ...base,
+      quantity,
+      unitCredit,
+      creditAmount: roundMoney(unitCredit * quantity),
+    };
+  }
+
+  returnDueDateFor(partLine, returnType, quote, policy, now) {
+    if (returnType === 'core') {
+      const days =
+        quote?.coreReturnPeriod ||
+        policy.coreReturnDays ||
+        DEFAULT_CORE_RETURN_DAYS;
+      return addDays(partLine.receivedDate || now, days);
+    }
+    if (partLine.returnDeadline) return new Date(partLine.returnDeadline);
+    const days =
+      quote?.returnPeriod || policy.returnDays || DEFAULT_RETURN_DAYS;
+    return addDays(partLine.receivedDate || now, days);
+  }
+
+  partLineIdsOf(partsReturn) {
+    return (partsReturn.items || []).map(item => item.partLineId);
+  }
+
+  clearOverdue(partsReturn, reason) {
+    return partsReturn.overdueReason === reason
+      ? { overdueFlaggedAt: null, overdueReason: null }
+      : {};
+  }
+
+  /**
+   * RTN-YYMM-#### numbered per shop
+   */
+  async generateReturnNumber(shopId, date = new Date()) {
+    const yearMonth =
+      `${date.getFullYear()}`.slice(2) +
+      `${date.getMonth() + 1}`.padStart(2, '0');
+    const count = await PartsReturn.count({
+      where: { shopId, returnNumber: { [Op.like]: `RTN-${yearMonth}-%` } },
+    });
+    return `RTN-${yearMonth}-${`${count + 1}`.padStart(4, '0')}`;
+  }
+
+  appendNote(notes, note) {
+    const line = `${new Date().toISOString().split('T')[0]}: ${note}`;
+    return notes ? `${notes}\n${line}` : line;
+  }
+}
+
+module.exports = new PartsReturnService();
@@ -0,0 +1,696 @@
+/**
+ * Payroll Service
+ *
+ * Flag-hour payroll for technicians built from LaborTimeEntry (flagged hours
+ * and labor sales) and TimeClock (clocked hours):
+ * - Pay plans: hourly, flat rate (per flagged hour) and hybrid (greater of the two)
+ * - Commission on labor sales, overtime from daily/weekly thresholds
+ * - Automatic rework and comeback adjustments plus manual adjustments
+ * - Run workflow: draft → approved → locked. Locking marks the source rows
+ *   payrollProcessed so they cannot be paid twice.
+ */
+
+const { Op } = require('sequelize');
+const {
+  PayrollRun,
+  PayStub,
+  User,
+  Shop,
+  Job,
+  LaborTimeEntry,
+  TimeClock,
+  sequelize,
+} = require('../database/models');
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require('../utils/errorHandler');
+const technicianPerformanceService = require('./technicianPerformanceService');
+
+const PAY_PLAN_TYPES = ['hourly', 'flat_rate', 'hybrid'];
+const RUN_STATUSES = ['draft', 'approved', 'locked'];
+
+const DEFAULT_SETTINGS = {
+  overtimeWeeklyThreshold: 40,
+  overtimeDailyThreshold: null,
+  overtimeMultiplier: 1.5,
+  payReworkFlaggedHours: false,
+  comebackChargebackPercent: 100,
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round((parseFloat(value) || 0) * factor) / factor;
+};
+
+const sum = (rows, getter) =>
+  rows.reduce((total, row) => total + (parseFloat(getter(row)) || 0), 0);
+
+const toDateKey = date => {
+  const value = new Date(date);
+  const month = `${value.getMonth() + 1}`.padStart(2, '0');
+  const day = `${value.getDate()}`.padStart(2, '0');
+  return `${value.getFullYear()}${month}${day}`;
+};
+
+const weekKey = date => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - start.getDay());
+  return toDateKey(start);
+};
+
+class PayrollService {
+  constructor() {
+    this.payPlanTypes = PAY_PLAN_TYPES;
+    this.runStatuses = RUN_STATUSES;
+  }
+
+  // ==============================================================
+  // PAYROLL RUNS
+  // ==============================================================
+
+  async getPayrollSettings(shopId) {
+    const shop = await Shop.findByPk(shopId, { attributes: ['id', 'settings'] });
+    return { ...DEFAULT_SETTINGS, ...(shop?.settings?.payroll || {}) };
+  }
+
+  async listRuns(shopId, { status, limit = 20, offset = 0 } = {}) {
+    const where = { shopId };
+    if (status) where.status = status;
+
+    return PayrollRun.findAndCountAll({
+      where,
+      order: [['periodStart', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Fetch a run scoped to a shop or throw NotFoundError
+   */
+  async getRun(runId, shopId, { includeStubs = true } = {}) {
+    const run = await PayrollRun.findOne({
+      where: { id: runId, shopId },
+      include: includeStubs
+        ? [
+          {
+            model: PayStub,
+            as: 'payStubs',
+            include: [
+              {
+                model: User,
+                as: 'technician',
+                attributes: ['id', 'firstName', 'lastName', 'username', 'employeeId'],
+              },
+            ],
+          },
+        ]
+        : [],
+      order: includeStubs ? [[{ model: PayStub, as: 'payStubs' }, 'technicianName', 'ASC']] : [],
+    });
+    if (!run) {
+      throw new NotFoundError('Payroll run not found');
+    }
+    return run;
+  }
+
+  /**
+   * Create a draft run for a pay period and calculate its stubs
+   * @param {string} shopId - Shop ID
+   * @param {Object} data - { periodStart, periodEnd, payDate, notes }
+   * @param {string} userId - Creating user
+   */
+  async createRun(shopId, data, userId) {
+    const periodStart = new Date(data.periodStart);
+    periodStart.setHours(0, 0, 0, 0);
+    const periodEnd = new Date(data.periodEnd);
+    periodEnd.setHours(23, 59, 59, 999);
+
+    if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime()) || periodEnd < periodStart) {
+      throw new ValidationError('periodEnd must be on or after periodStart');
+    }
+
+    const overlapping = await PayrollRun.findOne({
+      where: {
+        shopId,
+        periodStart: { [Op.lte]: periodEnd },
+        periodEnd: { [Op.gte]: periodStart },
+      },
+    });
+    if (overlapping) {
+      throw new ConflictError(
+        `Pay period overlaps payroll run ${overlapping.periodLabel} (${overlapping.status})`
+      );
+    }
+
+    const run = await PayrollRun.create({
+      shopId,
+      periodStart,
+      periodEnd,
+      payDate: data.payDate || null,
+      periodLabel: `${toDateKey(periodStart)}-${toDateKey(periodEnd)}`,
+      notes: data.notes || null,
+      createdBy: userId || null,
+    });
+
+    return this.calculateRun(run.id, shopId);
+  }
+
+  /**
+   * Rebuild every stub in a draft run from the source time records.
+   * Manual adjustments entered on the previous calculation are kept.
+   */
+  async calculateRun(runId, shopId) {
+    const run = await this.getRun(runId, shopId);
+    this.assertEditable(run);
+
+    const settings = await this.getPayrollSettings(shopId);
+    const technicians = await User.findAll({
+      where: {
+        shopId,
+        isActive: true,
+        role: { [Op.in]: technicianPerformanceService.technicianRoles },
+      },
+      attributes: [
+        'id',
+        'firstName',
+        'lastName',
+        'username',
+        'hourlyRate',
+        'flatRate',
+        'commissionRate',
+        'payPlanType',
+      ],
+    });
+
+    const manualAdjustments = {};
+    (run.payStubs || []).forEach(stub => {
+      manualAdjustments[stub.technicianId] = (stub.adjustments || []).filter(
+        adjustment => adjustment.source === 'manual'
+      );
+    });
+
+    const stubs = [];
+    for (const technician of technicians) {
+      const data = await this.loadPayData(shopId, technician.id, run);
+      const hasActivity = data.timeClocks.length || data.laborEntries.length || data.comebacks.length;
+      if (!hasActivity && !manualAdjustments[technician.id]?.length) continue;
+
+      const stub = this.computeStub(technician, data, settings, manualAdjustments[technician.id]);
+      stubs.push({ ...stub, payrollRunId: run.id, shopId });
+    }
+
+    await sequelize.transaction(async transaction => {
+      await PayStub.destroy({ where: { payrollRunId: run.id }, transaction });
+      if (stubs.length) {
+        await PayStub.bulkCreate(stubs, { transaction });
+      }
+      await run.update(
+        {
+          ...this.summarizeStubs(stubs),
+          settingsSnapshot: settings,
+          calculatedAt: new Date(),
+        },
+        { transaction }
+      );
+    });
+
+    return this.getRun(run.id, shopId);
+  }
+
+  /**
+   * Add a manual bonus or deduction to a stub in a draft run
+   * @param {Object} adjustment - { amount, reason, type }
+   */
+  async addAdjustment(runId, stubId, shopId, adjustment, userId) {
+    const run = await this.getRun(runId, shopId);
+    this.assertEditable(run);
+
+    const stub = run.payStubs.find(item => item.id === stubId);
+    if (!stub) {
+      throw new NotFoundError('Pay stub not found');
+    }
+
+    const amount = round(adjustment.amount);
+    if (!amount) {
+      throw new ValidationError('Adjustment amount must be a non-zero number');
+    }
+
+    const adjustments = [
+      ...(stub.adjustments || []),
+      {
+        type: adjustment.type || (amount > 0 ? 'bonus' : 'deduction'),
+        amount,
+        reason: adjustment.reason,
+        source: 'manual',
+        createdBy: userId || null,
+        createdAt: new Date().toISOString(),
+      },
+    ];
+    const adjustmentTotal = round(sum(adjustments, item => item.amount));
+
+    await stub.update({
+      adjustments,
+      adjustmentTotal,
+      grossPay: this.getGrossPay(stub, adjustmentTotal),
+    });
+    await run.update(this.summarizeStubs(run.payStubs));
+
+    return this.getRun(run.id, shopId);
+  }
+
+  async approveRun(runId, shopId, userId) {
+    const run = await this.getRun(runId, shopId);
+    if (run.status !== 'draft') {
+      throw new ConflictError(`Only draft payroll runs can be approved (run is ${run.status})`);
+    }
+    if (!run.payStubs.length) {
+      throw new ValidationError('Payroll run has no pay stubs to approve');
+    }
+
+    await run.update({ status: 'approved', approvedBy: userId, approvedAt: new Date() });
+    return this.getRun(run.id, shopId);
+  }
+
+  async reopenRun(runId, shopId) {
+    const run = await this.getRun(runId, shopId);
+    if (run.status !== 'approved') {
+      throw new ConflictError(`Only approved payroll runs can be reopened (run is ${run.status})`);
+    }
+
+    await run.update({ status: 'draft', approvedBy: null, approvedAt: null });
+    return this.getRun(run.id, shopId);
+  }
+
+  /**
+   * Lock an approved run and mark its labor and time clock rows as paid
+   */
+  async lockRun(runId, shopId, userId) {
+    const run = await this.getRun(runId, shopId);
+    if (run.status !== 'approved') {
+      throw new ConflictError(`Only approved payroll runs can be locked (run is ${run.status})`);
+    }
+
+    const laborEntryIds = run.payStubs.flatMap(stub => stub.laborEntryIds || []);
+    const timeClockIds = run.payStubs.flatMap(stub => stub.timeClockIds || []);
+    const processed = {
+      payrollProcessed: true,
+      payrollDate: run.payDate || new Date(),
+      payrollPeriod: run.periodLabel,
+    };
+
+    await sequelize.transaction(async transaction => {
+      if (laborEntryIds.length) {
+        await LaborTimeEntry.update(processed, {
+          where: { id: { [Op.in]: laborEntryIds } },
+          transaction,
+        });
+      }
+      if (timeClockIds.length) {
+        await TimeClock.update(processed, {
+          where: { id: { [Op.in]: timeClockIds } },
+          transaction,
+        });
+      }
+      await run.update({ status: 'locked', lockedBy: userId, lockedAt: new Date() }, { transaction });
+    });
+
+    return this.getRun(run.id, shopId);
+  }
+
+  async updatePayPlan(shopId, technicianId, plan) {
+    const technician = await User.findOne({ where: { id: technicianId, shopId } });
+    if (!technician) {
+      throw new NotFoundError('Technician not found');
+    }
+
+    const updates = {};
+    ['payPlanType', 'hourlyRate', 'flatRate', 'commissionRate'].forEach(field => {
+      if (plan[field] !== undefined) updates[field] = plan[field];
+    });
+    await technician.update(updates);
+
+    return {
+      id: technician.id,
+      payPlanType: technician.payPlanType,
+      hourlyRate: round(technician.hourlyRate),
+      flatRate: round(technician.flatRate),
+      commissionRate: round(technician.commissionRate),
+    };
+  }
+
+  // ==============================================================
+  // CALCULATION
+  // ==============================================================
+
+  /**
+   * Unpaid time records in the run period plus comebacks charged back to it
+   */
+  async loadPayData(shopId, technicianId, run) {
+    const between = { [Op.between]: [run.periodStart, run.periodEnd] };
+    const unpaid = { [Op.or]: [{ payrollProcessed: false }, { payrollProcessed: null }] };
+
+    const [laborEntries, timeClocks, comebackJobs] = await Promise.all([
+      LaborTimeEntry.findAll({
+        where: {
+          shopId,
+          technicianId,
+          clockIn: between,
+          status: { [Op.notIn]: ['cancelled', 'disputed'] },
+          ...unpaid,
+        },
+        attributes: ['id', 'jobId', 'billableHours', 'estimatedHours', 'billableAmount', 'isRework'],
+        raw: true,
+      }),
+      TimeClock.findAll({
+        where: {
+          shopId,
+          technicianId,
+          clockIn: between,
+          status: 'clocked_out',
+          ...unpaid,
+        },
+        attributes: ['id', 'clockIn', 'clockOut', 'totalHours', 'breakHours', 'netHours'],
+        order: [['clockIn', 'ASC']],
+        raw: true,
+      }),
+      Job.findAll({
+        where: { shopId, assignedTo: technicianId, comeBack: true, comeBackDate: between },
+        attributes: ['id', 'jobNumber', 'comeBackReason'],
+        raw: true,
+      }),
+    ]);
+
+    let comebacks = [];
+    if (comebackJobs.length) {
+      const paidEntries = await LaborTimeEntry.findAll({
+        where: {
+          shopId,
+          technicianId,
+          jobId: { [Op.in]: comebackJobs.map(job => job.id) },
+          payrollProcessed: true,
+          isRework: false,
+        },
+        attributes: ['jobId', 'billableHours', 'estimatedHours', 'billableAmount'],
+        raw: true,
+      });
+      comebacks = comebackJobs.map(job => {
+        const entries = paidEntries.filter(entry => entry.jobId === job.id);
+        return {
+          ...job,
+          flaggedHours: sum(entries, entry => technicianPerformanceService.getFlaggedHours(entry)),
+          laborSales: sum(entries, entry => entry.billableAmount),
+        };
+      });
+    }
+
+    return { laborEntries, timeClocks, comebacks };
+  }
+
+  /**
+   * Compute a technician's stub for the period
+   * @param {Object} technician - User with pay plan fields
+   * @param {Object} data - { laborEntries, timeClocks, comebacks }
+   * @param {Object} settings - Shop payroll settings
+   * @param {Array} manualAdjustments - Adjustments carried over from a previous calculation
+   */
+  computeStub(technician, data, settings, manualAdjustments = []) {
+    const { laborEntries = [], timeClocks = [], comebacks = [] } = data;
+    const payPlanType = PAY_PLAN_TYPES.includes(technician.payPlanType)
+      ? technician.payPlanType
+      : 'hourly';
+    const hourlyRate = parseFloat(technician.hourlyRate) || 0;
+    const flatRate = parseFloat(technician.flatRate) || 0;
+    const commissionRate = parseFloat(technician.commissionRate) || 0;
+    const multiplier = parseFloat(settings.overtimeMultiplier) || 1;
+
+    // Hours
+    const clockedHours = sum(timeClocks, entry => technicianPerformanceService.getClockedHours(entry));
+    const { regularHours, overtimeHours } = this.calculateOvertime(timeClocks, settings);
+    const flaggedHours = sum(laborEntries, entry =>
+      technicianPerformanceService.getFlaggedHours(entry)
+    );
+    const reworkFlaggedHours = sum(
+      laborEntries.filter(entry => entry.isRework),
+      entry => technicianPerformanceService.getFlaggedHours(entry)
+    );
+    const paidFlaggedHours = settings.payReworkFlaggedHours
+      ? flaggedHours
+      : flaggedHours - reworkFlaggedHours;
+    const laborSales = sum(
+      laborEntries.filter(entry => !entry.isRework),
+      entry => entry.billableAmount
+    );
+
+    // Hourly side: straight time plus time-and-a-half on overtime hours
+    const hourly = {
+      basePay: regularHours * hourlyRate,
+      overtimePay: overtimeHours * hourlyRate * multiplier,
+    };
+
+    // Flat-rate side: flagged hours already cover straight time on every
+    // clocked hour, so overtime only adds the premium at the effective rate
+    const flatBase = paidFlaggedHours * flatRate;
+    const flat = {
+      basePay: flatBase,
+      overtimePay: clockedHours > 0 ? overtimeHours * (flatBase / clockedHours) * (multiplier - 1) : 0,
+    };
+
+    let paidOn = payPlanType === 'flat_rate' ? 'flat_rate' : 'hourly';
+    if (payPlanType === 'hybrid') {
+      paidOn =
+        flat.basePay + flat.overtimePay > hourly.basePay + hourly.overtimePay ? 'flat_rate' : 'hourly';
+    }
+    const earnings = paidOn === 'flat_rate' ? flat : hourly;
+    const commission = laborSales * (commissionRate / 100);
+
+    const adjustments = [
+      ...this.buildComebackAdjustments(comebacks, { payPlanType, flatRate, commissionRate }, settings),
+      ...(manualAdjustments || []),
+    ];
+    const adjustmentTotal = sum(adjustments, adjustment => adjustment.amount);
+
+    const stub = {
+      technicianId: technician.id,
+      technicianName: technicianPerformanceService.getDisplayName(technician),
+      payPlanType,
+      hourlyRate: round(hourlyRate),
+      flatRate: round(flatRate),
+      commissionRate: round(commissionRate),
+      paidOn,
+      clockedHours: round(clockedHours),
+      regularHours: round(regularHours),
+      overtimeHours: round(overtimeHours),
+      flaggedHours: round(flaggedHours),
+      reworkFlaggedHours: round(reworkFlaggedHours),
+      paidFlaggedHours: round(paidFlaggedHours),
+      laborSales: round(laborSales),
+      basePay: round(earnings.basePay),
+      overtimePay: round(earnings.overtimePay),
+      commission: round(commission),
+      adjustments,
+      adjustmentTotal: round(adjustmentTotal),
+      laborEntryIds: laborEntries.map(entry => entry.id),
+      timeClockIds: timeClocks.map(entry => entry.id),
+    };
+    stub.grossPay = this.getGrossPay(stub, stub.adjustmentTotal);
+
+    return stub;
+  }
+
+  /**
+   * Split clocked hours into regular and overtime. The daily threshold is
+   * applied first, then the weekly threshold on the remaining regular hours
+   * of each Sunday-to-Saturday week.
+   */
+  calculateOvertime(timeClocks, settings) {
+    const dailyThreshold = parseFloat(settings.overtimeDailyThreshold) || null;
+    const weeklyThreshold = parseFloat(settings.overtimeWeeklyThreshold) || null;
+
+    const days = {};
+    timeClocks.forEach(entry => {
+      const key = toDateKey(entry.clockIn);
+      if (!days[key]) days[key] = { week: weekKey(entry.clockIn), hours: 0 };
+      days[key].hours += technicianPerformanceService.getClockedHours(entry);
+    });
+
+    let overtimeHours = 0;
+    const weeks = {};
+    Object.keys(days)
+      .sort()
+      .forEach(key => {
+        let { hours } = days[key];
+        if (dailyThreshold && hours > dailyThreshold) {
+          overtimeHours += hours - dailyThreshold;
+          hours = dailyThreshold;
+        }
+        weeks[days[key].week] = (weeks[days[key].week] || 0) + hours;
+      });
+
+    let regularHours = 0;
+    Object.values(weeks).forEach(hours => {
+      if (weeklyThreshold && hours > weeklyThreshold) {
+        overtimeHours += hours - weeklyThreshold;
+        regularHours += weeklyThreshold;
+      } else {
+        regularHours += hours;
+      }
+    });
+
+    return { regularHours: round(regularHours), overtimeHours: round(overtimeHours) };
+  }
+
+  /**
+   * Charge back pay already earned on jobs that came back in this period
+   */
+  buildComebackAdjustments(comebacks, plan, settings) {
+    const percent = (parseFloat(settings.comebackChargebackPercent) || 0) / 100;
+    if (!percent) return [];
+
+    return comebacks
+      .map(job => {
+        const flaggedPay = plan.payPlanType === 'hourly' ? 0 : job.flaggedHours * plan.flatRate;
+        const commission = job.laborSales * (plan.commissionRate / 100);
+        const amount = round(-(flaggedPay + commission) * percent);
+        return {
+          type: 'comeback',
+          amount,
+          reason: `Comeback on job ${job.jobNumber}${job.comeBackReason ? `: ${job.comeBackReason}` : ''}`,
+          jobId: job.id,
+          source: 'system',
+        };
+      })
+      .filter(adjustment => adjustment.amount !== 0);
+  }
+
+  getGrossPay(stub, adjustmentTotal) {
+    return round(
+      (parseFloat(stub.basePay) || 0) +
+        (parseFloat(stub.overtimePay) || 0) +
+        (parseFloat(stub.commission) || 0) +
+        (parseFloat(adjustmentTotal) || 0)
+    );
+  }
+
+  summarizeStubs(stubs) {
+    return {
+      technicianCount: stubs.length,
+      totalClockedHours: round(sum(stubs, stub => stub.clockedHours)),
+      totalFlaggedHours: round(sum(stubs, stub => stub.paidFlaggedHours)),
+      totalOvertimeHours: round(sum(stubs, stub => stub.overtimeHours)),
+      totalCommission: round(sum(stubs, stub => stub.commission)),
+      totalAdjustments: round(sum(stubs, stub => stub.adjustmentTotal)),
+      totalGrossPay: round(sum(stubs, stub => stub.grossPay)),
+    };
+  }
+
+  assertEditable(run) {
+    if (run.status !== 'draft') {
+      throw new ConflictError(`Payroll run is ${run.status} and can no longer be changed`);
+    }
+  }
+
+  // ==============================================================
+  // EXPORT
+  // ==============================================================
+
+  /**
+   * Run summary with one row per technician, in reportExportService shape
+   */
+  buildRunReport(run) {
+    return {
+      title: `Payroll ${run.periodLabel}`,
+      range: this.getReportRange(run),
+      columns: [
+        { key: 'technician', label: 'Technician' },
+        { key: 'payPlan', label: 'Pay Plan' },
+        { key: 'clockedHours', label: 'Clocked', type: 'number' },
+        { key: 'overtimeHours', label: 'OT Hours', type: 'number' },
+        { key: 'flaggedHours', label: 'Flagged', type: 'number' },
+        { key: 'basePay', label: 'Base Pay', type: 'currency' },
+        { key: 'overtimePay', label: 'OT Pay', type: 'currency' },
+        { key: 'commission', label: 'Commission', type: 'currency' },
+        { key: 'adjustments', label: 'Adjustments', type: 'currency' },
+        { key: 'grossPay', label: 'Gross Pay', type: 'currency' },
+      ],
+      data: run.payStubs.map(stub => ({
+        technician: stub.technicianName,
+        payPlan: stub.payPlanType,
+        clockedHours: round(stub.clockedHours),
+        overtimeHours: round(stub.overtimeHours),
+        flaggedHours: round(stub.paidFlaggedHours),
+        basePay: round(stub.basePay),
+        overtimePay: round(stub.overtimePay),
+        commission: round(stub.commission),
+        adjustments: round(stub.adjustmentTotal),
+        grossPay: round(stub.grossPay),
+      })),
+      summary: {
+        status: run.status,
+        payDate: run.payDate || '',
+        technicians: run.technicianCount,
+        totalGrossPay: round(run.totalGrossPay),
+      },
+    };
+  }
+
+  /**
+   * A single technician's pay stub as earning and adjustment lines
+   */
+  buildStubReport(run, stub) {
+    const lines = [
+      {
+        item: stub.paidOn === 'flat_rate' ? 'Flagged hours' : 'Regular hours',
+        hours: round(stub.paidOn === 'flat_rate' ? stub.paidFlaggedHours : stub.regularHours),
+        rate: round(stub.paidOn === 'flat_rate' ? stub.flatRate : stub.hourlyRate),
+        amount: round(stub.basePay),
+      },
+    ];
+    if (parseFloat(stub.overtimePay)) {
+      lines.push({ item: 'Overtime', hours: round(stub.overtimeHours), amount: round(stub.overtimePay) });
+    }
+    if (parseFloat(stub.commission)) {
+      lines.push({
+        item: `Commission (${round(stub.commissionRate)}% of labor sales)`,
+        amount: round(stub.commission),
+      });
+    }
+    (stub.adjustments || []).forEach(adjustment => {
+      lines.push({ item: adjustment.reason || adjustment.type, amount: round(adjustment.amount) });
+    });
+
+    return {
+      title: `Pay Stub ${stub.technicianName} ${run.periodLabel}`,
+      range: this.getReportRange(run),
+      columns: [
+        { key: 'item', label: 'Item' },
+        { key: 'hours', label: 'Hours', type: 'number' },
+        { key: 'rate', label: 'Rate', type: 'currency' },
+        { key: 'amount', label: 'Amount', type: 'currency' },
+      ],
+      data: lines,
+      summary: {
+        technician: stub.technicianName,
+        payPlan: stub.payPlanType,
+        clockedHours: round(stub.clockedHours),
+        flaggedHours: round(stub.flaggedHours),
+        reworkFlaggedHours: round(stub.reworkFlaggedHours),
+        laborSales: round(stub.laborSales),
+        grossPay: round(stub.grossPay),
+        status: run.status,
+      },
+    };
+  }
+
+  getReportRange(run) {
+    return {
+      startDate: new Date(run.periodStart).toISOString(),
+      endDate: new Date(run.periodEnd).toISOString(),
+    };
+  }
+}
+
+module.exports = new PayrollService();
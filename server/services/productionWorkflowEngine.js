@@ -0,0 +1,764 @@
+/**
+ * Production Workflow Engine
+ *
+ * Enforces the shop's ProductionStage rules when a job changes stage:
+ * - prerequisites: stages that must be completed (and inspected, when the
+ *   prerequisite requires inspection) before the stage can start
+ * - requiresInspection: a stage cannot be left going forward until its
+ *   inspection has been recorded and passed
+ * - photosRequired / photoTypes: job photos that must exist before entry
+ * - customerApprovalRequired: customer approval recorded on the job
+ * - canSkip: required stages that may not be jumped over
+ * - allowRework / maxReworkAttempts: limits on moving a job back
+ *
+ * Stage automation rules run after an allowed transition. They are stored in
+ * ProductionStage.automationRules as
+ *   { onEnter: [{ action: 'notify_customer', channel: 'sms', message }],
+ *     onExit: [{ action: 'create_qc_checklist' }] }
+ * (a plain array is treated as onEnter). Supported actions are
+ * notify_customer, create_qc_checklist and reserve_paint_booth.
+ *
+ * Completed transitions are published as job.stage_changed domain events.
+ *
+ * Every decision is written to JobStageHistory: allowed transitions create a
+ * history row carrying the decision and automation results in metadata, and
+ * blocked attempts are appended to the current stage's row.
+ */
+
+const { Op } = require('sequelize');
+const {
+  ProductionStage,
+  JobStageHistory,
+  Attachment,
+  SchedulingCapacity,
+  Job,
+  Customer,
+  RepairOrderManagement,
+} = require('../database/models');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+const domainEvents = require('./domainEvents');
+const messageDispatcher = require('./messageDispatcher');
+
+// ProductionStage.photoTypes → Attachment.category
+const PHOTO_CATEGORIES = {
+  before: ['before_damage'],
+  damage: ['damage_assessment', 'before_damage'],
+  progress: ['during_repair'],
+  repair: ['during_repair', 'after_repair'],
+  after: ['after_repair'],
+};
+
+const DEFAULT_PAINT_BOOTHS = 1;
+
+const normalizeCode = code => `${code || ''}`.trim().toLowerCase();
+
+const fillTemplate = (template, values) =>
+  Object.entries(values).reduce(
+    (text, [key, value]) => text.split(`{{${key}}}`).join(value ?? ''),
+    template
+  );
+
+class ProductionWorkflowEngine {
+  constructor() {
+    this.actions = {
+      notify_customer: this.notifyCustomer.bind(this),
+      create_qc_checklist: this.createQcChecklist.bind(this),
+      reserve_paint_booth: this.reservePaintBooth.bind(this),
+    };
+  }
+
+  // ==========================================
+  // RULE EVALUATION
+  // ==========================================
+
+  /**
+   * Active stage rules for a shop keyed by lower-cased stage code
+   */
+  async loadStageRules(shopId) {
+    const stages = await ProductionStage.findAll({
+      where: { shopId, isActive: true },
+      order: [['stageOrder', 'ASC']],
+    });
+    return new Map(
+      stages.map(stage => [normalizeCode(stage.stageCode), stage])
+    );
+  }
+
+  async loadHistory(jobId) {
+    return JobStageHistory.findAll({
+      where: { jobId },
+      order: [['transitionTime', 'ASC']],
+    });
+  }
+
+  /**
+   * Check a stage change against the stage rules without applying it.
+   *
+   * @param {Object} job - Job instance (status is the current stage)
+   * @param {string} toStage - Requested stage code
+   * @param {Object} options - override, stageOrder (fallback order by stage
+   *   code for stages without a ProductionStage row)
+   * @returns {Object} decision with allowed, overridden, blockers, warnings
+   */
+  async evaluateTransition(job, toStage, options = {}) {
+    const { override = false, stageOrder = {} } = options;
+    const [rules, history] = await Promise.all([
+      this.loadStageRules(job.shopId),
+      this.loadHistory(job.id),
+    ]);
+
+    const fromStage = job.status;
+    const fromRule = rules.get(normalizeCode(fromStage));
+    const toRule = rules.get(normalizeCode(toStage));
+    let movementType = this.getMovementType(
+      fromStage,
+      toStage,
+      rules,
+      stageOrder
+    );
+
+    const blockers = [];
+    const warnings = [];
+    const block = (rule, stage, message, canOverride = true) => {
+      if (!blockers.some(b => b.rule === rule && b.stage === stage)) {
+        blockers.push({ rule, stage, message, canOverride });
+      }
+    };
+
+    // The stage being left counts as completed once it is left going forward
+    const completed = this.getCompletedStages(history);
+    if (movementType !== 'backward' && fromStage) {
+      completed.add(normalizeCode(fromStage));
+    }
+
+    if (toRule) {
+      (toRule.prerequisites || []).forEach(prereq => {
+        const code = normalizeCode(prereq);
+        const prereqRule = rules.get(code);
+        const name = prereqRule?.stageName || prereq;
+
+        if (!completed.has(code)) {
+          block(
+            'prerequisite',
+            prereq,
+            `${name} must be completed before ${toRule.stageName}`
+          );
+          return;
+        }
+        if (prereqRule?.requiresInspection) {
+          const inspection = this.getInspectionState(history, code);
+          if (inspection !== 'passed') {
+            block(
+              'inspection',
+              prereq,
+              this.inspectionMessage(name, inspection)
+            );
+          }
+        }
+      });
+    }
+
+    const skipped = this.getSkippedStages(fromStage, toStage, rules, completed);
+    skipped
+      .filter(stage => !stage.canSkip)
+      .forEach(stage => {
+        block('skip', stage.stageCode, `${stage.stageName} cannot be skipped`);
+      });
+
+    if (skipped.length > 0) {
+      movementType = 'skip';
+    }
+
+    if (fromRule?.requiresInspection && movementType !== 'backward') {
+      const inspection = this.getInspectionState(
+        history,
+        normalizeCode(fromStage)
+      );
+      if (inspection !== 'passed') {
+        block(
+          'inspection',
+          fromStage,
+          this.inspectionMessage(fromRule.stageName, inspection)
+        );
+      }
+    }
+
+    if (toRule?.photosRequired) {
+      const missing = await this.getMissingPhotoTypes(job, toRule);
+      if (missing.length > 0) {
+        block(
+          'photos',
+          toStage,
+          `Photos required before ${toRule.stageName}: ${missing.join(', ')}`
+        );
+      }
+    }
+
+    if (
+      toRule?.customerApprovalRequired &&
+      !job.workflow?.approvals?.[normalizeCode(toStage)]
+    ) {
+      block(
+        'customer_approval',
+        toStage,
+        `Customer approval is required before ${toRule.stageName}`,
+        false
+      );
+    }
+
+    if (movementType === 'backward' && toRule) {
+      const reworkCount = this.getReworkCount(history, toStage);
+      if (!toRule.canRework(reworkCount)) {
+        block(
+          'rework_limit',
+          toStage,
+          toRule.allowRework
+            ? `${toRule.stageName} has reached its rework limit (${toRule.maxReworkAttempts})`
+            : `${toRule.stageName} does not allow rework`
+        );
+      }
+
+      const redo = (toRule.dependentStages || []).filter(code =>
+        completed.has(normalizeCode(code))
+      );
+      if (redo.length > 0) {
+        warnings.push({
+          rule: 'dependent_stages',
+          message: `Dependent stages will need to be repeated: ${redo.join(', ')}`,
+          stages: redo,
+        });
+      }
+    }
+
+    if (toRule?.maxConcurrentJobs) {
+      const inStage = await Job.count({
+        where: { shopId: job.shopId, status: toStage, id: { [Op.ne]: job.id } },
+      });
+      if (toRule.isOverCapacity(inStage)) {
+        warnings.push({
+          rule: 'capacity',
+          message: `${toRule.stageName} is at capacity (${inStage}/${toRule.maxConcurrentJobs} jobs)`,
+        });
+      }
+    }
+
+    const overridable = blockers.every(blocker => blocker.canOverride);
+    const overridden = blockers.length > 0 && override && overridable;
+
+    return {
+      allowed: blockers.length === 0 || overridden,
+      overridden,
+      canOverride: blockers.length > 0 && overridable,
+      fromStage,
+      toStage,
+      movementType,
+      blockers,
+      warnings,
+      productionStageId: toRule?.id || null,
+      evaluatedAt: new Date(),
+    };
+  }
+
+  getMovementType(fromStage, toStage, rules, stageOrder) {
+    const orderOf = code =>
+      rules.get(normalizeCode(code))?.stageOrder ?? stageOrder[code] ?? null;
+    const from = orderOf(fromStage);
+    const to = orderOf(toStage);
+
+    if (from === null || to === null) return 'forward';
+    if (to < from) return 'backward';
+    if (to === from) return 'parallel';
+    return 'forward';
+  }
+
+  /**
+   * Required stages between two stages that the job has not completed
+   */
+  getSkippedStages(fromStage, toStage, rules, completed) {
+    const fromRule = rules.get(normalizeCode(fromStage));
+    const toRule = rules.get(normalizeCode(toStage));
+    if (!fromRule || !toRule || toRule.stageOrder <= fromRule.stageOrder) {
+      return [];
+    }
+
+    return [...rules.values()].filter(
+      stage =>
+        stage.isRequired &&
+        stage.stageOrder > fromRule.stageOrder &&
+        stage.stageOrder < toRule.stageOrder &&
+        !completed.has(normalizeCode(stage.stageCode))
+    );
+  }
+
+  /**
+   * Stages the job has moved out of going forward
+   */
+  getCompletedStages(history) {
+    return new Set(
+      history
+        .filter(entry => entry.fromStage && entry.movementType !== 'backward')
+        .map(entry => normalizeCode(entry.fromStage))
+    );
+  }
+
+  /**
+   * 'passed', 'failed' or 'missing' for the latest visit to a stage
+   */
+  getInspectionState(history, code) {
+    const visit = this.latestVisit(history, code);
+    if (!visit?.inspectionCompleted) return 'missing';
+    return visit.inspectionResults?.passed === false ? 'failed' : 'passed';
+  }
+
+  inspectionMessage(stageName, state) {
+    return state === 'failed'
+      ? `${stageName} inspection failed and must be redone`
+      : `${stageName} inspection has not been recorded`;
+  }
+
+  getReworkCount(history, toStage) {
+    const code = normalizeCode(toStage);
+    return history.filter(
+      entry =>
+        normalizeCode(entry.toStage) === code &&
+        entry.movementType === 'backward'
+    ).length;
+  }
+
+  latestVisit(history, code) {
+    return [...history]
+      .reverse()
+      .find(entry => normalizeCode(entry.toStage) === code);
+  }
+
+  async getMissingPhotoTypes(job, stage) {
+    const photos = await Attachment.findAll({
+      where: {
+        jobId: job.id,
+        fileType: 'image',
+        status: { [Op.ne]: 'deleted' },
+      },
+      attributes: ['id', 'category'],
+      raw: true,
+    });
+
+    const types = stage.photoTypes || [];
+    if (types.length === 0) {
+      return photos.length > 0 ? [] : ['any'];
+    }
+
+    return types.filter(type => {
+      const categories = PHOTO_CATEGORIES[type] || [type];
+      return !photos.some(photo => categories.includes(photo.category));
+    });
+  }
+
+  // ==========================================
+  // RECORDING DECISIONS
+  // ==========================================
+
+  /**
+   * Record an applied transition and run the stage automation rules.
+   * Call after the job's status has been updated.
+   */
+  async completeTransition(job, decision, context = {}) {
+    const { userId, technicianId, notes, overriddenBy } = context;
+    const rules = await this.loadStageRules(job.shopId);
+    const fromRule = rules.get(normalizeCode(decision.fromStage));
+    const toRule = rules.get(normalizeCode(decision.toStage));
+
+    const lastEntry = await JobStageHistory.findOne({
+      where: { jobId: job.id },
+      order: [['transitionTime', 'DESC']],
+    });
+
+    const transitionTime = new Date();
+    const stageStartTime = lastEntry?.transitionTime || job.createdAt || null;
+    const attributes = {
+      shopId: job.shopId,
+      jobId: job.id,
+      productionStageId: decision.productionStageId,
+      fromStage: decision.fromStage,
+      toStage: decision.toStage,
+      movementType: decision.movementType,
+      movementReason: this.getMovementReason(decision),
+      transitionTime,
+      stageStartTime,
+      stageEndTime: stageStartTime ? transitionTime : null,
+      technicianId: technicianId || job.assignedTo || null,
+      authorizedBy: userId || null,
+      recordedBy: userId || null,
+      reworkRequired: decision.movementType === 'backward',
+      firstTimeRight: decision.movementType !== 'backward',
+      inspectionRequired: Boolean(toRule?.requiresInspection),
+      customerApprovalRequired: Boolean(toRule?.customerApprovalRequired),
+      customerApproved: Boolean(
+        toRule?.customerApprovalRequired &&
+          job.workflow?.approvals?.[normalizeCode(decision.toStage)]
+      ),
+      notes: notes || null,
+    };
+
+    const automation = [
+      ...(await this.runAutomation(
+        fromRule,
+        'onExit',
+        job,
+        decision,
+        attributes
+      )),
+      ...(await this.runAutomation(
+        toRule,
+        'onEnter',
+        job,
+        decision,
+        attributes
+      )),
+    ];
+
+    const history = await JobStageHistory.create({
+      ...attributes,
+      metadata: {
+        decision: this.summarizeDecision(decision),
+        overriddenBy: overriddenBy || null,
+        automation,
+      },
+    });
+
+    domainEvents.publish(domainEvents.EVENTS.JOB_STAGE_CHANGED, {
+      shopId: job.shopId,
+      jobId: job.id,
+      fromStage: decision.fromStage,
+      toStage: decision.toStage,
+      movementType: decision.movementType,
+      userId: userId || null,
+    });
+
+    return { history, automation };
+  }
+
+  /**
+   * Keep a record of a refused transition on the job's current stage entry
+   */
+  async recordBlockedAttempt(job, decision, context = {}) {
+    const current = await JobStageHistory.findOne({
+      where: { jobId: job.id },
+      order: [['transitionTime', 'DESC']],
+    });
+    if (!current) return null;
+
+    const metadata = current.metadata || {};
+    const blockedAttempts = [
+      ...(metadata.blockedAttempts || []),
+      {
+        ...this.summarizeDecision(decision),
+        userId: context.userId || null,
+      },
+    ];
+
+    return current.update({ metadata: { ...metadata, blockedAttempts } });
+  }
+
+  summarizeDecision(decision) {
+    return {
+      fromStage: decision.fromStage,
+      toStage: decision.toStage,
+      allowed: decision.allowed,
+      overridden: decision.overridden,
+      blockers: decision.blockers,
+      warnings: decision.warnings,
+      evaluatedAt: decision.evaluatedAt,
+    };
+  }
+
+  getMovementReason(decision) {
+    if (decision.movementType === 'backward') return 'rework_required';
+    if (decision.overridden || decision.movementType === 'skip') {
+      return 'stage_skip_approved';
+    }
+    if (decision.movementType === 'parallel') return 'parallel_processing';
+    return 'normal_progression';
+  }
+
+  // ==========================================
+  // INSPECTIONS AND APPROVALS
+  // ==========================================
+
+  /**
+   * Record the inspection for the job's latest visit to a stage
+   */
+  async recordInspection(
+    job,
+    stage,
+    { passed = true, results = {}, notes, userId } = {}
+  ) {
+    if (!stage) {
+      throw new ValidationError('Stage is required');
+    }
+
+    const visit = await JobStageHistory.findOne({
+      where: { jobId: job.id, toStage: stage },
+      order: [['transitionTime', 'DESC']],
+    });
+    if (!visit) {
+      throw new NotFoundError(`Job has not entered ${stage}`);
+    }
+
+    const updates = {
+      inspectionCompleted: true,
+      inspectedBy: userId || null,
+      inspectionResults: {
+        ...(visit.inspectionResults || {}),
+        ...results,
+        passed,
+      },
+      inspectionNotes: notes || visit.inspectionNotes,
+    };
+    if (!passed) {
+      Object.assign(updates, {
+        hadIssues: true,
+        issueType: 'quality_defect',
+        reworkRequired: true,
+        firstTimeRight: false,
+      });
+    }
+
+    return visit.update(updates);
+  }
+
+  /**
+   * Record customer approval for a stage that requires it
+   */
+  async recordCustomerApproval(job, stage, { userId, note } = {}) {
+    if (!stage) {
+      throw new ValidationError('Stage is required');
+    }
+
+    const workflow = job.workflow || {};
+    const approvals = {
+      ...(workflow.approvals || {}),
+      [normalizeCode(stage)]: {
+        approvedAt: new Date(),
+        recordedBy: userId || null,
+        note: note || null,
+      },
+    };
+
+    return job.update({ workflow: { ...workflow, approvals } });
+  }
+
+  // ==========================================
+  // AUTOMATION
+  // ==========================================
+
+  getAutomationRules(stage, phase) {
+    if (!stage) return [];
+    const configured = stage.automationRules || {};
+    const rules = Array.isArray(configured)
+      ? phase === 'onEnter'
+        ? configured
+        : []
+      : configured[phase] || [];
+
+    // customerNotificationRequired implies a notification on entry
+    if (
+      phase === 'onEnter' &&
+      stage.customerNotificationRequired &&
+      !rules.some(rule => rule.action === 'notify_customer')
+    ) {
+      return [...rules, { action: 'notify_customer' }];
+    }
+    return rules;
+  }
+
+  /**
+   * Run a stage's rules for one phase. Actions may add fields to the history
+   * row being built; a failing action is reported but never blocks the move.
+   */
+  async runAutomation(stage, phase, job, decision, attributes) {
+    const results = [];
+
+    for (const rule of this.getAutomationRules(stage, phase)) {
+      const handler = this.actions[rule.action];
+      if (!handler) {
+        results.push({
+          action: rule.action,
+          phase,
+          status: 'skipped',
+          detail: 'Unknown action',
+        });
+        continue;
+      }
+
+      try {
+        const result = await handler({ rule, stage, job, decision, attributes });
+        Object.assign(attributes, result.historyUpdates || {});
+        results.push({
+          action: rule.action,
+          phase,
+          status: result.status,
+          detail: result.detail,
+        });
+      } catch (error) {
+        console.error(
+          `Automation ${rule.action} failed for job ${job.id}:`,
+          error
+        );
+        results.push({
+          action: rule.action,
+          phase,
+          status: 'failed',
+          detail: error.message,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send a customer message through the dispatcher, which applies the
+   * customer's consent and the shop's send limits
+   */
+  async notifyCustomer({ rule, stage, job, attributes }) {
+    const repairOrder = job.jobNumber
+      ? await RepairOrderManagement.findOne({
+          where: { shopId: job.shopId, repairOrderNumber: job.jobNumber },
+        })
+      : null;
+    if (repairOrder?.autoNotificationsEnabled === false) {
+      return {
+        status: 'skipped',
+        detail: 'Automatic notifications are off for this repair order',
+      };
+    }
+
+    const customer =
+      job.customer ||
+      (job.customerId
+        ? await Customer.findOne({
+            where: { id: job.customerId, shopId: job.shopId },
+          })
+        : null);
+    if (!customer) {
+      return { status: 'skipped', detail: 'Job has no customer' };
+    }
+
+    const channel = rule.channel || 'sms';
+    const stageName = stage.customerVisibleName || stage.stageName;
+    const message = fillTemplate(
+      rule.message || 'Update on your vehicle: it has moved to {{stageName}}.',
+      {
+        stageName,
+        jobNumber: job.jobNumber,
+        customerName: customer.firstName,
+      }
+    );
+
+    const [result] = await messageDispatcher.dispatch({
+      channels: [channel],
+      customer,
+      message: {
+        subject:
+          rule.subject || `${stageName} - ${job.jobNumber || ''}`.trim(),
+        content: message,
+      },
+      context: {
+        shopId: job.shopId,
+        userId: attributes.recordedBy,
+        repairOrderId: repairOrder ? repairOrder.id : null,
+        category: 'production',
+        triggerEvent: 'stage_entered',
+        isAutomated: true,
+      },
+    });
+
+    if (!result?.success) {
+      return {
+        status: 'skipped',
+        detail: `Customer not notified by ${channel}: ${result?.error || 'not sent'}`,
+      };
+    }
+
+    return {
+      status: 'completed',
+      detail: `Sent ${channel} notification ${result.communication_id}`,
+      historyUpdates: {
+        customerNotified: true,
+        customerNotificationTime: new Date(),
+      },
+    };
+  }
+
+  /**
+   * Attach a QC checklist from the stage template to the new history row
+   */
+  async createQcChecklist({ rule, stage }) {
+    const source =
+      rule.items ||
+      (stage.checklistTemplate?.length && stage.checklistTemplate) ||
+      (stage.qualityCheckpoints?.length && stage.qualityCheckpoints) ||
+      stage.inspectionCriteria ||
+      [];
+
+    const checklist = source.map(item => ({
+      item:
+        typeof item === 'string'
+          ? item
+          : item.item || item.name || item.description,
+      passed: null,
+    }));
+
+    if (checklist.length === 0) {
+      return { status: 'skipped', detail: 'Stage has no checklist template' };
+    }
+
+    return {
+      status: 'completed',
+      detail: `Created QC checklist with ${checklist.length} item(s)`,
+      historyUpdates: {
+        inspectionRequired: true,
+        inspectionResults: { checklist },
+      },
+    };
+  }
+
+  /**
+   * Hold a paint booth for the job if today's capacity has one free
+   */
+  async reservePaintBooth({ rule, job, decision }) {
+    const today = new Date().toISOString().slice(0, 10);
+    const capacity = await SchedulingCapacity.findOne({
+      where: { shopId: job.shopId, department: 'paint', scheduleDate: today },
+    });
+    const booths = capacity?.paintBooths || rule.booths || DEFAULT_PAINT_BOOTHS;
+
+    const occupied = await Job.count({
+      where: {
+        shopId: job.shopId,
+        status: rule.stage || decision.toStage,
+        id: { [Op.ne]: job.id },
+      },
+    });
+
+    if (occupied >= booths) {
+      return {
+        status: 'failed',
+        detail: `No paint booth available (${occupied}/${booths} in use)`,
+      };
+    }
+
+    const bayNumber = `PB${occupied + 1}`;
+    if (capacity) {
+      await capacity.update({ occupiedBays: (capacity.occupiedBays || 0) + 1 });
+    }
+
+    return {
+      status: 'completed',
+      detail: `Reserved paint booth ${bayNumber}`,
+      historyUpdates: { bayType: 'paint_booth', bayNumber },
+    };
+  }
+}
+
+module.exports = new ProductionWorkflowEngine();
@@ -0,0 +1,881 @@
+const PDFDocument = require('pdfkit');
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  PurchaseOrderSystem,
+  AdvancedPartsManagement,
+  Vendor,
+  Shop,
+} = require('../database/models');
+const vendorAdapters = require('./vendorIntegration/vendorAdapters');
+const {
+  buildX12Order,
+  buildCxmlOrder,
+} = require('./vendorIntegration/purchaseOrderFormats');
+const messageDeliveryService = require('./messageDeliveryService');
+const { integrationManager } = require('./integrationFramework');
+const { realtimeService } = require('./realtimeService');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  APIError,
+} = require('../utils/errorHandler');
+
+/**
+ * Purchase Order Transmission Service
+ *
+ * Sends purchase orders to the vendor and follows the vendor's answers:
+ * - transmission tries each channel the vendor supports, in order:
+ *   api (the vendor adapter's submitPurchaseOrder), edi (X12 850 or cXML,
+ *   posted to preferences.edi.url or emailed) and email (PDF attachment)
+ * - the PO moves to sent; its part lines move to ordered
+ * - vendors report back through
+ *   POST /api/integrations/webhooks/parts-vendor/:eventType
+ *   with eventType acknowledgment, backorder or ship_notice, signed with
+ *   the vendor's preferences.webhookSecret (HMAC-SHA256 of the JSON body,
+ *   hex, in X-Signature)
+ *
+ * Webhook payload:
+ *   { po_number, vendor_order_number, confirmation_number, carrier,
+ *     tracking_number, ship_date, estimated_delivery,
+ *     lines: [{ line_number, part_number, status, quantity_confirmed,
+ *               quantity_backordered, quantity_shipped, expected_date }] }
+ */
+
+const WEBHOOK_PROVIDER = 'parts-vendor';
+const WEBHOOK_EVENTS = ['acknowledgment', 'backorder', 'ship_notice'];
+
+// PO statuses that can be transmitted, and re-sent with options.resend
+const TRANSMITTABLE_STATUSES = ['draft', 'approved'];
+const RESENDABLE_STATUSES = ['sent', 'acknowledged'];
+
+// Part lines the vendor can still confirm, backorder or ship
+const OPEN_LINE_STATUSES = ['ordered', 'backordered', 'shipped'];
+const ORDERABLE_LINE_STATUSES = ['needed', 'sourcing', 'quoted', 'ordered'];
+
+const CHANNELS = ['api', 'edi', 'email'];
+
+const formatDate = value =>
+  value ? new Date(value).toISOString().split('T')[0] : '';
+const formatMoney = value => `$${(Number(value) || 0).toFixed(2)}`;
+const normalizePartNumber = value =>
+  `${value || ''}`.replace(/[-\s]/g, '').toUpperCase();
+
+class PurchaseOrderTransmissionService {
+  constructor() {
+    this.ediControlNumber = 0;
+    this.setupWebhookHandlers();
+  }
+
+  /**
+   * Vendor events arrive through
+   * POST /api/integrations/webhooks/parts-vendor/:eventType
+   */
+  setupWebhookHandlers() {
+    WEBHOOK_EVENTS.forEach(eventType => {
+      integrationManager.registerWebhookHandler(
+        WEBHOOK_PROVIDER,
+        eventType,
+        payload => this.ingestVendorEvent(eventType, payload),
+        {
+          verifySignature: (payload, signature) =>
+            this.verifyVendorSignature(payload, signature),
+        }
+      );
+    });
+  }
+
+  // ==========================================
+  // TRANSMISSION
+  // ==========================================
+
+  /**
+   * Send a purchase order to its vendor
+   *
+   * @param {string} shopId
+   * @param {string} purchaseOrderId
+   * @param {Object} options - { userId, method: 'api' | 'edi' | 'email', resend }
+   * @returns {Object} { purchaseOrder, method, reference, attempts }
+   */
+  async transmit(shopId, purchaseOrderId, options = {}) {
+    const { purchaseOrder, vendor, lines, shop } = await this.loadOrder(
+      shopId,
+      purchaseOrderId
+    );
+
+    const allowed = options.resend
+      ? [...TRANSMITTABLE_STATUSES, ...RESENDABLE_STATUSES]
+      : TRANSMITTABLE_STATUSES;
+    if (!allowed.includes(purchaseOrder.poStatus)) {
+      throw new ConflictError(
+        `Purchase order is ${purchaseOrder.poStatus} and cannot be sent`
+      );
+    }
+    if (purchaseOrder.requiresApproval && !purchaseOrder.approvedDate) {
+      throw new ConflictError('Purchase order must be approved before sending');
+    }
+    if (lines.length === 0) {
+      throw new ValidationError('Purchase order has no part lines');
+    }
+
+    const channels = this.channelsFor(vendor, purchaseOrder, options.method);
+    const order = this.buildOrder(purchaseOrder, lines, shop);
+    const attempts = [];
+    let sent = null;
+
+    for (const channel of channels) {
+      try {
+        sent = await this.sendVia(channel, {
+          purchaseOrder,
+          vendor,
+          lines,
+          shop,
+          order,
+        });
+        attempts.push({ method: channel, success: true });
+        break;
+      } catch (error) {
+        console.warn(
+          `PO ${purchaseOrder.purchaseOrderNumber} ${channel} transmission failed:`,
+          error.message
+        );
+        attempts.push({
+          method: channel,
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    if (!sent) {
+      await purchaseOrder.update({
+        syncStatus: 'sync_error',
+        internalNotes: this.appendNote(
+          purchaseOrder.internalNotes,
+          `Transmission failed: ${attempts
+            .map(attempt => `${attempt.method}: ${attempt.error}`)
+            .join('; ')}`
+        ),
+      });
+      throw new APIError(
+        `Could not send purchase order ${purchaseOrder.purchaseOrderNumber} to ${vendor.name}`,
+        502
+      );
+    }
+
+    await this.recordTransmission(purchaseOrder, lines, sent, options.userId);
+
+    realtimeService.emitToShop(shopId, 'po_update', {
+      action: 'sent',
+      po_id: purchaseOrder.id,
+      po_number: purchaseOrder.purchaseOrderNumber,
+      status: purchaseOrder.poStatus,
+      method: sent.method,
+    });
+
+    return {
+      purchaseOrder,
+      method: sent.method,
+      reference: sent.reference,
+      attempts,
+    };
+  }
+
+  /**
+   * Channels to try for the vendor, in order
+   */
+  channelsFor(vendor, purchaseOrder, method = null) {
+    const channels = [];
+    if (vendorAdapters.getAdapter(vendor)) channels.push('api');
+    if (vendor.integrationType === 'edi' || vendor.preferences?.edi) {
+      channels.push('edi');
+    }
+    if (vendor.email || purchaseOrder.vendorEmail) channels.push('email');
+
+    if (method) {
+      if (!CHANNELS.includes(method)) {
+        throw new ValidationError(`Unknown transmission method: ${method}`);
+      }
+      if (!channels.includes(method)) {
+        throw new ValidationError(
+          `${vendor.name} is not set up to receive purchase orders by ${method}`
+        );
+      }
+      return [method];
+    }
+    if (channels.length === 0) {
+      throw new ValidationError(
+        `${vendor.name} has no API, EDI or email address to send purchase orders to`
+      );
+    }
+    return channels;
+  }
+
+  async sendVia(channel, context) {
+    switch (channel) {
+      case 'api':
+        return this.sendApi(context);
+      case 'edi':
+        return this.sendEdi(context);
+      case 'email':
+        return this.sendEmail(context);
+      default:
+        throw new ValidationError(`Unknown transmission method: ${channel}`);
+    }
+  }
+
+  async sendApi({ vendor, order }) {
+    const result = await vendorAdapters
+      .getAdapter(vendor)
+      .submitPurchaseOrder(order);
+    if (result.status === 'rejected') {
+      throw new APIError(`${vendor.name} rejected the order`, 422);
+    }
+    return {
+      method: 'api',
+      reference: result.orderNumber,
+      acknowledgment: {
+        vendor_order_number: result.orderNumber,
+        confirmation_number: result.confirmationNumber,
+        lines: result.lines.map(line => ({
+          part_number: line.partNumber,
+          status: line.status,
+          quantity_confirmed: line.quantityConfirmed,
+          quantity_backordered: line.quantityBackordered,
+          expected_date: line.expectedDate,
+        })),
+      },
+    };
+  }
+
+  async sendEdi({ purchaseOrder, vendor, shop, order }) {
+    const edi = vendor.preferences?.edi || {};
+    const document = this.renderEdi(order, vendor);
+    const cxml = document.format === 'cxml';
+
+    if (edi.url) {
+      await axios.post(edi.url, document.content, {
+        timeout: edi.timeout || 30000,
+        headers: {
+          'Content-Type': cxml ? 'text/xml' : 'application/edi-x12',
+          ...(edi.apiKey ? { 'X-API-Key': edi.apiKey } : {}),
+        },
+      });
+    } else {
+      const to = vendor.email || purchaseOrder.vendorEmail;
+      if (!to) {
+        throw new ValidationError('No EDI endpoint or email for the vendor');
+      }
+      await this.email(shop, {
+        to,
+        subject: `Purchase Order ${purchaseOrder.purchaseOrderNumber} (${cxml ? 'cXML' : 'EDI 850'})`,
+        text: `Purchase order ${purchaseOrder.purchaseOrderNumber} from ${shop?.name || 'CollisionOS'} is attached.`,
+        attachments: [
+          {
+            filename: `${purchaseOrder.purchaseOrderNumber}.${cxml ? 'xml' : 'edi'}`,
+            content: document.content,
+            contentType: cxml ? 'text/xml' : 'application/edi-x12',
+          },
+        ],
+      });
+    }
+
+    return {
+      method: 'edi',
+      reference: document.controlNumber,
+    };
+  }
+
+  async sendEmail({ purchaseOrder, vendor, lines, shop }) {
+    const pdf = await this.renderPurchaseOrderPdf(purchaseOrder, lines, shop);
+    const result = await this.email(shop, {
+      to: vendor.email || purchaseOrder.vendorEmail,
+      subject: `Purchase Order ${purchaseOrder.purchaseOrderNumber} from ${shop?.name || 'CollisionOS'}`,
+      text: [
+        `Please supply the parts on the attached purchase order ${purchaseOrder.purchaseOrderNumber}.`,
+        purchaseOrder.requestedDeliveryDate
+          ? `Requested delivery: ${formatDate(purchaseOrder.requestedDeliveryDate)}.`
+          : null,
+        'Reply with your order confirmation number.',
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      attachments: [
+        {
+          filename: `${purchaseOrder.purchaseOrderNumber}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf',
+        },
+      ],
+    });
+
+    return { method: 'email', reference: result.providerMessageId };
+  }
+
+  async email(shop, message) {
+    const transport = messageDeliveryService.getTransport('email');
+    if (!transport) {
+      throw new APIError('No email transport is configured', 503);
+    }
+    return transport.send({
+      channel: 'email',
+      from: shop?.email,
+      ...message,
+    });
+  }
+
+  /**
+   * The PO as an X12 850 or cXML document, per preferences.edi.format
+   */
+  renderEdi(order, vendor) {
+    const edi = vendor.preferences?.edi || {};
+    this.ediControlNumber = (this.ediControlNumber % 999999999) + 1;
+    const controlNumber = `${Date.now() % 100000}${this.ediControlNumber}`;
+    const options = {
+      controlNumber,
+      senderId: edi.senderId,
+      receiverId: edi.receiverId || vendor.vendorNumber,
+      qualifier: edi.qualifier,
+      sharedSecret: edi.sharedSecret,
+      currency: edi.currency,
+    };
+
+    return edi.format === 'cxml'
+      ? {
+          format: 'cxml',
+          controlNumber,
+          content: buildCxmlOrder(order, options),
+        }
+      : {
+          format: 'x12',
+          controlNumber,
+          content: buildX12Order(order, options),
+        };
+  }
+
+  async recordTransmission(purchaseOrder, lines, sent, userId) {
+    const now = new Date();
+    const methodLabel = { api: 'vendor API', edi: 'EDI', email: 'email' }[
+      sent.method
+    ];
+
+    await purchaseOrder.update({
+      previousStatus: purchaseOrder.poStatus,
+      poStatus: 'sent',
+      statusChangeDate: now,
+      statusChangedBy: userId || null,
+      statusChangeReason: `Sent by ${methodLabel}`,
+      transmissionMethod: sent.method,
+      sentDate: now,
+      sentBy: userId || null,
+      ediCapable: sent.method === 'edi' || purchaseOrder.ediCapable,
+      ediDocumentNumber:
+        sent.method === 'edi'
+          ? sent.reference
+          : purchaseOrder.ediDocumentNumber,
+      externalSystemId:
+        sent.method === 'api' ? sent.reference : purchaseOrder.externalSystemId,
+      syncStatus: 'synced',
+      lastSyncDate: now,
+      communicationCount: (purchaseOrder.communicationCount || 0) + 1,
+      lastContactDate: now,
+      lastContactMethod: sent.method,
+      internalNotes: this.appendNote(
+        purchaseOrder.internalNotes,
+        `Sent by ${methodLabel}${sent.reference ? ` (${sent.reference})` : ''}`
+      ),
+      updatedBy: userId || purchaseOrder.updatedBy,
+    });
+
+    await Promise.all(
+      lines
+        .filter(line => ORDERABLE_LINE_STATUSES.includes(line.partStatus))
+        .map(line =>
+          line.update({
+            previousStatus: line.partStatus,
+            partStatus: 'ordered',
+            statusChangeDate: now,
+            statusChangedBy: userId || null,
+            orderDate: now,
+            orderedBy: userId || line.orderedBy,
+            purchaseOrderNumber: purchaseOrder.purchaseOrderNumber,
+          })
+        )
+    );
+
+    // Vendor APIs answer with the confirmation right away
+    if (sent.acknowledgment) {
+      await this.applyAcknowledgment(purchaseOrder, lines, sent.acknowledgment);
+    }
+  }
+
+  // ==========================================
+  // VENDOR EVENTS
+  // ==========================================
+
+  /**
+   * Signature over the JSON body with the vendor's webhook secret
+   */
+  async verifyVendorSignature(payload, signature) {
+    const purchaseOrder = await this.findOrderForEvent(payload);
+    const preferences = purchaseOrder?.vendor?.preferences || {};
+    const secret = preferences.webhookSecret || preferences.api?.webhookSecret;
+    if (!secret || !signature) return false;
+
+    const provided = `${signature}`.replace(/^sha256=/, '');
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+    return (
+      provided.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+    );
+  }
+
+  async findOrderForEvent(payload) {
+    if (!payload?.po_number) return null;
+    return PurchaseOrderSystem.findOne({
+      where: { purchaseOrderNumber: payload.po_number },
+      include: [{ model: Vendor, as: 'vendor' }],
+    });
+  }
+
+  /**
+   * Apply an acknowledgment, backorder or ship notice to the PO and its
+   * part lines
+   */
+  async ingestVendorEvent(eventType, payload) {
+    const purchaseOrder = await this.findOrderForEvent(payload);
+    if (!purchaseOrder) {
+      throw new NotFoundError(`Purchase order ${payload?.po_number} not found`);
+    }
+    const lines = await this.findLines(purchaseOrder);
+
+    let updated;
+    switch (eventType) {
+      case 'acknowledgment':
+        updated = await this.applyAcknowledgment(purchaseOrder, lines, payload);
+        break;
+      case 'backorder':
+        updated = await this.applyBackorder(purchaseOrder, lines, payload);
+        break;
+      case 'ship_notice':
+        updated = await this.applyShipNotice(purchaseOrder, lines, payload);
+        break;
+      default:
+        throw new ValidationError(`Unknown vendor event: ${eventType}`);
+    }
+
+    realtimeService.emitToShop(purchaseOrder.shopId, 'po_update', {
+      action: eventType,
+      po_id: purchaseOrder.id,
+      po_number: purchaseOrder.purchaseOrderNumber,
+      status: purchaseOrder.poStatus,
+      lines_updated: updated.length,
+    });
+
+    return {
+      po_number: purchaseOrder.purchaseOrderNumber,
+      po_status: purchaseOrder.poStatus,
+      lines_updated: updated.map(line => ({
+        id: line.id,
+        status: line.partStatus,
+      })),
+    };
+  }
+
+  async applyAcknowledgment(purchaseOrder, lines, event) {
+    const now = new Date();
+    const updated = [];
+    const backordered = [];
+
+    for (const eventLine of event.lines || []) {
+      const line = this.matchLine(lines, eventLine);
+      if (!line || !OPEN_LINE_STATUSES.includes(line.partStatus)) continue;
+
+      if (
+        eventLine.status === 'backordered' ||
+        Number(eventLine.quantity_backordered) > 0
+      ) {
+        backordered.push(eventLine);
+        continue;
+      }
+      await line.update({
+        promisedDeliveryDate:
+          eventLine.expected_date || line.promisedDeliveryDate,
+        vendorOrderNumber: event.vendor_order_number || line.vendorOrderNumber,
+      });
+      updated.push(line);
+    }
+
+    const expectedDates = (event.lines || [])
+      .map(line => line.expected_date)
+      .filter(Boolean)
+      .map(date => new Date(date));
+    await purchaseOrder.update({
+      ...this.advanceTo(purchaseOrder, 'acknowledged', now),
+      acknowledgmentReceived: true,
+      acknowledgmentDate: now,
+      hasConfirmation: true,
+      vendorConfirmationNumber:
+        event.confirmation_number || purchaseOrder.vendorConfirmationNumber,
+      externalSystemId:
+        event.vendor_order_number || purchaseOrder.externalSystemId,
+      promisedDeliveryDate:
+        expectedDates.length > 0
+          ? new Date(Math.max(...expectedDates))
+          : purchaseOrder.promisedDeliveryDate,
+      vendorResponseTime: purchaseOrder.sentDate
+        ? Math.round((now - new Date(purchaseOrder.sentDate)) / 3600000)
+        : purchaseOrder.vendorResponseTime,
+      lastContactDate: now,
+    });
+
+    if (backordered.length > 0) {
+      const backorderedLines = await this.applyBackorder(purchaseOrder, lines, {
+        ...event,
+        lines: backordered,
+      });
+      updated.push(...backorderedLines);
+    }
+    return updated;
+  }
+
+  async applyBackorder(purchaseOrder, lines, event) {
+    const now = new Date();
+    const updated = [];
+
+    for (const eventLine of event.lines || []) {
+      const line = this.matchLine(lines, eventLine);
+      if (!line || !OPEN_LINE_STATUSES.includes(line.partStatus)) continue;
+
+      const quantity = Number(eventLine.quantity_backordered) || null;
+      await line.update({
+        ...this.moveLine(line, 'backordered', now),
+        statusChangeReason: `Vendor backorder${quantity ? ` of ${quantity}` : ''}${
+          eventLine.expected_date
+            ? `, expected ${formatDate(eventLine.expected_date)}`
+            : ''
+        }`,
+        estimatedDeliveryDate:
+          eventLine.expected_date || line.estimatedDeliveryDate,
+        vendorOrderNumber: event.vendor_order_number || line.vendorOrderNumber,
+      });
+      updated.push(line);
+    }
+
+    await purchaseOrder.update({
+      ...this.advanceTo(purchaseOrder, 'acknowledged', now),
+      backorderedItems: lines.filter(line => line.partStatus === 'backordered')
+        .length,
+      lastContactDate: now,
+    });
+    return updated;
+  }
+
+  /**
+   * Ship notice; without lines it covers every open line on the PO
+   */
+  async applyShipNotice(purchaseOrder, lines, event) {
+    const now = new Date();
+    const shipping = event.lines?.length
+      ? event.lines
+          .map(eventLine => this.matchLine(lines, eventLine))
+          .filter(Boolean)
+      : lines;
+    const updated = [];
+
+    for (const line of shipping) {
+      if (!OPEN_LINE_STATUSES.includes(line.partStatus)) continue;
+      await line.update({
+        ...this.moveLine(line, 'shipped', now),
+        statusChangeReason: 'Vendor ship notice',
+        trackingNumber: event.tracking_number || line.trackingNumber,
+        shippingMethod: event.carrier || line.shippingMethod,
+        estimatedDeliveryDate:
+          event.estimated_delivery || line.estimatedDeliveryDate,
+      });
+      updated.push(line);
+    }
+
+    const trackingNumbers = JSON.parse(purchaseOrder.trackingNumbers || '[]');
+    if (
+      event.tracking_number &&
+      !trackingNumbers.includes(event.tracking_number)
+    ) {
+      trackingNumbers.push(event.tracking_number);
+    }
+    const stillOpen = lines.some(line =>
+      ['ordered', 'backordered'].includes(line.partStatus)
+    );
+    await purchaseOrder.update({
+      ...this.advanceTo(purchaseOrder, 'acknowledged', now),
+      trackingNumbers: JSON.stringify(trackingNumbers),
+      carrier: event.carrier || purchaseOrder.carrier,
+      estimatedDelivery:
+        event.estimated_delivery || purchaseOrder.estimatedDelivery,
+      partialShipments:
+        (purchaseOrder.partialShipments || 0) + (stillOpen ? 1 : 0),
+      backorderedItems: lines.filter(line => line.partStatus === 'backordered')
+        .length,
+      lastContactDate: now,
+    });
+    return updated;
+  }
+
+  // ==========================================
+  // DOCUMENTS
+  // ==========================================
+
+  /**
+   * The vendor-neutral order sent to APIs and rendered as EDI
+   */
+  buildOrder(purchaseOrder, lines, shop) {
+    return {
+      poNumber: purchaseOrder.purchaseOrderNumber,
+      poDate: purchaseOrder.poDate || new Date(),
+      roNumber: purchaseOrder.roNumber,
+      requestedDeliveryDate: purchaseOrder.requestedDeliveryDate,
+      rush: Boolean(purchaseOrder.isRushOrder),
+      notes: purchaseOrder.poNotes || purchaseOrder.specialInstructions || null,
+      shipTo: {
+        name: shop?.businessName || shop?.name,
+        address: purchaseOrder.deliveryAddress || shop?.address,
+        city: shop?.city,
+        state: shop?.state,
+        postalCode: shop?.postalCode,
+        country: shop?.country,
+        phone: shop?.phone,
+      },
+      lines: lines.map((line, index) => ({
+        lineNumber: line.lineNumber || index + 1,
+        partNumber: line.vendorPartNumber || line.oemPartNumber,
+        oemPartNumber: line.oemPartNumber,
+        description: line.partDescription,
+        quantity: line.quantityOrdered,
+        unitPrice: Number(line.netPrice) || 0,
+        unitOfMeasure: line.unitOfMeasure || 'EA',
+      })),
+      totals: {
+        subtotal: Number(purchaseOrder.subtotalAmount) || 0,
+        tax: Number(purchaseOrder.taxAmount) || 0,
+        shipping: Number(purchaseOrder.shippingAmount) || 0,
+        total: Number(purchaseOrder.totalAmount) || 0,
+      },
+    };
+  }
+
+  /**
+   * The PO in a vendor format, for download
+   *
+   * @param {string} format - pdf, x12 or cxml
+   * @returns {Object} { content, fileName, contentType }
+   */
+  async renderDocument(shopId, purchaseOrderId, format = 'pdf') {
+    const { purchaseOrder, vendor, lines, shop } = await this.loadOrder(
+      shopId,
+      purchaseOrderId
+    );
+    const number = purchaseOrder.purchaseOrderNumber;
+
+    if (format === 'pdf') {
+      return {
+        content: await this.renderPurchaseOrderPdf(purchaseOrder, lines, shop),
+        fileName: `${number}.pdf`,
+        contentType: 'application/pdf',
+      };
+    }
+    if (format !== 'x12' && format !== 'cxml') {
+      throw new ValidationError(`Unknown purchase order format: ${format}`);
+    }
+    const order = this.buildOrder(purchaseOrder, lines, shop);
+    const document = this.renderEdi(order, {
+      ...vendor.get({ plain: true }),
+      preferences: {
+        ...vendor.preferences,
+        edi: { ...vendor.preferences?.edi, format },
+      },
+    });
+    return {
+      content: document.content,
+      fileName: `${number}.${format === 'cxml' ? 'xml' : 'edi'}`,
+      contentType: format === 'cxml' ? 'text/xml' : 'application/edi-x12',
+    };
+  }
+
+  renderPurchaseOrderPdf(purchaseOrder, lines, shop) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        margin: 50,
+        size: 'LETTER',
+        info: {
+          Title: `Purchase Order ${purchaseOrder.purchaseOrderNumber}`,
+          Author: shop?.name || 'CollisionOS',
+        },
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).font('Helvetica-Bold').text('Purchase Order', {
+        align: 'center',
+      });
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      if (shop) {
+        doc.text(shop.businessName || shop.name, { align: 'center' });
+        doc.text(
+          [shop.address, shop.city, shop.state, shop.postalCode]
+            .filter(Boolean)
+            .join(', '),
+          { align: 'center' }
+        );
+        if (shop.phone) doc.text(shop.phone, { align: 'center' });
+      }
+      doc.moveDown();
+
+      [
+        ['PO number', purchaseOrder.purchaseOrderNumber],
+        ['PO date', formatDate(purchaseOrder.poDate)],
+        ['Vendor', purchaseOrder.vendorName],
+        ['Repair order', purchaseOrder.roNumber],
+        ['Requested delivery', formatDate(purchaseOrder.requestedDeliveryDate)],
+        ['Rush order', purchaseOrder.isRushOrder ? 'Yes' : null],
+        ['Ship to', purchaseOrder.deliveryAddress],
+      ]
+        .filter(([, value]) => value)
+        .forEach(([label, value]) => {
+          doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+          doc.font('Helvetica').text(`${value}`);
+        });
+      doc.moveDown();
+
+      const columns = [50, 80, 200, 390, 440, 500];
+      const row = (values, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        values.forEach((value, index) => {
+          doc.text(`${value ?? ''}`, columns[index], y, {
+            width: (columns[index + 1] || 562) - columns[index] - 5,
+          });
+        });
+        doc.moveDown(0.3);
+      };
+      row(['#', 'Part number', 'Description', 'Qty', 'Unit', 'Total'], true);
+      lines.forEach((line, index) => {
+        const unitPrice = Number(line.netPrice) || 0;
+        row([
+          line.lineNumber || index + 1,
+          line.vendorPartNumber || line.oemPartNumber,
+          line.partDescription,
+          line.quantityOrdered,
+          formatMoney(unitPrice),
+          formatMoney(unitPrice * line.quantityOrdered),
+        ]);
+      });
+      doc.moveDown();
+
+      doc.x = 50;
+      [
+        ['Subtotal', purchaseOrder.subtotalAmount],
+        ['Tax', purchaseOrder.taxAmount],
+        ['Shipping', purchaseOrder.shippingAmount],
+        ['Total', purchaseOrder.totalAmount],
+      ].forEach(([label, value]) => {
+        doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica');
+        doc.text(`${label}: ${formatMoney(value)}`, { align: 'right' });
+      });
+
+      if (purchaseOrder.poNotes) {
+        doc.moveDown();
+        doc.font('Helvetica-Bold').text('Notes');
+        doc.font('Helvetica').text(purchaseOrder.poNotes);
+      }
+
+      doc.end();
+    });
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  async loadOrder(shopId, purchaseOrderId) {
+    const purchaseOrder = await PurchaseOrderSystem.findOne({
+      where: { id: purchaseOrderId, shopId },
+      include: [{ model: Vendor, as: 'vendor' }],
+    });
+    if (!purchaseOrder) {
+      throw new NotFoundError('Purchase order not found');
+    }
+    if (!purchaseOrder.vendor) {
+      throw new ValidationError('Purchase order has no vendor');
+    }
+
+    const [lines, shop] = await Promise.all([
+      this.findLines(purchaseOrder),
+      Shop.findByPk(shopId),
+    ]);
+    return { purchaseOrder, vendor: purchaseOrder.vendor, lines, shop };
+  }
+
+  findLines(purchaseOrder) {
+    return AdvancedPartsManagement.findAll({
+      where: { shopId: purchaseOrder.shopId, partsOrderId: purchaseOrder.id },
+      order: [['lineNumber', 'ASC']],
+    });
+  }
+
+  /**
+   * Part line for a vendor event line, by line number or part number
+   */
+  matchLine(lines, eventLine) {
+    if (eventLine.line_number) {
+      const byNumber = lines.find(
+        line => line.lineNumber === Number(eventLine.line_number)
+      );
+      if (byNumber) return byNumber;
+    }
+    const partNumber = normalizePartNumber(eventLine.part_number);
+    if (!partNumber) return null;
+    return (
+      lines.find(
+        line =>
+          normalizePartNumber(line.vendorPartNumber) === partNumber ||
+          normalizePartNumber(line.oemPartNumber) === partNumber
+      ) || null
+    );
+  }
+
+  moveLine(line, status, now) {
+    if (line.partStatus === status) return {};
+    return {
+      previousStatus: line.partStatus,
+      partStatus: status,
+      statusChangeDate: now,
+    };
+  }
+
+  /**
+   * A sent PO becomes acknowledged on the vendor's first answer
+   */
+  advanceTo(purchaseOrder, status, now) {
+    if (purchaseOrder.poStatus !== 'sent') return {};
+    return {
+      previousStatus: purchaseOrder.poStatus,
+      poStatus: status,
+      statusChangeDate: now,
+      statusChangeReason: 'Vendor acknowledged',
+    };
+  }
+
+  appendNote(notes, note) {
+    const line = `${formatDate(new Date())}: ${note}`;
+    return notes ? `${notes}\n${line}` : line;
+  }
+}
+
+module.exports = new PurchaseOrderTransmissionService();
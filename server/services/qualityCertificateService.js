@@ -0,0 +1,833 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const {
+  QualityCertificate,
+  RepairOrderManagement,
+  EstimateLineItem,
+  VehicleProfile,
+  Customer,
+  ClaimManagement,
+  InsuranceCompany,
+  Shop,
+  Signature,
+  User,
+  sequelize,
+} = require('../database/models');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errorHandler');
+
+/**
+ * Quality Certificate Service
+ *
+ * Certificates document the checks a repair needs before delivery: final
+ * inspection, ADAS calibration, pre/post repair scans, frame measurements and
+ * wheel alignment. Each is stored against the repair order and signed by the
+ * inspector through a Signature record.
+ *
+ * Which certificates an RO needs comes from its estimate lines and the
+ * vehicle's ADAS profile; the signed set is rendered as a repair certificate
+ * PDF for the customer and insurer at delivery.
+ */
+
+const CERTIFICATE_TYPES = {
+  final_inspection: { label: 'Final Inspection', code: 'FI' },
+  pre_scan: { label: 'Pre-Repair Scan', code: 'PRE' },
+  post_scan: { label: 'Post-Repair Scan', code: 'POST' },
+  adas_calibration: { label: 'ADAS Calibration', code: 'ADAS' },
+  frame_measurement: { label: 'Frame Measurement', code: 'FRM' },
+  wheel_alignment: { label: 'Wheel Alignment', code: 'ALN' },
+};
+
+// QC checklist stages that produce a certificate when they pass
+const STAGE_CERTIFICATES = {
+  final_inspection: 'final_inspection',
+  final_qc: 'final_inspection',
+  adas_calibration: 'adas_calibration',
+  frame_repair: 'frame_measurement',
+};
+
+// OEM position statements call for pre and post repair scans from here on
+const SCAN_MODEL_YEAR = 2010;
+
+// Repair lines that disturb an ADAS sensor, and the system affected
+const ADAS_TRIGGERS = [
+  { pattern: /windshield|windscreen/i, system: 'forward camera' },
+  {
+    pattern: /front bumper|front fascia|grille|emblem|radar/i,
+    system: 'front radar',
+  },
+  {
+    pattern: /rear bumper|rear fascia|quarter panel|liftgate|tailgate/i,
+    system: 'blind spot / rear radar',
+  },
+  { pattern: /mirror/i, system: 'surround view camera' },
+  {
+    pattern: /alignment|suspension|steering|tie rod|control arm|strut|knuckle/i,
+    system: 'steering angle sensor',
+  },
+];
+
+const SCAN_TRIGGERS =
+  /air ?bag|srs|seat ?belt|occupant|module|sensor|wiring|harness/i;
+const FRAME_TRIGGERS =
+  /frame|unibody|rail|apron|pillar|rocker|structural|section/i;
+const ALIGNMENT_TRIGGERS =
+  /alignment|suspension|steering|tie rod|control arm|strut|knuckle|subframe|cradle/i;
+
+const PNG_PREFIX = 'data:image/png;base64,';
+
+const parseList = value => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const lineText = line =>
+  [line.description, line.partDescription].filter(Boolean).join(' ');
+
+const lineLabel = line =>
+  `Line ${line.lineNumber}: ${line.description || line.partDescription}`;
+
+const formatDate = value =>
+  value ? new Date(value).toISOString().split('T')[0] : '';
+
+class QualityCertificateService {
+  getCertificateTypes() {
+    return Object.keys(CERTIFICATE_TYPES);
+  }
+
+  certificateTypeForStage(stage) {
+    return STAGE_CERTIFICATES[stage] || null;
+  }
+
+  // ==========================================
+  // REQUIREMENTS
+  // ==========================================
+
+  /**
+   * Certificates the repair order needs, with the lines or vehicle features
+   * that require each one
+   *
+   * @param {Object} repairOrder - with vehicleProfile
+   * @param {Array} lines - EstimateLineItem rows for the RO's estimate
+   * @returns {Array} [{ certificate_type, description, required_by }]
+   */
+  getRequirements(repairOrder, lines = []) {
+    const vehicle = repairOrder.vehicleProfile || {};
+    const adasFeatures = parseList(vehicle.adasFeatures);
+    const adasEquipped =
+      Boolean(vehicle.hasADASFeatures) ||
+      adasFeatures.length > 0 ||
+      Boolean(vehicle.requiresCalibration);
+    const reasons = Object.fromEntries(
+      Object.keys(CERTIFICATE_TYPES).map(type => [type, []])
+    );
+
+    reasons.final_inspection.push('Required on every repair order');
+
+    lines.forEach(line => {
+      const text = lineText(line);
+
+      if (adasEquipped) {
+        ADAS_TRIGGERS.filter(trigger => trigger.pattern.test(text)).forEach(
+          trigger => {
+            reasons.adas_calibration.push(
+              `${lineLabel(line)} (${trigger.system})`
+            );
+          }
+        );
+      }
+      if (line.category === 'electrical' || SCAN_TRIGGERS.test(text)) {
+        reasons.pre_scan.push(lineLabel(line));
+      }
+      if (
+        line.category === 'frame' ||
+        line.laborType === 'frame' ||
+        FRAME_TRIGGERS.test(text)
+      ) {
+        reasons.frame_measurement.push(lineLabel(line));
+      }
+      if (ALIGNMENT_TRIGGERS.test(text)) {
+        reasons.wheel_alignment.push(lineLabel(line));
+      }
+    });
+
+    if (vehicle.requiresCalibration) {
+      reasons.adas_calibration.push(
+        'Vehicle profile requires calibration after repair'
+      );
+    }
+    if (adasEquipped) {
+      reasons.pre_scan.push(
+        `Vehicle has ADAS${adasFeatures.length > 0 ? ` (${adasFeatures.join(', ')})` : ''}`
+      );
+    }
+    if (parseInt(vehicle.year, 10) >= SCAN_MODEL_YEAR) {
+      reasons.pre_scan.push(`${vehicle.year} model year`);
+    }
+    if (reasons.frame_measurement.length > 0) {
+      reasons.wheel_alignment.push(
+        'Structural repair can move suspension points'
+      );
+    }
+    // Anything worth a pre-scan needs a post-scan to prove it was cleared
+    reasons.post_scan = [...reasons.pre_scan];
+
+    return Object.entries(reasons)
+      .filter(([, requiredBy]) => requiredBy.length > 0)
+      .map(([type, requiredBy]) => ({
+        certificate_type: type,
+        description: `${CERTIFICATE_TYPES[type].label} Certificate`,
+        required_by: requiredBy,
+      }));
+  }
+
+  findMissing(requirements, certificates) {
+    return requirements
+      .filter(
+        requirement =>
+          !certificates.some(
+            certificate =>
+              certificate.certificateType === requirement.certificate_type &&
+              certificate.status === 'valid' &&
+              certificate.result !== 'fail'
+          )
+      )
+      .map(requirement => {
+        const lastAttempt = certificates.find(
+          certificate =>
+            certificate.certificateType === requirement.certificate_type &&
+            certificate.status !== 'void'
+        );
+        return {
+          ...requirement,
+          last_attempt: lastAttempt
+            ? {
+                certificate_number: lastAttempt.certificateNumber,
+                status: lastAttempt.status,
+                result: lastAttempt.result,
+              }
+            : null,
+        };
+      });
+  }
+
+  summarizeCompliance(requirements, certificates, missing) {
+    const satisfied = requirements.length - missing.length;
+    const issued = certificates.filter(c => c.status !== 'void');
+    const missingTypes = missing.map(item => item.certificate_type);
+
+    return {
+      overall_score:
+        requirements.length > 0
+          ? Math.round((satisfied / requirements.length) * 1000) / 10
+          : 100,
+      required_certificates: requirements.length,
+      satisfied_certificates: satisfied,
+      failed_certificates: issued.filter(c => c.status === 'failed').length,
+      draft_certificates: issued.filter(c => c.status === 'draft').length,
+      ready_for_delivery: missing.length === 0,
+      adas_documented: !missingTypes.includes('adas_calibration'),
+      scans_documented:
+        !missingTypes.includes('pre_scan') &&
+        !missingTypes.includes('post_scan'),
+      structural_documented:
+        !missingTypes.includes('frame_measurement') &&
+        !missingTypes.includes('wheel_alignment'),
+      outstanding_issues: missing.map(item =>
+        item.last_attempt?.status === 'failed'
+          ? `${item.description} failed (${item.last_attempt.certificate_number}) and must be redone`
+          : `${item.description} not issued`
+      ),
+    };
+  }
+
+  // ==========================================
+  // LOOKUP
+  // ==========================================
+
+  async loadRepairOrder(shopId, repairOrderId) {
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+      include: [
+        { model: VehicleProfile, as: 'vehicleProfile', required: false },
+        { model: Customer, as: 'customer', required: false },
+        {
+          model: ClaimManagement,
+          as: 'claimManagement',
+          required: false,
+          include: [
+            {
+              model: InsuranceCompany,
+              as: 'insuranceCompany',
+              required: false,
+            },
+          ],
+        },
+      ],
+    });
+    if (!repairOrder) {
+      throw new NotFoundError('Repair order not found');
+    }
+    return repairOrder;
+  }
+
+  async loadRepairLines(repairOrder) {
+    if (!repairOrder.estimateId) return [];
+    return EstimateLineItem.findAll({
+      where: {
+        estimateId: repairOrder.estimateId,
+        status: { [Op.ne]: 'rejected' },
+      },
+      order: [['lineNumber', 'ASC']],
+    });
+  }
+
+  async listCertificates(shopId, repairOrderId, options = {}) {
+    const {
+      certificateType,
+      includeDrafts = false,
+      includeVoid = false,
+    } = options;
+    const where = { shopId, repairOrderId };
+    if (certificateType) where.certificateType = certificateType;
+
+    const excluded = [
+      ...(includeDrafts ? [] : ['draft']),
+      ...(includeVoid ? [] : ['void']),
+    ];
+    if (excluded.length > 0) where.status = { [Op.notIn]: excluded };
+
+    return QualityCertificate.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'inspector',
+          attributes: ['id', 'firstName', 'lastName'],
+          required: false,
+        },
+        { model: Signature, as: 'signature', required: false },
+      ],
+      order: [['performedAt', 'DESC']],
+    });
+  }
+
+  /**
+   * Certificates on file, what is still missing and a compliance summary
+   */
+  async getCertificateStatus(shopId, repairOrderId, options = {}) {
+    const repairOrder = await this.loadRepairOrder(shopId, repairOrderId);
+    const [lines, certificates] = await Promise.all([
+      this.loadRepairLines(repairOrder),
+      this.listCertificates(shopId, repairOrder.id, options),
+    ]);
+
+    // Missing is judged on every non-void certificate, whatever was asked for
+    const onFile =
+      options.certificateType || !options.includeDrafts
+        ? await this.listCertificates(shopId, repairOrder.id, {
+            includeDrafts: true,
+          })
+        : certificates;
+
+    const requirements = this.getRequirements(repairOrder, lines);
+    const missing = this.findMissing(requirements, onFile);
+
+    return {
+      repairOrder,
+      certificates,
+      requirements,
+      missing,
+      compliance: this.summarizeCompliance(requirements, onFile, missing),
+    };
+  }
+
+  // ==========================================
+  // ISSUING
+  // ==========================================
+
+  /**
+   * Record a certificate for a repair order. Certificates other than drafts
+   * must carry the inspector's signature, either new signature data or an
+   * existing Signature id.
+   *
+   * @param {Object} data - certificate_type, result, performed_at,
+   *   inspector_id, equipment, measurements, findings, attachment_ids,
+   *   draft, signature_id, signature: { signature_data, signed_by }
+   * @param {Object} context - userId, ipAddress, userAgent
+   */
+  async issueCertificate(shopId, repairOrderId, data, context = {}) {
+    const type = data.certificate_type;
+    if (!CERTIFICATE_TYPES[type]) {
+      throw new ValidationError(`Unknown certificate type: ${type}`);
+    }
+    if (!data.draft && !['pass', 'fail', 'conditional'].includes(data.result)) {
+      throw new ValidationError('result must be pass, fail or conditional');
+    }
+    if (!data.draft) this.assertSignatureProvided(data);
+
+    const repairOrder = await this.loadRepairOrder(shopId, repairOrderId);
+    const inspector = await this.findInspector(
+      shopId,
+      data.inspector_id || context.userId
+    );
+
+    const lines = await this.loadRepairLines(repairOrder);
+    const requirement = this.getRequirements(repairOrder, lines).find(
+      item => item.certificate_type === type
+    );
+
+    let status = 'draft';
+    if (!data.draft) status = data.result === 'fail' ? 'failed' : 'valid';
+
+    // Check an existing signature before anything is saved
+    const signature =
+      status === 'draft'
+        ? null
+        : await this.findInspectorSignature(shopId, inspector, data);
+    const certificateNumber = await this.nextCertificateNumber(
+      repairOrder,
+      type
+    );
+
+    return sequelize.transaction(async transaction => {
+      const certificate = await QualityCertificate.create(
+        {
+          shopId,
+          repairOrderId: repairOrder.id,
+          certificateNumber,
+          certificateType: type,
+          status,
+          result: data.result || null,
+          performedAt: data.performed_at
+            ? new Date(data.performed_at)
+            : new Date(),
+          inspectorId: inspector.id,
+          equipment: data.equipment || null,
+          measurements: data.measurements || {},
+          requiredBy: requirement ? requirement.required_by : [],
+          attachmentIds: data.attachment_ids || [],
+          findings: data.findings || null,
+          createdBy: context.userId,
+          updatedBy: context.userId,
+        },
+        { transaction }
+      );
+
+      if (status !== 'draft') {
+        await this.attachSignature(certificate, inspector, data, context, {
+          signature,
+          transaction,
+        });
+      }
+
+      return certificate;
+    });
+  }
+
+  /**
+   * Sign a draft and record its result
+   */
+  async finalizeCertificate(shopId, certificateId, data, context = {}) {
+    const certificate = await this.findCertificate(shopId, certificateId);
+    if (certificate.status !== 'draft') {
+      throw new ConflictError(
+        `Certificate ${certificate.certificateNumber} is already ${certificate.status}`
+      );
+    }
+    if (!['pass', 'fail', 'conditional'].includes(data.result)) {
+      throw new ValidationError('result must be pass, fail or conditional');
+    }
+    this.assertSignatureProvided(data);
+
+    const inspector = await this.findInspector(
+      shopId,
+      data.inspector_id || certificate.inspectorId || context.userId
+    );
+
+    const signature = await this.findInspectorSignature(
+      shopId,
+      inspector,
+      data
+    );
+
+    return sequelize.transaction(async transaction => {
+      await certificate.update(
+        {
+          status: data.result === 'fail' ? 'failed' : 'valid',
+          result: data.result,
+          inspectorId: inspector.id,
+          findings: data.findings ?? certificate.findings,
+          measurements: data.measurements || certificate.measurements,
+          updatedBy: context.userId,
+        },
+        { transaction }
+      );
+      await this.attachSignature(certificate, inspector, data, context, {
+        signature,
+        transaction,
+      });
+
+      return certificate;
+    });
+  }
+
+  async voidCertificate(shopId, certificateId, reason, context = {}) {
+    if (!reason) {
+      throw new ValidationError('A reason is required to void a certificate');
+    }
+    const certificate = await this.findCertificate(shopId, certificateId);
+    if (certificate.status === 'void') {
+      throw new ConflictError(
+        `Certificate ${certificate.certificateNumber} is already void`
+      );
+    }
+
+    return certificate.update({
+      status: 'void',
+      voidedAt: new Date(),
+      voidReason: reason,
+      updatedBy: context.userId,
+    });
+  }
+
+  async findCertificate(shopId, certificateId) {
+    const certificate = await QualityCertificate.findOne({
+      where: { id: certificateId, shopId },
+    });
+    if (!certificate) {
+      throw new NotFoundError('Certificate not found');
+    }
+    return certificate;
+  }
+
+  async findInspector(shopId, inspectorId) {
+    const inspector = inspectorId
+      ? await User.findOne({ where: { id: inspectorId, shopId } })
+      : null;
+    if (!inspector) {
+      throw new ValidationError('Inspector not found in this shop');
+    }
+    return inspector;
+  }
+
+  async nextCertificateNumber(repairOrder, type) {
+    const count = await QualityCertificate.count({
+      where: { repairOrderId: repairOrder.id, certificateType: type },
+    });
+    const sequence = `${count + 1}`.padStart(2, '0');
+    return `QC-${repairOrder.repairOrderNumber || repairOrder.id}-${CERTIFICATE_TYPES[type].code}-${sequence}`;
+  }
+
+  assertSignatureProvided(data) {
+    if (!data.signature_id && !data.signature?.signature_data) {
+      throw new ValidationError(
+        'An inspector signature is required to issue a certificate'
+      );
+    }
+    if (
+      !data.signature_id &&
+      !`${data.signature.signature_data}`.startsWith(PNG_PREFIX)
+    ) {
+      throw new ValidationError(
+        'Signature data must be a base64-encoded PNG image'
+      );
+    }
+  }
+
+  /**
+   * An existing Signature named by signature_id; it must be one the
+   * inspector made in this shop
+   */
+  async findInspectorSignature(shopId, inspector, data) {
+    if (!data.signature_id) return null;
+
+    const signature = await Signature.findOne({
+      where: { id: data.signature_id, shopId },
+    });
+    if (!signature) {
+      throw new ValidationError('Signature not found');
+    }
+    if (signature.userId !== inspector.id) {
+      throw new ValidationError('Signature was not made by the inspector');
+    }
+    return signature;
+  }
+
+  /**
+   * Link the inspector's Signature: the one found by findInspectorSignature,
+   * or a new one captured with the certificate
+   */
+  async attachSignature(
+    certificate,
+    inspector,
+    data,
+    context,
+    { signature = null, transaction } = {}
+  ) {
+    if (!signature) {
+      const signatureData = data.signature.signature_data;
+      signature = await Signature.create(
+        {
+          documentType: 'inspection_report',
+          documentId: certificate.id,
+          signatureFieldName: 'Inspector Signature',
+          signatureData,
+          signedBy:
+            data.signature.signed_by ||
+            `${inspector.firstName} ${inspector.lastName}`.trim(),
+          signerRole: 'inspector',
+          signerEmail: inspector.email || null,
+          shopId: certificate.shopId,
+          userId: inspector.id,
+          signatureNotes: `${CERTIFICATE_TYPES[certificate.certificateType].label} ${certificate.certificateNumber}`,
+          verificationHash: crypto
+            .createHash('sha256')
+            .update(signatureData)
+            .digest('hex'),
+          isVerified: true,
+          ipAddress: context.ipAddress,
+          userAgent: context.userAgent,
+          signedAt: new Date(),
+        },
+        { transaction }
+      );
+    }
+
+    await certificate.update({ signatureId: signature.id }, { transaction });
+    certificate.signature = signature;
+    return signature;
+  }
+
+  // ==========================================
+  // REPAIR CERTIFICATE PDF
+  // ==========================================
+
+  /**
+   * Render the repair certificate handed over at delivery. Refuses while
+   * certificates are missing unless allowIncomplete is set, in which case
+   * the document is marked incomplete.
+   *
+   * @returns {Object} { buffer, fileName, complete }
+   */
+  async renderRepairCertificate(shopId, repairOrderId, options = {}) {
+    const status = await this.getCertificateStatus(shopId, repairOrderId);
+    const complete = status.missing.length === 0;
+    if (!complete && !options.allowIncomplete) {
+      throw new ConflictError(
+        `Missing certificates: ${status.missing
+          .map(item => item.description)
+          .join(', ')}`
+      );
+    }
+
+    const shop = await Shop.findByPk(shopId);
+    const buffer = await this.buildPdf({ ...status, shop, complete });
+    return {
+      buffer,
+      fileName: `repair-certificate-${status.repairOrder.repairOrderNumber || status.repairOrder.id}.pdf`,
+      complete,
+    };
+  }
+
+  buildPdf({
+    repairOrder,
+    certificates,
+    requirements,
+    missing,
+    shop,
+    complete,
+  }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        margin: 50,
+        size: 'LETTER',
+        info: {
+          Title:
+            `Repair Certificate ${repairOrder.repairOrderNumber || ''}`.trim(),
+          Author: shop?.name || 'CollisionOS',
+        },
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const vehicle = repairOrder.vehicleProfile || {};
+      const customer = repairOrder.customer || {};
+      const claim = repairOrder.claimManagement || {};
+      const valid = certificates.filter(c => c.status === 'valid');
+
+      // Header
+      doc.fontSize(18).font('Helvetica-Bold').text('Certificate of Repair', {
+        align: 'center',
+      });
+      if (!complete) {
+        doc
+          .fontSize(12)
+          .fillColor('red')
+          .text('INCOMPLETE - certificates outstanding', { align: 'center' })
+          .fillColor('black');
+      }
+      doc.moveDown(0.5);
+      doc.fontSize(10).font('Helvetica');
+      if (shop) {
+        doc.text(shop.businessName || shop.name, { align: 'center' });
+        doc.text(
+          [shop.address, shop.city, shop.state, shop.postalCode]
+            .filter(Boolean)
+            .join(', '),
+          { align: 'center' }
+        );
+        if (shop.phone) doc.text(shop.phone, { align: 'center' });
+      }
+      doc.moveDown();
+
+      // Repair order, vehicle, customer and claim
+      const details = [
+        ['Repair order', repairOrder.repairOrderNumber],
+        [
+          'Vehicle',
+          [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' '),
+        ],
+        ['VIN', vehicle.vin],
+        [
+          'Customer',
+          [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+        ],
+        ['Insurer', claim.insuranceCompany?.name],
+        ['Claim number', claim.claimNumber],
+        ['Issued', formatDate(new Date())],
+      ].filter(([, value]) => value);
+      details.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(`${value}`);
+      });
+      doc.moveDown();
+
+      doc.text(
+        `The repairs on repair order ${repairOrder.repairOrderNumber || repairOrder.id} were inspected and verified as recorded below.`
+      );
+      doc.moveDown();
+
+      // Certificates, one row per requirement plus anything else on file
+      const columns = [
+        { label: 'Check', width: 120 },
+        { label: 'Certificate', width: 130 },
+        { label: 'Date', width: 70 },
+        { label: 'Result', width: 60 },
+        { label: 'Inspector', width: 132 },
+      ];
+      const rows = [
+        ...requirements.map(requirement => ({
+          type: requirement.certificate_type,
+          certificate: valid.find(
+            c => c.certificateType === requirement.certificate_type
+          ),
+        })),
+        ...valid
+          .filter(
+            c =>
+              !requirements.some(r => r.certificate_type === c.certificateType)
+          )
+          .map(c => ({ type: c.certificateType, certificate: c })),
+      ];
+
+      const drawRow = (values, bold) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        values.forEach((value, index) => {
+          doc.text(`${value ?? ''}`, x, y, {
+            width: columns[index].width - 6,
+          });
+          x += columns[index].width;
+        });
+        doc.x = doc.page.margins.left;
+        doc.moveDown(0.4);
+      };
+
+      drawRow(
+        columns.map(column => column.label),
+        true
+      );
+      rows.forEach(({ type, certificate }) => {
+        drawRow([
+          CERTIFICATE_TYPES[type].label,
+          certificate ? certificate.certificateNumber : 'NOT ISSUED',
+          certificate ? formatDate(certificate.performedAt) : '',
+          certificate ? certificate.result : '',
+          certificate?.inspector
+            ? `${certificate.inspector.firstName} ${certificate.inspector.lastName}`
+            : '',
+        ]);
+      });
+      doc.moveDown();
+
+      const findings = valid.filter(c => c.findings || c.equipment);
+      if (findings.length > 0) {
+        doc.fontSize(11).font('Helvetica-Bold').text('Notes');
+        doc.fontSize(9).font('Helvetica');
+        findings.forEach(c => {
+          doc.text(
+            `${c.certificateNumber}: ${[c.equipment && `Equipment: ${c.equipment}`, c.findings].filter(Boolean).join('. ')}`
+          );
+        });
+        doc.moveDown();
+      }
+
+      if (missing.length > 0) {
+        doc.fontSize(11).font('Helvetica-Bold').text('Outstanding');
+        doc.fontSize(9).font('Helvetica');
+        missing.forEach(item => {
+          doc.text(`${item.description}: ${item.required_by.join('; ')}`);
+        });
+        doc.moveDown();
+      }
+
+      // One signature block per inspector signature
+      const signatures = new Map();
+      valid.forEach(c => {
+        if (c.signature && !signatures.has(c.signature.id)) {
+          signatures.set(c.signature.id, c.signature);
+        }
+      });
+      if (signatures.size > 0) {
+        doc.fontSize(11).font('Helvetica-Bold').text('Inspector signatures');
+        doc.moveDown(0.5);
+        signatures.forEach(signature => {
+          const image = `${signature.signatureData || ''}`.replace(
+            PNG_PREFIX,
+            ''
+          );
+          if (image) {
+            try {
+              doc.image(Buffer.from(image, 'base64'), { fit: [180, 60] });
+            } catch (error) {
+              // An unreadable image still leaves the signer's name and date
+            }
+          }
+          doc
+            .fontSize(9)
+            .font('Helvetica')
+            .text(`${signature.signedBy}, ${formatDate(signature.signedAt)}`);
+          doc.moveDown();
+        });
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new QualityCertificateService();
@@ -0,0 +1,254 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Report Export Service
+ * Renders a generated report (title, columns, data rows, summary) as CSV,
+ * XLSX or PDF for the /api/reports `format` parameter.
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+const EXCEL_NUMBER_FORMATS = {
+  currency: '"$"#,##0.00',
+  number: '#,##0.##',
+  percent: '0.0"%"',
+};
+
+class ReportExportService {
+  isSupported(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  /**
+   * Render a report in the requested format
+   * @param {Object} report - Output of reportService.generateReport
+   * @param {string} format - csv | xlsx | pdf
+   * @returns {Promise<Object>} { body, contentType, fileName }
+   */
+  async exportReport(report, format) {
+    if (!this.isSupported(format)) {
+      throw new Error(`Unsupported report format: ${format}`);
+    }
+
+    let body;
+    if (format === 'csv') body = this.toCSV(report);
+    if (format === 'xlsx') body = await this.toXLSX(report);
+    if (format === 'pdf') body = await this.toPDF(report);
+
+    return {
+      body,
+      contentType: FORMATS[format].contentType,
+      fileName: `${this.getFileStem(report)}.${FORMATS[format].extension}`,
+    };
+  }
+
+  /**
+   * CSV with the data rows followed by a summary block
+   */
+  toCSV(report) {
+    const columns = this.getColumns(report);
+    const lines = [
+      columns.map(column => this.escapeCSV(column.label)).join(','),
+      ...report.data.map(row =>
+        columns.map(column => this.escapeCSV(this.getRawValue(row[column.key]))).join(',')
+      ),
+    ];
+
+    const summary = this.getSummaryEntries(report);
+    if (summary.length) {
+      lines.push('', 'Summary,');
+      summary.forEach(([label, value]) => {
+        lines.push(`${this.escapeCSV(label)},${this.escapeCSV(value)}`);
+      });
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Workbook with a data sheet and a summary sheet
+   */
+  async toXLSX(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'CollisionOS';
+    workbook.created = new Date();
+
+    const columns = this.getColumns(report);
+    const sheet = workbook.addWorksheet('Report');
+    sheet.columns = columns.map(column => ({
+      header: column.label,
+      key: column.key,
+      width: Math.max(12, column.label.length + 4),
+      style: EXCEL_NUMBER_FORMATS[column.type]
+        ? { numFmt: EXCEL_NUMBER_FORMATS[column.type] }
+        : {},
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    report.data.forEach(row => {
+      const values = {};
+      columns.forEach(column => {
+        values[column.key] = this.getRawValue(row[column.key]);
+      });
+      sheet.addRow(values);
+    });
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'Metric', key: 'metric', width: 30 },
+      { header: 'Value', key: 'value', width: 24 },
+    ];
+    summarySheet.getRow(1).font = { bold: true };
+    summarySheet.addRow({ metric: 'Report', value: report.title });
+    if (report.range) {
+      summarySheet.addRow({ metric: 'Start Date', value: report.range.startDate.slice(0, 10) });
+      summarySheet.addRow({ metric: 'End Date', value: report.range.endDate.slice(0, 10) });
+    }
+    this.getSummaryEntries(report).forEach(([metric, value]) => {
+      summarySheet.addRow({ metric, value });
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Landscape PDF with summary and a paginated data table
+   */
+  toPDF(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 40, size: 'LETTER', layout: 'landscape' });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Header
+      doc.fontSize(18).font('Helvetica-Bold').text(report.title, { align: 'left' });
+      doc.fontSize(10).font('Helvetica');
+      if (report.range) {
+        doc.text(
+          `Period: ${report.range.startDate.slice(0, 10)} to ${report.range.endDate.slice(0, 10)}`
+        );
+      }
+      doc.text(`Generated: ${new Date().toLocaleString()}`);
+      doc.moveDown();
+
+      // Summary
+      const summary = this.getSummaryEntries(report);
+      if (summary.length) {
+        doc.fontSize(12).font('Helvetica-Bold').text('Summary');
+        doc.fontSize(10).font('Helvetica');
+        summary.forEach(([label, value]) => doc.text(`${label}: ${value}`));
+        doc.moveDown();
+      }
+
+      // Data table
+      const columns = this.getColumns(report);
+      const left = doc.page.margins.left;
+      const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const columnWidth = tableWidth / Math.max(columns.length, 1);
+
+      const drawRow = (cells, bold = false) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        cells.forEach((cell, index) => {
+          doc.text(cell, left + index * columnWidth, y, {
+            width: columnWidth - 4,
+            align: index === 0 ? 'left' : 'right',
+            lineBreak: false,
+            ellipsis: true,
+          });
+        });
+        doc.x = left;
+        doc.y = y + 14;
+      };
+
+      drawRow(columns.map(column => column.label), true);
+      doc.moveTo(left, doc.y - 2).lineTo(left + tableWidth, doc.y - 2).stroke();
+
+      if (report.data.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No data for the selected filters.', left, doc.y + 4);
+      }
+      report.data.forEach(row => {
+        drawRow(columns.map(column => this.formatValue(row[column.key], column.type)));
+      });
+
+      doc.end();
+    });
+  }
+
+  // ==============================================================
+  // HELPER METHODS
+  // ==============================================================
+
+  /**
+   * Columns from the report definition, or inferred from the first row
+   */
+  getColumns(report) {
+    if (report.columns && report.columns.length) return report.columns;
+    const first = report.data[0] || {};
+    return Object.keys(first).map(key => ({ key, label: this.labelize(key) }));
+  }
+
+  getSummaryEntries(report) {
+    return Object.entries(report.summary || {}).map(([key, value]) => [
+      this.labelize(key),
+      Array.isArray(value) ? value.join('; ') : value === null || value === undefined ? '' : value,
+    ]);
+  }
+
+  getRawValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join('; ');
+    return value;
+  }
+
+  formatValue(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    switch (type) {
+      case 'currency':
+        return `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2,
+        })}`;
+      case 'percent':
+        return `${value}%`;
+      case 'number':
+        return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+      default:
+        return `${value}`;
+    }
+  }
+
+  escapeCSV(value) {
+    const text = `${value === null || value === undefined ? '' : value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  labelize(key) {
+    return key
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/[_-]/g, ' ')
+      .replace(/^./, char => char.toUpperCase());
+  }
+
+  getFileStem(report) {
+    const slug = (report.title || 'report').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const date = (report.range?.endDate || new Date().toISOString()).slice(0, 10);
+    return `${slug}-${date}`;
+  }
+}
+
+module.exports = new ReportExportService();
@@ -0,0 +1,934 @@
+const { Op } = require('sequelize');
+const {
+  Job,
+  User,
+  InvoiceEnhanced,
+  InsuranceCompany,
+  Payment,
+  JobStageHistory,
+  LaborTimeEntry,
+  ProductionStage,
+  RepairOrderManagement,
+} = require('../database/models');
+
+/**
+ * Report Service for CollisionOS
+ * Builds the /api/reports report types from Jobs, InvoiceEnhanced, Payment,
+ * JobStageHistory and LaborTimeEntry. Rows are fetched with Sequelize and
+ * aggregated in JS so the same code runs on SQLite and PostgreSQL.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Invoices that never turned into revenue
+const NON_REVENUE_INVOICE_STATUSES = ['draft', 'cancelled', 'void'];
+
+// Column definitions drive CSV/XLSX/PDF export of each report's data rows
+const REPORT_COLUMNS = {
+  revenue: [
+    { key: 'period', label: 'Period' },
+    { key: 'revenue', label: 'Revenue', type: 'currency' },
+    { key: 'labor', label: 'Labor', type: 'currency' },
+    { key: 'parts', label: 'Parts', type: 'currency' },
+    { key: 'sublet', label: 'Sublet', type: 'currency' },
+    { key: 'collected', label: 'Collected', type: 'currency' },
+    { key: 'invoices', label: 'Invoices', type: 'number' },
+    { key: 'jobs', label: 'Jobs Delivered', type: 'number' },
+    { key: 'avgTicket', label: 'Avg Ticket', type: 'currency' },
+  ],
+  'cycle-time': [
+    { key: 'stage', label: 'Stage' },
+    { key: 'transitions', label: 'Jobs', type: 'number' },
+    { key: 'avgDays', label: 'Avg Days', type: 'number' },
+    { key: 'minDays', label: 'Min Days', type: 'number' },
+    { key: 'maxDays', label: 'Max Days', type: 'number' },
+    { key: 'target', label: 'Target Days', type: 'number' },
+    { key: 'avgWaitHours', label: 'Avg Wait (hrs)', type: 'number' },
+  ],
+  financial: [
+    { key: 'section', label: 'Section' },
+    { key: 'item', label: 'Item' },
+    { key: 'amount', label: 'Amount', type: 'currency' },
+  ],
+  insurance: [
+    { key: 'name', label: 'Insurer' },
+    { key: 'jobs', label: 'Claims', type: 'number' },
+    { key: 'revenue', label: 'Billed', type: 'currency' },
+    { key: 'avgClaim', label: 'Avg Claim', type: 'currency' },
+    { key: 'paid', label: 'Paid', type: 'currency' },
+    { key: 'outstanding', label: 'Outstanding', type: 'currency' },
+    { key: 'avgDaysToPay', label: 'Avg Days to Pay', type: 'number' },
+    { key: 'status', label: 'Status' },
+  ],
+  'technician-performance': [
+    { key: 'name', label: 'Technician' },
+    { key: 'jobsWorked', label: 'Jobs Worked', type: 'number' },
+    { key: 'jobsCompleted', label: 'Jobs Completed', type: 'number' },
+    { key: 'hoursWorked', label: 'Hours Worked', type: 'number' },
+    { key: 'billableHours', label: 'Billable Hours', type: 'number' },
+    { key: 'efficiency', label: 'Efficiency %', type: 'percent' },
+    { key: 'avgCycleTime', label: 'Avg Cycle (days)', type: 'number' },
+    { key: 'revenue', label: 'Labor Sales', type: 'currency' },
+    { key: 'comebacks', label: 'Comebacks', type: 'number' },
+  ],
+  'customer-satisfaction': [
+    { key: 'period', label: 'Period' },
+    { key: 'rating', label: 'Avg Rating', type: 'number' },
+    { key: 'responses', label: 'Responses', type: 'number' },
+    { key: 'deliveries', label: 'Deliveries', type: 'number' },
+    { key: 'responseRate', label: 'Response Rate %', type: 'percent' },
+  ],
+};
+
+const REPORT_TITLES = {
+  revenue: 'Revenue Report',
+  'cycle-time': 'Cycle Time Analysis',
+  financial: 'Financial Performance',
+  insurance: 'Insurance Company Report',
+  'technician-performance': 'Technician Performance',
+  'customer-satisfaction': 'Customer Satisfaction',
+};
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round((parseFloat(value) || 0) * factor) / factor;
+};
+
+const sum = (rows, field) =>
+  rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0);
+
+const average = values =>
+  values.length ? values.reduce((total, v) => total + v, 0) / values.length : 0;
+
+class ReportService {
+  constructor() {
+    this.columns = REPORT_COLUMNS;
+    this.titles = REPORT_TITLES;
+  }
+
+  /**
+   * Generate a report for the parsed /api/reports filters
+   * @param {Object} filters - Output of parseReportFilters
+   * @param {string} shopId - Shop ID
+   * @returns {Promise<Object>} { title, range, data, summary, columns, ... }
+   */
+  async generateReport(filters, shopId) {
+    const range = this.getDateRange(filters);
+    const context = { ...filters, shopId, range };
+
+    let report;
+    switch (filters.type) {
+      case 'revenue':
+        report = await this.getRevenueReport(context);
+        break;
+      case 'cycle-time':
+        report = await this.getCycleTimeReport(context);
+        break;
+      case 'financial':
+        report = await this.getFinancialReport(context);
+        break;
+      case 'insurance':
+        report = await this.getInsuranceReport(context);
+        break;
+      case 'technician-performance':
+        report = await this.getTechnicianReport(context);
+        break;
+      case 'customer-satisfaction':
+        report = await this.getSatisfactionReport(context);
+        break;
+      default:
+        report = { data: [], summary: {} };
+    }
+
+    return {
+      title: REPORT_TITLES[filters.type] || 'Report',
+      range: {
+        startDate: range.start.toISOString(),
+        endDate: range.end.toISOString(),
+      },
+      columns: REPORT_COLUMNS[filters.type] || [],
+      ...report,
+    };
+  }
+
+  // ==============================================================
+  // REPORT TYPES
+  // ==============================================================
+
+  /**
+   * Revenue by period from invoices, with collections and delivered jobs
+   */
+  async getRevenueReport(context) {
+    const { range, period } = context;
+    const [invoices, payments, jobs, previousInvoices] = await Promise.all([
+      this.findInvoices(context),
+      this.findPayments(context),
+      this.findDeliveredJobs(context),
+      this.findInvoices({ ...context, range: this.getPreviousRange(range) }),
+    ]);
+
+    const buckets = this.createBuckets(range, period, () => ({
+      revenue: 0,
+      labor: 0,
+      parts: 0,
+      sublet: 0,
+      collected: 0,
+      invoices: 0,
+      jobs: 0,
+    }));
+
+    invoices.forEach(invoice => {
+      const bucket = buckets.get(this.getPeriodKey(invoice.invoiceDate, period).key);
+      if (!bucket) return;
+      const sign = this.invoiceSign(invoice);
+      bucket.revenue += sign * (parseFloat(invoice.totalAmount) || 0);
+      bucket.labor += sign * (parseFloat(invoice.laborTotal) || 0);
+      bucket.parts += sign * (parseFloat(invoice.partsTotal) || 0);
+      bucket.sublet += sign * (parseFloat(invoice.subletTotal) || 0);
+      if (sign > 0) bucket.invoices += 1;
+    });
+
+    payments.forEach(payment => {
+      const bucket = buckets.get(this.getPeriodKey(payment.paymentDate, period).key);
+      if (bucket) bucket.collected += parseFloat(payment.amount) || 0;
+    });
+
+    jobs.forEach(job => {
+      const bucket = buckets.get(this.getPeriodKey(this.getDeliveryDate(job), period).key);
+      if (bucket) bucket.jobs += 1;
+    });
+
+    const data = Array.from(buckets.values()).map(bucket => ({
+      period: bucket.label,
+      revenue: round(bucket.revenue),
+      labor: round(bucket.labor),
+      parts: round(bucket.parts),
+      sublet: round(bucket.sublet),
+      collected: round(bucket.collected),
+      invoices: bucket.invoices,
+      jobs: bucket.jobs,
+      avgTicket: bucket.invoices ? round(bucket.revenue / bucket.invoices) : 0,
+    }));
+
+    const totalRevenue = sum(data, 'revenue');
+    const previousRevenue = previousInvoices.reduce(
+      (total, invoice) => total + this.invoiceSign(invoice) * (parseFloat(invoice.totalAmount) || 0),
+      0
+    );
+
+    return {
+      data,
+      summary: {
+        totalRevenue: round(totalRevenue),
+        totalCollected: round(sum(data, 'collected')),
+        totalInvoices: sum(data, 'invoices'),
+        totalJobs: sum(data, 'jobs'),
+        avgPeriodRevenue: data.length ? round(totalRevenue / data.length) : 0,
+        previousPeriodRevenue: round(previousRevenue),
+        growth: this.formatGrowth(totalRevenue, previousRevenue),
+      },
+    };
+  }
+
+  /**
+   * Average time jobs spend in each production stage
+   */
+  async getCycleTimeReport(context) {
+    const { shopId } = context;
+    const [history, stages, jobs] = await Promise.all([
+      this.findStageHistory(context),
+      ProductionStage.findAll({
+        where: { shopId },
+        attributes: ['stageCode', 'stageName', 'stageOrder', 'estimatedDuration'],
+        raw: true,
+      }),
+      this.findDeliveredJobs(context),
+    ]);
+
+    const stageInfo = new Map(stages.map(stage => [stage.stageCode, stage]));
+    const byStage = new Map();
+
+    history.forEach(entry => {
+      if (!byStage.has(entry.toStage)) {
+        byStage.set(entry.toStage, { durations: [], waits: [] });
+      }
+      const stats = byStage.get(entry.toStage);
+      stats.durations.push((parseFloat(entry.stageDuration) || 0) / (60 * 24));
+      stats.waits.push((parseFloat(entry.waitTime) || 0) / 60);
+    });
+
+    const data = Array.from(byStage.entries())
+      .map(([code, stats]) => {
+        const info = stageInfo.get(code);
+        return {
+          stage: info ? info.stageName : this.humanize(code),
+          stageCode: code,
+          order: info ? info.stageOrder : Number.MAX_SAFE_INTEGER,
+          transitions: stats.durations.length,
+          avgDays: round(average(stats.durations)),
+          minDays: round(Math.min(...stats.durations)),
+          maxDays: round(Math.max(...stats.durations)),
+          target: info && info.estimatedDuration ? round(info.estimatedDuration / (60 * 24)) : null,
+          avgWaitHours: round(average(stats.waits)),
+        };
+      })
+      .sort((a, b) => a.order - b.order || a.stage.localeCompare(b.stage))
+      .map(({ order, ...row }) => row);
+
+    const jobCycleTimes = jobs
+      .map(job => this.getJobCycleDays(job))
+      .filter(days => days !== null);
+    const stagesWithTargets = data.filter(row => row.target);
+    const actualWithTargets = sum(stagesWithTargets, 'avgDays');
+
+    return {
+      data,
+      summary: {
+        jobsDelivered: jobs.length,
+        avgCycleTime: round(average(jobCycleTimes)),
+        totalAvgStageTime: round(sum(data, 'avgDays')),
+        totalTargetTime: round(sum(stagesWithTargets, 'target')),
+        efficiency: actualWithTargets
+          ? Math.round((sum(stagesWithTargets, 'target') / actualWithTargets) * 100)
+          : null,
+        bottlenecks: data
+          .filter(row => row.target && row.avgDays > row.target * 1.2)
+          .map(row => row.stage),
+      },
+    };
+  }
+
+  /**
+   * Revenue, costs, margin and collections for the period
+   */
+  async getFinancialReport(context) {
+    const { range } = context;
+    const [invoices, payments, laborEntries, history, jobs, previousInvoices] = await Promise.all([
+      this.findInvoices(context),
+      this.findPayments(context),
+      this.findLaborEntries(context),
+      this.findStageHistory(context),
+      this.findDeliveredJobs(context),
+      this.findInvoices({ ...context, range: this.getPreviousRange(range) }),
+    ]);
+
+    const signed = field =>
+      invoices.reduce(
+        (total, invoice) => total + this.invoiceSign(invoice) * (parseFloat(invoice[field]) || 0),
+        0
+      );
+
+    const revenue = {
+      total: signed('totalAmount'),
+      labor: signed('laborTotal'),
+      parts: signed('partsTotal'),
+      sublet: signed('subletTotal'),
+      tax: signed('taxAmount'),
+      discounts: sum(invoices, 'discountAmount'),
+    };
+    const netSales = revenue.total - revenue.tax;
+
+    const costs = {
+      laborCosts: sum(laborEntries, 'laborCost'),
+      materialCosts: sum(history, 'materialCost'),
+      overhead: sum(history, 'overheadCost'),
+    };
+    costs.total = costs.laborCosts + costs.materialCosts + costs.overhead;
+
+    const grossProfit = netSales - costs.total;
+    const collected = sum(payments, 'amount');
+    const outstanding = invoices
+      .filter(invoice => this.invoiceSign(invoice) > 0)
+      .reduce((total, invoice) => total + (parseFloat(invoice.balanceDue) || 0), 0);
+
+    const paymentsByMethod = {};
+    payments.forEach(payment => {
+      const method = payment.paymentType || 'other';
+      paymentsByMethod[method] = round((paymentsByMethod[method] || 0) + (parseFloat(payment.amount) || 0));
+    });
+
+    const technicianCount = new Set(laborEntries.map(entry => entry.technicianId)).size;
+    const hoursWorked = sum(laborEntries, 'hoursWorked');
+    const billableHours = sum(laborEntries, 'billableHours');
+    const invoiceCount = invoices.filter(invoice => this.invoiceSign(invoice) > 0).length;
+    const previousRevenue = previousInvoices.reduce(
+      (total, invoice) => total + this.invoiceSign(invoice) * (parseFloat(invoice.totalAmount) || 0),
+      0
+    );
+
+    const data = [
+      { section: 'Revenue', item: 'Labor', amount: round(revenue.labor) },
+      { section: 'Revenue', item: 'Parts', amount: round(revenue.parts) },
+      { section: 'Revenue', item: 'Sublet', amount: round(revenue.sublet) },
+      { section: 'Revenue', item: 'Discounts', amount: round(-revenue.discounts) },
+      { section: 'Revenue', item: 'Tax', amount: round(revenue.tax) },
+      { section: 'Revenue', item: 'Total Invoiced', amount: round(revenue.total) },
+      { section: 'Costs', item: 'Labor Cost', amount: round(costs.laborCosts) },
+      { section: 'Costs', item: 'Materials', amount: round(costs.materialCosts) },
+      { section: 'Costs', item: 'Overhead', amount: round(costs.overhead) },
+      { section: 'Costs', item: 'Total Costs', amount: round(costs.total) },
+      { section: 'Profit', item: 'Gross Profit', amount: round(grossProfit) },
+      { section: 'Cash', item: 'Collected', amount: round(collected) },
+      { section: 'Cash', item: 'Outstanding', amount: round(outstanding) },
+    ];
+
+    return {
+      data,
+      breakdown: {
+        paymentsByMethod,
+      },
+      summary: {
+        totalRevenue: round(revenue.total),
+        netSales: round(netSales),
+        totalCosts: round(costs.total),
+        grossProfit: round(grossProfit),
+        profitMargin: netSales ? round((grossProfit / netSales) * 100, 1) : 0,
+        revenueGrowth: this.formatGrowth(revenue.total, previousRevenue),
+        collected: round(collected),
+        outstanding: round(outstanding),
+        avgTicket: invoiceCount ? round(revenue.total / invoiceCount) : 0,
+        jobsCompleted: jobs.length,
+        revenuePerTechnician: technicianCount ? round(revenue.labor / technicianCount) : 0,
+        laborEfficiency: hoursWorked ? round((billableHours / hoursWorked) * 100, 1) : 0,
+      },
+    };
+  }
+
+  /**
+   * Billing, payment and days-to-pay per insurance company
+   */
+  async getInsuranceReport(context) {
+    const [invoices, payments] = await Promise.all([
+      this.findInvoices(context, { insuranceOnly: true }),
+      this.findPayments(context, { insuranceOnly: true }),
+    ]);
+
+    const byInsurer = new Map();
+    const getInsurer = (id, name) => {
+      if (!byInsurer.has(id)) {
+        byInsurer.set(id, {
+          name: name || 'Unknown Insurer',
+          claims: new Set(),
+          revenue: 0,
+          paid: 0,
+          outstanding: 0,
+          daysToPay: [],
+        });
+      }
+      return byInsurer.get(id);
+    };
+
+    invoices.forEach(invoice => {
+      const insurer = getInsurer(invoice.insuranceCompanyId, invoice.insuranceCompany?.name);
+      const sign = this.invoiceSign(invoice);
+      insurer.revenue += sign * (parseFloat(invoice.totalAmount) || 0);
+      if (sign > 0) {
+        insurer.claims.add(invoice.claimNumber || invoice.id);
+        insurer.outstanding += parseFloat(invoice.balanceDue) || 0;
+        if (invoice.paidDate && invoice.invoiceDate) {
+          insurer.daysToPay.push(
+            (new Date(invoice.paidDate) - new Date(invoice.invoiceDate)) / MS_PER_DAY
+          );
+        }
+      }
+    });
+
+    payments.forEach(payment => {
+      const insurer = getInsurer(payment.insuranceCompanyId, payment.insuranceCompany?.name);
+      insurer.paid += parseFloat(payment.amount) || 0;
+    });
+
+    const data = Array.from(byInsurer.values())
+      .map(insurer => {
+        const avgDaysToPay = insurer.daysToPay.length ? round(average(insurer.daysToPay), 1) : null;
+        return {
+          name: insurer.name,
+          jobs: insurer.claims.size,
+          revenue: round(insurer.revenue),
+          avgClaim: insurer.claims.size ? round(insurer.revenue / insurer.claims.size) : 0,
+          paid: round(insurer.paid),
+          outstanding: round(insurer.outstanding),
+          avgDaysToPay,
+          status: this.getPayerStatus(avgDaysToPay),
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue);
+
+    const totalJobs = sum(data, 'jobs');
+    const totalRevenue = sum(data, 'revenue');
+
+    return {
+      data,
+      summary: {
+        totalInsuranceJobs: totalJobs,
+        totalInsuranceRevenue: round(totalRevenue),
+        totalPaid: round(sum(data, 'paid')),
+        totalOutstanding: round(sum(data, 'outstanding')),
+        avgClaimValue: totalJobs ? round(totalRevenue / totalJobs) : 0,
+        topInsurer: data.length ? data[0].name : null,
+      },
+    };
+  }
+
+  /**
+   * Hours, efficiency, throughput and comebacks per technician
+   */
+  async getTechnicianReport(context) {
+    const [laborEntries, jobs] = await Promise.all([
+      this.findLaborEntries(context, { includeTechnician: true }),
+      this.findDeliveredJobs(context, { includeAssignee: true }),
+    ]);
+
+    const byTechnician = new Map();
+    const getTechnician = (id, user) => {
+      if (!byTechnician.has(id)) {
+        byTechnician.set(id, {
+          technicianId: id,
+          name: user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username : 'Unassigned',
+          jobsWorked: new Set(),
+          jobsCompleted: 0,
+          hoursWorked: 0,
+          billableHours: 0,
+          revenue: 0,
+          cycleTimes: [],
+          comebacks: 0,
+        });
+      }
+      return byTechnician.get(id);
+    };
+
+    laborEntries.forEach(entry => {
+      const technician = getTechnician(entry.technicianId, entry.technician);
+      if (entry.jobId) technician.jobsWorked.add(entry.jobId);
+      technician.hoursWorked += parseFloat(entry.hoursWorked) || 0;
+      technician.billableHours += parseFloat(entry.billableHours) || 0;
+      technician.revenue += parseFloat(entry.billableAmount) || 0;
+    });
+
+    jobs
+      .filter(job => job.assignedTo)
+      .forEach(job => {
+        const technician = getTechnician(job.assignedTo, job.assignee);
+        technician.jobsCompleted += 1;
+        const cycleDays = this.getJobCycleDays(job);
+        if (cycleDays !== null) technician.cycleTimes.push(cycleDays);
+        if (job.comeBack) technician.comebacks += 1;
+      });
+
+    const data = Array.from(byTechnician.values())
+      .map(technician => ({
+        technicianId: technician.technicianId,
+        name: technician.name,
+        jobsWorked: technician.jobsWorked.size,
+        jobsCompleted: technician.jobsCompleted,
+        hoursWorked: round(technician.hoursWorked),
+        billableHours: round(technician.billableHours),
+        efficiency: technician.hoursWorked
+          ? round((technician.billableHours / technician.hoursWorked) * 100, 1)
+          : 0,
+        avgCycleTime: round(average(technician.cycleTimes), 1),
+        revenue: round(technician.revenue),
+        comebacks: technician.comebacks,
+      }))
+      .sort((a, b) => b.efficiency - a.efficiency);
+
+    return {
+      data,
+      summary: {
+        totalTechnicians: data.length,
+        totalHoursWorked: round(sum(data, 'hoursWorked')),
+        totalBillableHours: round(sum(data, 'billableHours')),
+        avgEfficiency: round(average(data.map(row => row.efficiency)), 1),
+        avgJobsCompleted: round(average(data.map(row => row.jobsCompleted)), 1),
+        topPerformer: data.length ? data[0].name : null,
+      },
+    };
+  }
+
+  /**
+   * Customer satisfaction ratings (Job.customerSatisfaction, 1-5) on delivered jobs
+   */
+  async getSatisfactionReport(context) {
+    const { range, period } = context;
+    const jobs = await this.findDeliveredJobs(context);
+
+    const buckets = this.createBuckets(range, period, () => ({
+      ratings: [],
+      deliveries: 0,
+    }));
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+    jobs.forEach(job => {
+      const bucket = buckets.get(this.getPeriodKey(this.getDeliveryDate(job), period).key);
+      if (!bucket) return;
+      bucket.deliveries += 1;
+      const rating = parseInt(job.customerSatisfaction, 10);
+      if (rating >= 1 && rating <= 5) {
+        bucket.ratings.push(rating);
+        distribution[rating] += 1;
+      }
+    });
+
+    const data = Array.from(buckets.values()).map(bucket => ({
+      period: bucket.label,
+      rating: round(average(bucket.ratings)),
+      responses: bucket.ratings.length,
+      deliveries: bucket.deliveries,
+      responseRate: bucket.deliveries
+        ? round((bucket.ratings.length / bucket.deliveries) * 100, 1)
+        : 0,
+    }));
+
+    const allRatings = Object.entries(distribution).reduce(
+      (ratings, [rating, count]) => ratings.concat(Array(count).fill(parseInt(rating, 10))),
+      []
+    );
+    const comebacks = jobs.filter(job => job.comeBack).length;
+
+    return {
+      data,
+      breakdown: {
+        distribution,
+      },
+      summary: {
+        overallRating: round(average(allRatings)),
+        totalResponses: allRatings.length,
+        totalDeliveries: jobs.length,
+        responseRate: jobs.length ? round((allRatings.length / jobs.length) * 100, 1) : 0,
+        promoterPercent: allRatings.length
+          ? round((distribution[5] / allRatings.length) * 100, 1)
+          : 0,
+        comebackRate: jobs.length ? round((comebacks / jobs.length) * 100, 1) : 0,
+      },
+    };
+  }
+
+  // ==============================================================
+  // DATA ACCESS
+  // ==============================================================
+
+  /**
+   * Revenue invoices in range. Technician filter applies through the
+   * repair order's primary technician.
+   */
+  async findInvoices(context, { insuranceOnly = false } = {}) {
+    const { shopId, range, customerId, technicianId, status } = context;
+    const where = {
+      shopId,
+      invoiceDate: { [Op.between]: [range.start, range.end] },
+      invoiceType: { [Op.ne]: 'estimate' },
+      invoiceStatus: status ? status : { [Op.notIn]: NON_REVENUE_INVOICE_STATUSES },
+    };
+    if (customerId) where.customerId = customerId;
+    if (insuranceOnly) where.insuranceCompanyId = { [Op.ne]: null };
+
+    const include = [];
+    if (insuranceOnly) {
+      include.push({ model: InsuranceCompany, as: 'insuranceCompany', attributes: ['id', 'name'] });
+    }
+    if (technicianId) {
+      include.push({
+        model: RepairOrderManagement,
+        as: 'repairOrder',
+        attributes: ['id'],
+        where: { primaryTechnician: technicianId },
+        required: true,
+      });
+    }
+
+    return InvoiceEnhanced.findAll({ where, include });
+  }
+
+  /**
+   * Completed payments in range
+   */
+  async findPayments(context, { insuranceOnly = false } = {}) {
+    const { shopId, range, customerId, technicianId } = context;
+    const where = {
+      shopId,
+      paymentStatus: 'completed',
+      paymentDate: { [Op.between]: [range.start, range.end] },
+    };
+    if (insuranceOnly) where.paymentType = 'insurance';
+
+    const include = [];
+    if (customerId) {
+      include.push({
+        model: InvoiceEnhanced,
+        as: 'invoice',
+        attributes: ['id'],
+        where: { customerId },
+        required: true,
+      });
+    }
+    if (technicianId) {
+      include.push({
+        model: RepairOrderManagement,
+        as: 'repairOrder',
+        attributes: ['id'],
+        where: { primaryTechnician: technicianId },
+        required: true,
+      });
+    }
+
+    const payments = await Payment.findAll({ where, include });
+
+    if (!insuranceOnly) return payments;
+
+    // Payment has no insurer association; resolve names in one query
+    const insurerIds = [...new Set(payments.map(p => p.insuranceCompanyId).filter(Boolean))];
+    const insurers = insurerIds.length
+      ? await InsuranceCompany.findAll({ where: { id: insurerIds }, attributes: ['id', 'name'] })
+      : [];
+    const names = new Map(insurers.map(insurer => [insurer.id, insurer]));
+    return payments.map(payment => {
+      payment.insuranceCompany = names.get(payment.insuranceCompanyId) || null;
+      return payment;
+    });
+  }
+
+  /**
+   * Jobs delivered (or completed) in range
+   */
+  async findDeliveredJobs(context, { includeAssignee = false } = {}) {
+    const { shopId, range, customerId, technicianId } = context;
+    const between = { [Op.between]: [range.start, range.end] };
+    const where = {
+      shopId,
+      status: { [Op.ne]: 'cancelled' },
+      [Op.or]: [
+        { actualDeliveryDate: between },
+        { actualDeliveryDate: null, completionDate: between },
+      ],
+    };
+    if (customerId) where.customerId = customerId;
+    if (technicianId) where.assignedTo = technicianId;
+
+    const include = includeAssignee
+      ? [{ model: User, as: 'assignee', attributes: ['id', 'firstName', 'lastName', 'username'] }]
+      : [];
+
+    return Job.findAll({
+      where,
+      include,
+      attributes: [
+        'id',
+        'assignedTo',
+        'customerId',
+        'checkInDate',
+        'startDate',
+        'completionDate',
+        'actualDeliveryDate',
+        'cycleTime',
+        'customerSatisfaction',
+        'comeBack',
+        'createdAt',
+      ],
+    });
+  }
+
+  /**
+   * Completed stage records in range
+   */
+  async findStageHistory(context) {
+    const { shopId, range, customerId, technicianId } = context;
+    const where = {
+      shopId,
+      stageEndTime: { [Op.between]: [range.start, range.end] },
+      stageDuration: { [Op.ne]: null },
+    };
+    if (technicianId) where.technicianId = technicianId;
+
+    const include = customerId
+      ? [{ model: Job, as: 'job', attributes: ['id'], where: { customerId }, required: true }]
+      : [];
+
+    return JobStageHistory.findAll({
+      where,
+      include,
+      attributes: ['id', 'jobId', 'toStage', 'stageDuration', 'waitTime', 'materialCost', 'overheadCost'],
+    });
+  }
+
+  /**
+   * Labor time entries clocked in range
+   */
+  async findLaborEntries(context, { includeTechnician = false } = {}) {
+    const { shopId, range, customerId, technicianId } = context;
+    const where = {
+      shopId,
+      clockIn: { [Op.between]: [range.start, range.end] },
+    };
+    if (technicianId) where.technicianId = technicianId;
+
+    const include = [];
+    if (includeTechnician) {
+      include.push({
+        model: User,
+        as: 'technician',
+        attributes: ['id', 'firstName', 'lastName', 'username'],
+      });
+    }
+    if (customerId) {
+      include.push({ model: Job, as: 'job', attributes: ['id'], where: { customerId }, required: true });
+    }
+
+    return LaborTimeEntry.findAll({
+      where,
+      include,
+      attributes: [
+        'id',
+        'technicianId',
+        'jobId',
+        'hoursWorked',
+        'billableHours',
+        'laborCost',
+        'billableAmount',
+      ],
+    });
+  }
+
+  // ==============================================================
+  // HELPER METHODS
+  // ==============================================================
+
+  /**
+   * Resolve the report window. Explicit start/end dates win; otherwise the
+   * period picks a sensible default (monthly = year to date).
+   */
+  getDateRange(filters, now = new Date()) {
+    const end = filters.endDate ? new Date(filters.endDate) : new Date(now);
+    if (filters.endDate) end.setHours(23, 59, 59, 999);
+
+    if (filters.startDate) {
+      const start = new Date(filters.startDate);
+      start.setHours(0, 0, 0, 0);
+      return { start, end };
+    }
+
+    const start = new Date(end);
+    start.setHours(0, 0, 0, 0);
+    switch (filters.period) {
+      case 'daily':
+        start.setDate(start.getDate() - 29);
+        break;
+      case 'weekly':
+        start.setDate(start.getDate() - 7 * 11 - start.getDay());
+        break;
+      case 'quarterly':
+        start.setMonth(Math.floor(start.getMonth() / 3) * 3 - 9, 1);
+        break;
+      case 'yearly':
+        start.setFullYear(start.getFullYear() - 4, 0, 1);
+        break;
+      default:
+        start.setMonth(0, 1);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Window of the same length immediately before the given range
+   */
+  getPreviousRange(range) {
+    const length = range.end - range.start;
+    return {
+      start: new Date(range.start.getTime() - length - 1),
+      end: new Date(range.start.getTime() - 1),
+    };
+  }
+
+  /**
+   * Bucket key and display label for a date
+   */
+  getPeriodKey(value, period) {
+    if (!value) return { key: null, label: null };
+    const date = new Date(value);
+    const year = date.getFullYear();
+    const month = date.getMonth();
+
+    switch (period) {
+      case 'daily': {
+        const key = `${year}-${String(month + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return { key, label: key };
+      }
+      case 'weekly': {
+        const weekStart = new Date(year, month, date.getDate() - date.getDay());
+        const key = `${weekStart.getFullYear()}-${String(weekStart.getMonth() + 1).padStart(2, '0')}-${String(weekStart.getDate()).padStart(2, '0')}`;
+        return { key, label: `Week of ${MONTHS[weekStart.getMonth()]} ${weekStart.getDate()}` };
+      }
+      case 'quarterly': {
+        const quarter = Math.floor(month / 3) + 1;
+        return { key: `${year}-Q${quarter}`, label: `Q${quarter} ${year}` };
+      }
+      case 'yearly':
+        return { key: `${year}`, label: `${year}` };
+      default:
+        return {
+          key: `${year}-${String(month + 1).padStart(2, '0')}`,
+          label: `${MONTHS[month]} ${year}`,
+        };
+    }
+  }
+
+  /**
+   * Ordered, zero-filled buckets covering the whole range
+   */
+  createBuckets(range, period, factory) {
+    const buckets = new Map();
+    const cursor = new Date(range.start);
+
+    while (cursor <= range.end) {
+      const { key, label } = this.getPeriodKey(cursor, period);
+      if (!buckets.has(key)) {
+        buckets.set(key, { label, ...factory() });
+      }
+      cursor.setDate(cursor.getDate() + 1);
+    }
+
+    return buckets;
+  }
+
+  invoiceSign(invoice) {
+    return invoice.invoiceType === 'credit_memo' ? -1 : 1;
+  }
+
+  getDeliveryDate(job) {
+    return job.actualDeliveryDate || job.completionDate;
+  }
+
+  /**
+   * Days from check-in (or start/creation) to delivery
+   */
+  getJobCycleDays(job) {
+    const end = this.getDeliveryDate(job);
+    const start = job.checkInDate || job.startDate || job.createdAt;
+    if (end && start) {
+      return Math.max(0, (new Date(end) - new Date(start)) / MS_PER_DAY);
+    }
+    return job.cycleTime !== null && job.cycleTime !== undefined ? parseFloat(job.cycleTime) : null;
+  }
+
+  formatGrowth(current, previous) {
+    if (!previous) return current ? 'n/a' : '0%';
+    const growth = ((current - previous) / Math.abs(previous)) * 100;
+    return `${growth >= 0 ? '+' : ''}${round(growth, 1)}%`;
+  }
+
+  getPayerStatus(avgDaysToPay) {
+    if (avgDaysToPay === null) return 'pending';
+    if (avgDaysToPay <= 30) return 'excellent';
+    if (avgDaysToPay <= 45) return 'good';
+    return 'fair';
+  }
+
+  humanize(code) {
+    return `${code || 'unknown'}`
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+}
+
+module.exports = new ReportService();
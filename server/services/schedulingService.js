@@ -0,0 +1,909 @@
+/**
+ * Scheduling Service
+ *
+ * Constraint-based technician scheduler used by /api/scheduling/book.
+ * Operations for a repair order are placed in order, each on the technician
+ * who can finish it first while respecting:
+ * - department, skills and certifications (User.department, skills,
+ *   certifications, availability.departments)
+ * - shift hours (User.availability per weekday, falling back to the shop's
+ *   SchedulingCapacity shift or 08:00-16:00 Monday to Friday) and time off
+ *   (User.availability.timeOff)
+ * - existing bookings in ProductionWorkflow for the technician and the bay
+ * - bay capacity for frame, paint booth, prep and alignment work
+ * - parts arrival for operations that need parts
+ *
+ * Bookings are made under a per-shop lock so two requests cannot take the
+ * same slot, and the resulting load is written back to SchedulingCapacity
+ * for every day and department the new schedule touches.
+ */
+
+const { Op } = require('sequelize');
+const {
+  SchedulingCapacity,
+  ProductionWorkflow,
+  User,
+  AdvancedPartsManagement,
+} = require('../database/models');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SLOT_MINUTES = 15;
+const DEFAULT_HORIZON_DAYS = 30;
+const ALGORITHM_VERSION = 'constraint-1.0';
+
+const DEFAULT_SHIFT = { start: '08:00', end: '16:00' };
+const WORKING_DAYS = [1, 2, 3, 4, 5];
+const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+// Bays per type when the shop has no SchedulingCapacity row
+const DEFAULT_BAYS = {
+  frame: 1,
+  paint_booth: 2,
+  prep_station: 2,
+  alignment: 2,
+};
+
+// SchedulingCapacity column holding the bay count for each bay type
+const BAY_COLUMNS = {
+  frame: 'frameBays',
+  paint_booth: 'paintBooths',
+  prep_station: 'prepStations',
+};
+
+// Scheduler departments and how they map onto ProductionWorkflow and
+// SchedulingCapacity
+const DEPARTMENTS = {
+  body: {
+    stageType: 'body_work',
+    stageCategory: 'body',
+    capacityDepartment: 'body',
+  },
+  frame: {
+    stageType: 'frame_repair',
+    stageCategory: 'structural',
+    capacityDepartment: 'frame',
+    bayType: 'frame',
+  },
+  prep: {
+    stageType: 'prep_prime',
+    stageCategory: 'paint',
+    capacityDepartment: 'prep',
+    bayType: 'prep_station',
+  },
+  paint: {
+    stageType: 'paint_booth',
+    stageCategory: 'paint',
+    capacityDepartment: 'paint',
+    bayType: 'paint_booth',
+  },
+  mechanical: {
+    stageType: 'mechanical_repair',
+    stageCategory: 'mechanical',
+    capacityDepartment: 'mechanical',
+  },
+  assembly: {
+    stageType: 'assembly',
+    stageCategory: 'assembly',
+    capacityDepartment: 'assembly',
+  },
+  detailing: {
+    stageType: 'detail_cleanup',
+    stageCategory: 'delivery',
+    capacityDepartment: 'detailing',
+  },
+  adas_calibration: {
+    stageType: 'adas_calibration',
+    stageCategory: 'quality',
+    capacityDepartment: 'quality_control',
+    bayType: 'alignment',
+  },
+};
+
+const ACTIVE_STAGE_STATUSES = ['pending', 'ready', 'in_progress', 'on_hold'];
+const OPEN_PART_STATUSES = [
+  'needed',
+  'sourcing',
+  'quoted',
+  'ordered',
+  'backordered',
+  'shipped',
+];
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const normalizeList = values =>
+  (Array.isArray(values) ? values : [])
+    .map(value =>
+      typeof value === 'string'
+        ? value
+        : value?.code || value?.name || value?.skill
+    )
+    .filter(Boolean)
+    .map(value => `${value}`.trim().toLowerCase());
+
+const roundUpToSlot = date => {
+  const slot = SLOT_MINUTES * 60 * 1000;
+  return new Date(Math.ceil(date.getTime() / slot) * slot);
+};
+
+const atTime = (day, time) => {
+  const [hours, minutes = 0] = `${time}`.split(':').map(Number);
+  const value = new Date(day);
+  value.setHours(hours, minutes, 0, 0);
+  return value;
+};
+
+const dateKey = date => {
+  const value = new Date(date);
+  const month = `${value.getMonth() + 1}`.padStart(2, '0');
+  const day = `${value.getDate()}`.padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+const hoursBetween = (start, end) => Math.max(0, (end - start) / HOUR_MS);
+
+const round = value => Math.round(value * 100) / 100;
+
+class SchedulingService {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  // ==========================================
+  // BOOKING
+  // ==========================================
+
+  /**
+   * Plan and book operations for a repair order.
+   *
+   * @param {string} shopId
+   * @param {number} repairOrderId
+   * @param {Array} operations - [{ operation_type, department, estimated_hours,
+   *   required_skills, required_certifications, preferred_technician_id,
+   *   parts_required, bay_type }]
+   * @param {Object} options - priority, customerRequestedDate, partsConstraints,
+   *   userId
+   * @returns {Object} { solution, workflows, capacity }; workflows is empty
+   *   when the solution is not feasible
+   */
+  async bookRepairOrder(shopId, repairOrderId, operations, options = {}) {
+    return this.withShopLock(shopId, async () => {
+      const state = await this.loadShopState(shopId, {
+        from: this.earliestStart(options.customerRequestedDate),
+      });
+      const solution = this.planOperations(state, operations, {
+        ...options,
+        repairOrderId,
+      });
+
+      if (!solution.feasible) {
+        return { solution, workflows: [], capacity: [] };
+      }
+
+      const workflows = await this.createBookings(
+        shopId,
+        repairOrderId,
+        solution,
+        options
+      );
+      const capacity = await this.recordCapacity(
+        shopId,
+        state,
+        solution.schedule,
+        'booking'
+      );
+
+      return { solution, workflows, capacity };
+    });
+  }
+
+  /**
+   * Run booking work for one shop at a time so slots are not double-booked
+   */
+  async withShopLock(shopId, task) {
+    const previous = this.locks.get(shopId) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.locks.set(shopId, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.locks.get(shopId) === tail) {
+        this.locks.delete(shopId);
+      }
+    }
+  }
+
+  async createBookings(shopId, repairOrderId, solution, options = {}) {
+    const { priority = 'normal', userId } = options;
+    const workflows = [];
+
+    for (const [index, operation] of solution.schedule.entries()) {
+      const department = DEPARTMENTS[operation.department] || DEPARTMENTS.body;
+      const start = new Date(operation.scheduled_start);
+      const end = new Date(operation.scheduled_end);
+
+      const workflow = await ProductionWorkflow.create({
+        shopId,
+        repairOrderId,
+        stageName: operation.operation_type,
+        stageOrder: index + 1,
+        stageType: department.stageType,
+        stageCategory: department.stageCategory,
+        stageStatus: operation.parts_ready ? 'ready' : 'on_hold',
+        onHold: !operation.parts_ready,
+        holdReason: operation.parts_ready ? null : 'parts_delay',
+        plannedStartDate: start,
+        plannedEndDate: end,
+        plannedDuration: Math.round(operation.estimated_hours * 60),
+        estimatedHours: operation.estimated_hours,
+        assignedTechnician: operation.technician_id,
+        assignedBay: operation.bay,
+        bayType: operation.bay_type || 'general',
+        requiredSkills: JSON.stringify(operation.required_skills || []),
+        certificationRequired: JSON.stringify(
+          operation.required_certifications || []
+        ),
+        priority,
+        isRush: ['urgent', 'critical'].includes(priority),
+        stageNotes: operation.notes,
+        triggeredBy: 'schedule',
+        createdBy: userId,
+        updatedBy: userId,
+      });
+      workflows.push(workflow);
+    }
+
+    return workflows;
+  }
+
+  // ==========================================
+  // SHOP STATE
+  // ==========================================
+
+  /**
+   * Technicians, their bookings and bay usage from `from` to the horizon.
+   * Pass includeBookings: false for an empty board (time off is kept).
+   */
+  async loadShopState(shopId, options = {}) {
+    const { includeBookings = true } = options;
+    const from = options.from || this.earliestStart();
+    const horizonEnd = new Date(
+      from.getTime() + (options.horizonDays || DEFAULT_HORIZON_DAYS) * DAY_MS
+    );
+
+    const [users, bookings, capacityRow] = await Promise.all([
+      User.findAll({ where: { shopId, role: 'technician', isActive: true } }),
+      includeBookings
+        ? ProductionWorkflow.findAll({
+            where: {
+              shopId,
+              stageStatus: { [Op.in]: ACTIVE_STAGE_STATUSES },
+              plannedStartDate: { [Op.lt]: horizonEnd },
+              plannedEndDate: { [Op.gt]: from },
+            },
+          })
+        : [],
+      SchedulingCapacity.findOne({
+        where: { shopId },
+        order: [['scheduleDate', 'DESC']],
+      }),
+    ]);
+
+    const defaultShift = {
+      start: capacityRow?.shiftStartTime?.slice(0, 5) || DEFAULT_SHIFT.start,
+      end: capacityRow?.shiftEndTime?.slice(0, 5) || DEFAULT_SHIFT.end,
+    };
+
+    const technicians = users.map(user =>
+      this.toTechnician(user, defaultShift)
+    );
+    const byId = new Map(technicians.map(tech => [`${tech.id}`, tech]));
+
+    const bays = {};
+    Object.entries(DEFAULT_BAYS).forEach(([type, fallback]) => {
+      const count = capacityRow?.[BAY_COLUMNS[type]] || fallback;
+      bays[type] = {
+        type,
+        names: Array.from({ length: count }, (_, i) => `${type}-${i + 1}`),
+        busy: [],
+      };
+    });
+
+    bookings.forEach(booking => {
+      const interval = {
+        start: new Date(booking.plannedStartDate),
+        end: new Date(booking.plannedEndDate),
+        department: this.departmentForStageType(booking.stageType),
+        repairOrderId: booking.repairOrderId,
+        workflowId: booking.id,
+      };
+
+      const tech = byId.get(`${booking.assignedTechnician}`);
+      if (tech) {
+        tech.busy.push(interval);
+      }
+
+      const pool = bays[booking.bayType];
+      if (pool) {
+        // Bookings without a named bay still take one of the type
+        const bay =
+          booking.assignedBay ||
+          pool.names.find(
+            name =>
+              !pool.busy.some(b => b.bay === name && overlaps(b, interval))
+          );
+        pool.busy.push({ ...interval, bay });
+      }
+    });
+
+    return { shopId, from, horizonEnd, technicians, bays, defaultShift };
+  }
+
+  toTechnician(user, defaultShift) {
+    const availability = user.availability || {};
+    const departments = [user.department, ...(availability.departments || [])]
+      .filter(Boolean)
+      .map(value => `${value}`.toLowerCase());
+
+    const activeCertifications = (user.certifications || []).filter(
+      cert => !cert?.expiresAt || new Date(cert.expiresAt) > new Date()
+    );
+
+    const timeOff = (availability.timeOff || []).map(period => ({
+      start: new Date(period.start),
+      end: new Date(period.end),
+      department: null,
+      timeOff: true,
+    }));
+
+    return {
+      id: user.id,
+      name: `${user.firstName} ${user.lastName}`.trim(),
+      departments,
+      skills: normalizeList(user.skills),
+      certifications: normalizeList(activeCertifications),
+      efficiency: parseFloat(user.efficiency) || 100,
+      hourlyRate: parseFloat(user.hourlyRate) || 0,
+      availability,
+      defaultShift,
+      busy: timeOff,
+    };
+  }
+
+  getDepartments() {
+    return Object.keys(DEPARTMENTS);
+  }
+
+  departmentForStageType(stageType) {
+    const entry = Object.entries(DEPARTMENTS).find(
+      ([, config]) => config.stageType === stageType
+    );
+    return entry ? entry[0] : 'body';
+  }
+
+  /**
+   * Shift window for a technician on a given day, or null when off
+   */
+  getShift(tech, day) {
+    const hours = this.getWeekdayShift(tech, day.getDay());
+    if (!hours) return null;
+    return {
+      start: atTime(day, hours.start),
+      end: atTime(day, hours.end),
+    };
+  }
+
+  /**
+   * Shift hours ('HH:MM') for a weekday (0 = Sunday), or null when off
+   */
+  getWeekdayShift(tech, weekdayIndex) {
+    const configured = tech.availability?.[WEEKDAYS[weekdayIndex]];
+
+    if (configured === false || configured === null) return null;
+    if (configured?.start && configured?.end) {
+      return { start: configured.start, end: configured.end };
+    }
+    if (!WORKING_DAYS.includes(weekdayIndex)) return null;
+    return { ...tech.defaultShift };
+  }
+
+  getWeekdays() {
+    return [...WEEKDAYS];
+  }
+
+  // ==========================================
+  // PLANNING
+  // ==========================================
+
+  earliestStart(requestedDate) {
+    const now = roundUpToSlot(new Date());
+    if (!requestedDate) return now;
+    const requested = new Date(requestedDate);
+    return requested > now ? requested : now;
+  }
+
+  /**
+   * Place operations in order on the shop state. Reserved time is added to
+   * the state, so later operations (and the capacity roll-up) see it.
+   */
+  planOperations(state, operations, options = {}) {
+    const {
+      priority = 'normal',
+      partsConstraints = {},
+      customerRequestedDate,
+      repairOrderId = null,
+    } = options;
+    const partsArrival = partsConstraints.active_constraints
+      ? new Date(partsConstraints.estimated_parts_arrival)
+      : null;
+
+    const schedule = [];
+    const conflicts = [];
+    const recommendations = [];
+    let previousEnd = this.earliestStart(customerRequestedDate);
+    if (previousEnd < state.from) previousEnd = state.from;
+
+    for (const operation of operations) {
+      const hours = parseFloat(operation.estimated_hours) || 0;
+      const bayType =
+        operation.bay_type || DEPARTMENTS[operation.department]?.bayType;
+      const needsParts =
+        operation.parts_required !== false && Boolean(partsArrival);
+
+      let earliest = previousEnd;
+      if (needsParts && partsArrival > earliest) {
+        earliest = roundUpToSlot(partsArrival);
+      }
+
+      const qualified = state.technicians.filter(tech =>
+        this.isQualified(tech, operation)
+      );
+      if (qualified.length === 0) {
+        conflicts.push({
+          operation_type: operation.operation_type,
+          reason: 'no_qualified_technician',
+          message: `No technician in ${operation.department} has ${this.describeRequirements(operation)}`,
+        });
+        recommendations.push(
+          `Certify or assign a ${operation.department} technician for ${operation.operation_type}`
+        );
+        continue;
+      }
+
+      const bayPool = bayType ? state.bays[bayType] : null;
+      if (bayType && (!bayPool || bayPool.names.length === 0)) {
+        conflicts.push({
+          operation_type: operation.operation_type,
+          reason: 'no_bay',
+          message: `Shop has no ${bayType.replace('_', ' ')} configured`,
+        });
+        continue;
+      }
+
+      const candidates = qualified
+        .map(tech => ({
+          tech,
+          slot: this.findSlot(tech, bayPool, earliest, hours, state.horizonEnd),
+        }))
+        .filter(candidate => candidate.slot);
+
+      if (candidates.length === 0) {
+        conflicts.push({
+          operation_type: operation.operation_type,
+          reason: 'no_capacity',
+          message: `No ${operation.department} capacity for ${hours}h before ${state.horizonEnd.toISOString()}`,
+        });
+        recommendations.push(
+          `Add overtime or move lower-priority ${operation.department} work`
+        );
+        continue;
+      }
+
+      candidates.sort((a, b) => this.compareCandidates(a, b, operation));
+      const { tech, slot } = candidates[0];
+      const start = slot.segments[0].start;
+      const end = slot.segments[slot.segments.length - 1].end;
+      const reservation = {
+        start,
+        end,
+        department: operation.department,
+        repairOrderId,
+      };
+
+      tech.busy.push(reservation);
+      if (bayPool) {
+        bayPool.busy.push({ ...reservation, bay: slot.bay });
+      }
+
+      const partsReady = !needsParts || partsArrival <= start;
+      schedule.push({
+        operation_type: operation.operation_type,
+        department: operation.department,
+        estimated_hours: hours,
+        required_skills: operation.required_skills || [],
+        required_certifications: operation.required_certifications || [],
+        technician_id: tech.id,
+        technician_name: tech.name,
+        scheduled_start: start.toISOString(),
+        scheduled_end: end.toISOString(),
+        segments: slot.segments.map(segment => ({
+          start: segment.start.toISOString(),
+          end: segment.end.toISOString(),
+        })),
+        bay_type: bayType || null,
+        bay: slot.bay || null,
+        parts_ready: partsReady,
+        notes: [
+          `Scheduled with ${priority} priority`,
+          needsParts && start.getTime() === earliest.getTime()
+            ? 'Starts on parts arrival'
+            : null,
+        ]
+          .filter(Boolean)
+          .join('; '),
+      });
+
+      previousEnd = end;
+    }
+
+    return {
+      feasible: conflicts.length === 0 && schedule.length > 0,
+      conflicts,
+      recommendations,
+      schedule,
+      earliest_start: schedule.length > 0 ? schedule[0].scheduled_start : null,
+      estimated_completion:
+        schedule.length > 0
+          ? schedule[schedule.length - 1].scheduled_end
+          : null,
+      total_hours: operations.reduce(
+        (sum, op) => sum + (parseFloat(op.estimated_hours) || 0),
+        0
+      ),
+      skill_matching_used: true,
+      optimization_applied: true,
+    };
+  }
+
+  isQualified(tech, operation) {
+    const department = `${operation.department || ''}`.toLowerCase();
+    if (
+      department &&
+      tech.departments.length > 0 &&
+      !tech.departments.includes(department)
+    ) {
+      return false;
+    }
+
+    const abilities = new Set([...tech.skills, ...tech.certifications]);
+    const skills = normalizeList(operation.required_skills);
+    const certifications = normalizeList(operation.required_certifications);
+
+    return (
+      skills.every(skill => abilities.has(skill)) &&
+      certifications.every(cert => tech.certifications.includes(cert))
+    );
+  }
+
+  describeRequirements(operation) {
+    const required = [
+      ...(operation.required_skills || []),
+      ...(operation.required_certifications || []),
+    ];
+    return required.length > 0 ? required.join(', ') : 'availability';
+  }
+
+  /**
+   * Earliest finish first; then the preferred technician, then the
+   * least-loaded technician
+   */
+  compareCandidates(a, b, operation) {
+    const endOf = candidate =>
+      candidate.slot.segments[candidate.slot.segments.length - 1].end;
+    const diff = endOf(a) - endOf(b);
+    if (diff !== 0) return diff;
+
+    const preferred = `${operation.preferred_technician_id || ''}`;
+    if (preferred) {
+      if (`${a.tech.id}` === preferred) return -1;
+      if (`${b.tech.id}` === preferred) return 1;
+    }
+
+    const load = tech =>
+      tech.busy.reduce((sum, b) => sum + hoursBetween(b.start, b.end), 0);
+    return load(a.tech) - load(b.tech);
+  }
+
+  /**
+   * Earliest working-time slot of `hours` for a technician that does not
+   * overlap their bookings and leaves a bay of the required type free
+   */
+  findSlot(tech, bayPool, earliest, hours, horizonEnd) {
+    let candidate = new Date(earliest);
+
+    while (candidate < horizonEnd) {
+      const segments = this.allocateWorkingTime(
+        tech,
+        candidate,
+        hours,
+        horizonEnd
+      );
+      if (!segments) return null;
+
+      const window = {
+        start: segments[0].start,
+        end: segments[segments.length - 1].end,
+      };
+      const clash = tech.busy
+        .filter(busy => segments.some(segment => overlaps(segment, busy)))
+        .sort((a, b) => a.end - b.end)[0];
+      if (clash) {
+        candidate = new Date(
+          Math.max(clash.end, candidate.getTime() + SLOT_MINUTES * 60000)
+        );
+        continue;
+      }
+
+      if (!bayPool) {
+        return { segments, bay: null };
+      }
+
+      const inUse = bayPool.busy.filter(busy => overlaps(window, busy));
+      const bay = bayPool.names.find(
+        name => !inUse.some(busy => busy.bay === name)
+      );
+      if (bay) {
+        return { segments, bay };
+      }
+
+      const freedAt = Math.min(...inUse.map(busy => busy.end.getTime()));
+      candidate = new Date(
+        Math.max(freedAt, candidate.getTime() + SLOT_MINUTES * 60000)
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Split `hours` of work starting at `start` across the technician's shifts
+   */
+  allocateWorkingTime(tech, start, hours, horizonEnd) {
+    const segments = [];
+    let remaining = hours * HOUR_MS;
+    let day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+
+    while (remaining > 0) {
+      if (day >= horizonEnd) return null;
+
+      const shift = this.getShift(tech, day);
+      if (shift) {
+        const segmentStart = new Date(Math.max(shift.start, start));
+        if (segmentStart < shift.end) {
+          const segmentEnd = new Date(
+            Math.min(shift.end.getTime(), segmentStart.getTime() + remaining)
+          );
+          segments.push({ start: segmentStart, end: segmentEnd });
+          remaining -= segmentEnd - segmentStart;
+        }
+      }
+
+      day = new Date(day.getTime() + DAY_MS);
+      day.setHours(0, 0, 0, 0);
+    }
+
+    return segments;
+  }
+
+  // ==========================================
+  // CAPACITY ROLL-UP
+  // ==========================================
+
+  /**
+   * Write the booked load for every day and department the schedule touches
+   * back to SchedulingCapacity
+   */
+  async recordCapacity(shopId, state, schedule, trigger = 'booking') {
+    const touched = new Map();
+    schedule.forEach(operation => {
+      operation.segments.forEach(segment => {
+        const key = `${dateKey(segment.start)}|${operation.department}`;
+        touched.set(key, {
+          day: new Date(segment.start),
+          department: operation.department,
+        });
+      });
+    });
+
+    const rows = [];
+    for (const { day, department } of touched.values()) {
+      rows.push(
+        await this.upsertCapacity(shopId, state, day, department, trigger)
+      );
+    }
+    return rows;
+  }
+
+  summarizeDay(state, day, department) {
+    const config = DEPARTMENTS[department] || DEPARTMENTS.body;
+    const technicians = state.technicians.filter(tech =>
+      this.isQualified(tech, { department })
+    );
+
+    let totalCapacityHours = 0;
+    let scheduledHours = 0;
+    let availableTechnicians = 0;
+    const repairOrders = new Set();
+
+    technicians.forEach(tech => {
+      const shift = this.getShift(tech, day);
+      if (!shift) return;
+
+      const timeOff = tech.busy
+        .filter(busy => busy.timeOff)
+        .reduce(
+          (sum, busy) =>
+            sum +
+            hoursBetween(
+              Math.max(busy.start, shift.start),
+              Math.min(busy.end, shift.end)
+            ),
+          0
+        );
+      const shiftHours = Math.max(
+        0,
+        hoursBetween(shift.start, shift.end) - timeOff
+      );
+      if (shiftHours > 0) availableTechnicians += 1;
+      totalCapacityHours += shiftHours;
+
+      tech.busy
+        .filter(busy => !busy.timeOff && busy.department === department)
+        .forEach(busy => {
+          const hours = hoursBetween(
+            Math.max(busy.start, shift.start),
+            Math.min(busy.end, shift.end)
+          );
+          if (hours > 0) {
+            scheduledHours += hours;
+            repairOrders.add(busy.repairOrderId);
+          }
+        });
+    });
+
+    const dayStart = new Date(day);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayWindow = {
+      start: dayStart,
+      end: new Date(dayStart.getTime() + DAY_MS),
+    };
+    const bayPool = config.bayType ? state.bays[config.bayType] : null;
+    const occupiedBays = bayPool
+      ? new Set(
+          bayPool.busy
+            .filter(busy => overlaps(busy, dayWindow))
+            .map(busy => busy.bay)
+        ).size
+      : 0;
+
+    return {
+      availableTechnicians,
+      totalCapacityHours: round(totalCapacityHours),
+      scheduledHours: round(scheduledHours),
+      remainingCapacityHours: round(
+        Math.max(0, totalCapacityHours - scheduledHours)
+      ),
+      utilizationPercentage:
+        totalCapacityHours > 0
+          ? round(Math.min(100, (scheduledHours / totalCapacityHours) * 100))
+          : 0,
+      jobsScheduled: repairOrders.size,
+      totalBays: bayPool ? bayPool.names.length : 0,
+      occupiedBays,
+      availableBays: bayPool
+        ? Math.max(0, bayPool.names.length - occupiedBays)
+        : 0,
+      bayUtilization:
+        bayPool && bayPool.names.length > 0
+          ? round((occupiedBays / bayPool.names.length) * 100)
+          : 0,
+    };
+  }
+
+  async upsertCapacity(shopId, state, day, department, trigger) {
+    const scheduleDate = dateKey(day);
+    const capacityDepartment = (DEPARTMENTS[department] || DEPARTMENTS.body)
+      .capacityDepartment;
+    const summary = this.summarizeDay(state, day, department);
+    const values = {
+      ...summary,
+      shiftStartTime: state.defaultShift.start,
+      shiftEndTime: state.defaultShift.end,
+      shiftHours: round(
+        hoursBetween(
+          atTime(day, state.defaultShift.start),
+          atTime(day, state.defaultShift.end)
+        )
+      ),
+      algorithmVersion: ALGORITHM_VERSION,
+      lastRecalculated: new Date(),
+      recalculationTrigger: trigger,
+    };
+
+    const existing = await SchedulingCapacity.findOne({
+      where: { shopId, scheduleDate, department: capacityDepartment },
+    });
+    if (existing) {
+      return existing.update(values);
+    }
+
+    const date = new Date(day);
+    return SchedulingCapacity.create({
+      shopId,
+      scheduleDate,
+      department: capacityDepartment,
+      scheduleYear: date.getFullYear(),
+      scheduleMonth: date.getMonth() + 1,
+      dayOfWeek: date.getDay() === 0 ? 7 : date.getDay(),
+      ...values,
+    });
+  }
+
+  // ==========================================
+  // PARTS
+  // ==========================================
+
+  /**
+   * Open parts on the repair order and when the last one is due
+   */
+  async getPartsConstraints(repairOrderId, partsAvailability = {}) {
+    const parts = await AdvancedPartsManagement.findAll({
+      where: {
+        repairOrderId,
+        partStatus: { [Op.in]: OPEN_PART_STATUSES },
+      },
+    });
+
+    return this.summarizeParts(parts, partsAvailability);
+  }
+
+  getOpenPartStatuses() {
+    return [...OPEN_PART_STATUSES];
+  }
+
+  summarizeParts(parts, partsAvailability = {}) {
+    const arrivals = parts.map(part => {
+      const override = partsAvailability?.[part.id];
+      const date =
+        override || part.promisedDeliveryDate || part.estimatedDeliveryDate;
+      return date ? new Date(date).getTime() : Date.now();
+    });
+
+    return {
+      active_constraints: parts.length > 0,
+      missing_parts_count: parts.length,
+      critical_parts: parts.filter(part => part.priority === 'critical'),
+      estimated_parts_arrival:
+        arrivals.length > 0 ? Math.max(...arrivals) : Date.now(),
+    };
+  }
+}
+
+module.exports = new SchedulingService();
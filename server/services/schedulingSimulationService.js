@@ -0,0 +1,935 @@
+/**
+ * Scheduling Simulation Service
+ *
+ * What-if analysis for /api/scheduling/what-if. A snapshot of the shop is
+ * taken once - open repair orders with the work left in ProductionWorkflow,
+ * parts ETAs from AdvancedPartsManagement, technicians and bays - and each
+ * scenario replans that WIP with the scheduler on its own copy of the shop:
+ *
+ * - add_technician / remove_technician
+ * - overtime (extra days or longer shifts, paid at a multiplier)
+ * - add_jobs (e.g. five more DRP jobs arriving over the week)
+ * - bay_outage (e.g. a paint booth down for two days)
+ * - parts_delay (every open parts ETA slips by N days)
+ *
+ * Every run includes the unchanged plan as a baseline, and each scenario
+ * reports projected cycle time, throughput, overtime cost and late ROs with
+ * deltas against it. Nothing is booked or written.
+ */
+
+const { Op } = require('sequelize');
+const {
+  RepairOrderManagement,
+  ProductionWorkflow,
+  AdvancedPartsManagement,
+} = require('../database/models');
+const schedulingService = require('./schedulingService');
+const { ValidationError } = require('../utils/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_HORIZON_DAYS = 60;
+const DEFAULT_PERIOD_DAYS = 14;
+const DEFAULT_PROMISED_DAYS = 7;
+const DEFAULT_OVERTIME_MULTIPLIER = 1.5;
+const DEFAULT_OVERTIME_HOURS = 2;
+const DEFAULT_HOURLY_RATE = 35;
+const MIN_OPERATION_HOURS = 0.25;
+
+// Repair orders that still have work ahead of them in the shop
+const WIP_RO_STATUSES = [
+  'estimate_approved',
+  'parts_ordered',
+  'parts_hold',
+  'in_production',
+  'quality_control',
+  'supplement_pending',
+  'supplement_approved',
+  'customer_approval',
+  'ready_for_delivery',
+];
+
+const CLOSED_STAGE_STATUSES = ['completed', 'bypassed'];
+
+// Stages that hold the vehicle without taking technician time
+const WAIT_STAGE_TYPES = ['parts_hold', 'customer_walkthrough', 'delivery'];
+
+// Stages that can start before parts arrive
+const PARTS_FREE_STAGE_TYPES = [
+  'intake',
+  'blueprint',
+  'disassembly',
+  'frame_repair',
+];
+
+// Stage types the scheduler has no department for
+const STAGE_DEPARTMENTS = {
+  paint_finish: 'paint',
+  denib_polish: 'detailing',
+  final_qc: 'detailing',
+  pre_delivery_inspection: 'detailing',
+};
+
+// Work for a simulated job when the scenario does not describe it
+const DEFAULT_JOB_OPERATIONS = [
+  {
+    operation_type: 'Teardown',
+    department: 'body',
+    estimated_hours: 2,
+    parts_required: false,
+  },
+  { operation_type: 'Body repair', department: 'body', estimated_hours: 6 },
+  { operation_type: 'Prep', department: 'prep', estimated_hours: 2 },
+  { operation_type: 'Refinish', department: 'paint', estimated_hours: 3 },
+  { operation_type: 'Reassembly', department: 'assembly', estimated_hours: 3 },
+  { operation_type: 'Detail', department: 'detailing', estimated_hours: 1 },
+];
+
+const PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, low: 3 };
+
+// Metric weights per comparison mode; every metric is scored 0-1
+const COMPARISON_WEIGHTS = {
+  time: { cycleTime: 0.5, throughput: 0.3, lateRos: 0.2, cost: 0 },
+  cost: { cycleTime: 0.15, throughput: 0.1, lateRos: 0.15, cost: 0.6 },
+  quality: { cycleTime: 0.2, throughput: 0.1, lateRos: 0.6, cost: 0.1 },
+  balanced: { cycleTime: 0.25, throughput: 0.25, lateRos: 0.25, cost: 0.25 },
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+const parseList = value => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const atTime = (day, time) => {
+  const [hours, minutes = 0] = `${time}`.split(':').map(Number);
+  const value = new Date(day);
+  value.setHours(hours, minutes, 0, 0);
+  return value;
+};
+
+const shiftTime = (time, hours) => {
+  const [h, m = 0] = `${time}`.split(':').map(Number);
+  const minutes = Math.min(23 * 60 + 45, h * 60 + m + hours * 60);
+  const pad = value => `${Math.floor(value)}`.padStart(2, '0');
+  return `${pad(minutes / 60)}:${pad(minutes % 60)}`;
+};
+
+const overlapHours = (a, b) =>
+  Math.max(0, (Math.min(a.end, b.end) - Math.max(a.start, b.start)) / HOUR_MS);
+
+const average = values =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+
+class SchedulingSimulationService {
+  getChangeTypes() {
+    return [
+      'add_technician',
+      'remove_technician',
+      'overtime',
+      'add_jobs',
+      'bay_outage',
+      'parts_delay',
+    ];
+  }
+
+  getComparisonModes() {
+    return Object.keys(COMPARISON_WEIGHTS);
+  }
+
+  // ==========================================
+  // ANALYSIS
+  // ==========================================
+
+  /**
+   * Simulate scenarios against the shop's current WIP.
+   *
+   * @param {string} shopId
+   * @param {Array} scenarios - [{ name, changes: [{ type, ... }] }]
+   * @param {Object} options - comparisonMode, periodDays (throughput window),
+   *   horizonDays (how far ahead work may be placed)
+   * @returns {Object} { snapshot, baseline, scenarios (ranked, baseline
+   *   included), best, comparison }
+   */
+  async runScenarios(shopId, scenarios, options = {}) {
+    const {
+      comparisonMode = 'balanced',
+      periodDays = DEFAULT_PERIOD_DAYS,
+      horizonDays = DEFAULT_HORIZON_DAYS,
+    } = options;
+
+    if (!COMPARISON_WEIGHTS[comparisonMode]) {
+      throw new ValidationError(`Unknown comparison mode: ${comparisonMode}`);
+    }
+
+    const snapshot = await this.takeSnapshot(shopId, { horizonDays });
+
+    const baseline = {
+      ...this.simulate(
+        snapshot,
+        { name: 'Current plan', changes: [] },
+        { periodDays }
+      ),
+      is_baseline: true,
+    };
+    const results = scenarios.map(scenario =>
+      this.simulate(snapshot, scenario, { periodDays })
+    );
+
+    results.forEach(result => {
+      result.delta_vs_baseline = this.compareToBaseline(result, baseline);
+      result.recommendations.push(
+        ...this.recommend(result, baseline, snapshot)
+      );
+    });
+
+    const all = [baseline, ...results];
+    this.score(all, comparisonMode);
+    const ranked = [...all].sort((a, b) => b.score - a.score);
+
+    return {
+      snapshot: {
+        taken_at: snapshot.takenAt.toISOString(),
+        wip_count: snapshot.jobs.length,
+        technicians: snapshot.state.technicians.length,
+        bays: Object.fromEntries(
+          Object.entries(snapshot.state.bays).map(([type, pool]) => [
+            type,
+            pool.names.length,
+          ])
+        ),
+        horizon_days: horizonDays,
+      },
+      baseline,
+      scenarios: ranked,
+      best: ranked[0],
+      comparison: this.buildComparison(ranked, results, comparisonMode),
+    };
+  }
+
+  // ==========================================
+  // SNAPSHOT
+  // ==========================================
+
+  /**
+   * Open repair orders with their remaining work and parts ETAs, and an
+   * empty board (technicians, shifts, time off and bays) to replan them on
+   */
+  async takeSnapshot(shopId, options = {}) {
+    const horizonDays = options.horizonDays || DEFAULT_HORIZON_DAYS;
+    const takenAt = schedulingService.earliestStart();
+
+    const [state, repairOrders] = await Promise.all([
+      schedulingService.loadShopState(shopId, {
+        from: takenAt,
+        horizonDays,
+        includeBookings: false,
+      }),
+      RepairOrderManagement.findAll({
+        where: { shopId, roStatus: { [Op.in]: WIP_RO_STATUSES } },
+        include: [
+          {
+            model: ProductionWorkflow,
+            as: 'productionWorkflow',
+            required: false,
+          },
+        ],
+      }),
+    ]);
+
+    const parts =
+      repairOrders.length > 0
+        ? await AdvancedPartsManagement.findAll({
+            where: {
+              repairOrderId: { [Op.in]: repairOrders.map(ro => ro.id) },
+              partStatus: { [Op.in]: schedulingService.getOpenPartStatuses() },
+            },
+          })
+        : [];
+
+    const partsByRo = new Map();
+    parts.forEach(part => {
+      const list = partsByRo.get(part.repairOrderId) || [];
+      list.push(part);
+      partsByRo.set(part.repairOrderId, list);
+    });
+
+    const jobs = repairOrders
+      .map(ro => this.toJob(ro, partsByRo.get(ro.id) || [], takenAt))
+      .filter(job => job.operations.length > 0);
+
+    return { shopId, takenAt, horizonDays, state, jobs };
+  }
+
+  toJob(repairOrder, parts, now) {
+    const rows = (repairOrder.productionWorkflow || [])
+      .filter(
+        row =>
+          !CLOSED_STAGE_STATUSES.includes(row.stageStatus) &&
+          !WAIT_STAGE_TYPES.includes(row.stageType)
+      )
+      .sort((a, b) => (a.stageOrder || 0) - (b.stageOrder || 0));
+
+    let operations = rows.map(row => {
+      const estimated =
+        parseFloat(row.estimatedHours) || (row.plannedDuration || 0) / 60;
+      return {
+        operation_type: row.stageName || row.stageType,
+        department:
+          STAGE_DEPARTMENTS[row.stageType] ||
+          schedulingService.departmentForStageType(row.stageType),
+        estimated_hours: round(
+          Math.max(
+            MIN_OPERATION_HOURS,
+            estimated - (parseFloat(row.actualHours) || 0)
+          )
+        ),
+        required_skills: parseList(row.requiredSkills),
+        required_certifications: parseList(row.certificationRequired),
+        preferred_technician_id: row.assignedTechnician || null,
+        parts_required: !PARTS_FREE_STAGE_TYPES.includes(row.stageType),
+      };
+    });
+
+    // Not broken into stages yet: treat the remaining RO hours as body work
+    const remaining =
+      (parseFloat(repairOrder.hoursEstimated) || 0) -
+      (parseFloat(repairOrder.hoursActual) || 0);
+    if (operations.length === 0 && remaining > 0) {
+      operations = [
+        {
+          operation_type: 'Remaining repair',
+          department: 'body',
+          estimated_hours: round(remaining),
+        },
+      ];
+    }
+
+    const arrival = new Date(
+      repairOrder.dateCreated || repairOrder.createdAt || now
+    );
+    let promised = null;
+    if (repairOrder.promisedDeliveryDate) {
+      promised = new Date(repairOrder.promisedDeliveryDate);
+    } else if (repairOrder.targetCompletionDays) {
+      promised = addDays(arrival, repairOrder.targetCompletionDays);
+    }
+
+    let priority = 'normal';
+    if (repairOrder.isRush) priority = 'urgent';
+    else if (repairOrder.isPriority) priority = 'high';
+
+    return {
+      id: repairOrder.id,
+      number: repairOrder.repairOrderNumber,
+      arrival,
+      promised,
+      priority,
+      partsArrival:
+        parts.length > 0
+          ? new Date(
+              schedulingService.summarizeParts(parts).estimated_parts_arrival
+            )
+          : null,
+      operations,
+      simulated: false,
+    };
+  }
+
+  cloneState(state) {
+    return {
+      ...state,
+      technicians: state.technicians.map(tech => ({
+        ...tech,
+        departments: [...tech.departments],
+        skills: [...tech.skills],
+        certifications: [...tech.certifications],
+        availability: { ...tech.availability },
+        busy: tech.busy.map(busy => ({ ...busy })),
+        overtime: [...(tech.overtime || [])],
+      })),
+      bays: Object.fromEntries(
+        Object.entries(state.bays).map(([type, pool]) => [
+          type,
+          {
+            ...pool,
+            names: [...pool.names],
+            busy: pool.busy.map(busy => ({ ...busy })),
+          },
+        ])
+      ),
+    };
+  }
+
+  // ==========================================
+  // SCENARIO CHANGES
+  // ==========================================
+
+  applyChanges(snapshot, scenario) {
+    const context = {
+      state: this.cloneState(snapshot.state),
+      jobs: snapshot.jobs.map(job => ({ ...job })),
+      addedTechnicians: [],
+      notes: [],
+    };
+
+    (scenario.changes || []).forEach(change => {
+      switch (change.type) {
+        case 'add_technician':
+          this.addTechnicians(context, change);
+          break;
+        case 'remove_technician':
+          this.removeTechnician(context, change);
+          break;
+        case 'overtime':
+          this.addOvertime(context, change);
+          break;
+        case 'add_jobs':
+          this.addJobs(context, change);
+          break;
+        case 'bay_outage':
+          this.addBayOutage(context, change);
+          break;
+        case 'parts_delay':
+          this.delayParts(context, change);
+          break;
+        default:
+          throw new ValidationError(`Unknown scenario change: ${change.type}`);
+      }
+    });
+
+    return context;
+  }
+
+  addTechnicians(context, change) {
+    const { state } = context;
+    const department = change.department || 'body';
+    if (!schedulingService.getDepartments().includes(department)) {
+      throw new ValidationError(`Unknown department: ${department}`);
+    }
+
+    const count = parseInt(change.count, 10) || 1;
+    const hourlyRate =
+      parseFloat(change.hourly_rate) ||
+      average(state.technicians.map(tech => tech.hourlyRate).filter(Boolean)) ||
+      DEFAULT_HOURLY_RATE;
+    const startDate = change.start_date ? new Date(change.start_date) : null;
+
+    for (let i = 0; i < count; i += 1) {
+      const tech = {
+        id: `new-${department}-${context.addedTechnicians.length + 1}`,
+        name: `New ${department} technician ${context.addedTechnicians.length + 1}`,
+        departments: [department],
+        skills: (change.skills || []).map(skill => `${skill}`.toLowerCase()),
+        certifications: (change.certifications || []).map(cert =>
+          `${cert}`.toLowerCase()
+        ),
+        efficiency: 100,
+        hourlyRate,
+        availability: {},
+        defaultShift: { ...state.defaultShift },
+        busy:
+          startDate && startDate > state.from
+            ? [
+                {
+                  start: state.from,
+                  end: startDate,
+                  department: null,
+                  timeOff: true,
+                },
+              ]
+            : [],
+        overtime: [],
+        added: true,
+      };
+      state.technicians.push(tech);
+      context.addedTechnicians.push(tech);
+    }
+
+    context.notes.push(
+      `Added ${count} ${department} technician${count === 1 ? '' : 's'} at $${hourlyRate}/h`
+    );
+  }
+
+  removeTechnician(context, change) {
+    const { state } = context;
+    const index = state.technicians.findIndex(
+      tech => `${tech.id}` === `${change.technician_id}`
+    );
+    if (index === -1) {
+      throw new ValidationError(
+        `Technician ${change.technician_id} is not on the schedule`
+      );
+    }
+
+    const [tech] = state.technicians.splice(index, 1);
+    context.notes.push(`Removed ${tech.name}`);
+  }
+
+  /**
+   * Days the technician is off become overtime shifts (start-end, default the
+   * shop shift); working days are extended to `end` or by `hours`
+   */
+  addOvertime(context, change) {
+    const { state } = context;
+    const weekdays = schedulingService.getWeekdays();
+    const days = (change.days || ['saturday']).map(day =>
+      `${day}`.toLowerCase()
+    );
+    const unknown = days.find(day => !weekdays.includes(day));
+    if (unknown) {
+      throw new ValidationError(`Unknown overtime day: ${unknown}`);
+    }
+
+    const multiplier =
+      parseFloat(change.multiplier) || DEFAULT_OVERTIME_MULTIPLIER;
+    const ids = (change.technician_ids || []).map(id => `${id}`);
+    const technicians = state.technicians.filter(tech => {
+      if (ids.length > 0) return ids.includes(`${tech.id}`);
+      if (change.department) {
+        return schedulingService.isQualified(tech, {
+          department: change.department,
+        });
+      }
+      return true;
+    });
+
+    technicians.forEach(tech => {
+      days.forEach(day => {
+        const weekday = weekdays.indexOf(day);
+        const current = schedulingService.getWeekdayShift(tech, weekday);
+
+        let window;
+        if (current) {
+          const end =
+            change.end ||
+            shiftTime(
+              current.end,
+              parseFloat(change.hours) || DEFAULT_OVERTIME_HOURS
+            );
+          if (end <= current.end) return;
+          window = { start: current.end, end };
+          tech.availability[day] = { start: current.start, end };
+        } else {
+          window = {
+            start: change.start || state.defaultShift.start,
+            end: change.end || state.defaultShift.end,
+          };
+          tech.availability[day] = { ...window };
+        }
+
+        tech.overtime.push({ weekday, ...window, multiplier });
+      });
+    });
+
+    context.notes.push(
+      `Overtime on ${days.join(', ')} for ${technicians.length} technician${technicians.length === 1 ? '' : 's'} at ${multiplier}x`
+    );
+  }
+
+  addJobs(context, change) {
+    const { state } = context;
+    const count = parseInt(change.count, 10) || 1;
+    const label = change.label || 'Simulated';
+    const operations =
+      Array.isArray(change.operations) && change.operations.length > 0
+        ? change.operations
+        : DEFAULT_JOB_OPERATIONS;
+    const arriveOverDays = parseFloat(change.arrive_over_days) || 0;
+    const promisedDays =
+      parseFloat(change.promised_days) || DEFAULT_PROMISED_DAYS;
+    const partsLeadDays = parseFloat(change.parts_lead_days) || 0;
+
+    for (let i = 0; i < count; i += 1) {
+      const arrival = addDays(state.from, (i * arriveOverDays) / count);
+      context.jobs.push({
+        id: `${label}-${i + 1}`,
+        number: `${label}-${i + 1}`,
+        arrival,
+        promised: addDays(arrival, promisedDays),
+        priority: change.priority || 'normal',
+        partsArrival:
+          partsLeadDays > 0 ? addDays(arrival, partsLeadDays) : null,
+        operations,
+        simulated: true,
+      });
+    }
+
+    context.notes.push(
+      `Added ${count} ${label} job${count === 1 ? '' : 's'} promised in ${promisedDays} days`
+    );
+  }
+
+  addBayOutage(context, change) {
+    const { state } = context;
+    const pool = state.bays[change.bay_type];
+    if (!pool) {
+      throw new ValidationError(`Unknown bay type: ${change.bay_type}`);
+    }
+
+    const start = change.start ? new Date(change.start) : state.from;
+    const days = parseFloat(change.days) || 1;
+    const count = Math.min(parseInt(change.count, 10) || 1, pool.names.length);
+
+    pool.names.slice(0, count).forEach(bay => {
+      pool.busy.push({
+        start,
+        end: addDays(start, days),
+        bay,
+        department: null,
+        repairOrderId: null,
+        outage: true,
+      });
+    });
+
+    context.notes.push(
+      `${count} ${change.bay_type.replace('_', ' ')} out of service for ${days} day${days === 1 ? '' : 's'}`
+    );
+  }
+
+  delayParts(context, change) {
+    const days = parseFloat(change.days) || 0;
+    context.jobs.forEach(job => {
+      if (job.partsArrival) {
+        job.partsArrival = addDays(job.partsArrival, days);
+      }
+    });
+    context.notes.push(`Open parts arrive ${days} days later`);
+  }
+
+  // ==========================================
+  // SIMULATION
+  // ==========================================
+
+  /**
+   * Replan every job on a copy of the shop, most urgent and earliest promised
+   * first, and measure the result
+   */
+  simulate(snapshot, scenario, options = {}) {
+    const context = this.applyChanges(snapshot, scenario);
+    const { state } = context;
+
+    const ordered = [...context.jobs].sort((a, b) => this.compareJobs(a, b));
+    const results = ordered.map(job => {
+      const solution = schedulingService.planOperations(state, job.operations, {
+        priority: job.priority,
+        partsConstraints: job.partsArrival
+          ? {
+              active_constraints: true,
+              estimated_parts_arrival: job.partsArrival.getTime(),
+            }
+          : {},
+        customerRequestedDate: job.arrival > state.from ? job.arrival : null,
+        repairOrderId: job.id,
+      });
+
+      return {
+        job,
+        solution,
+        completion: solution.feasible
+          ? new Date(solution.estimated_completion)
+          : null,
+      };
+    });
+
+    const analysis = this.measure(context, results, options);
+
+    return {
+      scenario_name: scenario.name,
+      changes_applied: context.notes,
+      feasible: analysis.unscheduled_ros.length === 0,
+      analysis,
+      recommendations: [],
+    };
+  }
+
+  compareJobs(a, b) {
+    const rank = job => PRIORITY_RANK[job.priority] ?? PRIORITY_RANK.normal;
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+
+    const promised = job =>
+      job.promised ? job.promised.getTime() : Number.MAX_SAFE_INTEGER;
+    if (promised(a) !== promised(b)) return promised(a) - promised(b);
+
+    return a.arrival - b.arrival;
+  }
+
+  measure(context, results, options = {}) {
+    const { state, addedTechnicians } = context;
+    const periodDays = options.periodDays || DEFAULT_PERIOD_DAYS;
+    const period = { start: state.from, end: addDays(state.from, periodDays) };
+    const techById = new Map(state.technicians.map(t => [`${t.id}`, t]));
+
+    const scheduled = results.filter(result => result.completion);
+    const cycleTimes = scheduled.map(
+      result => (result.completion - result.job.arrival) / DAY_MS
+    );
+    const completedInPeriod = scheduled.filter(
+      result => result.completion <= period.end
+    ).length;
+
+    const lateRos = results
+      .filter(
+        result =>
+          result.job.promised &&
+          (!result.completion || result.completion > result.job.promised)
+      )
+      .map(result => ({
+        ro_id: result.job.id,
+        ro_number: result.job.number,
+        promised_date: result.job.promised.toISOString(),
+        projected_completion: result.completion
+          ? result.completion.toISOString()
+          : null,
+        days_late: result.completion
+          ? round((result.completion - result.job.promised) / DAY_MS)
+          : null,
+        simulated: result.job.simulated,
+      }));
+
+    const unscheduledRos = results
+      .filter(result => !result.completion)
+      .map(result => ({
+        ro_id: result.job.id,
+        ro_number: result.job.number,
+        reasons: result.solution.conflicts.map(conflict => conflict.message),
+      }));
+
+    let bookedHours = 0;
+    let overtimeHours = 0;
+    let overtimeCost = 0;
+    results.forEach(result => {
+      result.solution.schedule.forEach(operation => {
+        const tech = techById.get(`${operation.technician_id}`);
+        operation.segments.forEach(segment => {
+          const interval = {
+            start: new Date(segment.start),
+            end: new Date(segment.end),
+          };
+          bookedHours += overlapHours(interval, period);
+
+          (tech?.overtime || [])
+            .filter(window => window.weekday === interval.start.getDay())
+            .forEach(window => {
+              const hours = overlapHours(interval, {
+                start: atTime(interval.start, window.start),
+                end: atTime(interval.start, window.end),
+              });
+              overtimeHours += hours;
+              overtimeCost += hours * tech.hourlyRate * window.multiplier;
+            });
+        });
+      });
+    });
+
+    const capacityHours = state.technicians.reduce(
+      (sum, tech) => sum + this.workingHours(tech, period),
+      0
+    );
+    const addedLaborCost = addedTechnicians.reduce(
+      (sum, tech) => sum + this.workingHours(tech, period) * tech.hourlyRate,
+      0
+    );
+    const completions = scheduled.map(result => result.completion.getTime());
+
+    return {
+      wip_count: results.length,
+      projected_cycle_time_days: round(average(cycleTimes)),
+      max_cycle_time_days: round(
+        cycleTimes.length ? Math.max(...cycleTimes) : 0
+      ),
+      throughput: {
+        period_days: periodDays,
+        completed_ros: completedInPeriod,
+        per_week: round((completedInPeriod / periodDays) * 7),
+      },
+      overtime: { hours: round(overtimeHours), cost: round(overtimeCost) },
+      added_labor_cost: round(addedLaborCost),
+      total_cost: round(overtimeCost + addedLaborCost),
+      late_ro_count: lateRos.length,
+      late_ros: lateRos,
+      on_time_percentage:
+        results.length > 0
+          ? round(((results.length - lateRos.length) / results.length) * 100)
+          : 100,
+      unscheduled_ros: unscheduledRos,
+      utilization_percentage:
+        capacityHours > 0
+          ? round(Math.min(100, (bookedHours / capacityHours) * 100))
+          : 0,
+      estimated_completion_time:
+        completions.length > 0
+          ? new Date(Math.max(...completions)).toISOString()
+          : null,
+    };
+  }
+
+  /**
+   * Shift hours (overtime included, time off excluded) inside the period
+   */
+  workingHours(tech, period) {
+    let hours = 0;
+    let day = new Date(period.start);
+    day.setHours(0, 0, 0, 0);
+
+    while (day < period.end) {
+      const shift = schedulingService.getShift(tech, day);
+      if (shift) {
+        const worked = overlapHours(shift, period);
+        const off = tech.busy
+          .filter(busy => busy.timeOff)
+          .reduce((sum, busy) => sum + overlapHours(busy, shift), 0);
+        hours += Math.max(0, worked - off);
+      }
+      day = addDays(day, 1);
+      day.setHours(0, 0, 0, 0);
+    }
+
+    return hours;
+  }
+
+  // ==========================================
+  // COMPARISON
+  // ==========================================
+
+  compareToBaseline(result, baseline) {
+    const a = result.analysis;
+    const b = baseline.analysis;
+    return {
+      cycle_time_days: round(
+        a.projected_cycle_time_days - b.projected_cycle_time_days
+      ),
+      throughput: a.throughput.completed_ros - b.throughput.completed_ros,
+      overtime_cost: round(a.overtime.cost - b.overtime.cost),
+      total_cost: round(a.total_cost - b.total_cost),
+      late_ros: a.late_ro_count - b.late_ro_count,
+      utilization_percentage: round(
+        a.utilization_percentage - b.utilization_percentage
+      ),
+    };
+  }
+
+  recommend(result, baseline, snapshot) {
+    const { analysis, delta_vs_baseline: delta } = result;
+    const recommendations = [];
+
+    if (analysis.unscheduled_ros.length > 0) {
+      recommendations.push(
+        `${analysis.unscheduled_ros.length} RO(s) cannot be scheduled within ${snapshot.horizonDays} days`
+      );
+    }
+    if (delta.late_ros < 0) {
+      recommendations.push(
+        `${-delta.late_ros} fewer late RO(s) than the current plan`
+      );
+    } else if (delta.late_ros > 0) {
+      recommendations.push(
+        `${delta.late_ros} more RO(s) would miss their promised date`
+      );
+    }
+    if (
+      delta.total_cost > 0 &&
+      delta.late_ros >= 0 &&
+      delta.cycle_time_days >= 0
+    ) {
+      recommendations.push(
+        `Adds $${delta.total_cost} in labor without improving delivery`
+      );
+    }
+    if (analysis.utilization_percentage > 95) {
+      recommendations.push(
+        'Technicians would be booked above 95%; supplements or rework will slip'
+      );
+    } else if (
+      analysis.utilization_percentage < 60 &&
+      result.changes_applied.some(
+        note => note.startsWith('Added') && note.includes('technician')
+      )
+    ) {
+      recommendations.push(
+        'Added technician capacity would be under 60% utilized'
+      );
+    }
+
+    return recommendations;
+  }
+
+  /**
+   * Composite 0-100 score: each metric is scaled between the best and worst
+   * scenario and weighted for the comparison mode
+   */
+  score(results, comparisonMode) {
+    const weights = COMPARISON_WEIGHTS[comparisonMode];
+    const metrics = {
+      cycleTime: {
+        value: r => r.analysis.projected_cycle_time_days,
+        lowerIsBetter: true,
+      },
+      throughput: {
+        value: r => r.analysis.throughput.completed_ros,
+        lowerIsBetter: false,
+      },
+      lateRos: { value: r => r.analysis.late_ro_count, lowerIsBetter: true },
+      cost: { value: r => r.analysis.total_cost, lowerIsBetter: true },
+    };
+
+    results.forEach(result => {
+      result.score = 0;
+    });
+
+    Object.entries(metrics).forEach(([name, metric]) => {
+      const values = results.map(metric.value);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+
+      results.forEach((result, index) => {
+        let scaled = 1;
+        if (max > min) {
+          scaled = (values[index] - min) / (max - min);
+          if (metric.lowerIsBetter) scaled = 1 - scaled;
+        }
+        result.score += weights[name] * scaled * 100;
+      });
+    });
+
+    results.forEach(result => {
+      result.score = round(result.score);
+    });
+  }
+
+  buildComparison(ranked, results, comparisonMode) {
+    const signed = (value, unit) => `${value > 0 ? '+' : ''}${value}${unit}`;
+
+    return {
+      best_scenario: ranked[0]?.scenario_name,
+      comparison_criteria: comparisonMode,
+      key_differences: results.map(result => {
+        const delta = result.delta_vs_baseline;
+        return `${result.scenario_name}: cycle time ${signed(delta.cycle_time_days, ' days')}, ${signed(delta.throughput, '')} ROs completed, ${signed(delta.late_ros, '')} late ROs, ${signed(delta.total_cost, '')} labor cost`;
+      }),
+      trade_offs: results
+        .filter(
+          result =>
+            result.delta_vs_baseline.total_cost > 0 &&
+            result.delta_vs_baseline.late_ros < 0
+        )
+        .map(
+          result =>
+            `${result.scenario_name} spends $${result.delta_vs_baseline.total_cost} to deliver ${-result.delta_vs_baseline.late_ros} more RO(s) on time`
+        ),
+    };
+  }
+}
+
+module.exports = new SchedulingSimulationService();
@@ -0,0 +1,665 @@
+const { Op } = require('sequelize');
+const {
+  SmsConversation,
+  CommunicationLog,
+  CommunicationTemplate,
+  Customer,
+  RepairOrderManagement,
+  VehicleProfile,
+  Shop,
+  User,
+} = require('../database/models');
+const messageDeliveryService = require('./messageDeliveryService');
+const { realtimeService } = require('./realtimeService');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * SMS Conversation Service for CollisionOS
+ * Two-way texting between the shop number and customers, threaded per
+ * repair order so advisors never need to text from a personal phone.
+ *
+ * - Inbound texts go to the shop that owns the number texted, are matched to
+ *   one of its customers by phone number and threaded on their most recent
+ *   open RO (or on the phone number when there is none)
+ * - Messages live in CommunicationLog; the conversation keeps the thread id,
+ *   assignee and unread count
+ * - Replies go out through messageDeliveryService on the same thread
+ * - Quick replies are active CommunicationTemplates tagged `quick_reply`
+ *
+ * Shops are notified with `sms_message_received` / `sms_conversation_updated`
+ * events on their realtime channel.
+ */
+
+// Carrier keywords (CTIA) that withdraw or restore SMS consent
+const OPT_OUT_KEYWORDS = [
+  'STOP',
+  'STOPALL',
+  'UNSUBSCRIBE',
+  'CANCEL',
+  'END',
+  'QUIT',
+];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+const CLOSED_RO_STATUSES = [
+  'completed',
+  'delivered',
+  'invoiced',
+  'paid',
+  'archived',
+  'cancelled',
+];
+const ASSIGNABLE_ROLES = [
+  'estimator',
+  'service_advisor',
+  'manager',
+  'owner',
+  'admin',
+];
+const QUICK_REPLY_TAG = 'quick_reply';
+const PREVIEW_LENGTH = 200;
+
+const digitsOf = phone => `${phone || ''}`.replace(/\D/g, '');
+
+/**
+ * North American numbers to E.164; anything else keeps its digits
+ */
+const normalizePhone = phone => {
+  const digits = digitsOf(phone);
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return digits ? `+${digits}` : null;
+};
+
+const samePhone = (a, b) => {
+  const left = digitsOf(a);
+  const right = digitsOf(b);
+  return left.length >= 10 && left.slice(-10) === right.slice(-10);
+};
+
+const fullName = person =>
+  person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : null;
+
+class SmsConversationService {
+  getAssignableRoles() {
+    return ASSIGNABLE_ROLES;
+  }
+
+  normalizePhone(phone) {
+    return normalizePhone(phone);
+  }
+
+  // ==========================================
+  // MATCHING
+  // ==========================================
+
+  /**
+   * Customers whose phone or mobile is the given number, in one shop or
+   * across shops
+   */
+  async findCustomersByPhone(phone, shopId = null) {
+    const last4 = digitsOf(phone).slice(-4);
+    if (last4.length < 4) return [];
+
+    const candidates = await Customer.findAll({
+      where: {
+        ...(shopId ? { shopId } : {}),
+        [Op.or]: [
+          { phone: { [Op.like]: `%${last4}` } },
+          { mobile: { [Op.like]: `%${last4}` } },
+        ],
+      },
+    });
+    return candidates.filter(
+      customer =>
+        samePhone(customer.mobile, phone) || samePhone(customer.phone, phone)
+    );
+  }
+
+  async findOpenRepairOrder(customerId) {
+    return RepairOrderManagement.findOne({
+      where: {
+        customerId,
+        roStatus: { [Op.notIn]: CLOSED_RO_STATUSES },
+      },
+      order: [['updatedAt', 'DESC']],
+    });
+  }
+
+  /**
+   * The shop that owns the number the customer texted; a single-shop
+   * install owns every number
+   */
+  async findShopForNumber(number) {
+    const shops = await Shop.findAll();
+    return (
+      shops.find(
+        shop =>
+          samePhone(shop.settings?.smsNumber, number) ||
+          samePhone(shop.phone, number)
+      ) || (shops.length === 1 ? shops[0] : null)
+    );
+  }
+
+  /**
+   * Pick the customer and RO an inbound text belongs to, within the shop
+   * that owns the number it was sent to. With several matching customers,
+   * the one with the most recently active open RO wins.
+   */
+  async matchSender(from, to) {
+    const shop = await this.findShopForNumber(to);
+    if (!shop) return null;
+
+    const customers = await this.findCustomersByPhone(from, shop.id);
+    let best = null;
+
+    for (const customer of customers) {
+      const repairOrder = await this.findOpenRepairOrder(customer.id);
+      if (
+        !best ||
+        (repairOrder &&
+          (!best.repairOrder ||
+            new Date(repairOrder.updatedAt) >
+              new Date(best.repairOrder.updatedAt)))
+      ) {
+        best = { customer, repairOrder, shopId: shop.id };
+      }
+    }
+    return best || { customer: null, repairOrder: null, shopId: shop.id };
+  }
+
+  threadIdFor(repairOrder, phone) {
+    return repairOrder
+      ? `ro_${repairOrder.id}_sms`
+      : `phone_${digitsOf(phone)}_sms`;
+  }
+
+  async findOrCreateConversation({ shopId, customer, repairOrder, phone }) {
+    const threadId = this.threadIdFor(repairOrder, phone);
+    const [conversation] = await SmsConversation.findOrCreate({
+      where: { shopId, threadId },
+      defaults: {
+        shopId,
+        threadId,
+        phone,
+        customerId: customer?.id || null,
+        repairOrderId: repairOrder?.id || null,
+      },
+    });
+    return conversation;
+  }
+
+  // ==========================================
+  // INBOUND
+  // ==========================================
+
+  /**
+   * Record a text from a customer (Twilio inbound webhook body)
+   *
+   * @param {Object} payload - { From, To, Body, MessageSid, NumMedia, MediaUrl0.. }
+   * @returns {Object|null} { conversation, message, duplicate } or null when
+   *   no shop owns the number
+   */
+  async receiveInbound(payload) {
+    const phone = normalizePhone(payload.From);
+    if (!phone) {
+      throw new ValidationError('Inbound message has no sender number');
+    }
+
+    if (payload.MessageSid) {
+      const existing = await CommunicationLog.findOne({
+        where: {
+          externalMessageId: payload.MessageSid,
+          externalSystemName: 'twilio',
+        },
+      });
+      if (existing) return { message: existing, duplicate: true };
+    }
+
+    const match = await this.matchSender(phone, payload.To);
+    if (!match) return null;
+    const { customer, repairOrder, shopId } = match;
+
+    const body = `${payload.Body || ''}`.trim();
+    const keyword = body.toUpperCase();
+    await this.applyKeyword(customer, keyword);
+
+    const conversation = await this.findOrCreateConversation({
+      shopId,
+      customer,
+      repairOrder,
+      phone,
+    });
+
+    const mediaCount = parseInt(payload.NumMedia, 10) || 0;
+    const mediaUrls = Array.from(
+      { length: mediaCount },
+      (_, index) => payload[`MediaUrl${index}`]
+    ).filter(Boolean);
+
+    const message = await CommunicationLog.create({
+      shopId,
+      customerId: customer?.id || null,
+      repairOrderId: repairOrder?.id || conversation.repairOrderId,
+      communicationType: 'inbound',
+      channel: 'sms',
+      direction: 'received',
+      recipientType: 'customer',
+      recipientName: fullName(customer),
+      recipientPhone: phone,
+      senderName: fullName(customer) || phone,
+      messageContent: body,
+      attachments: mediaUrls.map(url => ({ url })),
+      status: 'delivered',
+      deliveryStatus: 'delivered',
+      externalMessageId: payload.MessageSid || null,
+      externalSystemName: 'twilio',
+      externalSystemData: { to: payload.To },
+      threadId: conversation.threadId,
+      optOutReceived: OPT_OUT_KEYWORDS.includes(keyword),
+    });
+
+    await this.markLastOutboundReplied(conversation, body);
+    await conversation.update({
+      status: 'open',
+      unreadCount: (conversation.unreadCount || 0) + 1,
+      lastMessageAt: new Date(),
+      lastInboundAt: new Date(),
+      lastMessagePreview: (body || `${mediaCount} attachment(s)`).substring(
+        0,
+        PREVIEW_LENGTH
+      ),
+    });
+
+    realtimeService.emitToShop(shopId, 'sms_message_received', {
+      conversation_id: conversation.id,
+      repair_order_id: conversation.repairOrderId,
+      customer_name: fullName(customer) || phone,
+      preview: conversation.lastMessagePreview,
+      unread_count: conversation.unreadCount,
+      assigned_to: conversation.assignedTo,
+    });
+
+    return { conversation, message, duplicate: false };
+  }
+
+  /**
+   * STOP withdraws SMS consent and only START, UNSTOP or YES restores it;
+   * any other reply leaves consent as it is
+   */
+  async applyKeyword(customer, keyword) {
+    if (!customer) return;
+
+    let smsOptIn;
+    if (OPT_OUT_KEYWORDS.includes(keyword)) smsOptIn = false;
+    else if (OPT_IN_KEYWORDS.includes(keyword)) smsOptIn = true;
+    else return;
+
+    if (customer.smsOptIn !== smsOptIn) {
+      await customer.update({ smsOptIn });
+    }
+  }
+
+  async markLastOutboundReplied(conversation, body) {
+    const lastOutbound = await CommunicationLog.findOne({
+      where: {
+        shopId: conversation.shopId,
+        threadId: conversation.threadId,
+        direction: 'sent',
+        status: { [Op.in]: ['sent', 'delivered', 'opened'] },
+      },
+      order: [['createdAt', 'DESC']],
+    });
+    if (lastOutbound) {
+      await lastOutbound.addResponse(body);
+      messageDeliveryService.notifyStatusChange(lastOutbound);
+    }
+  }
+
+  // ==========================================
+  // STAFF VIEWS
+  // ==========================================
+
+  async listConversations(shopId, options = {}) {
+    const {
+      status = 'open',
+      assignedTo,
+      unreadOnly = false,
+      repairOrderId,
+      limit = 100,
+    } = options;
+    const where = { shopId };
+    if (status !== 'all') where.status = status;
+    if (assignedTo === 'unassigned') where.assignedTo = null;
+    else if (assignedTo) where.assignedTo = assignedTo;
+    if (unreadOnly) where.unreadCount = { [Op.gt]: 0 };
+    if (repairOrderId) where.repairOrderId = repairOrderId;
+
+    return SmsConversation.findAll({
+      where,
+      include: this.conversationIncludes(),
+      order: [['lastMessageAt', 'DESC']],
+      limit,
+    });
+  }
+
+  conversationIncludes() {
+    return [
+      { model: Customer, as: 'customer', required: false },
+      {
+        model: RepairOrderManagement,
+        as: 'repairOrder',
+        required: false,
+        attributes: [
+          'id',
+          'repairOrderNumber',
+          'roStatus',
+          'promisedDeliveryDate',
+        ],
+        include: [
+          {
+            model: VehicleProfile,
+            as: 'vehicleProfile',
+            required: false,
+            attributes: ['year', 'make', 'model'],
+          },
+        ],
+      },
+      {
+        model: User,
+        as: 'assignee',
+        required: false,
+        attributes: ['id', 'firstName', 'lastName', 'role'],
+      },
+    ];
+  }
+
+  /**
+   * Unread conversations for the shop and for one staff member
+   */
+  async getUnreadSummary(shopId, userId) {
+    const [total, mine, unreadMessages] = await Promise.all([
+      SmsConversation.count({
+        where: { shopId, status: 'open', unreadCount: { [Op.gt]: 0 } },
+      }),
+      SmsConversation.count({
+        where: {
+          shopId,
+          status: 'open',
+          assignedTo: userId,
+          unreadCount: { [Op.gt]: 0 },
+        },
+      }),
+      SmsConversation.sum('unreadCount', { where: { shopId, status: 'open' } }),
+    ]);
+    return {
+      unread_conversations: total,
+      assigned_to_me: mine,
+      unread_messages: unreadMessages || 0,
+    };
+  }
+
+  async getConversation(shopId, conversationId) {
+    const conversation = await SmsConversation.findOne({
+      where: { id: conversationId, shopId },
+      include: this.conversationIncludes(),
+    });
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found');
+    }
+    return conversation;
+  }
+
+  /**
+   * The conversation's messages, oldest first; opening it clears unread
+   */
+  async getThread(shopId, conversationId, options = {}) {
+    const { markRead = true, userId = null } = options;
+    const conversation = await this.getConversation(shopId, conversationId);
+
+    const messages = await CommunicationLog.findAll({
+      where: { shopId, channel: 'sms', threadId: conversation.threadId },
+      include: [
+        {
+          model: User,
+          as: 'sender',
+          required: false,
+          attributes: ['id', 'firstName', 'lastName'],
+        },
+      ],
+      order: [['createdAt', 'ASC']],
+    });
+
+    if (markRead && conversation.unreadCount > 0) {
+      await conversation.update({
+        unreadCount: 0,
+        lastReadAt: new Date(),
+        lastReadBy: userId,
+      });
+      this.notifyUpdated(conversation);
+    }
+
+    return { conversation, messages };
+  }
+
+  /**
+   * Start (or reopen) the conversation for a repair order's customer
+   */
+  async startForRepairOrder(shopId, repairOrderId) {
+    const repairOrder = await RepairOrderManagement.findOne({
+      where: { id: repairOrderId, shopId },
+      include: [{ model: Customer, as: 'customer', required: false }],
+    });
+    if (!repairOrder) {
+      throw new NotFoundError('Repair order not found');
+    }
+    const phone = normalizePhone(
+      repairOrder.customer?.mobile || repairOrder.customer?.phone
+    );
+    if (!phone) {
+      throw new ValidationError('Customer has no phone number');
+    }
+
+    const conversation = await this.findOrCreateConversation({
+      shopId,
+      customer: repairOrder.customer,
+      repairOrder,
+      phone,
+    });
+    return this.getConversation(shopId, conversation.id);
+  }
+
+  // ==========================================
+  // STAFF ACTIONS
+  // ==========================================
+
+  /**
+   * Text the customer on the conversation's thread
+   *
+   * @param {Object} data - { content } or { template_id, variables }
+   */
+  async reply(shopId, conversationId, data, user) {
+    const conversation = await this.getConversation(shopId, conversationId);
+
+    let content = `${data.content || ''}`.trim();
+    if (!content && data.template_id) {
+      const template = await this.findQuickReply(shopId, data.template_id);
+      content = this.renderQuickReply(template, conversation, data.variables);
+    }
+    if (!content) {
+      throw new ValidationError('Message content is required');
+    }
+
+    // Unknown senders can still be answered on the number they texted from
+    const recipient = conversation.customer || {
+      id: null,
+      mobile: conversation.phone,
+      smsOptIn: true,
+    };
+
+    const result = await messageDeliveryService.deliver(
+      'sms',
+      recipient,
+      { content },
+      {
+        shopId,
+        userId: user.userId,
+        repairOrderId: conversation.repairOrderId,
+        templateId: data.template_id || null,
+        threadId: conversation.threadId,
+        category: 'conversation_reply',
+      }
+    );
+
+    await conversation.update({
+      status: 'open',
+      unreadCount: 0,
+      lastReadAt: new Date(),
+      lastReadBy: user.userId,
+      lastMessageAt: new Date(),
+      lastMessagePreview: content.substring(0, PREVIEW_LENGTH),
+    });
+    this.notifyUpdated(conversation);
+
+    return { conversation, delivery: result };
+  }
+
+  async assign(shopId, conversationId, assigneeId) {
+    const conversation = await this.getConversation(shopId, conversationId);
+
+    let assignee = null;
+    if (assigneeId) {
+      assignee = await User.findOne({
+        where: { id: assigneeId, shopId, isActive: true },
+      });
+      if (!assignee || !ASSIGNABLE_ROLES.includes(assignee.role)) {
+        throw new ValidationError(
+          'Conversations can be assigned to estimators, service advisors and managers'
+        );
+      }
+    }
+
+    await conversation.update({
+      assignedTo: assignee ? assignee.id : null,
+      assignedAt: assignee ? new Date() : null,
+    });
+    conversation.assignee = assignee;
+    this.notifyUpdated(conversation);
+
+    return conversation;
+  }
+
+  async setStatus(shopId, conversationId, status) {
+    if (!['open', 'closed'].includes(status)) {
+      throw new ValidationError('status must be open or closed');
+    }
+    const conversation = await this.getConversation(shopId, conversationId);
+    await conversation.update({
+      status,
+      ...(status === 'closed' ? { unreadCount: 0 } : {}),
+    });
+    this.notifyUpdated(conversation);
+    return conversation;
+  }
+
+  async getAssignees(shopId) {
+    return User.findAll({
+      where: { shopId, isActive: true, role: { [Op.in]: ASSIGNABLE_ROLES } },
+      attributes: ['id', 'firstName', 'lastName', 'role'],
+      order: [
+        ['firstName', 'ASC'],
+        ['lastName', 'ASC'],
+      ],
+    });
+  }
+
+  notifyUpdated(conversation) {
+    realtimeService.emitToShop(
+      conversation.shopId,
+      'sms_conversation_updated',
+      {
+        conversation_id: conversation.id,
+        status: conversation.status,
+        unread_count: conversation.unreadCount,
+        assigned_to: conversation.assignedTo,
+      }
+    );
+  }
+
+  // ==========================================
+  // QUICK REPLIES
+  // ==========================================
+
+  async getQuickReplies(shopId) {
+    const templates = await CommunicationTemplate.findAll({
+      where: { shopId, status: 'active', smsTemplate: { [Op.ne]: null } },
+      order: [['templateName', 'ASC']],
+    });
+    return templates.filter(template =>
+      (template.tags || []).includes(QUICK_REPLY_TAG)
+    );
+  }
+
+  async findQuickReply(shopId, templateId) {
+    const template = await CommunicationTemplate.findOne({
+      where: { id: templateId, shopId, status: 'active' },
+    });
+    if (!template || !template.smsTemplate) {
+      throw new NotFoundError('Quick reply not found');
+    }
+    return template;
+  }
+
+  async createQuickReply(shopId, { name, content, category = 'other' }, user) {
+    if (!name || !content) {
+      throw new ValidationError('name and content are required');
+    }
+    return CommunicationTemplate.create({
+      shopId,
+      templateName: name,
+      templateCode: `QR-${Date.now().toString(36).toUpperCase()}`,
+      category,
+      channels: ['sms'],
+      preferredChannel: 'sms',
+      smsTemplate: content,
+      variables: this.extractVariables(content),
+      tags: [QUICK_REPLY_TAG],
+      status: 'active',
+      createdBy: user.userId,
+      updatedBy: user.userId,
+    });
+  }
+
+  extractVariables(content) {
+    return [
+      ...new Set(
+        [...`${content}`.matchAll(/{{(\w+)}}/g)].map(match => match[1])
+      ),
+    ];
+  }
+
+  renderQuickReply(template, conversation, overrides = {}) {
+    const customer = conversation.customer || {};
+    const repairOrder = conversation.repairOrder || {};
+    const vehicle = repairOrder.vehicleProfile || {};
+    const variables = {
+      customer_first_name: customer.firstName,
+      customer_name: fullName(customer),
+      ro_number: repairOrder.repairOrderNumber,
+      vehicle: [vehicle.year, vehicle.make, vehicle.model]
+        .filter(Boolean)
+        .join(' '),
+      promised_date: repairOrder.promisedDeliveryDate
+        ? new Date(repairOrder.promisedDeliveryDate).toLocaleDateString()
+        : null,
+      ...overrides,
+    };
+
+    return template.smsTemplate.replace(
+      /{{(\w+)}}/g,
+      (_, key) => variables[key] ?? ''
+    );
+  }
+}
+
+module.exports = new SmsConversationService();
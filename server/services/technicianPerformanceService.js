@@ -0,0 +1,554 @@
+const { Op } = require('sequelize');
+const {
+  User,
+  Job,
+  LaborTimeEntry,
+  TimeClock,
+  JobStageHistory,
+  TechnicianPerformance,
+} = require('../database/models');
+
+/**
+ * Technician Performance Service for CollisionOS
+ * Computes technician productivity from LaborTimeEntry (flagged and
+ * productive hours), TimeClock (clocked hours) and JobStageHistory (quality
+ * and rework), and stores one TechnicianPerformance row per technician per
+ * reporting period.
+ *
+ * Hour definitions:
+ * - clocked hours:    TimeClock net hours on the shop floor (stored as hoursWorked)
+ * - productive hours: LaborTimeEntry hours worked on jobs
+ * - flagged hours:    LaborTimeEntry billable (book) hours credited to the technician
+ * - efficiency:       flagged / productive
+ * - utilization:      productive / clocked
+ * - productivity:     flagged / clocked
+ */
+
+const TECHNICIAN_ROLES = ['technician', 'lead_tech', 'body_tech', 'paint_tech'];
+const REPORTING_PERIODS = ['daily', 'weekly', 'monthly', 'quarterly', 'annually'];
+const ACTIVE_JOB_EXCLUDED_STATUSES = ['estimate', 'delivered', 'cancelled'];
+const TREND_THRESHOLD = 2; // percentage points before a change counts as a trend
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places);
+  return Math.round((parseFloat(value) || 0) * factor) / factor;
+};
+
+const sum = (rows, getter) =>
+  rows.reduce((total, row) => total + (parseFloat(getter(row)) || 0), 0);
+
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100) : null);
+
+class TechnicianPerformanceService {
+  constructor() {
+    this.technicianRoles = TECHNICIAN_ROLES;
+    this.reportingPeriods = REPORTING_PERIODS;
+  }
+
+  // ==============================================================
+  // ROSTER
+  // ==============================================================
+
+  /**
+   * Technicians for a shop with their current workload
+   * @param {string} shopId - Shop ID
+   * @param {Object} options - { id, includeInactive, limit, offset }
+   */
+  async getRoster(shopId, options = {}) {
+    const { id, includeInactive = false, limit = 50, offset = 0 } = options;
+    const where = { shopId, role: { [Op.in]: TECHNICIAN_ROLES } };
+    if (!includeInactive) where.isActive = true;
+    if (id) where.id = id;
+
+    const technicians = await User.findAll({
+      where,
+      attributes: [
+        'id',
+        'firstName',
+        'lastName',
+        'username',
+        'email',
+        'phone',
+        'role',
+        'employeeId',
+        'department',
+        'avatar',
+        'hourlyRate',
+        'skills',
+        'certifications',
+        'maxJobs',
+        'isActive',
+        'hireDate',
+      ],
+      order: [
+        ['lastName', 'ASC'],
+        ['firstName', 'ASC'],
+      ],
+      limit,
+      offset,
+    });
+
+    if (technicians.length === 0) return [];
+
+    const technicianIds = technicians.map(tech => tech.id);
+    const [activeJobs, openClocks] = await Promise.all([
+      Job.findAll({
+        where: {
+          shopId,
+          assignedTo: { [Op.in]: technicianIds },
+          status: { [Op.notIn]: ACTIVE_JOB_EXCLUDED_STATUSES },
+        },
+        attributes: ['id', 'jobNumber', 'status', 'assignedTo', 'checkInDate', 'targetDeliveryDate'],
+      }),
+      TimeClock.findAll({
+        where: {
+          shopId,
+          technicianId: { [Op.in]: technicianIds },
+          status: { [Op.in]: ['clocked_in', 'on_break'] },
+        },
+        attributes: ['technicianId', 'status', 'clockIn', 'roId'],
+      }),
+    ]);
+
+    return technicians.map(tech => {
+      const jobs = activeJobs.filter(job => job.assignedTo === tech.id);
+      const clock = openClocks.find(entry => entry.technicianId === tech.id);
+      const capacity = tech.maxJobs || 5;
+
+      return {
+        id: tech.id,
+        name: this.getDisplayName(tech),
+        email: tech.email,
+        phone: tech.phone,
+        role: tech.role,
+        employeeId: tech.employeeId,
+        department: tech.department,
+        avatar: tech.avatar,
+        skills: tech.skills || [],
+        certifications: tech.certifications || [],
+        isActive: tech.isActive,
+        hireDate: tech.hireDate,
+        clockStatus: clock ? clock.status : 'clocked_out',
+        clockedInAt: clock ? clock.clockIn : null,
+        workload: {
+          jobsInProgress: jobs.length,
+          capacity,
+          availableSlots: Math.max(0, capacity - jobs.length),
+          status: jobs.length >= capacity ? 'high' : jobs.length >= capacity / 2 ? 'medium' : 'low',
+          jobs: jobs.map(job => ({
+            id: job.id,
+            jobNumber: job.jobNumber,
+            status: job.status,
+            daysActive: job.checkInDate
+              ? Math.max(0, Math.floor((Date.now() - new Date(job.checkInDate)) / 86400000))
+              : 0,
+            targetDeliveryDate: job.targetDeliveryDate,
+          })),
+        },
+      };
+    });
+  }
+
+  // ==============================================================
+  // PERFORMANCE CALCULATION
+  // ==============================================================
+
+  /**
+   * Calculate and store performance for one technician and period
+   * @param {string} shopId - Shop ID
+   * @param {string} technicianId - User ID
+   * @param {Object} options - { period, date, userId }
+   * @returns {Promise<TechnicianPerformance>}
+   */
+  async recordPerformance(shopId, technicianId, options = {}) {
+    const range = this.getPeriodRange(options.period, options.date);
+    const data = await this.loadPerformanceData(shopId, technicianId, range);
+    const metrics = this.computeMetrics(data, range);
+
+    const previous = await TechnicianPerformance.findOne({
+      where: {
+        shopId,
+        technicianId,
+        reportingPeriod: range.reportingPeriod,
+        periodStart: { [Op.lt]: range.periodStart },
+      },
+      order: [['periodStart', 'DESC']],
+    });
+    Object.assign(metrics, this.computeTrends(metrics, previous));
+
+    const existing = await TechnicianPerformance.findOne({
+      where: {
+        shopId,
+        technicianId,
+        reportingPeriod: range.reportingPeriod,
+        periodStart: range.periodStart,
+      },
+    });
+
+    if (existing) {
+      return existing.update({
+        ...metrics,
+        calculatedAt: new Date(),
+        dataVersion: (existing.dataVersion || 1) + 1,
+        updatedBy: options.userId || null,
+      });
+    }
+
+    return TechnicianPerformance.create({
+      shopId,
+      technicianId,
+      ...range,
+      ...metrics,
+      calculatedAt: new Date(),
+      createdBy: options.userId || null,
+    });
+  }
+
+  /**
+   * Recalculate every active technician for a period and rank them
+   * @returns {Promise<TechnicianPerformance[]>} Records sorted by rank
+   */
+  async refreshShopPerformance(shopId, options = {}) {
+    const technicians = await User.findAll({
+      where: { shopId, role: { [Op.in]: TECHNICIAN_ROLES }, isActive: true },
+      attributes: ['id'],
+    });
+
+    const records = [];
+    for (const tech of technicians) {
+      records.push(await this.recordPerformance(shopId, tech.id, options));
+    }
+
+    return this.rankRecords(records);
+  }
+
+  /**
+   * Assign rankInShop/percentileRank by overall score (efficiency as tiebreak)
+   */
+  async rankRecords(records) {
+    const ranked = [...records].sort(
+      (a, b) =>
+        (parseFloat(b.overallScore) || 0) - (parseFloat(a.overallScore) || 0) ||
+        (parseFloat(b.overallEfficiency) || 0) - (parseFloat(a.overallEfficiency) || 0)
+    );
+
+    for (let index = 0; index < ranked.length; index++) {
+      const percentileRank =
+        ranked.length > 1 ? round(((ranked.length - 1 - index) / (ranked.length - 1)) * 100) : 100;
+      await ranked[index].update({ rankInShop: index + 1, percentileRank });
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Stored performance records for a technician, newest first
+   */
+  async getPerformanceHistory(shopId, technicianId, reportingPeriod = 'weekly', limit = 12) {
+    return TechnicianPerformance.findAll({
+      where: { shopId, technicianId, reportingPeriod },
+      order: [['periodStart', 'DESC']],
+      limit,
+    });
+  }
+
+  /**
+   * Team averages from stored records for the same period
+   */
+  async getTeamAverages(shopId, range) {
+    const records = await TechnicianPerformance.findAll({
+      where: {
+        shopId,
+        reportingPeriod: range.reportingPeriod,
+        periodStart: range.periodStart,
+      },
+      attributes: ['overallEfficiency', 'utilizationRate', 'flaggedHours', 'qualityScore'],
+    });
+
+    const avg = field =>
+      records.length ? round(sum(records, record => record[field]) / records.length) : null;
+
+    return {
+      technicians: records.length,
+      overallEfficiency: avg('overallEfficiency'),
+      utilizationRate: avg('utilizationRate'),
+      flaggedHours: avg('flaggedHours'),
+      qualityScore: avg('qualityScore'),
+    };
+  }
+
+  /**
+   * Fetch the raw rows used to compute a technician's period metrics
+   */
+  async loadPerformanceData(shopId, technicianId, range) {
+    const between = { [Op.between]: [range.periodStart, range.periodEnd] };
+
+    const [laborEntries, timeClocks, stageHistory, completedJobs, comebackJobs] = await Promise.all([
+      LaborTimeEntry.findAll({
+        where: { shopId, technicianId, clockIn: between, status: { [Op.ne]: 'cancelled' } },
+        attributes: [
+          'id',
+          'jobId',
+          'clockIn',
+          'clockOut',
+          'hoursWorked',
+          'billableHours',
+          'estimatedHours',
+          'overtimeHours',
+          'laborCost',
+          'billableAmount',
+          'isRework',
+          'workStatus',
+        ],
+        raw: true,
+      }),
+      TimeClock.findAll({
+        where: { shopId, technicianId, clockIn: between, status: { [Op.ne]: 'cancelled' } },
+        attributes: ['id', 'clockIn', 'clockOut', 'totalHours', 'breakHours', 'netHours', 'status'],
+        raw: true,
+      }),
+      JobStageHistory.findAll({
+        where: { shopId, technicianId, stageEndTime: between },
+        attributes: [
+          'id',
+          'jobId',
+          'qualityScore',
+          'firstTimeRight',
+          'reworkRequired',
+          'inspectionCompleted',
+          'materialCost',
+        ],
+        raw: true,
+      }),
+      Job.findAll({
+        where: {
+          shopId,
+          assignedTo: technicianId,
+          status: { [Op.ne]: 'cancelled' },
+          [Op.or]: [
+            { actualDeliveryDate: between },
+            { actualDeliveryDate: null, completionDate: between },
+          ],
+        },
+        attributes: [
+          'id',
+          'startDate',
+          'checkInDate',
+          'completionDate',
+          'actualDeliveryDate',
+          'targetDeliveryDate',
+          'customerSatisfaction',
+        ],
+        raw: true,
+      }),
+      Job.findAll({
+        where: { shopId, assignedTo: technicianId, comeBack: true, comeBackDate: between },
+        attributes: ['id', 'jobNumber', 'comeBackReason', 'comeBackDate'],
+        raw: true,
+      }),
+    ]);
+
+    return { laborEntries, timeClocks, stageHistory, completedJobs, comebackJobs };
+  }
+
+  /**
+   * Turn raw period rows into TechnicianPerformance column values
+   */
+  computeMetrics({ laborEntries, timeClocks, stageHistory, completedJobs, comebackJobs }, range) {
+    const clockedHours = sum(timeClocks, entry => this.getClockedHours(entry));
+    const productiveHours = sum(laborEntries, entry => entry.hoursWorked);
+    const flaggedHours = sum(laborEntries, entry => this.getFlaggedHours(entry));
+    const billableHours = sum(laborEntries, entry => entry.billableHours);
+    const reworkHours = sum(
+      laborEntries.filter(entry => entry.isRework),
+      entry => entry.hoursWorked
+    );
+
+    const laborCostGenerated = sum(laborEntries, entry => entry.laborCost);
+    const revenueGenerated = sum(laborEntries, entry => entry.billableAmount);
+    const materialCostIncurred = sum(stageHistory, entry => entry.materialCost);
+    const profitGenerated = revenueGenerated - laborCostGenerated - materialCostIncurred;
+
+    const daysWorked = new Set(
+      timeClocks.map(entry => new Date(entry.clockIn).toISOString().slice(0, 10))
+    ).size;
+
+    const qualityScores = stageHistory
+      .map(entry => parseFloat(entry.qualityScore))
+      .filter(score => !isNaN(score));
+    const inspected = stageHistory.filter(entry => entry.inspectionCompleted);
+    const reworkCount =
+      stageHistory.filter(entry => entry.reworkRequired).length +
+      laborEntries.filter(entry => entry.isRework).length;
+
+    const completionTimes = completedJobs
+      .map(job => {
+        const end = job.actualDeliveryDate || job.completionDate;
+        const start = job.startDate || job.checkInDate;
+        return end && start ? (new Date(end) - new Date(start)) / 60000 : null;
+      })
+      .filter(minutes => minutes !== null && minutes >= 0);
+    const withTarget = completedJobs.filter(job => job.targetDeliveryDate);
+    const onTime = withTarget.filter(
+      job =>
+        new Date(job.actualDeliveryDate || job.completionDate) <= new Date(job.targetDeliveryDate)
+    );
+
+    const ratings = completedJobs
+      .map(job => parseInt(job.customerSatisfaction, 10))
+      .filter(rating => rating >= 1 && rating <= 5);
+
+    return {
+      hoursWorked: round(clockedHours),
+      productiveHours: round(productiveHours),
+      flaggedHours: round(flaggedHours),
+      billableHours: round(billableHours),
+      overtimeHours: round(sum(laborEntries, entry => entry.overtimeHours)),
+      utilizationRate: percent(productiveHours, clockedHours),
+      overallEfficiency: percent(flaggedHours, productiveHours),
+      averageVelocity: daysWorked ? round(flaggedHours / daysWorked) : null,
+      jobsCompleted: completedJobs.length,
+      stagesCompleted: stageHistory.length,
+      tasksCompleted: laborEntries.filter(entry => entry.clockOut).length,
+      averageJobCompletionTime: completionTimes.length
+        ? Math.round(completionTimes.reduce((a, b) => a + b, 0) / completionTimes.length)
+        : null,
+      onTimeDeliveryRate: percent(onTime.length, withTarget.length),
+      qualityScore: qualityScores.length
+        ? round(qualityScores.reduce((a, b) => a + b, 0) / qualityScores.length, 1)
+        : null,
+      firstTimeRightRate: percent(
+        stageHistory.filter(entry => entry.firstTimeRight !== false && !entry.reworkRequired).length,
+        stageHistory.length
+      ),
+      reworkCount,
+      reworkRate: percent(reworkCount, stageHistory.length + laborEntries.length),
+      inspectionPassRate: percent(
+        inspected.filter(entry => !entry.reworkRequired).length,
+        inspected.length
+      ),
+      customerComplaintCount: comebackJobs.length,
+      laborCostGenerated: round(laborCostGenerated),
+      materialCostIncurred: round(materialCostIncurred),
+      revenueGenerated: round(revenueGenerated),
+      profitGenerated: round(profitGenerated),
+      daysWorked,
+      customerRating: ratings.length
+        ? round(ratings.reduce((a, b) => a + b, 0) / ratings.length, 1)
+        : null,
+      customerFeedbackCount: ratings.length,
+      positiveReviews: ratings.filter(rating => rating >= 4).length,
+      negativeReviews: ratings.filter(rating => rating <= 2).length,
+      metadata: {
+        clockedHours: round(clockedHours),
+        productivity: percent(flaggedHours, clockedHours),
+        reworkHours: round(reworkHours),
+        comebacks: comebackJobs.length,
+        comebackJobs: comebackJobs.map(job => ({
+          id: job.id,
+          jobNumber: job.jobNumber,
+          reason: job.comeBackReason,
+          date: job.comeBackDate,
+        })),
+        sources: {
+          laborEntries: laborEntries.length,
+          timeClockEntries: timeClocks.length,
+          stageHistory: stageHistory.length,
+        },
+      },
+    };
+  }
+
+  /**
+   * Trend flags against the previous stored record for the same period type
+   */
+  computeTrends(metrics, previous) {
+    if (!previous) {
+      return { velocityTrend: 'stable', qualityTrend: 'stable', trendDirection: 'stable' };
+    }
+
+    const trend = (current, prior, threshold = TREND_THRESHOLD) => {
+      if (current === null || prior === null || prior === undefined) return 'stable';
+      const change = parseFloat(current) - parseFloat(prior);
+      if (change > threshold) return 'improving';
+      if (change < -threshold) return 'declining';
+      return 'stable';
+    };
+
+    return {
+      velocityTrend: trend(metrics.averageVelocity, previous.averageVelocity, 0.5),
+      qualityTrend: trend(metrics.qualityScore, previous.qualityScore, 0.2),
+      customerSatisfactionTrend: trend(metrics.customerRating, previous.customerRating, 0.2),
+      trendDirection: trend(metrics.overallEfficiency, previous.overallEfficiency),
+    };
+  }
+
+  // ==============================================================
+  // HELPER METHODS
+  // ==============================================================
+
+  /**
+   * Period boundaries containing the reference date. 'current' maps to weekly.
+   */
+  getPeriodRange(period = 'weekly', date = new Date()) {
+    const reportingPeriod = REPORTING_PERIODS.includes(period) ? period : 'weekly';
+    const periodStart = new Date(date);
+    periodStart.setHours(0, 0, 0, 0);
+    const periodEnd = new Date(periodStart);
+
+    switch (reportingPeriod) {
+      case 'daily':
+        periodEnd.setDate(periodEnd.getDate() + 1);
+        break;
+      case 'weekly':
+        periodStart.setDate(periodStart.getDate() - periodStart.getDay());
+        periodEnd.setTime(periodStart.getTime());
+        periodEnd.setDate(periodEnd.getDate() + 7);
+        break;
+      case 'monthly':
+        periodStart.setDate(1);
+        periodEnd.setTime(periodStart.getTime());
+        periodEnd.setMonth(periodEnd.getMonth() + 1);
+        break;
+      case 'quarterly':
+        periodStart.setMonth(Math.floor(periodStart.getMonth() / 3) * 3, 1);
+        periodEnd.setTime(periodStart.getTime());
+        periodEnd.setMonth(periodEnd.getMonth() + 3);
+        break;
+      case 'annually':
+        periodStart.setMonth(0, 1);
+        periodEnd.setTime(periodStart.getTime());
+        periodEnd.setFullYear(periodEnd.getFullYear() + 1);
+        break;
+    }
+
+    periodEnd.setMilliseconds(periodEnd.getMilliseconds() - 1);
+    return { reportingPeriod, periodStart, periodEnd };
+  }
+
+  getClockedHours(entry) {
+    if (entry.netHours !== null && entry.netHours !== undefined) {
+      return parseFloat(entry.netHours);
+    }
+    if (entry.totalHours !== null && entry.totalHours !== undefined) {
+      return parseFloat(entry.totalHours) - (parseFloat(entry.breakHours) || 0);
+    }
+    if (entry.clockIn && entry.clockOut) {
+      return (new Date(entry.clockOut) - new Date(entry.clockIn)) / 3600000 - (parseFloat(entry.breakHours) || 0);
+    }
+    return 0;
+  }
+
+  getFlaggedHours(entry) {
+    if (entry.billableHours !== null && entry.billableHours !== undefined) {
+      return parseFloat(entry.billableHours);
+    }
+    return parseFloat(entry.estimatedHours) || 0;
+  }
+
+  getDisplayName(user) {
+    return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+  }
+}
+
+module.exports = new TechnicianPerformanceService();
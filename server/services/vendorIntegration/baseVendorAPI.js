@@ -224,6 +224,14 @@ class BaseVendorAPI extends EventEmitter {
     throw new APIError(`processReturn not implemented for ${this.vendorName}`, 501);
   }
   
+  /**
+   * Abstract method: Fetch invoices
+   * Must be implemented by vendor-specific classes
+   */
+  async getInvoices(options = {}) {
+    throw new APIError(`getInvoices not implemented for ${this.vendorName}`, 501);
+  }
+  
   /**
    * Generic API request with rate limiting and error handling
    */
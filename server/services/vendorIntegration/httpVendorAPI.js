@@ -0,0 +1,207 @@
+/**
+ * HTTP Vendor API
+ * Adapter for vendors that expose inventory and pricing as JSON over HTTP.
+ *
+ * The vendor is configured from its Vendor row: apiEndpoint is the base URL,
+ * apiKey is sent as X-API-Key and preferences.api can override the paths:
+ *   { inventoryPath: '/inventory', pricingPath: '/pricing', ordersPath: '/orders',
+ *     returnsPath: '/returns', invoicesPath: '/invoices' }
+ *
+ * Contract (POST, JSON):
+ *   inventoryPath { partNumbers, vehicle } ->
+ *     { items: [{ partNumber, vendorPartNumber, available, quantityAvailable,
+ *                 leadTimeDays, location, status }] }
+ *   pricingPath { partNumbers, quantity } ->
+ *     { quoteNumber, validUntil, items: [{ partNumber, vendorPartNumber,
+ *       description, unitPrice, listPrice, coreCharge, brandType,
+ *       partCondition, warrantyMonths, shippingCost }] }
+ *   ordersPath { poNumber, poDate, shipTo, requestedDeliveryDate, rush,
+ *     notes, lines: [{ lineNumber, partNumber, description, quantity,
+ *     unitPrice }] } ->
+ *     { orderNumber, confirmationNumber, status, lines: [{ partNumber,
+ *       status, quantityConfirmed, quantityBackordered, expectedDate }] }
+ *   returnsPath { returnNumber, poNumber, reason, lines: [{ partNumber,
+ *     quantity, reason }] } ->
+ *     { rmaNumber, status, creditAmount, returnBy }
+ *   invoicesPath { poNumber, since } ->
+ *     { invoices: [{ invoiceNumber, invoiceDate, dueDate, poNumber, tax,
+ *       shipping, total, lines: [{ lineNumber, partNumber, description,
+ *       quantity, unitPrice, extendedPrice }] }] }
+ *
+ * stubVendorServer.js serves the same contract for local testing.
+ */
+
+const BaseVendorAPI = require('./baseVendorAPI');
+
+const toNumber = value =>
+  value === null || value === undefined || value === '' ? null : Number(value);
+
+class HttpVendorAPI extends BaseVendorAPI {
+  constructor(config = {}) {
+    super(config);
+    this.inventoryPath = config.inventoryPath || '/inventory';
+    this.pricingPath = config.pricingPath || '/pricing';
+    this.ordersPath = config.ordersPath || '/orders';
+    this.returnsPath = config.returnsPath || '/returns';
+    this.invoicesPath = config.invoicesPath || '/invoices';
+  }
+
+  /**
+   * Stock and lead time per part number
+   *
+   * @returns {Array} { partNumber, vendorPartNumber, available,
+   *   quantityAvailable, leadTimeDays, location, status, raw }
+   */
+  async checkInventory(partNumbers, options = {}) {
+    const response = await this.makeRequest(
+      this.inventoryPath,
+      'POST',
+      { partNumbers, vehicle: options.vehicle || null },
+      { rateLimitKey: 'inventory' }
+    );
+
+    return this.itemsOf(response).map(item => ({
+      partNumber: item.partNumber,
+      vendorPartNumber: item.vendorPartNumber || item.partNumber,
+      available: Boolean(item.available),
+      quantityAvailable: toNumber(item.quantityAvailable ?? item.quantity),
+      leadTimeDays: toNumber(item.leadTimeDays ?? item.leadTime),
+      location: item.location || null,
+      status: item.status || null,
+      raw: item,
+    }));
+  }
+
+  /**
+   * Quoted price per part number for the quantity
+   *
+   * @returns {Object} { quoteNumber, validUntil, prices: [{ partNumber,
+   *   vendorPartNumber, description, unitPrice, listPrice, corePrice,
+   *   brandType, partCondition, warrantyMonths, shippingCost, raw }] }
+   */
+  async getPartPricing(partNumbers, quantity = 1, options = {}) {
+    const response = await this.makeRequest(
+      this.pricingPath,
+      'POST',
+      { partNumbers, quantity, ...(options.context || {}) },
+      { rateLimitKey: 'pricing' }
+    );
+
+    return {
+      quoteNumber: response.quoteNumber || null,
+      validUntil: response.validUntil || null,
+      prices: this.itemsOf(response)
+        .filter(item => toNumber(item.unitPrice ?? item.price) !== null)
+        .map(item => ({
+          partNumber: item.partNumber,
+          vendorPartNumber: item.vendorPartNumber || item.partNumber,
+          description: item.description || null,
+          unitPrice: toNumber(item.unitPrice ?? item.price),
+          listPrice: toNumber(item.listPrice),
+          corePrice: toNumber(item.coreCharge ?? item.corePrice),
+          brandType: item.brandType || null,
+          partCondition: item.partCondition || null,
+          warrantyMonths: toNumber(item.warrantyMonths),
+          shippingCost: toNumber(item.shippingCost),
+          raw: item,
+        })),
+    };
+  }
+
+  /**
+   * Place a purchase order; the vendor may confirm or backorder each line
+   *
+   * @returns {Object} { orderNumber, confirmationNumber, status, lines:
+   *   [{ partNumber, status, quantityConfirmed, quantityBackordered,
+   *   expectedDate }], raw }
+   */
+  async submitPurchaseOrder(orderData) {
+    const response = await this.makeRequest(
+      this.ordersPath,
+      'POST',
+      orderData,
+      { rateLimitKey: 'orders' }
+    );
+
+    return {
+      orderNumber: response.orderNumber || null,
+      confirmationNumber: response.confirmationNumber || null,
+      status: response.status || 'accepted',
+      lines: (response.lines || []).map(line => ({
+        partNumber: line.partNumber,
+        status: line.status || null,
+        quantityConfirmed: toNumber(line.quantityConfirmed),
+        quantityBackordered: toNumber(line.quantityBackordered),
+        expectedDate: line.expectedDate || null,
+      })),
+      raw: response,
+    };
+  }
+
+  /**
+   * Ask the vendor for a return authorization
+   *
+   * @returns {Object} { rmaNumber, status, creditAmount, returnBy, raw }
+   */
+  async processReturn(returnData) {
+    const response = await this.makeRequest(
+      this.returnsPath,
+      'POST',
+      returnData,
+      { rateLimitKey: 'orders' }
+    );
+
+    return {
+      rmaNumber: response.rmaNumber || null,
+      status: response.status || 'authorized',
+      creditAmount: toNumber(response.creditAmount),
+      returnBy: response.returnBy || null,
+      raw: response,
+    };
+  }
+
+  /**
+   * Invoices billed by the vendor, optionally for one purchase order
+   *
+   * @param {Object} options - { poNumber, since }
+   * @returns {Array} { invoiceNumber, invoiceDate, dueDate, poNumber, tax,
+   *   shipping, total, lines: [{ lineNumber, partNumber, description,
+   *   quantity, unitPrice, extendedPrice }] }
+   */
+  async getInvoices(options = {}) {
+    const response = await this.makeRequest(
+      this.invoicesPath,
+      'POST',
+      { poNumber: options.poNumber || null, since: options.since || null },
+      { rateLimitKey: 'orders' }
+    );
+    const invoices = Array.isArray(response)
+      ? response
+      : response?.invoices || [];
+
+    return invoices.map(invoice => ({
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate || null,
+      dueDate: invoice.dueDate || null,
+      poNumber: invoice.poNumber || null,
+      tax: toNumber(invoice.tax),
+      shipping: toNumber(invoice.shipping),
+      total: toNumber(invoice.total),
+      lines: (invoice.lines || []).map(line => ({
+        lineNumber: toNumber(line.lineNumber),
+        partNumber: line.partNumber,
+        description: line.description || null,
+        quantity: toNumber(line.quantity),
+        unitPrice: toNumber(line.unitPrice),
+        extendedPrice: toNumber(line.extendedPrice),
+      })),
+    }));
+  }
+
+  itemsOf(response) {
+    if (Array.isArray(response)) return response;
+    return response?.items || response?.parts || response?.data || [];
+  }
+}
+
+module.exports = HttpVendorAPI;
@@ -0,0 +1,227 @@
+/**
+ * Purchase Order Formats
+ * Renders the order built by purchaseOrderTransmission as an X12 850
+ * purchase order or a cXML OrderRequest, for vendors that take EDI.
+ *
+ * The order: { poNumber, poDate, roNumber, requestedDeliveryDate, notes,
+ *   shipTo: { name, address, city, state, postalCode, country, phone },
+ *   lines: [{ lineNumber, partNumber, oemPartNumber, description, quantity,
+ *   unitPrice, unitOfMeasure }], totals: { subtotal, total } }
+ *
+ * Identities come from the vendor's preferences.edi:
+ *   { senderId, receiverId, qualifier, sharedSecret, currency }
+ */
+
+const crypto = require('crypto');
+
+const pad = (value, length) => `${value || ''}`.slice(0, length).padEnd(length);
+const twoDigits = value => `${value}`.padStart(2, '0');
+
+const ediDate = (date, long = true) => {
+  const d = new Date(date);
+  const year = long
+    ? `${d.getUTCFullYear()}`
+    : `${d.getUTCFullYear()}`.slice(2);
+  return `${year}${twoDigits(d.getUTCMonth() + 1)}${twoDigits(d.getUTCDate())}`;
+};
+const ediTime = date => {
+  const d = new Date(date);
+  return `${twoDigits(d.getUTCHours())}${twoDigits(d.getUTCMinutes())}`;
+};
+
+// Separators cannot appear inside X12 elements
+const ediText = value => `${value ?? ''}`.replace(/[*~>^\r\n]/g, ' ').trim();
+
+const xmlText = value =>
+  `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const money = value => (Number(value) || 0).toFixed(2);
+
+/**
+ * X12 850 purchase order, one transaction set per interchange
+ *
+ * @param {Object} order
+ * @param {Object} options - { controlNumber, senderId, receiverId, qualifier }
+ * @returns {string}
+ */
+function buildX12Order(order, options = {}) {
+  const now = new Date();
+  const control = `${options.controlNumber || 1}`.padStart(9, '0');
+  const group = `${options.controlNumber || 1}`;
+  const qualifier = options.qualifier || 'ZZ';
+  const sender = ediText(options.senderId || 'COLLISIONOS');
+  const receiver = ediText(options.receiverId || 'VENDOR');
+
+  const body = [
+    ['ST', '850', '0001'],
+    ['BEG', '00', 'SA', ediText(order.poNumber), '', ediDate(order.poDate)],
+  ];
+  if (order.roNumber) body.push(['REF', 'CO', ediText(order.roNumber)]);
+  if (order.requestedDeliveryDate) {
+    body.push(['DTM', '002', ediDate(order.requestedDeliveryDate)]);
+  }
+  if (order.notes) body.push(['MSG', ediText(order.notes).slice(0, 264)]);
+
+  const shipTo = order.shipTo || {};
+  body.push(['N1', 'ST', ediText(shipTo.name)]);
+  if (shipTo.address) body.push(['N3', ediText(shipTo.address)]);
+  body.push([
+    'N4',
+    ediText(shipTo.city),
+    ediText(shipTo.state),
+    ediText(shipTo.postalCode),
+    ediText(shipTo.country || 'US'),
+  ]);
+
+  order.lines.forEach(line => {
+    const po1 = [
+      'PO1',
+      `${line.lineNumber}`,
+      `${line.quantity}`,
+      line.unitOfMeasure || 'EA',
+      money(line.unitPrice),
+      '',
+      'VP',
+      ediText(line.partNumber),
+    ];
+    if (line.oemPartNumber && line.oemPartNumber !== line.partNumber) {
+      po1.push('MG', ediText(line.oemPartNumber));
+    }
+    body.push(po1);
+    if (line.description) {
+      body.push([
+        'PID',
+        'F',
+        '',
+        '',
+        '',
+        ediText(line.description).slice(0, 80),
+      ]);
+    }
+  });
+
+  body.push(['CTT', `${order.lines.length}`]);
+  body.push(['SE', `${body.length + 1}`, '0001']);
+
+  const segments = [
+    [
+      'ISA',
+      '00',
+      pad('', 10),
+      '00',
+      pad('', 10),
+      qualifier,
+      pad(sender, 15),
+      qualifier,
+      pad(receiver, 15),
+      ediDate(now, false),
+      ediTime(now),
+      'U',
+      '00401',
+      control,
+      '0',
+      'P',
+      '>',
+    ],
+    [
+      'GS',
+      'PO',
+      sender,
+      receiver,
+      ediDate(now),
+      ediTime(now),
+      group,
+      'X',
+      '004010',
+    ],
+    ...body,
+    ['GE', '1', group],
+    ['IEA', '1', control],
+  ];
+
+  return segments.map(segment => `${segment.join('*')}~`).join('\n');
+}
+
+/**
+ * cXML 1.2 OrderRequest
+ *
+ * @param {Object} order
+ * @param {Object} options - { senderId, receiverId, sharedSecret, currency }
+ * @returns {string}
+ */
+function buildCxmlOrder(order, options = {}) {
+  const currency = options.currency || 'USD';
+  const shipTo = order.shipTo || {};
+  const credential = identity =>
+    `<Credential domain="NetworkID"><Identity>${xmlText(identity)}</Identity></Credential>`;
+  const sharedSecret = options.sharedSecret
+    ? `<SharedSecret>${xmlText(options.sharedSecret)}</SharedSecret>`
+    : '';
+
+  const items = order.lines
+    .map(
+      line => `      <ItemOut quantity="${line.quantity}" lineNumber="${line.lineNumber}"${
+        order.requestedDeliveryDate
+          ? ` requestedDeliveryDate="${new Date(order.requestedDeliveryDate).toISOString()}"`
+          : ''
+      }>
+        <ItemID>
+          <SupplierPartID>${xmlText(line.partNumber)}</SupplierPartID>${
+            line.oemPartNumber
+              ? `\n          <SupplierPartAuxiliaryID>${xmlText(line.oemPartNumber)}</SupplierPartAuxiliaryID>`
+              : ''
+          }
+        </ItemID>
+        <ItemDetail>
+          <UnitPrice><Money currency="${currency}">${money(line.unitPrice)}</Money></UnitPrice>
+          <Description xml:lang="en">${xmlText(line.description)}</Description>
+          <UnitOfMeasure>${xmlText(line.unitOfMeasure || 'EA')}</UnitOfMeasure>
+        </ItemDetail>
+      </ItemOut>`
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE cXML SYSTEM "http://xml.cxml.org/schemas/cXML/1.2.014/cXML.dtd">
+<cXML payloadID="${Date.now()}.${crypto.randomUUID()}@collisionos" timestamp="${new Date().toISOString()}" xml:lang="en-US">
+  <Header>
+    <From>${credential(options.senderId || 'COLLISIONOS')}</From>
+    <To>${credential(options.receiverId || 'VENDOR')}</To>
+    <Sender>
+      <Credential domain="NetworkID"><Identity>${xmlText(options.senderId || 'COLLISIONOS')}</Identity>${sharedSecret}</Credential>
+      <UserAgent>CollisionOS</UserAgent>
+    </Sender>
+  </Header>
+  <Request deploymentMode="production">
+    <OrderRequest>
+      <OrderRequestHeader orderID="${xmlText(order.poNumber)}" orderDate="${new Date(order.poDate).toISOString()}" type="new">
+        <Total><Money currency="${currency}">${money(order.totals.total)}</Money></Total>
+        <ShipTo>
+          <Address>
+            <Name xml:lang="en">${xmlText(shipTo.name)}</Name>
+            <PostalAddress>
+              <Street>${xmlText(shipTo.address)}</Street>
+              <City>${xmlText(shipTo.city)}</City>
+              <State>${xmlText(shipTo.state)}</State>
+              <PostalCode>${xmlText(shipTo.postalCode)}</PostalCode>
+              <Country isoCountryCode="${xmlText(shipTo.country || 'US')}">${xmlText(shipTo.country || 'US')}</Country>
+            </PostalAddress>
+          </Address>
+        </ShipTo>${
+          order.notes
+            ? `\n        <Comments xml:lang="en">${xmlText(order.notes)}</Comments>`
+            : ''
+        }
+      </OrderRequestHeader>
+${items}
+    </OrderRequest>
+  </Request>
+</cXML>
+`;
+}
+
+module.exports = { buildX12Order, buildCxmlOrder };
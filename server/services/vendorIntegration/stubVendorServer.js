@@ -0,0 +1,214 @@
+/**
+ * Stub Vendor Server
+ * A configurable vendor speaking the HttpVendorAPI contract, for local
+ * testing of quoting without a real supplier account.
+ *
+ * Point a Vendor row at it (integrationType 'api', apiEndpoint
+ * http://localhost:4010) and run scripts/vendor-stub.js.
+ *
+ * Options:
+ * - catalog: { [partNumber]: { unitPrice, listPrice, quantityAvailable,
+ *   leadTimeDays, brandType, partCondition, description, coreCharge,
+ *   vendorPartNumber } }; part numbers are matched without dashes or spaces
+ * - unknownParts: 'not_available' (default) or 'special_order', which quotes
+ *   specialOrderPrice with specialOrderDays lead time
+ * - latencyMs: delay before every response
+ * - failureRate: share of requests answered with 503, 0 to 1
+ * - apiKey: when set, requests without a matching X-API-Key get 401
+ *
+ * Orders confirm what the catalog has on hand and backorder the rest.
+ * Returns are authorized with an RMA and credited at catalog price.
+ * Every order is invoiced for its confirmed quantities at catalog price.
+ */
+
+const express = require('express');
+
+const normalize = partNumber =>
+  `${partNumber || ''}`.replace(/[-\s]/g, '').toUpperCase();
+
+function createStubVendorServer(options = {}) {
+  const catalog = Object.fromEntries(
+    Object.entries(options.catalog || {}).map(([partNumber, item]) => [
+      normalize(partNumber),
+      item,
+    ])
+  );
+  const quoteValidDays = options.quoteValidDays || 7;
+  let quoteCounter = 0;
+  let orderCounter = 0;
+  let returnCounter = 0;
+  const orders = [];
+
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (options.apiKey && req.get('X-API-Key') !== options.apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    setTimeout(() => {
+      if (options.failureRate && Math.random() < options.failureRate) {
+        return res.status(503).json({ error: 'Vendor unavailable' });
+      }
+      next();
+    }, options.latencyMs || 0);
+  });
+
+  const lookup = partNumber => {
+    const item = catalog[normalize(partNumber)];
+    if (item) return item;
+    if (options.unknownParts === 'special_order') {
+      return {
+        quantityAvailable: 0,
+        leadTimeDays: options.specialOrderDays || 10,
+        unitPrice: options.specialOrderPrice ?? null,
+        status: 'special_order',
+      };
+    }
+    return null;
+  };
+
+  app.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+  app.post('/inventory', (req, res) => {
+    const partNumbers = req.body.partNumbers || [];
+    res.json({
+      items: partNumbers.map(partNumber => {
+        const item = lookup(partNumber);
+        const quantity = item ? (item.quantityAvailable ?? 0) : 0;
+        return {
+          partNumber,
+          vendorPartNumber: item?.vendorPartNumber || partNumber,
+          available: quantity > 0,
+          quantityAvailable: quantity,
+          leadTimeDays: item ? (item.leadTimeDays ?? 1) : null,
+          location: item?.location || options.location || null,
+          status: item
+            ? item.status || (quantity > 0 ? 'in_stock' : 'backordered')
+            : 'not_available',
+        };
+      }),
+    });
+  });
+
+  app.post('/pricing', (req, res) => {
+    const partNumbers = req.body.partNumbers || [];
+    quoteCounter += 1;
+    res.json({
+      quoteNumber: `STUB-${Date.now().toString(36).toUpperCase()}-${quoteCounter}`,
+      validUntil: new Date(
+        Date.now() + quoteValidDays * 24 * 60 * 60 * 1000
+      ).toISOString(),
+      items: partNumbers
+        .map(partNumber => ({ partNumber, item: lookup(partNumber) }))
+        .filter(
+          ({ item }) =>
+            item && item.unitPrice !== null && item.unitPrice !== undefined
+        )
+        .map(({ partNumber, item }) => ({
+          partNumber,
+          vendorPartNumber: item.vendorPartNumber || partNumber,
+          description: item.description || null,
+          unitPrice: item.unitPrice,
+          listPrice: item.listPrice ?? null,
+          coreCharge: item.coreCharge ?? null,
+          brandType: item.brandType || options.brandType || 'aftermarket',
+          partCondition: item.partCondition || null,
+          warrantyMonths: item.warrantyMonths ?? null,
+          shippingCost: item.shippingCost ?? options.shippingCost ?? null,
+        })),
+    });
+  });
+
+  app.post('/orders', (req, res) => {
+    const { poNumber, lines } = req.body;
+    if (!poNumber || !Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ error: 'poNumber and lines are required' });
+    }
+    orderCounter += 1;
+    const order = {
+      orderNumber: `SO-${orderCounter}`,
+      confirmationNumber: `CONF-${poNumber}`,
+      status: 'accepted',
+      lines: lines.map(line => {
+        const item = lookup(line.partNumber);
+        const onHand = item ? (item.quantityAvailable ?? 0) : 0;
+        const quantity = line.quantity || 1;
+        const backordered = Math.max(0, quantity - onHand);
+        return {
+          partNumber: line.partNumber,
+          status: backordered > 0 ? 'backordered' : 'confirmed',
+          quantityConfirmed: quantity - backordered,
+          quantityBackordered: backordered,
+          expectedDate: new Date(
+            Date.now() + (item?.leadTimeDays ?? 1) * 24 * 60 * 60 * 1000
+          ).toISOString(),
+        };
+      }),
+    };
+    orders.push({ poNumber, request: lines, order, date: new Date() });
+    res.json(order);
+  });
+
+  app.post('/returns', (req, res) => {
+    const { returnNumber, lines } = req.body;
+    if (!returnNumber || !Array.isArray(lines) || lines.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'returnNumber and lines are required' });
+    }
+    returnCounter += 1;
+    res.json({
+      rmaNumber: `RMA-${returnCounter}`,
+      status: 'authorized',
+      creditAmount: lines.reduce((sum, line) => {
+        const item = lookup(line.partNumber);
+        return sum + (item?.unitPrice ?? 0) * (line.quantity || 1);
+      }, 0),
+      returnBy: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+    });
+  });
+
+  app.post('/invoices', (req, res) => {
+    const { poNumber } = req.body;
+    res.json({
+      invoices: orders
+        .filter(entry => !poNumber || entry.poNumber === poNumber)
+        .map(({ poNumber: orderPo, request, order, date }) => {
+          const invoiceLines = order.lines
+            .map((line, index) => {
+              const item = lookup(line.partNumber);
+              const unitPrice = item?.unitPrice ?? request[index].unitPrice;
+              return {
+                lineNumber: index + 1,
+                partNumber: line.partNumber,
+                description: item?.description || null,
+                quantity: line.quantityConfirmed,
+                unitPrice,
+                extendedPrice: unitPrice * line.quantityConfirmed,
+              };
+            })
+            .filter(line => line.quantity > 0);
+          return {
+            invoiceNumber: `INV-${order.orderNumber}`,
+            invoiceDate: date.toISOString(),
+            dueDate: new Date(
+              date.getTime() + 30 * 24 * 60 * 60 * 1000
+            ).toISOString(),
+            poNumber: orderPo,
+            tax: 0,
+            shipping: 0,
+            total: invoiceLines.reduce(
+              (sum, line) => sum + line.extendedPrice,
+              0
+            ),
+            lines: invoiceLines,
+          };
+        }),
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createStubVendorServer };
@@ -0,0 +1,84 @@
+/**
+ * Vendor Adapters
+ * Builds the BaseVendorAPI adapter for each Vendor row that quotes over an
+ * API, so sourcing can ask every connected supplier the same way.
+ *
+ * A vendor quotes when integrationType is 'api' and apiEndpoint is set.
+ * preferences.api selects and configures the adapter:
+ *   { adapter: 'http', inventoryPath, pricingPath, timeout }
+ * Supplier-specific adapters register under their own type.
+ */
+
+const { Op } = require('sequelize');
+const { Vendor } = require('../../database/models');
+const HttpVendorAPI = require('./httpVendorAPI');
+
+class VendorAdapters {
+  constructor() {
+    this.adapterTypes = { http: HttpVendorAPI };
+    this.instances = new Map();
+  }
+
+  register(type, AdapterClass) {
+    this.adapterTypes[type] = AdapterClass;
+  }
+
+  canQuote(vendor) {
+    return Boolean(
+      vendor &&
+        vendor.isActive !== false &&
+        vendor.integrationType === 'api' &&
+        vendor.apiEndpoint
+    );
+  }
+
+  /**
+   * Adapter for a vendor, reused until the vendor row changes
+   */
+  getAdapter(vendor) {
+    if (!this.canQuote(vendor)) return null;
+
+    const config = vendor.preferences?.api || {};
+    const AdapterClass = this.adapterTypes[config.adapter || 'http'];
+    if (!AdapterClass) return null;
+
+    const key = `${vendor.id}:${new Date(vendor.updatedAt || 0).getTime()}`;
+    if (!this.instances.has(key)) {
+      this.instances.set(
+        key,
+        new AdapterClass({
+          ...config,
+          vendorName: vendor.name,
+          vendorId: vendor.id,
+          vendorType: vendor.vendorType,
+          baseURL: vendor.apiEndpoint,
+          apiKey: vendor.apiKey,
+        })
+      );
+    }
+    return this.instances.get(key);
+  }
+
+  /**
+   * The shop's active vendors that can be asked for a quote
+   */
+  async findQuotingVendors(shopId) {
+    const vendors = await Vendor.findAll({
+      where: {
+        shopId,
+        isActive: true,
+        vendorStatus: 'active',
+        integrationType: 'api',
+        apiEndpoint: { [Op.ne]: null },
+      },
+      order: [['name', 'ASC']],
+    });
+    return vendors.filter(vendor => this.getAdapter(vendor));
+  }
+
+  clear() {
+    this.instances.clear();
+  }
+}
+
+module.exports = new VendorAdapters();
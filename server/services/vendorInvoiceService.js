@@ -0,0 +1,830 @@
+const { Op } = require('sequelize');
+const {
+  VendorInvoice,
+  AdvancedPartsManagement,
+  PurchaseOrderSystem,
+  Vendor,
+} = require('../database/models');
+const vendorAdapters = require('./vendorIntegration/vendorAdapters');
+const { realtimeService } = require('./realtimeService');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errorHandler');
+
+/**
+ * Vendor Invoice Service
+ *
+ * Records vendor invoices (entered by hand, imported from CSV or pulled
+ * through the vendor adapter's getInvoices) and three-way matches every
+ * invoice line against the PO line, the quantity received and the price
+ * invoiced:
+ * - not_on_po: nothing on the purchase order matches the line
+ * - not_received / over_ordered: billed for more than was received, or
+ *   more than was ordered
+ * - price_above_po: unit price above the PO net price beyond the vendor's
+ *   tolerance
+ * - above_estimate: unit cost above the estimate's part price, which is
+ *   what the insurer pays (AdvancedPartsManagement.sellPrice)
+ * - below_target_margin: gross profit under the line's targetMargin
+ *
+ * The first three are billing variances and add to varianceAmount; the
+ * last two flag margin lost on the estimate. Gross profit per part line
+ * (estimate price less invoiced cost, or PO cost until invoiced) feeds the
+ * parts margin analysis.
+ *
+ * Vendor policy comes from vendor.preferences.invoices:
+ *   { priceTolerance } - dollars per unit, defaults to a cent
+ */
+
+const BILLING_VARIANCES = [
+  'not_on_po',
+  'not_received',
+  'over_ordered',
+  'price_above_po',
+];
+const REVIEWED_STATUSES = ['approved', 'disputed'];
+const DEFAULT_PRICE_TOLERANCE = 0.01;
+
+// CSV header aliases, after lowercasing and replacing separators with _
+const CSV_COLUMNS = {
+  invoiceNumber: ['invoice_number', 'invoice_no', 'invoice'],
+  invoiceDate: ['invoice_date', 'date'],
+  dueDate: ['due_date'],
+  poNumber: ['po_number', 'po_no', 'po', 'purchase_order'],
+  lineNumber: ['line_number', 'line_no', 'line'],
+  partNumber: ['part_number', 'part_no', 'part', 'sku'],
+  description: ['description', 'part_description', 'desc'],
+  quantity: ['quantity', 'qty', 'quantity_shipped', 'qty_shipped'],
+  unitPrice: ['unit_price', 'price', 'unit_cost', 'net_price'],
+  extendedPrice: ['extended_price', 'ext_price', 'line_total', 'amount'],
+  tax: ['tax', 'tax_amount'],
+  shipping: ['shipping', 'freight', 'shipping_amount'],
+};
+
+const roundMoney = value => Math.round(value * 100) / 100;
+const normalizePartNumber = value =>
+  `${value || ''}`.replace(/[-\s]/g, '').toUpperCase();
+const toNumber = value =>
+  value === null || value === undefined || value === ''
+    ? null
+    : Number(`${value}`.replace(/[$,]/g, ''));
+
+class VendorInvoiceService {
+  // ==========================================
+  // INVOICE ENTRY
+  // ==========================================
+
+  /**
+   * Record a vendor invoice and match it against its purchase order
+   *
+   * @param {string} shopId
+   * @param {Object} data - { vendorId, invoiceNumber, invoiceDate, dueDate,
+   *   purchaseOrderId | poNumber, lines: [{ lineNumber, partNumber,
+   *   description, quantity, unitPrice, extendedPrice }], tax, shipping,
+   *   total, source, notes }
+   * @param {string} userId
+   * @returns {VendorInvoice}
+   */
+  async recordInvoice(shopId, data, userId = null) {
+    if (!data.vendorId || !data.invoiceNumber) {
+      throw new ValidationError('Vendor and invoice number are required');
+    }
+    const lines = this.normalizeLines(data.lines || []);
+    if (lines.length === 0) {
+      throw new ValidationError('An invoice needs at least one line');
+    }
+
+    const vendor = await Vendor.findOne({
+      where: { id: data.vendorId, shopId },
+    });
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+    const existing = await VendorInvoice.findOne({
+      where: { shopId, vendorId: vendor.id, invoiceNumber: data.invoiceNumber },
+    });
+    if (existing) {
+      throw new ConflictError(
+        `Invoice ${data.invoiceNumber} is already recorded`
+      );
+    }
+    const purchaseOrder = await this.findPurchaseOrder(shopId, vendor, data);
+
+    const subtotal = roundMoney(
+      lines.reduce((sum, line) => sum + line.extendedPrice, 0)
+    );
+    const tax = roundMoney(toNumber(data.tax) || 0);
+    const shipping = roundMoney(toNumber(data.shipping) || 0);
+
+    const invoice = await VendorInvoice.create({
+      shopId,
+      vendorId: vendor.id,
+      purchaseOrderId: purchaseOrder?.id || null,
+      invoiceNumber: data.invoiceNumber,
+      invoiceDate: data.invoiceDate || new Date(),
+      dueDate: data.dueDate || null,
+      source: data.source || 'manual',
+      status: 'pending',
+      lines,
+      subtotalAmount: subtotal,
+      taxAmount: tax,
+      shippingAmount: shipping,
+      totalAmount: roundMoney(
+        toNumber(data.total) ?? subtotal + tax + shipping
+      ),
+      notes: data.notes || null,
+      createdBy: userId,
+    });
+
+    await this.reconcile(invoice, purchaseOrder, vendor);
+
+    realtimeService.emitToShop(shopId, 'parts_update', {
+      action: 'vendor_invoice_recorded',
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoiceNumber,
+      vendor_name: vendor.name,
+      status: invoice.status,
+      variance_count: invoice.varianceCount,
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Import invoices from a CSV export, one row per invoice line. Rows are
+   * grouped by invoice number; a file without that column is one invoice.
+   *
+   * @param {string} csvText
+   * @param {Object} defaults - { vendorId, invoiceNumber, purchaseOrderId,
+   *   poNumber } for values the file does not carry
+   * @returns {Object} { invoices, errors: [{ invoiceNumber, message }] }
+   */
+  async importCsv(shopId, csvText, defaults = {}, userId = null) {
+    const [header, ...rows] = parseCsv(csvText).filter(row =>
+      row.some(cell => cell.trim() !== '')
+    );
+    if (!header || rows.length === 0) {
+      throw new ValidationError('The CSV file has no invoice lines');
+    }
+    const columns = mapColumns(header);
+    const required = {
+      partNumber: 'part number',
+      quantity: 'quantity',
+      unitPrice: 'unit price',
+    };
+    Object.entries(required).forEach(([field, label]) => {
+      if (columns[field] === undefined) {
+        throw new ValidationError(`The CSV file has no ${label} column`);
+      }
+    });
+    if (columns.invoiceNumber === undefined && !defaults.invoiceNumber) {
+      throw new ValidationError('The CSV file has no invoice number column');
+    }
+
+    const groups = new Map();
+    rows.forEach(row => {
+      const value = key =>
+        columns[key] === undefined ? '' : `${row[columns[key]] ?? ''}`.trim();
+      const invoiceNumber = value('invoiceNumber') || defaults.invoiceNumber;
+      if (!groups.has(invoiceNumber)) {
+        groups.set(invoiceNumber, {
+          invoiceNumber,
+          invoiceDate: value('invoiceDate') || null,
+          dueDate: value('dueDate') || null,
+          poNumber: value('poNumber') || defaults.poNumber || null,
+          tax: null,
+          shipping: null,
+          lines: [],
+        });
+      }
+      const group = groups.get(invoiceNumber);
+      // Invoice totals repeat on every row of the export
+      group.tax = group.tax ?? toNumber(value('tax'));
+      group.shipping = group.shipping ?? toNumber(value('shipping'));
+      group.lines.push({
+        lineNumber: toNumber(value('lineNumber')),
+        partNumber: value('partNumber'),
+        description: value('description') || null,
+        quantity: toNumber(value('quantity')),
+        unitPrice: toNumber(value('unitPrice')),
+        extendedPrice: toNumber(value('extendedPrice')),
+      });
+    });
+
+    const invoices = [];
+    const errors = [];
+    for (const group of groups.values()) {
+      try {
+        invoices.push(
+          await this.recordInvoice(
+            shopId,
+            {
+              ...group,
+              vendorId: defaults.vendorId,
+              purchaseOrderId: group.poNumber ? null : defaults.purchaseOrderId,
+              source: 'csv',
+            },
+            userId
+          )
+        );
+      } catch (error) {
+        errors.push({
+          invoiceNumber: group.invoiceNumber,
+          message: error.message,
+        });
+      }
+    }
+    return { invoices, errors };
+  }
+
+  /**
+   * Pull invoices the vendor has issued through its API, optionally for
+   * one purchase order; invoices already recorded are skipped
+   *
+   * @param {Object} options - { vendorId, purchaseOrderId, since }
+   * @returns {Object} { invoices, skipped, errors }
+   */
+  async importFromVendor(shopId, options = {}, userId = null) {
+    const vendor = await Vendor.findOne({
+      where: { id: options.vendorId, shopId },
+    });
+    if (!vendor) {
+      throw new NotFoundError('Vendor not found');
+    }
+    const adapter = vendorAdapters.getAdapter(vendor);
+    if (!adapter) {
+      throw new ValidationError(`${vendor.name} is not connected by API`);
+    }
+    const purchaseOrder = options.purchaseOrderId
+      ? await this.findPurchaseOrder(shopId, vendor, options)
+      : null;
+
+    const vendorInvoices = await adapter.getInvoices({
+      poNumber: purchaseOrder?.purchaseOrderNumber,
+      since: options.since,
+    });
+
+    const invoices = [];
+    const skipped = [];
+    const errors = [];
+    for (const vendorInvoice of vendorInvoices) {
+      const existing = await VendorInvoice.findOne({
+        where: {
+          shopId,
+          vendorId: vendor.id,
+          invoiceNumber: vendorInvoice.invoiceNumber,
+        },
+      });
+      if (existing) {
+        skipped.push(vendorInvoice.invoiceNumber);
+        continue;
+      }
+      try {
+        invoices.push(
+          await this.recordInvoice(
+            shopId,
+            {
+              ...vendorInvoice,
+              vendorId: vendor.id,
+              purchaseOrderId: vendorInvoice.poNumber
+                ? null
+                : purchaseOrder?.id,
+              source: 'api',
+            },
+            userId
+          )
+        );
+      } catch (error) {
+        errors.push({
+          invoiceNumber: vendorInvoice.invoiceNumber,
+          message: error.message,
+        });
+      }
+    }
+    return { invoices, skipped, errors };
+  }
+
+  // ==========================================
+  // THREE-WAY MATCH
+  // ==========================================
+
+  /**
+   * Match every invoice line to a line on the purchase order, flag its
+   * variances and record the invoiced margin on the part line
+   */
+  async reconcile(invoice, purchaseOrder, vendor) {
+    const partLines = purchaseOrder
+      ? await AdvancedPartsManagement.findAll({
+          where: { shopId: invoice.shopId, partsOrderId: purchaseOrder.id },
+          order: [['lineNumber', 'ASC']],
+        })
+      : [];
+    const tolerance = parseFloat(
+      vendor.preferences?.invoices?.priceTolerance ?? DEFAULT_PRICE_TOLERANCE
+    );
+
+    const unmatched = [...partLines];
+    const lines = (invoice.lines || []).map(line => {
+      const partLine = this.matchPartLine(line, unmatched);
+      if (partLine) unmatched.splice(unmatched.indexOf(partLine), 1);
+      return this.matchLine(line, partLine, tolerance);
+    });
+
+    const variances = lines.flatMap(line => line.variances);
+    const varianceAmount = roundMoney(
+      variances
+        .filter(variance => BILLING_VARIANCES.includes(variance.type))
+        .reduce((sum, variance) => sum + variance.amount, 0)
+    );
+
+    await invoice.update({
+      lines,
+      status: variances.length > 0 ? 'variance' : 'matched',
+      varianceAmount,
+      varianceCount: variances.length,
+      matchedAt: new Date(),
+    });
+
+    for (const line of lines.filter(l => l.partLineId)) {
+      const partLine = partLines.find(p => `${p.id}` === `${line.partLineId}`);
+      await partLine.update({
+        invoiceNumber: invoice.invoiceNumber,
+        ...(line.grossProfitPercent !== null && {
+          actualMargin: line.grossProfitPercent,
+          marginVariance:
+            partLine.targetMargin !== null &&
+            partLine.targetMargin !== undefined
+              ? roundMoney(
+                  line.grossProfitPercent - parseFloat(partLine.targetMargin)
+                )
+              : null,
+        }),
+      });
+    }
+    if (purchaseOrder && !purchaseOrder.hasInvoice) {
+      await purchaseOrder.update({ hasInvoice: true });
+    }
+
+    return invoice;
+  }
+
+  /**
+   * The PO line for an invoice line: same line number and part number,
+   * then same part number
+   */
+  matchPartLine(line, partLines) {
+    const partNumber = normalizePartNumber(line.partNumber);
+    const samePart = partLines.filter(partLine =>
+      [partLine.vendorPartNumber, partLine.oemPartNumber]
+        .filter(Boolean)
+        .some(number => normalizePartNumber(number) === partNumber)
+    );
+    return (
+      samePart.find(
+        partLine =>
+          line.lineNumber && `${partLine.lineNumber}` === `${line.lineNumber}`
+      ) ||
+      samePart[0] ||
+      null
+    );
+  }
+
+  matchLine(line, partLine, tolerance) {
+    const { lineNumber, partNumber, description, quantity, unitPrice } = line;
+    const base = {
+      lineNumber,
+      partNumber,
+      description,
+      quantity,
+      unitPrice,
+      extendedPrice: line.extendedPrice,
+    };
+    if (!partLine) {
+      return {
+        ...base,
+        partLineId: null,
+        quantityOrdered: null,
+        quantityReceived: null,
+        poUnitPrice: null,
+        estimateUnitPrice: null,
+        grossProfit: null,
+        grossProfitPercent: null,
+        variances: [
+          {
+            type: 'not_on_po',
+            expected: null,
+            actual: quantity,
+            amount: line.extendedPrice,
+          },
+        ],
+      };
+    }
+
+    const quantityOrdered = parseFloat(partLine.quantityOrdered || 0);
+    const quantityReceived = parseFloat(partLine.quantityReceived || 0);
+    const poUnitPrice = toNumber(partLine.netPrice);
+    const estimateUnitPrice = toNumber(partLine.sellPrice);
+    const variances = [];
+
+    if (quantity > quantityReceived) {
+      variances.push({
+        type: quantity > quantityOrdered ? 'over_ordered' : 'not_received',
+        expected: quantityReceived,
+        actual: quantity,
+        amount: roundMoney((quantity - quantityReceived) * unitPrice),
+      });
+    }
+    if (poUnitPrice !== null && unitPrice - poUnitPrice > tolerance) {
+      variances.push({
+        type: 'price_above_po',
+        expected: poUnitPrice,
+        actual: unitPrice,
+        amount: roundMoney((unitPrice - poUnitPrice) * quantity),
+      });
+    }
+
+    let grossProfit = null;
+    let grossProfitPercent = null;
+    if (estimateUnitPrice !== null) {
+      grossProfit = roundMoney((estimateUnitPrice - unitPrice) * quantity);
+      grossProfitPercent =
+        estimateUnitPrice > 0
+          ? roundMoney(
+              ((estimateUnitPrice - unitPrice) / estimateUnitPrice) * 100
+            )
+          : null;
+      if (unitPrice > estimateUnitPrice) {
+        variances.push({
+          type: 'above_estimate',
+          expected: estimateUnitPrice,
+          actual: unitPrice,
+          amount: roundMoney((unitPrice - estimateUnitPrice) * quantity),
+        });
+      }
+    }
+    const targetMargin = toNumber(partLine.targetMargin);
+    if (
+      targetMargin !== null &&
+      grossProfitPercent !== null &&
+      grossProfitPercent < targetMargin
+    ) {
+      variances.push({
+        type: 'below_target_margin',
+        expected: targetMargin,
+        actual: grossProfitPercent,
+        amount: null,
+      });
+    }
+
+    return {
+      ...base,
+      partLineId: partLine.id,
+      quantityOrdered,
+      quantityReceived,
+      poUnitPrice,
+      estimateUnitPrice,
+      grossProfit,
+      grossProfitPercent,
+      variances,
+    };
+  }
+
+  /**
+   * Match again after more parts are received or the PO is corrected
+   */
+  async rematchInvoice(shopId, invoiceId) {
+    const invoice = await this.getInvoice(shopId, invoiceId);
+    if (REVIEWED_STATUSES.includes(invoice.status)) {
+      throw new ConflictError(`Invoice is already ${invoice.status}`);
+    }
+    const vendor = await Vendor.findOne({
+      where: { id: invoice.vendorId, shopId },
+    });
+    const purchaseOrder = invoice.purchaseOrderId
+      ? await PurchaseOrderSystem.findOne({
+          where: { id: invoice.purchaseOrderId, shopId },
+        })
+      : null;
+    return this.reconcile(invoice, purchaseOrder, vendor);
+  }
+
+  // ==========================================
+  // REVIEW
+  // ==========================================
+
+  /**
+   * Approve for payment; invoices with variances need acceptVariances
+   */
+  async approveInvoice(shopId, invoiceId, data = {}, userId = null) {
+    const invoice = await this.getInvoice(shopId, invoiceId);
+    if (REVIEWED_STATUSES.includes(invoice.status)) {
+      throw new ConflictError(`Invoice is already ${invoice.status}`);
+    }
+    if (invoice.status === 'variance' && !data.acceptVariances) {
+      throw new ValidationError(
+        `Invoice has ${invoice.varianceCount} unresolved variances`
+      );
+    }
+    await invoice.update({
+      status: 'approved',
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      notes: data.notes
+        ? this.appendNote(invoice.notes, data.notes)
+        : invoice.notes,
+    });
+    return invoice;
+  }
+
+  /**
+   * Hold the invoice and send the variances back to the vendor
+   */
+  async disputeInvoice(shopId, invoiceId, { reason } = {}, userId = null) {
+    if (!reason) {
+      throw new ValidationError('A dispute reason is required');
+    }
+    const invoice = await this.getInvoice(shopId, invoiceId);
+    if (invoice.status === 'approved') {
+      throw new ConflictError('Invoice is already approved');
+    }
+    await invoice.update({
+      status: 'disputed',
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      notes: this.appendNote(invoice.notes, `Disputed: ${reason}`),
+    });
+
+    realtimeService.emitToShop(shopId, 'parts_update', {
+      action: 'vendor_invoice_disputed',
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoiceNumber,
+      variance_amount: parseFloat(invoice.varianceAmount || 0),
+    });
+
+    return invoice;
+  }
+
+  // ==========================================
+  // GROSS PROFIT
+  // ==========================================
+
+  /**
+   * Gross profit per part line: the estimate's part price against what the
+   * vendor invoiced, or the PO net price until an invoice arrives.
+   * Disputed invoices do not count as cost.
+   *
+   * @param {string} shopId
+   * @param {AdvancedPartsManagement[]} parts
+   * @returns {Array} { part, quantity, estimateUnitPrice, unitCost,
+   *   costSource, sellValue, costValue, grossProfit, grossProfitPercent,
+   *   invoiceNumbers, variances }
+   */
+  async analyzePartLines(shopId, parts) {
+    const purchaseOrderIds = [
+      ...new Set(parts.map(part => part.partsOrderId).filter(Boolean)),
+    ];
+    const invoices = purchaseOrderIds.length
+      ? await VendorInvoice.findAll({
+          where: {
+            shopId,
+            purchaseOrderId: purchaseOrderIds,
+            status: { [Op.ne]: 'disputed' },
+          },
+        })
+      : [];
+
+    const invoiced = new Map();
+    invoices.forEach(invoice => {
+      (invoice.lines || [])
+        .filter(line => line.partLineId)
+        .forEach(line => {
+          const key = `${line.partLineId}`;
+          const entry = invoiced.get(key) || {
+            quantity: 0,
+            cost: 0,
+            invoiceNumbers: [],
+            variances: [],
+          };
+          entry.quantity += line.quantity;
+          entry.cost += line.extendedPrice;
+          entry.invoiceNumbers.push(invoice.invoiceNumber);
+          entry.variances.push(...(line.variances || []));
+          invoiced.set(key, entry);
+        });
+    });
+
+    return parts.map(part => {
+      const invoice = invoiced.get(`${part.id}`);
+      const estimateUnitPrice = toNumber(part.sellPrice);
+      let quantity = parseFloat(part.quantityOrdered || 1);
+      let unitCost = null;
+      let costSource = null;
+      if (invoice && invoice.quantity > 0) {
+        quantity = invoice.quantity;
+        unitCost = roundMoney(invoice.cost / invoice.quantity);
+        costSource = 'invoice';
+      } else if (toNumber(part.netPrice) !== null) {
+        unitCost = toNumber(part.netPrice);
+        costSource = 'purchase_order';
+      }
+
+      const sellValue =
+        estimateUnitPrice !== null
+          ? roundMoney(estimateUnitPrice * quantity)
+          : null;
+      const costValue =
+        unitCost !== null ? roundMoney(unitCost * quantity) : null;
+      const grossProfit =
+        sellValue !== null && costValue !== null
+          ? roundMoney(sellValue - costValue)
+          : null;
+
+      return {
+        part,
+        quantity,
+        estimateUnitPrice,
+        unitCost,
+        costSource,
+        sellValue,
+        costValue,
+        grossProfit,
+        grossProfitPercent:
+          grossProfit !== null && sellValue > 0
+            ? roundMoney((grossProfit / sellValue) * 100)
+            : null,
+        invoiceNumbers: invoice?.invoiceNumbers || [],
+        variances: invoice?.variances || [],
+      };
+    });
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  async getInvoice(shopId, invoiceId, options = {}) {
+    const invoice = await VendorInvoice.findOne({
+      where: { id: invoiceId, shopId },
+      include: options.includeRelations
+        ? [
+            { model: Vendor, as: 'vendor', attributes: ['id', 'name'] },
+            {
+              model: PurchaseOrderSystem,
+              as: 'purchaseOrder',
+              attributes: ['id', 'purchaseOrderNumber', 'poStatus'],
+            },
+          ]
+        : [],
+    });
+    if (!invoice) {
+      throw new NotFoundError('Vendor invoice not found');
+    }
+    return invoice;
+  }
+
+  listInvoices(shopId, filters = {}) {
+    const where = { shopId };
+    if (filters.status) where.status = filters.status;
+    if (filters.vendorId) where.vendorId = filters.vendorId;
+    if (filters.purchaseOrderId) {
+      where.purchaseOrderId = filters.purchaseOrderId;
+    }
+
+    return VendorInvoice.findAll({
+      where,
+      include: [
+        { model: Vendor, as: 'vendor', attributes: ['id', 'name'] },
+        {
+          model: PurchaseOrderSystem,
+          as: 'purchaseOrder',
+          attributes: ['id', 'purchaseOrderNumber'],
+        },
+      ],
+      order: [['invoiceDate', 'DESC']],
+      limit: filters.limit || 100,
+    });
+  }
+
+  /**
+   * The purchase order an invoice bills, by id or PO number; it must be
+   * from the invoicing vendor
+   */
+  async findPurchaseOrder(shopId, vendor, { purchaseOrderId, poNumber }) {
+    if (!purchaseOrderId && !poNumber) return null;
+    const purchaseOrder = await PurchaseOrderSystem.findOne({
+      where: purchaseOrderId
+        ? { id: purchaseOrderId, shopId }
+        : { purchaseOrderNumber: poNumber, shopId },
+    });
+    if (!purchaseOrder) {
+      throw new NotFoundError(
+        `Purchase order ${poNumber || purchaseOrderId} not found`
+      );
+    }
+    if (purchaseOrder.vendorId !== vendor.id) {
+      throw new ValidationError(
+        `Purchase order ${purchaseOrder.purchaseOrderNumber} is not from ${vendor.name}`
+      );
+    }
+    return purchaseOrder;
+  }
+
+  normalizeLines(lines) {
+    return lines.map((line, index) => {
+      const quantity = toNumber(line.quantity);
+      const unitPrice = toNumber(line.unitPrice);
+      const extendedPrice = toNumber(line.extendedPrice);
+      if (!line.partNumber) {
+        throw new ValidationError(`Line ${index + 1} has no part number`);
+      }
+      if (!(quantity > 0)) {
+        throw new ValidationError(
+          `Line ${index + 1} quantity must be positive`
+        );
+      }
+      if (unitPrice === null || Number.isNaN(unitPrice)) {
+        throw new ValidationError(`Line ${index + 1} has no unit price`);
+      }
+      return {
+        lineNumber: toNumber(line.lineNumber) || index + 1,
+        partNumber: line.partNumber,
+        description: line.description || null,
+        quantity,
+        unitPrice,
+        extendedPrice: roundMoney(extendedPrice ?? unitPrice * quantity),
+      };
+    });
+  }
+
+  appendNote(notes, note) {
+    const line = `${new Date().toISOString().split('T')[0]}: ${note}`;
+    return notes ? `${notes}\n${line}` : line;
+  }
+}
+
+/**
+ * Split CSV text into rows of cells; handles quoted cells, doubled quotes
+ * and CRLF line endings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = `${text || ''}`.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Column index for each field from the header row
+ */
+function mapColumns(header) {
+  const names = header.map(name =>
+    name
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_|_$/g, '')
+  );
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  });
+  return columns;
+}
+
+module.exports = new VendorInvoiceService();
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Card,
@@ -42,7 +42,25 @@ import {
   TaskAlt,
   Timeline,
   Insights,
+  Pause,
+  PlayArrow,
+  Cancel,
+  Inventory2,
 } from '@mui/icons-material';
+import bmsBatchService, {
+  ACTIVE_BATCH_STATUSES,
+} from '../../services/bmsBatchService';
+
+const BATCH_POLL_INTERVAL_MS = 5000;
+
+const BATCH_STATUS_COLORS = {
+  created: 'default',
+  processing: 'warning',
+  paused: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'default',
+};
 
 const BMSImportDashboard = ({
   importStatus = 'idle',
@@ -51,10 +69,46 @@ const BMSImportDashboard = ({
   processingStats = {},
   onActionRequired,
   onViewDetails,
+  showBatches = true,
 }) => {
   const theme = useTheme();
   const [expandedSections, setExpandedSections] = useState(new Set());
   const [currentValidation, setCurrentValidation] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [batchError, setBatchError] = useState(null);
+
+  // Batches are persisted server-side, so this also shows batches resumed after a restart
+  const loadBatches = useCallback(async () => {
+    const result = await bmsBatchService.getBatches({ limit: 5 });
+    if (result.success) {
+      setBatches(result.data || []);
+      setBatchError(null);
+    } else {
+      setBatchError(result.error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (showBatches) loadBatches();
+  }, [showBatches, loadBatches]);
+
+  const hasActiveBatch = batches.some(batch =>
+    ACTIVE_BATCH_STATUSES.includes(batch.status)
+  );
+
+  useEffect(() => {
+    if (!showBatches || !hasActiveBatch) return undefined;
+    const timer = setInterval(loadBatches, BATCH_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [showBatches, hasActiveBatch, loadBatches]);
+
+  const handleBatchAction = async (batchId, action) => {
+    const result = await bmsBatchService.controlBatch(batchId, action);
+    if (!result.success) {
+      setBatchError(result.error);
+    }
+    loadBatches();
+  };
 
   // Calculate overall quality score
   const calculateOverallScore = () => {
@@ -282,6 +336,146 @@ const BMSImportDashboard = ({
         </Card>
       </Box>
 
+      {/* Batch Imports */}
+      {showBatches && (batches.length > 0 || batchError) && (
+        <Card
+          sx={{
+            mb: 3,
+            background: `linear-gradient(135deg, ${alpha(theme.palette.background.paper, 0.9)}, ${alpha(theme.palette.background.paper, 0.8)})`,
+            backdropFilter: 'blur(20px)',
+            borderRadius: '20px',
+            border: `1px solid ${alpha(theme.palette.divider, 0.2)}`,
+          }}
+        >
+          <CardContent sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+              <Inventory2 sx={{ color: theme.palette.primary.main }} />
+              <Box>
+                <Typography variant='h6' sx={{ fontWeight: 700 }}>
+                  Batch Imports
+                </Typography>
+                <Typography variant='caption' color='text.secondary'>
+                  Failed files are retried automatically; unfinished batches
+                  resume when the server restarts
+                </Typography>
+              </Box>
+            </Box>
+
+            {batchError && (
+              <Alert severity='error' sx={{ mb: 2 }}>
+                {batchError}
+              </Alert>
+            )}
+
+            <Stack spacing={2}>
+              {batches.map(batch => (
+                <Paper
+                  key={batch.id}
+                  variant='outlined'
+                  sx={{ p: 2, borderRadius: '12px' }}
+                >
+                  <Box
+                    sx={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between',
+                      gap: 1,
+                      mb: 1,
+                    }}
+                  >
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Chip
+                        label={batch.status}
+                        size='small'
+                        color={BATCH_STATUS_COLORS[batch.status] || 'default'}
+                        sx={{ textTransform: 'capitalize', fontWeight: 600 }}
+                      />
+                      <Typography variant='body2'>{batch.message}</Typography>
+                      {batch.resumeCount > 0 && (
+                        <Tooltip title='Resumed after a server restart'>
+                          <Chip
+                            label={`Resumed ×${batch.resumeCount}`}
+                            size='small'
+                            variant='outlined'
+                          />
+                        </Tooltip>
+                      )}
+                    </Box>
+                    <Box>
+                      {batch.status === 'processing' && (
+                        <Tooltip title='Pause batch'>
+                          <IconButton
+                            size='small'
+                            onClick={() => handleBatchAction(batch.id, 'pause')}
+                          >
+                            <Pause fontSize='small' />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {batch.status === 'paused' && (
+                        <Tooltip title='Resume batch'>
+                          <IconButton
+                            size='small'
+                            onClick={() => handleBatchAction(batch.id, 'resume')}
+                          >
+                            <PlayArrow fontSize='small' />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {['created', 'processing', 'paused'].includes(
+                        batch.status
+                      ) && (
+                        <Tooltip title='Cancel batch'>
+                          <IconButton
+                            size='small'
+                            onClick={() => handleBatchAction(batch.id, 'cancel')}
+                          >
+                            <Cancel fontSize='small' />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </Box>
+                  </Box>
+                  <LinearProgress
+                    variant='determinate'
+                    value={batch.progress || 0}
+                    sx={{ height: 6, borderRadius: 3, mb: 1 }}
+                  />
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {batch.files.map(file => (
+                      <Tooltip
+                        key={file.id}
+                        title={
+                          file.error?.message ||
+                          (file.attempts > 1
+                            ? `${file.attempts} attempts`
+                            : file.status)
+                        }
+                      >
+                        <Chip
+                          label={file.fileName}
+                          size='small'
+                          variant='outlined'
+                          color={
+                            file.status === 'completed'
+                              ? 'success'
+                              : file.status === 'failed'
+                                ? 'error'
+                                : file.status === 'retrying'
+                                  ? 'warning'
+                                  : 'default'
+                          }
+                        />
+                      </Tooltip>
+                    ))}
+                  </Box>
+                </Paper>
+              ))}
+            </Stack>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Validation Results */}
       {validationResults.length > 0 && (
         <Box>
@@ -67,7 +67,6 @@ import {
   Star,
   Reply,
   Forward,
-  Archive,
   Delete,
   Search,
   MoreVert,
@@ -84,6 +83,52 @@ import {
   Launch,
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
+import { useSocket } from '../../hooks/useSocket';
+import conversationService, {
+  SMS_MESSAGE_EVENT,
+  SMS_CONVERSATION_EVENT,
+} from '../../services/conversationService';
+
+// API conversation -> shape rendered by the list and thread
+const toConversation = conv => ({
+  id: conv.conversation_id,
+  customerId: conv.customer_id,
+  customerName: conv.customer_name || conv.phone,
+  customerPhone: conv.phone,
+  roId: conv.ro_id,
+  roNumber: conv.ro_number || '',
+  vehicle: conv.vehicle,
+  channel: 'sms',
+  status: conv.status === 'closed' ? 'resolved' : 'active',
+  assignedTo: conv.assigned_to,
+  assignedToName: conv.assigned_to_name,
+  lastMessage: conv.last_message || '',
+  lastMessageTime: conv.last_message_at,
+  unreadCount: conv.unread_count,
+  priority: 'normal',
+  messages: [],
+});
+
+const toMessage = message => ({
+  id: message.message_id,
+  type: message.direction === 'inbound' ? 'incoming' : 'outgoing',
+  channel: 'sms',
+  content: message.content,
+  timestamp: message.created_at,
+  status: message.status === 'opened' ? 'read' : message.status,
+  sentBy: message.sent_by,
+  attachments: message.attachments || [],
+});
+
+const toTemplate = quickReply => ({
+  id: quickReply.template_id,
+  name: quickReply.name,
+  category: quickReply.category,
+  channel: 'sms',
+  subject: '',
+  content: quickReply.content,
+  variables: quickReply.variables,
+});
 
 /**
  * CustomerCommunicationCenter - Multi-channel Customer Engagement
@@ -115,154 +160,92 @@ const CustomerCommunicationCenter = ({
   const [filterChannel, setFilterChannel] = useState('all');
   const [menuAnchor, setMenuAnchor] = useState(null);
 
-  // Mock conversation data
-  const mockConversations = [
-    {
-      id: 'CONV-001',
-      customerId: 'CUST-001',
-      customerName: 'John Smith',
-      customerPhone: '(555) 123-4567',
-      customerEmail: 'john.smith@email.com',
-      roNumber: 'RO-2024-001234',
-      channel: 'sms',
-      status: 'active',
-      lastMessage: 'Thank you for the update! When will the parts arrive?',
-      lastMessageTime: '2024-08-20T14:30:00Z',
-      unreadCount: 2,
-      priority: 'normal',
-      messages: [
-        {
-          id: 'MSG-001',
-          type: 'outgoing',
-          channel: 'sms',
-          content:
-            'Hi John, your vehicle repair is progressing well. The body work is 65% complete.',
-          timestamp: '2024-08-20T10:00:00Z',
-          status: 'delivered',
-          attachments: [],
-        },
-        {
-          id: 'MSG-002',
-          type: 'incoming',
-          channel: 'sms',
-          content: 'Great! How much longer do you think it will take?',
-          timestamp: '2024-08-20T10:15:00Z',
-          status: 'read',
-          attachments: [],
-        },
-        {
-          id: 'MSG-003',
-          type: 'outgoing',
-          channel: 'sms',
-          content:
-            "We're waiting on the front bumper to arrive. Expected delivery is Thursday.",
-          timestamp: '2024-08-20T11:00:00Z',
-          status: 'delivered',
-          attachments: [],
-        },
-        {
-          id: 'MSG-004',
-          type: 'incoming',
-          channel: 'sms',
-          content: 'Thank you for the update! When will the parts arrive?',
-          timestamp: '2024-08-20T14:30:00Z',
-          status: 'read',
-          attachments: [],
-        },
-      ],
-    },
-    {
-      id: 'CONV-002',
-      customerId: 'CUST-002',
-      customerName: 'Sarah Johnson',
-      customerPhone: '(555) 234-5678',
-      customerEmail: 'sarah.johnson@email.com',
-      roNumber: 'RO-2024-001235',
-      channel: 'email',
-      status: 'waiting_response',
-      lastMessage: 'Please review and approve the estimate attached.',
-      lastMessageTime: '2024-08-19T16:45:00Z',
-      unreadCount: 0,
-      priority: 'high',
-      messages: [],
-    },
-  ];
-
-  // Mock template data
-  const mockTemplates = [
-    {
-      id: 'TEMP-001',
-      name: 'Work Started',
-      category: 'status_update',
-      channel: 'sms',
-      subject: '',
-      content:
-        "Hi {customer_name}, we've started work on your {vehicle_year} {vehicle_make} {vehicle_model}. We'll keep you updated on our progress.",
-      variables: [
-        'customer_name',
-        'vehicle_year',
-        'vehicle_make',
-        'vehicle_model',
-      ],
-      usage: 45,
-    },
-    {
-      id: 'TEMP-002',
-      name: 'Parts Delay',
-      category: 'delay_notification',
-      channel: 'sms',
-      subject: '',
-      content:
-        "Hi {customer_name}, there's a delay with one of your parts. Expected delivery is now {new_date}. We apologize for any inconvenience.",
-      variables: ['customer_name', 'new_date'],
-      usage: 23,
-    },
-    {
-      id: 'TEMP-003',
-      name: 'Estimate Approval',
-      category: 'approval_request',
-      channel: 'email',
-      subject: 'Estimate Approval Required - RO {ro_number}',
-      content:
-        'Dear {customer_name},\\n\\nPlease review and approve the attached estimate for your {vehicle_year} {vehicle_make} {vehicle_model}.\\n\\nEstimated Total: ${estimate_amount}\\n\\nPlease reply to approve or call us with any questions.',
-      variables: [
-        'customer_name',
-        'ro_number',
-        'vehicle_year',
-        'vehicle_make',
-        'vehicle_model',
-        'estimate_amount',
-      ],
-      usage: 67,
-    },
-    {
-      id: 'TEMP-004',
-      name: 'Ready for Pickup',
-      category: 'completion',
-      channel: 'sms',
-      subject: '',
-      content:
-        'Great news {customer_name}! Your {vehicle_year} {vehicle_make} {vehicle_model} is ready for pickup. Please call us at {shop_phone} to schedule.',
-      variables: [
-        'customer_name',
-        'vehicle_year',
-        'vehicle_make',
-        'vehicle_model',
-        'shop_phone',
-      ],
-      usage: 89,
-    },
-  ];
+  const { socket } = useSocket();
+  const [shopId, setShopId] = useState(null);
+  const [unreadTotal, setUnreadTotal] = useState(0);
+  const [assignees, setAssignees] = useState([]);
+  const [showAssign, setShowAssign] = useState(false);
+  const [showNewQuickReply, setShowNewQuickReply] = useState(false);
+  const [newQuickReply, setNewQuickReply] = useState({ name: '', content: '' });
+  const [sendError, setSendError] = useState(null);
 
-  // Load data
-  useEffect(() => {
-    setConversations(mockConversations);
-    setTemplates(mockTemplates);
-    if (mockConversations.length > 0) {
-      setSelectedConversation(mockConversations[0]);
+  // Load conversations (all statuses; filtered client-side)
+  const loadConversations = useCallback(async () => {
+    const result = await conversationService.getConversations({
+      status: 'all',
+      ...(roId ? { ro_id: roId } : {}),
+    });
+    if (!result.success) return;
+
+    setShopId(result.data.shop_id);
+    setUnreadTotal(result.data.unread_messages);
+    setConversations(prev =>
+      result.data.conversations.map(conv => {
+        const existing = prev.find(item => item.id === conv.conversation_id);
+        return {
+          ...toConversation(conv),
+          messages: existing ? existing.messages : [],
+        };
+      })
+    );
+  }, [roId]);
+
+  const loadQuickReplies = useCallback(async () => {
+    const result = await conversationService.getQuickReplies();
+    if (result.success) {
+      setTemplates(result.data.map(toTemplate));
     }
   }, []);
 
+  // Opening a thread loads its messages and marks it read
+  const openConversation = useCallback(async conversationId => {
+    const result = await conversationService.getThread(conversationId);
+    if (!result.success) return;
+
+    const conversation = {
+      ...toConversation(result.data),
+      messages: result.data.messages.map(toMessage),
+    };
+    setSelectedConversation(conversation);
+    setConversations(prev =>
+      prev.map(conv => (conv.id === conversation.id ? conversation : conv))
+    );
+  }, []);
+
+  // Load data
+  useEffect(() => {
+    loadConversations();
+    loadQuickReplies();
+  }, [loadConversations, loadQuickReplies]);
+
+  // Live updates for inbound texts and assignment changes
+  useEffect(() => {
+    if (!socket || !shopId) return undefined;
+
+    const channel = `shop:${shopId}`;
+    const handleMessage = event => {
+      loadConversations();
+      if (event.conversation_id === selectedConversation?.id) {
+        openConversation(event.conversation_id);
+      }
+    };
+
+    socket.emit('subscribe', channel);
+    socket.on(SMS_MESSAGE_EVENT, handleMessage);
+    socket.on(SMS_CONVERSATION_EVENT, loadConversations);
+    return () => {
+      socket.off(SMS_MESSAGE_EVENT, handleMessage);
+      socket.off(SMS_CONVERSATION_EVENT, loadConversations);
+      socket.emit('unsubscribe', channel);
+    };
+  }, [
+    socket,
+    shopId,
+    selectedConversation?.id,
+    loadConversations,
+    openConversation,
+  ]);
+
   // Filter conversations
   const filteredConversations = useMemo(() => {
     let filtered = [...conversations];
@@ -271,7 +254,7 @@ const CustomerCommunicationCenter = ({
       const term = searchTerm.toLowerCase();
       filtered = filtered.filter(
         conv =>
-          conv.customerName.toLowerCase().includes(term) ||
+          (conv.customerName || '').toLowerCase().includes(term) ||
           conv.roNumber.toLowerCase().includes(term) ||
           conv.lastMessage.toLowerCase().includes(term)
       );
@@ -292,63 +275,60 @@ const CustomerCommunicationCenter = ({
 
   // Handle message send
   const handleSendMessage = useCallback(
-    (content, channel = 'sms', templateData = null) => {
+    async content => {
       if (!selectedConversation || !content.trim()) return;
 
-      const newMessage = {
-        id: `MSG-${Date.now()}`,
+      const pending = {
+        id: `pending-${Date.now()}`,
         type: 'outgoing',
-        channel,
-        content: templateData
-          ? processTemplate(content, templateData)
-          : content,
+        channel: 'sms',
+        content,
         timestamp: new Date().toISOString(),
         status: 'sending',
-        attachments: [...attachments],
+        attachments: [],
       };
-
-      // Update conversation
-      const updatedConversations = conversations.map(conv => {
-        if (conv.id === selectedConversation.id) {
-          return {
-            ...conv,
-            messages: [...conv.messages, newMessage],
-            lastMessage: newMessage.content,
-            lastMessageTime: newMessage.timestamp,
-          };
-        }
-        return conv;
-      });
-
-      setConversations(updatedConversations);
-      setSelectedConversation({
-        ...selectedConversation,
-        messages: [...selectedConversation.messages, newMessage],
-      });
-
-      // Clear form
+      setSelectedConversation(prev => ({
+        ...prev,
+        messages: [...prev.messages, pending],
+      }));
       setMessageText('');
-      setAttachments([]);
-      setShowComposer(false);
-
-      // Simulate message delivery update
-      setTimeout(() => {
-        newMessage.status = 'delivered';
-        setConversations([...updatedConversations]);
-      }, 1000);
+      setSendError(null);
+
+      // An untouched quick reply is rendered server-side with RO details
+      const reply =
+        selectedTemplate && selectedTemplate.content === content
+          ? { template_id: selectedTemplate.id }
+          : { content };
+      setSelectedTemplate('');
+
+      const result = await conversationService.sendReply(
+        selectedConversation.id,
+        reply
+      );
+      if (!result.success) {
+        setSendError(result.error);
+        setSelectedConversation(prev => ({
+          ...prev,
+          messages: prev.messages.map(message =>
+            message.id === pending.id
+              ? { ...message, status: 'failed' }
+              : message
+          ),
+        }));
+        return;
+      }
+
+      await openConversation(selectedConversation.id);
+      loadConversations();
     },
-    [selectedConversation, conversations, attachments]
+    [
+      selectedConversation,
+      selectedTemplate,
+      openConversation,
+      loadConversations,
+    ]
   );
 
-  // Process template variables
-  const processTemplate = (template, data) => {
-    let processed = template;
-    Object.entries(data).forEach(([key, value]) => {
-      processed = processed.replace(new RegExp(`{${key}}`, 'g'), value);
-    });
-    return processed;
-  };
-
   // Handle template selection
   const handleTemplateSelect = template => {
     setSelectedTemplate(template);
@@ -357,6 +337,68 @@ const CustomerCommunicationCenter = ({
     setShowTemplates(false);
   };
 
+  const handleCreateQuickReply = async () => {
+    const result = await conversationService.createQuickReply(newQuickReply);
+    if (result.success) {
+      setNewQuickReply({ name: '', content: '' });
+      setShowNewQuickReply(false);
+      loadQuickReplies();
+    }
+  };
+
+  const handleStatusChange = async status => {
+    setMenuAnchor(null);
+    const result = await conversationService.setConversationStatus(
+      selectedConversation.id,
+      status
+    );
+    if (result.success) {
+      loadConversations();
+      setSelectedConversation(prev => ({
+        ...prev,
+        status: status === 'closed' ? 'resolved' : 'active',
+      }));
+    }
+  };
+
+  const handleOpenAssign = async () => {
+    setMenuAnchor(null);
+    const result = await conversationService.getAssignees();
+    if (result.success) {
+      setAssignees(result.data);
+      setShowAssign(true);
+    }
+  };
+
+  const handleAssign = async userId => {
+    const result = await conversationService.assignConversation(
+      selectedConversation.id,
+      userId
+    );
+    if (result.success) {
+      setShowAssign(false);
+      setSelectedConversation(prev => ({
+        ...prev,
+        assignedTo: result.data.assigned_to,
+        assignedToName: result.data.assigned_to_name,
+      }));
+      loadConversations();
+    }
+  };
+
+  // Start the thread for this RO when the center is opened from one
+  const handleNewMessage = async () => {
+    if (!roId) {
+      setShowComposer(true);
+      return;
+    }
+    const result = await conversationService.startConversation(roId);
+    if (result.success) {
+      await loadConversations();
+      openConversation(result.data.conversation_id);
+    }
+  };
+
   // Get channel icon
   const getChannelIcon = channel => {
     switch (channel) {
@@ -448,9 +490,7 @@ const CustomerCommunicationCenter = ({
               >
                 <MenuItem value='all'>All Status</MenuItem>
                 <MenuItem value='active'>Active</MenuItem>
-                <MenuItem value='waiting_response'>Waiting Response</MenuItem>
                 <MenuItem value='resolved'>Resolved</MenuItem>
-                <MenuItem value='escalated'>Escalated</MenuItem>
               </Select>
             </FormControl>
           </Grid>
@@ -481,7 +521,7 @@ const CustomerCommunicationCenter = ({
             key={conv.id}
             button
             selected={selectedConversation?.id === conv.id}
-            onClick={() => setSelectedConversation(conv)}
+            onClick={() => openConversation(conv.id)}
             sx={{
               borderBottom: 1,
               borderColor: 'divider',
@@ -522,6 +562,7 @@ const CustomerCommunicationCenter = ({
                 <Box>
                   <Typography variant='caption' color='text.secondary'>
                     {conv.roNumber}
+                    {conv.assignedToName && ` • ${conv.assignedToName}`}
                   </Typography>
                   <Typography
                     variant='body2'
@@ -594,6 +635,15 @@ const CustomerCommunicationCenter = ({
                   {selectedConversation.roNumber} •{' '}
                   {selectedConversation.customerPhone}
                 </Typography>
+                {selectedConversation.assignedToName && (
+                  <Chip
+                    icon={<Person />}
+                    label={selectedConversation.assignedToName}
+                    size='small'
+                    variant='outlined'
+                    sx={{ mt: 0.5 }}
+                  />
+                )}
               </Box>
             </Box>
 
@@ -667,9 +717,12 @@ const CustomerCommunicationCenter = ({
                           <Chip
                             key={i}
                             icon={<Attachment />}
-                            label={attachment.name}
+                            label={attachment.name || `Photo ${i + 1}`}
                             size='small'
                             clickable
+                            onClick={() =>
+                              attachment.url && window.open(attachment.url)
+                            }
                           />
                         ))}
                       </Box>
@@ -686,6 +739,7 @@ const CustomerCommunicationCenter = ({
                       <Typography variant='caption' color='text.secondary'>
                         {message.type === 'outgoing' ? 'Sent' : 'Received'} via{' '}
                         {message.channel.toUpperCase()}
+                        {message.sentBy && ` by ${message.sentBy}`}
                       </Typography>
                       {message.type === 'outgoing' &&
                         getMessageStatusIcon(message.status)}
@@ -699,6 +753,11 @@ const CustomerCommunicationCenter = ({
 
         {/* Message Input */}
         <Box sx={{ p: 2, borderTop: 1, borderColor: 'divider' }}>
+          {sendError && (
+            <Typography variant='caption' color='error' sx={{ mb: 1 }}>
+              {sendError}
+            </Typography>
+          )}
           <Grid container spacing={1}>
             <Grid xs>
               <TextField
@@ -712,7 +771,7 @@ const CustomerCommunicationCenter = ({
                 onKeyPress={e => {
                   if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
-                    handleSendMessage(messageText, selectedChannel);
+                    handleSendMessage(messageText);
                   }
                 }}
               />
@@ -738,7 +797,7 @@ const CustomerCommunicationCenter = ({
             <Grid item>
               <Button
                 variant='contained'
-                onClick={() => handleSendMessage(messageText, selectedChannel)}
+                onClick={() => handleSendMessage(messageText)}
                 disabled={!messageText.trim()}
                 startIcon={<Send />}
               >
@@ -754,6 +813,15 @@ const CustomerCommunicationCenter = ({
   // Render templates panel
   const renderTemplates = () => (
     <Grid container spacing={2}>
+      <Grid xs={12}>
+        <Button
+          size='small'
+          startIcon={<Add />}
+          onClick={() => setShowNewQuickReply(true)}
+        >
+          New Quick Reply
+        </Button>
+      </Grid>
       {templates.map(template => (
         <Grid xs={12} sm={6} md={4} key={template.id}>
           <Card
@@ -802,7 +870,7 @@ const CustomerCommunicationCenter = ({
                 }}
               >
                 <Typography variant='caption' color='text.secondary'>
-                  Used {template.usage} times
+                  Quick reply
                 </Typography>
                 <Typography variant='caption' color='text.secondary'>
                   {template.variables.length} variables
@@ -826,9 +894,11 @@ const CustomerCommunicationCenter = ({
           mb: 3,
         }}
       >
-        <Typography variant='h4' sx={{ fontWeight: 600 }}>
-          Customer Communications
-        </Typography>
+        <Badge badgeContent={unreadTotal} color='error'>
+          <Typography variant='h4' sx={{ fontWeight: 600 }}>
+            Customer Communications
+          </Typography>
+        </Badge>
 
         <Box sx={{ display: 'flex', gap: 1 }}>
           <Button
@@ -841,7 +911,7 @@ const CustomerCommunicationCenter = ({
           <Button
             variant='contained'
             startIcon={<Add />}
-            onClick={() => setShowComposer(true)}
+            onClick={handleNewMessage}
           >
             New Message
           </Button>
@@ -858,7 +928,14 @@ const CustomerCommunicationCenter = ({
               onChange={(event, newValue) => setActiveTab(newValue)}
               variant='fullWidth'
             >
-              <Tab icon={<Message />} label='Conversations' />
+              <Tab
+                icon={
+                  <Badge badgeContent={unreadTotal} color='error'>
+                    <Message />
+                  </Badge>
+                }
+                label='Conversations'
+              />
               <Tab icon={<Description />} label='Templates' />
             </Tabs>
 
@@ -879,7 +956,14 @@ const CustomerCommunicationCenter = ({
                 onChange={(event, newValue) => setActiveTab(newValue)}
                 variant='fullWidth'
               >
-                <Tab icon={<Message />} label='Conversations' />
+                <Tab
+                  icon={
+                    <Badge badgeContent={unreadTotal} color='error'>
+                      <Message />
+                    </Badge>
+                  }
+                  label='Conversations'
+                />
                 <Tab icon={<Description />} label='Templates' />
               </Tabs>
 
@@ -905,20 +989,103 @@ const CustomerCommunicationCenter = ({
         open={Boolean(menuAnchor)}
         onClose={() => setMenuAnchor(null)}
       >
-        <MenuItem onClick={() => console.log('Mark as resolved')}>
-          <CheckCircle sx={{ mr: 1 }} fontSize='small' />
-          Mark as Resolved
-        </MenuItem>
-        <MenuItem onClick={() => console.log('Escalate')}>
-          <Warning sx={{ mr: 1 }} fontSize='small' />
-          Escalate
-        </MenuItem>
-        <MenuItem onClick={() => console.log('Archive')}>
-          <Archive sx={{ mr: 1 }} fontSize='small' />
-          Archive
+        {selectedConversation?.status === 'resolved' ? (
+          <MenuItem onClick={() => handleStatusChange('open')}>
+            <Reply sx={{ mr: 1 }} fontSize='small' />
+            Reopen
+          </MenuItem>
+        ) : (
+          <MenuItem onClick={() => handleStatusChange('closed')}>
+            <CheckCircle sx={{ mr: 1 }} fontSize='small' />
+            Mark as Resolved
+          </MenuItem>
+        )}
+        <MenuItem onClick={handleOpenAssign}>
+          <Person sx={{ mr: 1 }} fontSize='small' />
+          Assign to Estimator
         </MenuItem>
       </Menu>
 
+      {/* Assign Dialog */}
+      <Dialog
+        open={showAssign}
+        onClose={() => setShowAssign(false)}
+        maxWidth='xs'
+        fullWidth
+      >
+        <DialogTitle>Assign Conversation</DialogTitle>
+        <DialogContent>
+          <List>
+            {assignees.map(user => (
+              <ListItem
+                key={user.user_id}
+                button
+                selected={selectedConversation?.assignedTo === user.user_id}
+                onClick={() => handleAssign(user.user_id)}
+              >
+                <ListItemIcon>
+                  <Person />
+                </ListItemIcon>
+                <ListItemText
+                  primary={user.name}
+                  secondary={user.role.replace('_', ' ')}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          {selectedConversation?.assignedTo && (
+            <Button onClick={() => handleAssign(null)}>Unassign</Button>
+          )}
+          <Button onClick={() => setShowAssign(false)}>Cancel</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* New Quick Reply Dialog */}
+      <Dialog
+        open={showNewQuickReply}
+        onClose={() => setShowNewQuickReply(false)}
+        maxWidth='sm'
+        fullWidth
+      >
+        <DialogTitle>New Quick Reply</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            label='Name'
+            value={newQuickReply.name}
+            onChange={e =>
+              setNewQuickReply({ ...newQuickReply, name: e.target.value })
+            }
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            label='Message'
+            helperText='Variables: {{customer_first_name}}, {{ro_number}}, {{vehicle}}, {{promised_date}}'
+            value={newQuickReply.content}
+            onChange={e =>
+              setNewQuickReply({ ...newQuickReply, content: e.target.value })
+            }
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShowNewQuickReply(false)}>Cancel</Button>
+          <Button
+            variant='contained'
+            onClick={handleCreateQuickReply}
+            disabled={
+              !newQuickReply.name.trim() || !newQuickReply.content.trim()
+            }
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Templates Dialog */}
       <Dialog
         open={showTemplates}
@@ -958,7 +1125,7 @@ const CustomerCommunicationCenter = ({
           color='primary'
           aria-label='new message'
           sx={{ position: 'fixed', bottom: 16, right: 16 }}
-          onClick={() => setShowComposer(true)}
+          onClick={handleNewMessage}
         >
           <Add />
         </Fab>
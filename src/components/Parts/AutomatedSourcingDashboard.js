@@ -109,6 +109,64 @@ const SOURCING_STATUSES = {
   }
 };
 
+// Sourcing request statuses as shown on the dashboard
+const REQUEST_STATUS_MAP = {
+  pending: 'initiated',
+  in_progress: 'searching',
+  quotes_received: 'evaluating',
+  analyzed: 'manual_review',
+  approved: 'completed',
+  ordered: 'completed',
+  timeout: 'failed',
+  cancelled: 'failed',
+  failed: 'failed'
+};
+
+const toDashboardRequest = (request) => {
+  const recommended = request.quotes.find(quote => quote.id === request.selected_quote_id);
+  return {
+    id: request.id,
+    requestNumber: request.request_number,
+    partNumber: request.part_number,
+    partDescription: request.part_description,
+    status: REQUEST_STATUS_MAP[request.status] || 'initiated',
+    priority: request.priority,
+    initiatedAt: request.requested_at,
+    completedAt: request.completed_at,
+    vendorResponses: request.quotes_received || 0,
+    bestPrice: request.best_price,
+    potentialSavings: request.potential_savings,
+    confidence: recommended?.overall_score || 0,
+    roNumber: request.ro_number,
+    selectedQuoteId: request.selected_quote_id,
+    lastError: request.last_error,
+    vendorComparisons: request.quotes.map(quote => ({
+      quoteId: quote.id,
+      vendor: quote.vendor_name,
+      price: quote.unit_price,
+      delivery: quote.lead_time_days !== null ? `${quote.lead_time_days} days` : quote.availability_status,
+      score: quote.overall_score || 0,
+      selected: quote.id === request.selected_quote_id
+    }))
+  };
+};
+
+const toDashboardAnalytics = (summary) => ({
+  totalRequests: summary.total_requests || 0,
+  successRate: summary.success_rate || 0,
+  costSavingsToday: summary.savings_today || 0,
+  avgResponseTime: summary.avg_processing_seconds !== null && summary.avg_processing_seconds !== undefined
+    ? `${Math.round(summary.avg_processing_seconds / 6) / 10} min`
+    : '0m',
+  vendorPerformance: (summary.vendor_performance || []).map(vendor => ({
+    vendor: vendor.vendor,
+    score: vendor.avg_score || 0,
+    quotes: vendor.quotes,
+    fillRate: vendor.fill_rate,
+    recommended: vendor.recommended
+  }))
+});
+
 const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
   const theme = useTheme();
   const { socket, isConnected } = useSocket();
@@ -144,52 +202,19 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
   // Load initial data
   useEffect(() => {
     loadSourcingData();
-    loadAnalytics();
   }, [jobId, filters]);
 
   const loadSourcingData = async () => {
     setLoading(true);
     try {
-      // Sample data - replace with actual API call
-      const sampleRequests = [
-        {
-          id: 'SR-001',
-          partNumber: 'TOY-52119-06903',
-          partDescription: 'Front Bumper Cover',
-          status: 'evaluating',
-          priority: 'high',
-          initiatedAt: new Date(Date.now() - 30 * 60 * 1000),
-          estimatedCompletion: new Date(Date.now() + 15 * 60 * 1000),
-          vendorResponses: 5,
-          bestPrice: 285.00,
-          potentialSavings: 165.00,
-          confidence: 92,
-          roNumber: 'RO-2024-001',
-          automationDecision: 'recommend',
-          vendorComparisons: [
-            { vendor: 'OEM Direct', price: 450.00, delivery: '3-5 days', score: 85 },
-            { vendor: 'PartsTrader', price: 285.00, delivery: '1-2 days', score: 95 },
-            { vendor: 'LKQ Recycled', price: 175.00, delivery: '2-3 days', score: 78 }
-          ]
-        },
-        {
-          id: 'SR-002',
-          partNumber: 'HON-71501-S5A-A00',
-          partDescription: 'Right Headlight Assembly',
-          status: 'completed',
-          priority: 'medium',
-          initiatedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
-          completedAt: new Date(Date.now() - 30 * 60 * 1000),
-          vendorResponses: 3,
-          selectedPrice: 320.00,
-          potentialSavings: 95.00,
-          confidence: 88,
-          roNumber: 'RO-2024-002',
-          automationDecision: 'auto_approved'
-        }
-      ];
-
-      setSourcingRequests(sampleRequests);
+      const response = await partsService.getSourcingRequests({
+        ro_id: jobId,
+        date_range: parseInt(filters.dateRange, 10) || 7
+      });
+      const { sourcing_requests = [], analytics: summary = {} } = response.data || {};
+
+      setSourcingRequests(sourcing_requests.map(toDashboardRequest));
+      setAnalytics(toDashboardAnalytics(summary));
     } catch (error) {
       console.error('Failed to load sourcing data:', error);
     } finally {
@@ -197,32 +222,12 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
     }
   };
 
-  const loadAnalytics = async () => {
-    try {
-      // Sample analytics data
-      const sampleAnalytics = {
-        totalRequests: 156,
-        successRate: 94.2,
-        avgSavings: 23.5,
-        avgResponseTime: '4.2 min',
-        automationRate: 87.3,
-        costSavingsToday: 1850.00,
-        costSavingsThisWeek: 12450.00,
-        topVendor: 'PartsTrader',
-        vendorPerformance: [
-          { vendor: 'PartsTrader', score: 95, responseTime: '2.1 min' },
-          { vendor: 'OEM Direct', score: 88, responseTime: '5.4 min' },
-          { vendor: 'LKQ Recycled', score: 82, responseTime: '3.8 min' }
-        ]
-      };
-
-      setAnalytics(sampleAnalytics);
-    } catch (error) {
-      console.error('Failed to load analytics:', error);
-    }
-  };
-
   const handleSourcingUpdate = (data) => {
+    // A new sourcing run: its quotes are on the server
+    if (data.action === 'sourced') {
+      loadSourcingData();
+      return;
+    }
     setSourcingRequests(prev => 
       prev.map(req => req.id === data.id ? { ...req, ...data } : req)
     );
@@ -256,10 +261,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
     try {
       // API call to approve automation decision
       await partsService.approveSourcingDecision(requestId, decision);
-      
-      setSourcingRequests(prev => 
-        prev.map(req => req.id === requestId ? { ...req, status: 'completed' } : req)
-      );
+      await loadSourcingData();
     } catch (error) {
       console.error('Failed to approve decision:', error);
     }
@@ -269,10 +271,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
     try {
       // API call to override automation decision
       await partsService.overrideSourcingDecision(requestId, overrideData);
-      
-      setSourcingRequests(prev => 
-        prev.map(req => req.id === requestId ? { ...req, ...overrideData } : req)
-      );
+      await loadSourcingData();
       
       setOverrideDialog(false);
     } catch (error) {
@@ -423,7 +422,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
                   <TableRow key={request.id} hover>
                     <TableCell>
                       <Typography variant="body2" fontWeight="bold">
-                        {request.id}
+                        {request.requestNumber}
                       </Typography>
                       <Typography variant="caption" color="text.secondary">
                         {request.roNumber}
@@ -481,7 +480,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
                     </TableCell>
                     <TableCell>
                       <Typography variant="caption">
-                        {formatDuration(request.initiatedAt, request.completedAt)}
+                        {formatDuration(new Date(request.initiatedAt), request.completedAt && new Date(request.completedAt))}
                       </Typography>
                     </TableCell>
                     <TableCell>
@@ -575,7 +574,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
               sx={{ mb: 0.5, height: 4, borderRadius: 2 }}
             />
             <Typography variant="caption" color="text.secondary">
-              Avg Response: {vendor.responseTime}
+              {vendor.quotes} quotes, {vendor.fillRate}% in stock, recommended {vendor.recommended}x
             </Typography>
           </Box>
         ))}
@@ -627,7 +626,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
         fullWidth
       >
         <DialogTitle>
-          Sourcing Request Details: {selectedRequest?.id}
+          Sourcing Request Details: {selectedRequest?.requestNumber}
         </DialogTitle>
         <DialogContent>
           {selectedRequest && (
@@ -660,7 +659,7 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
                   </TableHead>
                   <TableBody>
                     {selectedRequest.vendorComparisons?.map((comparison, index) => (
-                      <TableRow key={index}>
+                      <TableRow key={index} selected={comparison.selected}>
                         <TableCell>{comparison.vendor}</TableCell>
                         <TableCell>{formatCurrency(comparison.price)}</TableCell>
                         <TableCell>{comparison.delivery}</TableCell>
@@ -696,16 +695,32 @@ const AutomatedSourcingDashboard = ({ jobId, onSourcingUpdate }) => {
           <Typography gutterBottom>
             Override automation decision for: {selectedRequest?.partNumber}
           </Typography>
-          {/* Override form content would go here */}
+          <Table size="small">
+            <TableBody>
+              {selectedRequest?.vendorComparisons?.map((comparison) => (
+                <TableRow key={comparison.quoteId}>
+                  <TableCell>{comparison.vendor}</TableCell>
+                  <TableCell>{formatCurrency(comparison.price)}</TableCell>
+                  <TableCell>{comparison.delivery}</TableCell>
+                  <TableCell align="right">
+                    <Button
+                      size="small"
+                      disabled={comparison.quoteId === selectedRequest.selectedQuoteId}
+                      onClick={() => handleManualOverride(selectedRequest.id, {
+                        quoteId: comparison.quoteId,
+                        reason: `Manual override: ${comparison.vendor}`
+                      })}
+                    >
+                      Use this quote
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setOverrideDialog(false)}>Cancel</Button>
-          <Button 
-            variant="contained" 
-            onClick={() => handleManualOverride(selectedRequest?.id, {})}
-          >
-            Apply Override
-          </Button>
         </DialogActions>
       </Dialog>
     </Box>
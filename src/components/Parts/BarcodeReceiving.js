@@ -0,0 +1,532 @@
+/**
+ * Barcode Receiving - CollisionOS
+ *
+ * Receiving mode for the parts counter. A scan from a USB/Bluetooth scanner
+ * (keyboard wedge, ends with Enter) or the webcam finds the open PO line,
+ * the part is received into a bin and its bin/RO tag is printed.
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  IconButton,
+  InputAdornment,
+  MenuItem,
+  Chip,
+  Alert,
+  List,
+  ListItemButton,
+  ListItemText,
+  Checkbox,
+  FormControlLabel,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  CircularProgress,
+  Tooltip,
+} from '@mui/material';
+import {
+  QrCodeScanner,
+  CameraAlt,
+  Print,
+  CheckCircle,
+  Inventory,
+} from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import partsService from '../../services/partsService';
+
+const CONDITIONS = [
+  { value: 'good', label: 'Good' },
+  { value: 'damaged', label: 'Damaged' },
+  { value: 'wrong_part', label: 'Wrong Part' },
+];
+
+const CAMERA_FORMATS = [
+  'code_128',
+  'code_39',
+  'upc_a',
+  'ean_13',
+  'qr_code',
+  'data_matrix',
+];
+
+const cameraScanSupported = () =>
+  typeof window !== 'undefined' &&
+  'BarcodeDetector' in window &&
+  !!navigator.mediaDevices?.getUserMedia;
+
+const BarcodeReceiving = ({ purchaseOrderId = null, onReceived }) => {
+  const scanInputRef = useRef(null);
+  const [code, setCode] = useState('');
+  const [scan, setScan] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [receipt, setReceipt] = useState({
+    quantity: 1,
+    condition: 'good',
+    bin_location: '',
+    notes: '',
+  });
+  const [labelFormat, setLabelFormat] = useState('pdf');
+  const [sendToPrinter, setSendToPrinter] = useState(false);
+  const [isLooking, setIsLooking] = useState(false);
+  const [isReceiving, setIsReceiving] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [received, setReceived] = useState([]);
+
+  const focusScan = () => setTimeout(() => scanInputRef.current?.focus(), 0);
+
+  // The scanner types into whatever has focus, so start on the scan field
+  useEffect(() => {
+    scanInputRef.current?.focus();
+  }, []);
+
+  const selectLine = (line, scanned = scan) => {
+    setSelected(line);
+    if (!line) return;
+    const remaining = Math.max(line.quantity_remaining, 0) || 1;
+    setReceipt({
+      quantity: Math.min(scanned?.quantity || remaining, remaining),
+      condition: 'good',
+      bin_location: line.suggested_bin || '',
+      notes: '',
+    });
+  };
+
+  const handleLookup = async value => {
+    const scanned = `${value || ''}`.trim();
+    if (!scanned) return;
+    setIsLooking(true);
+    try {
+      const result = await partsService.lookupReceivingScan(
+        scanned,
+        purchaseOrderId
+      );
+      setScan(result.scan);
+      setLines(result.lines);
+      setCode('');
+      if (result.lines.length === 0) {
+        toast.error(`No open PO line for ${scanned}`);
+        selectLine(null);
+      } else {
+        selectLine(
+          result.lines.find(line => line.quantity_remaining > 0) ||
+            result.lines[0],
+          result.scan
+        );
+      }
+    } catch (error) {
+      toast.error(error.message || 'Scan lookup failed');
+    } finally {
+      setIsLooking(false);
+      focusScan();
+    }
+  };
+
+  const deliverLabel = async partLineId => {
+    const blob = await partsService.getReceivingLabel(partLineId, labelFormat);
+    const url = URL.createObjectURL(blob);
+    if (labelFormat === 'pdf') {
+      window.open(url, '_blank');
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bin-tag-${partLineId}.zpl`;
+      link.click();
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  const handleReceive = async () => {
+    if (!selected) return;
+    if (receipt.condition === 'good' && !receipt.bin_location.trim()) {
+      toast.error('Scan or enter the bin the part goes in');
+      return;
+    }
+    if (receipt.condition !== 'good' && !receipt.notes.trim()) {
+      toast.error('Please add notes for damaged or wrong parts');
+      return;
+    }
+
+    setIsReceiving(true);
+    try {
+      const result = await partsService.receiveScannedPart(
+        selected.part_line_id,
+        {
+          quantity: Number(receipt.quantity),
+          condition: receipt.condition,
+          bin_location: receipt.bin_location.trim() || undefined,
+          notes: receipt.notes || undefined,
+          print_label: sendToPrinter,
+        }
+      );
+      const line = result.data;
+      toast.success(result.message || 'Part received');
+
+      if (line.condition === 'good') {
+        if (line.label_printed) {
+          toast.success('Bin tag sent to the label printer');
+        } else {
+          if (sendToPrinter) {
+            toast.error(line.label_error || 'No label printer set up');
+          }
+          await deliverLabel(line.part_line_id);
+        }
+      }
+
+      setReceived(prev => [line, ...prev].slice(0, 20));
+      setLines([]);
+      setScan(null);
+      setSelected(null);
+      onReceived?.(line);
+    } catch (error) {
+      toast.error(error.message || 'Failed to receive part');
+    } finally {
+      setIsReceiving(false);
+      focusScan();
+    }
+  };
+
+  const handleCameraScan = value => {
+    setCameraOpen(false);
+    handleLookup(value);
+  };
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={7}>
+        <Card>
+          <CardContent>
+            <Typography variant='h6' gutterBottom>
+              Scan to Receive
+            </Typography>
+            <TextField
+              inputRef={scanInputRef}
+              fullWidth
+              value={code}
+              onChange={e => setCode(e.target.value)}
+              onKeyDown={e => e.key === 'Enter' && handleLookup(code)}
+              placeholder='Scan vendor label, part barcode or tracking number'
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position='start'>
+                    <QrCodeScanner />
+                  </InputAdornment>
+                ),
+                endAdornment: (
+                  <InputAdornment position='end'>
+                    {isLooking && <CircularProgress size={20} />}
+                    <Tooltip
+                      title={
+                        cameraScanSupported()
+                          ? 'Scan with camera'
+                          : 'Camera scanning is not supported here'
+                      }
+                    >
+                      <span>
+                        <IconButton
+                          onClick={() => setCameraOpen(true)}
+                          disabled={!cameraScanSupported()}
+                        >
+                          <CameraAlt />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </InputAdornment>
+                ),
+              }}
+            />
+
+            {lines.length > 1 && (
+              <>
+                <Typography variant='subtitle2' sx={{ mt: 2 }}>
+                  {lines.length} open lines match, pick one
+                </Typography>
+                <List dense>
+                  {lines.map(line => (
+                    <ListItemButton
+                      key={line.part_line_id}
+                      selected={selected?.part_line_id === line.part_line_id}
+                      onClick={() => selectLine(line)}
+                    >
+                      <ListItemText
+                        primary={`${line.part_number} - ${line.description || ''}`}
+                        secondary={`PO ${line.po_number || '-'} · ${line.quantity_remaining} of ${line.quantity_ordered} to receive`}
+                      />
+                    </ListItemButton>
+                  ))}
+                </List>
+              </>
+            )}
+
+            {selected && (
+              <Box sx={{ mt: 2 }}>
+                <Box
+                  sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2 }}
+                >
+                  <Typography variant='subtitle1' sx={{ fontWeight: 600 }}>
+                    {selected.part_number}
+                  </Typography>
+                  <Typography variant='body2' color='text.secondary'>
+                    {selected.description}
+                  </Typography>
+                  <Chip
+                    size='small'
+                    label={`PO ${selected.po_number || '-'}`}
+                  />
+                  {selected.quantity_remaining <= 0 && (
+                    <Chip
+                      size='small'
+                      color='warning'
+                      label='Already received'
+                    />
+                  )}
+                </Box>
+                <Grid container spacing={2}>
+                  <Grid item xs={6} sm={3}>
+                    <TextField
+                      label='Quantity'
+                      type='number'
+                      fullWidth
+                      value={receipt.quantity}
+                      inputProps={{ min: 1 }}
+                      onChange={e =>
+                        setReceipt({ ...receipt, quantity: e.target.value })
+                      }
+                    />
+                  </Grid>
+                  <Grid item xs={6} sm={4}>
+                    <TextField
+                      select
+                      label='Condition'
+                      fullWidth
+                      value={receipt.condition}
+                      onChange={e =>
+                        setReceipt({ ...receipt, condition: e.target.value })
+                      }
+                    >
+                      {CONDITIONS.map(option => (
+                        <MenuItem key={option.value} value={option.value}>
+                          {option.label}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={12} sm={5}>
+                    <TextField
+                      label='Bin Location'
+                      fullWidth
+                      value={receipt.bin_location}
+                      disabled={receipt.condition !== 'good'}
+                      helperText={
+                        selected.suggested_bin
+                          ? `Suggested: ${selected.suggested_bin}`
+                          : 'Scan or type the bin'
+                      }
+                      onChange={e =>
+                        setReceipt({ ...receipt, bin_location: e.target.value })
+                      }
+                      onKeyDown={e => e.key === 'Enter' && handleReceive()}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      label='Notes'
+                      fullWidth
+                      value={receipt.notes}
+                      required={receipt.condition !== 'good'}
+                      onChange={e =>
+                        setReceipt({ ...receipt, notes: e.target.value })
+                      }
+                    />
+                  </Grid>
+                </Grid>
+                <Box
+                  sx={{
+                    display: 'flex',
+                    gap: 2,
+                    alignItems: 'center',
+                    mt: 2,
+                    flexWrap: 'wrap',
+                  }}
+                >
+                  <TextField
+                    select
+                    size='small'
+                    label='Tag'
+                    value={labelFormat}
+                    onChange={e => setLabelFormat(e.target.value)}
+                    sx={{ width: 120 }}
+                  >
+                    <MenuItem value='pdf'>PDF</MenuItem>
+                    <MenuItem value='zpl'>ZPL</MenuItem>
+                  </TextField>
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        checked={sendToPrinter}
+                        onChange={e => setSendToPrinter(e.target.checked)}
+                      />
+                    }
+                    label='Send to label printer'
+                  />
+                  <Box sx={{ flexGrow: 1 }} />
+                  <Button
+                    variant='contained'
+                    startIcon={
+                      isReceiving ? (
+                        <CircularProgress size={16} />
+                      ) : (
+                        <CheckCircle />
+                      )
+                    }
+                    disabled={isReceiving}
+                    onClick={handleReceive}
+                  >
+                    Receive
+                  </Button>
+                </Box>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={5}>
+        <Card>
+          <CardContent>
+            <Typography variant='h6' gutterBottom>
+              Received This Session
+            </Typography>
+            {received.length === 0 ? (
+              <Alert severity='info' icon={<Inventory />}>
+                Parts you receive show up here with their bin.
+              </Alert>
+            ) : (
+              <List dense>
+                {received.map((line, index) => (
+                  <ListItemText
+                    key={`${line.part_line_id}-${index}`}
+                    primary={`${line.part_number} × ${line.received_quantity}`}
+                    secondary={
+                      line.condition === 'good'
+                        ? `Bin ${line.bin_location} · PO ${line.po_number || '-'}`
+                        : `${line.condition.replace('_', ' ')} · PO ${line.po_number || '-'}`
+                    }
+                    sx={{ display: 'block', mb: 1 }}
+                  />
+                ))}
+              </List>
+            )}
+            {received.some(line => line.condition === 'good') && (
+              <Button
+                size='small'
+                startIcon={<Print />}
+                onClick={() => deliverLabel(received[0].part_line_id)}
+                disabled={received[0].condition !== 'good'}
+              >
+                Reprint last tag
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <CameraScanDialog
+        open={cameraOpen}
+        onClose={() => {
+          setCameraOpen(false);
+          focusScan();
+        }}
+        onScan={handleCameraScan}
+      />
+    </Grid>
+  );
+};
+
+/**
+ * Webcam scanning through the browser's BarcodeDetector
+ */
+const CameraScanDialog = ({ open, onClose, onScan }) => {
+  const videoRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [error, setError] = useState(null);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let stream;
+    let timer;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        const detector = new window.BarcodeDetector({
+          formats: CAMERA_FORMATS,
+        });
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+        });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detect = async () => {
+          if (stopped) return;
+          try {
+            const codes = await detector.detect(videoRef.current);
+            if (codes.length > 0) {
+              onScanRef.current(codes[0].rawValue);
+              return;
+            }
+          } catch (detectError) {
+            // Frame not ready yet, try the next one
+          }
+          timer = setTimeout(detect, 250);
+        };
+        detect();
+      } catch (cameraError) {
+        setError(cameraError.message || 'Could not open the camera');
+      }
+    };
+    setError(null);
+    start();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth='sm' fullWidth>
+      <DialogTitle>Scan with Camera</DialogTitle>
+      <DialogContent>
+        {error ? (
+          <Alert severity='error'>{error}</Alert>
+        ) : (
+          <Box
+            component='video'
+            ref={videoRef}
+            muted
+            playsInline
+            sx={{ width: '100%', borderRadius: 1, bgcolor: 'black' }}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BarcodeReceiving;
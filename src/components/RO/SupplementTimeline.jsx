@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Stack,
+  Alert,
+  Skeleton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import {
+  AddCircleOutline,
+  RemoveCircleOutline,
+  SwapHoriz,
+  Description,
+} from '@mui/icons-material';
+import roService from '../../services/roService';
+
+const changeConfig = {
+  added: { label: 'Added', color: 'success', icon: AddCircleOutline },
+  removed: { label: 'Removed', color: 'error', icon: RemoveCircleOutline },
+  modified: { label: 'Changed', color: 'warning', icon: SwapHoriz },
+};
+
+const formatCurrency = value =>
+  `${value < 0 ? '-' : ''}$${Math.abs(parseFloat(value || 0)).toFixed(2)}`;
+
+const formatSigned = (value, suffix = '') => {
+  const number = parseFloat(value || 0);
+  return `${number > 0 ? '+' : ''}${number.toFixed(1)}${suffix}`;
+};
+
+/**
+ * Describe what changed on a single line item
+ */
+const describeChange = change => {
+  if (change.item_type === 'labor') {
+    if (change.change_type === 'modified') {
+      return `${change.previous_hours} → ${change.current_hours} hrs`;
+    }
+    return formatSigned(change.hours_change, ' hrs');
+  }
+
+  if (change.change_type === 'modified') {
+    const details = [];
+    if (change.previous_quantity !== null && change.current_quantity !== null) {
+      details.push(`Qty ${change.previous_quantity} → ${change.current_quantity}`);
+    }
+    if (change.previous_price !== null && change.current_price !== null) {
+      details.push(
+        `${formatCurrency(change.previous_price)} → ${formatCurrency(change.current_price)}`
+      );
+    }
+    return details.join(', ');
+  }
+
+  return formatCurrency(change.extended_change);
+};
+
+/**
+ * SupplementTimeline - Estimate versions for a repair order
+ *
+ * Shows the original estimate followed by each supplement (S01, S02...)
+ * with the parts and labor lines that were added, removed or changed.
+ */
+const SupplementTimeline = ({ roId }) => {
+  const [versions, setVersions] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSupplements = useCallback(async () => {
+    if (!roId) return;
+
+    setIsLoading(true);
+    const result = await roService.getROSupplements(roId);
+
+    if (result.success) {
+      setVersions(result.data);
+      setSummary(result.summary);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+    setIsLoading(false);
+  }, [roId]);
+
+  useEffect(() => {
+    loadSupplements();
+  }, [loadSupplements]);
+
+  if (isLoading) {
+    return (
+      <Stack spacing={2}>
+        <Skeleton variant="rectangular" height={80} />
+        <Skeleton variant="rectangular" height={160} />
+      </Stack>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">Failed to load supplements: {error}</Alert>;
+  }
+
+  if (versions.length === 0) {
+    return (
+      <Alert severity="info">
+        No estimate versions recorded yet. Supplements imported from BMS files will
+        appear here.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Stack direction="row" spacing={1} mb={3}>
+        <Chip label={`${summary.supplement_count || 0} supplements`} color="primary" />
+        <Chip
+          label={`Supplement total ${formatCurrency(summary.total_supplement_amount)}`}
+          variant="outlined"
+        />
+        {summary.supplements_pending && (
+          <Chip label="Supplement pending approval" color="warning" />
+        )}
+      </Stack>
+
+      <Stack spacing={2}>
+        {versions.map(version => {
+          const parts = version.changes.filter(change => change.item_type === 'part');
+          const labor = version.changes.filter(change => change.item_type === 'labor');
+
+          return (
+            <Card key={version.id} variant="outlined">
+              <CardContent>
+                <Box
+                  display="flex"
+                  justifyContent="space-between"
+                  alignItems="center"
+                  mb={1}
+                >
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <Description color="action" />
+                    <Typography variant="subtitle1" fontWeight={600}>
+                      {version.label}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {version.estimate_number}
+                      {version.imported_at &&
+                        ` · ${new Date(version.imported_at).toLocaleString()}`}
+                    </Typography>
+                  </Stack>
+                  <Stack direction="row" spacing={1}>
+                    <Chip size="small" label={`Total ${formatCurrency(version.grand_total)}`} />
+                    {version.version_type === 'supplement' && (
+                      <Chip
+                        size="small"
+                        color={version.supplement_amount >= 0 ? 'warning' : 'success'}
+                        label={`${version.supplement_amount >= 0 ? '+' : ''}${formatCurrency(
+                          version.supplement_amount
+                        )}`}
+                      />
+                    )}
+                  </Stack>
+                </Box>
+
+                {version.version_type === 'original' ? (
+                  <Typography variant="body2" color="text.secondary">
+                    Original estimate — baseline for supplement comparison.
+                  </Typography>
+                ) : version.changes.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    No line item changes.
+                  </Typography>
+                ) : (
+                  [
+                    { title: 'Parts', rows: parts },
+                    { title: 'Labor', rows: labor },
+                  ]
+                    .filter(section => section.rows.length > 0)
+                    .map(section => (
+                      <Box key={section.title} mt={2}>
+                        <Typography variant="subtitle2" gutterBottom>
+                          {section.title}
+                        </Typography>
+                        <Table size="small">
+                          <TableHead>
+                            <TableRow>
+                              <TableCell>Change</TableCell>
+                              <TableCell>Line</TableCell>
+                              <TableCell>Description</TableCell>
+                              <TableCell align="right">Detail</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {section.rows.map(change => {
+                              const config = changeConfig[change.change_type];
+                              const Icon = config.icon;
+                              return (
+                                <TableRow key={change.id}>
+                                  <TableCell>
+                                    <Chip
+                                      size="small"
+                                      icon={<Icon />}
+                                      label={config.label}
+                                      color={config.color}
+                                      variant="outlined"
+                                    />
+                                  </TableCell>
+                                  <TableCell>{change.line_number}</TableCell>
+                                  <TableCell>
+                                    {change.description}
+                                    {change.part_number && (
+                                      <Typography
+                                        variant="caption"
+                                        color="text.secondary"
+                                        display="block"
+                                      >
+                                        {change.part_number}
+                                      </Typography>
+                                    )}
+                                  </TableCell>
+                                  <TableCell align="right">{describeChange(change)}</TableCell>
+                                </TableRow>
+                              );
+                            })}
+                          </TableBody>
+                        </Table>
+                      </Box>
+                    ))
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+      </Stack>
+    </Box>
+  );
+};
+
+export default SupplementTimeline;
@@ -4,8 +4,10 @@
  */
 
 export { default as RODetail } from './RODetail';
+export { default as SupplementTimeline } from './SupplementTimeline';
 
 // Re-export for convenience
 export default {
   RODetail: require('./RODetail').default,
+  SupplementTimeline: require('./SupplementTimeline').default,
 };
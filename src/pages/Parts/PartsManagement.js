@@ -23,12 +23,14 @@ import {
   Assessment,
   AutoMode,
   Insights,
+  QrCodeScanner,
 } from '@mui/icons-material';
 
 // Components
 import PartsManagementSystem from '../../components/Parts/PartsManagementSystem';
 import AutomatedSourcingDashboard from '../../components/Parts/AutomatedSourcingDashboard';
 import VendorIntegrationMonitor from '../../components/Parts/VendorIntegrationMonitor';
+import BarcodeReceiving from '../../components/Parts/BarcodeReceiving';
 
 // Hooks
 import { useAuth } from '../../contexts/AuthContext';
@@ -211,7 +213,7 @@ const PartsManagement = () => {
             <Button
               variant='outlined'
               startIcon={<LocalShipping />}
-              onClick={() => {}}
+              onClick={() => setTabValue(3)}
             >
               Receive Shipment
             </Button>
@@ -260,6 +262,12 @@ const PartsManagement = () => {
             iconPosition="start"
             sx={{ minHeight: 64, textTransform: 'none', fontSize: '0.9rem' }}
           />
+          <Tab 
+            icon={<QrCodeScanner />} 
+            label="Scan Receiving" 
+            iconPosition="start"
+            sx={{ minHeight: 64, textTransform: 'none', fontSize: '0.9rem' }}
+          />
         </Tabs>
       </Paper>
 
@@ -268,6 +276,7 @@ const PartsManagement = () => {
         {tabValue === 0 && <PartsManagementSystem />}
         {tabValue === 1 && <AutomatedSourcingDashboard />}
         {tabValue === 2 && <VendorIntegrationMonitor />}
+        {tabValue === 3 && <BarcodeReceiving />}
       </Box>
     </Box>
   );
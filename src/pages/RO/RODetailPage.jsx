@@ -36,6 +36,7 @@ import {
   Visibility,
   Edit,
   Print,
+  FileDownload,
   Add,
   ShoppingCart,
   RadioButtonUnchecked,
@@ -68,6 +69,7 @@ import SignatureModal from '../../components/Signature/SignatureModal';
 import SignatureDisplay from '../../components/Signature/SignatureDisplay';
 import signatureService from '../../services/signatureService';
 import PartsStatusIndicator from '../../components/Parts/PartsStatusIndicator';
+import SupplementTimeline from '../../components/RO/SupplementTimeline';
 
 /**
  * RODetailPage (Redesigned) - Beautiful, comprehensive RO detail interface
@@ -337,6 +339,15 @@ const RODetailPage = () => {
   }, [loadParts]);
 
   // Handle signature save
+  const handleExportBms = async () => {
+    const result = await roService.exportROBms(roId, ro?.ro_number ? `${ro.ro_number}.xml` : null);
+    if (result.success) {
+      toast.success(result.message);
+    } else {
+      toast.error(`Failed to export BMS: ${result.error}`);
+    }
+  };
+
   const handleRequestSignature = (fieldName) => {
     setSignatureFieldName(fieldName);
     setShowSignatureDialog(true);
@@ -593,6 +604,13 @@ const RODetailPage = () => {
           >
             Print
           </Button>
+          <Button
+            variant="outlined"
+            startIcon={<FileDownload />}
+            onClick={handleExportBms}
+          >
+            Export BMS
+          </Button>
           <Button
             variant="contained"
             startIcon={<Phone />}
@@ -850,11 +868,9 @@ const RODetailPage = () => {
           {selectedTab === 2 && (
             <Box>
               <Typography variant="h6" fontWeight={600} gutterBottom>
-                Activity Timeline
+                Supplement Timeline
               </Typography>
-              <Alert severity="info" sx={{ mt: 2 }}>
-                Complete activity feed coming soon. This will show all actions, status changes, notes, and communications.
-              </Alert>
+              <SupplementTimeline roId={roId} />
             </Box>
           )}
 
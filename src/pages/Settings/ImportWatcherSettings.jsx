@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Switch,
+  FormControlLabel,
+  Button,
+  Alert,
+  CircularProgress,
+  TextField,
+  Grid,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemIcon,
+  LinearProgress,
+} from '@mui/material';
+import {
+  FolderOpen,
+  CheckCircle,
+  Error,
+  ContentCopy,
+  HourglassEmpty,
+  Save,
+} from '@mui/icons-material';
+import { useSocket } from '../../hooks/useSocket';
+import {
+  getWatcherStatus,
+  updateWatcherConfig,
+  IMPORT_PROGRESS_EVENT,
+} from '../../services/importWatcherService';
+
+const STATUS_POLL_MS = 10000;
+
+const STAGE_LABELS = {
+  queued: 'Queued',
+  processing: 'Importing',
+  completed: 'Imported',
+  duplicate: 'Skipped duplicate',
+  failed: 'Failed',
+  watcher_error: 'Watcher error',
+};
+
+const importIcon = status => {
+  if (status === 'success') return <CheckCircle color="success" />;
+  if (status === 'failed') return <Error color="error" />;
+  if (status === 'processing') return <HourglassEmpty color="info" />;
+  return <ContentCopy color="disabled" />;
+};
+
+const ImportWatcherSettings = () => {
+  const { socket } = useSocket();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [config, setConfig] = useState({
+    enabled: false,
+    watchPath: '',
+    processedPath: '',
+    errorPath: '',
+    recursive: false,
+  });
+
+  const loadStatus = useCallback(async (updateForm = false) => {
+    const response = await getWatcherStatus();
+    if (response.success) {
+      setStatus(response.data);
+      if (updateForm) setConfig(response.data.config);
+    } else {
+      setError(response.error);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadStatus(true);
+  }, [loadStatus]);
+
+  // Poll while running so counts stay current without sockets
+  useEffect(() => {
+    if (!status?.running) return undefined;
+    const timer = setInterval(() => loadStatus(), STATUS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [status?.running, loadStatus]);
+
+  // Live progress from the server's shop channel
+  useEffect(() => {
+    if (!socket || !status?.shopId) return undefined;
+
+    const channel = `shop:${status.shopId}`;
+    const handleProgress = data => {
+      setProgress(data);
+      if (['completed', 'duplicate', 'failed'].includes(data.stage)) {
+        loadStatus();
+      }
+    };
+
+    socket.emit('subscribe', channel);
+    socket.on(IMPORT_PROGRESS_EVENT, handleProgress);
+    return () => {
+      socket.off(IMPORT_PROGRESS_EVENT, handleProgress);
+      socket.emit('unsubscribe', channel);
+    };
+  }, [socket, status?.shopId, loadStatus]);
+
+  const handleChange = field => event => {
+    const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+    setConfig(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async (overrides = {}) => {
+    setSaving(true);
+    setError(null);
+    const response = await updateWatcherConfig({ ...config, ...overrides });
+    if (response.success) {
+      setStatus(response.data);
+      setConfig(response.data.config);
+    } else {
+      setError(response.error);
+    }
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const stats = status?.stats;
+
+  return (
+    <Paper
+      sx={{
+        p: 3,
+        borderRadius: 3,
+        boxShadow: '0 4px 20px rgba(0,0,0,0.08)',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <FolderOpen sx={{ mr: 1, color: 'primary.main' }} />
+          <Typography variant="h6" sx={{ fontWeight: 600 }}>
+            Estimate Import Folder
+          </Typography>
+        </Box>
+        <Chip
+          label={status?.running ? 'Watching' : 'Stopped'}
+          color={status?.running ? 'success' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        BMS files and zipped EMS packages exported by CCC or Mitchell into this folder are imported automatically,
+        then moved to the processed or error folder. Files already imported are skipped.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Watch Folder"
+            placeholder="C:\\CCCONE\\Export"
+            value={config.watchPath}
+            onChange={handleChange('watchPath')}
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            label="Processed Folder"
+            helperText="Defaults to a 'processed' folder inside the watch folder"
+            value={config.processedPath}
+            onChange={handleChange('processedPath')}
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            label="Error Folder"
+            helperText="Defaults to an 'error' folder inside the watch folder"
+            value={config.errorPath}
+            onChange={handleChange('errorPath')}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={config.recursive}
+                onChange={handleChange('recursive')}
+                color="primary"
+              />
+            }
+            label="Include subfolders"
+          />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={<Save />}
+          onClick={() => handleSave()}
+          disabled={saving || !config.watchPath}
+        >
+          Save
+        </Button>
+        <Button
+          variant="outlined"
+          color={status?.running ? 'warning' : 'primary'}
+          onClick={() => handleSave({ enabled: !status?.running })}
+          disabled={saving || !config.watchPath}
+        >
+          {status?.running ? 'Stop Watching' : 'Start Watching'}
+        </Button>
+      </Box>
+
+      {saving && <LinearProgress sx={{ mt: 2 }} />}
+
+      {progress && (
+        <Alert
+          severity={progress.stage === 'failed' || progress.stage === 'watcher_error' ? 'error' : 'info'}
+          sx={{ mt: 2 }}
+        >
+          {STAGE_LABELS[progress.stage] || progress.stage}
+          {progress.fileName ? `: ${progress.fileName}` : ''}
+          {progress.error ? ` (${progress.error})` : ''}
+          {progress.queued > 0 ? ` · ${progress.queued} in queue` : ''}
+        </Alert>
+      )}
+
+      {stats && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+          <Chip size="small" label={`Imported: ${stats.succeeded}`} color="success" variant="outlined" />
+          <Chip size="small" label={`Failed: ${stats.failed}`} color="error" variant="outlined" />
+          <Chip size="small" label={`Duplicates: ${stats.duplicates}`} variant="outlined" />
+          <Chip size="small" label={`Queued: ${status.queued}`} variant="outlined" />
+        </Box>
+      )}
+
+      {status?.recentImports?.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 3 }}>
+            Recent Imports
+          </Typography>
+          <List dense>
+            {status.recentImports.map(item => (
+              <ListItem key={item.id}>
+                <ListItemIcon>{importIcon(item.status)}</ListItemIcon>
+                <ListItemText
+                  primary={item.fileName}
+                  secondary={
+                    item.status === 'failed'
+                      ? item.errorLog?.message
+                      : `${new Date(item.importDate).toLocaleString()}${
+                        item.metadata?.isSupplement ? ' · Supplement' : ''
+                      }`
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default ImportWatcherSettings;
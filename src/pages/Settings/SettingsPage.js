@@ -34,6 +34,7 @@ import {
   VpnKey,
   Save,
 } from '@mui/icons-material';
+import ImportWatcherSettings from './ImportWatcherSettings';
 
 export default function SettingsPage() {
   const [settings, setSettings] = useState({
@@ -321,6 +322,11 @@ export default function SettingsPage() {
             </Paper>
           </Grid>
 
+          {/* Estimate Import Folder */}
+          <Grid item xs={12}>
+            <ImportWatcherSettings />
+          </Grid>
+
           {/* About Section */}
           <Grid item xs={12}>
             <Paper
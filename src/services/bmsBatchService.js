@@ -0,0 +1,65 @@
+/**
+ * BMS Batch Service - CollisionOS
+ *
+ * API client for batch BMS/EMS imports. Batches are stored on the server,
+ * so their status survives a restart and can be read back at any time.
+ */
+
+import api from './api';
+
+const ENDPOINTS = {
+  BATCHES: '/import/batches',
+  STATUS: batchId => `/import/batch-status/${batchId}`,
+  CONTROL: (batchId, action) => `/import/batch/${batchId}/${action}`,
+};
+
+// Batch statuses that still need polling
+export const ACTIVE_BATCH_STATUSES = ['created', 'processing'];
+
+const handleError = (message, error) => {
+  console.error(`${message}:`, error);
+  return {
+    success: false,
+    error: error.response?.data?.message || error.message,
+    data: null,
+  };
+};
+
+/**
+ * Recent batches for the current shop, newest first
+ */
+export const getBatches = async (params = {}) => {
+  try {
+    const response = await api.get(ENDPOINTS.BATCHES, { params });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get import batches failed', error);
+  }
+};
+
+export const getBatchStatus = async batchId => {
+  try {
+    const response = await api.get(ENDPOINTS.STATUS(batchId));
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get batch status failed', error);
+  }
+};
+
+/**
+ * Pause, resume or cancel a batch
+ */
+export const controlBatch = async (batchId, action) => {
+  try {
+    const response = await api.post(ENDPOINTS.CONTROL(batchId, action));
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError(`Batch ${action} failed`, error);
+  }
+};
+
+export default {
+  getBatches,
+  getBatchStatus,
+  controlBatch,
+};
@@ -0,0 +1,161 @@
+/**
+ * Conversation Service - CollisionOS
+ *
+ * API client for two-way SMS conversations threaded per repair order
+ */
+
+import api from './api';
+
+const BASE = '/customer-communication/conversations';
+
+const ENDPOINTS = {
+  LIST: BASE,
+  UNREAD: `${BASE}/unread-count`,
+  ASSIGNEES: `${BASE}/assignees`,
+  QUICK_REPLIES: `${BASE}/quick-replies`,
+  THREAD: id => `${BASE}/${id}`,
+  REPLY: id => `${BASE}/${id}/reply`,
+  ASSIGN: id => `${BASE}/${id}/assign`,
+  STATUS: id => `${BASE}/${id}/status`,
+};
+
+// Socket events pushed on the shop channel
+export const SMS_MESSAGE_EVENT = 'sms_message_received';
+export const SMS_CONVERSATION_EVENT = 'sms_conversation_updated';
+
+const handleError = (message, error) => {
+  console.error(`${message}:`, error);
+  return {
+    success: false,
+    error:
+      error.response?.data?.error ||
+      error.response?.data?.message ||
+      error.message,
+    data: null,
+  };
+};
+
+/**
+ * Conversations plus unread totals ({ status, assigned_to, unread_only, ro_id })
+ */
+export const getConversations = async (params = {}) => {
+  try {
+    const response = await api.get(ENDPOINTS.LIST, { params });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get conversations failed', error);
+  }
+};
+
+export const getUnreadCount = async () => {
+  try {
+    const response = await api.get(ENDPOINTS.UNREAD);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get unread conversations failed', error);
+  }
+};
+
+/**
+ * Start (or reopen) the conversation for a repair order
+ */
+export const startConversation = async roId => {
+  try {
+    const response = await api.post(ENDPOINTS.LIST, { ro_id: roId });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Start conversation failed', error);
+  }
+};
+
+/**
+ * Conversation with its messages; opening it marks it read
+ */
+export const getThread = async conversationId => {
+  try {
+    const response = await api.get(ENDPOINTS.THREAD(conversationId));
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get conversation failed', error);
+  }
+};
+
+/**
+ * Text the customer ({ content } or { template_id, variables })
+ */
+export const sendReply = async (conversationId, reply) => {
+  try {
+    const response = await api.post(ENDPOINTS.REPLY(conversationId), reply);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Send reply failed', error);
+  }
+};
+
+/**
+ * Assign to an estimator or advisor; null unassigns
+ */
+export const assignConversation = async (conversationId, userId) => {
+  try {
+    const response = await api.post(ENDPOINTS.ASSIGN(conversationId), {
+      user_id: userId,
+    });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Assign conversation failed', error);
+  }
+};
+
+export const setConversationStatus = async (conversationId, status) => {
+  try {
+    const response = await api.post(ENDPOINTS.STATUS(conversationId), {
+      status,
+    });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Update conversation failed', error);
+  }
+};
+
+export const getAssignees = async () => {
+  try {
+    const response = await api.get(ENDPOINTS.ASSIGNEES);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get assignees failed', error);
+  }
+};
+
+export const getQuickReplies = async () => {
+  try {
+    const response = await api.get(ENDPOINTS.QUICK_REPLIES);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get quick replies failed', error);
+  }
+};
+
+/**
+ * Save a canned SMS reply ({ name, content, category })
+ */
+export const createQuickReply = async quickReply => {
+  try {
+    const response = await api.post(ENDPOINTS.QUICK_REPLIES, quickReply);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Create quick reply failed', error);
+  }
+};
+
+export default {
+  getConversations,
+  getUnreadCount,
+  startConversation,
+  getThread,
+  sendReply,
+  assignConversation,
+  setConversationStatus,
+  getAssignees,
+  getQuickReplies,
+  createQuickReply,
+};
@@ -0,0 +1,75 @@
+/**
+ * Import Watcher Service - CollisionOS
+ *
+ * API client for the per-shop BMS watch folder (CCC/Mitchell exports)
+ */
+
+import api from './api';
+
+const ENDPOINTS = {
+  STATUS: '/import-watcher',
+  CONFIG: '/import-watcher/config',
+  START: '/import-watcher/start',
+  STOP: '/import-watcher/stop',
+};
+
+// Socket event pushed by the server for each watch-folder file
+export const IMPORT_PROGRESS_EVENT = 'bms_import_progress';
+
+const handleError = (message, error) => {
+  console.error(`${message}:`, error);
+  return {
+    success: false,
+    error: error.response?.data?.message || error.message,
+    data: null,
+  };
+};
+
+/**
+ * Watcher status, saved folders and recent watch-folder imports
+ */
+export const getWatcherStatus = async () => {
+  try {
+    const response = await api.get(ENDPOINTS.STATUS);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Get import watcher status failed', error);
+  }
+};
+
+/**
+ * Save watch-folder settings ({ enabled, watchPath, processedPath, errorPath, recursive })
+ */
+export const updateWatcherConfig = async (config) => {
+  try {
+    const response = await api.put(ENDPOINTS.CONFIG, config);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Update import watcher settings failed', error);
+  }
+};
+
+export const startWatcher = async () => {
+  try {
+    const response = await api.post(ENDPOINTS.START);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Start import watcher failed', error);
+  }
+};
+
+export const stopWatcher = async () => {
+  try {
+    const response = await api.post(ENDPOINTS.STOP);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    return handleError('Stop import watcher failed', error);
+  }
+};
+
+export default {
+  getWatcherStatus,
+  updateWatcherConfig,
+  startWatcher,
+  stopWatcher,
+};
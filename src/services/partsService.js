@@ -12,14 +12,35 @@ const partsAPI = axios.create({
   },
 });
 
+// Parts workflow API (sourcing, margins)
+const partsWorkflowAPI = axios.create({
+  baseURL: `${API_BASE_URL}/parts-workflow`,
+  timeout: 30000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
 // Add request interceptor for authentication
-partsAPI.interceptors.request.use(config => {
+const addAuthToken = config => {
   const token = localStorage.getItem('authToken');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
+};
+partsAPI.interceptors.request.use(addAuthToken);
+partsWorkflowAPI.interceptors.request.use(addAuthToken);
+
+// Scan receiving API (PO lines into bins, bin/RO tags)
+const partsReceivingAPI = axios.create({
+  baseURL: `${API_BASE_URL}/parts-receiving`,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
 });
+partsReceivingAPI.interceptors.request.use(addAuthToken);
 
 // Parts Service
 class PartsService {
@@ -303,6 +324,53 @@ class PartsService {
     }
   }
 
+  // Automated Sourcing
+  async getSourcingRequests(filters = {}) {
+    try {
+      const response = await partsWorkflowAPI.get('/sourcing-requests', {
+        params: filters,
+      });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async runAutomatedSourcing(roId, partIds = []) {
+    try {
+      const response = await partsWorkflowAPI.post('/sourcing-requests', {
+        ro_id: roId,
+        part_ids: partIds,
+      });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async approveSourcingDecision(requestId) {
+    try {
+      const response = await partsWorkflowAPI.post(
+        `/sourcing-requests/${requestId}/approve`
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async overrideSourcingDecision(requestId, { quoteId, reason }) {
+    try {
+      const response = await partsWorkflowAPI.post(
+        `/sourcing-requests/${requestId}/override`,
+        { quote_id: quoteId, reason }
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // Analytics and Reports
   async getPartsAnalytics(startDate, endDate) {
     try {
@@ -406,6 +474,54 @@ class PartsService {
     }
   }
 
+  // Scan Receiving
+  async lookupReceivingScan(code, purchaseOrderId = null) {
+    try {
+      const response = await partsReceivingAPI.get('/scan', {
+        params: { code, purchase_order_id: purchaseOrderId || undefined },
+      });
+      return response.data.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async receiveScannedPart(partLineId, receipt) {
+    try {
+      const response = await partsReceivingAPI.post(
+        `/lines/${partLineId}/receive`,
+        receipt
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async getReceivingLabel(partLineId, format = 'pdf', copies = 1) {
+    try {
+      const response = await partsReceivingAPI.get(
+        `/lines/${partLineId}/label`,
+        { params: { format, copies }, responseType: 'blob' }
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async printReceivingLabel(partLineId, copies = 1) {
+    try {
+      const response = await partsReceivingAPI.post(
+        `/lines/${partLineId}/label/print`,
+        { copies }
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // Real-time Updates
   subscribeToUpdates(callback) {
     // This would typically use WebSocket or Socket.io
@@ -5,7 +5,7 @@
  * Handles RO CRUD operations, search, and workflow status updates
  */
 
-import api from './api';
+import api, { downloadFile } from './api';
 
 // API endpoints (api.js already includes /api in baseURL)
 const ENDPOINTS = {
@@ -208,6 +208,48 @@ export const getROParts = async (roId) => {
   }
 };
 
+/**
+ * Get estimate versions (original + supplements) with line item changes
+ */
+export const getROSupplements = async (roId) => {
+  try {
+    const response = await api.get(`/repair-orders/${roId}/supplements`);
+
+    return {
+      success: true,
+      data: response.data.data || [],
+      summary: response.data.summary || {}
+    };
+  } catch (error) {
+    console.error('Get RO supplements failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      data: []
+    };
+  }
+};
+
+/**
+ * Download the RO's current estimate as a CIECA BMS XML file
+ */
+export const exportROBms = async (roId, fileName = null) => {
+  try {
+    await downloadFile(`/repair-orders/${roId}/export/bms`, fileName || `RO-${roId}.xml`);
+
+    return {
+      success: true,
+      message: 'BMS file exported'
+    };
+  } catch (error) {
+    console.error('Export RO BMS failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Update part status (for drag-and-drop workflow)
  */
@@ -382,6 +424,8 @@ export default {
   updateRepairOrder,
   updateROWorkflowStatus,
   getROParts,
+  getROSupplements,
+  exportROBms,
   updatePartStatus,
   bulkUpdatePartStatus,
   getROClaim,
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for ATS (alternate transportation) rental tracking
+ * Runs atsRentalService itself; only the models are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  LoanerReservation: { findAll: jest.fn() },
+  LoanerFleetManagement: {},
+  RepairOrderManagement: { findOne: jest.fn() },
+  ClaimManagement: {},
+  InsuranceCompany: {},
+  Customer: {},
+  VehicleProfile: {},
+  Shop: { findByPk: jest.fn() },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const {
+  LoanerReservation,
+  RepairOrderManagement,
+  Shop,
+} = require('../../../server/database/models');
+const { realtimeService } = require('../../../server/services/realtimeService');
+const atsRentalService = require('../../../server/services/atsRentalService');
+
+describe('atsRentalService', () => {
+  const asOf = new Date('2026-10-15T10:00:00Z');
+
+  let mockClaim;
+  let mockRepairOrder;
+  let mockReservation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Cars still out count up to now; pdfkit needs real ticks
+    jest.useFakeTimers({ now: asOf, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    mockClaim = {
+      id: 3,
+      claimNumber: 'CLM-555',
+      atsEligible: true,
+      atsAllowanceAmount: '40.00',
+      atsDaysApproved: 5,
+      atsDaysUsed: 0,
+      atsNotes: null,
+      insuranceCompany: { name: 'Northbridge Mutual' },
+      update: jest.fn(),
+    };
+    mockRepairOrder = {
+      id: 42,
+      shopId: 1,
+      repairOrderNumber: 'RO-1001',
+      claimManagement: mockClaim,
+      customer: { firstName: 'Dana', lastName: 'Reyes' },
+      vehicleProfile: { year: 2021, make: 'Honda', model: 'Civic' },
+    };
+    mockReservation = {
+      id: 100,
+      repairOrderId: 42,
+      reservationNumber: 'LN-RO-1001-AAAA',
+      reservationStatus: 'active',
+      requestedStartDate: new Date('2026-10-12T14:00:00Z'),
+      confirmedEndDate: new Date('2026-10-16T14:00:00Z'),
+      actualPickupDate: new Date('2026-10-12T14:00:00Z'),
+      actualReturnDate: null,
+      baseRentalRate: '45.00',
+      additionalCharges: '0.00',
+      loanerVehicle: { year: 2023, make: 'Toyota', model: 'Corolla', dailyRentalRate: '45.00' },
+      update: jest.fn(),
+    };
+
+    RepairOrderManagement.findOne.mockResolvedValue(mockRepairOrder);
+    LoanerReservation.findAll.mockResolvedValue([mockReservation]);
+    Shop.findByPk.mockResolvedValue({ name: 'Maple Collision' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getRentalSummary', () => {
+    test('counts each started day from check-out against the approved days', async () => {
+      const summary = await atsRentalService.getRentalSummary(1, 42, asOf);
+
+      expect(summary).toMatchObject({
+        covered: true,
+        approvedDays: 5,
+        dailyCap: 40,
+        daysUsed: 3,
+        projectedDays: 4,
+        remainingDays: 2,
+        exceedsApproval: false,
+      });
+    });
+
+    test('takes the approval from the ATS date window when no day count is given', async () => {
+      mockClaim.atsDaysApproved = null;
+      mockClaim.atsStartDate = new Date('2026-10-12T00:00:00Z');
+      mockClaim.atsEndDate = new Date('2026-10-14T00:00:00Z');
+
+      const summary = await atsRentalService.getRentalSummary(1, 42, asOf);
+
+      expect(summary.approvedDays).toBe(2);
+      expect(summary.overageDays).toBe(2);
+    });
+  });
+
+  describe('checkApproval', () => {
+    test('alerts the shop and records days used when the planned return runs past approval', async () => {
+      mockReservation.confirmedEndDate = new Date('2026-10-20T14:00:00Z');
+
+      const summary = await atsRentalService.checkApproval(1, 42);
+
+      expect(summary.overageDays).toBe(3);
+      expect(mockClaim.update).toHaveBeenCalledWith({ atsDaysUsed: summary.daysUsed });
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        1,
+        'ats_extension_needed',
+        expect.objectContaining({ ro_id: 42, claim_number: 'CLM-555', overage_days: 3 })
+      );
+    });
+  });
+
+  describe('buildRentalInvoice', () => {
+    test('splits the invoice: insurer pays the cap on approved days, customer the rest', async () => {
+      mockReservation.actualReturnDate = new Date('2026-10-18T12:00:00Z');
+      mockReservation.additionalCharges = '25.00';
+
+      const invoice = await atsRentalService.buildRentalInvoice(1, 42);
+
+      // 6 days at $45: 5 approved days at the $40 cap go to the insurer
+      expect(invoice.interim).toBe(false);
+      expect(invoice.lines[0]).toMatchObject({ days: 6, insuredDays: 5, insuredRate: 40 });
+      expect(invoice.totals).toMatchObject({
+        rentalCharge: 270,
+        additionalCharges: 25,
+        total: 295,
+        insurer: 200,
+        customer: 95,
+      });
+    });
+  });
+
+  describe('finalizeRentalInvoice', () => {
+    test('bills the customer for everything when the claim has no ATS coverage', async () => {
+      mockClaim.atsEligible = false;
+      mockReservation.actualReturnDate = new Date('2026-10-14T12:00:00Z');
+
+      const invoice = await atsRentalService.finalizeRentalInvoice(1, 42, { userId: 9 });
+
+      expect(invoice.totals).toMatchObject({ insurer: 0, customer: 90 });
+      expect(mockReservation.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          totalRentalDays: 2,
+          amountCoveredByInsurance: 0,
+          customerResponsibleAmount: 90,
+        })
+      );
+    });
+  });
+
+  describe('generateExtensionRequest', () => {
+    test('prints an extension request for the overage and notes it on the claim', async () => {
+      mockReservation.confirmedEndDate = new Date('2026-10-19T14:00:00Z');
+
+      const result = await atsRentalService.generateExtensionRequest(1, 42, {
+        reason: 'Backordered quarter panel',
+      });
+
+      expect(result).toMatchObject({
+        fileName: 'rental-extension-RO-1001.pdf',
+        requestedDays: 2,
+        requestedAmount: 80,
+      });
+      expect(result.buffer.subarray(0, 4).toString()).toBe('%PDF');
+      expect(mockClaim.update).toHaveBeenCalledWith({
+        atsNotes: expect.stringContaining('requested 2 more rental day(s)'),
+      });
+    });
+
+    test('refuses an extension while the rental fits the approval', async () => {
+      await expect(atsRentalService.generateExtensionRequest(1, 42)).rejects.toThrow(
+        'within the approved days'
+      );
+      expect(mockClaim.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Unit Tests for automated parts sourcing through vendor adapters
+ * Runs automatedPartsSourcing against stub vendor servers; only the models are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  PartsSourcingRequest: { create: jest.fn() },
+  VendorPartQuote: { create: jest.fn(), update: jest.fn(), findAll: jest.fn() },
+  Part: { findOne: jest.fn() },
+  Vendor: { findAll: jest.fn() },
+  AdvancedPartsManagement: { findAll: jest.fn() },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn(), broadcastPartsUpdate: jest.fn() },
+}));
+
+const {
+  PartsSourcingRequest,
+  VendorPartQuote,
+  Part,
+  Vendor,
+  AdvancedPartsManagement,
+} = require('../../../server/database/models');
+const {
+  AutomatedPartsSourcingService,
+} = require('../../../server/services/automatedPartsSourcing');
+const HttpVendorAPI = require('../../../server/services/vendorIntegration/httpVendorAPI');
+const {
+  createStubVendorServer,
+} = require('../../../server/services/vendorIntegration/stubVendorServer');
+const vendorAdapters = require('../../../server/services/vendorIntegration/vendorAdapters');
+
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+describe('automatedPartsSourcing', () => {
+  const mockBumperLine = {
+    partId: 'apm-1',
+    lineNumber: 1,
+    partNumber: '52119-06903',
+    description: 'Front Bumper Cover',
+    quantity: 1,
+    partCost: 450,
+    partType: 'aftermarket',
+  };
+  const mockVehicle = { year: 2021, make: 'Toyota', model: 'Camry' };
+
+  let keystone;
+  let salvage;
+  let mockKeystone;
+  let mockSalvage;
+  let mockSourcingRequest;
+  let service;
+
+  beforeAll(async () => {
+    keystone = await listen(
+      createStubVendorServer({
+        catalog: {
+          '52119-06903': {
+            unitPrice: 285,
+            listPrice: 410,
+            quantityAvailable: 3,
+            leadTimeDays: 1,
+            description: 'Bumper Cover, Front (CAPA)',
+          },
+        },
+        apiKey: 'secret',
+      })
+    );
+    salvage = await listen(
+      createStubVendorServer({
+        catalog: {
+          '5211906903': {
+            unitPrice: 175,
+            quantityAvailable: 0,
+            leadTimeDays: 4,
+            brandType: 'recycled',
+          },
+        },
+      })
+    );
+
+    const mockVendor = {
+      shopId: 1,
+      isActive: true,
+      vendorStatus: 'active',
+      integrationType: 'api',
+      vendorType: 'aftermarket',
+      updatedAt: new Date('2026-10-01T00:00:00Z'),
+      preferences: {},
+    };
+    mockKeystone = {
+      ...mockVendor,
+      id: 'v-keystone',
+      name: 'Keystone',
+      apiEndpoint: `http://127.0.0.1:${keystone.address().port}`,
+      apiKey: 'secret',
+      fillRate: 96,
+    };
+    mockSalvage = {
+      ...mockVendor,
+      id: 'v-salvage',
+      name: 'Salvage Yard',
+      apiEndpoint: `http://127.0.0.1:${salvage.address().port}`,
+      vendorType: 'recycled',
+    };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => keystone.close(resolve));
+    await new Promise(resolve => salvage.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    vendorAdapters.clear();
+    service = new AutomatedPartsSourcingService();
+    mockSourcingRequest = { id: 'request-1', update: jest.fn() };
+
+    Part.findOne.mockResolvedValue(null);
+    AdvancedPartsManagement.findAll.mockResolvedValue([]);
+    VendorPartQuote.findAll.mockResolvedValue([]);
+    VendorPartQuote.update.mockResolvedValue([1]);
+    VendorPartQuote.create.mockImplementation(values =>
+      Promise.resolve({ id: `quote-${values.vendorId}` })
+    );
+    PartsSourcingRequest.create.mockResolvedValue(mockSourcingRequest);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('queryVendor', () => {
+    test('reads stock and price from the vendor and keeps the quote', async () => {
+      const part = await service.classifyAndNormalizePart(mockBumperLine, mockVehicle);
+
+      const result = await service.queryVendor('v-keystone', part, {
+        vendors: [mockKeystone],
+        sourcingRequestId: 'request-1',
+        shopId: 1,
+        userId: 9,
+      });
+
+      expect(result).toMatchObject({
+        vendorName: 'Keystone',
+        available: true,
+        quantity: 3,
+        price: 285,
+        leadTime: 1,
+        reliability: 0.96,
+        partType: 'Aftermarket',
+        quoteId: 'quote-v-keystone',
+      });
+      expect(VendorPartQuote.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourcingRequestId: 'request-1',
+          vendorId: 'v-keystone',
+          unitPrice: 285,
+          listPrice: 410,
+          availabilityStatus: 'in_stock',
+          partDescription: 'Bumper Cover, Front (CAPA)',
+          savingsVsTarget: 165,
+          quoteStatus: 'received',
+        })
+      );
+    });
+
+    test('does not quote through a vendor that rejects the API key', async () => {
+      const part = await service.classifyAndNormalizePart(mockBumperLine, mockVehicle);
+
+      await expect(
+        service.queryVendor('v-keystone', part, { vendors: [{ ...mockKeystone, apiKey: 'wrong' }] })
+      ).rejects.toThrow('401');
+      expect(VendorPartQuote.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processAutomatedPartsSourcing', () => {
+    test('sources a repair order line, recording every quote and the recommendation', async () => {
+      Vendor.findAll.mockResolvedValue([mockKeystone, mockSalvage]);
+
+      const sourcing = await service.processAutomatedPartsSourcing([mockBumperLine], mockVehicle, {
+        shopId: 1,
+        repairOrderId: 42,
+        userId: 9,
+        enhanceWithVinDecoding: false,
+      });
+
+      expect(sourcing.success).toBe(true);
+      expect(sourcing.results[0]).toMatchObject({ sourcingRequestId: 'request-1' });
+      expect(PartsSourcingRequest.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          repairOrderId: 42,
+          oemPartNumber: '52119-06903',
+          partCategory: 'body_panel',
+          vendorCount: 2,
+          integrationData: JSON.stringify({ partId: 'apm-1' }),
+        })
+      );
+      expect(VendorPartQuote.create).toHaveBeenCalledTimes(2);
+
+      // Only the in-stock Keystone quote can be recommended
+      expect(mockSourcingRequest.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourcingStatus: 'analyzed',
+          quotesReceived: 2,
+          bestPrice: 175,
+          selectedVendorId: 'v-keystone',
+          selectedQuoteId: 'quote-v-keystone',
+        })
+      );
+      expect(VendorPartQuote.update).toHaveBeenCalledWith(
+        expect.objectContaining({ quoteStatus: 'analyzed', selectionRank: 1 }),
+        { where: { id: 'quote-v-keystone' } }
+      );
+      expect(VendorPartQuote.update).toHaveBeenCalledWith(
+        expect.objectContaining({ rejectionReason: 'Not in stock', selectionRank: null }),
+        { where: { id: 'quote-v-salvage' } }
+      );
+    });
+
+    test('keeps quotes for a BMS import that has only the shop', async () => {
+      Vendor.findAll.mockResolvedValue([mockKeystone]);
+
+      const sourcing = await service.processAutomatedPartsSourcing([mockBumperLine], mockVehicle, {
+        shopId: 1,
+        enhanceWithVinDecoding: false,
+      });
+
+      expect(sourcing.results[0]).toMatchObject({ sourcingRequestId: 'request-1' });
+      expect(PartsSourcingRequest.create).toHaveBeenCalledWith(
+        expect.objectContaining({ shopId: 1, repairOrderId: null, requestedBy: null })
+      );
+      expect(VendorPartQuote.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourcingRequestId: 'request-1',
+          vendorId: 'v-keystone',
+          receivedBy: null,
+        })
+      );
+    });
+
+    test('marks the request failed when no connected vendor quotes the part', async () => {
+      Vendor.findAll.mockResolvedValue([]);
+
+      await service.processAutomatedPartsSourcing([mockBumperLine], mockVehicle, {
+        shopId: 1,
+        repairOrderId: 42,
+        userId: 9,
+        enhanceWithVinDecoding: false,
+      });
+
+      expect(mockSourcingRequest.update).toHaveBeenCalledWith(
+        expect.objectContaining({ sourcingStatus: 'failed', quotesReceived: 0, bestPrice: null })
+      );
+      expect(VendorPartQuote.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('partsDatabase.lookupPart', () => {
+    test('looks parts up in the shop catalog instead of inventing a brand', async () => {
+      const part = await service.classifyAndNormalizePart(mockBumperLine, mockVehicle);
+      expect(part.enrichedData).toBeUndefined();
+
+      Part.findOne.mockResolvedValue({
+        partNumber: '52119-06903',
+        vendorPartNumber: 'TO1000412C',
+        partType: 'aftermarket',
+        category: 'body',
+        costPrice: '260.00',
+        primaryVendor: { name: 'Keystone' },
+      });
+      VendorPartQuote.findAll.mockResolvedValue([
+        { partNumber: 'TO1000412', alternatePartNumbers: '["TO1000412PP"]' },
+      ]);
+
+      const info = await service.partsDatabase.lookupPart(part, { shopId: 1 });
+
+      expect(info).toMatchObject({ brand: 'Keystone', partType: 'aftermarket', costPrice: 260 });
+      expect(info.alternativeNumbers).toEqual(['TO1000412C', 'TO1000412', 'TO1000412PP']);
+    });
+  });
+
+  describe('HttpVendorAPI', () => {
+    test('parses the HTTP contract into inventory and pricing results', async () => {
+      const api = new HttpVendorAPI({
+        vendorName: 'Salvage Yard',
+        baseURL: `http://127.0.0.1:${salvage.address().port}`,
+      });
+
+      const [stock] = await api.checkInventory(['52119-06903', 'UNKNOWN-1']);
+      const pricing = await api.getPartPricing(['52119-06903', 'UNKNOWN-1'], 2);
+
+      expect(stock).toMatchObject({
+        available: false,
+        quantityAvailable: 0,
+        leadTimeDays: 4,
+        status: 'backordered',
+      });
+      expect(pricing.quoteNumber).toMatch(/^STUB-/);
+      expect(pricing.prices).toHaveLength(1);
+      expect(pricing.prices[0]).toMatchObject({ unitPrice: 175, brandType: 'recycled' });
+    });
+  });
+});
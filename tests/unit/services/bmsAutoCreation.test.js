@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for BMS/EMS record auto-creation
+ * Runs bmsService itself; only the models are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  Customer: { findOne: jest.fn(), create: jest.fn() },
+  Vehicle: { findAll: jest.fn(), create: jest.fn() },
+  VehicleProfile: { findOrCreate: jest.fn() },
+  Job: { create: jest.fn(), findByPk: jest.fn() },
+  User: {},
+  ClaimManagement: { findOne: jest.fn(), create: jest.fn() },
+  RepairOrderManagement: { findOne: jest.fn() },
+  EstimateVersion: { findOne: jest.fn(), create: jest.fn(), update: jest.fn() },
+  EstimateLineItemChange: { bulkCreate: jest.fn() },
+  sequelize: { transaction: jest.fn(work => work({})) },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { notifyChange: jest.fn() },
+}));
+
+const {
+  Customer,
+  Vehicle,
+  VehicleProfile,
+  Job,
+  ClaimManagement,
+  RepairOrderManagement,
+  EstimateVersion,
+} = require('../../../server/database/models');
+const bmsService = require('../../../server/services/bmsService');
+
+describe('bmsService.createRecordsFromImport', () => {
+  const mockImport = {
+    customer: { firstName: 'Jane', lastName: 'Nguyen', phone: '604-555-0100' },
+    vehicle: { vin: '2T1BURHE0JC123456', year: 2018, make: 'Toyota', model: 'Corolla' },
+    claimInfo: { claimNumber: 'CLM-77' },
+    financial: { partsTotal: 400, laborTotal: 600, grandTotal: 1000 },
+    parts: [],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('creates the customer, vehicle, claim, baseline version and job in the shop', async () => {
+    Customer.findOne.mockResolvedValue(null);
+    Customer.create.mockResolvedValue({ id: 'customer-1', phone: '604-555-0100' });
+    Vehicle.findAll.mockResolvedValue([]);
+    Vehicle.create.mockImplementation(values =>
+      Promise.resolve({ id: 'vehicle-1', toJSON: () => ({ id: 'vehicle-1', ...values }) })
+    );
+    VehicleProfile.findOrCreate.mockResolvedValue([{ id: 'profile-1' }]);
+    ClaimManagement.findOne.mockResolvedValue(null);
+    ClaimManagement.create.mockResolvedValue({ id: 'claim-1', claimNumber: 'CLM-77' });
+    EstimateVersion.findOne.mockResolvedValue(null);
+    EstimateVersion.create.mockResolvedValue({ id: 'version-1', versionNumber: 1 });
+    Job.create.mockResolvedValue({ id: 'job-1' });
+    Job.findByPk.mockResolvedValue({
+      toJSON: () => ({ id: 'job-1', customerId: 'customer-1', vehicleId: 'vehicle-1' }),
+    });
+
+    const result = await bmsService.createRecordsFromImport(mockImport, {
+      shopId: 'shop-1',
+      fileName: 'CLM-77.xml',
+    });
+
+    expect(result.autoCreationSuccess).toBe(true);
+    expect(Customer.findOne).toHaveBeenCalledWith({
+      where: { shopId: 'shop-1', phone: '604-555-0100' },
+    });
+    expect(Customer.create).toHaveBeenCalledWith(expect.objectContaining({ shopId: 'shop-1' }));
+    expect(Vehicle.findAll).toHaveBeenCalledWith({
+      where: { shopId: 'shop-1', vin: '2T1BURHE0JC123456' },
+    });
+    expect(Vehicle.create).toHaveBeenCalledWith(
+      expect.objectContaining({ shopId: 'shop-1', customerId: 'customer-1' })
+    );
+    expect(ClaimManagement.create).toHaveBeenCalledWith(
+      expect.objectContaining({ shopId: 'shop-1', vehicleProfileId: 'profile-1' })
+    );
+    expect(EstimateVersion.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        shopId: 'shop-1',
+        claimManagementId: 'claim-1',
+        versionNumber: 1,
+        versionType: 'original',
+      }),
+      expect.anything()
+    );
+    expect(Job.create).toHaveBeenCalledWith(
+      expect.objectContaining({ shopId: 'shop-1', customerId: 'customer-1', vehicleId: 'vehicle-1' })
+    );
+    expect(result.createdJob.id).toBe('job-1');
+  });
+
+  test('records a supplement on the existing claim instead of creating a job', async () => {
+    const mockRepairOrder = { id: 500, supplementCount: 0, update: jest.fn() };
+    Customer.findOne.mockResolvedValue({ id: 'customer-1' });
+    Vehicle.findAll.mockResolvedValue([
+      { toJSON: () => ({ id: 'vehicle-1', vin: '2T1BURHE0JC123456' }) },
+    ]);
+    ClaimManagement.findOne.mockResolvedValue({ id: 'claim-1', claimNumber: 'CLM-77' });
+    RepairOrderManagement.findOne.mockResolvedValue(mockRepairOrder);
+    EstimateVersion.findOne.mockResolvedValue({
+      id: 'version-1',
+      versionNumber: 1,
+      supplementNumber: 0,
+      bmsData: mockImport,
+    });
+    EstimateVersion.create.mockResolvedValue({ id: 'version-2', versionNumber: 2 });
+
+    const result = await bmsService.createRecordsFromImport(
+      {
+        ...mockImport,
+        financial: { partsTotal: 650, laborTotal: 600, grandTotal: 1250 },
+        parts: [
+          { lineNumber: 3, partNumber: '52119-02A90', description: 'Bumper', price: 250, quantity: 1 },
+        ],
+      },
+      { shopId: 'shop-1', fileName: 'CLM-77_S01.xml' }
+    );
+
+    expect(result.isSupplement).toBe(true);
+    expect(result.supplement).toMatchObject({ versionId: 'version-2', supplementNumber: 1 });
+    expect(ClaimManagement.findOne).toHaveBeenCalledWith({
+      where: { shopId: 'shop-1', claimNumber: 'CLM-77' },
+    });
+    expect(mockRepairOrder.update).toHaveBeenCalledWith(
+      expect.objectContaining({ supplementCount: 1, totalSupplementAmount: 250 }),
+      expect.anything()
+    );
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects an import without a shop', async () => {
+    await expect(bmsService.createRecordsFromImport(mockImport, {})).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'A shop is required to create records from an import',
+    });
+  });
+});
+
+describe('bmsService.processEMSPackage', () => {
+  test('reports a package the parser cannot read as a validation error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      bmsService.processEMSPackage(Buffer.from('not a zip'), { fileName: 'EST1001.zip' })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('EMS package must be a zip archive'),
+    });
+
+    console.error.mockRestore();
+  });
+});
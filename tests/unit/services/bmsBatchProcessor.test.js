@@ -0,0 +1,272 @@
+jest.mock('../../../server/database/models', () => ({
+  BmsImport: { bulkCreate: jest.fn(), findAll: jest.fn(), count: jest.fn(), update: jest.fn() },
+  BmsImportBatch: { create: jest.fn(), findByPk: jest.fn(), findAll: jest.fn() },
+}));
+jest.mock('../../../server/services/bmsService', () => ({
+  processBMSFile: jest.fn(),
+  processEMSFile: jest.fn(),
+  processEMSPackage: jest.fn(),
+}));
+jest.mock('../../../server/services/bmsValidator', () => ({
+  validateBMSFile: jest.fn(),
+}));
+jest.mock('../../../server/services/bmsErrorReporter', () => ({
+  reportError: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BmsImport, BmsImportBatch } = require('../../../server/database/models');
+const bmsService = require('../../../server/services/bmsService');
+const bmsValidator = require('../../../server/services/bmsValidator');
+const errorReporter = require('../../../server/services/bmsErrorReporter');
+const bmsBatchProcessor = require('../../../server/services/bmsBatchProcessor');
+const { ValidationError } = require('../../../server/utils/errorHandler');
+
+// Stand-in for a Sequelize instance
+const row = values => ({
+  ...values,
+  update: jest.fn(function (updates) {
+    return Promise.resolve(Object.assign(this, updates));
+  }),
+  reload: jest.fn(function () {
+    return Promise.resolve(this);
+  }),
+});
+
+describe('bmsBatchProcessor', () => {
+  let tempDir;
+  let batch;
+  let files;
+
+  const uploadFile = (name, content = '<VehicleDamageEstimateAddRq/>', values = {}) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    const file = row({
+      id: `file-${files.length + 1}`,
+      batchId: batch.id,
+      batchIndex: files.length,
+      fileName: name,
+      filePath,
+      status: 'pending',
+      attempts: 0,
+      metadata: {},
+      ...values,
+    });
+    files.push(file);
+    return file;
+  };
+
+  const matches = where => file =>
+    file.batchId === where.batchId && (!where.status || file.status === where.status);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+    files = [];
+    batch = row({
+      id: 'batch-1',
+      shopId: 'shop-1',
+      status: 'processing',
+      totalFiles: 0,
+      options: { maxRetries: 2, validateFirst: true, concurrency: 3, userId: 'user-1' },
+      errorLog: [],
+    });
+
+    BmsImportBatch.findByPk.mockImplementation(() => Promise.resolve(batch));
+    BmsImport.findAll.mockImplementation(({ where }) => Promise.resolve(files.filter(matches(where))));
+    BmsImport.count.mockImplementation(({ where }) => Promise.resolve(files.filter(matches(where)).length));
+    bmsValidator.validateBMSFile.mockResolvedValue({ isValid: true, errors: [] });
+    bmsService.processBMSFile.mockResolvedValue({ metadata: { version: '5.2' }, documentInfo: {}, claimInfo: {} });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createBatch', () => {
+    it('requires a shop', async () => {
+      await expect(bmsBatchProcessor.createBatch([{ name: 'a.xml' }], {})).rejects.toThrow(
+        'A shop is required'
+      );
+    });
+
+    it('stores the batch and one pending import row per file', async () => {
+      BmsImportBatch.create.mockResolvedValue(batch);
+
+      await bmsBatchProcessor.createBatch(
+        [
+          { name: 'one.xml', size: 10, path: '/tmp/one' },
+          { name: 'two.zip', size: 20, path: '/tmp/two' },
+        ],
+        { shopId: 'shop-1', maxRetries: 0 }
+      );
+
+      expect(BmsImportBatch.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shopId: 'shop-1',
+          totalFiles: 2,
+          options: expect.objectContaining({ maxRetries: 0, validateFirst: true }),
+        })
+      );
+      expect(BmsImport.bulkCreate.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ batchId: 'batch-1', batchIndex: 0, fileType: 'BMS', status: 'pending' }),
+        expect.objectContaining({ batchId: 'batch-1', batchIndex: 1, fileType: 'EMS', filePath: '/tmp/two' }),
+      ]);
+    });
+  });
+
+  describe('processFileInBatch', () => {
+    it('schedules a retry with backoff and keeps the upload', async () => {
+      bmsService.processBMSFile.mockRejectedValue(new Error('Database unavailable'));
+      const file = uploadFile('estimate.xml');
+
+      const before = Date.now();
+      await bmsBatchProcessor.processFileInBatch(file, batch);
+
+      expect(file.status).toBe('pending');
+      expect(file.attempts).toBe(1);
+      expect(file.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+      expect(file.errorLog).toMatchObject({ message: 'Database unavailable', attempts: 1 });
+      expect(fs.existsSync(file.filePath)).toBe(true);
+    });
+
+    it('gives up after maxRetries and removes the upload', async () => {
+      bmsService.processBMSFile.mockRejectedValue(new Error('Database unavailable'));
+      const file = uploadFile('estimate.xml', undefined, { attempts: 2 });
+
+      await bmsBatchProcessor.processFileInBatch(file, batch);
+
+      expect(file.status).toBe('failed');
+      expect(file.attempts).toBe(3);
+      expect(fs.existsSync(file.filePath)).toBe(false);
+      expect(errorReporter.reportError).toHaveBeenCalled();
+    });
+
+    it('does not retry validation failures', async () => {
+      bmsValidator.validateBMSFile.mockResolvedValue({
+        isValid: false,
+        errors: [{ message: 'Missing VIN' }],
+      });
+      const file = uploadFile('bad.xml');
+
+      await bmsBatchProcessor.processFileInBatch(file, batch);
+
+      expect(file.status).toBe('failed');
+      expect(file.validationErrors).toEqual([{ message: 'Missing VIN' }]);
+      expect(bmsService.processBMSFile).not.toHaveBeenCalled();
+    });
+
+    it('does not retry files the parser rejects', async () => {
+      bmsService.processBMSFile.mockRejectedValue(
+        new ValidationError('BMS file processing failed: Invalid XML')
+      );
+      const file = uploadFile('broken.xml');
+
+      await bmsBatchProcessor.processFileInBatch(file, batch);
+
+      expect(file).toMatchObject({ status: 'failed', attempts: 1 });
+      expect(fs.existsSync(file.filePath)).toBe(false);
+    });
+
+    it('routes zipped EMS packages to the dBase parser', async () => {
+      bmsService.processEMSPackage.mockResolvedValue({ metadata: {} });
+      const file = uploadFile('EST1001.zip', Buffer.from('PK\x03\x04rest-of-zip'));
+
+      await bmsBatchProcessor.processFileInBatch(file, batch);
+
+      expect(bmsService.processEMSPackage).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({ uploadId: file.id, shopId: 'shop-1' })
+      );
+      expect(file).toMatchObject({ status: 'success', fileType: 'EMS' });
+    });
+  });
+
+  describe('processBatch', () => {
+    it('waits out the backoff, retries and completes the batch', async () => {
+      bmsService.processBMSFile.mockRejectedValueOnce(new Error('Database unavailable'));
+      const first = uploadFile('first.xml');
+      const second = uploadFile('second.xml');
+      // Skip the real backoff: the retry becomes due as soon as the worker waits
+      const backoff = jest.spyOn(bmsBatchProcessor, 'wait').mockImplementation(async () => {
+        first.nextAttemptAt = new Date(0);
+      });
+
+      const status = await bmsBatchProcessor.processBatch(batch.id);
+
+      expect(backoff).toHaveBeenCalledTimes(1);
+      expect(first).toMatchObject({ status: 'success', attempts: 2 });
+      expect(second).toMatchObject({ status: 'success', attempts: 1 });
+      expect(batch.status).toBe('completed');
+      expect(status.statistics).toMatchObject({ successfulFiles: 2, failedFiles: 0 });
+      backoff.mockRestore();
+    });
+
+    it('pauses on the first failure when pauseOnError is set', async () => {
+      batch.options = { ...batch.options, maxRetries: 0, pauseOnError: true, concurrency: 1 };
+      bmsService.processBMSFile.mockRejectedValueOnce(new Error('Bad file'));
+      uploadFile('first.xml');
+      const second = uploadFile('second.xml');
+
+      await bmsBatchProcessor.processBatch(batch.id);
+
+      expect(batch.status).toBe('paused');
+      expect(second.status).toBe('pending');
+    });
+  });
+
+  describe('resumeUnfinished', () => {
+    it('requeues interrupted files and restarts the worker', async () => {
+      const run = jest.spyOn(bmsBatchProcessor, 'runBatch').mockResolvedValue();
+      batch.startedAt = new Date('2025-01-01');
+      BmsImportBatch.findAll.mockResolvedValue([batch]);
+
+      const resumed = await bmsBatchProcessor.resumeUnfinished();
+
+      expect(resumed).toBe(1);
+      expect(BmsImport.update).toHaveBeenCalledWith(
+        { status: 'pending' },
+        { where: { batchId: 'batch-1', status: 'processing' } }
+      );
+      expect(batch.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'processing', resumeCount: 1 })
+      );
+      expect(run).toHaveBeenCalledWith('batch-1');
+      run.mockRestore();
+    });
+  });
+
+  describe('shop scoping', () => {
+    it('hides batches of other shops', async () => {
+      await expect(bmsBatchProcessor.getBatchStatus('batch-1', 'shop-2')).resolves.toBeNull();
+      await expect(bmsBatchProcessor.pauseBatch('batch-1', 'shop-2')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      await expect(bmsBatchProcessor.cancelBatch('batch-1', 'shop-2')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+      expect(batch.update).not.toHaveBeenCalled();
+
+      await expect(bmsBatchProcessor.getBatchStatus('batch-1', 'shop-1')).resolves.toMatchObject({
+        id: 'batch-1',
+      });
+    });
+  });
+
+  describe('formatBatchStatus', () => {
+    it('reports retrying files and progress from the stored rows', () => {
+      const status = bmsBatchProcessor.formatBatchStatus({ ...batch, totalFiles: 3 }, [
+        { id: 'a', fileName: 'a.xml', status: 'success', attempts: 1, metadata: {} },
+        { id: 'b', fileName: 'b.xml', status: 'pending', attempts: 1, errorLog: { message: 'Timeout' } },
+        { id: 'c', fileName: 'c.xml', status: 'failed', attempts: 3, errorLog: { message: 'Bad' } },
+      ]);
+
+      expect(status.files.map(file => file.status)).toEqual(['completed', 'retrying', 'failed']);
+      expect(status.statistics).toMatchObject({ processedFiles: 2, retryingFiles: 1 });
+      expect(status.progress).toBe(67);
+      expect(status.message).toBe('Processing 2/3 files (1 waiting to retry)');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+jest.mock('../../../server/database/models', () => ({}));
+
+const EnhancedBMSParser = require('../../../server/services/import/bms_parser');
+const BMSExporter = require('../../../server/services/export/bms_exporter');
+const bmsExportService = require('../../../server/services/bmsExportService');
+
+const document = {
+  customer: {
+    firstName: 'Maria',
+    lastName: 'Santos',
+    name: 'Maria Santos',
+    phone: '(604) 555-0101',
+    phones: { home: '(604) 555-0101', work: '', cell: '(604) 555-0199' },
+    email: 'maria@example.com',
+    address1: '12 Oak St',
+    address2: 'Unit 4',
+    city: 'Vancouver',
+    state: 'BC',
+    zip: 'V6B 1A1',
+    country: 'CA',
+    insurance: 'ICBC',
+  },
+  vehicle: {
+    vin: '2T1BURHE0JC123456',
+    license: 'AB123C',
+    year: '2022',
+    make: 'Toyota',
+    model: 'Corolla',
+    trim: 'LE',
+    mileage: 42150,
+    shopRoNumber: '10042',
+    color: 'Silver',
+    paintCode: '1F7',
+    engine: '1.8L I4',
+    transmission: 'CVT',
+    drivable: true,
+  },
+  estimate: {
+    estimateNumber: 'EST-1001',
+    date: '2025-03-10T09:15:00',
+    roNumber: 'RO-10042',
+    claimNumber: 'CLM-778',
+    policyNumber: 'POL-55',
+    supplementNumber: 1,
+    currency: 'CAD',
+    estimatingSystem: 'Mitchell Cloud Estimating',
+    repairFacilityName: 'Acme Collision',
+    repairFacilityPhone: '(604) 555-0000',
+    estimatorName: 'Dan Lee',
+  },
+  adjuster: { name: 'Pat Jones', phone: '(604) 555-0300', email: 'pat@icbc.example' },
+  parts: [
+    {
+      lineNumber: 1,
+      partNumber: '52119-06903',
+      description: 'Front Bumper Cover',
+      quantity: 1,
+      price: 425.5,
+      oemPrice: 450,
+      partType: 'PAN',
+      taxable: true,
+      laborType: 'LAB',
+      laborHours: 1.5,
+    },
+    {
+      lineNumber: 4,
+      partNumber: 'MAPA',
+      description: 'Paint Materials',
+      price: 180,
+      isMaterial: true,
+      taxable: true,
+    },
+  ],
+  labor: {
+    lines: [
+      { lineNumber: 2, operation: 'Refinish bumper', laborType: 'LAR', hours: 2.2, taxable: true },
+      { lineNumber: 3, operation: 'ADAS calibration', laborType: 'LAM', hours: 1, taxable: false },
+    ],
+  },
+  financial: {
+    partsTotal: 425.5,
+    laborTotal: 310.75,
+    materialsTotal: 180,
+    grossTotal: 1030.3,
+    total: 1030.3,
+    deductible: 500,
+  },
+  taxDetails: { gstRate: 5, gstAmount: 45.8, pstRate: 7, pstAmount: 64.12 },
+};
+
+describe('BMSExporter', () => {
+  let parsed;
+  let xml;
+
+  beforeAll(async () => {
+    xml = new BMSExporter().generateBMS(document);
+    parsed = await new EnhancedBMSParser().parseBMS(xml);
+  });
+
+  it('writes a namespaced VehicleDamageEstimateAddRq', () => {
+    expect(xml).toContain('<VehicleDamageEstimateAddRq xmlns="http://www.cieca.com/BMS">');
+    expect(parsed.metadata.estimateType).toBe('mitchell_bms');
+  });
+
+  it('writes postal codes and part numbers exactly as given', () => {
+    const leadingZeros = new BMSExporter().generateBMS({
+      ...document,
+      customer: { ...document.customer, zip: '01234' },
+      parts: [{ ...document.parts[0], partNumber: '0521906903' }],
+    });
+
+    expect(leadingZeros).toContain('<PostalCode>01234</PostalCode>');
+    expect(leadingZeros).toContain('<PartNum>0521906903</PartNum>');
+  });
+
+  it('round-trips customer, insurer and adjuster details', () => {
+    expect(parsed.customer).toMatchObject({
+      name: 'Maria Santos',
+      phone: '(604) 555-0101',
+      email: 'maria@example.com',
+      address: '12 Oak St Unit 4',
+      zip: 'V6B 1A1',
+      insurance: 'ICBC',
+      claimNumber: 'CLM-778',
+    });
+    expect(parsed.customer.phones).toEqual(document.customer.phones);
+    expect(parsed.adjuster).toMatchObject({ name: 'Pat Jones', email: 'pat@icbc.example' });
+  });
+
+  it('round-trips vehicle, estimate and supplement identifiers', () => {
+    expect(parsed.vehicle).toMatchObject({
+      vin: '2T1BURHE0JC123456',
+      license: 'AB123C',
+      year: '2022',
+      trim: 'LE',
+      paintCode: '1F7',
+      mileage: 42150,
+      shopRoNumber: '10042',
+      drivable: true,
+    });
+    expect(parsed.estimate).toMatchObject({
+      estimateNumber: 'EST-1001',
+      date: '2025-03-10T09:15:00',
+      roNumber: 'RO-10042',
+      policyNumber: 'POL-55',
+      supplementNumber: 1,
+      currency: 'CAD',
+      estimatingSystem: 'Mitchell Cloud Estimating',
+      repairFacilityName: 'Acme Collision',
+      estimatorName: 'Dan Lee',
+    });
+  });
+
+  it('round-trips part, material and labor lines', () => {
+    expect(parsed.parts).toHaveLength(2);
+    expect(parsed.parts[0]).toMatchObject({
+      lineNumber: 1,
+      partNumber: '52119-06903',
+      quantity: 1,
+      partType: 'PAN',
+      taxable: true,
+      laborType: 'LAB',
+    });
+    expect(parsed.parts[0].price.toNumber()).toBe(425.5);
+    expect(parsed.parts[0].laborHours.toNumber()).toBe(1.5);
+    expect(parsed.parts[1]).toMatchObject({ partNumber: 'MAPA', isMaterial: true });
+    expect(parsed.parts[1].price.toNumber()).toBe(180);
+
+    expect(parsed.labor.lines.map(line => [line.operation, line.laborType, line.taxable])).toEqual([
+      ['Refinish bumper', 'LAR', true],
+      ['ADAS calibration', 'LAM', false],
+    ]);
+    expect(parsed.labor.summary).toMatchObject({ bodyHours: 1.5, refinishHours: 2.2, mechanicalHours: 1 });
+    expect(parsed.specialRequirements.adasCalibration).toBe(true);
+  });
+
+  it('round-trips totals, taxes and the deductible', () => {
+    const { financial, taxDetails } = parsed;
+    expect(financial.partsTotal.toNumber()).toBe(425.5);
+    expect(financial.laborTotal.toNumber()).toBe(310.75);
+    expect(financial.materialsTotal.toNumber()).toBe(180);
+    expect(financial.total.toNumber()).toBe(1030.3);
+    expect(financial.taxTotal.toNumber()).toBe(109.92);
+    expect(financial.deductible.toNumber()).toBe(500);
+    expect(financial.deductibleWaived).toBe(false);
+    expect(taxDetails.gstAmount.toNumber()).toBe(45.8);
+    expect(taxDetails.pstRate.toNumber()).toBe(7);
+  });
+
+  it('exports a re-parsed document unchanged', async () => {
+    const second = await new EnhancedBMSParser().parseBMS(new BMSExporter().generateBMS(parsed));
+    const strip = result => JSON.parse(JSON.stringify({ ...result, metadata: undefined }));
+    expect(strip(second)).toEqual(strip(parsed));
+  });
+});
+
+describe('bmsExportService.buildEstimateDocument', () => {
+  it('maps estimate line items into parts, materials and labor lines', async () => {
+    const estimate = {
+      estimateNumber: 'E-20',
+      estimateDate: new Date('2025-04-01T12:00:00Z'),
+      claimNumber: 'C-9',
+      supplementCount: 0,
+      partsTotal: '300.00',
+      laborTotal: '150.00',
+      paintTotal: '100.00',
+      materialTotal: '40.00',
+      subletTotal: '0',
+      otherTotal: '0',
+      taxTotal: '29.50',
+      estimateTotal: '619.50',
+      deductible: '0',
+      adjusterName: 'Sam Field',
+      lineItems: [
+        { lineNumber: 1, type: 'part', description: 'Hood', partNumber: 'H-1', partType: 'Aftermarket', quantity: '1', unitPrice: '300.00', taxable: true },
+        { lineNumber: 2, type: 'labor', description: 'Repair hood', laborType: 'body', laborHours: '2.0', taxable: true },
+        { lineNumber: 3, type: 'paint', description: 'Refinish hood', laborHours: '2.5', taxable: true },
+        { lineNumber: 4, type: 'material', description: 'Paint materials', totalPrice: '40.00', taxable: true },
+      ],
+    };
+
+    const document = bmsExportService.buildEstimateDocument(estimate, {
+      customer: { firstName: 'Lee', lastName: 'Park', phone: '555-222-3333', zipCode: '90210' },
+      vehicle: { vin: '1HGCM82633A004352', year: 2019, make: 'Honda', model: 'Accord' },
+      shop: { name: 'Acme Collision', currency: 'USD' },
+    });
+    const parsed = await new EnhancedBMSParser().parseBMS(new BMSExporter().generateBMS(document));
+
+    expect(parsed.parts.map(part => [part.partNumber, part.partType])).toEqual([
+      ['H-1', 'PAA'],
+      ['MAPA', 'MAPA'],
+    ]);
+    expect(parsed.labor.lines.map(line => [line.lineNumber, line.laborType])).toEqual([
+      [2, 'LAB'],
+      [3, 'LAR'],
+    ]);
+    expect(parsed.customer).toMatchObject({ name: 'Lee Park', phone: '(555) 222-3333', zip: '90210' });
+    expect(parsed.vehicle).toMatchObject({ vin: '1HGCM82633A004352', year: '2019' });
+    expect(parsed.estimate.repairFacilityName).toBe('Acme Collision');
+    expect(parsed.financial.laborTotal.toNumber()).toBe(250);
+    expect(parsed.financial.taxTotal.toNumber()).toBe(29.5);
+    expect(parsed.financial.total.toNumber()).toBe(619.5);
+  });
+});
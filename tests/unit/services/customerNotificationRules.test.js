@@ -0,0 +1,217 @@
+/**
+ * Unit Tests for automatic customer status updates
+ * Runs customerNotificationRules itself; models and the dispatcher are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  CommunicationTemplate: { findAll: jest.fn() },
+  RepairOrderManagement: { findOne: jest.fn() },
+  AdvancedPartsManagement: { count: jest.fn() },
+  Customer: { findByPk: jest.fn() },
+  VehicleProfile: {},
+  Job: { findOne: jest.fn() },
+  Shop: { findByPk: jest.fn() },
+}));
+
+jest.mock('../../../server/services/messageDispatcher', () => ({
+  dispatch: jest.fn(),
+  chooseVariant: jest.fn(() => null),
+  resolveSendTime: jest.fn(),
+  checkLimits: jest.fn(),
+  buildMessage: jest.fn((template, variant, channel, variables = {}) => ({
+    content: (template.smsTemplate || '').replace(/{{(\w+)}}/g, (_, key) => variables[key] ?? ''),
+  })),
+}));
+
+jest.mock('../../../server/services/smsConversationService', () => ({
+  findOpenRepairOrder: jest.fn(),
+}));
+
+const {
+  CommunicationTemplate,
+  RepairOrderManagement,
+  AdvancedPartsManagement,
+  Job,
+  Shop,
+} = require('../../../server/database/models');
+const messageDispatcher = require('../../../server/services/messageDispatcher');
+const domainEvents = require('../../../server/services/domainEvents');
+const customerNotificationRules = require('../../../server/services/customerNotificationRules');
+
+describe('customerNotificationRules', () => {
+  const mockTemplate = {
+    id: 'template-1',
+    templateName: 'Stage update',
+    category: 'status_update',
+    channels: ['sms'],
+    triggerEvents: ['job.stage_changed'],
+    jobStatuses: [],
+    smsTemplate: 'Hi {{customer_first_name}}, your {{vehicle}} is now in {{stage}}.',
+    canSend: () => true,
+  };
+
+  const mockStageChanged = {
+    name: domainEvents.EVENTS.JOB_STAGE_CHANGED,
+    shopId: 'shop-1',
+    jobId: 'job-1',
+    fromStage: 'body_repair',
+    toStage: 'paint_prep',
+    userId: 'user-1',
+  };
+
+  let mockRepairOrder;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRepairOrder = {
+      id: 42,
+      shopId: 'shop-1',
+      repairOrderNumber: 'RO-1001',
+      productionStage: 'body_repair',
+      autoNotificationsEnabled: true,
+      customer: {
+        id: 'customer-1',
+        firstName: 'Dana',
+        lastName: 'Reyes',
+        mobile: '+14165550100',
+        smsOptIn: true,
+      },
+      vehicleProfile: { year: 2021, make: 'Honda', model: 'Civic' },
+      update: jest.fn(),
+    };
+
+    Job.findOne.mockResolvedValue({
+      id: 'job-1',
+      jobNumber: 'RO-1001',
+      customerId: 'customer-1',
+      status: 'paint_prep',
+    });
+    RepairOrderManagement.findOne.mockResolvedValue(mockRepairOrder);
+    Shop.findByPk.mockResolvedValue({ name: 'Maple Collision' });
+    messageDispatcher.dispatch.mockResolvedValue([{ success: true, status: 'sent' }]);
+  });
+
+  describe('handleEvent', () => {
+    test('texts the customer when a job moves to a stage the template watches', async () => {
+      CommunicationTemplate.findAll.mockResolvedValue([
+        { ...mockTemplate, jobStatuses: ['paint_prep'] },
+        { ...mockTemplate, id: 'template-2', jobStatuses: ['delivered'] },
+      ]);
+
+      await customerNotificationRules.handleEvent(mockStageChanged);
+
+      expect(RepairOrderManagement.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { repairOrderNumber: 'RO-1001', shopId: 'shop-1' } })
+      );
+      expect(messageDispatcher.dispatch).toHaveBeenCalledTimes(1);
+      expect(messageDispatcher.dispatch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          channels: ['sms'],
+          template: expect.objectContaining({ id: 'template-1' }),
+          variables: expect.objectContaining({
+            customer_first_name: 'Dana',
+            vehicle: '2021 Honda Civic',
+            stage: 'Paint Prep',
+            ro_number: 'RO-1001',
+          }),
+          context: expect.objectContaining({
+            repairOrderId: 42,
+            triggerEvent: 'job.stage_changed',
+            isAutomated: true,
+          }),
+        })
+      );
+      expect(mockRepairOrder.update).toHaveBeenCalledWith({
+        lastCustomerContact: expect.any(Date),
+      });
+    });
+
+    test('fires templates keyed only on job status when a job enters that stage', async () => {
+      CommunicationTemplate.findAll.mockResolvedValue([
+        { ...mockTemplate, triggerEvents: [], jobStatuses: ['paint_prep'] },
+      ]);
+
+      await customerNotificationRules.handleEvent(mockStageChanged);
+
+      expect(messageDispatcher.dispatch).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not record customer contact when no message went out', async () => {
+      CommunicationTemplate.findAll.mockResolvedValue([mockTemplate]);
+      messageDispatcher.dispatch.mockResolvedValue([{ success: false, status: 'blocked' }]);
+
+      await customerNotificationRules.handleEvent(mockStageChanged);
+
+      expect(mockRepairOrder.update).not.toHaveBeenCalled();
+    });
+
+    test('stays quiet for repair orders that opted out', async () => {
+      mockRepairOrder.autoNotificationsEnabled = false;
+      CommunicationTemplate.findAll.mockResolvedValue([mockTemplate]);
+
+      const result = await customerNotificationRules.handleEvent(mockStageChanged);
+
+      expect(result).toMatchObject({ skipped: true });
+      expect(messageDispatcher.dispatch).not.toHaveBeenCalled();
+    });
+
+    test('sends the all-parts-received update only once nothing is outstanding', async () => {
+      CommunicationTemplate.findAll.mockResolvedValue([
+        { ...mockTemplate, triggerEvents: ['parts_all_received'] },
+      ]);
+      const mockPartsReceived = {
+        name: domainEvents.EVENTS.PARTS_RECEIVED,
+        shopId: 'shop-1',
+        repairOrderId: 42,
+        partIds: ['part-1'],
+      };
+
+      AdvancedPartsManagement.count.mockResolvedValueOnce(2);
+      await customerNotificationRules.handleEvent(mockPartsReceived);
+      expect(messageDispatcher.dispatch).not.toHaveBeenCalled();
+
+      AdvancedPartsManagement.count.mockResolvedValueOnce(0);
+      await customerNotificationRules.handleEvent(mockPartsReceived);
+      expect(messageDispatcher.dispatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('preview', () => {
+    test('previews rendered messages and held channels without sending', async () => {
+      mockRepairOrder.customer = {
+        id: 'customer-1',
+        firstName: 'Dana',
+        mobile: '+14165550100',
+        email: 'dana@example.com',
+        smsOptIn: false,
+      };
+      CommunicationTemplate.findAll.mockResolvedValue([
+        {
+          ...mockTemplate,
+          triggerEvents: ['qc.completed'],
+          channels: ['sms', 'email'],
+          emailTemplate: 'QC passed',
+        },
+      ]);
+      messageDispatcher.checkLimits.mockResolvedValue(null);
+
+      const preview = await customerNotificationRules.preview('shop-1', {
+        ro_id: 42,
+        event: 'qc.completed',
+        stage: 'final_inspection',
+      });
+
+      expect(messageDispatcher.dispatch).not.toHaveBeenCalled();
+      expect(preview.messages).toEqual([
+        expect.objectContaining({ channel: 'email', hold: null }),
+        expect.objectContaining({ channel: 'sms', hold: expect.stringMatching(/consent|opt/i) }),
+      ]);
+    });
+
+    test('rejects previews for unknown events', async () => {
+      await expect(
+        customerNotificationRules.preview('shop-1', { ro_id: 42, event: 'paint.dried' })
+      ).rejects.toThrow('Event must be one of');
+    });
+  });
+});
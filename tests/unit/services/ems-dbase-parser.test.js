@@ -0,0 +1,306 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const EMSDbaseParser = require('../../../server/services/import/ems_dbase_parser');
+const { readDBF, readZipEntries, isZip } = require('../../../server/services/import/dbase_reader');
+
+// dBase III table writer: fields are [name, type, length, decimals]
+const writeDBF = (fields, records) => {
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, [, , length]) => sum + length, 0);
+  const buffer = Buffer.alloc(headerLength + records.length * recordLength + 1, 0x20);
+
+  buffer.fill(0, 0, headerLength);
+  buffer[0] = 0x03;
+  buffer.writeUInt32LE(records.length, 4);
+  buffer.writeUInt16LE(headerLength, 8);
+  buffer.writeUInt16LE(recordLength, 10);
+  fields.forEach(([name, type, length, decimals = 0], index) => {
+    const offset = 32 + index * 32;
+    buffer.write(name, offset, 'latin1');
+    buffer.write(type, offset + 11, 'latin1');
+    buffer[offset + 16] = length;
+    buffer[offset + 17] = decimals;
+  });
+  buffer[headerLength - 1] = 0x0d;
+
+  records.forEach((record, index) => {
+    let offset = headerLength + index * recordLength;
+    buffer.write(record._deleted ? '*' : ' ', offset++, 'latin1');
+    fields.forEach(([name, type, length, decimals = 0]) => {
+      const value = record[name];
+      let text = '';
+      if (value !== undefined && value !== null) {
+        if (type === 'N') text = Number(value).toFixed(decimals).padStart(length);
+        else if (type === 'L') text = value ? 'T' : 'F';
+        else text = String(value);
+      }
+      buffer.write(text.padEnd(length).slice(0, length), offset, 'latin1');
+      offset += length;
+    });
+  });
+  buffer[buffer.length - 1] = 0x1a;
+
+  return buffer;
+};
+
+// Zip writer: deflates every entry except those listed in `stored`
+const writeZip = (files, stored = []) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, data]) => {
+    const method = stored.includes(name) ? 0 : 8;
+    const compressed = method ? zlib.deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name, 'latin1');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+const emsTables = () => ({
+  'EST1001.ENV': writeDBF(
+    [['ESTFILE_ID', 'C', 8], ['RO_ID', 'C', 8], ['SUPP_NO', 'C', 3], ['EST_SYSTEM', 'C', 1],
+      ['SW_VERSION', 'C', 10], ['CREATE_DT', 'D', 8], ['CREATE_TM', 'C', 8], ['EST_CTRY', 'C', 3]],
+    [{ ESTFILE_ID: 'EST1001', RO_ID: '10042', SUPP_NO: 'S01', EST_SYSTEM: 'C', SW_VERSION: '5.2',
+      CREATE_DT: '20250310', CREATE_TM: '09:15:00', EST_CTRY: 'CAN' }]
+  ),
+  'EST1001.AD1': writeDBF(
+    [['INS_CO_NM', 'C', 20], ['CLM_NO', 'C', 10], ['POLICY_NO', 'C', 10], ['DED_AMT', 'N', 8, 2],
+      ['DED_STATUS', 'C', 10], ['LOSS_DATE', 'D', 8], ['LOSS_DESC', 'C', 30], ['CLM_CT_FN', 'C', 10],
+      ['CLM_CT_LN', 'C', 10], ['CLM_CT_PH', 'C', 12], ['CLM_EA', 'C', 20], ['OWNR_FN', 'C', 10],
+      ['OWNR_LN', 'C', 10], ['OWNR_ADDR1', 'C', 20], ['OWNR_CITY', 'C', 12], ['OWNR_ST', 'C', 2],
+      ['OWNR_ZIP', 'C', 7], ['OWNR_PH1', 'C', 12], ['OWNR_EA', 'C', 20], ['INSD_FN', 'C', 10]],
+    [{ INS_CO_NM: 'ICBC', CLM_NO: 'CLM-778', POLICY_NO: 'POL-55', DED_AMT: 500, DED_STATUS: 'Applied',
+      LOSS_DATE: '20250301', LOSS_DESC: 'Front impact', CLM_CT_FN: 'Pat', CLM_CT_LN: 'Jones',
+      CLM_CT_PH: '6045550300', CLM_EA: 'pat@icbc.example', OWNR_FN: 'Maria', OWNR_LN: 'Santos',
+      OWNR_ADDR1: '12 Oak St', OWNR_CITY: 'Vancouver', OWNR_ST: 'BC', OWNR_ZIP: 'V5K 0A1',
+      OWNR_PH1: '604-555-0101', OWNR_EA: 'maria@example.com', INSD_FN: 'Other' }]
+  ),
+  'EST1001.AD2': writeDBF(
+    [['EST_CT_FN', 'C', 10], ['EST_CT_LN', 'C', 10], ['RF_CO_NM', 'C', 20], ['RF_PH1', 'C', 12]],
+    [{ EST_CT_FN: 'Dan', EST_CT_LN: 'Lee', RF_CO_NM: 'Acme Collision', RF_PH1: '6045550000' }]
+  ),
+  'EST1001.VEH': writeDBF(
+    [['V_VIN', 'C', 17], ['V_MODEL_YR', 'C', 4], ['V_MAKEDESC', 'C', 10], ['V_MODEL', 'C', 10],
+      ['V_COLOR', 'C', 10], ['PAINT_CD1', 'C', 5], ['PLATE_NO', 'C', 8], ['V_MILEAGE', 'N', 7]],
+    [{ V_VIN: '2T1BURHE0JC123456', V_MODEL_YR: '2022', V_MAKEDESC: 'Toyota', V_MODEL: 'Corolla',
+      V_COLOR: 'Silver', PAINT_CD1: '1F7', PLATE_NO: 'AB123C', V_MILEAGE: 42150 }]
+  ),
+  'EST1001.LIN': writeDBF(
+    [['LINE_NO', 'N', 3], ['LINE_DESC', 'C', 25], ['PART_TYPE', 'C', 4], ['OEM_PARTNO', 'C', 12],
+      ['ALT_PARTNO', 'C', 12], ['ALT_CO_ID', 'C', 8], ['ACT_PRICE', 'N', 9, 2], ['DB_PRICE', 'N', 9, 2],
+      ['PART_QTY', 'N', 3], ['TAX_PART', 'L', 1], ['MOD_LBR_TY', 'C', 3], ['MOD_LB_HRS', 'N', 5, 1],
+      ['LBR_TAX', 'L', 1], ['MISC_AMT', 'N', 9, 2], ['MISC_SUBLT', 'L', 1]],
+    [
+      { LINE_NO: 1, LINE_DESC: 'Front Bumper Cover', PART_TYPE: 'PAN', OEM_PARTNO: '0521906903',
+        ACT_PRICE: 425.5, DB_PRICE: 450, PART_QTY: 1, TAX_PART: true, MOD_LBR_TY: 'LAB', MOD_LB_HRS: 1.5 },
+      { LINE_NO: 2, LINE_DESC: 'Headlamp Assy', PART_TYPE: 'PAA', OEM_PARTNO: '8111002', ALT_PARTNO: 'TY-2201',
+        ALT_CO_ID: 'KEYSTONE', ACT_PRICE: 210, DB_PRICE: 380, PART_QTY: 1, TAX_PART: true },
+      { LINE_NO: 3, LINE_DESC: 'Refinish bumper', MOD_LBR_TY: 'LAR', MOD_LB_HRS: 2.2, LBR_TAX: true },
+      { LINE_NO: 4, LINE_DESC: 'ADAS calibration', MOD_LBR_TY: 'LAM', MOD_LB_HRS: 1, LBR_TAX: false },
+      { LINE_NO: 5, LINE_DESC: 'Wheel alignment', MISC_AMT: 120, MISC_SUBLT: true },
+      { LINE_NO: 6, LINE_DESC: 'Removed line', PART_TYPE: 'PAN', OEM_PARTNO: 'X', ACT_PRICE: 1, _deleted: true },
+    ]
+  ),
+  'EST1001.PFL': writeDBF(
+    [['LBR_TYPE', 'C', 3], ['LBR_RATE', 'N', 7, 2]],
+    [{ LBR_TYPE: 'LAB', LBR_RATE: 95 }, { LBR_TYPE: 'LAR', LBR_RATE: 95 }, { LBR_TYPE: 'LAM', LBR_RATE: 125 }]
+  ),
+  'EST1001.PFH': writeDBF([['TAX_GST_RT', 'N', 6, 2]], [{ TAX_GST_RT: 5 }]),
+  'EST1001.TTL': writeDBF(
+    [['G_TTL_AMT', 'N', 10, 2], ['N_TTL_AMT', 'N', 10, 2], ['G_CUST_AMT', 'N', 10, 2]],
+    [{ G_TTL_AMT: 1530.3, N_TTL_AMT: 1030.3, G_CUST_AMT: 500 }]
+  ),
+  'EST1001.STL': writeDBF(
+    [['TTL_TYPECD', 'C', 6], ['TTL_TYPE', 'C', 20], ['T_AMT', 'N', 10, 2], ['T_HRS', 'N', 6, 1]],
+    [
+      { TTL_TYPECD: 'PAN', TTL_TYPE: 'OEM Parts', T_AMT: 425.5 },
+      { TTL_TYPECD: 'PAA', TTL_TYPE: 'Aftermarket Parts', T_AMT: 210 },
+      { TTL_TYPECD: 'LAB', TTL_TYPE: 'Body Labor', T_AMT: 142.5, T_HRS: 1.5 },
+      { TTL_TYPECD: 'LAR', TTL_TYPE: 'Refinish Labor', T_AMT: 209, T_HRS: 2.2 },
+      { TTL_TYPECD: 'MAPA', TTL_TYPE: 'Paint Materials', T_AMT: 180 },
+      { TTL_TYPECD: 'OTSL', TTL_TYPE: 'Sublet', T_AMT: 120 },
+      { TTL_TYPECD: 'GST', TTL_TYPE: 'GST', T_AMT: 45.8 },
+      { TTL_TYPECD: 'PST', TTL_TYPE: 'PST', T_AMT: 64.12 },
+    ]
+  ),
+});
+
+describe('dbase_reader', () => {
+  it('reads typed dBase fields and skips deleted records', () => {
+    const { fields, records } = readDBF(emsTables()['EST1001.LIN']);
+
+    expect(fields.map(field => field.name)).toContain('MOD_LB_HRS');
+    expect(records).toHaveLength(5);
+    expect(records[0]).toMatchObject({ LINE_NO: 1, OEM_PARTNO: '0521906903', ACT_PRICE: 425.5, TAX_PART: true });
+    expect(records[2]).toMatchObject({ PART_TYPE: '', ACT_PRICE: null, TAX_PART: null });
+  });
+
+  it('reads stored and deflated zip entries', async () => {
+    const zip = writeZip({ 'A.TXT': Buffer.from('stored'), 'dir/B.TXT': Buffer.from('deflated '.repeat(20)) }, ['A.TXT']);
+
+    expect(isZip(zip)).toBe(true);
+    const entries = await readZipEntries(zip);
+    expect(entries.map(entry => [entry.name, entry.data.toString()])).toEqual([
+      ['A.TXT', 'stored'],
+      ['dir/B.TXT', 'deflated '.repeat(20)],
+    ]);
+    await expect(readZipEntries(Buffer.from('not a zip at all, just text'))).rejects.toThrow('Not a zip archive');
+  });
+
+  it('refuses zip entries that inflate past their size limit or declared size', async () => {
+    const zip = writeZip({ 'BIG.TXT': Buffer.alloc(4096) });
+
+    await expect(readZipEntries(zip, { maxEntrySize: 1024 })).rejects.toThrow('Zip entry is too large to extract: BIG.TXT');
+    await expect(readZipEntries(zip, { maxTotalSize: 1024 })).rejects.toThrow('Zip entry is too large to extract: BIG.TXT');
+
+    // Central directory claims 16 bytes; the data inflates to 4 KB
+    const centralOffset = zip.readUInt32LE(zip.length - 22 + 16);
+    zip.writeUInt32LE(16, centralOffset + 24);
+    await expect(readZipEntries(zip)).rejects.toThrow('BIG.TXT is larger than its header says');
+  });
+});
+
+describe('EMSDbaseParser', () => {
+  let parsed;
+
+  beforeAll(async () => {
+    parsed = await new EMSDbaseParser().parseEMSPackage(writeZip(emsTables(), ['EST1001.ENV']));
+  });
+
+  it('maps owner, insurer and adjuster from AD1', () => {
+    expect(parsed.customer).toMatchObject({
+      firstName: 'Maria',
+      lastName: 'Santos',
+      phone: '(604) 555-0101',
+      email: 'maria@example.com',
+      address: '12 Oak St',
+      city: 'Vancouver',
+      zip: 'V5K 0A1',
+      insurance: 'ICBC',
+      claimNumber: 'CLM-778',
+    });
+    expect(parsed.adjuster).toMatchObject({ name: 'Pat Jones', phone: '(604) 555-0300', company: 'ICBC' });
+  });
+
+  it('maps vehicle and estimate identifiers from VEH, ENV and AD2', () => {
+    expect(parsed.vehicle).toMatchObject({
+      vin: '2T1BURHE0JC123456',
+      year: '2022',
+      make: 'Toyota',
+      paintCode: '1F7',
+      license: 'AB123C',
+      mileage: 42150,
+      damageDescription: 'Front impact',
+    });
+    expect(parsed.estimate).toMatchObject({
+      estimateNumber: 'EST1001',
+      date: '2025-03-10T09:15:00',
+      roNumber: '10042',
+      shopRoNumber: '10042',
+      supplementNumber: 1,
+      isSupplement: true,
+      estimatingSystem: 'CCC ONE',
+      currency: 'CAD',
+      lossDate: '2025-03-01',
+      estimatorName: 'Dan Lee',
+      repairFacilityName: 'Acme Collision',
+    });
+  });
+
+  it('maps part, sublet and labor lines from LIN', () => {
+    expect(parsed.parts.map(part => [part.lineNumber, part.partNumber, part.partType])).toEqual([
+      [1, '0521906903', 'PAN'],
+      [2, 'TY-2201', 'PAA'],
+      [5, 'SUBLET', 'SUBLET'],
+    ]);
+    expect(parsed.parts[0].laborHours.toNumber()).toBe(1.5);
+    expect(parsed.parts[1]).toMatchObject({ oemPartNumber: '8111002', supplierRefNum: 'KEYSTONE', partSelectedInd: true });
+    expect(parsed.parts[2]).toMatchObject({ isMaterial: true });
+    expect(parsed.parts[2].price.toNumber()).toBe(120);
+
+    expect(parsed.labor.lines.map(line => [line.operation, line.laborType, line.extended.toNumber()])).toEqual([
+      ['Refinish bumper', 'LAR', 209],
+      ['ADAS calibration', 'LAM', 125],
+    ]);
+    expect(parsed.labor.summary).toMatchObject({ bodyHours: 1.5, refinishHours: 2.2, mechanicalHours: 1 });
+    expect(parsed.specialRequirements).toMatchObject({ adasCalibration: true, fourWheelAlignment: true });
+  });
+
+  it('maps totals, taxes and the deductible from TTL, STL and the profile', () => {
+    const { financial, taxDetails } = parsed;
+    expect(financial.partsTotal.toNumber()).toBe(635.5);
+    expect(financial.laborTotal.toNumber()).toBe(351.5);
+    expect(financial.laborHours.toNumber()).toBe(3.7);
+    expect(financial.materialsTotal.toNumber()).toBe(300);
+    expect(financial.grossTotal.toNumber()).toBe(1530.3);
+    expect(financial.total.toNumber()).toBe(1030.3);
+    expect(financial.deductible.toNumber()).toBe(500);
+    expect(financial.deductibleWaived).toBe(false);
+    expect(financial.taxTotal.toNumber()).toBe(109.92);
+    expect(taxDetails.gstRate.toNumber()).toBe(5);
+    expect(parsed.metadata).toMatchObject({ sourceFormat: 'EMS dBase', tables: { LIN: 5, STL: 8 } });
+  });
+
+  it('reads an export folder', async () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'ems-'));
+    try {
+      Object.entries(emsTables()).forEach(([name, data]) => fs.writeFileSync(path.join(folder, name), data));
+      fs.writeFileSync(path.join(folder, 'README.TXT'), 'ignored');
+
+      const fromFolder = await new EMSDbaseParser().parseEMSPackage(folder);
+
+      expect(fromFolder.customer.name).toBe('Maria Santos');
+      expect(fromFolder.parts).toHaveLength(3);
+    } finally {
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects packages without EMS tables or with several estimates', async () => {
+    const parser = new EMSDbaseParser();
+    const tables = emsTables();
+
+    await expect(parser.parseEMSPackage(writeZip({ 'notes.txt': Buffer.from('x') }))).rejects.toThrow(
+      'No EMS tables'
+    );
+    await expect(
+      parser.parseEMSPackage(writeZip({ 'A.VEH': tables['EST1001.VEH'], 'B.VEH': tables['EST1001.VEH'] }))
+    ).rejects.toThrow('2 estimates');
+  });
+});
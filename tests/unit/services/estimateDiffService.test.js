@@ -0,0 +1,200 @@
+jest.mock('../../../server/database/models', () => ({
+  EstimateVersion: { findOne: jest.fn(), create: jest.fn(), update: jest.fn() },
+  EstimateLineItemChange: { bulkCreate: jest.fn() },
+  RepairOrderManagement: {},
+  sequelize: { transaction: jest.fn(work => work({})) },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { notifyChange: jest.fn() },
+}));
+
+const { EstimateVersion } = require('../../../server/database/models');
+const estimateDiffService = require('../../../server/services/estimateDiffService');
+
+describe('estimateDiffService', () => {
+  const original = {
+    estimate: { estimateNumber: 'CX52401-1', supplementNumber: 0 },
+    financial: { partsTotal: 500, laborTotal: 300, total: 900 },
+    parts: [
+      { lineNumber: 1, partNumber: 'BMP-100', description: 'Bumper Cover', quantity: 1, price: 400 },
+      { lineNumber: 2, partNumber: 'CLP-1', description: 'Clip', quantity: 4, price: 25 },
+    ],
+    labor: {
+      lines: [
+        { lineNumber: 3, operation: 'R&I Bumper', hours: 1.5 },
+        { lineNumber: 4, operation: 'Refinish Bumper', hours: 2 },
+      ],
+    },
+  };
+
+  const supplement = {
+    estimate: { estimateNumber: 'CX52401-1', supplementNumber: 1 },
+    financial: { partsTotal: 750, laborTotal: 350, total: 1200 },
+    parts: [
+      { lineNumber: 1, partNumber: 'BMP-100', description: 'Bumper Cover', quantity: 1, price: 400 },
+      { lineNumber: 2, partNumber: 'CLP-1', description: 'Clip', quantity: 6, price: 25 },
+      { lineNumber: 5, partNumber: 'ABS-9', description: 'Absorber', quantity: 1, price: 200 },
+    ],
+    labor: {
+      lines: [{ lineNumber: 3, operation: 'R&I Bumper', hours: 2 }],
+    },
+  };
+
+  describe('compareBMSEstimates', () => {
+    it('reports added, removed and changed parts and labor', () => {
+      const diff = estimateDiffService.compareBMSEstimates(supplement, original);
+
+      expect(diff.parts.added.map(part => part.partNumber)).toEqual(['ABS-9']);
+      expect(diff.parts.modified[0].changes.quantity).toEqual({ from: 4, to: 6, change: 2 });
+      expect(diff.labor.modified[0].changes.hours.change).toBe(0.5);
+      expect(diff.labor.removed.map(labor => labor.operation)).toEqual(['Refinish Bumper']);
+      expect(diff.summary).toMatchObject({
+        hasChanges: true,
+        lineItemsAdded: 1,
+        lineItemsRemoved: 1,
+        lineItemsModified: 2,
+      });
+    });
+
+    it('uses the financial grand total for the supplement amount', () => {
+      const diff = estimateDiffService.compareBMSEstimates(supplement, original);
+
+      expect(diff.totals.changes.grand).toBe(300);
+      expect(diff.summary.percentChange).toBeCloseTo(33.33, 2);
+    });
+  });
+
+  describe('buildLineItemChanges', () => {
+    it('flattens a diff into change rows for the version', () => {
+      const diff = estimateDiffService.compareBMSEstimates(supplement, original);
+      const rows = estimateDiffService.buildLineItemChanges('version-1', 7, diff);
+
+      expect(rows).toHaveLength(4);
+      expect(rows.every(row => row.versionId === 'version-1')).toBe(true);
+      expect(rows.find(row => row.changeType === 'removed')).toMatchObject({
+        itemType: 'labor',
+        previousHours: 2,
+        hoursChange: -2,
+      });
+    });
+  });
+
+  describe('detectSupplementNumber', () => {
+    it('prefers the supplement number parsed from the BMS document', () => {
+      expect(estimateDiffService.detectSupplementNumber(supplement, 'claim.xml')).toBe(1);
+    });
+
+    it('falls back to an S01-style file name suffix', () => {
+      expect(estimateDiffService.detectSupplementNumber(original, '12345-S02.xml')).toBe(2);
+      expect(estimateDiffService.detectSupplementNumber(original, '12345_SUPP3.xml')).toBe(3);
+    });
+
+    it('treats files without a marker as the original estimate', () => {
+      expect(estimateDiffService.detectSupplementNumber(original, '593475061.xml')).toBe(0);
+    });
+  });
+
+  describe('recordEstimateVersion', () => {
+    const claim = { id: 3, claimNumber: 'CX52401' };
+    const repairOrder = () => ({
+      id: 9,
+      supplementCount: 1,
+      totalSupplementAmount: '300.00',
+      roStatus: 'in_production',
+      update: jest.fn(),
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      EstimateVersion.create.mockImplementation(values => Promise.resolve({ id: 'version-new', ...values }));
+    });
+
+    it('does not record a supplement when the latest version is imported again', async () => {
+      const latest = { id: 'version-2', versionNumber: 2, supplementNumber: 1, bmsData: supplement };
+      EstimateVersion.findOne.mockResolvedValue(latest);
+      const ro = repairOrder();
+
+      const result = await estimateDiffService.recordEstimateVersion({
+        shopId: 'shop-1',
+        claim,
+        repairOrder: ro,
+        bmsData: supplement,
+        fileName: 'CX52401-S01.xml',
+      });
+
+      expect(result).toMatchObject({ version: latest, isSupplement: false, supplementNumber: 1, duplicate: true });
+      expect(EstimateVersion.create).not.toHaveBeenCalled();
+      expect(ro.update).not.toHaveBeenCalled();
+    });
+
+    it('numbers a changed estimate without a marker as the next supplement', async () => {
+      EstimateVersion.findOne.mockResolvedValue({ id: 'version-1', versionNumber: 1, supplementNumber: 0, bmsData: original });
+      const ro = repairOrder();
+
+      const result = await estimateDiffService.recordEstimateVersion({
+        shopId: 'shop-1',
+        claim,
+        repairOrder: ro,
+        bmsData: { ...supplement, estimate: { estimateNumber: 'CX52401-1' } },
+        fileName: 'CX52401.xml',
+      });
+
+      expect(result).toMatchObject({ isSupplement: true, supplementNumber: 1, duplicate: false });
+      expect(EstimateVersion.create).toHaveBeenCalledWith(
+        expect.objectContaining({ shopId: 'shop-1', supplementNumber: 1, versionNumber: 2 }),
+        expect.anything()
+      );
+      expect(ro.update).toHaveBeenCalledWith(
+        expect.objectContaining({ supplementCount: 2, totalSupplementAmount: 600, roStatus: 'supplement_pending' }),
+        expect.anything()
+      );
+    });
+
+    it('treats an older supplement imported again as a duplicate', async () => {
+      const firstSupplement = { id: 'version-2', versionNumber: 2, supplementNumber: 1, bmsData: supplement };
+      EstimateVersion.findOne
+        .mockResolvedValueOnce({ id: 'version-3', versionNumber: 3, supplementNumber: 2, bmsData: supplement })
+        .mockResolvedValueOnce(firstSupplement);
+      const ro = repairOrder();
+
+      const result = await estimateDiffService.recordEstimateVersion({
+        shopId: 'shop-1',
+        claim,
+        repairOrder: ro,
+        bmsData: supplement,
+        fileName: 'CX52401-S01.xml',
+      });
+
+      expect(EstimateVersion.findOne).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({
+          order: [
+            ['supplementNumber', 'DESC'],
+            ['versionNumber', 'DESC'],
+          ],
+        })
+      );
+      expect(result).toMatchObject({ version: firstSupplement, supplementNumber: 1, duplicate: true });
+      expect(EstimateVersion.create).not.toHaveBeenCalled();
+      expect(ro.update).not.toHaveBeenCalled();
+    });
+
+    it('links the baseline version to the repair order with the first supplement', async () => {
+      EstimateVersion.findOne.mockResolvedValue({ id: 'version-1', versionNumber: 1, supplementNumber: 0, bmsData: original });
+
+      await estimateDiffService.recordEstimateVersion({
+        shopId: 'shop-1',
+        claim,
+        repairOrder: repairOrder(),
+        bmsData: supplement,
+        fileName: 'CX52401-S01.xml',
+      });
+
+      expect(EstimateVersion.update).toHaveBeenCalledWith(
+        { repairOrderId: 9 },
+        expect.objectContaining({ where: { claimManagementId: 3, repairOrderId: null } })
+      );
+    });
+  });
+});
@@ -0,0 +1,190 @@
+jest.mock('../../../server/database/models', () => ({
+  Estimate: {},
+  EstimateLineItem: {},
+  Job: {},
+  RepairOrderManagement: {},
+  ClaimManagement: {},
+  VehicleProfile: {},
+  Vehicle: { findOne: jest.fn() },
+  Customer: { findOne: jest.fn() },
+  Shop: { findByPk: jest.fn() },
+  sequelize: { transaction: jest.fn() },
+}));
+
+const {
+  Vehicle,
+  Customer,
+  sequelize,
+} = require('../../../server/database/models');
+const estimateService = require('../../../server/services/estimateService');
+
+describe('estimateService', () => {
+  const rates = { laborRate: 80, paintRate: 90 };
+
+  describe('normalizeLineItem', () => {
+    it('prices part lines as quantity × unit price', () => {
+      const line = estimateService.normalizeLineItem(
+        {
+          type: 'part',
+          description: 'Front Bumper Cover',
+          part_number: '04711-TBA-A90ZZ',
+          quantity: 2,
+          unit_price: 225.5,
+        },
+        rates
+      );
+
+      expect(line.partNumber).toBe('04711-TBA-A90ZZ');
+      expect(line.totalPrice).toBe(451);
+    });
+
+    it('prices labor lines as hours × shop labor rate', () => {
+      const line = estimateService.normalizeLineItem(
+        { type: 'labor', description: 'R&I bumper', laborHours: 1.5 },
+        rates
+      );
+
+      expect(line.laborRate).toBe(80);
+      expect(line.quantity).toBe(1.5);
+      expect(line.totalPrice).toBe(120);
+    });
+
+    it('uses the paint rate and flags refinish on paint lines', () => {
+      const line = estimateService.normalizeLineItem(
+        { type: 'paint', description: 'Refinish bumper', hours: 2 },
+        rates
+      );
+
+      expect(line.isRefinish).toBe(true);
+      expect(line.refinishHours).toBe(2);
+      expect(line.totalPrice).toBe(180);
+    });
+
+    it('marks sublet lines', () => {
+      const line = estimateService.normalizeLineItem(
+        { type: 'sublet', description: 'Wheel alignment', unitPrice: 129.99 },
+        rates
+      );
+
+      expect(line.isSublet).toBe(true);
+      expect(line.totalPrice).toBe(129.99);
+    });
+
+    it('rejects unknown line types and missing descriptions', () => {
+      expect(() =>
+        estimateService.normalizeLineItem({ type: 'bogus', description: 'x' })
+      ).toThrow('Invalid line type');
+      expect(() => estimateService.normalizeLineItem({ type: 'part' })).toThrow(
+        'description is required'
+      );
+    });
+  });
+
+  describe('calculateTotals', () => {
+    it('rolls lines into estimate totals with tax on taxable lines', () => {
+      const totals = estimateService.calculateTotals(
+        [
+          { type: 'part', totalPrice: 400, taxable: true },
+          { type: 'labor', totalPrice: 160, laborHours: 2, taxable: true },
+          { type: 'paint', totalPrice: 90, laborHours: 1, taxable: false },
+          { type: 'sublet', totalPrice: 100, taxable: true },
+          { type: 'discount', totalPrice: 50 },
+        ],
+        { taxRate: 10 }
+      );
+
+      expect(totals.partsTotal).toBe(400);
+      expect(totals.laborTotal).toBe(160);
+      expect(totals.paintTotal).toBe(90);
+      expect(totals.subletTotal).toBe(100);
+      expect(totals.otherTotal).toBe(-50);
+      expect(totals.taxTotal).toBe(66);
+      expect(totals.laborHours).toBe(3);
+      expect(totals.estimateTotal).toBe(766);
+    });
+
+    it('returns zero totals for an empty estimate', () => {
+      const totals = estimateService.calculateTotals([]);
+      expect(totals.estimateTotal).toBe(0);
+    });
+  });
+
+  describe('status workflow', () => {
+    it('allows draft → sent → approved → converted_to_job', () => {
+      expect(estimateService.canTransition('draft', 'sent')).toBe(true);
+      expect(estimateService.canTransition('sent', 'approved')).toBe(true);
+      expect(estimateService.canTransition('approved', 'converted_to_job')).toBe(true);
+    });
+
+    it('blocks skipping back from converted estimates', () => {
+      expect(estimateService.canTransition('converted_to_job', 'draft')).toBe(false);
+      expect(estimateService.canTransition('sent', 'converted_to_job')).toBe(false);
+    });
+
+    it('only allows line edits while writing the estimate', () => {
+      expect(() => estimateService.assertEditable({ status: 'draft' })).not.toThrow();
+      expect(() => estimateService.assertEditable({ status: 'approved' })).toThrow(
+        'move it to revised'
+      );
+    });
+  });
+
+  describe('shop scoping', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it("refuses to create an estimate for another shop's customer", async () => {
+      Customer.findOne.mockResolvedValue(null);
+
+      await expect(
+        estimateService.createEstimate(
+          { customerId: 'customer-b', vehicleId: 'vehicle-b' },
+          [],
+          { shopId: 'shop-a', userId: 'user-1' }
+        )
+      ).rejects.toThrow('Customer not found');
+
+      expect(Customer.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 'customer-b', shopId: 'shop-a' } })
+      );
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it("refuses another shop's vehicle", async () => {
+      Customer.findOne.mockResolvedValue({ id: 'customer-a' });
+      Vehicle.findOne.mockResolvedValue(null);
+
+      await expect(
+        estimateService.assertShopCustomerAndVehicle('shop-a', {
+          customerId: 'customer-a',
+          vehicleId: 'vehicle-b',
+        })
+      ).rejects.toThrow('Vehicle not found');
+      expect(Vehicle.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 'vehicle-b', shopId: 'shop-a' } })
+      );
+    });
+
+    it("loads the customer and vehicle only from the estimate's shop", async () => {
+      Customer.findOne.mockResolvedValue(null);
+      Vehicle.findOne.mockResolvedValue(null);
+
+      const result = await estimateService.getCustomerAndVehicle({
+        shopId: 'shop-a',
+        customerId: 'customer-b',
+        vehicleId: 'vehicle-b',
+      });
+
+      expect(result).toEqual({ customer: null, vehicle: null });
+      expect(Customer.findOne.mock.calls[0][0].where).toEqual({
+        id: 'customer-b',
+        shopId: 'shop-a',
+      });
+      expect(Vehicle.findOne.mock.calls[0][0].where).toEqual({
+        id: 'vehicle-b',
+        shopId: 'shop-a',
+      });
+    });
+  });
+});
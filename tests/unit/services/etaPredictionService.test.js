@@ -0,0 +1,187 @@
+jest.mock('../../../server/database/models', () => ({
+  RepairOrderManagement: { findOne: jest.fn() },
+  Job: { findAll: jest.fn() },
+  JobStageHistory: { findAll: jest.fn() },
+  ProductionWorkflow: {},
+  AdvancedPartsManagement: {},
+  VehicleProfile: {},
+  ClaimManagement: {},
+  InsuranceCompany: {},
+  Vehicle: {},
+  SchedulingCapacity: {},
+  User: {},
+}));
+
+const { Job, JobStageHistory } = require('../../../server/database/models');
+const etaPredictionService = require('../../../server/services/etaPredictionService');
+
+const HOUR = 60 * 60 * 1000;
+// Monday 2 March 2026, 07:00 local time
+const now = new Date(2026, 2, 2, 7);
+const hoursFromNow = hours => new Date(now.getTime() + hours * HOUR);
+
+// A delivered job that spent the given hours in each stage
+const pastJob = (id, stageHours, values = {}) => {
+  let time = new Date(2025, 10, 1).getTime();
+  const rows = [];
+  Object.entries(stageHours).forEach(([stage, hours], index) => {
+    rows.push({
+      jobId: id,
+      fromStage: index === 0 ? null : Object.keys(stageHours)[index - 1],
+      toStage: stage,
+      transitionTime: new Date(time),
+      ...(stage === 'paint_booth' && values.paintDelay
+        ? { delayReason: values.paintDelay, delayMinutes: 240 }
+        : {}),
+    });
+    time += hours * HOUR;
+  });
+  rows.push({ jobId: id, toStage: 'ready_pickup', transitionTime: new Date(time) });
+
+  return {
+    job: {
+      id,
+      status: 'delivered',
+      estimatedHours: 20,
+      totalAmount: 5000,
+      vehicle: { make: 'Honda', insuranceCompany: 'Intact' },
+      ...values.job,
+    },
+    rows,
+  };
+};
+
+const repairOrder = values => ({
+  id: 42,
+  repairOrderNumber: 'RO-42',
+  productionStage: 'body_structure',
+  hoursEstimated: 20,
+  estimatedTotal: 5000,
+  promisedDeliveryDate: hoursFromNow(48),
+  vehicleProfile: { make: 'Honda' },
+  claimManagement: { insuranceCompany: { name: 'Intact' } },
+  productionWorkflow: [
+    {
+      stageName: 'Body',
+      stageType: 'body_work',
+      stageStatus: 'in_progress',
+      actualStartDate: hoursFromNow(-5),
+      estimatedHours: 12,
+      actualHours: 4,
+    },
+  ],
+  advancedPartsManagement: [],
+  ...values,
+});
+
+describe('etaPredictionService', () => {
+  let history;
+
+  const predict = ro => etaPredictionService.predict(ro, 'shop-1', { now });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Body takes 10-20h across six similar jobs; paint 20h, reassembly 8h
+    history = [0, 1, 2, 3, 4, 5].map(i =>
+      pastJob(`job-${i}`, {
+        intake: 2,
+        body_structure: 10 + 2 * i,
+        paint_booth: 20,
+        reassembly: 8,
+      }, i < 3 ? { paintDelay: 'equipment_downtime' } : {})
+    );
+
+    Job.findAll.mockImplementation(() => Promise.resolve(history.map(h => h.job)));
+    JobStageHistory.findAll.mockImplementation(() =>
+      Promise.resolve(history.flatMap(h => h.rows))
+    );
+  });
+
+  it('predicts the remaining stages from similar jobs with an interval', async () => {
+    const prediction = await predict(repairOrder());
+
+    // 15h median body less 5h already spent, then paint and reassembly
+    expect(prediction).toMatchObject({
+      method: 'historical',
+      current_stage: 'body_structure',
+      completion_at: hoursFromNow(38).toISOString(),
+      remaining_hours: 38,
+      confidence: {
+        level: 'medium',
+        sample_size: 6,
+        grouped_by: ['laborBand', 'severity', 'make', 'insurer'],
+      },
+    });
+    expect(prediction.operations.map(op => [op.step, op.expected_hours])).toEqual([
+      ['body_structure', 10],
+      ['paint_booth', 20],
+      ['reassembly', 8],
+    ]);
+    expect(new Date(prediction.confidence_interval.low).getTime()).toBeLessThan(
+      hoursFromNow(38).getTime()
+    );
+    expect(new Date(prediction.confidence_interval.high).getTime()).toBeGreaterThan(
+      hoursFromNow(38).getTime()
+    );
+    expect(prediction.on_time_probability).toBe(100);
+    expect(prediction.delay_factors).toEqual([]);
+    expect(prediction.risk_factors).toEqual([
+      { reason: 'equipment_downtime', share_of_similar_jobs: 0.5, average_delay_hours: 4 },
+    ]);
+  });
+
+  it('holds parts-dependent work until the last open part arrives', async () => {
+    const prediction = await predict(
+      repairOrder({
+        advancedPartsManagement: [
+          { id: 1, partDescription: 'Front bumper cover', partStatus: 'backordered', estimatedDeliveryDate: hoursFromNow(48) },
+          { id: 2, partDescription: 'Clips', partStatus: 'ordered' },
+        ],
+      })
+    );
+
+    expect(prediction.critical_path[0]).toMatchObject({
+      step: 'parts_arrival',
+      type: 'parts_wait',
+      expected_hours: 48,
+    });
+    expect(prediction.completion_at).toBe(hoursFromNow(86).toISOString());
+    expect(prediction.on_time_probability).toBe(0);
+    expect(prediction.delay_factors.map(factor => factor.factor)).toEqual([
+      'parts_wait',
+      'backordered_parts',
+      'parts_without_eta',
+    ]);
+    expect(prediction.delay_factors[0].detail).toBe(
+      '2 open part(s); last due 2026-03-04 (Front bumper cover)'
+    );
+  });
+
+  it('widens the group when the make has too little history and flags a stage overrun', async () => {
+    const ro = repairOrder({ vehicleProfile: { make: 'Toyota' } });
+    ro.productionWorkflow[0].actualStartDate = hoursFromNow(-30);
+
+    const prediction = await predict(ro);
+
+    expect(prediction.confidence.grouped_by).toEqual(['laborBand', 'severity']);
+    expect(prediction.operations[0]).toMatchObject({ step: 'body_structure', expected_hours: 0 });
+    expect(prediction.delay_factors).toEqual([
+      expect.objectContaining({ factor: 'stage_overrun', impact_hours: 15 }),
+    ]);
+  });
+
+  it('falls back to remaining labor hours without history', async () => {
+    history = [];
+
+    const prediction = await predict(repairOrder());
+
+    // 8 hours left on the workflow: Monday 08:00-16:00
+    expect(prediction).toMatchObject({
+      method: 'labor_hours',
+      remaining_hours: 8,
+      completion_at: new Date(2026, 2, 2, 16).toISOString(),
+      confidence: { level: 'low', sample_size: 0 },
+    });
+    expect(JobStageHistory.findAll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,237 @@
+jest.mock('../../../server/database/models', () => ({
+  Shop: { findAll: jest.fn(), findByPk: jest.fn() },
+  BmsImport: { findOne: jest.fn(), create: jest.fn(), findAll: jest.fn() },
+}));
+jest.mock('../../../server/services/bmsService', () => ({
+  processBMSWithAutoCreation: jest.fn(),
+  processEMSWithAutoCreation: jest.fn(),
+}));
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Shop, BmsImport } = require('../../../server/database/models');
+const bmsService = require('../../../server/services/bmsService');
+const { realtimeService } = require('../../../server/services/realtimeService');
+const importWatcherService = require('../../../server/services/importWatcherService');
+
+describe('importWatcherService', () => {
+  let watchRoot;
+  let watchDir;
+  let state;
+
+  const dropFile = (name, content = '<VehicleDamageEstimateAddRq/>') => {
+    const filePath = path.join(watchDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    watchRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    process.env.IMPORT_WATCH_ROOT = watchRoot;
+    watchDir = path.join(watchRoot, 'shop-1');
+    fs.mkdirSync(watchDir);
+    state = {
+      shopId: 'shop-1',
+      config: importWatcherService.normalizeConfig({ enabled: true, watchPath: watchDir }),
+      pending: new Set(),
+      stats: { processed: 0, succeeded: 0, failed: 0, duplicates: 0 },
+    };
+    BmsImport.findOne.mockResolvedValue(null);
+    BmsImport.create.mockImplementation(values =>
+      Promise.resolve({
+        id: 'import-1',
+        ...values,
+        update: jest.fn(function (updates) {
+          return Promise.resolve(Object.assign(this, updates));
+        }),
+      })
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.IMPORT_WATCH_ROOT;
+    fs.rmSync(watchRoot, { recursive: true, force: true });
+  });
+
+  describe('normalizeConfig', () => {
+    it('defaults processed and error folders inside the watch folder', () => {
+      expect(state.config.processedPath).toBe(path.join(watchDir, 'processed'));
+      expect(state.config.errorPath).toBe(path.join(watchDir, 'error'));
+      expect(state.config.recursive).toBe(false);
+    });
+  });
+
+  describe('processFile', () => {
+    it('imports through the auto-creation path and moves the file to processed', async () => {
+      bmsService.processBMSWithAutoCreation.mockResolvedValue({
+        autoCreationSuccess: true,
+        createdJob: { id: 'job-1', jobNumber: 'RO-1001' },
+        createdClaim: { id: 7 },
+      });
+      const filePath = dropFile('estimate.xml');
+
+      const result = await importWatcherService.processFile(state, filePath);
+
+      expect(result.status).toBe('success');
+      expect(bmsService.processBMSWithAutoCreation).toHaveBeenCalledWith(
+        '<VehicleDamageEstimateAddRq/>',
+        expect.objectContaining({ shopId: 'shop-1', fileName: 'estimate.xml', uploadId: 'import-1' })
+      );
+      expect(BmsImport.create).toHaveBeenCalledWith(
+        expect.objectContaining({ source: 'watch_folder', status: 'processing', fileHash: expect.any(String) })
+      );
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(fs.existsSync(path.join(state.config.processedPath, 'estimate.xml'))).toBe(true);
+      expect(state.stats.succeeded).toBe(1);
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        'shop-1',
+        'bms_import_progress',
+        expect.objectContaining({ stage: 'completed', jobNumber: 'RO-1001' })
+      );
+    });
+
+    it('imports zipped EMS packages through the EMS auto-creation path', async () => {
+      bmsService.processEMSWithAutoCreation.mockResolvedValue({ autoCreationSuccess: true });
+      const filePath = dropFile('EST1001.zip', Buffer.from('PK\x03\x04'));
+
+      const result = await importWatcherService.processFile(state, filePath);
+
+      expect(result.status).toBe('success');
+      expect(bmsService.processEMSWithAutoCreation).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        expect.objectContaining({ shopId: 'shop-1', fileName: 'EST1001.zip' })
+      );
+      expect(bmsService.processBMSWithAutoCreation).not.toHaveBeenCalled();
+      expect(BmsImport.create).toHaveBeenCalledWith(expect.objectContaining({ fileType: 'EMS' }));
+    });
+
+    it('skips files whose hash was already imported', async () => {
+      BmsImport.findOne.mockResolvedValue({ id: 'import-0', fileName: 'first.xml' });
+      const filePath = dropFile('copy.xml');
+
+      const result = await importWatcherService.processFile(state, filePath);
+
+      expect(result).toMatchObject({ status: 'duplicate', importId: 'import-0' });
+      expect(bmsService.processBMSWithAutoCreation).not.toHaveBeenCalled();
+      expect(fs.existsSync(path.join(state.config.processedPath, 'duplicate-copy.xml'))).toBe(true);
+      expect(state.stats.duplicates).toBe(1);
+    });
+
+    it('moves failed imports to the error folder and records the error', async () => {
+      bmsService.processBMSWithAutoCreation.mockResolvedValue({
+        autoCreationSuccess: false,
+        autoCreationError: 'Customer is missing',
+      });
+      const filePath = dropFile('bad.xml');
+
+      const result = await importWatcherService.processFile(state, filePath);
+
+      expect(result).toMatchObject({ status: 'failed', error: 'Customer is missing' });
+      expect(fs.existsSync(path.join(state.config.errorPath, 'bad.xml'))).toBe(true);
+      expect(state.stats.failed).toBe(1);
+    });
+
+    it('does not overwrite an earlier file with the same name', async () => {
+      bmsService.processBMSWithAutoCreation.mockResolvedValue({ autoCreationSuccess: true });
+      await importWatcherService.processFile(state, dropFile('same.xml', '<a/>'));
+      await importWatcherService.processFile(state, dropFile('same.xml', '<b/>'));
+
+      expect(fs.readdirSync(state.config.processedPath)).toHaveLength(2);
+    });
+  });
+
+  describe('updateConfig', () => {
+    it('saves the settings before starting the watcher', async () => {
+      const mockShop = { id: 'shop-1', settings: {}, changed: jest.fn(), save: jest.fn() };
+      Shop.findByPk.mockResolvedValue(mockShop);
+      const startWatcher = jest
+        .spyOn(importWatcherService, 'startWatcher')
+        .mockImplementation(() => {
+          expect(mockShop.save).toHaveBeenCalled();
+          return Promise.resolve();
+        });
+      jest.spyOn(importWatcherService, 'getStatus').mockResolvedValue({});
+
+      await importWatcherService.updateConfig('shop-1', { enabled: true, watchPath: watchDir });
+
+      expect(mockShop.settings.importWatcher).toMatchObject({ enabled: true, watchPath: watchDir });
+      expect(startWatcher).toHaveBeenCalledWith('shop-1', expect.objectContaining({ watchPath: watchDir }));
+      jest.restoreAllMocks();
+    });
+
+    it('does not save a folder outside the shop directory', async () => {
+      const mockShop = { id: 'shop-2', settings: {}, changed: jest.fn(), save: jest.fn() };
+      Shop.findByPk.mockResolvedValue(mockShop);
+
+      await expect(
+        importWatcherService.updateConfig('shop-2', { enabled: true, watchPath: watchDir })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockShop.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('rejects a missing watch folder', async () => {
+      const config = importWatcherService.normalizeConfig({ watchPath: path.join(watchDir, 'nope') });
+      await expect(importWatcherService.validateConfig(config, 'shop-1')).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+
+    it("accepts folders under the shop's directory in IMPORT_WATCH_ROOT", async () => {
+      await expect(
+        importWatcherService.validateConfig(state.config, 'shop-1')
+      ).resolves.toBeUndefined();
+    });
+
+    it("rejects another shop's folder", async () => {
+      await expect(importWatcherService.validateConfig(state.config, 'shop-2')).rejects.toThrow(
+        `Folder must be inside ${path.join(watchRoot, 'shop-2')}`
+      );
+    });
+
+    it('rejects folders outside IMPORT_WATCH_ROOT, including through a symlink', async () => {
+      const root = path.join(watchDir, 'root');
+      fs.mkdirSync(path.join(root, 'shop-1'), { recursive: true });
+      fs.symlinkSync(os.homedir(), path.join(root, 'shop-1', 'escape'));
+      process.env.IMPORT_WATCH_ROOT = root;
+
+      await expect(importWatcherService.validateConfig(state.config, 'shop-1')).rejects.toThrow(
+        'Folder must be inside'
+      );
+      await expect(
+        importWatcherService.validateConfig(
+          importWatcherService.normalizeConfig({ watchPath: path.join(root, 'shop-1', 'escape') }),
+          'shop-1'
+        )
+      ).rejects.toThrow('Folder must be inside');
+      await expect(
+        importWatcherService.validateConfig(
+          importWatcherService.normalizeConfig({
+            watchPath: path.join(root, 'shop-1'),
+            errorPath: path.join(watchDir, 'errors'),
+          }),
+          'shop-1'
+        )
+      ).rejects.toThrow('Folder must be inside');
+      await expect(
+        importWatcherService.validateConfig(
+          importWatcherService.normalizeConfig({ watchPath: path.join(root, 'shop-1') }),
+          'shop-1'
+        )
+      ).resolves.toBeUndefined();
+    });
+
+    it('turns watch folders off when IMPORT_WATCH_ROOT is not set', async () => {
+      delete process.env.IMPORT_WATCH_ROOT;
+      await expect(importWatcherService.validateConfig(state.config, 'shop-1')).rejects.toThrow(
+        'IMPORT_WATCH_ROOT'
+      );
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Unit Tests for loaner reservations on scheduled repair orders
+ * Runs loanerSchedulingService itself; models and the ETA service are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  LoanerReservation: { findAll: jest.fn(), create: jest.fn() },
+  LoanerFleetManagement: { findAll: jest.fn() },
+  RepairOrderManagement: { findOne: jest.fn(), addHook: jest.fn() },
+  Job: { findOne: jest.fn() },
+}));
+
+jest.mock('../../../server/services/etaPredictionService', () => ({
+  predictForRepairOrder: jest.fn(),
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const {
+  LoanerReservation,
+  LoanerFleetManagement,
+  RepairOrderManagement,
+} = require('../../../server/database/models');
+const etaPredictionService = require('../../../server/services/etaPredictionService');
+const { realtimeService } = require('../../../server/services/realtimeService');
+const loanerSchedulingService = require('../../../server/services/loanerSchedulingService');
+
+const promisedDateHook = RepairOrderManagement.addHook.mock.calls[0][2];
+
+describe('loanerSchedulingService', () => {
+  const mockRepairOrder = {
+    id: 42,
+    shopId: 1,
+    customerId: 7,
+    claimManagementId: 3,
+    repairOrderNumber: 'RO-1001',
+    rentalRequired: true,
+    promisedDeliveryDate: null,
+  };
+
+  const mockFleet = [
+    { id: 11, vehicleClass: 'compact' },
+    { id: 12, vehicleClass: 'suv' },
+  ];
+
+  let mockReservation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockReservation = {
+      id: 100,
+      shopId: 1,
+      repairOrderId: 42,
+      loanerVehicleId: 11,
+      reservationNumber: 'LN-RO-1001-AAAA',
+      reservationStatus: 'confirmed',
+      requestedStartDate: new Date('2026-10-19T12:00:00Z'),
+      requestedEndDate: new Date('2026-10-23T21:00:00Z'),
+      confirmedStartDate: new Date('2026-10-19T12:00:00Z'),
+      confirmedEndDate: new Date('2026-10-23T21:00:00Z'),
+      update: jest.fn(),
+    };
+
+    LoanerReservation.create.mockResolvedValue({ id: 200, reservationNumber: 'LN-RO-1001-CCCC' });
+    LoanerReservation.findAll.mockResolvedValue([]);
+    LoanerFleetManagement.findAll.mockResolvedValue(mockFleet);
+    RepairOrderManagement.findOne.mockResolvedValue(mockRepairOrder);
+  });
+
+  describe('reserveForRepairOrder', () => {
+    test('reserves a free loaner from the scheduled start until the RO is expected back', async () => {
+      // The promised date is later than the scheduled completion
+      RepairOrderManagement.findOne.mockResolvedValue({
+        ...mockRepairOrder,
+        promisedDeliveryDate: new Date('2026-10-24T21:00:00Z'),
+      });
+
+      const result = await loanerSchedulingService.reserveForRepairOrder(1, 42, {
+        startDate: '2026-10-19T12:00:00Z',
+        expectedCompletion: '2026-10-22T20:00:00Z',
+        vehicleClass: 'suv',
+      });
+
+      expect(LoanerReservation.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          shopId: 1,
+          repairOrderId: 42,
+          customerId: 7,
+          loanerVehicleId: 12,
+          reservationStatus: 'confirmed',
+          requestedStartDate: new Date('2026-10-19T12:00:00Z'),
+          requestedEndDate: new Date('2026-10-24T21:00:00Z'),
+          hasConflict: false,
+        })
+      );
+      expect(result.warnings).toEqual([]);
+      expect(etaPredictionService.predictForRepairOrder).not.toHaveBeenCalled();
+    });
+
+    test('skips ROs that do not need a rental', async () => {
+      RepairOrderManagement.findOne.mockResolvedValue({ ...mockRepairOrder, rentalRequired: false });
+
+      const result = await loanerSchedulingService.reserveForRepairOrder(1, 42);
+
+      expect(result).toBeNull();
+      expect(LoanerReservation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findAvailableVehicles', () => {
+    test('counts cars that are out now but back before the pickup as available', async () => {
+      LoanerReservation.findAll.mockResolvedValue([
+        {
+          ...mockReservation,
+          id: 1,
+          repairOrderId: 8,
+          loanerVehicleId: 11,
+          confirmedEndDate: new Date('2026-10-20T12:00:00Z'),
+        },
+        {
+          ...mockReservation,
+          id: 2,
+          repairOrderId: 9,
+          loanerVehicleId: 12,
+          confirmedEndDate: new Date('2026-10-30T12:00:00Z'),
+        },
+      ]);
+
+      const vehicles = await loanerSchedulingService.findAvailableVehicles(
+        1,
+        new Date('2026-10-21T12:00:00Z'),
+        new Date('2026-10-25T12:00:00Z')
+      );
+
+      expect(vehicles.map(vehicle => vehicle.id)).toEqual([11]);
+    });
+  });
+
+  describe('syncReturnDate', () => {
+    test('moves the return date when the smart ETA slips and flags a clash on the same car', async () => {
+      const mockNextReservation = {
+        ...mockReservation,
+        id: 101,
+        repairOrderId: 9,
+        reservationNumber: 'LN-RO-1002-BBBB',
+        requestedStartDate: new Date('2026-10-26T12:00:00Z'),
+        confirmedStartDate: new Date('2026-10-26T12:00:00Z'),
+        confirmedEndDate: new Date('2026-10-29T12:00:00Z'),
+      };
+      LoanerReservation.findAll.mockImplementation(({ where }) => {
+        if (where.repairOrderId) return Promise.resolve([mockReservation]);
+        if (where.loanerVehicleId) return Promise.resolve([mockNextReservation]);
+        return Promise.resolve([mockReservation, mockNextReservation]);
+      });
+      etaPredictionService.predictForRepairOrder.mockResolvedValue({
+        prediction: { completion_at: '2026-10-27T20:00:00.000Z' },
+      });
+
+      const result = await loanerSchedulingService.syncReturnDate(1, 42);
+
+      expect(result.previousEndDate).toEqual(new Date('2026-10-23T21:00:00Z'));
+      expect(mockReservation.update).toHaveBeenCalledWith({
+        requestedEndDate: new Date('2026-10-27T20:00:00Z'),
+        confirmedEndDate: new Date('2026-10-27T20:00:00Z'),
+        hasConflict: true,
+        conflictResolution: expect.stringContaining('LN-RO-1002-BBBB'),
+      });
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        1,
+        'loaner_schedule_update',
+        expect.objectContaining({ action: 'return_date_changed', ro_id: 42 })
+      );
+    });
+
+    test('leaves the reservation alone when the ETA barely moves', async () => {
+      LoanerReservation.findAll.mockResolvedValue([mockReservation]);
+      etaPredictionService.predictForRepairOrder.mockResolvedValue({
+        prediction: { completion_at: '2026-10-23T21:20:00.000Z' },
+      });
+
+      await loanerSchedulingService.syncReturnDate(1, 42);
+
+      expect(mockReservation.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkOverbooking', () => {
+    test('warns when a week has more loaners out on one day than the fleet has cars', async () => {
+      LoanerFleetManagement.findAll.mockResolvedValue([mockFleet[0]]);
+      LoanerReservation.findAll.mockResolvedValue([
+        { ...mockReservation, id: 1 },
+        {
+          ...mockReservation,
+          id: 2,
+          loanerVehicleId: null,
+          confirmedStartDate: null,
+          confirmedEndDate: null,
+        },
+      ]);
+
+      const warnings = await loanerSchedulingService.checkOverbooking(
+        1,
+        new Date('2026-10-20T12:00:00Z'),
+        new Date('2026-10-22T12:00:00Z')
+      );
+
+      expect(warnings).toEqual([
+        expect.objectContaining({
+          weekStart: '2026-10-19',
+          fleetSize: 1,
+          peakReserved: 2,
+          overbookedDays: expect.arrayContaining(['2026-10-20', '2026-10-23']),
+        }),
+      ]);
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(1, 'loaner_overbooked', { warnings });
+    });
+  });
+
+  describe('promised date hook', () => {
+    test('follows promised date edits on the repair order', () => {
+      const sync = jest.spyOn(loanerSchedulingService, 'syncReturnDate').mockResolvedValue(null);
+
+      promisedDateHook({ id: 42, shopId: 1, changed: field => field === 'promisedDeliveryDate' });
+      promisedDateHook({ id: 43, shopId: 1, changed: () => false });
+
+      expect(sync).toHaveBeenCalledTimes(1);
+      expect(sync).toHaveBeenCalledWith(1, 42);
+      sync.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+jest.mock('../../../server/database/models', () => ({
+  CommunicationLog: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  Customer: { update: jest.fn() },
+}));
+jest.mock('../../../server/services/integrationFramework', () => ({
+  integrationManager: { registerWebhookHandler: jest.fn() },
+}));
+
+const mockTwilioCreate = jest.fn();
+jest.mock('twilio', () => jest.fn(() => ({ messages: { create: mockTwilioCreate } })));
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({ createTransport: jest.fn(() => ({ sendMail: mockSendMail })) }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommunicationLog, Customer } = require('../../../server/database/models');
+const { integrationManager } = require('../../../server/services/integrationFramework');
+const messageDeliveryService = require('../../../server/services/messageDeliveryService');
+
+// Log rows behave like model instances: update() merges into the row
+const logRow = values => {
+  const row = { id: 'log-1', deliveryAttempts: 0, ...values };
+  row.update = jest.fn(changes => Object.assign(row, changes));
+  return row;
+};
+
+const customer = values => ({
+  id: 'customer-1',
+  firstName: 'Dana',
+  lastName: 'Reyes',
+  mobile: '+14165550100',
+  email: 'dana@example.com',
+  smsOptIn: true,
+  emailOptIn: true,
+  ...values,
+});
+
+const context = { shopId: 'shop-1', userId: 'user-1', repairOrderId: 42 };
+const message = { subject: 'Your vehicle is ready', content: 'Pick up any time after 3pm.' };
+
+describe('messageDeliveryService', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageDeliveryService.transports.clear();
+    CommunicationLog.create.mockImplementation(values => Promise.resolve(logRow(values)));
+    process.env.SMS_TRANSPORT = 'twilio';
+    process.env.EMAIL_TRANSPORT = 'smtp';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('registers a signed webhook for mail provider bounces', () => {
+    jest.isolateModules(() => {
+      require('../../../server/services/messageDeliveryService');
+    });
+    expect(integrationManager.registerWebhookHandler).toHaveBeenCalledWith(
+      'smtp',
+      'message_status',
+      expect.any(Function),
+      { verifySignature: expect.any(Function) }
+    );
+  });
+
+  it('accepts bounce callbacks signed with the email webhook secret', () => {
+    process.env.EMAIL_WEBHOOK_SECRET = 'bounce-secret';
+    const payload = { shop_id: 'shop-1', message_id: '<abc@mail>', type: 'hard' };
+    const signature = require('crypto')
+      .createHmac('sha256', 'bounce-secret')
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    expect(messageDeliveryService.verifyEmailSignature(payload, `sha256=${signature}`)).toBe(true);
+    expect(messageDeliveryService.verifyEmailSignature({ ...payload, shop_id: 'shop-2' }, signature)).toBe(false);
+    expect(messageDeliveryService.verifyEmailSignature(payload, null)).toBe(false);
+  });
+
+  it('sends SMS through Twilio and records the provider id', async () => {
+    mockTwilioCreate.mockResolvedValue({
+      sid: 'SM123',
+      status: 'queued',
+      price: '-0.0079',
+      numSegments: '1',
+    });
+
+    const result = await messageDeliveryService.deliver('sms', customer(), message, context);
+
+    expect(mockTwilioCreate).toHaveBeenCalledWith(
+      expect.objectContaining({ to: '+14165550100', body: message.content })
+    );
+    expect(CommunicationLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        channel: 'sms',
+        direction: 'sent',
+        repairOrderId: 42,
+        threadId: 'ro_42_sms',
+        status: 'sending',
+        consentReceived: true,
+      })
+    );
+    expect(result).toMatchObject({
+      channel: 'sms',
+      success: true,
+      status: 'queued',
+      delivery_id: 'SM123',
+      provider: 'twilio',
+    });
+  });
+
+  it('does not text customers who have not opted in', async () => {
+    const result = await messageDeliveryService.deliver(
+      'sms',
+      customer({ smsOptIn: false }),
+      message,
+      context
+    );
+
+    expect(mockTwilioCreate).not.toHaveBeenCalled();
+    expect(CommunicationLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'blocked', lastError: 'Not opted in to SMS' })
+    );
+    expect(result).toMatchObject({ success: false, error: 'Not opted in to SMS' });
+  });
+
+  it('records a STOP reply as an opt-out', async () => {
+    mockTwilioCreate.mockRejectedValue(
+      Object.assign(new Error('Attempt to send to unsubscribed recipient'), { code: 21610 })
+    );
+    const recipient = customer();
+
+    const result = await messageDeliveryService.deliver('sms', recipient, message, context);
+
+    expect(result).toMatchObject({ success: false, status: 'unsubscribed' });
+    expect(Customer.update).toHaveBeenCalledWith(
+      { smsOptIn: false },
+      { where: { id: 'customer-1' } }
+    );
+    expect(recipient.smsOptIn).toBe(false);
+  });
+
+  it('marks permanent SMTP rejections as bounced', async () => {
+    mockSendMail.mockRejectedValue(
+      Object.assign(new Error('Mailbox unavailable'), {
+        responseCode: 550,
+        response: '550 5.1.1 User unknown',
+      })
+    );
+
+    const result = await messageDeliveryService.deliver('email', customer(), message, context);
+
+    expect(result).toMatchObject({
+      channel: 'email',
+      success: false,
+      status: 'bounced',
+      error: '550 5.1.1 User unknown',
+    });
+  });
+
+  it('applies status callbacks without moving backwards', async () => {
+    const log = logRow({ status: 'sent', channel: 'sms', customerId: 'customer-1' });
+    CommunicationLog.findOne.mockResolvedValue(log);
+
+    await expect(
+      messageDeliveryService.recordStatus(
+        'twilio',
+        { MessageSid: 'SM123', MessageStatus: 'delivered' },
+        'shop-1'
+      )
+    ).resolves.toMatchObject({ updated: true, status: 'delivered' });
+    expect(CommunicationLog.findOne).toHaveBeenCalledWith({
+      where: { shopId: 'shop-1', externalMessageId: 'SM123', externalSystemName: 'twilio' },
+    });
+
+    await expect(
+      messageDeliveryService.recordStatus(
+        'twilio',
+        { MessageSid: 'SM123', MessageStatus: 'sent' },
+        'shop-1'
+      )
+    ).resolves.toMatchObject({ updated: false, status: 'delivered' });
+  });
+
+  it('ignores status callbacks that do not name a shop', async () => {
+    await expect(
+      messageDeliveryService.recordStatus('smtp', { message_id: '<abc@mail>', type: 'hard' })
+    ).resolves.toMatchObject({ updated: false });
+    expect(CommunicationLog.findOne).not.toHaveBeenCalled();
+  });
+
+  it('logs suppressed messages and announces status changes', async () => {
+    const listener = jest.fn();
+    messageDeliveryService.on('status_changed', listener);
+    mockTwilioCreate.mockResolvedValue({ sid: 'SM300', status: 'sent' });
+
+    const held = await messageDeliveryService.suppress(
+      'sms',
+      customer(),
+      message,
+      { ...context, templateId: 'template-1', abTestVariant: 'B' },
+      'Frequency cap (daily): already sent in the last day'
+    );
+    await messageDeliveryService.deliver('sms', customer(), message, { ...context, templateId: 'template-1' });
+    messageDeliveryService.off('status_changed', listener);
+
+    expect(CommunicationLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'blocked', abTestVariant: 'B', templateId: 'template-1' })
+    );
+    expect(held).toMatchObject({ success: false, suppressed: true });
+    expect(mockTwilioCreate).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ status: 'sent', templateId: 'template-1' }));
+  });
+
+  it('writes to the file outbox for offline testing', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.EMAIL_TRANSPORT = 'file';
+    process.env.COMMUNICATION_OUTBOX_DIR = directory;
+
+    const result = await messageDeliveryService.deliver('email', customer(), message, context);
+
+    const [file] = fs.readdirSync(directory);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'))).toMatchObject({
+      channel: 'email',
+      to: 'dana@example.com',
+      subject: 'Your vehicle is ready',
+      logId: 'log-1',
+    });
+    expect(result).toMatchObject({ success: true, status: 'delivered', provider: 'file' });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('sends queued messages once due, unless consent was withdrawn', async () => {
+    mockTwilioCreate.mockResolvedValue({ sid: 'SM200', status: 'sent' });
+    const due = logRow({ id: 'log-2', status: 'queued', channel: 'sms', recipientPhone: '+14165550100', customer: customer() });
+    const withdrawn = logRow({ id: 'log-3', status: 'queued', channel: 'sms', customer: customer({ smsOptIn: false }) });
+    CommunicationLog.findAll.mockResolvedValue([due, withdrawn]);
+
+    await expect(messageDeliveryService.dispatchDue()).resolves.toBe(2);
+
+    expect(mockTwilioCreate).toHaveBeenCalledTimes(1);
+    expect(due).toMatchObject({ status: 'sent', externalMessageId: 'SM200', deliveryAttempts: 1 });
+    expect(withdrawn).toMatchObject({ status: 'blocked', lastError: 'Not opted in to SMS' });
+  });
+});
@@ -0,0 +1,210 @@
+jest.mock('../../../server/database/models', () => ({
+  CommunicationLog: { count: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  CommunicationTemplate: { findByPk: jest.fn() },
+  Shop: { findByPk: jest.fn() },
+}));
+jest.mock('../../../server/services/messageDeliveryService', () => ({
+  on: jest.fn(),
+  deliver: jest.fn(),
+  schedule: jest.fn(),
+  suppress: jest.fn(),
+}));
+
+const { CommunicationLog, CommunicationTemplate, Shop } = require('../../../server/database/models');
+const messageDeliveryService = require('../../../server/services/messageDeliveryService');
+const messageDispatcher = require('../../../server/services/messageDispatcher');
+
+const statusListener = messageDeliveryService.on.mock.calls.find(([event]) => event === 'status_changed')[1];
+
+const customer = values => ({
+  id: 'customer-1',
+  firstName: 'Dana',
+  mobile: '+14165550100',
+  smsOptIn: true,
+  ...values,
+});
+
+const template = values => ({
+  id: 'template-1',
+  smsTemplate: 'Hi {{customer_first_name}}, {{ro_number}} is ready.',
+  maxFrequency: 'unlimited',
+  cooldownMinutes: 0,
+  suppressDuplicates: false,
+  businessHoursOnly: false,
+  delayMinutes: 0,
+  abTestEnabled: false,
+  abTestVariants: [],
+  abTestSplit: 50,
+  ...values,
+});
+
+const dispatch = options =>
+  messageDispatcher.dispatch({
+    channels: ['sms'],
+    customer: customer(),
+    message: { content: 'fallback' },
+    variables: { customer_first_name: 'Dana', ro_number: 'RO-1001' },
+    context: { shopId: 'shop-1', userId: 'user-1', repairOrderId: 42 },
+    ...options,
+  });
+
+describe('messageDispatcher', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CommunicationLog.count.mockResolvedValue(0);
+    CommunicationLog.findOne.mockResolvedValue(null);
+    messageDeliveryService.deliver.mockResolvedValue({ success: true, status: 'sent' });
+    messageDeliveryService.schedule.mockResolvedValue({ success: true, status: 'queued' });
+    messageDeliveryService.suppress.mockResolvedValue({ success: false, suppressed: true });
+  });
+
+  it('renders the template content and sends right away', async () => {
+    await dispatch({ template: template() });
+
+    expect(messageDeliveryService.deliver).toHaveBeenCalledWith(
+      'sms',
+      expect.objectContaining({ id: 'customer-1' }),
+      expect.objectContaining({ content: 'Hi Dana, RO-1001 is ready.' }),
+      expect.objectContaining({ templateId: 'template-1', abTestVariant: null })
+    );
+  });
+
+  it('queues business-hours messages until the shop opens in its own timezone', async () => {
+    Shop.findByPk.mockResolvedValue({
+      timezone: 'America/Vancouver',
+      settings: {
+        workingHours: {
+          monday: { start: '08:00', end: '17:00', enabled: true },
+          tuesday: { start: '08:00', end: '17:00', enabled: true },
+        },
+      },
+    });
+
+    // 06:00 Monday in Vancouver
+    await dispatch({
+      template: template({ businessHoursOnly: true }),
+      now: new Date('2026-10-19T13:00:00Z'),
+    });
+
+    expect(messageDeliveryService.deliver).not.toHaveBeenCalled();
+    expect(messageDeliveryService.schedule).toHaveBeenCalledWith(
+      'sms',
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      new Date('2026-10-19T15:00:00Z')
+    );
+  });
+
+  it('rolls a Friday evening message over to Monday morning', () => {
+    const window = messageDispatcher.getSendWindow(
+      template({ workingDays: [1, 2, 3, 4, 5], startTime: '09:00:00', endTime: '18:00:00' }),
+      { timezone: 'America/Toronto' }
+    );
+
+    // Friday 19:30 in Toronto
+    expect(messageDispatcher.nextBusinessTime(window, new Date('2026-10-23T23:30:00Z'))).toEqual(
+      new Date('2026-10-26T13:00:00Z')
+    );
+    expect(messageDispatcher.isWithinBusinessHours(window, new Date('2026-10-23T14:00:00Z'))).toBe(true);
+  });
+
+  it('suppresses a template already sent within its frequency cap', async () => {
+    CommunicationLog.count.mockResolvedValue(1);
+
+    await dispatch({ template: template({ maxFrequency: 'daily' }) });
+
+    expect(CommunicationLog.count).toHaveBeenCalledWith({
+      where: expect.objectContaining({ customerId: 'customer-1', channel: 'sms', templateId: 'template-1' }),
+    });
+    expect(messageDeliveryService.suppress).toHaveBeenCalledWith(
+      'sms',
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      'Frequency cap (daily): already sent in the last day'
+    );
+    expect(messageDeliveryService.deliver).not.toHaveBeenCalled();
+  });
+
+  it('applies the cooldown and drops duplicate content', async () => {
+    CommunicationLog.findOne.mockResolvedValueOnce({ id: 'log-1' });
+    await dispatch({ template: template({ cooldownMinutes: 30 }) });
+    expect(messageDeliveryService.suppress.mock.calls[0][4]).toMatch(/^Cooldown/);
+
+    CommunicationLog.findOne.mockResolvedValueOnce({ id: 'log-2' });
+    await dispatch({ template: template({ suppressDuplicates: true }) });
+    expect(messageDeliveryService.suppress.mock.calls[1][4]).toMatch(/^Duplicate/);
+    expect(CommunicationLog.findOne.mock.calls[1][0].where).toMatchObject({
+      messageContent: 'Hi Dana, RO-1001 is ready.',
+    });
+  });
+
+  it('splits customers between A/B variants and keeps them there', () => {
+    const abTemplate = template({
+      abTestEnabled: true,
+      abTestSplit: 50,
+      abTestVariants: [{ name: 'B', smsTemplate: 'Good news {{customer_first_name}}!' }],
+    });
+    const names = Array.from({ length: 200 }, (_, index) =>
+      messageDispatcher.chooseVariant(abTemplate, customer({ id: `customer-${index}` })).name
+    );
+
+    const share = names.filter(name => name === 'A').length / names.length;
+    expect(share).toBeGreaterThan(0.35);
+    expect(share).toBeLessThan(0.65);
+    expect(messageDispatcher.chooseVariant(abTemplate, customer({ id: 'customer-7' }))).toEqual(
+      messageDispatcher.chooseVariant(abTemplate, customer({ id: 'customer-7' }))
+    );
+
+    const variantB = messageDispatcher.chooseVariant({ ...abTemplate, abTestSplit: 0 }, customer());
+    expect(messageDispatcher.buildMessage(abTemplate, variantB, 'sms', { customer_first_name: 'Dana' })).toMatchObject({
+      content: 'Good news Dana!',
+    });
+  });
+
+  it('rolls message statuses up onto the template counters', async () => {
+    const record = { id: 'template-1', abTestEnabled: true, testResults: {}, update: jest.fn() };
+    CommunicationTemplate.findByPk.mockResolvedValue(record);
+    CommunicationLog.findAll.mockResolvedValue([
+      { abTestVariant: 'A', status: 'delivered', count: '3' },
+      { abTestVariant: 'A', status: 'clicked', count: '1' },
+      { abTestVariant: 'B', status: 'opened', count: '2' },
+      { abTestVariant: 'B', status: 'bounced', count: '1' },
+      { abTestVariant: 'B', status: 'blocked', count: '4' },
+    ]);
+
+    await messageDispatcher.rollUpTemplateStats('template-1');
+
+    expect(record.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        sentCount: 7,
+        deliveredCount: 6,
+        openedCount: 3,
+        clickedCount: 1,
+        bounceCount: 1,
+        testResults: expect.objectContaining({
+          variants: {
+            A: expect.objectContaining({ sentCount: 4, clickedCount: 1 }),
+            B: expect.objectContaining({ sentCount: 3, openedCount: 2, bounceCount: 1 }),
+          },
+        }),
+      })
+    );
+  });
+
+  it('rolls up once after a burst of status callbacks', async () => {
+    jest.useFakeTimers();
+    const rollUp = jest.spyOn(messageDispatcher, 'rollUpTemplateStats').mockResolvedValue(null);
+
+    statusListener({ templateId: 'template-9' });
+    statusListener({ templateId: 'template-9' });
+    statusListener({ templateId: null });
+    jest.runOnlyPendingTimers();
+
+    expect(rollUp).toHaveBeenCalledTimes(1);
+    expect(rollUp).toHaveBeenCalledWith('template-9');
+    rollUp.mockRestore();
+    jest.useRealTimers();
+  });
+});
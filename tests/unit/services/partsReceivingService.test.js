@@ -0,0 +1,376 @@
+/**
+ * Unit Tests for receiving parts by barcode scan and printing bin/RO tags
+ * Runs partsReceivingService itself; models, realtime and domain events are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  AdvancedPartsManagement: { findAll: jest.fn(), findOne: jest.fn() },
+  PurchaseOrderSystem: { findAll: jest.fn(), findOne: jest.fn() },
+  PartsInventoryTracking: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  RepairOrderManagement: {},
+  VehicleProfile: {},
+  Customer: {},
+  Shop: { findByPk: jest.fn() },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const net = require('net');
+const {
+  AdvancedPartsManagement,
+  PurchaseOrderSystem,
+  PartsInventoryTracking,
+  Shop,
+} = require('../../../server/database/models');
+const partsReceivingService = require('../../../server/services/partsReceivingService');
+const domainEvents = require('../../../server/services/domainEvents');
+const { realtimeService } = require('../../../server/services/realtimeService');
+
+// The service reads a part line back after receiving it
+function applyUpdate(changes) {
+  return Promise.resolve(Object.assign(this, changes));
+}
+
+describe('partsReceivingService', () => {
+  let mockPurchaseOrder;
+  let mockBumperLine;
+  let mockLampLine;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(domainEvents, 'publish').mockImplementation(() => {});
+
+    mockPurchaseOrder = {
+      id: 7,
+      shopId: 1,
+      purchaseOrderNumber: 'RO1001-2610-KEYS-001',
+      poStatus: 'sent',
+      update: jest.fn(),
+    };
+    mockBumperLine = {
+      id: 11,
+      shopId: 1,
+      vendorId: 'v-keystone',
+      repairOrderId: 500,
+      partsOrderId: 7,
+      vendorPartNumber: '52119-06903',
+      partDescription: 'Front Bumper Cover',
+      partStatus: 'ordered',
+      quantityOrdered: 1,
+      quantityReceived: 0,
+      binLocation: null,
+      update: jest.fn(applyUpdate),
+    };
+    mockLampLine = {
+      id: 12,
+      shopId: 1,
+      vendorId: 'v-keystone',
+      repairOrderId: 500,
+      partsOrderId: 7,
+      oemPartNumber: '81150-06B00',
+      partDescription: 'Headlamp Assembly LH',
+      partStatus: 'ordered',
+      quantityOrdered: 2,
+      quantityReceived: 1,
+      binLocation: 'B-12',
+      update: jest.fn(applyUpdate),
+    };
+
+    PartsInventoryTracking.findAll.mockResolvedValue([]);
+    PartsInventoryTracking.findOne.mockResolvedValue(null);
+    PartsInventoryTracking.create.mockImplementation(values => Promise.resolve(values));
+    PurchaseOrderSystem.findAll.mockResolvedValue([mockPurchaseOrder]);
+    PurchaseOrderSystem.findOne.mockResolvedValue(mockPurchaseOrder);
+  });
+
+  afterEach(() => {
+    domainEvents.publish.mockRestore();
+  });
+
+  describe('parseScan', () => {
+    test('reads GS1 vendor labels, our own tags and plain codes', () => {
+      const gs = '\u001d';
+      expect(
+        partsReceivingService.parseScan(
+          `]C1010001234567890524052119-06903${gs}302${gs}400RO1001-2610-KEYS-001`
+        )
+      ).toEqual(
+        expect.objectContaining({
+          type: 'gs1',
+          gtin: '00012345678905',
+          partNumber: '52119-06903',
+          quantity: 2,
+          poNumber: 'RO1001-2610-KEYS-001',
+        })
+      );
+      expect(
+        partsReceivingService.parseScan('(01)00012345678905(10)LOT7')
+      ).toEqual(
+        expect.objectContaining({
+          type: 'gs1',
+          gtin: '00012345678905',
+          lot: 'LOT7',
+        })
+      );
+      expect(partsReceivingService.parseScan('PL:11')).toEqual(
+        expect.objectContaining({ type: 'part_label', partLineId: '11' })
+      );
+      expect(partsReceivingService.parseScan(' 52119-06903 ')).toEqual({
+        type: 'text',
+        raw: '52119-06903',
+      });
+      expect(() => partsReceivingService.parseScan('  ')).toThrow(
+        'Nothing was scanned'
+      );
+    });
+  });
+
+  describe('lookupScan', () => {
+    test('finds the open PO line for a UPC and suggests the bin its RO is in', async () => {
+      PartsInventoryTracking.findAll.mockResolvedValue([
+        { partNumber: '52119-06903', universalProductCode: '012345678905' },
+      ]);
+      AdvancedPartsManagement.findAll.mockResolvedValue([
+        mockBumperLine,
+        mockLampLine,
+      ]);
+      AdvancedPartsManagement.findOne.mockResolvedValue({ binLocation: 'B-12' });
+
+      const { scan, lines } = await partsReceivingService.lookupScan(
+        1,
+        '012345678905'
+      );
+
+      expect(scan.type).toBe('text');
+      expect(AdvancedPartsManagement.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({
+            shopId: 1,
+            partStatus: ['ordered', 'backordered', 'shipped'],
+          }),
+        })
+      );
+      expect(lines).toHaveLength(1);
+      expect(lines[0]).toEqual(
+        expect.objectContaining({
+          quantityRemaining: 1,
+          suggestedBin: 'B-12',
+        })
+      );
+      expect(lines[0].partLine.id).toBe(11);
+      expect(lines[0].purchaseOrder.purchaseOrderNumber).toBe(
+        'RO1001-2610-KEYS-001'
+      );
+    });
+  });
+
+  describe('receiveLine', () => {
+    test('receives a part into the suggested bin and completes the PO', async () => {
+      AdvancedPartsManagement.findOne
+        .mockResolvedValueOnce(mockBumperLine)
+        .mockResolvedValueOnce({ binLocation: 'B-12' });
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockBumperLine]);
+
+      const result = await partsReceivingService.receiveLine(
+        1,
+        11,
+        { condition: 'good' },
+        'user-9'
+      );
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          quantity: 1,
+          binLocation: 'B-12',
+          fullyReceived: true,
+          overReceived: 0,
+        })
+      );
+      expect(mockBumperLine.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          quantityReceived: 1,
+          partStatus: 'received',
+          binLocation: 'B-12',
+          receivedBy: 'user-9',
+          receivingNotes: expect.stringContaining('Received 1 into bin B-12'),
+        })
+      );
+      expect(PartsInventoryTracking.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          partNumber: '52119-06903',
+          binLocation: 'B-12',
+        })
+      );
+      expect(mockPurchaseOrder.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          receivingStatus: 'complete',
+          poStatus: 'fully_received',
+          previousStatus: 'sent',
+        })
+      );
+      expect(domainEvents.publish).toHaveBeenCalledWith(
+        domainEvents.EVENTS.PARTS_RECEIVED,
+        expect.objectContaining({ repairOrderId: 500, partIds: [11] })
+      );
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        1,
+        'parts_update',
+        expect.objectContaining({
+          action: 'part_received',
+          bin_location: 'B-12',
+        })
+      );
+    });
+
+    test('keeps damaged parts out of the received count and flags the PO', async () => {
+      mockPurchaseOrder.poStatus = 'partial_received';
+      AdvancedPartsManagement.findOne.mockResolvedValueOnce(mockLampLine);
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockLampLine]);
+
+      const result = await partsReceivingService.receiveLine(
+        1,
+        12,
+        { quantity: 1, condition: 'damaged', notes: 'Lens cracked' },
+        'user-9'
+      );
+
+      expect(result.fullyReceived).toBe(false);
+      expect(mockLampLine.update).toHaveBeenCalledWith({
+        receivingNotes: expect.stringContaining(
+          'Received 1 damaged - Lens cracked'
+        ),
+        receivedBy: 'user-9',
+        returnReason: 'damaged_in_shipping',
+      });
+      expect(PartsInventoryTracking.create).not.toHaveBeenCalled();
+      expect(mockPurchaseOrder.update).toHaveBeenCalledWith(
+        expect.objectContaining({ receivingStatus: 'discrepancy' })
+      );
+      expect(domainEvents.publish).not.toHaveBeenCalled();
+    });
+
+    test('asks for a bin when none is known', async () => {
+      AdvancedPartsManagement.findOne.mockResolvedValueOnce({
+        ...mockBumperLine,
+        repairOrderId: null,
+      });
+
+      await expect(
+        partsReceivingService.receiveLine(1, 11, {}, 'user-9')
+      ).rejects.toThrow('Scan or enter a bin for 52119-06903');
+    });
+
+    test('refuses lines that are not on order', async () => {
+      mockBumperLine.partStatus = 'installed';
+      AdvancedPartsManagement.findOne.mockResolvedValueOnce(mockBumperLine);
+
+      await expect(
+        partsReceivingService.receiveLine(1, 11, { binLocation: 'A-1' }, 'user-9')
+      ).rejects.toThrow('52119-06903 is installed and cannot be received');
+      expect(mockBumperLine.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderLabel', () => {
+    beforeEach(() => {
+      AdvancedPartsManagement.findOne.mockResolvedValue({
+        ...mockBumperLine,
+        binLocation: 'B-12',
+        quantityReceived: 1,
+        receivedDate: new Date('2026-10-19T15:00:00Z'),
+        repairOrder: {
+          repairOrderNumber: 'RO-1001',
+          customer: { lastName: 'Nguyen' },
+          vehicleProfile: { year: 2021, make: 'Toyota', model: 'Corolla' },
+        },
+      });
+    });
+
+    test('renders the bin/RO tag as ZPL', async () => {
+      const { content, contentType, fileName } =
+        await partsReceivingService.renderLabel(1, 11, {
+          format: 'zpl',
+          copies: 2,
+        });
+
+      expect(contentType).toBe('application/zpl');
+      expect(fileName).toBe('52119-06903-B-12.zpl');
+      expect(content).toMatch(/^\^XA/);
+      expect(content).toContain('^FDBIN B-12^FS');
+      expect(content).toContain('^FDRO RO-1001^FS');
+      expect(content).toContain('Nguyen - 2021 Toyota Corolla');
+      expect(content).toContain('REC 2026-10-19');
+      expect(content).toContain('^BCN,90,Y,N,N^FDPL:11^FS');
+      expect(content).toContain('^PQ2');
+    });
+
+    test('renders the bin/RO tag as PDF', async () => {
+      const { content, contentType } = await partsReceivingService.renderLabel(
+        1,
+        11,
+        { format: 'pdf' }
+      );
+
+      expect(contentType).toBe('application/pdf');
+      expect(content.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('rejects unknown label formats', async () => {
+      await expect(
+        partsReceivingService.renderLabel(1, 11, { format: 'png' })
+      ).rejects.toThrow('Unknown label format: png');
+    });
+  });
+
+  describe('printLabel', () => {
+    beforeEach(() => {
+      AdvancedPartsManagement.findOne.mockResolvedValue({
+        ...mockBumperLine,
+        binLocation: 'B-12',
+        quantityReceived: 1,
+      });
+    });
+
+    test('skips printing when the shop has no label printer', async () => {
+      Shop.findByPk.mockResolvedValue({
+        settings: { labelPrinter: { host: '' } },
+      });
+
+      await expect(partsReceivingService.printLabel(1, 11)).resolves.toBe(
+        false
+      );
+    });
+
+    test('sends the ZPL tag to the shop label printer', async () => {
+      let received = '';
+      const printer = net.createServer(socket => {
+        socket.on('data', chunk => {
+          received += chunk.toString();
+        });
+      });
+      await new Promise(resolve => printer.listen(0, '127.0.0.1', resolve));
+      try {
+        Shop.findByPk.mockResolvedValue({
+          settings: {
+            labelPrinter: { host: '127.0.0.1', port: printer.address().port },
+          },
+        });
+
+        await expect(partsReceivingService.printLabel(1, 11)).resolves.toBe(
+          true
+        );
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(received).toContain('^FDBIN B-12^FS');
+        expect(received.trim()).toMatch(/\^XZ$/);
+      } finally {
+        await new Promise(resolve => printer.close(resolve));
+      }
+    });
+  });
+});
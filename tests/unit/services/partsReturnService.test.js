@@ -0,0 +1,435 @@
+/**
+ * Unit Tests for parts returns and vendor credits
+ * Runs partsReturnService against a stub vendor server; models and realtime are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  PartsReturn: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn(), count: jest.fn() },
+  VendorCreditMemo: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn() },
+  AdvancedPartsManagement: { findAll: jest.fn(), update: jest.fn() },
+  VendorPartQuote: { findOne: jest.fn() },
+  Vendor: { findOne: jest.fn(), findAll: jest.fn() },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const {
+  PartsReturn,
+  VendorCreditMemo,
+  AdvancedPartsManagement,
+  VendorPartQuote,
+  Vendor,
+} = require('../../../server/database/models');
+const partsReturnService = require('../../../server/services/partsReturnService');
+const { realtimeService } = require('../../../server/services/realtimeService');
+const {
+  createStubVendorServer,
+} = require('../../../server/services/vendorIntegration/stubVendorServer');
+const vendorAdapters = require('../../../server/services/vendorIntegration/vendorAdapters');
+
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The service reads returns and memos back after updating them, and calls
+// their instance methods for what is still owed
+function applyUpdate(changes) {
+  return Promise.resolve(Object.assign(this, changes));
+}
+function getOutstandingCredit() {
+  return Math.max(0, parseFloat(this.expectedCredit) - parseFloat(this.creditedAmount || 0));
+}
+function getUnappliedAmount() {
+  return Math.max(0, parseFloat(this.amount) - parseFloat(this.appliedAmount || 0));
+}
+
+describe('partsReturnService', () => {
+  const receivedDate = new Date('2026-10-01T00:00:00Z');
+  const mockVendor = { id: 'v-keystone', name: 'Keystone', integrationType: 'manual' };
+
+  let stub;
+  let mockApiVendor;
+  let mockLine;
+  let mockReturn;
+  let mockCoreReturn;
+
+  beforeAll(async () => {
+    stub = await listen(
+      createStubVendorServer({ catalog: { '52119-06903': { unitPrice: 285 } } })
+    );
+    mockApiVendor = {
+      ...mockVendor,
+      isActive: true,
+      integrationType: 'api',
+      apiEndpoint: `http://127.0.0.1:${stub.address().port}`,
+      preferences: {},
+    };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    vendorAdapters.clear();
+
+    mockLine = {
+      id: 11,
+      shopId: 1,
+      vendorId: 'v-keystone',
+      repairOrderId: 42,
+      partsOrderId: 7,
+      purchaseOrderNumber: 'RO1001-2610-KEYS-001',
+      vendorPartNumber: '52119-06903',
+      partDescription: 'Front Bumper Cover',
+      partStatus: 'received',
+      quantityOrdered: 1,
+      quantityReceived: 1,
+      quantityReturned: 0,
+      netPrice: '285.00',
+      receivedDate,
+      update: jest.fn(),
+    };
+    mockReturn = {
+      id: 'return-1',
+      shopId: 1,
+      vendorId: 'v-keystone',
+      returnNumber: 'RTN-2610-0001',
+      rmaNumber: 'RMA-1',
+      returnType: 'wrong_part',
+      status: 'shipped',
+      expectedCredit: '285.00',
+      creditedAmount: 0,
+      items: [{ partLineId: 11, quantity: 1, creditAmount: 285 }],
+      getOutstandingCredit,
+      update: jest.fn(applyUpdate),
+    };
+    mockCoreReturn = {
+      id: 'return-2',
+      shopId: 1,
+      vendorId: 'v-keystone',
+      returnNumber: 'RTN-2610-0002',
+      returnType: 'core',
+      status: 'shipped',
+      expectedCredit: '75.00',
+      creditedAmount: 0,
+      items: [{ partLineId: 12, quantity: 1, creditAmount: 75 }],
+      getOutstandingCredit,
+      update: jest.fn(applyUpdate),
+    };
+
+    PartsReturn.count.mockResolvedValue(0);
+    PartsReturn.create.mockImplementation(values =>
+      Promise.resolve({ id: 'return-1', ...values, getOutstandingCredit, update: jest.fn(applyUpdate) })
+    );
+    VendorCreditMemo.create.mockImplementation(values =>
+      Promise.resolve({ id: 'memo-1', ...values, getUnappliedAmount, update: jest.fn(applyUpdate) })
+    );
+    VendorCreditMemo.findOne.mockResolvedValue(null);
+    AdvancedPartsManagement.update.mockResolvedValue([1]);
+    VendorPartQuote.findOne.mockResolvedValue(null);
+    Vendor.findOne.mockResolvedValue(mockVendor);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createReturn', () => {
+    test('returns an unused part through the vendor API, less the restocking fee', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockLine]);
+      Vendor.findOne.mockResolvedValue(mockApiVendor);
+      VendorPartQuote.findOne.mockResolvedValue({ restockingFee: '20.00', returnPeriod: 15 });
+
+      const partsReturn = await partsReturnService.createReturn(
+        1,
+        { returnType: 'unused', lines: [{ partLineId: 11 }], reason: 'Repair changed' },
+        'user-9'
+      );
+
+      expect(PartsReturn.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          vendorId: 'v-keystone',
+          purchaseOrderId: 7,
+          repairOrderId: 42,
+          returnNumber: expect.stringMatching(/^RTN-\d{4}-0001$/),
+          restockingFee: 57,
+          expectedCredit: 228,
+          returnDueDate: new Date(receivedDate.getTime() + 15 * DAY_MS),
+          items: [expect.objectContaining({ partLineId: 11, quantity: 1, creditAmount: 285 })],
+        })
+      );
+      expect(partsReturn.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'authorized', rmaNumber: 'RMA-1', expectedCredit: 228 })
+      );
+      expect(mockLine.update).toHaveBeenCalledWith({ returnReason: 'not_needed' });
+      expect(AdvancedPartsManagement.update).toHaveBeenCalledWith(
+        { returnAuthNumber: 'RMA-1' },
+        { where: { id: [11] } }
+      );
+    });
+
+    test('opens a core return owed the core charge and due within the core period', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([
+        { ...mockLine, id: 12, isCoreItem: true, coreCharge: '75.00', partStatus: 'installed' },
+      ]);
+      VendorPartQuote.findOne.mockResolvedValue({ coreReturnPeriod: 10 });
+
+      const partsReturn = await partsReturnService.createReturn(1, {
+        returnType: 'core',
+        lines: [{ partLineId: 12 }],
+      });
+
+      expect(PartsReturn.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'requested',
+          expectedCredit: 75,
+          restockingFee: 0,
+          returnDueDate: new Date(receivedDate.getTime() + 10 * DAY_MS),
+        })
+      );
+      expect(partsReturn.update).not.toHaveBeenCalled();
+    });
+
+    test('will not return more than was received', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockLine]);
+
+      await expect(
+        partsReturnService.createReturn(1, {
+          returnType: 'wrong_part',
+          lines: [{ partLineId: 11, quantity: 2 }],
+        })
+      ).rejects.toThrow('Only 1 of 52119-06903 can be returned');
+      expect(PartsReturn.create).not.toHaveBeenCalled();
+    });
+
+    test('will not mix vendors on one return', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([
+        mockLine,
+        { ...mockLine, id: 13, vendorId: 'v-lkq' },
+      ]);
+
+      await expect(
+        partsReturnService.createReturn(1, {
+          returnType: 'damaged',
+          lines: [{ partLineId: 11 }, { partLineId: 13 }],
+        })
+      ).rejects.toThrow('different vendors');
+      expect(PartsReturn.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shipReturn', () => {
+    test('starts the credit clock when the parts ship and marks the lines returned', async () => {
+      Object.assign(mockReturn, {
+        status: 'authorized',
+        overdueReason: 'return_not_shipped',
+        overdueFlaggedAt: new Date(),
+        vendor: { preferences: { returns: { creditDays: 10 } } },
+      });
+      PartsReturn.findOne.mockResolvedValue(mockReturn);
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockLine]);
+      const shippedDate = '2026-10-19T00:00:00Z';
+
+      await partsReturnService.shipReturn(1, 'return-1', { carrier: 'UPS', shippedDate });
+
+      expect(mockReturn.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'shipped',
+          carrier: 'UPS',
+          creditDueDate: new Date(new Date(shippedDate).getTime() + 10 * DAY_MS),
+          overdueReason: null,
+          overdueFlaggedAt: null,
+        })
+      );
+      expect(mockLine.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          partStatus: 'returned',
+          previousStatus: 'received',
+          quantityReturned: 1,
+        })
+      );
+    });
+  });
+
+  describe('recordCreditMemo', () => {
+    beforeEach(() => {
+      PartsReturn.findAll.mockResolvedValue([mockReturn, mockCoreReturn]);
+    });
+
+    test('credits the return whose RMA is quoted on the memo', async () => {
+      const { memo, matches } = await partsReturnService.recordCreditMemo(1, {
+        vendorId: 'v-keystone',
+        memoNumber: 'CM-100',
+        amount: 200,
+        references: ['rma 1'],
+      });
+
+      expect(matches).toHaveLength(1);
+      expect(mockReturn.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'partially_credited', creditedAmount: 200 })
+      );
+      expect(memo.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'matched', appliedAmount: 200 })
+      );
+    });
+
+    test('without a reference, credits the return owed exactly the memo amount', async () => {
+      const { matches } = await partsReturnService.recordCreditMemo(1, {
+        vendorId: 'v-keystone',
+        memoNumber: 'CM-101',
+        amount: 75,
+      });
+
+      expect(matches[0].partsReturn).toBe(mockCoreReturn);
+      expect(mockCoreReturn.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'credited', creditedAmount: 75 })
+      );
+      expect(AdvancedPartsManagement.update).toHaveBeenCalledWith(
+        { coreReturnCredit: 75 },
+        { where: { id: 12 } }
+      );
+    });
+
+    test('leaves a memo that matches no return unmatched', async () => {
+      const { memo, matches } = await partsReturnService.recordCreditMemo(1, {
+        vendorId: 'v-keystone',
+        memoNumber: 'CM-102',
+        amount: 40,
+      });
+
+      expect(matches).toHaveLength(0);
+      expect(memo.status).toBe('unmatched');
+      expect(mockReturn.update).not.toHaveBeenCalled();
+      expect(mockCoreReturn.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('matchCreditMemo', () => {
+    test('applies a memo by hand and spreads the credit onto the part lines', async () => {
+      const mockMemo = {
+        id: 'memo-3',
+        vendorId: 'v-keystone',
+        amount: '85.00',
+        appliedAmount: 0,
+        matches: [],
+        getUnappliedAmount,
+        update: jest.fn(applyUpdate),
+      };
+      mockReturn.creditedAmount = '200.00';
+      VendorCreditMemo.findOne.mockResolvedValue(mockMemo);
+      PartsReturn.findOne.mockResolvedValue(mockReturn);
+
+      await partsReturnService.matchCreditMemo(1, 'memo-3', [{ returnId: 'return-1', amount: 85 }]);
+
+      expect(mockReturn.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'credited', creditedAmount: 285 })
+      );
+      expect(mockMemo.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'matched', appliedAmount: 85 })
+      );
+      expect(AdvancedPartsManagement.update).toHaveBeenCalledWith(
+        { returnCredit: 285 },
+        { where: { id: 11 } }
+      );
+    });
+  });
+
+  describe('flagOverdueReturns', () => {
+    test('flags returns not shipped in time and credits that never came', async () => {
+      const yesterday = new Date(Date.now() - DAY_MS);
+      const late = {
+        ...mockCoreReturn,
+        status: 'authorized',
+        returnDueDate: yesterday,
+        update: jest.fn(applyUpdate),
+      };
+      const unpaid = { ...mockReturn, creditDueDate: yesterday, update: jest.fn(applyUpdate) };
+      const alreadyFlagged = {
+        ...mockReturn,
+        id: 'return-3',
+        expectedCredit: '40.00',
+        creditDueDate: yesterday,
+        overdueReason: 'credit_not_received',
+        update: jest.fn(),
+      };
+      PartsReturn.findAll.mockResolvedValue([late, unpaid, alreadyFlagged]);
+
+      const flagged = await partsReturnService.flagOverdueReturns();
+
+      expect(flagged).toEqual([late, unpaid]);
+      expect(late.update).toHaveBeenCalledWith(
+        expect.objectContaining({ overdueReason: 'return_not_shipped' })
+      );
+      expect(unpaid.update).toHaveBeenCalledWith(
+        expect.objectContaining({ overdueReason: 'credit_not_received' })
+      );
+      expect(alreadyFlagged.update).not.toHaveBeenCalled();
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        1,
+        'parts_update',
+        expect.objectContaining({ action: 'return_overdue', outstanding_credit: 285 })
+      );
+    });
+  });
+
+  describe('getPendingCredits', () => {
+    test('totals pending credits and unreturned cores per vendor', async () => {
+      PartsReturn.findAll.mockResolvedValue([
+        {
+          ...mockCoreReturn,
+          vendor: { name: 'Keystone' },
+          creditDueDate: new Date(Date.now() - DAY_MS),
+        },
+        {
+          ...mockReturn,
+          vendor: { name: 'Keystone' },
+          returnType: 'unused',
+          status: 'partially_credited',
+          expectedCredit: '228.00',
+          creditedAmount: '200.00',
+          creditDueDate: new Date(Date.now() + DAY_MS),
+        },
+      ]);
+      VendorCreditMemo.findAll.mockResolvedValue([
+        { vendorId: 'v-lkq', vendor: { name: 'LKQ' }, amount: '40.00', getUnappliedAmount },
+      ]);
+      AdvancedPartsManagement.findAll.mockResolvedValue([
+        // Already on the open core return
+        { ...mockLine, id: 12, isCoreItem: true, coreCharge: '75.00' },
+        {
+          ...mockLine,
+          id: 14,
+          vendorId: 'v-lkq',
+          vendor: { name: 'LKQ' },
+          isCoreItem: true,
+          coreCharge: '120.00',
+          receivedDate: new Date(Date.now() - 45 * DAY_MS),
+        },
+      ]);
+
+      const pending = await partsReturnService.getPendingCredits(1);
+
+      expect(pending.totals).toEqual({
+        openReturns: 2,
+        pendingCredit: 103,
+        overdueCredit: 75,
+        unappliedMemoCredit: 40,
+        unreturnedCores: 1,
+        unreturnedCoreValue: 120,
+      });
+      const keystone = pending.vendors.find(entry => entry.vendorId === 'v-keystone');
+      expect(keystone).toMatchObject({ openReturns: 2, pendingCredit: 103, overdueReturns: 1 });
+      const lkq = pending.vendors.find(entry => entry.vendorId === 'v-lkq');
+      expect(lkq).toMatchObject({ unappliedMemoCredit: 40, unreturnedCores: 1 });
+      expect(lkq.cores[0].overdue).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../../../server/database/models', () => ({
+  PayrollRun: { findOne: jest.fn(), create: jest.fn(), findAndCountAll: jest.fn() },
+  PayStub: { destroy: jest.fn(), bulkCreate: jest.fn() },
+  User: { findAll: jest.fn(), findOne: jest.fn() },
+  Shop: { findByPk: jest.fn() },
+  Job: { findAll: jest.fn() },
+  LaborTimeEntry: { findAll: jest.fn(), update: jest.fn() },
+  TimeClock: { findAll: jest.fn(), update: jest.fn() },
+  JobStageHistory: { findAll: jest.fn() },
+  TechnicianPerformance: { findOne: jest.fn() },
+  sequelize: { transaction: jest.fn(callback => callback({})) },
+}));
+
+const {
+  PayrollRun,
+  LaborTimeEntry,
+  TimeClock,
+} = require('../../../server/database/models');
+const payrollService = require('../../../server/services/payrollService');
+
+const settings = {
+  overtimeWeeklyThreshold: 40,
+  overtimeDailyThreshold: null,
+  overtimeMultiplier: 1.5,
+  payReworkFlaggedHours: false,
+  comebackChargebackPercent: 100,
+};
+
+// Mon–Fri, 9 net hours a day = 45 clocked hours in one week
+const week = [10, 11, 12, 13, 14].map((day, index) => ({
+  id: `tc${index}`,
+  clockIn: new Date(2025, 2, day, 8),
+  netHours: '9',
+}));
+
+const laborEntries = [
+  { id: 'l1', jobId: 'j1', billableHours: '30', billableAmount: '2400', isRework: false },
+  { id: 'l2', jobId: 'j2', billableHours: '20', billableAmount: '1600', isRework: false },
+  { id: 'l3', jobId: 'j3', billableHours: '5', billableAmount: '0', isRework: true },
+];
+
+const technician = overrides => ({
+  id: 'tech-1',
+  firstName: 'Ana',
+  lastName: 'Lopez',
+  hourlyRate: '20',
+  flatRate: '25',
+  commissionRate: '0',
+  payPlanType: 'hourly',
+  ...overrides,
+});
+
+describe('payrollService', () => {
+  describe('calculateOvertime', () => {
+    it('applies the weekly threshold per Sunday-based week', () => {
+      expect(payrollService.calculateOvertime(week, settings)).toEqual({
+        regularHours: 40,
+        overtimeHours: 5,
+      });
+    });
+
+    it('applies the daily threshold before the weekly one', () => {
+      const result = payrollService.calculateOvertime(week, {
+        ...settings,
+        overtimeDailyThreshold: 8,
+      });
+      expect(result).toEqual({ regularHours: 40, overtimeHours: 5 });
+
+      const shortWeek = payrollService.calculateOvertime(week.slice(0, 3), {
+        ...settings,
+        overtimeDailyThreshold: 8,
+      });
+      expect(shortWeek).toEqual({ regularHours: 24, overtimeHours: 3 });
+    });
+  });
+
+  describe('computeStub', () => {
+    const data = { laborEntries, timeClocks: week, comebacks: [] };
+
+    it('pays hourly techs straight time plus overtime at the multiplier', () => {
+      const stub = payrollService.computeStub(technician(), data, settings);
+
+      expect(stub).toMatchObject({
+        paidOn: 'hourly',
+        clockedHours: 45,
+        regularHours: 40,
+        overtimeHours: 5,
+        basePay: 800,
+        overtimePay: 150,
+        grossPay: 950,
+      });
+    });
+
+    it('pays flat-rate techs on non-rework flagged hours with an overtime premium', () => {
+      const stub = payrollService.computeStub(technician({ payPlanType: 'flat_rate' }), data, settings);
+
+      expect(stub.flaggedHours).toBe(55);
+      expect(stub.reworkFlaggedHours).toBe(5);
+      expect(stub.paidFlaggedHours).toBe(50);
+      expect(stub.basePay).toBe(1250);
+      // 5 OT hours × (1250 / 45) × 0.5
+      expect(stub.overtimePay).toBe(69.44);
+      expect(stub.laborEntryIds).toEqual(['l1', 'l2', 'l3']);
+    });
+
+    it('pays rework flagged hours when the shop allows it', () => {
+      const stub = payrollService.computeStub(technician({ payPlanType: 'flat_rate' }), data, {
+        ...settings,
+        payReworkFlaggedHours: true,
+      });
+      expect(stub.paidFlaggedHours).toBe(55);
+    });
+
+    it('pays hybrid techs on whichever side is greater and adds commission', () => {
+      const stub = payrollService.computeStub(
+        technician({ payPlanType: 'hybrid', commissionRate: '5' }),
+        data,
+        settings
+      );
+
+      expect(stub.paidOn).toBe('flat_rate');
+      expect(stub.laborSales).toBe(4000);
+      expect(stub.commission).toBe(200);
+      expect(stub.grossPay).toBe(1519.44);
+
+      const slow = payrollService.computeStub(
+        technician({ payPlanType: 'hybrid' }),
+        { ...data, laborEntries: laborEntries.slice(1, 2) },
+        settings
+      );
+      expect(slow.paidOn).toBe('hourly');
+      expect(slow.grossPay).toBe(950);
+    });
+
+    it('charges back comebacks and keeps manual adjustments', () => {
+      const manual = [{ type: 'bonus', amount: 100, reason: 'Spot bonus', source: 'manual' }];
+      const stub = payrollService.computeStub(
+        technician({ payPlanType: 'flat_rate', commissionRate: '5' }),
+        {
+          ...data,
+          comebacks: [
+            { id: 'j9', jobNumber: 'J-9', comeBackReason: 'Paint defect', flaggedHours: 4, laborSales: 320 },
+          ],
+        },
+        { ...settings, comebackChargebackPercent: 50 },
+        manual
+      );
+
+      expect(stub.adjustments).toHaveLength(2);
+      // 50% of (4h × $25 + 5% × $320)
+      expect(stub.adjustments[0]).toMatchObject({ type: 'comeback', amount: -58, jobId: 'j9', source: 'system' });
+      expect(stub.adjustmentTotal).toBe(42);
+    });
+  });
+
+  describe('run workflow', () => {
+    const makeRun = overrides => {
+      const run = {
+        id: 'run-1',
+        status: 'draft',
+        periodLabel: '20250309-20250322',
+        payDate: '2025-03-28',
+        payStubs: [{ id: 'stub-1', laborEntryIds: ['l1', 'l2'], timeClockIds: ['tc1'] }],
+        ...overrides,
+      };
+      run.update = jest.fn(values => Promise.resolve(Object.assign(run, values)));
+      return run;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('only approves draft runs', async () => {
+      PayrollRun.findOne.mockResolvedValue(makeRun({ status: 'locked' }));
+      await expect(payrollService.approveRun('run-1', 'shop-1', 'user-1')).rejects.toMatchObject({
+        statusCode: 409,
+      });
+    });
+
+    it('locks approved runs and marks source rows as paid', async () => {
+      const run = makeRun({ status: 'approved' });
+      PayrollRun.findOne.mockResolvedValue(run);
+
+      await payrollService.lockRun('run-1', 'shop-1', 'user-1');
+
+      expect(LaborTimeEntry.update).toHaveBeenCalledWith(
+        { payrollProcessed: true, payrollDate: '2025-03-28', payrollPeriod: '20250309-20250322' },
+        expect.any(Object)
+      );
+      expect(TimeClock.update).toHaveBeenCalled();
+      expect(run.status).toBe('locked');
+    });
+
+    it('refuses to lock a draft run or edit a locked one', async () => {
+      PayrollRun.findOne.mockResolvedValue(makeRun());
+      await expect(payrollService.lockRun('run-1', 'shop-1', 'user-1')).rejects.toThrow(
+        'Only approved payroll runs can be locked'
+      );
+
+      PayrollRun.findOne.mockResolvedValue(makeRun({ status: 'locked' }));
+      await expect(
+        payrollService.addAdjustment('run-1', 'stub-1', 'shop-1', { amount: 50, reason: 'Bonus' })
+      ).rejects.toThrow('can no longer be changed');
+    });
+
+    it('rejects runs that overlap an existing pay period', async () => {
+      PayrollRun.findOne.mockResolvedValue(makeRun({ status: 'locked' }));
+      await expect(
+        payrollService.createRun('shop-1', { periodStart: '2025-03-16', periodEnd: '2025-03-29' })
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(PayrollRun.create).not.toHaveBeenCalled();
+    });
+  });
+});
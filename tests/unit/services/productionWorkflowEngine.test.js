@@ -0,0 +1,420 @@
+jest.mock('../../../server/database/models', () => ({
+  ProductionStage: { findAll: jest.fn() },
+  JobStageHistory: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  Attachment: { findAll: jest.fn() },
+  SchedulingCapacity: { findOne: jest.fn() },
+  Job: { count: jest.fn() },
+  Customer: { findOne: jest.fn() },
+  RepairOrderManagement: { findOne: jest.fn() },
+}));
+
+jest.mock('../../../server/services/messageDispatcher', () => ({
+  dispatch: jest.fn(),
+}));
+
+const {
+  ProductionStage,
+  JobStageHistory,
+  Attachment,
+  SchedulingCapacity,
+  Job,
+  Customer,
+  RepairOrderManagement,
+} = require('../../../server/database/models');
+const messageDispatcher = require('../../../server/services/messageDispatcher');
+const productionWorkflowEngine = require('../../../server/services/productionWorkflowEngine');
+
+// Stand-in for a ProductionStage instance
+const stage = values => ({
+  id: `stage-${values.stageCode}`,
+  isActive: true,
+  isRequired: true,
+  canSkip: false,
+  prerequisites: [],
+  dependentStages: [],
+  requiresInspection: false,
+  photosRequired: false,
+  photoTypes: [],
+  customerApprovalRequired: false,
+  allowRework: true,
+  maxReworkAttempts: 3,
+  automationRules: {},
+  canRework(count) {
+    return this.allowRework && count < this.maxReworkAttempts;
+  },
+  isOverCapacity(current) {
+    return Boolean(this.maxConcurrentJobs) && current >= this.maxConcurrentJobs;
+  },
+  ...values,
+});
+
+const row = values => ({
+  ...values,
+  update: jest.fn(function (updates) {
+    return Promise.resolve(Object.assign(this, updates));
+  }),
+});
+
+describe('productionWorkflowEngine', () => {
+  let stages;
+  let history;
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stages = [
+      stage({ stageCode: 'disassembly', stageName: 'Disassembly', stageOrder: 1 }),
+      stage({
+        stageCode: 'body_structure',
+        stageName: 'Frame & Structure',
+        stageOrder: 2,
+        requiresInspection: true,
+        dependentStages: ['paint_booth'],
+      }),
+      stage({
+        stageCode: 'paint_booth',
+        stageName: 'Paint',
+        stageOrder: 3,
+        prerequisites: ['body_structure'],
+        photosRequired: true,
+        photoTypes: ['before'],
+      }),
+      stage({ stageCode: 'reassembly', stageName: 'Reassembly', stageOrder: 4 }),
+    ];
+    history = [
+      row({ fromStage: 'intake', toStage: 'disassembly', movementType: 'forward' }),
+      row({ fromStage: 'disassembly', toStage: 'body_structure', movementType: 'forward' }),
+    ];
+    job = row({
+      id: 'job-1',
+      shopId: 'shop-1',
+      jobNumber: 'RO-1001',
+      status: 'body_structure',
+      workflow: {},
+      customer: { id: 'cust-1', firstName: 'Dana', lastName: 'Lee', mobile: '5551234567' },
+    });
+
+    ProductionStage.findAll.mockImplementation(() => Promise.resolve(stages));
+    JobStageHistory.findAll.mockImplementation(() => Promise.resolve(history));
+    JobStageHistory.findOne.mockImplementation(() =>
+      Promise.resolve(history[history.length - 1])
+    );
+    JobStageHistory.create.mockImplementation(values => Promise.resolve(row(values)));
+    Attachment.findAll.mockResolvedValue([]);
+    Job.count.mockResolvedValue(0);
+    SchedulingCapacity.findOne.mockResolvedValue(null);
+    RepairOrderManagement.findOne.mockResolvedValue(null);
+    messageDispatcher.dispatch.mockResolvedValue([
+      { channel: 'sms', success: true, status: 'sent', communication_id: 'log-1' },
+    ]);
+  });
+
+  describe('evaluateTransition', () => {
+    it('blocks paint until the frame inspection and photos exist', async () => {
+      const decision = await productionWorkflowEngine.evaluateTransition(job, 'paint_booth');
+
+      expect(decision.allowed).toBe(false);
+      expect(decision.blockers).toEqual([
+        expect.objectContaining({ rule: 'inspection', stage: 'body_structure' }),
+        expect.objectContaining({
+          rule: 'photos',
+          message: 'Photos required before Paint: before',
+        }),
+      ]);
+    });
+
+    it('allows paint once the inspection passed and photos were taken', async () => {
+      history[1].inspectionCompleted = true;
+      history[1].inspectionResults = { passed: true };
+      Attachment.findAll.mockResolvedValue([{ id: 'photo-1', category: 'before_damage' }]);
+
+      const decision = await productionWorkflowEngine.evaluateTransition(job, 'paint_booth');
+
+      expect(decision).toMatchObject({ allowed: true, movementType: 'forward', blockers: [] });
+    });
+
+    it('treats a failed inspection as a blocker', async () => {
+      history[1].inspectionCompleted = true;
+      history[1].inspectionResults = { passed: false };
+      stages[2].photosRequired = false;
+
+      const decision = await productionWorkflowEngine.evaluateTransition(job, 'paint_booth');
+
+      expect(decision.blockers[0].message).toBe(
+        'Frame & Structure inspection failed and must be redone'
+      );
+    });
+
+    it('does not let an override bypass customer approval', async () => {
+      stages[3].customerApprovalRequired = true;
+      job.status = 'paint_booth';
+      history.push(row({ fromStage: 'body_structure', toStage: 'paint_booth' }));
+
+      const blocked = await productionWorkflowEngine.evaluateTransition(job, 'reassembly', {
+        override: true,
+      });
+      expect(blocked).toMatchObject({ allowed: false, canOverride: false });
+
+      job.workflow = { approvals: { reassembly: { approvedAt: new Date() } } };
+      const approved = await productionWorkflowEngine.evaluateTransition(job, 'reassembly');
+      expect(approved.allowed).toBe(true);
+    });
+
+    it('enforces the rework limit unless overridden and warns about dependent stages', async () => {
+      job.status = 'reassembly';
+      history.push(
+        row({ fromStage: 'paint_booth', toStage: 'body_structure', movementType: 'backward' }),
+        row({ fromStage: 'paint_booth', toStage: 'body_structure', movementType: 'backward' }),
+        row({ fromStage: 'paint_booth', toStage: 'body_structure', movementType: 'backward' }),
+        row({ fromStage: 'body_structure', toStage: 'paint_booth', movementType: 'forward' }),
+        row({ fromStage: 'paint_booth', toStage: 'reassembly', movementType: 'forward' })
+      );
+
+      const decision = await productionWorkflowEngine.evaluateTransition(job, 'body_structure');
+      expect(decision.movementType).toBe('backward');
+      expect(decision.blockers).toEqual([
+        expect.objectContaining({
+          rule: 'rework_limit',
+          message: 'Frame & Structure has reached its rework limit (3)',
+        }),
+      ]);
+
+      const overridden = await productionWorkflowEngine.evaluateTransition(
+        job,
+        'body_structure',
+        { override: true }
+      );
+      expect(overridden).toMatchObject({ allowed: true, overridden: true });
+      expect(overridden.warnings[0]).toMatchObject({
+        rule: 'dependent_stages',
+        stages: ['paint_booth'],
+      });
+    });
+
+    it('blocks skipping a required stage', async () => {
+      job.status = 'disassembly';
+      history.pop();
+
+      const decision = await productionWorkflowEngine.evaluateTransition(job, 'paint_booth');
+
+      expect(decision.movementType).toBe('skip');
+      expect(decision.blockers).toContainEqual(
+        expect.objectContaining({ rule: 'skip', message: 'Frame & Structure cannot be skipped' })
+      );
+    });
+  });
+
+  describe('completeTransition', () => {
+    it('records the decision and runs the stage automation rules', async () => {
+      stages[2].automationRules = {
+        onEnter: [
+          { action: 'notify_customer', message: '{{jobNumber}} is now in {{stageName}}' },
+          { action: 'reserve_paint_booth' },
+        ],
+      };
+      stages[1].automationRules = { onExit: [{ action: 'create_qc_checklist' }] };
+      stages[1].checklistTemplate = ['Measurements within spec', 'Welds sealed'];
+      const decision = {
+        fromStage: 'body_structure',
+        toStage: 'paint_booth',
+        movementType: 'forward',
+        allowed: true,
+        overridden: false,
+        blockers: [],
+        warnings: [],
+        productionStageId: 'stage-paint_booth',
+      };
+
+      const { history: entry, automation } = await productionWorkflowEngine.completeTransition(
+        job,
+        decision,
+        { userId: 'user-1' }
+      );
+
+      expect(automation.map(result => [result.action, result.status])).toEqual([
+        ['create_qc_checklist', 'completed'],
+        ['notify_customer', 'completed'],
+        ['reserve_paint_booth', 'completed'],
+      ]);
+      expect(messageDispatcher.dispatch).toHaveBeenCalledWith({
+        channels: ['sms'],
+        customer: job.customer,
+        message: { subject: 'Paint - RO-1001', content: 'RO-1001 is now in Paint' },
+        context: expect.objectContaining({
+          shopId: 'shop-1',
+          userId: 'user-1',
+          triggerEvent: 'stage_entered',
+          isAutomated: true,
+        }),
+      });
+      expect(entry).toMatchObject({
+        fromStage: 'body_structure',
+        toStage: 'paint_booth',
+        movementReason: 'normal_progression',
+        customerNotified: true,
+        bayType: 'paint_booth',
+        bayNumber: 'PB1',
+        inspectionResults: {
+          checklist: [
+            { item: 'Measurements within spec', passed: null },
+            { item: 'Welds sealed', passed: null },
+          ],
+        },
+      });
+      expect(entry.metadata.decision).toMatchObject({ allowed: true, toStage: 'paint_booth' });
+    });
+
+    it('reports a full paint booth without failing the transition', async () => {
+      stages[2].automationRules = [{ action: 'reserve_paint_booth' }];
+      SchedulingCapacity.findOne.mockResolvedValue(row({ paintBooths: 2, occupiedBays: 2 }));
+      Job.count.mockResolvedValue(2);
+
+      const { automation } = await productionWorkflowEngine.completeTransition(job, {
+        fromStage: 'body_structure',
+        toStage: 'paint_booth',
+        movementType: 'forward',
+        blockers: [],
+        warnings: [],
+      });
+
+      expect(automation).toEqual([
+        expect.objectContaining({
+          status: 'failed',
+          detail: 'No paint booth available (2/2 in use)',
+        }),
+      ]);
+      expect(JobStageHistory.create).toHaveBeenCalled();
+    });
+
+    it('does not mark the customer notified when the message is not sent', async () => {
+      stages[2].automationRules = [{ action: 'notify_customer' }];
+      messageDispatcher.dispatch.mockResolvedValue([
+        {
+          channel: 'sms',
+          success: false,
+          status: 'blocked',
+          error: 'Customer has not opted in to SMS',
+        },
+      ]);
+
+      const { history: entry, automation } = await productionWorkflowEngine.completeTransition(
+        job,
+        {
+          fromStage: 'body_structure',
+          toStage: 'paint_booth',
+          movementType: 'forward',
+          blockers: [],
+          warnings: [],
+        }
+      );
+
+      expect(automation).toEqual([
+        expect.objectContaining({
+          status: 'skipped',
+          detail: 'Customer not notified by sms: Customer has not opted in to SMS',
+        }),
+      ]);
+      expect(entry.customerNotified).toBeUndefined();
+    });
+
+    it('skips the message when the repair order has automatic notifications off', async () => {
+      stages[2].automationRules = [{ action: 'notify_customer' }];
+      RepairOrderManagement.findOne.mockResolvedValue({ id: 500, autoNotificationsEnabled: false });
+
+      const { automation } = await productionWorkflowEngine.completeTransition(job, {
+        fromStage: 'body_structure',
+        toStage: 'paint_booth',
+        movementType: 'forward',
+        blockers: [],
+        warnings: [],
+      });
+
+      expect(RepairOrderManagement.findOne).toHaveBeenCalledWith({
+        where: { shopId: 'shop-1', repairOrderNumber: 'RO-1001' },
+      });
+      expect(automation[0]).toMatchObject({ status: 'skipped' });
+      expect(messageDispatcher.dispatch).not.toHaveBeenCalled();
+    });
+
+    it('loads the customer when the job was fetched without one', async () => {
+      stages[2].automationRules = [{ action: 'notify_customer' }];
+      const mockCustomer = { id: 'cust-1', firstName: 'Dana', mobile: '5551234567' };
+      delete job.customer;
+      job.customerId = 'cust-1';
+      Customer.findOne.mockResolvedValue(mockCustomer);
+
+      const { history: entry } = await productionWorkflowEngine.completeTransition(job, {
+        fromStage: 'body_structure',
+        toStage: 'paint_booth',
+        movementType: 'forward',
+        blockers: [],
+        warnings: [],
+      });
+
+      expect(Customer.findOne).toHaveBeenCalledWith({
+        where: { id: 'cust-1', shopId: 'shop-1' },
+      });
+      expect(messageDispatcher.dispatch).toHaveBeenCalledWith(
+        expect.objectContaining({ customer: mockCustomer })
+      );
+      expect(entry.customerNotified).toBe(true);
+    });
+
+    it('records the manager who overrode the workflow rules', async () => {
+      const { history: entry } = await productionWorkflowEngine.completeTransition(
+        job,
+        {
+          fromStage: 'body_structure',
+          toStage: 'paint_booth',
+          movementType: 'forward',
+          allowed: true,
+          overridden: true,
+          blockers: [{ rule: 'photos_required' }],
+          warnings: [],
+        },
+        { userId: 'manager-1', overriddenBy: 'manager-1' }
+      );
+
+      expect(entry.metadata).toMatchObject({
+        overriddenBy: 'manager-1',
+        decision: { overridden: true },
+      });
+    });
+  });
+
+  describe('recording', () => {
+    it('appends blocked attempts to the current stage entry', async () => {
+      const decision = await productionWorkflowEngine.evaluateTransition(job, 'paint_booth');
+
+      await productionWorkflowEngine.recordBlockedAttempt(job, decision, { userId: 'user-1' });
+
+      expect(history[1].metadata.blockedAttempts).toEqual([
+        expect.objectContaining({ toStage: 'paint_booth', allowed: false, userId: 'user-1' }),
+      ]);
+    });
+
+    it('marks a failed inspection for rework', async () => {
+      await productionWorkflowEngine.recordInspection(job, 'body_structure', {
+        passed: false,
+        notes: 'Rail out of spec',
+        userId: 'user-2',
+      });
+
+      expect(history[1]).toMatchObject({
+        inspectionCompleted: true,
+        inspectedBy: 'user-2',
+        inspectionResults: { passed: false },
+        reworkRequired: true,
+        firstTimeRight: false,
+      });
+    });
+
+    it('rejects an inspection for a stage the job never entered', async () => {
+      JobStageHistory.findOne.mockResolvedValue(null);
+
+      await expect(
+        productionWorkflowEngine.recordInspection(job, 'paint_booth', {})
+      ).rejects.toThrow('Job has not entered paint_booth');
+    });
+  });
+});
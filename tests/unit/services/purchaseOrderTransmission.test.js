@@ -0,0 +1,327 @@
+/**
+ * Unit Tests for purchase order transmission and vendor events
+ * Runs purchaseOrderTransmission against a stub vendor server; models and realtime are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  PurchaseOrderSystem: { findOne: jest.fn() },
+  AdvancedPartsManagement: { findAll: jest.fn() },
+  Vendor: {},
+  Shop: { findByPk: jest.fn() },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn(), broadcastIntegrationUpdate: jest.fn() },
+}));
+
+const crypto = require('crypto');
+const {
+  PurchaseOrderSystem,
+  AdvancedPartsManagement,
+  Shop,
+} = require('../../../server/database/models');
+const purchaseOrderTransmission = require('../../../server/services/purchaseOrderTransmission');
+const messageDeliveryService = require('../../../server/services/messageDeliveryService');
+const { integrationManager } = require('../../../server/services/integrationFramework');
+const {
+  createStubVendorServer,
+} = require('../../../server/services/vendorIntegration/stubVendorServer');
+const vendorAdapters = require('../../../server/services/vendorIntegration/vendorAdapters');
+const {
+  buildX12Order,
+  buildCxmlOrder,
+} = require('../../../server/services/vendorIntegration/purchaseOrderFormats');
+
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+const sign = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+
+describe('purchaseOrderTransmission', () => {
+  const mockShop = {
+    id: 1,
+    name: 'Northside Collision',
+    email: 'parts@northside.example',
+    address: '12 Main St',
+    city: 'Springfield',
+    state: 'IL',
+    postalCode: '62701',
+    country: 'US',
+  };
+
+  let stub;
+  let mockKeystone;
+  let mockPurchaseOrder;
+  let mockLines;
+  let email;
+
+  beforeAll(async () => {
+    stub = await listen(
+      createStubVendorServer({
+        catalog: {
+          '52119-06903': { unitPrice: 285, quantityAvailable: 3, leadTimeDays: 1 },
+          '81110-06D20': { unitPrice: 225, quantityAvailable: 0, leadTimeDays: 6 },
+        },
+      })
+    );
+    mockKeystone = {
+      id: 'v-keystone',
+      name: 'Keystone',
+      isActive: true,
+      integrationType: 'api',
+      apiEndpoint: `http://127.0.0.1:${stub.address().port}`,
+      email: 'orders@keystone.example',
+      preferences: {},
+    };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    vendorAdapters.clear();
+
+    // The service reads status back after each update, as on a model instance
+    mockPurchaseOrder = {
+      id: 'po-1',
+      shopId: 1,
+      purchaseOrderNumber: 'RO1001-2610-KEYS-001',
+      roNumber: 'RO1001',
+      vendorName: 'Keystone',
+      poStatus: 'draft',
+      poDate: new Date('2026-10-19T12:00:00Z'),
+      requiresApproval: false,
+      subtotalAmount: '735.00',
+      taxAmount: '58.80',
+      totalAmount: '793.80',
+      communicationCount: 0,
+      trackingNumbers: null,
+      vendor: mockKeystone,
+      update: jest.fn(function (changes) {
+        return Promise.resolve(Object.assign(this, changes));
+      }),
+    };
+    mockLines = [
+      {
+        id: 'line-1',
+        lineNumber: 1,
+        partStatus: 'ordered',
+        vendorPartNumber: '52119-06903',
+        oemPartNumber: '52119-06903',
+        partDescription: 'Front Bumper Cover',
+        quantityOrdered: 1,
+        netPrice: '285.00',
+        update: jest.fn(function (changes) {
+          return Promise.resolve(Object.assign(this, changes));
+        }),
+      },
+      {
+        id: 'line-2',
+        lineNumber: 2,
+        partStatus: 'ordered',
+        vendorPartNumber: '81110-06D20',
+        oemPartNumber: '81110-06D20',
+        partDescription: 'Headlamp Assembly, Left',
+        quantityOrdered: 2,
+        netPrice: '225.00',
+        update: jest.fn(function (changes) {
+          return Promise.resolve(Object.assign(this, changes));
+        }),
+      },
+    ];
+
+    PurchaseOrderSystem.findOne.mockResolvedValue(mockPurchaseOrder);
+    AdvancedPartsManagement.findAll.mockResolvedValue(mockLines);
+    Shop.findByPk.mockResolvedValue(mockShop);
+    email = { send: jest.fn().mockResolvedValue({ providerMessageId: 'msg-1' }) };
+    messageDeliveryService.registerTransport('email', email);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transmit', () => {
+    test('submits through the vendor API and applies its confirmation', async () => {
+      const result = await purchaseOrderTransmission.transmit(1, 'po-1', { userId: 9 });
+
+      expect(result.method).toBe('api');
+      expect(result.attempts).toEqual([{ method: 'api', success: true }]);
+      expect(email.send).not.toHaveBeenCalled();
+      expect(mockPurchaseOrder).toMatchObject({
+        poStatus: 'acknowledged',
+        transmissionMethod: 'api',
+        sentBy: 9,
+        externalSystemId: result.reference,
+        vendorConfirmationNumber: 'CONF-RO1001-2610-KEYS-001',
+        acknowledgmentReceived: true,
+        backorderedItems: 1,
+        syncStatus: 'synced',
+      });
+      expect(mockLines[0]).toMatchObject({
+        partStatus: 'ordered',
+        purchaseOrderNumber: 'RO1001-2610-KEYS-001',
+        vendorOrderNumber: result.reference,
+      });
+      expect(mockLines[0].promisedDeliveryDate).toBeTruthy();
+      expect(mockLines[1]).toMatchObject({ partStatus: 'backordered', previousStatus: 'ordered' });
+    });
+
+    test('falls back to emailing the PDF when the vendor API is down', async () => {
+      mockPurchaseOrder.vendorName = 'LKQ';
+      mockPurchaseOrder.vendor = {
+        ...mockKeystone,
+        id: 'v-lkq',
+        name: 'LKQ',
+        apiEndpoint: 'http://127.0.0.1:1',
+        email: 'orders@lkq.example',
+        preferences: { api: { timeout: 500 } },
+      };
+
+      const result = await purchaseOrderTransmission.transmit(1, 'po-1', { userId: 9 });
+
+      expect(result.method).toBe('email');
+      expect(result.attempts.map(attempt => [attempt.method, attempt.success])).toEqual([
+        ['api', false],
+        ['email', true],
+      ]);
+      const [message] = email.send.mock.calls[0];
+      expect(message).toMatchObject({
+        to: 'orders@lkq.example',
+        from: 'parts@northside.example',
+        subject: expect.stringContaining('RO1001-2610-KEYS-001'),
+      });
+      expect(message.attachments[0].filename).toBe('RO1001-2610-KEYS-001.pdf');
+      expect(message.attachments[0].content.slice(0, 4).toString()).toBe('%PDF');
+      expect(mockPurchaseOrder).toMatchObject({ poStatus: 'sent', transmissionMethod: 'email' });
+      expect(mockLines.every(line => line.partStatus === 'ordered')).toBe(true);
+    });
+
+    test('refuses to send a PO that still needs approval', async () => {
+      mockPurchaseOrder.requiresApproval = true;
+      mockPurchaseOrder.vendor = { id: 'v-1', name: 'Dealer', email: 'parts@dealer.example' };
+
+      await expect(purchaseOrderTransmission.transmit(1, 'po-1')).rejects.toThrow(
+        'must be approved'
+      );
+      expect(email.send).not.toHaveBeenCalled();
+      expect(mockPurchaseOrder.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildOrder', () => {
+    test('renders X12 850 and cXML orders', () => {
+      const order = purchaseOrderTransmission.buildOrder(mockPurchaseOrder, mockLines, mockShop);
+
+      const x12 = buildX12Order(order, { controlNumber: 7, receiverId: 'KEYSTONE' });
+      const segments = x12.split('~\n');
+      expect(segments[0]).toMatch(/^ISA\*00\*/);
+      expect(x12).toContain('BEG*00*SA*RO1001-2610-KEYS-001**20261019~');
+      expect(x12).toContain('PO1*2*2*EA*225.00**VP*81110-06D20~');
+      expect(x12).toContain('CTT*2~');
+      expect(x12).toMatch(/SE\*\d+\*0001~\nGE\*1\*7~\nIEA\*1\*000000007~$/);
+
+      const cxml = buildCxmlOrder(order, { senderId: 'SHOP1', receiverId: 'KEYSTONE' });
+      expect(cxml).toContain('<OrderRequestHeader orderID="RO1001-2610-KEYS-001"');
+      expect(cxml).toContain('<SupplierPartID>52119-06903</SupplierPartID>');
+      expect(cxml).toContain('<Money currency="USD">793.80</Money>');
+    });
+  });
+
+  describe('vendor webhooks', () => {
+    const secret = 'whsec-keystone';
+
+    beforeEach(() => {
+      Object.assign(mockPurchaseOrder, {
+        poStatus: 'sent',
+        sentDate: new Date(Date.now() - 3 * 3600000),
+        vendor: { id: 'v-keystone', name: 'Keystone', preferences: { webhookSecret: secret } },
+      });
+    });
+
+    const deliver = (eventType, payload, signature = sign(payload, secret)) =>
+      integrationManager.handleWebhook('parts-vendor', eventType, payload, signature);
+
+    test('rejects events without a valid vendor signature', async () => {
+      const payload = { po_number: 'RO1001-2610-KEYS-001', confirmation_number: 'C-1' };
+
+      const result = await deliver('acknowledgment', payload, sign(payload, 'wrong'));
+
+      expect(result).toMatchObject({ status: 'error', statusCode: 401 });
+      expect(mockPurchaseOrder.update).not.toHaveBeenCalled();
+    });
+
+    test('acknowledges the PO and backorders lines the vendor cannot fill', async () => {
+      const result = await deliver('acknowledgment', {
+        po_number: 'RO1001-2610-KEYS-001',
+        confirmation_number: 'KS-55120',
+        vendor_order_number: 'SO-88',
+        lines: [
+          { line_number: 1, quantity_confirmed: 1, expected_date: '2026-10-21' },
+          {
+            part_number: '8111006D20',
+            quantity_confirmed: 0,
+            quantity_backordered: 2,
+            expected_date: '2026-10-28',
+          },
+        ],
+      });
+
+      expect(result.status).toBe('processed');
+      expect(mockPurchaseOrder).toMatchObject({
+        poStatus: 'acknowledged',
+        vendorConfirmationNumber: 'KS-55120',
+        vendorResponseTime: 3,
+        backorderedItems: 1,
+      });
+      expect(mockPurchaseOrder.promisedDeliveryDate).toEqual(new Date('2026-10-28'));
+      expect(mockLines[0].update).toHaveBeenCalledWith({
+        promisedDeliveryDate: '2026-10-21',
+        vendorOrderNumber: 'SO-88',
+      });
+      expect(mockLines[1].update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          partStatus: 'backordered',
+          estimatedDeliveryDate: '2026-10-28',
+          vendorOrderNumber: 'SO-88',
+        })
+      );
+    });
+
+    test('ships lines from a ship notice and keeps the tracking number', async () => {
+      const result = await deliver('ship_notice', {
+        po_number: 'RO1001-2610-KEYS-001',
+        carrier: 'UPS',
+        tracking_number: '1Z999AA10123456784',
+        estimated_delivery: '2026-10-21',
+        lines: [{ line_number: 1, quantity_shipped: 1 }],
+      });
+
+      expect(result.status).toBe('processed');
+      expect(mockLines[0].update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          partStatus: 'shipped',
+          trackingNumber: '1Z999AA10123456784',
+          shippingMethod: 'UPS',
+        })
+      );
+      expect(mockLines[1].update).not.toHaveBeenCalled();
+      expect(mockPurchaseOrder.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          poStatus: 'acknowledged',
+          carrier: 'UPS',
+          partialShipments: 1,
+          trackingNumbers: JSON.stringify(['1Z999AA10123456784']),
+        })
+      );
+    });
+  });
+});
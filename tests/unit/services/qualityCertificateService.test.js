@@ -0,0 +1,287 @@
+jest.mock('../../../server/database/models', () => ({
+  QualityCertificate: { findAll: jest.fn(), create: jest.fn(), count: jest.fn() },
+  RepairOrderManagement: { findOne: jest.fn() },
+  EstimateLineItem: { findAll: jest.fn() },
+  VehicleProfile: {},
+  Customer: {},
+  ClaimManagement: {},
+  InsuranceCompany: {},
+  Shop: { findByPk: jest.fn() },
+  Signature: { findOne: jest.fn(), create: jest.fn() },
+  User: { findOne: jest.fn() },
+  sequelize: { transaction: jest.fn(work => work({})) },
+}));
+
+const {
+  QualityCertificate,
+  RepairOrderManagement,
+  EstimateLineItem,
+  Shop,
+  Signature,
+  User,
+} = require('../../../server/database/models');
+const qualityCertificateService = require('../../../server/services/qualityCertificateService');
+
+// 1x1 transparent PNG
+const SIGNATURE_PNG =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const line = (lineNumber, description, values = {}) => ({
+  lineNumber,
+  description,
+  category: 'body',
+  laborType: 'body',
+  ...values,
+});
+
+const repairOrder = values => ({
+  id: 42,
+  repairOrderNumber: 'RO-42',
+  estimateId: 'estimate-1',
+  vehicleProfile: {
+    year: 2021,
+    make: 'Honda',
+    model: 'CR-V',
+    vin: '2HKRW2H50MH000001',
+    hasADASFeatures: true,
+    adasFeatures: '["lane keep assist","adaptive cruise"]',
+  },
+  customer: { firstName: 'Dana', lastName: 'Reyes' },
+  claimManagement: {
+    claimNumber: 'CLM-9001',
+    insuranceCompany: { name: 'Intact' },
+  },
+  ...values,
+});
+
+const certificate = values => ({
+  id: `cert-${values.certificateType}`,
+  certificateNumber: `QC-RO-42-${values.certificateType}`,
+  status: 'valid',
+  result: 'pass',
+  performedAt: new Date(2026, 2, 2),
+  inspector: { firstName: 'Sam', lastName: 'Lee' },
+  ...values,
+});
+
+const types = requirements => requirements.map(r => r.certificate_type);
+
+describe('qualityCertificateService', () => {
+  let lines;
+  let certificates;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    lines = [
+      line(1, 'Front bumper cover R&R'),
+      line(2, 'Windshield R&I', { category: 'glass', laborType: 'glass' }),
+    ];
+    certificates = [];
+
+    RepairOrderManagement.findOne.mockImplementation(() => Promise.resolve(repairOrder()));
+    EstimateLineItem.findAll.mockImplementation(() => Promise.resolve(lines));
+    QualityCertificate.findAll.mockImplementation(() => Promise.resolve(certificates));
+    QualityCertificate.count.mockResolvedValue(0);
+    User.findOne.mockResolvedValue({ id: 'user-1', firstName: 'Sam', lastName: 'Lee' });
+    Shop.findByPk.mockResolvedValue({ name: 'Main Street Collision', city: 'Toronto' });
+  });
+
+  describe('getRequirements', () => {
+    it('requires calibration for lines that disturb ADAS sensors', () => {
+      const requirements = qualityCertificateService.getRequirements(repairOrder(), lines);
+
+      expect(types(requirements)).toEqual([
+        'final_inspection',
+        'pre_scan',
+        'post_scan',
+        'adas_calibration',
+      ]);
+      expect(requirements.find(r => r.certificate_type === 'adas_calibration').required_by).toEqual([
+        'Line 1: Front bumper cover R&R (front radar)',
+        'Line 2: Windshield R&I (forward camera)',
+      ]);
+      expect(requirements.find(r => r.certificate_type === 'pre_scan').required_by).toEqual([
+        'Vehicle has ADAS (lane keep assist, adaptive cruise)',
+        '2021 model year',
+      ]);
+    });
+
+    it('requires frame and alignment certificates for structural repairs only', () => {
+      const older = repairOrder({ vehicleProfile: { year: 2006, make: 'Ford' } });
+
+      expect(types(qualityCertificateService.getRequirements(older, lines))).toEqual([
+        'final_inspection',
+      ]);
+
+      const requirements = qualityCertificateService.getRequirements(older, [
+        line(3, 'Section left front rail', { category: 'frame', laborType: 'frame' }),
+      ]);
+      expect(types(requirements)).toEqual([
+        'final_inspection',
+        'frame_measurement',
+        'wheel_alignment',
+      ]);
+    });
+  });
+
+  describe('getCertificateStatus', () => {
+    it('lists missing certificates with the last failed attempt', async () => {
+      certificates = [
+        certificate({ certificateType: 'final_inspection' }),
+        certificate({ certificateType: 'pre_scan' }),
+        certificate({ certificateType: 'adas_calibration', status: 'failed', result: 'fail' }),
+      ];
+
+      const { missing, compliance } = await qualityCertificateService.getCertificateStatus(
+        'shop-1',
+        42
+      );
+
+      expect(missing.map(item => [item.certificate_type, item.last_attempt?.status])).toEqual([
+        ['post_scan', undefined],
+        ['adas_calibration', 'failed'],
+      ]);
+      expect(compliance).toMatchObject({
+        overall_score: 50,
+        ready_for_delivery: false,
+        adas_documented: false,
+        failed_certificates: 1,
+        outstanding_issues: [
+          'Post-Repair Scan Certificate not issued',
+          'ADAS Calibration Certificate failed (QC-RO-42-adas_calibration) and must be redone',
+        ],
+      });
+      expect(EstimateLineItem.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ estimateId: 'estimate-1' }),
+        })
+      );
+    });
+  });
+
+  describe('issueCertificate', () => {
+    it('signs the certificate with a new inspector Signature', async () => {
+      const created = { id: 'cert-1', shopId: 'shop-1', certificateType: 'adas_calibration', update: jest.fn() };
+      QualityCertificate.create.mockResolvedValue(created);
+      Signature.create.mockResolvedValue({ id: 'sig-1' });
+
+      await qualityCertificateService.issueCertificate(
+        'shop-1',
+        42,
+        {
+          certificate_type: 'adas_calibration',
+          result: 'pass',
+          equipment: 'Autel IA900',
+          signature: { signature_data: SIGNATURE_PNG },
+        },
+        { userId: 'user-1' }
+      );
+
+      expect(QualityCertificate.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          certificateNumber: 'QC-RO-42-ADAS-01',
+          status: 'valid',
+          inspectorId: 'user-1',
+          requiredBy: [
+            'Line 1: Front bumper cover R&R (front radar)',
+            'Line 2: Windshield R&I (forward camera)',
+          ],
+        }),
+        expect.anything()
+      );
+      expect(Signature.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          documentType: 'inspection_report',
+          documentId: 'cert-1',
+          signerRole: 'inspector',
+          signedBy: 'Sam Lee',
+          verificationHash: expect.stringMatching(/^[a-f0-9]{64}$/),
+        }),
+        expect.anything()
+      );
+      expect(created.update).toHaveBeenCalledWith(
+        { signatureId: 'sig-1' },
+        expect.anything()
+      );
+    });
+
+    it('links an existing signature the inspector made', async () => {
+      const created = { id: 'cert-1', shopId: 'shop-1', update: jest.fn() };
+      QualityCertificate.create.mockResolvedValue(created);
+      Signature.findOne.mockResolvedValue({ id: 'sig-7', userId: 'user-1' });
+
+      await qualityCertificateService.issueCertificate(
+        'shop-1',
+        42,
+        { certificate_type: 'final_inspection', result: 'pass', signature_id: 'sig-7' },
+        { userId: 'user-1' }
+      );
+
+      expect(Signature.findOne).toHaveBeenCalledWith({
+        where: { id: 'sig-7', shopId: 'shop-1' },
+      });
+      expect(Signature.create).not.toHaveBeenCalled();
+      expect(created.update).toHaveBeenCalledWith(
+        { signatureId: 'sig-7' },
+        expect.anything()
+      );
+    });
+
+    it('refuses a signature made by someone other than the inspector', async () => {
+      Signature.findOne.mockResolvedValue({ id: 'sig-8', userId: 'user-2' });
+
+      await expect(
+        qualityCertificateService.issueCertificate(
+          'shop-1',
+          42,
+          { certificate_type: 'final_inspection', result: 'pass', signature_id: 'sig-8' },
+          { userId: 'user-1' }
+        )
+      ).rejects.toThrow('Signature was not made by the inspector');
+      expect(QualityCertificate.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses to issue an unsigned certificate', async () => {
+      QualityCertificate.create.mockResolvedValue({ id: 'cert-1', update: jest.fn() });
+
+      await expect(
+        qualityCertificateService.issueCertificate('shop-1', 42, {
+          certificate_type: 'final_inspection',
+          result: 'pass',
+        })
+      ).rejects.toThrow('An inspector signature is required to issue a certificate');
+      await expect(
+        qualityCertificateService.issueCertificate('shop-1', 42, { certificate_type: 'smog' })
+      ).rejects.toThrow('Unknown certificate type: smog');
+    });
+  });
+
+  describe('renderRepairCertificate', () => {
+    it('renders a PDF once every certificate is on file', async () => {
+      certificates = ['final_inspection', 'pre_scan', 'post_scan', 'adas_calibration'].map(type =>
+        certificate({
+          certificateType: type,
+          signature: { id: 'sig-1', signedBy: 'Sam Lee', signatureData: SIGNATURE_PNG },
+        })
+      );
+
+      const { buffer, fileName, complete } =
+        await qualityCertificateService.renderRepairCertificate('shop-1', 42);
+
+      expect(complete).toBe(true);
+      expect(fileName).toBe('repair-certificate-RO-42.pdf');
+      expect(buffer.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    it('refuses while certificates are missing unless allowed', async () => {
+      await expect(
+        qualityCertificateService.renderRepairCertificate('shop-1', 42)
+      ).rejects.toThrow('Missing certificates: Final Inspection Certificate');
+
+      const { complete } = await qualityCertificateService.renderRepairCertificate('shop-1', 42, {
+        allowIncomplete: true,
+      });
+      expect(complete).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../../../server/database/models', () => ({
+  Job: { findAll: jest.fn() },
+  User: {},
+  InvoiceEnhanced: { findAll: jest.fn() },
+  InsuranceCompany: { findAll: jest.fn() },
+  Payment: { findAll: jest.fn() },
+  JobStageHistory: { findAll: jest.fn() },
+  LaborTimeEntry: { findAll: jest.fn() },
+  ProductionStage: { findAll: jest.fn() },
+  RepairOrderManagement: {},
+}));
+
+const ExcelJS = require('exceljs');
+const {
+  Job,
+  InvoiceEnhanced,
+  Payment,
+  JobStageHistory,
+  LaborTimeEntry,
+  ProductionStage,
+} = require('../../../server/database/models');
+const reportService = require('../../../server/services/reportService');
+const reportExportService = require('../../../server/services/reportExportService');
+
+const filters = overrides => ({
+  type: 'revenue',
+  period: 'monthly',
+  status: null,
+  startDate: new Date(2025, 0, 1),
+  endDate: new Date(2025, 2, 31),
+  technicianId: null,
+  customerId: null,
+  ...overrides,
+});
+
+describe('reportService', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    [Job, InvoiceEnhanced, Payment, JobStageHistory, LaborTimeEntry, ProductionStage].forEach(
+      model => model.findAll.mockResolvedValue([])
+    );
+  });
+
+  describe('revenue report', () => {
+    it('buckets invoices, payments and deliveries by month', async () => {
+      InvoiceEnhanced.findAll.mockResolvedValueOnce([
+        { invoiceDate: new Date(2025, 0, 10), invoiceType: 'final', totalAmount: '1000.00', laborTotal: '600', partsTotal: '400' },
+        { invoiceDate: new Date(2025, 0, 20), invoiceType: 'final', totalAmount: '500.00', laborTotal: '200', partsTotal: '300' },
+        { invoiceDate: new Date(2025, 2, 5), invoiceType: 'credit_memo', totalAmount: '100.00', laborTotal: '0', partsTotal: '100' },
+      ]);
+      Payment.findAll.mockResolvedValueOnce([{ paymentDate: new Date(2025, 1, 2), amount: '1500.00' }]);
+      Job.findAll.mockResolvedValueOnce([{ actualDeliveryDate: new Date(2025, 0, 25) }]);
+
+      const report = await reportService.generateReport(filters(), 'shop-1');
+
+      expect(report.data.map(row => row.period)).toEqual(['Jan 2025', 'Feb 2025', 'Mar 2025']);
+      expect(report.data[0]).toMatchObject({ revenue: 1500, labor: 800, invoices: 2, jobs: 1, avgTicket: 750 });
+      expect(report.data[1].collected).toBe(1500);
+      expect(report.data[2].revenue).toBe(-100);
+      expect(report.summary.totalRevenue).toBe(1400);
+      expect(report.summary.growth).toBe('n/a');
+    });
+
+    it('passes shop, date range and customer filters to the query', async () => {
+      await reportService.generateReport(filters({ customerId: 'cust-1' }), 'shop-1');
+
+      const { where } = InvoiceEnhanced.findAll.mock.calls[0][0];
+      expect(where.shopId).toBe('shop-1');
+      expect(where.customerId).toBe('cust-1');
+    });
+  });
+
+  describe('technician performance report', () => {
+    it('rolls labor entries and delivered jobs up per technician', async () => {
+      LaborTimeEntry.findAll.mockResolvedValueOnce([
+        { technicianId: 't1', jobId: 'j1', hoursWorked: '8', billableHours: '9', billableAmount: '720', technician: { firstName: 'Ana', lastName: 'Lopez' } },
+        { technicianId: 't1', jobId: 'j2', hoursWorked: '8', billableHours: '7', billableAmount: '560', technician: { firstName: 'Ana', lastName: 'Lopez' } },
+      ]);
+      Job.findAll.mockResolvedValueOnce([
+        { assignedTo: 't1', checkInDate: new Date(2025, 0, 1), actualDeliveryDate: new Date(2025, 0, 6), comeBack: true },
+      ]);
+
+      const report = await reportService.generateReport(
+        filters({ type: 'technician-performance' }),
+        'shop-1'
+      );
+
+      expect(report.data).toHaveLength(1);
+      expect(report.data[0]).toMatchObject({
+        name: 'Ana Lopez',
+        jobsWorked: 2,
+        jobsCompleted: 1,
+        efficiency: 100,
+        avgCycleTime: 5,
+        revenue: 1280,
+        comebacks: 1,
+      });
+    });
+  });
+
+  describe('getDateRange', () => {
+    it('defaults monthly reports to year to date', () => {
+      const range = reportService.getDateRange({ period: 'monthly' }, new Date(2025, 5, 15));
+      expect(range.start).toEqual(new Date(2025, 0, 1));
+    });
+  });
+});
+
+describe('reportExportService', () => {
+  const report = {
+    title: 'Revenue Report',
+    range: { startDate: '2025-01-01T00:00:00.000Z', endDate: '2025-01-31T23:59:59.999Z' },
+    columns: [
+      { key: 'period', label: 'Period' },
+      { key: 'revenue', label: 'Revenue', type: 'currency' },
+    ],
+    data: [{ period: 'Jan, 2025', revenue: 1500 }],
+    summary: { totalRevenue: 1500, bottlenecks: ['Paint', 'Body'] },
+  };
+
+  it('writes CSV with quoted cells and a summary block', async () => {
+    const file = await reportExportService.exportReport(report, 'csv');
+
+    expect(file.fileName).toBe('revenue-report-2025-01-31.csv');
+    expect(file.body.split('\r\n')).toEqual(
+      expect.arrayContaining(['Period,Revenue', '"Jan, 2025",1500', 'Total Revenue,1500', 'Bottlenecks,Paint; Body'])
+    );
+  });
+
+  it('writes an XLSX workbook with data and summary sheets', async () => {
+    const file = await reportExportService.exportReport(report, 'xlsx');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.body);
+
+    expect(workbook.getWorksheet('Report').getRow(2).values).toEqual([undefined, 'Jan, 2025', 1500]);
+    expect(workbook.getWorksheet('Summary')).toBeDefined();
+  });
+
+  it('writes a PDF document', async () => {
+    const file = await reportExportService.exportReport(report, 'pdf');
+
+    expect(file.contentType).toBe('application/pdf');
+    expect(file.body.slice(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(reportExportService.exportReport(report, 'docx')).rejects.toThrow(
+      'Unsupported report format'
+    );
+  });
+});
@@ -0,0 +1,259 @@
+jest.mock('../../../server/database/models', () => ({
+  SchedulingCapacity: { findOne: jest.fn(), create: jest.fn() },
+  ProductionWorkflow: { findAll: jest.fn(), create: jest.fn() },
+  User: { findAll: jest.fn() },
+  AdvancedPartsManagement: { findAll: jest.fn() },
+}));
+
+const {
+  SchedulingCapacity,
+  ProductionWorkflow,
+  User,
+  AdvancedPartsManagement,
+} = require('../../../server/database/models');
+const schedulingService = require('../../../server/services/schedulingService');
+
+// Monday 2 March 2026, local time
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute);
+
+const technician = values => ({
+  firstName: 'Tech',
+  lastName: values.id,
+  department: 'body',
+  skills: [],
+  certifications: [],
+  availability: {},
+  ...values,
+});
+
+const booking = values => ({
+  id: `wf-${values.plannedStartDate.getTime()}`,
+  stageType: 'body_work',
+  stageStatus: 'ready',
+  ...values,
+});
+
+describe('schedulingService', () => {
+  let users;
+  let bookings;
+  let capacityRow;
+
+  const loadState = () => schedulingService.loadShopState('shop-1');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: at(2, 7) });
+    users = [technician({ id: 'alex' })];
+    bookings = [];
+    capacityRow = null;
+
+    User.findAll.mockImplementation(() => Promise.resolve(users));
+    ProductionWorkflow.findAll.mockImplementation(() => Promise.resolve(bookings));
+    SchedulingCapacity.findOne.mockImplementation(({ where }) =>
+      Promise.resolve(where.scheduleDate ? null : capacityRow)
+    );
+    SchedulingCapacity.create.mockImplementation(values => Promise.resolve(values));
+    ProductionWorkflow.create.mockImplementation(values =>
+      Promise.resolve({ id: `wf-${values.stageOrder}`, ...values })
+    );
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('planOperations', () => {
+    it('assigns the technician holding the required certification', async () => {
+      users.push(
+        technician({ id: 'blair', certifications: [{ code: 'ADAS', expiresAt: '2027-01-01' }] })
+      );
+      const state = await loadState();
+
+      const solution = schedulingService.planOperations(state, [
+        {
+          operation_type: 'Radar calibration',
+          department: 'body',
+          estimated_hours: 2,
+          required_certifications: ['adas'],
+        },
+      ]);
+
+      expect(solution.feasible).toBe(true);
+      expect(solution.schedule[0]).toMatchObject({
+        technician_id: 'blair',
+        scheduled_start: at(2, 8).toISOString(),
+      });
+    });
+
+    it('ignores expired certifications and reports the conflict', async () => {
+      users[0].certifications = [{ code: 'aluminum', expiresAt: '2025-01-01' }];
+      const state = await loadState();
+
+      const solution = schedulingService.planOperations(state, [
+        {
+          operation_type: 'Aluminum panel',
+          department: 'body',
+          estimated_hours: 3,
+          required_certifications: ['aluminum'],
+        },
+      ]);
+
+      expect(solution.feasible).toBe(false);
+      expect(solution.conflicts[0]).toMatchObject({ reason: 'no_qualified_technician' });
+    });
+
+    it('works around existing bookings and splits work across shifts', async () => {
+      bookings.push(
+        booking({ assignedTechnician: 'alex', plannedStartDate: at(2, 8), plannedEndDate: at(2, 12) })
+      );
+      const state = await loadState();
+
+      const solution = schedulingService.planOperations(state, [
+        { operation_type: 'Quarter panel', department: 'body', estimated_hours: 6 },
+      ]);
+
+      expect(solution.schedule[0].segments).toEqual([
+        { start: at(2, 12).toISOString(), end: at(2, 16).toISOString() },
+        { start: at(3, 8).toISOString(), end: at(3, 10).toISOString() },
+      ]);
+    });
+
+    it('respects shift hours and days off from technician availability', async () => {
+      users[0].availability = { monday: false, tuesday: { start: '10:00', end: '14:00' } };
+      const state = await loadState();
+
+      const solution = schedulingService.planOperations(state, [
+        { operation_type: 'Bumper', department: 'body', estimated_hours: 2 },
+      ]);
+
+      expect(solution.schedule[0].scheduled_start).toBe(at(3, 10).toISOString());
+    });
+
+    it('waits for a free paint booth', async () => {
+      users[0].department = 'paint';
+      capacityRow = { paintBooths: 1 };
+      bookings.push(
+        booking({
+          assignedTechnician: 'someone-else',
+          stageType: 'paint_booth',
+          bayType: 'paint_booth',
+          assignedBay: 'paint_booth-1',
+          plannedStartDate: at(2, 8),
+          plannedEndDate: at(2, 16),
+        })
+      );
+      const state = await loadState();
+
+      const solution = schedulingService.planOperations(state, [
+        { operation_type: 'Refinish', department: 'paint', estimated_hours: 3 },
+      ]);
+
+      expect(solution.schedule[0]).toMatchObject({
+        bay: 'paint_booth-1',
+        scheduled_start: at(3, 8).toISOString(),
+      });
+    });
+
+    it('gates parts-dependent operations on parts arrival and keeps operations in sequence', async () => {
+      const state = await loadState();
+
+      const solution = schedulingService.planOperations(
+        state,
+        [
+          { operation_type: 'Teardown', department: 'body', estimated_hours: 2, parts_required: false },
+          { operation_type: 'Hang door', department: 'body', estimated_hours: 2 },
+        ],
+        {
+          partsConstraints: {
+            active_constraints: true,
+            estimated_parts_arrival: at(4, 10).getTime(),
+          },
+        }
+      );
+
+      expect(solution.schedule.map(op => [op.scheduled_start, op.parts_ready])).toEqual([
+        [at(2, 8).toISOString(), true],
+        [at(4, 10).toISOString(), true],
+      ]);
+    });
+  });
+
+  describe('bookRepairOrder', () => {
+    it('books the schedule and writes the load back to SchedulingCapacity', async () => {
+      bookings.push(
+        booking({
+          repairOrderId: 7,
+          assignedTechnician: 'alex',
+          plannedStartDate: at(2, 8),
+          plannedEndDate: at(2, 10),
+        })
+      );
+
+      const { solution, workflows, capacity } = await schedulingService.bookRepairOrder(
+        'shop-1',
+        12,
+        [{ operation_type: 'Door skin', department: 'body', estimated_hours: 4 }],
+        { priority: 'high', userId: 'user-1' }
+      );
+
+      expect(solution.feasible).toBe(true);
+      expect(workflows).toHaveLength(1);
+      expect(ProductionWorkflow.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          repairOrderId: 12,
+          stageName: 'Door skin',
+          stageType: 'body_work',
+          stageStatus: 'ready',
+          assignedTechnician: 'alex',
+          plannedStartDate: at(2, 10),
+          plannedEndDate: at(2, 14),
+          plannedDuration: 240,
+          priority: 'high',
+        })
+      );
+      expect(capacity).toEqual([
+        expect.objectContaining({
+          scheduleDate: '2026-03-02',
+          department: 'body',
+          dayOfWeek: 1,
+          availableTechnicians: 1,
+          totalCapacityHours: 8,
+          scheduledHours: 6,
+          remainingCapacityHours: 2,
+          utilizationPercentage: 75,
+          jobsScheduled: 2,
+        }),
+      ]);
+    });
+
+    it('does not book anything when the plan is infeasible', async () => {
+      users = [];
+
+      const { solution, workflows } = await schedulingService.bookRepairOrder('shop-1', 12, [
+        { operation_type: 'Door skin', department: 'body', estimated_hours: 4 },
+      ]);
+
+      expect(solution.feasible).toBe(false);
+      expect(workflows).toEqual([]);
+      expect(ProductionWorkflow.create).not.toHaveBeenCalled();
+      expect(SchedulingCapacity.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPartsConstraints', () => {
+    it('uses the latest promised or estimated delivery of open parts', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([
+        { id: 1, promisedDeliveryDate: at(3, 9) },
+        { id: 2, estimatedDeliveryDate: at(5, 12) },
+      ]);
+
+      const constraints = await schedulingService.getPartsConstraints(12);
+
+      expect(constraints).toMatchObject({
+        active_constraints: true,
+        missing_parts_count: 2,
+        estimated_parts_arrival: at(5, 12).getTime(),
+      });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock('../../../server/database/models', () => ({
+  SchedulingCapacity: { findOne: jest.fn() },
+  ProductionWorkflow: { findAll: jest.fn() },
+  RepairOrderManagement: { findAll: jest.fn() },
+  User: { findAll: jest.fn() },
+  AdvancedPartsManagement: { findAll: jest.fn() },
+}));
+
+const {
+  SchedulingCapacity,
+  ProductionWorkflow,
+  RepairOrderManagement,
+  User,
+  AdvancedPartsManagement,
+} = require('../../../server/database/models');
+const schedulingSimulationService = require('../../../server/services/schedulingSimulationService');
+
+// Monday 2 March 2026, local time
+const at = (day, hour, minute = 0) => new Date(2026, 2, day, hour, minute);
+
+const technician = values => ({
+  firstName: 'Tech',
+  lastName: values.id,
+  department: 'body',
+  skills: [],
+  certifications: [],
+  availability: {},
+  hourlyRate: 40,
+  ...values,
+});
+
+const stage = values => ({
+  stageType: 'body_work',
+  stageStatus: 'ready',
+  stageOrder: 1,
+  estimatedHours: 8,
+  actualHours: 0,
+  ...values,
+});
+
+const repairOrder = (id, values = {}) => ({
+  id,
+  repairOrderNumber: `RO-${id}`,
+  roStatus: 'in_production',
+  dateCreated: at(2, 7),
+  promisedDeliveryDate: at(3, 17),
+  productionWorkflow: [stage({ repairOrderId: id })],
+  ...values,
+});
+
+const run = (scenarios, options) =>
+  schedulingSimulationService.runScenarios('shop-1', scenarios, options);
+
+describe('schedulingSimulationService', () => {
+  let users;
+  let repairOrders;
+  let parts;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: at(2, 7) });
+    users = [technician({ id: 'alex' })];
+    repairOrders = [repairOrder(1), repairOrder(2)];
+    parts = [];
+
+    User.findAll.mockImplementation(() => Promise.resolve(users));
+    RepairOrderManagement.findAll.mockImplementation(() =>
+      Promise.resolve(repairOrders)
+    );
+    AdvancedPartsManagement.findAll.mockImplementation(() => Promise.resolve(parts));
+    SchedulingCapacity.findOne.mockResolvedValue({ paintBooths: 1 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('takeSnapshot', () => {
+    it('replans only the remaining work of open stages and keeps parts ETAs', async () => {
+      repairOrders = [
+        repairOrder(1, {
+          isRush: true,
+          productionWorkflow: [
+            stage({ stageOrder: 2, stageType: 'paint_booth', stageName: 'Paint', estimatedHours: 3 }),
+            stage({ stageOrder: 1, stageName: 'Body', estimatedHours: 8, actualHours: 5, assignedTechnician: 'alex' }),
+            stage({ stageOrder: 0, stageType: 'disassembly', stageStatus: 'completed' }),
+          ],
+        }),
+        repairOrder(2, { productionWorkflow: [], hoursEstimated: 0 }),
+      ];
+      parts = [{ id: 'p1', repairOrderId: 1, estimatedDeliveryDate: at(4, 9) }];
+
+      const snapshot = await schedulingSimulationService.takeSnapshot('shop-1');
+
+      expect(ProductionWorkflow.findAll).not.toHaveBeenCalled();
+      expect(snapshot.jobs).toHaveLength(1);
+      expect(snapshot.jobs[0]).toMatchObject({
+        id: 1,
+        priority: 'urgent',
+        partsArrival: at(4, 9),
+        operations: [
+          expect.objectContaining({
+            operation_type: 'Body',
+            department: 'body',
+            estimated_hours: 3,
+            preferred_technician_id: 'alex',
+          }),
+          expect.objectContaining({ operation_type: 'Paint', department: 'paint' }),
+        ],
+      });
+    });
+  });
+
+  describe('runScenarios', () => {
+    it('reports a second technician against the current plan', async () => {
+      const { baseline, scenarios } = await run([
+        { name: 'Hire body tech', changes: [{ type: 'add_technician', department: 'body' }] },
+      ]);
+
+      // One tech: RO-1 finishes Monday 16:00, RO-2 Tuesday 16:00
+      expect(baseline.analysis).toMatchObject({
+        wip_count: 2,
+        projected_cycle_time_days: 0.88,
+        late_ro_count: 0,
+      });
+
+      const hire = scenarios.find(s => s.scenario_name === 'Hire body tech');
+      expect(hire.analysis.projected_cycle_time_days).toBe(0.38);
+      expect(hire.analysis.added_labor_cost).toBe(3200); // 80h over 14 days at $40
+      expect(hire.delta_vs_baseline).toMatchObject({ cycle_time_days: -0.5, late_ros: 0 });
+    });
+
+    it('costs Saturday overtime at the multiplier and ranks it in time mode', async () => {
+      repairOrders = [
+        repairOrder(1, {
+          promisedDeliveryDate: at(9, 12),
+          productionWorkflow: [stage({ estimatedHours: 48 })],
+        }),
+      ];
+
+      const { scenarios, best } = await run(
+        [
+          {
+            name: 'Saturday overtime',
+            changes: [{ type: 'overtime', days: ['saturday'], start: '08:00', end: '14:00' }],
+          },
+        ],
+        { comparisonMode: 'time' }
+      );
+
+      const overtime = scenarios.find(s => s.scenario_name === 'Saturday overtime');
+      expect(overtime.analysis.overtime).toEqual({ hours: 6, cost: 360 });
+      expect(overtime.analysis.late_ro_count).toBe(0);
+      expect(overtime.delta_vs_baseline.late_ros).toBe(-1);
+      expect(overtime.recommendations).toContain('1 fewer late RO(s) than the current plan');
+      expect(best.scenario_name).toBe('Saturday overtime');
+    });
+
+    it('delays paint work while the booth is out of service', async () => {
+      users.push(technician({ id: 'casey', department: 'paint' }));
+      repairOrders = [
+        repairOrder(1, {
+          productionWorkflow: [
+            stage({ stageType: 'paint_booth', stageName: 'Paint', estimatedHours: 4 }),
+          ],
+        }),
+      ];
+
+      const { scenarios } = await run([
+        { name: 'Booth down', changes: [{ type: 'bay_outage', bay_type: 'paint_booth', days: 2 }] },
+      ]);
+
+      const outage = scenarios.find(s => s.scenario_name === 'Booth down');
+      expect(outage.analysis.estimated_completion_time).toBe(at(4, 12).toISOString());
+      expect(outage.analysis.late_ros).toEqual([
+        expect.objectContaining({ ro_number: 'RO-1', days_late: 0.79 }),
+      ]);
+    });
+
+    it('adds simulated DRP jobs to the load', async () => {
+      const { scenarios } = await run([
+        {
+          name: 'Five more DRP',
+          changes: [
+            {
+              type: 'add_jobs',
+              count: 5,
+              label: 'DRP',
+              operations: [{ operation_type: 'Repair', department: 'body', estimated_hours: 8 }],
+              promised_days: 3,
+            },
+          ],
+        },
+      ]);
+
+      const drp = scenarios.find(s => s.scenario_name === 'Five more DRP');
+      expect(drp.analysis.wip_count).toBe(7);
+      expect(drp.analysis.throughput.completed_ros).toBe(7);
+      expect(drp.analysis.late_ro_count).toBe(4);
+      expect(drp.changes_applied).toEqual(['Added 5 DRP jobs promised in 3 days']);
+    });
+
+    it('rejects unknown changes and technicians', async () => {
+      await expect(run([{ name: 'Bad', changes: [{ type: 'teleport' }] }])).rejects.toThrow(
+        'Unknown scenario change: teleport'
+      );
+      await expect(
+        run([{ name: 'Bad', changes: [{ type: 'remove_technician', technician_id: 'nobody' }] }])
+      ).rejects.toThrow('Technician nobody is not on the schedule');
+    });
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Unit Tests for two-way SMS conversations
+ * Runs smsConversationService itself; models and delivery are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  SmsConversation: { findOrCreate: jest.fn(), findOne: jest.fn() },
+  CommunicationLog: { create: jest.fn(), findOne: jest.fn() },
+  CommunicationTemplate: { findOne: jest.fn() },
+  Customer: { findAll: jest.fn() },
+  RepairOrderManagement: { findOne: jest.fn() },
+  VehicleProfile: {},
+  Shop: { findAll: jest.fn() },
+  User: { findOne: jest.fn() },
+}));
+
+jest.mock('../../../server/services/messageDeliveryService', () => ({
+  deliver: jest.fn(),
+  notifyStatusChange: jest.fn(),
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const {
+  SmsConversation,
+  CommunicationLog,
+  CommunicationTemplate,
+  Customer,
+  RepairOrderManagement,
+  Shop,
+  User,
+} = require('../../../server/database/models');
+const messageDeliveryService = require('../../../server/services/messageDeliveryService');
+const { realtimeService } = require('../../../server/services/realtimeService');
+const smsConversationService = require('../../../server/services/smsConversationService');
+
+describe('smsConversationService', () => {
+  const mockInbound = {
+    From: '+14165550100',
+    To: '+14165559999',
+    Body: 'Is my car ready?',
+    MessageSid: 'SM-in-1',
+    NumMedia: '0',
+  };
+
+  let mockCustomer;
+  let mockConversation;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCustomer = {
+      id: 'customer-1',
+      shopId: 'shop-1',
+      firstName: 'Dana',
+      lastName: 'Reyes',
+      mobile: '(416) 555-0100',
+      smsOptIn: false,
+      update: jest.fn(),
+    };
+    mockConversation = {
+      id: 'conversation-1',
+      shopId: 'shop-1',
+      threadId: 'ro_42_sms',
+      repairOrderId: 42,
+      phone: '+14165550100',
+      unreadCount: 0,
+      update: jest.fn(),
+    };
+
+    CommunicationLog.findOne.mockResolvedValue(null);
+    CommunicationLog.create.mockResolvedValue({ id: 'log-1' });
+    SmsConversation.findOrCreate.mockResolvedValue([mockConversation, true]);
+    Shop.findAll.mockResolvedValue([{ id: 'shop-1', settings: { smsNumber: '+14165559999' } }]);
+    Customer.findAll.mockResolvedValue([mockCustomer]);
+    RepairOrderManagement.findOne.mockResolvedValue(null);
+  });
+
+  describe('normalizePhone', () => {
+    test('normalizes North American numbers to E.164', () => {
+      expect(smsConversationService.normalizePhone('(416) 555-0100')).toBe('+14165550100');
+      expect(smsConversationService.normalizePhone('1-416-555-0100')).toBe('+14165550100');
+    });
+  });
+
+  describe('receiveInbound', () => {
+    test('threads an inbound text on the customer’s open repair order', async () => {
+      const mockLastOutbound = { id: 'log-0', status: 'delivered', addResponse: jest.fn() };
+      Customer.findAll.mockResolvedValue([
+        mockCustomer,
+        { id: 'customer-2', shopId: 'shop-1', mobile: '905-555-0100' },
+      ]);
+      RepairOrderManagement.findOne.mockResolvedValue({ id: 42, updatedAt: new Date() });
+      CommunicationLog.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(mockLastOutbound);
+
+      await smsConversationService.receiveInbound(mockInbound);
+
+      expect(SmsConversation.findOrCreate).toHaveBeenCalledWith({
+        where: { shopId: 'shop-1', threadId: 'ro_42_sms' },
+        defaults: {
+          shopId: 'shop-1',
+          threadId: 'ro_42_sms',
+          phone: '+14165550100',
+          customerId: 'customer-1',
+          repairOrderId: 42,
+        },
+      });
+      expect(CommunicationLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          direction: 'received',
+          channel: 'sms',
+          customerId: 'customer-1',
+          repairOrderId: 42,
+          threadId: 'ro_42_sms',
+          externalMessageId: 'SM-in-1',
+          optOutReceived: false,
+        })
+      );
+      expect(mockConversation.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'open',
+          unreadCount: 1,
+          lastMessagePreview: 'Is my car ready?',
+        })
+      );
+      expect(mockLastOutbound.addResponse).toHaveBeenCalledWith('Is my car ready?');
+      expect(mockCustomer.update).not.toHaveBeenCalled();
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        'shop-1',
+        'sms_message_received',
+        expect.objectContaining({ conversation_id: 'conversation-1', repair_order_id: 42 })
+      );
+    });
+
+    test('ignores a webhook retry for a message it already stored', async () => {
+      CommunicationLog.findOne.mockResolvedValue({ id: 'log-1' });
+
+      const result = await smsConversationService.receiveInbound(mockInbound);
+
+      expect(result).toEqual({ message: { id: 'log-1' }, duplicate: true });
+      expect(CommunicationLog.create).not.toHaveBeenCalled();
+    });
+
+    test('withdraws SMS consent on STOP', async () => {
+      mockCustomer.smsOptIn = true;
+
+      await smsConversationService.receiveInbound({ ...mockInbound, Body: 'stop' });
+
+      expect(mockCustomer.update).toHaveBeenCalledWith({ smsOptIn: false });
+      expect(SmsConversation.findOrCreate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { shopId: 'shop-1', threadId: 'phone_14165550100_sms' },
+        })
+      );
+      expect(CommunicationLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ optOutReceived: true })
+      );
+    });
+
+    test('leaves an opted-out customer opted out when they reply with anything else', async () => {
+      await smsConversationService.receiveInbound({ ...mockInbound, Body: 'ok thanks' });
+
+      expect(mockCustomer.update).not.toHaveBeenCalled();
+    });
+
+    test('restores SMS consent on START', async () => {
+      await smsConversationService.receiveInbound({ ...mockInbound, Body: 'start' });
+
+      expect(mockCustomer.update).toHaveBeenCalledWith({ smsOptIn: true });
+    });
+
+    test('only matches customers of the shop that owns the number texted', async () => {
+      Shop.findAll.mockResolvedValue([
+        { id: 'shop-1', settings: { smsNumber: '+14165559999' } },
+        { id: 'shop-2', settings: { smsNumber: '+19055551111' } },
+      ]);
+      RepairOrderManagement.findOne.mockResolvedValue({ id: 42, updatedAt: new Date() });
+
+      await smsConversationService.receiveInbound(mockInbound);
+
+      expect(Customer.findAll).toHaveBeenCalledTimes(1);
+      expect(Customer.findAll.mock.calls[0][0].where.shopId).toBe('shop-1');
+      expect(SmsConversation.findOrCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { shopId: 'shop-1', threadId: 'ro_42_sms' } })
+      );
+    });
+
+    test('drops a text to a number no shop owns', async () => {
+      Shop.findAll.mockResolvedValue([
+        { id: 'shop-1', settings: { smsNumber: '+14165559999' } },
+        { id: 'shop-2', settings: { smsNumber: '+19055551111' } },
+      ]);
+
+      const result = await smsConversationService.receiveInbound({
+        ...mockInbound,
+        To: '+16475550000',
+      });
+
+      expect(result).toBeNull();
+      expect(Customer.findAll).not.toHaveBeenCalled();
+      expect(CommunicationLog.create).not.toHaveBeenCalled();
+    });
+
+    test('threads unknown senders on their number for the shop that owns the line', async () => {
+      Customer.findAll.mockResolvedValue([]);
+      Shop.findAll.mockResolvedValue([
+        { id: 'shop-1', phone: '905-555-1111' },
+        { id: 'shop-2', phone: '416-555-9999' },
+      ]);
+
+      await smsConversationService.receiveInbound(mockInbound);
+
+      expect(SmsConversation.findOrCreate).toHaveBeenCalledWith({
+        where: { shopId: 'shop-2', threadId: 'phone_14165550100_sms' },
+        defaults: {
+          shopId: 'shop-2',
+          threadId: 'phone_14165550100_sms',
+          phone: '+14165550100',
+          customerId: null,
+          repairOrderId: null,
+        },
+      });
+    });
+  });
+
+  describe('reply', () => {
+    test('replies on the conversation thread with a rendered quick reply', async () => {
+      mockConversation.unreadCount = 2;
+      mockConversation.customer = { ...mockCustomer, smsOptIn: true };
+      mockConversation.repairOrder = { repairOrderNumber: 'RO-1001' };
+      SmsConversation.findOne.mockResolvedValue(mockConversation);
+      CommunicationTemplate.findOne.mockResolvedValue({
+        id: 'template-1',
+        smsTemplate: 'Hi {{customer_first_name}}, {{ro_number}} is ready for pickup.',
+      });
+      messageDeliveryService.deliver.mockResolvedValue({ success: true, status: 'sent' });
+
+      await smsConversationService.reply(
+        'shop-1',
+        'conversation-1',
+        { template_id: 'template-1' },
+        { userId: 'user-1' }
+      );
+
+      expect(messageDeliveryService.deliver).toHaveBeenCalledWith(
+        'sms',
+        mockConversation.customer,
+        { content: 'Hi Dana, RO-1001 is ready for pickup.' },
+        expect.objectContaining({ shopId: 'shop-1', repairOrderId: 42, threadId: 'ro_42_sms' })
+      );
+      expect(mockConversation.update).toHaveBeenCalledWith(
+        expect.objectContaining({ unreadCount: 0, lastReadBy: 'user-1' })
+      );
+    });
+  });
+
+  describe('assign', () => {
+    beforeEach(() => {
+      SmsConversation.findOne.mockResolvedValue(mockConversation);
+    });
+
+    test('refuses to assign a conversation to a technician', async () => {
+      User.findOne.mockResolvedValue({ id: 'tech-1', role: 'technician' });
+
+      await expect(
+        smsConversationService.assign('shop-1', 'conversation-1', 'tech-1')
+      ).rejects.toThrow('Conversations can be assigned');
+      expect(mockConversation.update).not.toHaveBeenCalled();
+    });
+
+    test('assigns a conversation to an estimator', async () => {
+      User.findOne.mockResolvedValue({ id: 'estimator-1', role: 'estimator' });
+
+      await smsConversationService.assign('shop-1', 'conversation-1', 'estimator-1');
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        where: { id: 'estimator-1', shopId: 'shop-1', isActive: true },
+      });
+      expect(mockConversation.update).toHaveBeenCalledWith({
+        assignedTo: 'estimator-1',
+        assignedAt: expect.any(Date),
+      });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+jest.mock('../../../server/database/models', () => ({
+  User: { findAll: jest.fn() },
+  Job: { findAll: jest.fn() },
+  LaborTimeEntry: { findAll: jest.fn() },
+  TimeClock: { findAll: jest.fn() },
+  JobStageHistory: { findAll: jest.fn() },
+  TechnicianPerformance: { findOne: jest.fn(), create: jest.fn(), findAll: jest.fn() },
+}));
+
+const {
+  Job,
+  LaborTimeEntry,
+  TimeClock,
+  JobStageHistory,
+  TechnicianPerformance,
+} = require('../../../server/database/models');
+const technicianPerformanceService = require('../../../server/services/technicianPerformanceService');
+
+describe('technicianPerformanceService', () => {
+  const range = technicianPerformanceService.getPeriodRange('weekly', new Date(2025, 2, 12));
+
+  const periodData = {
+    laborEntries: [
+      { jobId: 'j1', clockOut: new Date(), hoursWorked: '6', billableHours: '8', laborCost: '150', billableAmount: '640' },
+      { jobId: 'j2', clockOut: null, hoursWorked: '2', billableHours: null, estimatedHours: '1', isRework: true },
+    ],
+    timeClocks: [
+      { clockIn: new Date(2025, 2, 10, 8), netHours: '8' },
+      { clockIn: new Date(2025, 2, 11, 8), totalHours: '8.5', breakHours: '0.5' },
+    ],
+    stageHistory: [
+      { qualityScore: '4.5', firstTimeRight: true, reworkRequired: false, inspectionCompleted: true },
+      { qualityScore: '3.5', firstTimeRight: false, reworkRequired: true, inspectionCompleted: true },
+    ],
+    completedJobs: [
+      {
+        startDate: new Date(2025, 2, 10),
+        actualDeliveryDate: new Date(2025, 2, 12),
+        targetDeliveryDate: new Date(2025, 2, 13),
+        customerSatisfaction: 5,
+      },
+    ],
+    comebackJobs: [{ id: 'j9', jobNumber: 'J-9', comeBackReason: 'Paint defect' }],
+  };
+
+  describe('getPeriodRange', () => {
+    it('spans Sunday to Saturday for weekly periods', () => {
+      expect(range.reportingPeriod).toBe('weekly');
+      expect(range.periodStart).toEqual(new Date(2025, 2, 9));
+      expect(range.periodEnd).toEqual(new Date(2025, 2, 15, 23, 59, 59, 999));
+    });
+
+    it('falls back to weekly for unknown periods', () => {
+      expect(technicianPerformanceService.getPeriodRange('current').reportingPeriod).toBe('weekly');
+    });
+  });
+
+  describe('computeMetrics', () => {
+    it('separates clocked, productive and flagged hours', () => {
+      const metrics = technicianPerformanceService.computeMetrics(periodData, range);
+
+      expect(metrics.hoursWorked).toBe(16);
+      expect(metrics.productiveHours).toBe(8);
+      expect(metrics.flaggedHours).toBe(9);
+      expect(metrics.overallEfficiency).toBe(112.5);
+      expect(metrics.utilizationRate).toBe(50);
+      expect(metrics.metadata.productivity).toBe(56.25);
+    });
+
+    it('counts comebacks, rework and quality from stage history', () => {
+      const metrics = technicianPerformanceService.computeMetrics(periodData, range);
+
+      expect(metrics.customerComplaintCount).toBe(1);
+      expect(metrics.metadata.comebacks).toBe(1);
+      expect(metrics.reworkCount).toBe(2);
+      expect(metrics.qualityScore).toBe(4);
+      expect(metrics.firstTimeRightRate).toBe(50);
+      expect(metrics.inspectionPassRate).toBe(50);
+      expect(metrics.onTimeDeliveryRate).toBe(100);
+      expect(metrics.customerRating).toBe(5);
+      expect(metrics.daysWorked).toBe(2);
+    });
+  });
+
+  describe('recordPerformance', () => {
+    beforeEach(() => {
+      jest.resetAllMocks();
+      LaborTimeEntry.findAll.mockResolvedValue(periodData.laborEntries);
+      TimeClock.findAll.mockResolvedValue(periodData.timeClocks);
+      JobStageHistory.findAll.mockResolvedValue(periodData.stageHistory);
+      Job.findAll
+        .mockResolvedValueOnce(periodData.completedJobs)
+        .mockResolvedValueOnce(periodData.comebackJobs);
+    });
+
+    it('creates a record for a new period', async () => {
+      TechnicianPerformance.findOne.mockResolvedValue(null);
+      TechnicianPerformance.create.mockImplementation(values => Promise.resolve(values));
+
+      const record = await technicianPerformanceService.recordPerformance('shop-1', 'tech-1', {
+        period: 'weekly',
+        date: new Date(2025, 2, 12),
+      });
+
+      expect(TechnicianPerformance.create).toHaveBeenCalled();
+      expect(record).toMatchObject({
+        shopId: 'shop-1',
+        technicianId: 'tech-1',
+        reportingPeriod: 'weekly',
+        flaggedHours: 9,
+        trendDirection: 'stable',
+      });
+    });
+
+    it('updates the stored record and flags a trend against the previous period', async () => {
+      const existing = { dataVersion: 1, update: jest.fn(values => Promise.resolve(values)) };
+      TechnicianPerformance.findOne
+        .mockResolvedValueOnce({ overallEfficiency: '95', qualityScore: '4.0' })
+        .mockResolvedValueOnce(existing);
+
+      const record = await technicianPerformanceService.recordPerformance('shop-1', 'tech-1', {
+        period: 'weekly',
+        date: new Date(2025, 2, 12),
+      });
+
+      expect(TechnicianPerformance.create).not.toHaveBeenCalled();
+      expect(record.dataVersion).toBe(2);
+      expect(record.trendDirection).toBe('improving');
+    });
+  });
+});
@@ -0,0 +1,435 @@
+/**
+ * Unit Tests for vendor invoice three-way matching
+ * Runs vendorInvoiceService itself; models and realtime are mocked
+ */
+
+jest.mock('../../../server/database/models', () => ({
+  VendorInvoice: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn() },
+  AdvancedPartsManagement: { findAll: jest.fn() },
+  PurchaseOrderSystem: { findOne: jest.fn() },
+  Vendor: { findOne: jest.fn() },
+}));
+
+jest.mock('../../../server/services/realtimeService', () => ({
+  realtimeService: { emitToShop: jest.fn() },
+}));
+
+const {
+  VendorInvoice,
+  AdvancedPartsManagement,
+  PurchaseOrderSystem,
+  Vendor,
+} = require('../../../server/database/models');
+const vendorInvoiceService = require('../../../server/services/vendorInvoiceService');
+const { realtimeService } = require('../../../server/services/realtimeService');
+const {
+  createStubVendorServer,
+} = require('../../../server/services/vendorIntegration/stubVendorServer');
+const vendorAdapters = require('../../../server/services/vendorIntegration/vendorAdapters');
+
+const listen = app =>
+  new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+// The service reports an invoice's status after matching it
+function applyUpdate(changes) {
+  return Promise.resolve(Object.assign(this, changes));
+}
+
+describe('vendorInvoiceService', () => {
+  const mockVendor = { id: 'v-keystone', name: 'Keystone', preferences: {} };
+
+  let mockPurchaseOrder;
+  let mockBumperLine;
+  let mockLampLine;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    vendorAdapters.clear();
+
+    mockPurchaseOrder = {
+      id: 7,
+      shopId: 1,
+      vendorId: 'v-keystone',
+      purchaseOrderNumber: 'RO1001-2610-KEYS-001',
+      hasInvoice: false,
+      update: jest.fn(),
+    };
+    // sellPrice is the estimate's part price from the BMS import
+    mockBumperLine = {
+      id: 11,
+      shopId: 1,
+      vendorId: 'v-keystone',
+      partsOrderId: 7,
+      lineNumber: 1,
+      vendorPartNumber: '52119-06903',
+      partDescription: 'Front Bumper Cover',
+      partStatus: 'received',
+      quantityOrdered: 1,
+      quantityReceived: 1,
+      netPrice: '285.00',
+      sellPrice: '380.00',
+      targetMargin: '20.00',
+      update: jest.fn(),
+    };
+    mockLampLine = {
+      id: 12,
+      shopId: 1,
+      vendorId: 'v-keystone',
+      partsOrderId: 7,
+      lineNumber: 2,
+      oemPartNumber: '81150-06B00',
+      partDescription: 'Headlamp Assembly LH',
+      partStatus: 'ordered',
+      quantityOrdered: 2,
+      quantityReceived: 1,
+      netPrice: '410.00',
+      sellPrice: '450.00',
+      targetMargin: null,
+      update: jest.fn(),
+    };
+
+    VendorInvoice.findOne.mockResolvedValue(null);
+    VendorInvoice.create.mockImplementation(values =>
+      Promise.resolve({ id: 'invoice-1', varianceCount: 0, ...values, update: jest.fn(applyUpdate) })
+    );
+    Vendor.findOne.mockResolvedValue(mockVendor);
+    PurchaseOrderSystem.findOne.mockResolvedValue(mockPurchaseOrder);
+  });
+
+  describe('recordInvoice', () => {
+    test('matches an invoice that agrees with the PO and receipts, and records the margin', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockBumperLine]);
+
+      const invoice = await vendorInvoiceService.recordInvoice(
+        1,
+        {
+          vendorId: 'v-keystone',
+          invoiceNumber: 'KI-5001',
+          poNumber: 'RO1001-2610-KEYS-001',
+          lines: [{ partNumber: '5211906903', quantity: 1, unitPrice: 285 }],
+          tax: 14.25,
+        },
+        'user-9'
+      );
+
+      expect(VendorInvoice.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          purchaseOrderId: 7,
+          subtotalAmount: 285,
+          taxAmount: 14.25,
+          totalAmount: 299.25,
+          source: 'manual',
+        })
+      );
+      expect(invoice.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'matched',
+          varianceCount: 0,
+          varianceAmount: 0,
+          lines: [
+            expect.objectContaining({
+              partLineId: 11,
+              poUnitPrice: 285,
+              estimateUnitPrice: 380,
+              grossProfit: 95,
+              grossProfitPercent: 25,
+              variances: [],
+            }),
+          ],
+        })
+      );
+      expect(mockBumperLine.update).toHaveBeenCalledWith({
+        invoiceNumber: 'KI-5001',
+        actualMargin: 25,
+        marginVariance: 5,
+      });
+      expect(mockPurchaseOrder.update).toHaveBeenCalledWith({ hasInvoice: true });
+      expect(realtimeService.emitToShop).toHaveBeenCalledWith(
+        1,
+        'parts_update',
+        expect.objectContaining({ action: 'vendor_invoice_recorded', status: 'matched' })
+      );
+    });
+
+    test('flags unreceived quantities, prices above the PO and the estimate, and lines not on the PO', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([
+        mockBumperLine,
+        { ...mockLampLine, targetMargin: '15.00' },
+      ]);
+
+      const invoice = await vendorInvoiceService.recordInvoice(1, {
+        vendorId: 'v-keystone',
+        invoiceNumber: 'KI-5002',
+        purchaseOrderId: 7,
+        lines: [
+          { partNumber: '52119-06903', quantity: 1, unitPrice: 285.005 },
+          { partNumber: '81150-06B00', quantity: 2, unitPrice: 460 },
+          { partNumber: 'CLIP-100', quantity: 10, unitPrice: 1.5 },
+        ],
+      });
+
+      const [matched] = invoice.update.mock.calls[0];
+      const [bumper, lamp, clip] = matched.lines;
+      expect(bumper.variances).toEqual([]);
+      expect(lamp.variances).toEqual([
+        { type: 'not_received', expected: 1, actual: 2, amount: 460 },
+        { type: 'price_above_po', expected: 410, actual: 460, amount: 100 },
+        { type: 'above_estimate', expected: 450, actual: 460, amount: 20 },
+        { type: 'below_target_margin', expected: 15, actual: -2.22, amount: null },
+      ]);
+      expect(clip).toMatchObject({
+        partLineId: null,
+        variances: [{ type: 'not_on_po', expected: null, actual: 10, amount: 15 }],
+      });
+      // Margin flags do not add to what the vendor overbilled
+      expect(matched).toMatchObject({ status: 'variance', varianceCount: 5, varianceAmount: 575 });
+    });
+
+    test('rejects an invoice number already recorded for the vendor', async () => {
+      VendorInvoice.findOne.mockResolvedValue({ id: 'invoice-0' });
+
+      await expect(
+        vendorInvoiceService.recordInvoice(1, {
+          vendorId: 'v-keystone',
+          invoiceNumber: 'KI-5001',
+          purchaseOrderId: 7,
+          lines: [{ partNumber: '52119-06903', quantity: 1, unitPrice: 285 }],
+        })
+      ).rejects.toThrow('Invoice KI-5001 is already recorded');
+      expect(VendorInvoice.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects a purchase order from another vendor', async () => {
+      PurchaseOrderSystem.findOne.mockResolvedValue({ ...mockPurchaseOrder, vendorId: 'v-lkq' });
+
+      await expect(
+        vendorInvoiceService.recordInvoice(1, {
+          vendorId: 'v-keystone',
+          invoiceNumber: 'KI-5001',
+          purchaseOrderId: 7,
+          lines: [{ partNumber: '52119-06903', quantity: 1, unitPrice: 285 }],
+        })
+      ).rejects.toThrow('Purchase order RO1001-2610-KEYS-001 is not from Keystone');
+      expect(VendorInvoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importCsv', () => {
+    test('imports invoices grouped by invoice number and reports the ones it could not take', async () => {
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockBumperLine, mockLampLine]);
+      const csv = [
+        'Invoice #,Invoice Date,PO Number,Part No,Description,Qty,Unit Price,Tax',
+        'KI-6001,2026-10-15,RO1001-2610-KEYS-001,52119-06903,"Cover, Front Bumper",1,$285.00,14.25',
+        'KI-6001,2026-10-15,RO1001-2610-KEYS-001,81150-06B00,"Lamp ""LH""",1,410.00,14.25',
+        'KI-6002,2026-10-16,RO1001-2610-KEYS-001,52119-06903,Bumper cover,0,285.00,0',
+        '',
+      ].join('\r\n');
+
+      const result = await vendorInvoiceService.importCsv(
+        1,
+        csv,
+        { vendorId: 'v-keystone' },
+        'user-9'
+      );
+
+      expect(result.invoices).toHaveLength(1);
+      expect(VendorInvoice.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          invoiceNumber: 'KI-6001',
+          invoiceDate: '2026-10-15',
+          source: 'csv',
+          taxAmount: 14.25,
+          subtotalAmount: 695,
+          lines: [
+            expect.objectContaining({
+              partNumber: '52119-06903',
+              description: 'Cover, Front Bumper',
+            }),
+            expect.objectContaining({ partNumber: '81150-06B00', description: 'Lamp "LH"' }),
+          ],
+        })
+      );
+      expect(result.invoices[0].update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'matched' })
+      );
+      expect(result.errors).toEqual([
+        { invoiceNumber: 'KI-6002', message: 'Line 1 quantity must be positive' },
+      ]);
+    });
+
+    test('refuses a CSV without a unit price column', async () => {
+      await expect(
+        vendorInvoiceService.importCsv(1, 'Part,Qty\n52119-06903,1', { vendorId: 'v-keystone' })
+      ).rejects.toThrow('The CSV file has no unit price column');
+    });
+  });
+
+  describe('importFromVendor', () => {
+    let stub;
+    let mockApiVendor;
+
+    beforeAll(async () => {
+      stub = await listen(
+        createStubVendorServer({
+          catalog: {
+            '52119-06903': { unitPrice: 285, quantityAvailable: 5 },
+            '81150-06B00': { unitPrice: 425, quantityAvailable: 1 },
+          },
+        })
+      );
+      mockApiVendor = {
+        ...mockVendor,
+        isActive: true,
+        integrationType: 'api',
+        apiEndpoint: `http://127.0.0.1:${stub.address().port}`,
+      };
+      await vendorAdapters.getAdapter(mockApiVendor).submitPurchaseOrder({
+        poNumber: 'RO1001-2610-KEYS-001',
+        lines: [
+          { partNumber: '52119-06903', quantity: 1, unitPrice: 285 },
+          { partNumber: '81150-06B00', quantity: 2, unitPrice: 410 },
+        ],
+      });
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => stub.close(resolve));
+    });
+
+    beforeEach(() => {
+      Vendor.findOne.mockResolvedValue(mockApiVendor);
+      AdvancedPartsManagement.findAll.mockResolvedValue([mockBumperLine, mockLampLine]);
+    });
+
+    test('pulls the vendor’s invoices for the PO and matches them', async () => {
+      const result = await vendorInvoiceService.importFromVendor(1, {
+        vendorId: 'v-keystone',
+        purchaseOrderId: 7,
+      });
+
+      expect(result.invoices).toHaveLength(1);
+      const [invoice] = result.invoices;
+      expect(invoice).toMatchObject({ invoiceNumber: 'INV-SO-1', source: 'api' });
+      // The backordered headlamp is billed for the one that shipped
+      const [matched] = invoice.update.mock.calls[0];
+      expect(matched.status).toBe('variance');
+      expect(matched.lines[1]).toMatchObject({
+        quantity: 1,
+        unitPrice: 425,
+        variances: [{ type: 'price_above_po', expected: 410, actual: 425, amount: 15 }],
+      });
+    });
+
+    test('skips invoices already recorded', async () => {
+      VendorInvoice.findOne.mockResolvedValue({ id: 'invoice-1' });
+
+      const result = await vendorInvoiceService.importFromVendor(1, {
+        vendorId: 'v-keystone',
+        purchaseOrderId: 7,
+      });
+
+      expect(result).toMatchObject({ invoices: [], skipped: ['INV-SO-1'], errors: [] });
+      expect(VendorInvoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('review', () => {
+    let mockInvoice;
+
+    beforeEach(() => {
+      mockInvoice = {
+        id: 'invoice-1',
+        shopId: 1,
+        status: 'variance',
+        varianceCount: 2,
+        notes: null,
+        update: jest.fn(),
+      };
+      VendorInvoice.findOne.mockResolvedValue(mockInvoice);
+    });
+
+    test('approves variances only when they are accepted', async () => {
+      await expect(
+        vendorInvoiceService.approveInvoice(1, 'invoice-1', {}, 'user-9')
+      ).rejects.toThrow('Invoice has 2 unresolved variances');
+      expect(mockInvoice.update).not.toHaveBeenCalled();
+    });
+
+    test('disputes an invoice with a reason', async () => {
+      await expect(
+        vendorInvoiceService.disputeInvoice(1, 'invoice-1', {}, 'user-9')
+      ).rejects.toThrow('A dispute reason is required');
+
+      await vendorInvoiceService.disputeInvoice(
+        1,
+        'invoice-1',
+        { reason: 'Headlamp not received' },
+        'user-9'
+      );
+
+      expect(mockInvoice.update).toHaveBeenCalledWith({
+        status: 'disputed',
+        reviewedBy: 'user-9',
+        reviewedAt: expect.any(Date),
+        notes: expect.stringMatching(/Disputed: Headlamp not received$/),
+      });
+    });
+
+    test('will not approve a disputed invoice', async () => {
+      mockInvoice.status = 'disputed';
+
+      await expect(
+        vendorInvoiceService.approveInvoice(1, 'invoice-1', { acceptVariances: true }, 'user-9')
+      ).rejects.toThrow('Invoice is already disputed');
+    });
+  });
+
+  describe('analyzePartLines', () => {
+    test('works out gross profit per part line from invoiced cost, or PO cost until invoiced', async () => {
+      VendorInvoice.findAll.mockResolvedValue([
+        {
+          invoiceNumber: 'KI-5002',
+          lines: [
+            {
+              partLineId: 12,
+              quantity: 2,
+              extendedPrice: 920,
+              variances: [{ type: 'price_above_po', amount: 100 }],
+            },
+            { partLineId: null, quantity: 10, extendedPrice: 15, variances: [] },
+          ],
+        },
+      ]);
+
+      const [bumper, lamp, unpriced] = await vendorInvoiceService.analyzePartLines(1, [
+        mockBumperLine,
+        mockLampLine,
+        { ...mockBumperLine, id: 13, partsOrderId: null, sellPrice: null },
+      ]);
+
+      expect(VendorInvoice.findAll).toHaveBeenCalledWith({
+        where: expect.objectContaining({ shopId: 1, purchaseOrderId: [7] }),
+      });
+      expect(bumper).toMatchObject({
+        costSource: 'purchase_order',
+        sellValue: 380,
+        costValue: 285,
+        grossProfit: 95,
+        grossProfitPercent: 25,
+      });
+      expect(lamp).toMatchObject({
+        costSource: 'invoice',
+        quantity: 2,
+        unitCost: 460,
+        sellValue: 900,
+        costValue: 920,
+        grossProfit: -20,
+        invoiceNumbers: ['KI-5002'],
+        variances: [{ type: 'price_above_po', amount: 100 }],
+      });
+      expect(unpriced).toMatchObject({ grossProfit: null, sellValue: null, costValue: 285 });
+    });
+  });
+});